@@ -3,6 +3,7 @@ import { HelmetProvider } from 'react-helmet-async';
 import { useMemo, useEffect, lazy, Suspense } from 'react';
 import ErrorBoundary from './components/errorHandling/ErrorBoundary.jsx'
 import LoadingScreen from './components/shared/LoadingScreen.jsx'
+import { Toaster } from './components/ui/toaster.jsx'
 import { initializeCodeSplitting, chunkPreloader } from './utils/codesplitting.js'
 import { initializeBundleOptimization } from './utils/bundleOptimization.js'
 import { initializeCacheSystem } from './utils/caching/CacheManager.js'
@@ -361,6 +362,14 @@ function App() {
       logger.warn('Failed to initialize error recovery:', error)
     })
     
+    // Initialize refund, chargeback and negative balance notifications
+    import('./services/notifications/PaymentNotificationService.js').then(({ paymentNotificationService }) => {
+      paymentNotificationService.start()
+      logger.info('Payment notifications initialized')
+    }).catch(error => {
+      logger.warn('Failed to initialize payment notifications:', error)
+    })
+    
     // Initialize subdomain configuration
     const subdomainConfig = initializeSubdomainConfig()
     
@@ -442,6 +451,7 @@ function App() {
       <Router>
         <AppRoutes initialUserContext={initialUserContext} envInfo={envInfo} />
       </Router>
+      <Toaster />
     </HelmetProvider>
   )
 }
@@ -11,15 +11,34 @@ import {
   Search
 } from 'lucide-react'
 import { Input } from '@/components/ui/input.jsx'
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger
+} from '@/components/ui/dropdown-menu.jsx'
 import PageHeader from './shared/PageHeader.jsx'
 import TransactionFilters from './account/TransactionFilters.jsx'
 import AdvancedModeToggle from './shared/AdvancedModeToggle.jsx'
+import ErrorAlert from './shared/ErrorAlert.jsx'
 import { NAVIGATION_PATHS } from '../utils/navigationHelpers.js'
 import { useWalletBalance } from '../hooks/useTransactions.jsx'
 import { useSafeDataManager, useDataManagerSubscription } from '../hooks/useDataManagerSubscription.js'
 import TransactionIcon from './ui/TransactionIcon.tsx'
 import { useAccountTransactionDisplay } from '../hooks/useTransactionDisplay.js'
 import { useUserSettings } from '../utils/userSettings.js'
+import { transactionExportService, EXPORT_FORMATS } from '../services/transactions/TransactionExportService.js'
+import logger from '../utils/logger'
+
+// Export options offered in the transaction history header
+const EXPORT_OPTIONS = [
+  { format: EXPORT_FORMATS.CSV, label: 'CSV (spreadsheet)' },
+  { format: EXPORT_FORMATS.JSON, label: 'JSON' },
+  { format: EXPORT_FORMATS.OFX, label: 'OFX (personal finance)' },
+  { format: EXPORT_FORMATS.QFX, label: 'QFX (Quicken)' }
+]
 
 export default function AccountView() {
   const navigate = useNavigate()
@@ -27,6 +46,7 @@ export default function AccountView() {
   const [isBalanceVisible, setIsBalanceVisible] = useState(true)
   const [filteredTransactions, setFilteredTransactions] = useState([])
   const [activeFilters, setActiveFilters] = useState({})
+  const [exportError, setExportError] = useState(null)
 
   // Get real wallet balance with semantic naming
   const { balance: currentWalletBalance, getBalance: refreshWalletBalance } = useWalletBalance()
@@ -100,6 +120,24 @@ export default function AccountView() {
     setActiveFilters(filters)
   }, [enhancedTransactionList])
 
+  // Download the transactions matching the active filters
+  const exportFilteredTransactions = useCallback((format) => {
+    setExportError(null)
+    try {
+      transactionExportService.downloadTransactions({
+        format,
+        filters: activeFilters,
+        transactions: userTransactionHistory
+      })
+    } catch (error) {
+      logger.error('Failed to export transactions:', error)
+      setExportError({
+        title: 'Export failed',
+        message: 'Your transactions could not be exported. Please try again.'
+      })
+    }
+  }, [activeFilters, userTransactionHistory])
+
   // Initially show all transactions
   useEffect(() => {
     if (enhancedTransactionList.length > 0 && filteredTransactions.length === 0) {
@@ -167,7 +205,16 @@ export default function AccountView() {
                     '••••••••'
                   }
                 </h3>
-                <p className="available-balance-card__status">Ready to use</p>
+                {currentWalletBalance?.negativeBalance > 0 ? (
+                  <p className="available-balance-card__status text-red-600">
+                    {isBalanceVisible ?
+                      `$${currentWalletBalance.negativeBalance.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} owed` :
+                      'Balance owed'
+                    } · withdrawals and transfers on hold until repaid
+                  </p>
+                ) : (
+                  <p className="available-balance-card__status">Ready to use</p>
+                )}
               </CardContent>
             </Card>
 
@@ -199,15 +246,36 @@ export default function AccountView() {
               </div>
 
               <div className="transaction-controls">
-                <Button variant="outline" size="sm">
-                  <Download className="w-4 h-4 mr-2" />
-                  Export
-                </Button>
+                <DropdownMenu>
+                  <DropdownMenuTrigger asChild>
+                    <Button variant="outline" size="sm" disabled={userTransactionHistory.length === 0}>
+                      <Download className="w-4 h-4 mr-2" />
+                      Export
+                    </Button>
+                  </DropdownMenuTrigger>
+                  <DropdownMenuContent align="end">
+                    <DropdownMenuLabel>Export filtered transactions</DropdownMenuLabel>
+                    <DropdownMenuSeparator />
+                    {EXPORT_OPTIONS.map(({ format, label }) => (
+                      <DropdownMenuItem key={format} onSelect={() => exportFilteredTransactions(format)}>
+                        {label}
+                      </DropdownMenuItem>
+                    ))}
+                  </DropdownMenuContent>
+                </DropdownMenu>
               </div>
             </div>
           </CardHeader>
 
           <CardContent>
+            {exportError && (
+              <ErrorAlert
+                error={exportError}
+                onDismiss={() => setExportError(null)}
+                className="mb-6"
+              />
+            )}
+
             {/* Transaction Filters */}
             <div className="mb-6">
               <TransactionFilters 
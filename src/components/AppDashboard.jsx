@@ -299,6 +299,17 @@ export default function AppDashboard() {
                     )}
                   </span>
                 </div>
+                {currentWalletBalance?.negativeBalance > 0 && (
+                  <div className="balance-item" title="Withdrawals and transfers are on hold until this is repaid">
+                    <span className="balance-item-label">On hold</span>
+                    <span className="balance-item-value balance-item-value--owed">
+                      {isBalanceVisible ?
+                        `-$${currentWalletBalance.negativeBalance.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}` :
+                        '••••'
+                      }
+                    </span>
+                  </div>
+                )}
                 <div className="balance-item">
                   <span className="balance-item-label">Invested</span>
                   <span className="balance-item-value">
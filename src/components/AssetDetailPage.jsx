@@ -17,6 +17,7 @@ import {
   RefreshCw
 } from 'lucide-react'
 import PageHeader from './shared/PageHeader.jsx'
+import PriceHistoryChart from './PriceHistoryChart.jsx'
 import { assetDataService } from '../services/assetDataService.js'
 import { dataManager } from '../services/DataManager.js'
 
@@ -411,15 +412,7 @@ export default function AssetDetailPage() {
               <CardTitle>Price Chart</CardTitle>
             </CardHeader>
             <CardContent>
-              <div className="h-[400px] flex items-center justify-center bg-gray-50 rounded-lg">
-                <div className="text-center">
-                  <Activity className="w-12 h-12 text-gray-400 mx-auto mb-3" />
-                  <p className="text-gray-600 font-medium">Chart Coming Soon</p>
-                  <p className="text-sm text-gray-500 mt-1">
-                    Price charts will be available in the next update
-                  </p>
-                </div>
-              </div>
+              <PriceHistoryChart symbol={symbol.toUpperCase()} />
             </CardContent>
           </Card>
         </TabsContent>
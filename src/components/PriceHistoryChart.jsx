@@ -0,0 +1,136 @@
+import { useState, useEffect } from 'react'
+import { Area, AreaChart, CartesianGrid, XAxis, YAxis } from 'recharts'
+import { ChartContainer, ChartTooltip, ChartTooltipContent } from '@/components/ui/chart.jsx'
+import { Button } from '@/components/ui/button.jsx'
+import { Activity, RefreshCw } from 'lucide-react'
+import { candleStore } from '../services/marketData/CandleStore.js'
+import { CANDLE_INTERVALS } from '../services/marketData/candles.js'
+import logger from '../utils/logger'
+
+// Candle interval and how many of the latest candles each view shows
+const CHART_VIEWS = [
+  { label: 'Minute', interval: CANDLE_INTERVALS.MINUTE, limit: 120 },
+  { label: 'Hourly', interval: CANDLE_INTERVALS.HOUR, limit: 168 },
+  { label: 'Daily', interval: CANDLE_INTERVALS.DAY, limit: 180 }
+]
+
+const chartConfig = {
+  close: {
+    label: 'Close',
+    color: '#2563eb'
+  }
+}
+
+const formatTime = (time, interval) => {
+  const date = new Date(time)
+  return interval === CANDLE_INTERVALS.DAY
+    ? date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: '2-digit' })
+    : date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+}
+
+const formatPrice = (price) => `$${price.toLocaleString(undefined, { maximumFractionDigits: price < 10 ? 4 : 2 })}`
+
+export default function PriceHistoryChart({ symbol }) {
+  const [view, setView] = useState(CHART_VIEWS[2])
+  const [candles, setCandles] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const loadCandles = async () => {
+      setLoading(true)
+      try {
+        const result = await candleStore.queryCandles(symbol, view.interval, { limit: view.limit })
+        if (!cancelled) setCandles(result)
+      } catch (error) {
+        logger.error('Failed to load price history:', error)
+        if (!cancelled) setCandles([])
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadCandles()
+    return () => {
+      cancelled = true
+    }
+  }, [symbol, view])
+
+  const fromFixtures = candles.length > 0 && candles.every(candle => candle.source === 'fixture')
+
+  return (
+    <div>
+      <div className="flex gap-2 mb-4">
+        {CHART_VIEWS.map(option => (
+          <Button
+            key={option.interval}
+            size="sm"
+            variant={option.interval === view.interval ? 'default' : 'outline'}
+            onClick={() => setView(option)}
+          >
+            {option.label}
+          </Button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="h-[400px] flex items-center justify-center bg-gray-50 rounded-lg">
+          <RefreshCw className="w-8 h-8 text-gray-400 animate-spin" />
+        </div>
+      ) : candles.length === 0 ? (
+        <div className="h-[400px] flex items-center justify-center bg-gray-50 rounded-lg">
+          <div className="text-center">
+            <Activity className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-600 font-medium">No price history yet</p>
+            <p className="text-sm text-gray-500 mt-1">
+              {view.label} candles appear here as prices are recorded
+            </p>
+          </div>
+        </div>
+      ) : (
+        <>
+          <ChartContainer config={chartConfig} className="h-[400px] w-full aspect-auto">
+            <AreaChart data={candles} margin={{ left: 12, right: 12 }}>
+              <CartesianGrid vertical={false} />
+              <XAxis
+                dataKey="time"
+                tickLine={false}
+                axisLine={false}
+                minTickGap={32}
+                tickFormatter={(time) => formatTime(time, view.interval)}
+              />
+              <YAxis
+                domain={['auto', 'auto']}
+                tickLine={false}
+                axisLine={false}
+                width={80}
+                tickFormatter={formatPrice}
+              />
+              <ChartTooltip
+                content={
+                  <ChartTooltipContent
+                    labelFormatter={(_, payload) => formatTime(payload?.[0]?.payload?.time, view.interval)}
+                    formatter={(value) => formatPrice(value)}
+                  />
+                }
+              />
+              <Area
+                dataKey="close"
+                type="monotone"
+                stroke="var(--color-close)"
+                fill="var(--color-close)"
+                fillOpacity={0.15}
+              />
+            </AreaChart>
+          </ChartContainer>
+          {fromFixtures && (
+            <p className="text-xs text-gray-500 mt-2">
+              Showing bundled historical data from {formatTime(candles[0].time, view.interval)} to {formatTime(candles[candles.length - 1].time, view.interval)}
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
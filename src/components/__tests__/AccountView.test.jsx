@@ -4,9 +4,10 @@
  */
 
 import { describe, it, expect, beforeEach, vi } from 'vitest'
-import { render, screen, fireEvent, act } from '@testing-library/react'
+import { render, screen, within, fireEvent, act } from '@testing-library/react'
 import { BrowserRouter } from 'react-router-dom'
 import AccountView from '../AccountView.jsx'
+import { dataManager } from '../../services/DataManager.js'
 
 // Mock the hooks
 vi.mock('../../hooks/useAccountData.js', () => ({
@@ -107,6 +108,19 @@ describe('AccountView Component', () => {
     })
   })
   
+  describe('Negative Balance', () => {
+    it('should show what is owed and that withdrawals are on hold', () => {
+      const balance = dataManager.getBalance()
+      const getBalance = vi.spyOn(dataManager, 'getBalance').mockReturnValue({ ...balance, availableForSpending: 0, negativeBalance: 90 })
+
+      const view = within(renderWithRouter(<AccountView />).container)
+
+      expect(view.getByText(/\$90\.00 owed/)).toHaveTextContent('withdrawals and transfers on hold until repaid')
+      expect(view.queryByText('Ready to use')).not.toBeInTheDocument()
+      getBalance.mockRestore()
+    })
+  })
+  
   describe('Account Actions', () => {
     it('should handle account card interactions', () => {
       renderWithRouter(<AccountView />)
@@ -442,7 +442,13 @@ describe('AssetDetailPage Integration Tests', () => {
 
       await waitFor(() => {
         fireEvent.click(screen.getByText('Chart'))
-        expect(screen.getByText('Chart Coming Soon')).toBeInTheDocument()
+        expect(screen.getByText('Price Chart')).toBeInTheDocument()
+        expect(screen.getByText('Daily')).toBeInTheDocument()
+      })
+
+      // No provider is registered, so daily history comes from the bundled fixtures
+      await waitFor(() => {
+        expect(screen.getByText(/Showing bundled historical data/)).toBeInTheDocument()
       })
     })
 
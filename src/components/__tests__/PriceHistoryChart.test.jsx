@@ -0,0 +1,71 @@
+/**
+ * PriceHistoryChart Tests
+ * Interval switching and empty states on top of the candle store
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { render, within, fireEvent, waitFor } from '@testing-library/react'
+import PriceHistoryChart from '../PriceHistoryChart.jsx'
+
+const { queryCandles } = vi.hoisted(() => ({ queryCandles: vi.fn() }))
+
+vi.mock('../../services/marketData/CandleStore.js', () => ({
+  candleStore: { queryCandles }
+}))
+
+// Rendering the chart is slow on a loaded machine, so allow more than the default second
+const WAIT = { timeout: 5000 }
+
+const START = Date.parse('2022-11-05T00:00:00Z')
+const candles = (source) => [16900, 17100, 16800].map((close, i) => ({
+  symbol: 'BTC',
+  interval: '1d',
+  time: START + i * 86400000,
+  open: close,
+  high: close,
+  low: close,
+  close,
+  volume: 0,
+  source
+}))
+
+describe('PriceHistoryChart', () => {
+  beforeEach(() => {
+    queryCandles.mockReset()
+  })
+
+  it('loads the latest daily candles by default', async () => {
+    queryCandles.mockResolvedValue(candles('live'))
+
+    const { container } = render(<PriceHistoryChart symbol="BTC" />)
+    const chart = within(container)
+
+    expect(queryCandles).toHaveBeenCalledWith('BTC', '1d', { limit: 180 })
+    await waitFor(() => {
+      expect(container.querySelector('.animate-spin')).toBeNull()
+    }, WAIT)
+    expect(chart.queryByText('No price history yet')).not.toBeInTheDocument()
+    expect(chart.queryByText(/Showing bundled historical data/)).not.toBeInTheDocument()
+  })
+
+  it('labels history that comes from the bundled fixtures', async () => {
+    queryCandles.mockResolvedValue(candles('fixture'))
+
+    const { container } = render(<PriceHistoryChart symbol="BTC" />)
+
+    expect(await within(container).findByText(/Showing bundled historical data/, {}, WAIT)).toBeInTheDocument()
+  })
+
+  it('switches interval and shows an empty state without history', async () => {
+    queryCandles.mockResolvedValue([])
+
+    const { container } = render(<PriceHistoryChart symbol="SUI" />)
+    const chart = within(container)
+    await chart.findByText('No price history yet', {}, WAIT)
+
+    fireEvent.click(chart.getByRole('button', { name: 'Minute' }))
+
+    expect(queryCandles).toHaveBeenLastCalledWith('SUI', '1m', { limit: 120 })
+    expect(await chart.findByText('Minute candles appear here as prices are recorded', {}, WAIT)).toBeInTheDocument()
+  })
+})
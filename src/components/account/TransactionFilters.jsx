@@ -16,6 +16,7 @@ import {
   ArrowDownCircle,
   Filter
 } from 'lucide-react'
+import { filterTransactions, TIME_PERIOD_DAYS, SECONDARY_FILTER_TYPES } from '../../utils/transactionFilters.js'
 
 // Primary filter categories
 const FILTER_CATEGORIES = {
@@ -50,27 +51,27 @@ const TIME_PERIODS = {
   week: {
     id: 'week',
     label: 'Last Week',
-    days: 7
+    days: TIME_PERIOD_DAYS.week
   },
   month: {
     id: 'month',
     label: 'Last Month',
-    days: 30
+    days: TIME_PERIOD_DAYS.month
   },
   three_months: {
     id: 'three_months',
     label: 'Last 3 Months',
-    days: 90
+    days: TIME_PERIOD_DAYS.three_months
   },
   six_months: {
     id: 'six_months',
     label: 'Last 6 Months',
-    days: 180
+    days: TIME_PERIOD_DAYS.six_months
   },
   all_time: {
     id: 'all_time',
     label: 'All Time',
-    days: null
+    days: TIME_PERIOD_DAYS.all_time
   }
 }
 
@@ -78,18 +79,18 @@ const TIME_PERIODS = {
 const SECONDARY_FILTERS = {
   banking: {
     all: { id: 'all', label: 'All', icon: null },
-    in: { id: 'in', label: 'Money In', icon: ArrowDownCircle, types: ['add', 'receive'] },
-    out: { id: 'out', label: 'Money Out', icon: ArrowUpCircle, types: ['send', 'withdraw'] }
+    in: { id: 'in', label: 'Money In', icon: ArrowDownCircle, types: SECONDARY_FILTER_TYPES.banking.in },
+    out: { id: 'out', label: 'Money Out', icon: ArrowUpCircle, types: SECONDARY_FILTER_TYPES.banking.out }
   },
   investment: {
     all: { id: 'all', label: 'All', icon: null },
-    buy: { id: 'buy', label: 'Buy', icon: TrendingUp, types: ['buy'] },
-    sell: { id: 'sell', label: 'Sell', icon: TrendingDown, types: ['sell'] }
+    buy: { id: 'buy', label: 'Buy', icon: TrendingUp, types: SECONDARY_FILTER_TYPES.investment.buy },
+    sell: { id: 'sell', label: 'Sell', icon: TrendingDown, types: SECONDARY_FILTER_TYPES.investment.sell }
   },
   yield: {
     all: { id: 'all', label: 'All', icon: null },
-    stake: { id: 'stake', label: 'Stake', icon: TrendingUp, types: ['stake', 'yield'] },
-    unstake: { id: 'unstake', label: 'Unstake', icon: TrendingDown, types: ['unstake'] }
+    stake: { id: 'stake', label: 'Stake', icon: TrendingUp, types: SECONDARY_FILTER_TYPES.yield.stake },
+    unstake: { id: 'unstake', label: 'Unstake', icon: TrendingDown, types: SECONDARY_FILTER_TYPES.yield.unstake }
   }
 }
 
@@ -106,57 +107,17 @@ export default function TransactionFilters({ onFiltersChange, transactions = []
   }, [searchQuery, selectedCategory, selectedPeriod, selectedSecondaryFilter, transactions])
 
   const applyFilters = () => {
-    let filtered = [...transactions]
-
-    // Apply search filter
-    if (searchQuery) {
-      const query = searchQuery.toLowerCase()
-      filtered = filtered.filter(tx => 
-        tx.description?.toLowerCase().includes(query) ||
-        tx.type?.toLowerCase().includes(query) ||
-        tx.asset?.toLowerCase().includes(query) ||
-        tx.txHash?.toLowerCase().includes(query) ||
-        tx.amount?.toString().includes(query)
-      )
-    }
-
-    // Apply category filter
-    if (selectedCategory !== 'all') {
-      filtered = filtered.filter(tx => tx.category === selectedCategory)
-    }
-
-    // Apply time period filter
-    if (selectedPeriod !== 'all_time') {
-      const period = TIME_PERIODS[selectedPeriod]
-      const cutoffDate = new Date()
-      cutoffDate.setDate(cutoffDate.getDate() - period.days)
-      
-      filtered = filtered.filter(tx => {
-        const txDate = new Date(tx.createdAt)
-        return txDate >= cutoffDate
-      })
-    }
-
-    // Apply secondary filter
-    if (selectedSecondaryFilter !== 'all' && selectedCategory !== 'all') {
-      const secondaryFilter = SECONDARY_FILTERS[selectedCategory]?.[selectedSecondaryFilter]
-      if (secondaryFilter?.types) {
-        filtered = filtered.filter(tx => secondaryFilter.types.includes(tx.type))
-      }
+    const filters = {
+      searchQuery,
+      category: selectedCategory,
+      period: selectedPeriod,
+      secondaryFilter: selectedSecondaryFilter
     }
 
-    // Sort by date (newest first)
-    filtered.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-
     // Notify parent component
     onFiltersChange({
-      filtered,
-      filters: {
-        searchQuery,
-        category: selectedCategory,
-        period: selectedPeriod,
-        secondaryFilter: selectedSecondaryFilter
-      }
+      filtered: filterTransactions(transactions, filters),
+      filters
     })
   }
 
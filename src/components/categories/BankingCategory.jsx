@@ -241,6 +241,11 @@ export default function BankingCategory() {
                     <p className="banking-overview-value text-green-600">
                       ${balance?.availableForSpending?.toFixed(2) || '0.00'}
                     </p>
+                    {balance?.negativeBalance > 0 && (
+                      <p className="text-xs text-red-600">
+                        ${balance.negativeBalance.toFixed(2)} owed · withdrawals and transfers on hold
+                      </p>
+                    )}
                   </div>
                 </div>
                 
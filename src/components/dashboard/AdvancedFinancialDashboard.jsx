@@ -6,6 +6,7 @@
 import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { dataManager } from '../../services/DataManager.js'
+import { HISTORICAL_VAR_SOURCES } from '../../services/risk/valueAtRisk.js'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
 import { Button } from '@/components/ui/button.jsx'
 import { Badge } from '@/components/ui/badge.jsx'
@@ -38,7 +39,6 @@ import {
 import PageHeader from '../shared/PageHeader.jsx'
 
 const MOCK_USER_PROFILE = {
-  userId: 'demo_user_12345',
   riskTolerance: 'Moderate',
   annualIncome: 85000,
   filingStatus: 'single',
@@ -47,6 +47,15 @@ const MOCK_USER_PROFILE = {
   charitableGiving: true
 }
 
+const VAR_METHOD_LABELS = {
+  monteCarlo: 'Monte Carlo',
+  parametric: 'Parametric',
+  historical: 'Historical'
+}
+
+// Historical VaR falls back to past crises until there is enough market history
+const STRESSED_VAR_LABEL = 'Stressed (past crises)'
+
 export default function AdvancedFinancialDashboard() {
   const navigate = useNavigate()
   const [dashboardData, setDashboardData] = useState(null)
@@ -58,10 +67,18 @@ export default function AdvancedFinancialDashboard() {
     loadDashboardData()
   }, [selectedTimeframe])
 
+  // Reload for the new profile after a user switch
+  useEffect(() => {
+    return dataManager.subscribe('state:user-switched', () => loadDashboardData())
+  }, [])
+
   const loadDashboardData = async () => {
     try {
       setIsLoading(true)
-      const dashboard = await dataManager.getFinancialDashboard(MOCK_USER_PROFILE)
+      const dashboard = await dataManager.getFinancialDashboard({
+        ...MOCK_USER_PROFILE,
+        userId: dataManager.getCurrentUserId()
+      })
       setDashboardData(dashboard)
     } catch (error) {
       logger.error('Failed to load dashboard data:', error)
@@ -332,6 +349,51 @@ export default function AdvancedFinancialDashboard() {
                   </Card>
                 )}
 
+                {/* Value at Risk */}
+                {dashboardData?.insights?.risk?.valueAtRisk?.headline && (
+                  <Card>
+                    <CardHeader>
+                      <CardTitle className="flex items-center gap-2">
+                        <TrendingDown className="w-5 h-5" />
+                        Value at Risk
+                      </CardTitle>
+                      <CardDescription>
+                        {dashboardData.insights.risk.valueAtRisk.headline.message}
+                      </CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                      <div className="text-center mb-4">
+                        <div className="text-4xl font-bold text-red-600 mb-1">
+                          {formatCurrency(dashboardData.insights.risk.valueAtRisk.headline.amount)}
+                        </div>
+                        <p className="text-sm text-gray-600">
+                          {formatPercentage(dashboardData.insights.risk.valueAtRisk.headline.percent)} of portfolio
+                          {' · '}average loss beyond it {formatCurrency(dashboardData.insights.risk.valueAtRisk.headline.expectedShortfall)}
+                        </p>
+                      </div>
+
+                      <div className="space-y-2">
+                        {Object.entries(dashboardData.insights.risk.valueAtRisk.methods).map(([method, result]) => (
+                          result.levels.map(level => (
+                            <div key={`${method}-${level.confidence}`} className="flex justify-between items-center">
+                              <span className="text-sm">
+                                {result.source === HISTORICAL_VAR_SOURCES.STRESS_SCENARIOS ? STRESSED_VAR_LABEL : VAR_METHOD_LABELS[method] || method} ({Math.round(level.confidence * 100)}%)
+                              </span>
+                              <span className="text-sm font-semibold">
+                                {formatCurrency(level.valueAtRisk)}
+                                <span className="text-gray-500 font-normal"> / {formatCurrency(level.expectedShortfall)}</span>
+                              </span>
+                            </div>
+                          ))
+                        ))}
+                        <p className="text-xs text-gray-500 pt-2">
+                          Value at risk / expected shortfall over {dashboardData.insights.risk.valueAtRisk.horizonDays} days
+                        </p>
+                      </div>
+                    </CardContent>
+                  </Card>
+                )}
+
                 {/* Quick Actions */}
                 <Card>
                   <CardHeader>
@@ -531,9 +593,15 @@ export default function AdvancedFinancialDashboard() {
                       <CardContent>
                         <div className="space-y-3">
                           <div className="flex justify-between">
-                            <span className="text-sm text-gray-600">Target APY:</span>
+                            <span className="text-sm text-gray-600">Supply APY:</span>
                             <span className="font-semibold text-green-600">
-                              {formatPercentage(pool.targetAPY)}
+                              {formatPercentage(pool.lendingRate)}
+                            </span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-sm text-gray-600">Borrow APY:</span>
+                            <span className="font-semibold">
+                              {formatPercentage(pool.borrowingRate)}
                             </span>
                           </div>
                           <div className="flex justify-between">
@@ -0,0 +1,155 @@
+/**
+ * Automation History Component
+ * Lists the user's automations with their upcoming runs and, on request,
+ * the execution journal of each one
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Button } from '@/components/ui/button.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { Calendar, CheckCircle, History, MinusCircle, XCircle } from 'lucide-react'
+import { dataManager } from '../../services/DataManager.js'
+import { AUTOMATION_STATUS, EXECUTION_STATUS } from '../../services/automation/AutomationService.js'
+import logger from '../../utils/logger'
+
+const UPCOMING_RUNS = 3
+const HISTORY_LIMIT = 20
+
+const EXECUTION_STATUS_CONFIG = {
+  [EXECUTION_STATUS.SUCCEEDED]: { label: 'Succeeded', color: 'bg-green-100 text-green-800', icon: CheckCircle },
+  [EXECUTION_STATUS.SKIPPED]: { label: 'Skipped', color: 'bg-gray-100 text-gray-800', icon: MinusCircle },
+  [EXECUTION_STATUS.FAILED]: { label: 'Failed', color: 'bg-red-100 text-red-800', icon: XCircle }
+}
+
+const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString(undefined, {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+})
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount)
+
+// Upcoming runs only apply to scheduled automations that can still run
+const getUpcomingRuns = (automation) => {
+  if (automation.status !== AUTOMATION_STATUS.ACTIVE || !automation.schedule) return []
+
+  try {
+    return dataManager.previewAutomationRuns(automation.id, UPCOMING_RUNS)
+  } catch (error) {
+    logger.warn(`Failed to preview runs for automation ${automation.id}:`, error)
+    return []
+  }
+}
+
+function ExecutionEntry({ entry }) {
+  const status = EXECUTION_STATUS_CONFIG[entry.status] || EXECUTION_STATUS_CONFIG[EXECUTION_STATUS.FAILED]
+  const StatusIcon = status.icon
+
+  return (
+    <li className="automation-history__entry flex items-start justify-between gap-4 py-2" data-testid="automation-history-entry">
+      <div>
+        <p className="text-sm font-medium">{formatDateTime(entry.executedAt || entry.scheduledFor)}</p>
+        {(entry.error || entry.message) && (
+          <p className="text-xs text-gray-600">{entry.error || entry.message}</p>
+        )}
+      </div>
+      <div className="flex items-center gap-2">
+        {entry.amount !== null && entry.amount !== undefined && (
+          <span className="text-sm text-gray-700">{formatCurrency(entry.amount)}</span>
+        )}
+        <Badge className={status.color}>
+          <StatusIcon className="w-3 h-3 mr-1" />
+          {status.label}
+        </Badge>
+      </div>
+    </li>
+  )
+}
+
+function AutomationCard({ automation }) {
+  const [showHistory, setShowHistory] = useState(false)
+  const upcomingRuns = getUpcomingRuns(automation)
+  const history = showHistory ? dataManager.getAutomationHistory(automation.id, { limit: HISTORY_LIMIT }) : []
+
+  return (
+    <Card className="automation-history__card" data-testid={`automation-${automation.id}`}>
+      <CardHeader className="pb-2">
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="text-base">{automation.name}</CardTitle>
+            <CardDescription>
+              {automation.executionCount} runs
+              {automation.lastExecuted ? `, last on ${formatDateTime(automation.lastExecuted)}` : ''}
+            </CardDescription>
+          </div>
+          <Badge variant="outline">{automation.status}</Badge>
+        </div>
+      </CardHeader>
+
+      <CardContent className="space-y-3">
+        {upcomingRuns.length > 0 && (
+          <div className="automation-history__upcoming">
+            <p className="text-sm text-gray-600 flex items-center gap-1 mb-1">
+              <Calendar className="w-3 h-3" />
+              Upcoming runs
+            </p>
+            <ul className="text-sm">
+              {upcomingRuns.map(run => <li key={run}>{formatDateTime(run)}</li>)}
+            </ul>
+          </div>
+        )}
+
+        <Button size="sm" variant="outline" onClick={() => setShowHistory(shown => !shown)}>
+          <History className="w-3 h-3 mr-1" />
+          {showHistory ? 'Hide history' : 'Show history'}
+        </Button>
+
+        {showHistory && (
+          history.length === 0 ? (
+            <p className="automation-history__empty text-sm text-gray-600">This automation has not run yet.</p>
+          ) : (
+            <ul className="automation-history__entries divide-y">
+              {history.map(entry => <ExecutionEntry key={entry.id} entry={entry} />)}
+            </ul>
+          )
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default function AutomationHistory() {
+  const [automations, setAutomations] = useState(() => dataManager.getAllAutomations())
+
+  const refresh = useCallback(() => {
+    // Automations are mutated in place, so copy them to re-render
+    setAutomations(dataManager.getAllAutomations().map(automation => ({ ...automation })))
+  }, [])
+
+  useEffect(() => {
+    const unsubscribers = [
+      dataManager.subscribe('automation:created', refresh),
+      dataManager.subscribe('automation:executed', refresh),
+      dataManager.subscribe('state:user-switched', refresh)
+    ]
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe())
+  }, [refresh])
+
+  if (automations.length === 0) {
+    return null
+  }
+
+  return (
+    <div className="automation-history mt-8">
+      <h2 className="automation-history__title text-xl font-semibold text-gray-900 mb-6">
+        Your Automations
+      </h2>
+      <div className="automation-history__grid grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {automations.map(automation => <AutomationCard key={automation.id} automation={automation} />)}
+      </div>
+    </div>
+  )
+}
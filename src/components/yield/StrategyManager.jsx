@@ -25,6 +25,7 @@ import {
   Plus
 } from 'lucide-react'
 import PageHeader from '../shared/PageHeader.jsx'
+import AutomationHistory from './AutomationHistory.jsx'
 
 // Mock active strategies data
 const MOCK_STRATEGIES = [
@@ -424,6 +425,9 @@ export default function StrategyManager() {
           )}
         </div>
 
+        {/* Automations and their runs */}
+        <AutomationHistory />
+
         {/* Educational Tips */}
         <div className="strategy-manager__tips mt-8">
           <Card className="strategy-manager__tips-card bg-blue-50 border-blue-200">
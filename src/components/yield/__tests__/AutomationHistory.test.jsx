@@ -0,0 +1,106 @@
+/**
+ * AutomationHistory Component Tests
+ */
+
+import { render, within, fireEvent, act } from '@testing-library/react'
+import { vi } from 'vitest'
+
+const { listeners, mockDataManager } = vi.hoisted(() => {
+  const listeners = new Map()
+  const mockDataManager = {
+    getAllAutomations: vi.fn(() => []),
+    getAutomationHistory: vi.fn(() => []),
+    previewAutomationRuns: vi.fn(() => []),
+    subscribe: vi.fn((event, listener) => {
+      listeners.set(event, listener)
+      return () => listeners.delete(event)
+    })
+  }
+  return { listeners, mockDataManager }
+})
+
+vi.mock('../../../services/DataManager.js', () => ({
+  dataManager: mockDataManager
+}))
+
+vi.mock('../../../services/automation/AutomationService.js', () => ({
+  AUTOMATION_STATUS: { ACTIVE: 'active', COMPLETED: 'completed' },
+  EXECUTION_STATUS: { SUCCEEDED: 'succeeded', SKIPPED: 'skipped', FAILED: 'failed' }
+}))
+
+import AutomationHistory from '../AutomationHistory.jsx'
+
+const DEPOSIT = {
+  id: 'auto_1',
+  name: 'Monthly contribution to Emergency Fund',
+  status: 'active',
+  schedule: { type: 'monthly' },
+  executionCount: 2,
+  lastExecuted: Date.UTC(2026, 8, 1)
+}
+
+const HISTORY = [
+  { id: 'run_2', status: 'failed', executedAt: Date.UTC(2026, 8, 1), amount: null, error: 'Insufficient balance' },
+  { id: 'run_1', status: 'succeeded', executedAt: Date.UTC(2026, 7, 1), amount: 100, message: null }
+]
+
+describe('AutomationHistory', () => {
+  beforeEach(() => {
+    listeners.clear()
+    vi.clearAllMocks()
+    mockDataManager.getAllAutomations.mockReturnValue([DEPOSIT])
+    mockDataManager.getAutomationHistory.mockReturnValue(HISTORY)
+    mockDataManager.previewAutomationRuns.mockReturnValue([Date.UTC(2026, 9, 1), Date.UTC(2026, 10, 1)])
+  })
+
+  test('renders nothing when the user has no automations', () => {
+    mockDataManager.getAllAutomations.mockReturnValue([])
+    const { container } = render(<AutomationHistory />)
+
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  test('shows upcoming runs for each automation', () => {
+    const { container } = render(<AutomationHistory />)
+    const card = within(container).getByTestId('automation-auto_1')
+
+    expect(within(card).getByText('Monthly contribution to Emergency Fund')).toBeInTheDocument()
+    expect(within(card).getByText('Upcoming runs')).toBeInTheDocument()
+    expect(within(card).getAllByRole('listitem')).toHaveLength(2)
+    expect(mockDataManager.previewAutomationRuns).toHaveBeenCalledWith('auto_1', 3)
+  })
+
+  test('shows the execution history of an automation on request', () => {
+    const { container } = render(<AutomationHistory />)
+    const card = within(container).getByTestId('automation-auto_1')
+
+    expect(mockDataManager.getAutomationHistory).not.toHaveBeenCalled()
+    fireEvent.click(within(card).getByText('Show history'))
+
+    const entries = within(card).getAllByTestId('automation-history-entry')
+    expect(mockDataManager.getAutomationHistory).toHaveBeenCalledWith('auto_1', { limit: 20 })
+    expect(entries).toHaveLength(2)
+    expect(within(entries[0]).getByText('Failed')).toBeInTheDocument()
+    expect(within(entries[0]).getByText('Insufficient balance')).toBeInTheDocument()
+    expect(within(entries[1]).getByText('Succeeded')).toBeInTheDocument()
+    expect(within(entries[1]).getByText('$100.00')).toBeInTheDocument()
+
+    fireEvent.click(within(card).getByText('Hide history'))
+    expect(within(card).queryAllByTestId('automation-history-entry')).toHaveLength(0)
+  })
+
+  test('refreshes when an automation runs', () => {
+    mockDataManager.getAutomationHistory.mockReturnValue([])
+    const { container } = render(<AutomationHistory />)
+    const card = within(container).getByTestId('automation-auto_1')
+    fireEvent.click(within(card).getByText('Show history'))
+    expect(within(card).getByText('This automation has not run yet.')).toBeInTheDocument()
+
+    mockDataManager.getAutomationHistory.mockReturnValue(HISTORY.slice(1))
+    mockDataManager.getAllAutomations.mockReturnValue([{ ...DEPOSIT, executionCount: 3 }])
+    act(() => listeners.get('automation:executed')(HISTORY[1]))
+
+    expect(within(card).getAllByTestId('automation-history-entry')).toHaveLength(1)
+    expect(within(card).getByText(/3 runs/)).toBeInTheDocument()
+  })
+})
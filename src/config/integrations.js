@@ -78,7 +78,6 @@ export const INTEGRATION_CONFIG = {
       enabled: true,
       publishableKey: getEnvVar('VITE_STRIPE_PUBLISHABLE_KEY'),
       secretKey: getEnvVar('VITE_STRIPE_SECRET_KEY'),
-      webhookSecret: getEnvVar('VITE_STRIPE_WEBHOOK_SECRET'),
       supportedCurrencies: ['USD', 'EUR', 'GBP', 'CAD'],
       supportedPaymentMethods: ['card', 'ach', 'sepa'],
       feeStructure: {
@@ -278,6 +277,14 @@ export const INTEGRATION_CONFIG = {
   blockchain: {
     ethereum: {
       enabled: true,
+      // 'simulated' fabricates responses; 'json-rpc' talks to rpcUrl, e.g. a local Anvil or Hardhat node
+      mode: getEnvVar('VITE_ETHEREUM_PROVIDER_MODE', 'simulated'),
+      rpcUrl: getEnvVar('VITE_ETHEREUM_RPC_URL', 'http://127.0.0.1:8545'),
+      chainId: Number(getEnvVar('VITE_ETHEREUM_CHAIN_ID', 1)),
+      // Token contract overrides, e.g. a mock USDC deployed on the devnet
+      tokens: {
+        USDC: getEnvVar('VITE_ETHEREUM_USDC_ADDRESS')
+      },
       providers: {
         alchemy: {
           apiKey: getEnvVar('VITE_ALCHEMY_API_KEY'),
@@ -308,6 +315,14 @@ export const INTEGRATION_CONFIG = {
 
     solana: {
       enabled: true,
+      // 'simulated' fabricates responses; 'json-rpc' talks to rpcUrl, e.g. solana-test-validator
+      mode: getEnvVar('VITE_SOLANA_PROVIDER_MODE', 'simulated'),
+      rpcUrl: getEnvVar('VITE_SOLANA_RPC_URL', 'http://127.0.0.1:8899'),
+      commitment: 'confirmed',
+      // Mint overrides, e.g. a USDC mint created on solana-test-validator
+      tokens: {
+        USDC: getEnvVar('VITE_SOLANA_USDC_MINT')
+      },
       providers: {
         helius: {
           apiKey: getEnvVar('VITE_HELIUS_API_KEY'),
@@ -337,6 +352,16 @@ export const INTEGRATION_CONFIG = {
           priority: 2
         }
       }
+    },
+
+    sui: {
+      enabled: true,
+      providers: {
+        rpc: {
+          endpoint: 'https://fullnode.mainnet.sui.io:443',
+          priority: 1
+        }
+      }
     }
   },
 
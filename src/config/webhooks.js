@@ -0,0 +1,48 @@
+/**
+ * Webhook Configuration
+ * Credentials for verifying provider callbacks. They are read from plain
+ * (non-VITE_) environment variables, which Vite never bundles, so webhooks
+ * can only be verified server-side where those variables are set.
+ */
+
+// The browser build defines process.env as {} (see vite.config.js)
+const getServerEnvVar = (key, fallback = null) => {
+  return (typeof process !== 'undefined' && process.env?.[key]) || fallback
+}
+
+export const WEBHOOK_CONFIG = {
+  toleranceSeconds: 300, // Max clock skew of a signed timestamp
+  replayWindowSeconds: 86400, // How long delivered event ids are remembered
+
+  kyc: {
+    jumio: {
+      webhookSecret: getServerEnvVar('JUMIO_WEBHOOK_SECRET')
+    },
+    onfido: {
+      webhookToken: getServerEnvVar('ONFIDO_WEBHOOK_TOKEN')
+    }
+  },
+
+  payments: {
+    stripe: {
+      webhookSecret: getServerEnvVar('STRIPE_WEBHOOK_SECRET')
+    },
+    // Signed with PayPal's certificate; the webhook id binds a delivery to this app
+    paypal: {
+      webhookId: getServerEnvVar('PAYPAL_WEBHOOK_ID')
+    },
+    // Signed with an ES256 key fetched from Plaid with the API credentials
+    plaid: {
+      clientId: getServerEnvVar('PLAID_CLIENT_ID'),
+      secret: getServerEnvVar('PLAID_SECRET'),
+      environment: getServerEnvVar('PLAID_ENV', 'sandbox')
+    }
+  }
+}
+
+/**
+ * Webhook credentials of one provider, e.g. getWebhookConfig('kyc', 'jumio')
+ */
+export const getWebhookConfig = (category, provider) => WEBHOOK_CONFIG[category]?.[provider] || {}
+
+export default WEBHOOK_CONFIG
@@ -6,6 +6,7 @@
 import { eventStore, EVENT_TYPES } from '../events/EventStore.js'
 import { securityManager, SECURITY_EVENT_TYPES } from '../security/SecurityManager.js'
 import { checkTransactionRateLimit } from '../utils/advancedRateLimiter.js'
+import { safeGetJSON, safeSetJSON } from '../utils/localStorageHelper.js'
 
 /**
  * Command types for the application
@@ -37,8 +38,27 @@ export const COMMAND_TYPES = {
   UPDATE_USER_PREFERENCES: 'update_user_preferences'
 }
 
+// How long a completed command's result is replayed for its idempotency key
+export const DEFAULT_IDEMPOTENCY_TTL = 24 * 60 * 60 * 1000
+
+// Completed idempotent commands survive reloads so a retried request is not run twice
+const IDEMPOTENCY_STORAGE_KEY = 'diboas_command_idempotency'
+
+/**
+ * Raised when an idempotency key is reused with a different command payload
+ */
+export class IdempotencyConflictError extends Error {
+  constructor(idempotencyKey) {
+    super(`Idempotency key ${idempotencyKey} was already used for a different command`)
+    this.name = 'IdempotencyConflictError'
+    this.idempotencyKey = idempotencyKey
+  }
+}
+
 /**
  * Base Command class
+ * metadata.idempotencyKey - client-generated key (one per user intent, reused on retries)
+ * that makes the command bus run the command at most once
  */
 export class Command {
   constructor(type, aggregateId, data, metadata = {}) {
@@ -226,14 +246,140 @@ export class CreateStrategyHandler extends CommandHandler {
   }
 }
 
+/**
+ * Dedup store for idempotent commands: keeps each key's payload fingerprint and
+ * result (or in-flight promise) until its TTL expires. Completed entries are
+ * persisted under storageKey (null keeps them in memory only)
+ */
+export class IdempotencyStore {
+  constructor({ ttl = DEFAULT_IDEMPOTENCY_TTL, storageKey = IDEMPOTENCY_STORAGE_KEY } = {}) {
+    this.ttl = ttl
+    this.storageKey = storageKey
+    this.entries = new Map() // key -> { fingerprint, promise, result, status, replays, expiresAt }
+    this.load()
+  }
+
+  get(key) {
+    this.purgeExpired()
+    return this.entries.get(key) || null
+  }
+
+  /**
+   * Record a command as in flight so concurrent duplicates wait on the same promise
+   */
+  begin(key, fingerprint, promise) {
+    const entry = {
+      fingerprint,
+      promise,
+      status: 'pending',
+      replays: 0,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + this.ttl
+    }
+    this.entries.set(key, entry)
+    return entry
+  }
+
+  complete(key, result) {
+    const entry = this.entries.get(key)
+    if (entry) {
+      entry.status = 'completed'
+      entry.result = result
+      entry.expiresAt = Date.now() + this.ttl
+      this.persist()
+    }
+  }
+
+  /**
+   * Forget a failed command so a retry with the same key runs again
+   */
+  fail(key) {
+    this.entries.delete(key)
+  }
+
+  purgeExpired(now = Date.now()) {
+    let purged = false
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.status === 'completed' && entry.expiresAt <= now) {
+        this.entries.delete(key)
+        purged = true
+      }
+    }
+    if (purged) {
+      this.persist()
+    }
+  }
+
+  /**
+   * Restore completed entries that have not expired; their results replay as resolved promises
+   */
+  load() {
+    if (!this.storageKey) return
+
+    const now = Date.now()
+    safeGetJSON(this.storageKey, [])
+      .filter(entry => entry.expiresAt > now)
+      .forEach(({ key, fingerprint, result, replays, createdAt, expiresAt }) => {
+        this.entries.set(key, {
+          fingerprint,
+          promise: Promise.resolve(result),
+          result,
+          status: 'completed',
+          replays,
+          createdAt,
+          expiresAt
+        })
+      })
+  }
+
+  /**
+   * In-flight commands are not persisted: after a reload they never completed
+   */
+  persist() {
+    if (!this.storageKey) return
+
+    const completed = [...this.entries.entries()]
+      .filter(([, entry]) => entry.status === 'completed')
+      .map(([key, { fingerprint, result, replays, createdAt, expiresAt }]) => ({
+        key, fingerprint, result, replays, createdAt, expiresAt
+      }))
+    safeSetJSON(this.storageKey, completed)
+  }
+
+  getStatistics() {
+    this.purgeExpired()
+    const entries = [...this.entries.values()]
+    return {
+      entries: entries.length,
+      pending: entries.filter(entry => entry.status === 'pending').length,
+      replays: entries.reduce((total, entry) => total + entry.replays, 0),
+      ttl: this.ttl
+    }
+  }
+
+  clear() {
+    this.entries.clear()
+    this.persist()
+  }
+}
+
 /**
  * Command Bus - coordinates command handling
  */
 export class CommandBus {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {number} options.idempotencyTTL - Milliseconds a result is replayed for its idempotency key
+   * @param {string|null} options.idempotencyStorageKey - localStorage key for completed commands (null: memory only)
+   */
+  constructor(options = {}) {
     this.handlers = new Map()
     this.middleware = []
     this.commandHistory = []
+    this.idempotencyStore = new IdempotencyStore({
+      ttl: options.idempotencyTTL,
+      storageKey: options.idempotencyStorageKey
+    })
     
     this.registerDefaultHandlers()
   }
@@ -262,9 +408,65 @@ export class CommandBus {
   }
 
   /**
-   * Execute a command
+   * Execute a command; commands carrying an idempotency key run at most once per key
    */
   async execute(command) {
+    const idempotencyKey = command.metadata?.idempotencyKey
+    if (idempotencyKey) {
+      return this.executeIdempotent(command, idempotencyKey)
+    }
+
+    return this.dispatch(command)
+  }
+
+  /**
+   * Run a command once per idempotency key, replaying the original result for duplicates
+   */
+  async executeIdempotent(command, idempotencyKey) {
+    // Keys are scoped per user so two users cannot collide on the same client-generated key
+    const key = `${command.metadata.userId}:${idempotencyKey}`
+    const fingerprint = this.fingerprintCommand(command)
+    const existing = this.idempotencyStore.get(key)
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        securityManager.logSecurityEvent(SECURITY_EVENT_TYPES.SECURITY_VIOLATION, {
+          action: 'idempotency_conflict',
+          commandType: command.type,
+          commandId: command.id,
+          idempotencyKey,
+          severity: 'medium'
+        })
+        throw new IdempotencyConflictError(idempotencyKey)
+      }
+
+      existing.replays++
+      securityManager.logSecurityEvent(SECURITY_EVENT_TYPES.FINANCIAL_OPERATION, {
+        action: 'command_replayed',
+        commandType: command.type,
+        commandId: command.id,
+        idempotencyKey
+      })
+      return existing.promise
+    }
+
+    const promise = this.dispatch(command)
+    this.idempotencyStore.begin(key, fingerprint, promise)
+
+    try {
+      const result = await promise
+      this.idempotencyStore.complete(key, result)
+      return result
+    } catch (error) {
+      this.idempotencyStore.fail(key)
+      throw error
+    }
+  }
+
+  /**
+   * Run middleware, validation and the handler for a command
+   */
+  async dispatch(command) {
     try {
       // Security logging
       securityManager.logSecurityEvent(SECURITY_EVENT_TYPES.FINANCIAL_OPERATION, {
@@ -331,6 +533,17 @@ export class CommandBus {
     }
   }
 
+  /**
+   * Stable fingerprint of what a command asks for, used to detect key reuse with a different payload
+   */
+  fingerprintCommand(command) {
+    return stableStringify({
+      type: command.type,
+      aggregateId: command.aggregateId,
+      data: command.data
+    })
+  }
+
   /**
    * Get command execution history
    */
@@ -360,7 +573,8 @@ export class CommandBus {
       totalCommands: this.commandHistory.length,
       registeredHandlers: this.handlers.size,
       activeMiddleware: this.middleware.length,
-      typeStatistics: typeStats
+      typeStatistics: typeStats,
+      idempotency: this.idempotencyStore.getStatistics()
     }
   }
 
@@ -369,7 +583,21 @@ export class CommandBus {
    */
   reset() {
     this.commandHistory = []
+    this.idempotencyStore.clear()
+  }
+}
+
+/**
+ * JSON with object keys sorted, so equal payloads fingerprint equally regardless of key order
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
   }
+  return JSON.stringify(value) ?? 'null'
 }
 
 // Global command bus instance
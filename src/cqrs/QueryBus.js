@@ -402,12 +402,14 @@ export class QueryBus {
 
   /**
    * Create and maintain read models
+   * @param {Object} options - { fromPosition, resume } passed to the event store catch-up
+   * @returns {Promise<Object>} Read model status once it has caught up with the event log
    */
-  createReadModel(name, projection) {
+  createReadModel(name, projection, options = {}) {
     this.readModels.set(name, projection)
     
     // Register projection with event store
-    eventStore.registerProjection(name, projection)
+    return eventStore.registerProjection(name, projection, options)
   }
 
   /**
@@ -417,6 +419,23 @@ export class QueryBus {
     return eventStore.getProjection(name)
   }
 
+  /**
+   * Rebuild a read model from the full event log
+   */
+  rebuildReadModel(name) {
+    if (!this.readModels.has(name)) {
+      throw new Error(`Read model ${name} is not registered`)
+    }
+    return eventStore.rebuildProjection(name)
+  }
+
+  /**
+   * Get read model catch-up status (lag, last position, errors)
+   */
+  getReadModelStatus(name) {
+    return eventStore.getProjectionStatus(name)
+  }
+
   /**
    * Get query execution history
    */
@@ -6,8 +6,10 @@ import {
   CreateTransactionHandler,
   UpdateBalanceHandler,
   CreateStrategyHandler,
+  IdempotencyConflictError,
   COMMAND_TYPES
 } from '../CommandBus.js'
+import { eventStore } from '../../events/EventStore.js'
 
 // Mock event store
 vi.mock('../../events/EventStore.js', () => ({
@@ -448,4 +450,107 @@ describe('CommandBus', () => {
       expect(commandBus.commandHistory[0].error).toBe('Handler execution failed')
     })
   })
-})
\ No newline at end of file
+
+  describe('Idempotency', () => {
+    const deposit = (idempotencyKey, amount = 100, userId = 'user123') => new Command(
+      COMMAND_TYPES.CREATE_TRANSACTION,
+      userId,
+      { type: 'add', amount, asset: 'USDC', userId },
+      { userId, idempotencyKey }
+    )
+
+    it('should return the original result when a key is replayed', async () => {
+      const first = await commandBus.execute(deposit('deposit-1'))
+      const replay = await commandBus.execute(deposit('deposit-1'))
+
+      expect(replay).toBe(first)
+      expect(eventStore.appendEvent).toHaveBeenCalledTimes(1)
+      expect(commandBus.getStatistics().idempotency).toMatchObject({ entries: 1, replays: 1 })
+    })
+
+    it('should run concurrent duplicates only once', async () => {
+      const [first, second] = await Promise.all([
+        commandBus.execute(deposit('double-click')),
+        commandBus.execute(deposit('double-click'))
+      ])
+
+      expect(second).toBe(first)
+      expect(eventStore.appendEvent).toHaveBeenCalledTimes(1)
+    })
+
+    it('should reject a reused key with a different payload', async () => {
+      await commandBus.execute(deposit('deposit-2', 100))
+
+      await expect(commandBus.execute(deposit('deposit-2', 250))).rejects.toThrow(IdempotencyConflictError)
+      expect(eventStore.appendEvent).toHaveBeenCalledTimes(1)
+    })
+
+    it('should ignore key order when comparing payloads', async () => {
+      await commandBus.execute(deposit('deposit-3'))
+      const reordered = new Command(
+        COMMAND_TYPES.CREATE_TRANSACTION,
+        'user123',
+        { userId: 'user123', asset: 'USDC', amount: 100, type: 'add' },
+        { userId: 'user123', idempotencyKey: 'deposit-3' }
+      )
+
+      await expect(commandBus.execute(reordered)).resolves.toMatchObject({ success: true })
+      expect(eventStore.appendEvent).toHaveBeenCalledTimes(1)
+    })
+
+    it('should scope keys per user', async () => {
+      await commandBus.execute(deposit('shared-key', 100, 'user123'))
+      await commandBus.execute(deposit('shared-key', 100, 'user456'))
+
+      expect(eventStore.appendEvent).toHaveBeenCalledTimes(2)
+    })
+
+    it('should allow a retry after a failed attempt', async () => {
+      eventStore.appendEvent.mockRejectedValueOnce(new Error('Storage unavailable'))
+
+      await expect(commandBus.execute(deposit('deposit-4'))).rejects.toThrow('Storage unavailable')
+      await expect(commandBus.execute(deposit('deposit-4'))).resolves.toMatchObject({ success: true })
+      expect(eventStore.appendEvent).toHaveBeenCalledTimes(2)
+    })
+
+    it('should replay completed commands after a reload', async () => {
+      const first = await commandBus.execute(deposit('deposit-6'))
+
+      const reloadedBus = new CommandBus()
+      const replay = await reloadedBus.execute(deposit('deposit-6'))
+
+      expect(replay).toEqual(first)
+      expect(eventStore.appendEvent).toHaveBeenCalledTimes(1)
+      await expect(reloadedBus.execute(deposit('deposit-6', 250))).rejects.toThrow(IdempotencyConflictError)
+    })
+
+    it('should not restore keys whose TTL has passed', async () => {
+      vi.useFakeTimers()
+      try {
+        await new CommandBus({ idempotencyTTL: 1000 }).execute(deposit('deposit-7'))
+
+        vi.advanceTimersByTime(1001)
+        await new CommandBus({ idempotencyTTL: 1000 }).execute(deposit('deposit-7'))
+
+        expect(eventStore.appendEvent).toHaveBeenCalledTimes(2)
+      } finally {
+        vi.useRealTimers()
+      }
+    })
+
+    it('should run the command again once the key has expired', async () => {
+      vi.useFakeTimers()
+      try {
+        const shortLivedBus = new CommandBus({ idempotencyTTL: 1000 })
+        await shortLivedBus.execute(deposit('deposit-5'))
+
+        vi.advanceTimersByTime(1001)
+        await shortLivedBus.execute(deposit('deposit-5'))
+
+        expect(eventStore.appendEvent).toHaveBeenCalledTimes(2)
+      } finally {
+        vi.useRealTimers()
+      }
+    })
+  })
+})
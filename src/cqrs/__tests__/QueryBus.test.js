@@ -19,7 +19,9 @@ vi.mock('../../events/EventStore.js', () => ({
     eventLog: [],
     getEventsByType: vi.fn().mockReturnValue([]),
     registerProjection: vi.fn(),
-    getProjection: vi.fn()
+    rebuildProjection: vi.fn(),
+    getProjection: vi.fn(),
+    getProjectionStatus: vi.fn()
   }
 }))
 
@@ -389,7 +391,19 @@ describe('QueryBus', () => {
 
       expect(queryBus.readModels.size).toBe(1)
       expect(queryBus.readModels.has('test_projection')).toBe(true)
-      expect(eventStore.registerProjection).toHaveBeenCalledWith('test_projection', projection)
+      expect(eventStore.registerProjection).toHaveBeenCalledWith('test_projection', projection, {})
+    })
+
+    it('should rebuild registered read models and report their status', () => {
+      const status = { status: 'live', position: 12, lag: 0, errors: [] }
+      eventStore.getProjectionStatus.mockReturnValue(status)
+      queryBus.createReadModel('test_projection', { handles: () => true, handle: vi.fn(), getState: () => ({}) })
+
+      queryBus.rebuildReadModel('test_projection')
+
+      expect(eventStore.rebuildProjection).toHaveBeenCalledWith('test_projection')
+      expect(queryBus.getReadModelStatus('test_projection')).toBe(status)
+      expect(() => queryBus.rebuildReadModel('unknown')).toThrow('Read model unknown is not registered')
     })
 
     it('should retrieve read model state', () => {
@@ -237,15 +237,18 @@ export class Money {
     }
     
     // SECURITY: Validate currency format and prevent injection
-    if (!/^[A-Z]{2,10}$/.test(currency.toUpperCase())) {
-      throw new Error('Currency must be 2-10 uppercase letters')
+    // Tickers start with a letter and may contain digits (e.g. MAG7)
+    if (!/^[A-Z][A-Z0-9]{1,9}$/.test(currency.toUpperCase())) {
+      throw new Error('Currency must be 2-10 uppercase letters or digits')
     }
     
     // SECURITY: Whitelist of supported currencies to prevent unknown currency attacks
     const SUPPORTED_CURRENCIES = [
       'USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'CNY',
       'BTC', 'ETH', 'USDC', 'USDT', 'DAI', 'WETH', 'MATIC', 'SOL',
-      'BUSD', 'SHIB', 'DOGE', 'ADA', 'DOT', 'AVAX', 'UNI'
+      'BUSD', 'SHIB', 'DOGE', 'ADA', 'DOT', 'AVAX', 'UNI', 'SUI',
+      // Tokenized real-world assets tracked in the portfolio
+      'PAXG', 'XAUT', 'MAG7', 'SPX', 'REIT'
     ]
     
     if (!SUPPORTED_CURRENCIES.includes(currency.toUpperCase())) {
@@ -305,6 +308,30 @@ export class Money {
     return `${this._amount.toFixed(precision)} ${this._currency}`
   }
 
+  /**
+   * Amount in integer minor units of the currency (cents, satoshis, ...)
+   * Balance arithmetic is done on these integers so repeated operations never drift
+   * @returns {bigint}
+   */
+  toMinorUnits() {
+    const scale = new Decimal(10).pow(this.getPrecisionForCurrency(this._currency))
+    return BigInt(this._amount.times(scale).toDecimalPlaces(0, Decimal.ROUND_HALF_UP).toFixed(0))
+  }
+
+  /**
+   * Build Money from integer minor units (inverse of toMinorUnits)
+   * @param {bigint|number|string} units - Integer amount of minor units
+   * @param {string} currency - Currency code
+   */
+  static fromMinorUnits(units, currency) {
+    const decimalUnits = new Decimal(units.toString())
+    if (!decimalUnits.isInteger()) {
+      throw new Error('Minor units must be an integer')
+    }
+    const scale = new Decimal(10).pow(Money.prototype.getPrecisionForCurrency(currency))
+    return new Money(decimalUnits.dividedBy(scale).toString(), currency)
+  }
+
   /**
    * Serialization for persistence - Store as string to preserve precision
    */
@@ -97,6 +97,30 @@ describe('Money Value Object - Decimal.js Integration', () => {
     })
   })
   
+  describe('Minor Units', () => {
+    it('should convert to integer minor units per currency precision', () => {
+      expect(Money.usd('12.34').toMinorUnits()).toBe(1234n)
+      expect(new Money('0.1', 'USDC').toMinorUnits()).toBe(100000n)
+      expect(Money.btc('0.00000001').toMinorUnits()).toBe(1n)
+    })
+    
+    it('should round trip through minor units without drift', () => {
+      const original = new Money('1234.567891', 'USDC')
+      const restored = Money.fromMinorUnits(original.toMinorUnits(), 'USDC')
+      
+      expect(restored.equals(original)).toBe(true)
+    })
+    
+    it('should reject fractional minor units', () => {
+      expect(() => Money.fromMinorUnits('1.5', 'USD')).toThrow('Minor units must be an integer')
+    })
+    
+    it('should support tokenized portfolio assets', () => {
+      expect(new Money('0.5', 'MAG7').currency).toBe('MAG7')
+      expect(new Money('1.25', 'SUI').toMinorUnits()).toBe(1250000n)
+    })
+  })
+  
   describe('Serialization', () => {
     it('should serialize and deserialize without precision loss', () => {
       const original = Money.btc('0.12345678')
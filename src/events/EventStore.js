@@ -4,8 +4,37 @@
  */
 
 import { securityManager, SECURITY_EVENT_TYPES } from '../security/SecurityManager.js'
+import { IndexedDBEventStorage } from './IndexedDBEventStorage.js'
 import logger from '../utils/logger'
 
+/**
+ * Shape version of stored events. Bump it together with a registerMigration()
+ * upcaster when the event format changes; older events are upgraded on read.
+ */
+export const EVENT_SCHEMA_VERSION = 1
+
+/**
+ * Projection lifecycle: catching up (or rebuilding) from the log, then live
+ */
+export const PROJECTION_STATUS = {
+  CATCHING_UP: 'catching_up',
+  REBUILDING: 'rebuilding',
+  LIVE: 'live',
+  FAILED: 'failed'
+}
+
+/**
+ * What persistent storage keeps once a snapshot covers part of a stream
+ */
+export const EVENT_RETENTION = {
+  FULL_HISTORY: 'full_history', // snapshotted events stay on disk for readEvents and projection rebuilds
+  SINCE_SNAPSHOT: 'since_snapshot' // snapshotted events are deleted from disk once the snapshot is stored
+}
+
+const CATCH_UP_PAGE_SIZE = 500
+const CHECKPOINT_INTERVAL = 100 // events between projection checkpoints
+const MAX_PROJECTION_ERRORS = 10
+
 /**
  * Event types for the financial domain
  */
@@ -50,14 +79,30 @@ export const EVENT_TYPES = {
  * Event Store for managing domain events
  */
 export class EventStore {
-  constructor() {
-    this.events = new Map() // aggregateId -> events[]
+  /**
+   * @param {Object} options
+   * @param {Object|null} options.storage - Persistent event storage; null keeps the store in memory only
+   * @param {number} options.schemaVersion - Event shape version written by this store
+   * @param {string} options.retention - One of EVENT_RETENTION (default FULL_HISTORY)
+   */
+  constructor(options = {}) {
+    this.events = new Map() // aggregateId -> events[] held in memory (after the latest snapshot once compacted)
     this.eventLog = [] // Chronological event log
     this.snapshots = new Map() // aggregateId -> snapshot
     this.subscriptions = new Map() // eventType -> subscribers[]
     this.projections = new Map() // projectionName -> projection
+    this.projectionStatus = new Map() // projectionName -> position, status and errors
+    this.projectionTasks = new Map() // projectionName -> running catch-up promise
+    this.streamVersions = new Map() // aggregateId -> head version, including compacted events
+    this.migrations = new Map() // schemaVersion -> upcaster to schemaVersion + 1
+    this.pendingWrites = [] // Events whose persistence failed, retried by saveToStorage
     this.currentVersion = 0
-    
+
+    this.storage = options.storage !== undefined ? options.storage : new IndexedDBEventStorage()
+    this.schemaVersion = options.schemaVersion || EVENT_SCHEMA_VERSION
+    this.retention = options.retention || EVENT_RETENTION.FULL_HISTORY
+    this.persistenceEnabled = false
+
     this.initializeEventStore()
   }
 
@@ -65,8 +110,8 @@ export class EventStore {
    * Initialize the event store
    */
   initializeEventStore() {
-    // Load snapshots and events from persistent storage (simulated)
-    this.loadFromStorage()
+    // Load snapshots and events from persistent storage; appends wait for this
+    this.ready = this.loadFromStorage()
     
     // Log initialization
     securityManager.logSecurityEvent(SECURITY_EVENT_TYPES.FINANCIAL_OPERATION, {
@@ -80,14 +125,15 @@ export class EventStore {
    * Append event to the store
    */
   async appendEvent(aggregateId, eventType, eventData, expectedVersion = null) {
+    await this.ready
+
     // Security validation
     if (!this.validateEvent(aggregateId, eventType, eventData)) {
       throw new Error('Invalid event data')
     }
 
     // Check version for optimistic concurrency control
-    const currentEvents = this.events.get(aggregateId) || []
-    const currentVersion = currentEvents.length
+    const currentVersion = this.getStreamVersion(aggregateId)
     
     if (expectedVersion !== null && expectedVersion !== currentVersion) {
       throw new Error(`Concurrency conflict. Expected version ${expectedVersion}, got ${currentVersion}`)
@@ -100,6 +146,8 @@ export class EventStore {
       eventType,
       eventData,
       version: currentVersion + 1,
+      sequence: this.currentVersion + 1,
+      schemaVersion: this.schemaVersion,
       timestamp: Date.now(),
       metadata: {
         userId: eventData.userId || 'system',
@@ -114,8 +162,11 @@ export class EventStore {
     }
     this.events.get(aggregateId).push(event)
     this.eventLog.push(event)
+    this.streamVersions.set(aggregateId, event.version)
     this.currentVersion++
 
+    await this.persistEvent(event)
+
     // Log security event for financial operations
     if (this.isFinancialEvent(eventType)) {
       securityManager.logSecurityEvent(SECURITY_EVENT_TYPES.FINANCIAL_OPERATION, {
@@ -137,11 +188,26 @@ export class EventStore {
   }
 
   /**
-   * Get events for an aggregate
+   * Get in-memory events for an aggregate
+   * @param {Object} page - { limit, offset } applied after the version filter
    */
-  getEvents(aggregateId, fromVersion = 0) {
+  getEvents(aggregateId, fromVersion = 0, page = {}) {
     const events = this.events.get(aggregateId) || []
-    return events.filter(event => event.version > fromVersion)
+    return this.paginate(events.filter(event => event.version > fromVersion), page)
+  }
+
+  /**
+   * Read a page of an aggregate's full stream, including events compacted out of memory
+   */
+  async readEvents(aggregateId, { fromVersion = 0, limit = null, offset = 0 } = {}) {
+    await this.ready
+
+    if (!this.persistenceEnabled) {
+      return this.getEvents(aggregateId, fromVersion, { limit, offset })
+    }
+
+    const events = await this.storage.readStream(aggregateId, { fromVersion, limit, offset })
+    return events.map(event => this.migrateEvent(event))
   }
 
   /**
@@ -156,12 +222,27 @@ export class EventStore {
   }
 
   /**
-   * Get events by time range
+   * Get in-memory events by time range
+   * @param {Object} page - { limit, offset }
    */
-  getEventsByTimeRange(startTime, endTime) {
-    return this.eventLog.filter(event => 
+  getEventsByTimeRange(startTime, endTime, page = {}) {
+    return this.paginate(this.eventLog.filter(event => 
       event.timestamp >= startTime && event.timestamp <= endTime
-    )
+    ), page)
+  }
+
+  /**
+   * Read a page of persisted events by time range, including compacted history
+   */
+  async readEventsByTimeRange(startTime, endTime, { limit = null, offset = 0 } = {}) {
+    await this.ready
+
+    if (!this.persistenceEnabled) {
+      return this.getEventsByTimeRange(startTime, endTime, { limit, offset })
+    }
+
+    const events = await this.storage.readByTimeRange(startTime, endTime, { limit, offset })
+    return events.map(event => this.migrateEvent(event))
   }
 
   /**
@@ -187,27 +268,109 @@ export class EventStore {
 
   /**
    * Create snapshot for aggregate
+   * With persistence enabled the snapshot is stored and the events it covers are
+   * compacted out of memory. By default they stay on disk and remain readable via
+   * readEvents; with SINCE_SNAPSHOT retention they are deleted from disk as well,
+   * so readEvents and projection rebuilds only see events after the snapshot.
    */
-  createSnapshot(aggregateId, state) {
-    const events = this.events.get(aggregateId) || []
+  createSnapshot(aggregateId, state, { compact = this.persistenceEnabled } = {}) {
     const snapshot = {
       aggregateId,
       state,
-      version: events.length,
+      version: this.getStreamVersion(aggregateId),
       timestamp: Date.now()
     }
     
     this.snapshots.set(aggregateId, snapshot)
+
+    if (this.persistenceEnabled) {
+      this.persistSnapshot(snapshot, { prune: compact && this.retention === EVENT_RETENTION.SINCE_SNAPSHOT }).catch(error => {
+        logger.error(`Failed to persist snapshot for ${aggregateId}:`, error)
+      })
+    }
+
+    if (compact) {
+      this.compactStream(aggregateId, snapshot.version)
+    }
     
     securityManager.logSecurityEvent(SECURITY_EVENT_TYPES.FINANCIAL_OPERATION, {
       action: 'snapshot_created',
       aggregateId,
-      version: snapshot.version
+      version: snapshot.version,
+      compacted: compact
     })
     
     return snapshot
   }
 
+  /**
+   * Store a snapshot, then optionally delete the events it covers from storage.
+   * Events are only deleted once the snapshot that replaces them is saved.
+   */
+  async persistSnapshot(snapshot, { prune = false } = {}) {
+    const saved = await this.storage.saveSnapshot(snapshot)
+    if (!saved || !prune) return 0
+
+    const deleted = await this.storage.deleteEvents(snapshot.aggregateId, snapshot.version)
+    securityManager.logSecurityEvent(SECURITY_EVENT_TYPES.FINANCIAL_OPERATION, {
+      action: 'snapshotted_events_deleted',
+      aggregateId: snapshot.aggregateId,
+      version: snapshot.version,
+      deleted
+    })
+    return deleted
+  }
+
+  /**
+   * Drop in-memory events at or below a snapshot version
+   */
+  compactStream(aggregateId, version) {
+    const pendingIds = new Set(this.pendingWrites.map(event => event.id))
+    const isCompacted = event => event.aggregateId === aggregateId && event.version <= version && !pendingIds.has(event.id)
+
+    this.events.set(aggregateId, (this.events.get(aggregateId) || []).filter(event => !isCompacted(event)))
+    this.eventLog = this.eventLog.filter(event => !isCompacted(event))
+  }
+
+  /**
+   * Current head version of an aggregate's stream
+   */
+  getStreamVersion(aggregateId) {
+    return this.streamVersions.get(aggregateId) || 0
+  }
+
+  /**
+   * Register an upcaster for events stored with an older schema version.
+   * Register before awaiting `ready` so events are upgraded as they load.
+   * @param {number} fromVersion - Schema version the upcaster reads
+   * @param {Function} migrate - (event) => event in the fromVersion + 1 shape
+   */
+  registerMigration(fromVersion, migrate) {
+    if (typeof migrate !== 'function') {
+      throw new Error('Event migration must be a function')
+    }
+    this.migrations.set(fromVersion, migrate)
+  }
+
+  /**
+   * Upgrade a stored event to the current schema version
+   */
+  migrateEvent(event) {
+    let migrated = event
+    let version = event.schemaVersion || 1
+
+    while (version < this.schemaVersion) {
+      const migrate = this.migrations.get(version)
+      if (!migrate) {
+        throw new Error(`No event migration registered from schema version ${version}`)
+      }
+      migrated = { ...migrate(migrated), schemaVersion: version + 1 }
+      version++
+    }
+
+    return migrated
+  }
+
   /**
    * Subscribe to events
    */
@@ -254,21 +417,99 @@ export class EventStore {
   }
 
   /**
-   * Register projection
+   * Register projection and catch it up from the event log before it goes live
+   * @param {Object} options
+   * @param {number} options.fromPosition - Global event sequence to start after (0 = full history)
+   * @param {boolean} options.resume - Resume from a stored checkpoint when the projection implements loadState()
+   * @returns {Promise<Object>} Projection status once caught up
    */
-  registerProjection(name, projection) {
+  registerProjection(name, projection, { fromPosition = 0, resume = true } = {}) {
     this.projections.set(name, projection)
-    
-    // Initialize projection with existing events
-    for (const event of this.eventLog) {
-      if (projection.handles(event.eventType)) {
-        try {
-          projection.handle(event)
-        } catch (error) {
-          logger.error(`Failed to initialize projection ${name}:`, error)
+    this.projectionStatus.set(name, {
+      name,
+      status: PROJECTION_STATUS.CATCHING_UP,
+      position: fromPosition,
+      eventsProcessed: 0,
+      errors: [],
+      lastCheckpoint: null,
+      lastCheckpointPosition: fromPosition,
+      updatedAt: Date.now()
+    })
+
+    const task = this.catchUpProjection(name, { resume })
+    this.projectionTasks.set(name, task)
+    return task
+  }
+
+  /**
+   * Reset a projection and replay the full event log into it
+   * @returns {Promise<Object>} Projection status once rebuilt
+   */
+  async rebuildProjection(name) {
+    const projection = this.projections.get(name)
+    if (!projection) {
+      throw new Error(`Projection ${name} is not registered`)
+    }
+    if (typeof projection.reset !== 'function') {
+      throw new Error(`Projection ${name} cannot be rebuilt without a reset() method`)
+    }
+
+    // Let a running catch-up finish before starting over
+    await this.projectionTasks.get(name)
+
+    projection.reset()
+    Object.assign(this.projectionStatus.get(name), {
+      status: PROJECTION_STATUS.REBUILDING,
+      position: 0,
+      eventsProcessed: 0,
+      errors: [],
+      lastCheckpointPosition: 0,
+      updatedAt: Date.now()
+    })
+
+    const task = this.catchUpProjection(name)
+    this.projectionTasks.set(name, task)
+    return task
+  }
+
+  /**
+   * Replay events after the projection's position, page by page, then mark it live.
+   * Live events are held back from catching-up projections and picked up here instead.
+   */
+  async catchUpProjection(name, { resume = false } = {}) {
+    await this.ready
+
+    const projection = this.projections.get(name)
+    const status = this.projectionStatus.get(name)
+
+    try {
+      if (resume) {
+        await this.restoreProjectionCheckpoint(name, projection, status)
+      }
+
+      while (this.projections.get(name) === projection) {
+        const page = await this.readLogPage(status.position, CATCH_UP_PAGE_SIZE)
+
+        if (page.length === 0) {
+          // Appends that landed while the page was loading are replayed on the next pass
+          if ((this.eventLog[this.eventLog.length - 1]?.sequence || 0) > status.position) continue
+          break
+        }
+
+        for (const event of page) {
+          await this.applyProjectionEvent(name, projection, status, event)
         }
       }
+
+      status.status = PROJECTION_STATUS.LIVE
+      status.updatedAt = Date.now()
+      await this.checkpointProjection(name)
+    } catch (error) {
+      status.status = PROJECTION_STATUS.FAILED
+      this.recordProjectionError(name, status, null, error)
     }
+
+    return this.getProjectionStatus(name)
   }
 
   /**
@@ -276,22 +517,64 @@ export class EventStore {
    */
   async updateProjections(event) {
     for (const [name, projection] of this.projections.entries()) {
-      if (projection.handles(event.eventType)) {
-        try {
-          await projection.handle(event)
-        } catch (error) {
-          securityManager.logSecurityEvent(SECURITY_EVENT_TYPES.SECURITY_VIOLATION, {
-            action: 'projection_update_failed',
-            projectionName: name,
-            eventType: event.eventType,
-            error: error.message,
-            severity: 'medium'
-          })
-        }
-      }
+      const status = this.projectionStatus.get(name)
+      if (status?.status !== PROJECTION_STATUS.LIVE || status.position >= event.sequence) continue
+
+      await this.applyProjectionEvent(name, projection, status, event)
     }
   }
 
+  /**
+   * Store a projection's position, and its state when it can be restored with loadState()
+   */
+  async checkpointProjection(name) {
+    const projection = this.projections.get(name)
+    const status = this.projectionStatus.get(name)
+    if (!this.persistenceEnabled || !projection || !status) return false
+
+    const saved = await this.storage.saveCheckpoint({
+      name,
+      position: status.position,
+      state: typeof projection.loadState === 'function' ? projection.getState() : null,
+      updatedAt: Date.now()
+    })
+
+    if (saved) {
+      status.lastCheckpoint = Date.now()
+      status.lastCheckpointPosition = status.position
+    }
+    return saved
+  }
+
+  /**
+   * Get catch-up status for a projection
+   * @returns {Object|null} { status, position, headPosition, lag, errors, lastError, lastCheckpoint }
+   */
+  getProjectionStatus(name) {
+    const status = this.projectionStatus.get(name)
+    if (!status) return null
+
+    return {
+      name,
+      status: status.status,
+      position: status.position,
+      headPosition: this.currentVersion,
+      lag: Math.max(0, this.currentVersion - status.position),
+      eventsProcessed: status.eventsProcessed,
+      errors: [...status.errors],
+      lastError: status.errors[status.errors.length - 1] || null,
+      lastCheckpoint: status.lastCheckpoint,
+      updatedAt: status.updatedAt
+    }
+  }
+
+  /**
+   * Get catch-up status for every registered projection
+   */
+  getProjectionStatuses() {
+    return [...this.projectionStatus.keys()].map(name => this.getProjectionStatus(name))
+  }
+
   /**
    * Get projection state
    */
@@ -448,23 +731,176 @@ export class EventStore {
   }
 
   /**
-   * Load events from storage (simulated)
+   * Apply one event to a projection and advance its position; handler errors are
+   * recorded on the projection status without stopping it
    */
-  loadFromStorage() {
-    // In production, this would load from database
-    // For now, we start with empty store
+  async applyProjectionEvent(name, projection, status, event) {
+    if (projection.handles(event.eventType)) {
+      try {
+        await projection.handle(event)
+      } catch (error) {
+        this.recordProjectionError(name, status, event, error)
+      }
+    }
+
+    status.position = event.sequence
+    status.eventsProcessed++
+    status.updatedAt = Date.now()
+
+    if (status.position - status.lastCheckpointPosition >= CHECKPOINT_INTERVAL) {
+      await this.checkpointProjection(name)
+    }
+  }
+
+  recordProjectionError(name, status, event, error) {
+    status.errors = [...status.errors, {
+      position: event?.sequence ?? status.position,
+      eventType: event?.eventType || null,
+      error: error.message,
+      timestamp: Date.now()
+    }].slice(-MAX_PROJECTION_ERRORS)
+
+    securityManager.logSecurityEvent(SECURITY_EVENT_TYPES.SECURITY_VIOLATION, {
+      action: 'projection_update_failed',
+      projectionName: name,
+      eventType: event?.eventType,
+      error: error.message,
+      severity: 'medium'
+    })
+  }
+
+  /**
+   * Restore projection state from its checkpoint when it is ahead of the requested position
+   */
+  async restoreProjectionCheckpoint(name, projection, status) {
+    if (!this.persistenceEnabled || typeof projection.loadState !== 'function') return
+
+    const checkpoint = await this.storage.getCheckpoint(name)
+    if (!checkpoint || checkpoint.position <= status.position || checkpoint.position > this.currentVersion) return
+
+    projection.loadState(checkpoint.state)
+    status.position = checkpoint.position
+    status.lastCheckpoint = checkpoint.updatedAt
+    status.lastCheckpointPosition = checkpoint.position
+  }
+
+  /**
+   * Read events after a global position from storage, merged with in-memory events
+   * (which include appends whose persistence is still pending)
+   */
+  async readLogPage(position, limit) {
+    const stored = this.persistenceEnabled
+      ? (await this.storage.readAll({ afterSequence: position, limit })).map(event => this.migrateEvent(event))
+      : []
+
+    const bySequence = new Map(stored.map(event => [event.sequence, event]))
+    this.eventLog
+      .filter(event => event.sequence > position)
+      .forEach(event => bySequence.set(event.sequence, event))
+
+    return [...bySequence.values()]
+      .sort((a, b) => a.sequence - b.sequence)
+      .slice(0, limit)
+  }
+
+  /**
+   * Apply a page limit/offset to an event list
+   */
+  paginate(events, { limit = null, offset = 0 } = {}) {
+    return limit === null ? events.slice(offset) : events.slice(offset, offset + limit)
+  }
+
+  /**
+   * Load snapshots and the events after them from persistent storage
+   */
+  async loadFromStorage() {
+    if (!this.storage) return false
+
+    try {
+      this.persistenceEnabled = await this.storage.initialize()
+      if (!this.persistenceEnabled) return false
+
+      const [snapshots, streams] = await Promise.all([
+        this.storage.getSnapshots(),
+        this.storage.getStreams()
+      ])
+      snapshots.forEach(snapshot => this.snapshots.set(snapshot.aggregateId, snapshot))
+
+      const loaded = []
+      for (const stream of streams) {
+        const fromVersion = this.snapshots.get(stream.aggregateId)?.version || 0
+        const events = await this.storage.readStream(stream.aggregateId, { fromVersion })
+
+        this.events.set(stream.aggregateId, events.map(event => this.migrateEvent(event)))
+        this.streamVersions.set(stream.aggregateId, stream.version)
+        this.currentVersion = Math.max(this.currentVersion, stream.sequence)
+        loaded.push(...this.events.get(stream.aggregateId))
+      }
+      this.eventLog = loaded.sort((a, b) => a.sequence - b.sequence)
+
+      logger.info(`Event store loaded ${this.eventLog.length} events across ${streams.length} streams`)
+      return true
+    } catch (error) {
+      logger.error('Failed to load event store, continuing in memory:', error)
+      this.events.clear()
+      this.eventLog = []
+      this.snapshots.clear()
+      this.streamVersions.clear()
+      this.currentVersion = 0
+      this.persistenceEnabled = false
+      return false
+    }
+  }
+
+  /**
+   * Append an event to persistent storage; failures are queued for saveToStorage.
+   * Storage may move the event to a later sequence when another writer took its slot
+   */
+  async persistEvent(event) {
+    if (!this.persistenceEnabled) return
+
+    try {
+      const sequence = await this.storage.append(event)
+      if (typeof sequence === 'number' && sequence !== event.sequence) {
+        event.sequence = sequence
+        this.currentVersion = Math.max(this.currentVersion, sequence)
+      }
+    } catch (error) {
+      this.pendingWrites.push(event)
+      securityManager.logSecurityEvent(SECURITY_EVENT_TYPES.SECURITY_VIOLATION, {
+        action: 'event_persist_failed',
+        eventType: event.eventType,
+        aggregateId: event.aggregateId,
+        error: error.message,
+        severity: 'high'
+      })
+    }
   }
 
   /**
-   * Save events to storage (simulated)
+   * Retry persisting events whose earlier writes failed
    */
-  saveToStorage() {
-    // In production, this would persist to database
+  async saveToStorage() {
+    await this.ready
+
+    const pending = this.pendingWrites
+    this.pendingWrites = []
+    for (const event of pending) {
+      await this.persistEvent(event)
+    }
+
+    for (const name of this.projections.keys()) {
+      await this.checkpointProjection(name)
+    }
+
     securityManager.logSecurityEvent(SECURITY_EVENT_TYPES.FINANCIAL_OPERATION, {
       action: 'event_store_saved',
       totalEvents: this.eventLog.length,
-      currentVersion: this.currentVersion
+      currentVersion: this.currentVersion,
+      pendingWrites: this.pendingWrites.length
     })
+
+    return this.pendingWrites.length === 0
   }
 
   /**
@@ -483,6 +919,8 @@ export class EventStore {
       totalSubscriptions: this.subscriptions.size,
       totalProjections: this.projections.size,
       currentVersion: this.currentVersion,
+      persistenceEnabled: this.persistenceEnabled,
+      pendingWrites: this.pendingWrites.length,
       eventTypeStats,
       oldestEvent: this.eventLog[0]?.timestamp || null,
       newestEvent: this.eventLog[this.eventLog.length - 1]?.timestamp || null
@@ -490,7 +928,7 @@ export class EventStore {
   }
 
   /**
-   * Reset event store (for testing)
+   * Reset in-memory event store state (for testing); persisted events are kept
    */
   reset() {
     this.events.clear()
@@ -498,6 +936,10 @@ export class EventStore {
     this.snapshots.clear()
     this.subscriptions.clear()
     this.projections.clear()
+    this.projectionStatus.clear()
+    this.projectionTasks.clear()
+    this.streamVersions.clear()
+    this.pendingWrites = []
     this.currentVersion = 0
   }
 }
@@ -0,0 +1,312 @@
+import logger from '../utils/logger'
+
+/**
+ * IndexedDB Event Storage
+ * Append-only event streams per aggregate with snapshots, kept off localStorage
+ * so history is not capped by its quota and writes do not block the main thread
+ */
+
+export const EVENT_DB_NAME = 'DiBoaSEventStore'
+export const EVENT_DB_VERSION = 2
+
+export const EVENT_STORES = {
+  EVENTS: 'events', // keyPath sequence, one record per event
+  STREAMS: 'streams', // keyPath aggregateId, head version of each stream
+  SNAPSHOTS: 'snapshots', // keyPath aggregateId, latest snapshot per aggregate
+  CHECKPOINTS: 'checkpoints' // keyPath name, projection position and state
+}
+
+/**
+ * Structural migrations keyed by the database version they upgrade to.
+ * Add a new entry and bump EVENT_DB_VERSION to change stores or indexes.
+ */
+const DB_MIGRATIONS = {
+  1: (db) => {
+    const events = db.createObjectStore(EVENT_STORES.EVENTS, { keyPath: 'sequence' })
+    // Unique per stream position: a second writer at the same version is rejected
+    events.createIndex('stream', ['aggregateId', 'version'], { unique: true })
+    events.createIndex('timestamp', 'timestamp', { unique: false })
+    events.createIndex('eventType', 'eventType', { unique: false })
+
+    db.createObjectStore(EVENT_STORES.STREAMS, { keyPath: 'aggregateId' })
+    db.createObjectStore(EVENT_STORES.SNAPSHOTS, { keyPath: 'aggregateId' })
+  },
+  2: (db) => {
+    db.createObjectStore(EVENT_STORES.CHECKPOINTS, { keyPath: 'name' })
+  }
+}
+
+export class IndexedDBEventStorage {
+  constructor(dbName = EVENT_DB_NAME, version = EVENT_DB_VERSION) {
+    this.dbName = dbName
+    this.version = version
+    this.db = null
+  }
+
+  /**
+   * Open the database, running structural migrations when the version changed
+   * @returns {Promise<boolean>} false when IndexedDB is not available
+   */
+  async initialize() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        logger.warn('IndexedDB not supported, event store will not persist')
+        resolve(false)
+        return
+      }
+
+      const request = indexedDB.open(this.dbName, this.version)
+
+      request.onerror = () => {
+        logger.error('Failed to open event store database:', request.error)
+        reject(request.error)
+      }
+
+      request.onsuccess = () => {
+        this.db = request.result
+        logger.debug('✅ IndexedDB event store initialized')
+        resolve(true)
+      }
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result
+        for (let version = event.oldVersion + 1; version <= this.version; version++) {
+          DB_MIGRATIONS[version]?.(db)
+        }
+        logger.info(`Event store database migrated from v${event.oldVersion} to v${this.version}`)
+      }
+    })
+  }
+
+  /**
+   * Append an event and advance its stream head in one transaction.
+   * The global sequence is allocated inside that transaction from the last stored
+   * event, so writers in other tabs cannot take the same position
+   * @returns {Promise<number|false>} The sequence the event was stored at
+   */
+  async append(event) {
+    if (!this.db) return false
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([EVENT_STORES.EVENTS, EVENT_STORES.STREAMS], 'readwrite')
+      const events = transaction.objectStore(EVENT_STORES.EVENTS)
+      const lastRequest = events.openKeyCursor(null, 'prev')
+      let sequence = null
+      let addRequest = null
+
+      lastRequest.onsuccess = () => {
+        sequence = Math.max((lastRequest.result?.key || 0) + 1, event.sequence || 0)
+        addRequest = events.add({ ...event, sequence })
+        transaction.objectStore(EVENT_STORES.STREAMS).put({
+          aggregateId: event.aggregateId,
+          version: event.version,
+          sequence,
+          updatedAt: event.timestamp
+        })
+      }
+
+      transaction.oncomplete = () => resolve(sequence)
+      transaction.onerror = () => reject(transaction.error || addRequest?.error)
+      transaction.onabort = () => reject(transaction.error || addRequest?.error)
+    })
+  }
+
+  /**
+   * Read a page of one aggregate's stream, oldest first
+   */
+  async readStream(aggregateId, { fromVersion = 0, limit = null, offset = 0 } = {}) {
+    if (!this.db) return []
+
+    const range = IDBKeyRange.bound([aggregateId, fromVersion], [aggregateId, Infinity], true, false)
+    return this.readPage(EVENT_STORES.EVENTS, 'stream', range, { limit, offset })
+  }
+
+  /**
+   * Read a page of events across all streams within a time range, oldest first
+   */
+  async readByTimeRange(startTime, endTime, { limit = null, offset = 0 } = {}) {
+    if (!this.db) return []
+
+    return this.readPage(EVENT_STORES.EVENTS, 'timestamp', IDBKeyRange.bound(startTime, endTime), { limit, offset })
+  }
+
+  /**
+   * Read a page of the global log after a position (event sequence), oldest first
+   */
+  async readAll({ afterSequence = 0, limit = null } = {}) {
+    if (!this.db) return []
+
+    return this.readPage(EVENT_STORES.EVENTS, null, IDBKeyRange.lowerBound(afterSequence, true), { limit })
+  }
+
+  /**
+   * Get the head record of every stream
+   */
+  async getStreams() {
+    return this.getAll(EVENT_STORES.STREAMS)
+  }
+
+  async saveSnapshot(snapshot) {
+    if (!this.db) return false
+
+    return new Promise((resolve) => {
+      const transaction = this.db.transaction([EVENT_STORES.SNAPSHOTS], 'readwrite')
+      const request = transaction.objectStore(EVENT_STORES.SNAPSHOTS).put(snapshot)
+
+      request.onsuccess = () => resolve(true)
+      request.onerror = () => {
+        logger.warn(`Failed to save snapshot for ${snapshot.aggregateId}:`, request.error)
+        resolve(false)
+      }
+    })
+  }
+
+  /**
+   * Delete one stream's events up to and including a version (retention after a
+   * snapshot); the stream head is kept so versions continue from where they were
+   * @returns {Promise<number>} Number of events deleted
+   */
+  async deleteEvents(aggregateId, toVersion) {
+    if (!this.db) return 0
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([EVENT_STORES.EVENTS], 'readwrite')
+      const range = IDBKeyRange.bound([aggregateId, 0], [aggregateId, toVersion])
+      const request = transaction.objectStore(EVENT_STORES.EVENTS).index('stream').openCursor(range)
+      let deleted = 0
+
+      request.onsuccess = () => {
+        const cursor = request.result
+        if (cursor) {
+          cursor.delete()
+          deleted++
+          cursor.continue()
+        }
+      }
+
+      transaction.oncomplete = () => resolve(deleted)
+      transaction.onerror = () => {
+        logger.warn(`Failed to delete events for ${aggregateId}:`, transaction.error)
+        reject(transaction.error)
+      }
+    })
+  }
+
+  async getSnapshots() {
+    return this.getAll(EVENT_STORES.SNAPSHOTS)
+  }
+
+  async saveCheckpoint(checkpoint) {
+    if (!this.db) return false
+
+    return new Promise((resolve) => {
+      const transaction = this.db.transaction([EVENT_STORES.CHECKPOINTS], 'readwrite')
+      const request = transaction.objectStore(EVENT_STORES.CHECKPOINTS).put(checkpoint)
+
+      request.onsuccess = () => resolve(true)
+      request.onerror = () => {
+        logger.warn(`Failed to save checkpoint for projection ${checkpoint.name}:`, request.error)
+        resolve(false)
+      }
+    })
+  }
+
+  async getCheckpoint(name) {
+    if (!this.db) return null
+
+    return new Promise((resolve) => {
+      const transaction = this.db.transaction([EVENT_STORES.CHECKPOINTS], 'readonly')
+      const request = transaction.objectStore(EVENT_STORES.CHECKPOINTS).get(name)
+
+      request.onsuccess = () => resolve(request.result || null)
+      request.onerror = () => {
+        logger.warn(`Failed to read checkpoint for projection ${name}:`, request.error)
+        resolve(null)
+      }
+    })
+  }
+
+  /**
+   * Remove all events, streams, snapshots and checkpoints
+   */
+  async clear() {
+    if (!this.db) return false
+
+    return new Promise((resolve) => {
+      const storeNames = Object.values(EVENT_STORES)
+      const transaction = this.db.transaction(storeNames, 'readwrite')
+      storeNames.forEach(storeName => transaction.objectStore(storeName).clear())
+
+      transaction.oncomplete = () => resolve(true)
+      transaction.onerror = () => {
+        logger.warn('Failed to clear event store database:', transaction.error)
+        resolve(false)
+      }
+    })
+  }
+
+  /**
+   * Close database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close()
+      this.db = null
+    }
+  }
+
+  /**
+   * Private helpers
+   */
+
+  async getAll(storeName) {
+    if (!this.db) return []
+
+    return new Promise((resolve) => {
+      const transaction = this.db.transaction([storeName], 'readonly')
+      const request = transaction.objectStore(storeName).getAll()
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        logger.warn(`Failed to read ${storeName} from IndexedDB:`, request.error)
+        resolve([])
+      }
+    })
+  }
+
+  /**
+   * Walk an index (or the primary key when indexName is null) with a cursor
+   * so only the requested page is materialized
+   */
+  async readPage(storeName, indexName, range, { limit = null, offset = 0 }) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readonly')
+      const store = transaction.objectStore(storeName)
+      const request = (indexName ? store.index(indexName) : store).openCursor(range)
+      const results = []
+      let skipped = offset === 0
+
+      request.onsuccess = () => {
+        const cursor = request.result
+        if (!cursor || (limit !== null && results.length >= limit)) {
+          resolve(results)
+          return
+        }
+
+        if (!skipped) {
+          skipped = true
+          cursor.advance(offset)
+          return
+        }
+
+        results.push(cursor.value)
+        cursor.continue()
+      }
+
+      request.onerror = () => {
+        logger.warn(`Failed to page ${storeName} by ${indexName || 'key'}:`, request.error)
+        reject(request.error)
+      }
+    })
+  }
+}
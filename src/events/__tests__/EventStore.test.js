@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
-import { EventStore, EVENT_TYPES } from '../EventStore.js'
+import { EventStore, EVENT_TYPES, EVENT_RETENTION, PROJECTION_STATUS } from '../EventStore.js'
 
 // Mock security manager
 vi.mock('../../security/SecurityManager.js', () => ({
@@ -12,11 +12,64 @@ vi.mock('../../security/SecurityManager.js', () => ({
   }
 }))
 
+// In-memory stand-in for IndexedDBEventStorage (jsdom has no IndexedDB)
+const createMemoryStorage = () => ({
+  events: [],
+  streams: new Map(),
+  snapshots: new Map(),
+  checkpoints: new Map(),
+  initialize: vi.fn(async () => true),
+  async append(event) {
+    if (this.events.some(stored => stored.aggregateId === event.aggregateId && stored.version === event.version)) {
+      throw new Error('Key already exists in the object store.')
+    }
+    this.events.push(structuredClone(event))
+    this.streams.set(event.aggregateId, { aggregateId: event.aggregateId, version: event.version, sequence: event.sequence })
+    return true
+  },
+  async readStream(aggregateId, { fromVersion = 0, limit = null, offset = 0 } = {}) {
+    const events = this.events.filter(event => event.aggregateId === aggregateId && event.version > fromVersion)
+    return events.slice(offset, limit === null ? undefined : offset + limit)
+  },
+  async readByTimeRange(startTime, endTime, { limit = null, offset = 0 } = {}) {
+    const events = this.events.filter(event => event.timestamp >= startTime && event.timestamp <= endTime)
+    return events.slice(offset, limit === null ? undefined : offset + limit)
+  },
+  async readAll({ afterSequence = 0, limit = null } = {}) {
+    const events = this.events.filter(event => event.sequence > afterSequence).sort((a, b) => a.sequence - b.sequence)
+    return limit === null ? events : events.slice(0, limit)
+  },
+  async getStreams() { return [...this.streams.values()] },
+  async deleteEvents(aggregateId, toVersion) {
+    const kept = this.events.filter(event => event.aggregateId !== aggregateId || event.version > toVersion)
+    const deleted = this.events.length - kept.length
+    this.events = kept
+    return deleted
+  },
+  async saveSnapshot(snapshot) { this.snapshots.set(snapshot.aggregateId, snapshot); return true },
+  async getSnapshots() { return [...this.snapshots.values()] },
+  async saveCheckpoint(checkpoint) { this.checkpoints.set(checkpoint.name, structuredClone(checkpoint)); return true },
+  async getCheckpoint(name) { return this.checkpoints.get(name) || null }
+})
+
+// Counts balance updates; restorable so it can resume from checkpoints
+const createCounterProjection = () => ({
+  state: { count: 0, total: 0 },
+  handles: (eventType) => eventType === EVENT_TYPES.BALANCE_UPDATED,
+  handle(event) {
+    this.state.count++
+    this.state.total += event.eventData.balance.totalUSD
+  },
+  getState() { return this.state },
+  loadState(state) { this.state = { ...state } },
+  reset() { this.state = { count: 0, total: 0 } }
+})
+
 describe('EventStore', () => {
   let eventStore
 
   beforeEach(() => {
-    eventStore = new EventStore()
+    eventStore = new EventStore({ storage: null })
   })
 
   afterEach(() => {
@@ -365,4 +418,257 @@ describe('EventStore', () => {
       expect(eventStore.currentVersion).toBe(0)
     })
   })
-})
\ No newline at end of file
+
+  describe('Persistent Storage', () => {
+    let storage
+
+    beforeEach(() => {
+      storage = createMemoryStorage()
+    })
+
+    it('should persist appended events and reload them into a new store', async () => {
+      const store = new EventStore({ storage })
+      await store.appendEvent('account123', EVENT_TYPES.BALANCE_UPDATED, { balance: { totalUSD: 1000 } })
+      await store.appendEvent('account456', EVENT_TYPES.BALANCE_UPDATED, { balance: { totalUSD: 200 } })
+      await store.appendEvent('account123', EVENT_TYPES.TRANSACTION_CREATED, { transactionId: 'tx1', amount: 100 })
+
+      const reloaded = new EventStore({ storage })
+      await reloaded.ready
+
+      expect(reloaded.persistenceEnabled).toBe(true)
+      expect(reloaded.eventLog.map(event => event.sequence)).toEqual([1, 2, 3])
+      expect(reloaded.getEvents('account123')).toHaveLength(2)
+
+      const next = await reloaded.appendEvent('account123', EVENT_TYPES.BALANCE_UPDATED, { balance: { totalUSD: 900 } }, 2)
+      expect(next).toMatchObject({ version: 3, sequence: 4 })
+    })
+
+    it('should page through an aggregate stream and a time range', async () => {
+      const store = new EventStore({ storage })
+      for (let i = 0; i < 5; i++) {
+        await store.appendEvent('account123', EVENT_TYPES.BALANCE_UPDATED, { balance: { totalUSD: i } })
+      }
+
+      const page = await store.readEvents('account123', { fromVersion: 1, limit: 2, offset: 1 })
+      expect(page.map(event => event.version)).toEqual([3, 4])
+
+      expect(store.getEvents('account123', 0, { limit: 2 }).map(event => event.version)).toEqual([1, 2])
+      expect(store.getEventsByTimeRange(0, Date.now() + 1000, { offset: 4 })).toHaveLength(1)
+      expect(await store.readEventsByTimeRange(0, Date.now() + 1000, { limit: 3 })).toHaveLength(3)
+    })
+
+    it('should compact snapshotted events out of memory but keep them on disk', async () => {
+      const store = new EventStore({ storage })
+      await store.appendEvent('account123', EVENT_TYPES.BALANCE_UPDATED, { balance: { totalUSD: 1000 } })
+      await store.appendEvent('account123', EVENT_TYPES.BALANCE_UPDATED, { balance: { totalUSD: 1500 } })
+
+      const snapshot = store.createSnapshot('account123', store.rebuildAggregate('account123', 'account'))
+      await store.appendEvent('account123', EVENT_TYPES.BALANCE_UPDATED, { balance: { totalUSD: 1700 } })
+
+      expect(snapshot.version).toBe(2)
+      expect(store.getEvents('account123').map(event => event.version)).toEqual([3])
+      expect(store.rebuildAggregate('account123', 'account').balance.totalUSD).toBe(1700)
+      expect(await store.readEvents('account123')).toHaveLength(3)
+
+      // A fresh store loads the snapshot and only the events after it
+      const reloaded = new EventStore({ storage })
+      await reloaded.ready
+      expect(reloaded.getEvents('account123').map(event => event.version)).toEqual([3])
+      expect(reloaded.rebuildAggregate('account123', 'account').balance.totalUSD).toBe(1700)
+      expect(reloaded.getStreamVersion('account123')).toBe(3)
+    })
+
+    it('should delete snapshotted events from storage with since-snapshot retention', async () => {
+      const store = new EventStore({ storage, retention: EVENT_RETENTION.SINCE_SNAPSHOT })
+      await store.appendEvent('account123', EVENT_TYPES.BALANCE_UPDATED, { balance: { totalUSD: 1000 } })
+      await store.appendEvent('account123', EVENT_TYPES.BALANCE_UPDATED, { balance: { totalUSD: 1500 } })
+      await store.appendEvent('account456', EVENT_TYPES.BALANCE_UPDATED, { balance: { totalUSD: 200 } })
+
+      store.createSnapshot('account123', store.rebuildAggregate('account123', 'account'))
+      await vi.waitFor(() => expect(storage.events.filter(event => event.aggregateId === 'account123')).toHaveLength(0))
+      await store.appendEvent('account123', EVENT_TYPES.BALANCE_UPDATED, { balance: { totalUSD: 1700 } })
+
+      expect((await store.readEvents('account123')).map(event => event.version)).toEqual([3])
+      expect(await store.readEvents('account456')).toHaveLength(1)
+
+      const reloaded = new EventStore({ storage })
+      await reloaded.ready
+      expect(reloaded.rebuildAggregate('account123', 'account').balance.totalUSD).toBe(1700)
+      expect(reloaded.getStreamVersion('account123')).toBe(3)
+    })
+
+    it('should keep snapshotted events in storage without a retention option', async () => {
+      const deleteEvents = vi.spyOn(storage, 'deleteEvents')
+      const store = new EventStore({ storage })
+      await store.appendEvent('account123', EVENT_TYPES.BALANCE_UPDATED, { balance: { totalUSD: 1000 } })
+
+      store.createSnapshot('account123', store.rebuildAggregate('account123', 'account'))
+      await vi.waitFor(() => expect(storage.snapshots.has('account123')).toBe(true))
+
+      expect(deleteEvents).not.toHaveBeenCalled()
+      expect(await store.readEvents('account123')).toHaveLength(1)
+    })
+
+    it('should upgrade older events through registered migrations', async () => {
+      const store = new EventStore({ storage })
+      await store.appendEvent('account123', EVENT_TYPES.BALANCE_UPDATED, { balance: { total: 1000 } })
+
+      const upgraded = new EventStore({ storage, schemaVersion: 2 })
+      upgraded.registerMigration(1, event => ({
+        ...event,
+        eventData: { balance: { totalUSD: event.eventData.balance.total } }
+      }))
+      await upgraded.ready
+
+      const [event] = upgraded.getEvents('account123')
+      expect(event.schemaVersion).toBe(2)
+      expect(event.eventData.balance.totalUSD).toBe(1000)
+    })
+
+    it('should fall back to memory when loading fails without a migration', async () => {
+      storage.events.push({ id: 'old', aggregateId: 'a1', version: 1, sequence: 1, schemaVersion: 1, eventType: EVENT_TYPES.BALANCE_UPDATED, eventData: {}, timestamp: 1 })
+      storage.streams.set('a1', { aggregateId: 'a1', version: 1, sequence: 1 })
+
+      const store = new EventStore({ storage, schemaVersion: 2 })
+      await store.ready
+
+      expect(store.persistenceEnabled).toBe(false)
+      expect(store.eventLog).toHaveLength(0)
+    })
+
+    it('should queue failed writes and retry them on save', async () => {
+      const store = new EventStore({ storage })
+      const append = vi.spyOn(storage, 'append').mockRejectedValueOnce(new Error('QuotaExceededError'))
+
+      await store.appendEvent('account123', EVENT_TYPES.BALANCE_UPDATED, { balance: { totalUSD: 1000 } })
+      expect(store.getStatistics().pendingWrites).toBe(1)
+
+      await expect(store.saveToStorage()).resolves.toBe(true)
+      expect(append).toHaveBeenCalledTimes(2)
+      expect(storage.events).toHaveLength(1)
+    })
+
+    it('should take the sequence storage allocated when another writer got there first', async () => {
+      const store = new EventStore({ storage })
+      vi.spyOn(storage, 'append').mockResolvedValueOnce(5)
+
+      const event = await store.appendEvent('account123', EVENT_TYPES.BALANCE_UPDATED, { balance: { totalUSD: 1000 } })
+      const next = await store.appendEvent('account123', EVENT_TYPES.BALANCE_UPDATED, { balance: { totalUSD: 900 } })
+
+      expect(event.sequence).toBe(5)
+      expect(next.sequence).toBe(6)
+    })
+  })
+
+  describe('Projection Catch-up', () => {
+    let storage
+
+    const appendBalances = async (store, amounts) => {
+      for (const totalUSD of amounts) {
+        await store.appendEvent('account123', EVENT_TYPES.BALANCE_UPDATED, { balance: { totalUSD } })
+      }
+    }
+
+    beforeEach(() => {
+      storage = createMemoryStorage()
+    })
+
+    it('should replay history appended before registration, then go live', async () => {
+      await appendBalances(eventStore, [100, 200])
+
+      const projection = createCounterProjection()
+      const status = await eventStore.registerProjection('counter', projection)
+      await appendBalances(eventStore, [300])
+
+      expect(status).toMatchObject({ status: PROJECTION_STATUS.LIVE, position: 2, lag: 0 })
+      expect(eventStore.getProjection('counter')).toEqual({ count: 3, total: 600 })
+      expect(eventStore.getProjectionStatus('counter').position).toBe(3)
+    })
+
+    it('should start after a given position', async () => {
+      await appendBalances(eventStore, [100, 200, 300])
+
+      await eventStore.registerProjection('counter', createCounterProjection(), { fromPosition: 2 })
+
+      expect(eventStore.getProjection('counter')).toEqual({ count: 1, total: 300 })
+    })
+
+    it('should replay events compacted out of memory from storage', async () => {
+      const store = new EventStore({ storage })
+      await appendBalances(store, [100, 200])
+      store.createSnapshot('account123', store.rebuildAggregate('account123', 'account'))
+      await appendBalances(store, [300])
+
+      await store.registerProjection('counter', createCounterProjection())
+
+      expect(store.eventLog).toHaveLength(1)
+      expect(store.getProjection('counter')).toEqual({ count: 3, total: 600 })
+    })
+
+    it('should resume from a checkpoint after reload', async () => {
+      const store = new EventStore({ storage })
+      await appendBalances(store, [100, 200])
+      await store.registerProjection('counter', createCounterProjection())
+      expect(storage.checkpoints.get('counter')).toMatchObject({ position: 2, state: { count: 2, total: 300 } })
+
+      // Events appended after the last checkpoint
+      await appendBalances(store, [300])
+
+      const reloaded = new EventStore({ storage })
+      const projection = createCounterProjection()
+      const handle = vi.spyOn(projection, 'handle')
+      const status = await reloaded.registerProjection('counter', projection)
+
+      expect(handle).toHaveBeenCalledTimes(1)
+      expect(status).toMatchObject({ position: 3, eventsProcessed: 1 })
+      expect(reloaded.getProjection('counter')).toEqual({ count: 3, total: 600 })
+    })
+
+    it('should rebuild a projection from the full log', async () => {
+      await appendBalances(eventStore, [100, 200])
+      const projection = createCounterProjection()
+      await eventStore.registerProjection('counter', projection)
+      projection.state.total = -1 // Corrupted read model
+
+      const status = await eventStore.rebuildProjection('counter')
+
+      expect(status).toMatchObject({ status: PROJECTION_STATUS.LIVE, eventsProcessed: 2 })
+      expect(eventStore.getProjection('counter')).toEqual({ count: 2, total: 300 })
+    })
+
+    it('should refuse to rebuild projections that cannot reset', async () => {
+      await eventStore.registerProjection('plain', { handles: () => false, handle: vi.fn(), getState: () => ({}) })
+
+      await expect(eventStore.rebuildProjection('plain')).rejects.toThrow('cannot be rebuilt without a reset() method')
+      await expect(eventStore.rebuildProjection('missing')).rejects.toThrow('Projection missing is not registered')
+    })
+
+    it('should record handler errors in the status and keep going', async () => {
+      await appendBalances(eventStore, [100])
+      await eventStore.appendEvent('account123', EVENT_TYPES.BALANCE_UPDATED, { balance: null })
+      await appendBalances(eventStore, [300])
+
+      const status = await eventStore.registerProjection('counter', createCounterProjection())
+
+      expect(status.position).toBe(3)
+      expect(status.errors).toHaveLength(1)
+      expect(status.lastError).toMatchObject({ position: 2, eventType: EVENT_TYPES.BALANCE_UPDATED })
+      expect(eventStore.getProjection('counter').total).toBe(400)
+    })
+
+    it('should report lag while catching up', async () => {
+      await appendBalances(eventStore, [100, 200])
+
+      const task = eventStore.registerProjection('counter', createCounterProjection())
+
+      expect(eventStore.getProjectionStatus('counter')).toMatchObject({
+        status: PROJECTION_STATUS.CATCHING_UP,
+        position: 0,
+        headPosition: 2,
+        lag: 2
+      })
+      await task
+      expect(eventStore.getProjectionStatuses()).toEqual([expect.objectContaining({ name: 'counter', lag: 0 })])
+    })
+  })
+})
@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import 'fake-indexeddb/auto'
+import { IDBFactory } from 'fake-indexeddb'
+import { IndexedDBEventStorage, EVENT_DB_NAME, EVENT_STORES } from '../IndexedDBEventStorage.js'
+
+const event = (aggregateId, version, sequence, timestamp = sequence * 1000) => ({
+  id: `evt_${aggregateId}_${version}`,
+  aggregateId,
+  eventType: 'BalanceUpdated',
+  eventData: { amount: version },
+  version,
+  sequence,
+  timestamp
+})
+
+// Open a database at an older version with only that version's stores
+const openAtVersion = (version, upgrade) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(EVENT_DB_NAME, version)
+  request.onupgradeneeded = () => upgrade(request.result)
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+describe('IndexedDBEventStorage', () => {
+  let storage
+
+  beforeEach(async () => {
+    // A fresh factory per test so databases do not leak between tests
+    vi.stubGlobal('indexedDB', new IDBFactory())
+    storage = new IndexedDBEventStorage()
+    await storage.initialize()
+  })
+
+  afterEach(() => {
+    storage.close()
+    vi.unstubAllGlobals()
+  })
+
+  describe('Migrations', () => {
+    it('should create every store on a new database', () => {
+      expect([...storage.db.objectStoreNames].sort()).toEqual(Object.values(EVENT_STORES).sort())
+    })
+
+    it('should upgrade a v1 database without losing events', async () => {
+      storage.close()
+      vi.stubGlobal('indexedDB', new IDBFactory())
+
+      const v1 = await openAtVersion(1, (db) => {
+        const events = db.createObjectStore(EVENT_STORES.EVENTS, { keyPath: 'sequence' })
+        events.createIndex('stream', ['aggregateId', 'version'], { unique: true })
+        events.createIndex('timestamp', 'timestamp', { unique: false })
+        events.createIndex('eventType', 'eventType', { unique: false })
+        db.createObjectStore(EVENT_STORES.STREAMS, { keyPath: 'aggregateId' })
+        db.createObjectStore(EVENT_STORES.SNAPSHOTS, { keyPath: 'aggregateId' })
+      })
+      await new Promise((resolve) => {
+        const transaction = v1.transaction([EVENT_STORES.EVENTS], 'readwrite')
+        transaction.objectStore(EVENT_STORES.EVENTS).add(event('a1', 1, 1))
+        transaction.oncomplete = resolve
+      })
+      v1.close()
+
+      storage = new IndexedDBEventStorage()
+      expect(await storage.initialize()).toBe(true)
+
+      expect(storage.db.objectStoreNames.contains(EVENT_STORES.CHECKPOINTS)).toBe(true)
+      expect(await storage.readStream('a1')).toEqual([event('a1', 1, 1)])
+      expect(await storage.saveCheckpoint({ name: 'balances', position: 1 })).toBe(true)
+    })
+  })
+
+  describe('Appending', () => {
+    it('should reject a second event at the same stream version', async () => {
+      await storage.append(event('a1', 1, 1))
+
+      await expect(storage.append(event('a1', 1, 2))).rejects.toMatchObject({ name: 'ConstraintError' })
+      expect(await storage.readAll()).toHaveLength(1)
+      expect(await storage.getStreams()).toEqual([expect.objectContaining({ aggregateId: 'a1', version: 1, sequence: 1 })])
+    })
+
+    it('should allocate the sequence after the last stored event', async () => {
+      await storage.append(event('a1', 1, 1))
+
+      // Another tab already wrote sequence 2, so this writer's local sequence 2 is taken
+      const other = new IndexedDBEventStorage()
+      await other.initialize()
+      expect(await other.append(event('b1', 1, 2))).toBe(2)
+      other.close()
+
+      expect(await storage.append(event('a1', 2, 2))).toBe(3)
+      expect((await storage.readAll()).map(stored => [stored.aggregateId, stored.sequence])).toEqual([['a1', 1], ['b1', 2], ['a1', 3]])
+      expect(await storage.getStreams()).toEqual(expect.arrayContaining([expect.objectContaining({ aggregateId: 'a1', sequence: 3 })]))
+    })
+  })
+
+  describe('Paging', () => {
+    beforeEach(async () => {
+      for (let version = 1; version <= 5; version++) {
+        await storage.append(event('a1', version, version * 2 - 1))
+        await storage.append(event('b1', version, version * 2))
+      }
+    })
+
+    it('should page one stream with offset and limit', async () => {
+      const page = await storage.readStream('a1', { offset: 1, limit: 2 })
+
+      expect(page.map(stored => stored.version)).toEqual([2, 3])
+      expect((await storage.readStream('a1', { fromVersion: 3 })).map(stored => stored.version)).toEqual([4, 5])
+      expect(await storage.readStream('a1', { offset: 5 })).toEqual([])
+    })
+
+    it('should page the global log and time ranges', async () => {
+      expect((await storage.readAll({ afterSequence: 7 })).map(stored => stored.sequence)).toEqual([8, 9, 10])
+      expect((await storage.readAll({ limit: 3 })).map(stored => stored.sequence)).toEqual([1, 2, 3])
+
+      const range = await storage.readByTimeRange(3000, 8000, { offset: 2, limit: 2 })
+      expect(range.map(stored => stored.sequence)).toEqual([5, 6])
+    })
+
+    it('should delete one stream\'s events up to a version and keep its head', async () => {
+      expect(await storage.deleteEvents('a1', 3)).toBe(3)
+
+      expect((await storage.readStream('a1')).map(stored => stored.version)).toEqual([4, 5])
+      expect(await storage.readStream('b1')).toHaveLength(5)
+      expect((await storage.getStreams()).find(stream => stream.aggregateId === 'a1')).toMatchObject({ version: 5 })
+    })
+  })
+})
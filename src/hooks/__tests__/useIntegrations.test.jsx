@@ -0,0 +1,70 @@
+/**
+ * Tests for the useAuth hook
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { renderHook, act, waitFor } from '@testing-library/react'
+
+const { listeners, mockDataManager, mockIntegrationManager } = vi.hoisted(() => {
+  const listeners = new Map()
+  const mockDataManager = {
+    getUser: vi.fn(() => ({ name: 'Alice' })),
+    getCurrentUserId: vi.fn(() => 'user_alice'),
+    subscribe: vi.fn((event, listener) => {
+      listeners.set(event, listener)
+      return () => listeners.delete(event)
+    }),
+    switchUser: vi.fn(async (userId) => {
+      listeners.get('state:user-switched')?.({ userId, user: { id: userId, name: 'Demo User' } })
+    })
+  }
+  const mockIntegrationManager = {
+    execute: vi.fn(async () => ({ success: true }))
+  }
+  return { listeners, mockDataManager, mockIntegrationManager }
+})
+
+vi.mock('../../services/DataManager.js', () => ({
+  dataManager: mockDataManager,
+  DEFAULT_USER_ID: 'demo_user_12345'
+}))
+
+vi.mock('../../services/integrations/IntegrationManager.js', () => ({
+  getIntegrationManager: vi.fn(async () => mockIntegrationManager)
+}))
+
+vi.mock('../../utils/secureStorage.js', () => ({
+  secureStorage: { setSecureItem: vi.fn() }
+}))
+
+import { useAuth } from '../useIntegrations.jsx'
+
+describe('useAuth', () => {
+  beforeEach(() => {
+    listeners.clear()
+    vi.clearAllMocks()
+  })
+
+  it('should follow profile switches while signed in', async () => {
+    const { result } = renderHook(() => useAuth())
+
+    act(() => {
+      listeners.get('state:user-switched')({ userId: 'user_bob', user: { id: 'user_bob', name: 'Bob' } })
+    })
+
+    expect(result.current.user).toMatchObject({ id: 'user_bob', name: 'Bob' })
+  })
+
+  it('should leave the user signed out after signOut', async () => {
+    const { result } = renderHook(() => useAuth())
+    await waitFor(() => expect(result.current.isInitialized).toBe(true))
+
+    await act(async () => {
+      await result.current.signOut()
+    })
+
+    expect(mockIntegrationManager.execute).toHaveBeenCalledWith('auth', 'signOut', { userId: 'user_alice' })
+    expect(mockDataManager.switchUser).toHaveBeenCalledWith('demo_user_12345')
+    expect(result.current.user).toBeNull()
+  })
+})
@@ -47,10 +47,22 @@ export const useWalletBalance = () => {
       setError(error)
     })
 
+    // Reload the incoming profile's balance when the active user changes
+    const unsubscribeUserSwitch = dataManager.subscribe('state:user-switched', () => {
+      const switchedBalance = dataManager.getBalance()
+      setBalance({
+        ...switchedBalance,
+        available: switchedBalance.availableForSpending,
+        strategy: switchedBalance.strategyBalance || 0
+      })
+      setError(null)
+    })
+
     return () => {
       unsubscribeBalance()
       unsubscribeLoading()
       unsubscribeError()
+      unsubscribeUserSwitch()
     }
   }, [])
 
@@ -1,6 +1,7 @@
 import { useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { checkAuthRateLimit } from '../utils/advancedRateLimiter.js'
+import { dataManager } from '../services/DataManager.js'
 import logger from '../utils/logger'
 
 /**
@@ -124,6 +125,12 @@ export function useAuthentication() {
       
       await Promise.race([authPromise, timeoutPromise])
       
+      // Load the authenticated user's isolated profile
+      await dataManager.switchUser(deriveUserId('email', email), {
+        email,
+        name: email.split('@')[0]
+      })
+      
       // Success - reset retry count and navigate
       setRetryCount(0)
       setIsProcessingAuth(false)
@@ -197,6 +204,8 @@ export function useAuthentication() {
         await simulateAPICall(2000)
       }
       
+      await dataManager.switchUser(deriveUserId('social', providerName), { name: providerName })
+      
       setRetryCount(0)
       setIsProcessingAuth(false)
       navigate('/app')
@@ -235,6 +244,8 @@ export function useAuthentication() {
         await simulateAPICall(1500)
       }
       
+      await dataManager.switchUser(deriveUserId('wallet', walletName), { name: walletName })
+      
       setRetryCount(0)
       setIsProcessingAuth(false)
       navigate('/app')
@@ -348,6 +359,15 @@ function createTimeoutPromise(ms) {
   })
 }
 
+/**
+ * Derives a stable diBoaS user ID from the authenticated identity
+ * so each account maps to its own DataManager profile
+ */
+function deriveUserId(method, identifier) {
+  const normalized = String(identifier).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_')
+  return `${method}_${normalized}`
+}
+
 /**
  * Validates email and password inputs
  */
@@ -6,6 +6,7 @@
 import { useState, useEffect, useCallback, useRef } from 'react'
 import { getIntegrationManager } from '../services/integrations/IntegrationManager.js'
 import { secureStorage } from '../utils/secureStorage.js'
+import { dataManager, DEFAULT_USER_ID } from '../services/DataManager.js'
 
 export const useIntegrations = () => {
   const [integrationManager, setIntegrationManager] = useState(null)
@@ -52,11 +53,13 @@ export const useAuth = () => {
   const { integrationManager, isInitialized } = useIntegrations()
   const [isLoading, setIsLoading] = useState(false)
   const [user, setUser] = useState(() => {
-    // Initialize with demo user immediately to prevent loops
+    // Initialize with the active DataManager profile immediately to prevent loops
+    const activeUser = dataManager.getUser()
     return {
-      id: 'demo_user_12345',
       email: 'demo@diboas.com',
       name: 'Demo User',
+      ...activeUser,
+      id: dataManager.getCurrentUserId(),
       wallets: {
         BTC: 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh',
         ETH: '0x742d35Cc6634C0532925a3b8D0b2B0B04D4A9A47',
@@ -74,6 +77,13 @@ export const useAuth = () => {
   })
   const [error, setError] = useState(null)
 
+  // Follow profile switches made elsewhere (sign-in screens); a signed-out user stays signed out
+  useEffect(() => {
+    return dataManager.subscribe('state:user-switched', ({ user: switchedUser }) => {
+      setUser(prev => prev && { ...prev, ...switchedUser })
+    })
+  }, [])
+
   // Sign in with email/password
   const signInWithEmail = useCallback(async (email, password) => {
     if (!integrationManager) throw new Error('Integration manager not ready')
@@ -176,6 +186,8 @@ export const useAuth = () => {
 
       setUser(null)
       localStorage.removeItem('authToken')
+      // Leave the signed-out user's balances and history behind
+      await dataManager.switchUser(DEFAULT_USER_ID)
     } catch (err) {
       setError(err)
       throw err
@@ -186,7 +186,6 @@ export const useWalletBalance = () => {
  * Transaction processing hook - now uses centralized DataManager
  */
 export const useTransactionProcessor = () => {
-  const { user } = useAuth()
   const [isProcessing, setIsProcessing] = useState(false)
   const [error, setError] = useState(null)
   const [currentTransaction, setCurrentTransaction] = useState(null)
@@ -223,7 +222,7 @@ export const useTransactionProcessor = () => {
       const enrichedTransactionData = {
         ...transactionData,
         netAmount: netAmount,
-        userId: user?.id || 'demo_user_12345',
+        userId: dataManager.getCurrentUserId(),
         timestamp: new Date().toISOString(),
         ...options
       }
@@ -237,7 +236,7 @@ export const useTransactionProcessor = () => {
       setIsProcessing(false)
       throw err
     }
-  }, [user])
+  }, [])
 
   // Get transaction history from DataManager
   const getTransactionHistory = useCallback((options = {}) => {
@@ -647,7 +646,7 @@ export const useTransactionFlow = () => {
       const transactionWithFees = {
         ...flowData.transaction,
         fees: flowData.fees,
-        userId: 'current_user' // TODO: Get actual user ID from auth context
+        userId: dataManager.getCurrentUserId()
       }
       
       logger.debug('📤 Executing transaction with on-chain manager:', {
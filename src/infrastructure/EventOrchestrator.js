@@ -5,18 +5,69 @@
  */
 
 import logger from '../utils/logger.js'
+import { safeGetJSON, safeSetJSON } from '../utils/localStorageHelper.js'
 import { globalEventBus } from './EventBus.js'
 import { globalEventBroadcaster } from './EventBroadcaster.js'
 
+export const PROCESS_STATUS = {
+  STARTED: 'started',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  COMPENSATING: 'compensating',
+  COMPENSATED: 'compensated',
+  COMPENSATION_FAILED: 'compensation_failed'
+}
+
+const TERMINAL_STATUSES = [
+  PROCESS_STATUS.COMPLETED,
+  PROCESS_STATUS.FAILED,
+  PROCESS_STATUS.COMPENSATED,
+  PROCESS_STATUS.COMPENSATION_FAILED
+]
+
+const DEFAULT_STUCK_AFTER_MS = 60 * 60 * 1000 // 1 hour without activity
+
+/**
+ * Raised by runSaga when a saga fails; compensation has already run by then
+ */
+export class ProcessFailedError extends Error {
+  constructor(process) {
+    super(`Process ${process.name} failed at ${process.failedStep}: ${process.error}`)
+    this.name = 'ProcessFailedError'
+    this.processId = process.id
+    this.status = process.status
+    this.step = process.failedStep
+  }
+}
+
+/**
+ * Step template keys:
+ * - on: { EventType: 'next-step' } event-driven transitions
+ * - action: predefined/registered action name, or a function (process, eventData) => result
+ * - next: step to run as soon as the action succeeds (no event needed)
+ * - compensation: action that undoes this step; run in reverse order if the process later fails
+ * - compensate: entering this step fails the process and compensates completed steps
+ * - timeout / timeoutAction: fail (and compensate) the process if it stays in the step too long
+ * - final: completes the process
+ */
 export class EventOrchestrator {
-  constructor(eventBus = globalEventBus, broadcaster = globalEventBroadcaster) {
+  /**
+   * @param {Object} options
+   * @param {string} options.persistenceKey - localStorage key for process state; omit to keep it in memory
+   */
+  constructor(eventBus = globalEventBus, broadcaster = globalEventBroadcaster, options = {}) {
     this._eventBus = eventBus
     this._broadcaster = broadcaster
     this._processes = new Map()
     this._processTemplates = new Map()
     this._sagaInstances = new Map()
+    this._actions = new Map()
+    this._stepTimers = new Map()
+    this._pendingCompensations = new Map()
+    this._persistenceKey = options.persistenceKey || null
     
     this._setupBusinessProcesses()
+    this._restoreProcesses()
   }
 
   /**
@@ -31,6 +82,24 @@ export class EventOrchestrator {
     logger.info(`Business process registered: ${processName}`)
   }
 
+  /**
+   * Register a named action usable as a step action or compensation in templates
+   */
+  registerAction(actionName, handler) {
+    this._actions.set(actionName, handler)
+    this._resumeReadyCompensations()
+  }
+
+  /**
+   * Resume every restored compensation still waiting for its actions. Steps whose
+   * action was never registered fail the process with COMPENSATION_FAILED.
+   */
+  async resumeProcesses() {
+    const pending = Array.from(this._pendingCompensations.values())
+    this._pendingCompensations.clear()
+    return Promise.all(pending.map(process => this._resumeCompensation(process)))
+  }
+
   /**
    * Start a new business process instance
    */
@@ -40,14 +109,86 @@ export class EventOrchestrator {
       throw new Error(`Process template not found: ${processName}`)
     }
 
+    const process = this._createProcess(processName, template, initialData)
+
+    // Execute initial step
+    await this._executeProcessStep(process, process.currentStep, initialData)
+
+    return process.id
+  }
+
+  /**
+   * Run an ordered list of steps as a saga. If a step fails or times out, the
+   * compensations of the steps already done run in reverse order.
+   * Compensations given as registered action names (see registerAction) are
+   * persisted, so a saga interrupted by a reload can still be compensated.
+   * @param {string} sagaName - Process name used in logs and queries
+   * @param {Array} steps - [{ name, action(process), compensation(process, actionResult) | actionName, timeout }]
+   * @param {Object} initialData - Process data
+   * @returns {Promise<Object>} { processId, results } with each step's action result
+   * @throws {ProcessFailedError} When the saga fails
+   */
+  async runSaga(sagaName, steps, initialData = {}) {
+    if (!steps || steps.length === 0) {
+      throw new Error(`Saga ${sagaName} has no steps`)
+    }
+
+    const template = {
+      initialStep: steps[0].name,
+      steps: Object.fromEntries(steps.map((step, index) => [step.name, {
+        action: step.action,
+        compensation: step.compensation,
+        timeout: step.timeout,
+        ...(index < steps.length - 1 ? { next: steps[index + 1].name } : { final: true })
+      }]))
+    }
+
+    const process = this._createProcess(sagaName, template, initialData, { adHoc: true })
+    await this._executeProcessStep(process, process.currentStep, initialData)
+
+    if (process.status !== PROCESS_STATUS.COMPLETED) {
+      throw new ProcessFailedError(process)
+    }
+
+    return { processId: process.id, results: process.results }
+  }
+
+  /**
+   * Fail a process (if still running) and undo its completed steps.
+   * Also retries compensation for processes whose compensation failed.
+   */
+  async compensateProcess(processId, reason = 'Compensation requested') {
+    const process = this._processes.get(processId)
+    if (!process) {
+      throw new Error(`Process not found: ${processId}`)
+    }
+    this._pendingCompensations.delete(processId)
+
+    if (process.status === PROCESS_STATUS.STARTED) {
+      await this._failProcess(process, process.currentStep, new Error(reason))
+    } else if (process.completedSteps.length > 0 && process.status !== PROCESS_STATUS.COMPLETED) {
+      await this._compensateProcess(process)
+    }
+
+    return process
+  }
+
+  /**
+   * Create, track and persist a process instance
+   */
+  _createProcess(processName, template, initialData, { adHoc = false } = {}) {
     const processId = this._generateProcessId(processName)
     const process = {
       id: processId,
       name: processName,
-      status: 'started',
+      status: PROCESS_STATUS.STARTED,
       currentStep: template.initialStep || 'start',
       data: { ...initialData },
       steps: [],
+      completedSteps: [], // Steps with a compensation, in completion order
+      compensations: [],
+      results: {},
+      adHoc,
       startedAt: new Date().toISOString(),
       lastActivityAt: new Date().toISOString(),
       template
@@ -64,10 +205,8 @@ export class EventOrchestrator {
       initialData
     })
 
-    // Execute initial step
-    await this._executeProcessStep(process, 'start', initialData)
-
-    return processId
+    this._persistProcesses()
+    return process
   }
 
   /**
@@ -171,6 +310,7 @@ export class EventOrchestrator {
         },
         'source-chain-tx': {
           action: 'execute-source-transaction',
+          compensation: 'reverse-source-transaction',
           on: {
             'SourceChainTxConfirmed': 'bridge-transfer',
             'SourceChainTxFailed': 'source-failure'
@@ -192,7 +332,11 @@ export class EventOrchestrator {
         'completion': {
           final: true,
           action: 'notify-completion'
-        }
+        },
+        'routing-failure': { compensate: true },
+        'source-failure': { compensate: true },
+        'bridge-failure': { compensate: true },
+        'destination-failure': { compensate: true }
       }
     })
 
@@ -274,7 +418,7 @@ export class EventOrchestrator {
    */
   async _handleProcessEvent(processId, event) {
     const process = this._processes.get(processId)
-    if (!process || process.status === 'completed' || process.status === 'failed') {
+    if (!process || process.status !== PROCESS_STATUS.STARTED) {
       return
     }
 
@@ -306,9 +450,11 @@ export class EventOrchestrator {
     })
 
     // Update process state
+    this._clearStepTimeout(processId)
     process.currentStep = nextStep
     process.lastActivityAt = new Date().toISOString()
     process.data = { ...process.data, ...event.data }
+    this._persistProcesses()
 
     // Execute the step
     await this._executeProcessStep(process, nextStep, event.data)
@@ -327,12 +473,24 @@ export class EventOrchestrator {
     try {
       // Execute step action if defined
       if (stepConfig.action) {
-        await this._executeStepAction(process, stepName, stepConfig.action, eventData)
+        process.results[stepName] = await this._runStepAction(process, stepName, stepConfig, eventData)
+      }
+
+      // Remember steps that can be undone if a later step fails
+      if (stepConfig.compensation) {
+        process.completedSteps.push({ step: stepName, completedAt: new Date().toISOString() })
+      }
+      process.lastActivityAt = new Date().toISOString()
+      this._persistProcesses()
+
+      if (stepConfig.compensate) {
+        await this._failProcess(process, stepName, new Error(`Process entered failure step: ${stepName}`))
+        return
       }
 
       // Check if this is a final step
       if (stepConfig.final) {
-        process.status = 'completed'
+        process.status = PROCESS_STATUS.COMPLETED
         process.completedAt = new Date().toISOString()
         
         logger.info(`Process completed: ${process.name}`, {
@@ -347,6 +505,20 @@ export class EventOrchestrator {
         
         // Remove from active processes
         this._processes.delete(process.id)
+        this._persistProcesses()
+        return
+      }
+
+      // Continue straight to the next step when no event is awaited
+      if (stepConfig.next) {
+        process.steps.push({
+          step: stepName,
+          triggeredBy: 'action',
+          timestamp: new Date().toISOString()
+        })
+        process.currentStep = stepConfig.next
+        await this._executeProcessStep(process, stepConfig.next, eventData)
+        return
       }
 
       // Setup timeout if configured
@@ -361,29 +533,135 @@ export class EventOrchestrator {
         error: error.message
       })
 
-      process.status = 'failed'
-      process.failedAt = new Date().toISOString()
-      process.error = error.message
-      
-      // Cleanup on failure
-      if (process.unsubscribers) {
-        process.unsubscribers.forEach(unsubscribe => unsubscribe())
+      await this._failProcess(process, stepName, error)
+    }
+  }
+
+  /**
+   * Run a step's action; steps that move on without an event treat their timeout as an action deadline.
+   * Steps driven by events only call their action once a handler is registered for it.
+   */
+  async _runStepAction(process, stepName, stepConfig, eventData) {
+    if (!stepConfig.next && !this._isActionAvailable(stepConfig.action)) {
+      logger.warn(`No handler registered for process action: ${stepConfig.action}`, { processId: process.id, step: stepName })
+      return undefined
+    }
+
+    const run = this._executeStepAction(process, stepName, stepConfig.action, eventData)
+    if (!stepConfig.next || !stepConfig.timeout) {
+      return run
+    }
+
+    let timer
+    const deadline = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timeout in step: ${stepName}`)), stepConfig.timeout)
+    })
+
+    try {
+      return await Promise.race([run, deadline])
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  /**
+   * Mark a process failed and compensate any completed steps
+   */
+  async _failProcess(process, stepName, error) {
+    process.status = PROCESS_STATUS.FAILED
+    process.failedAt = new Date().toISOString()
+    process.failedStep = stepName
+    process.error = error.message
+    this._clearStepTimeout(process.id)
+
+    // Cleanup on failure
+    if (process.unsubscribers) {
+      process.unsubscribers.forEach(unsubscribe => unsubscribe())
+    }
+    this._persistProcesses()
+
+    if (process.completedSteps.length > 0) {
+      await this._compensateProcess(process)
+    }
+  }
+
+  /**
+   * Run compensations newest step first. Each compensated step is dropped from
+   * completedSteps, so a retry resumes where a failed compensation stopped.
+   */
+  async _compensateProcess(process) {
+    process.status = PROCESS_STATUS.COMPENSATING
+    this._persistProcesses()
+
+    while (process.completedSteps.length > 0) {
+      const { step } = process.completedSteps[process.completedSteps.length - 1]
+      const compensation = process.template?.steps[step]?.compensation
+
+      try {
+        if (!compensation) {
+          throw new Error(`Compensation for step ${step} is not available`)
+        }
+
+        await this._executeStepAction(process, step, compensation, process.results[step])
+        process.completedSteps.pop()
+        process.compensations.push({ step, status: 'completed', timestamp: new Date().toISOString() })
+        this._persistProcesses()
+      } catch (error) {
+        logger.error(`Process compensation failed: ${process.name}`, {
+          processId: process.id,
+          step,
+          error: error.message
+        })
+
+        process.status = PROCESS_STATUS.COMPENSATION_FAILED
+        process.compensations.push({ step, status: 'failed', error: error.message, timestamp: new Date().toISOString() })
+        this._persistProcesses()
+        return false
       }
     }
+
+    process.status = PROCESS_STATUS.COMPENSATED
+    process.compensatedAt = new Date().toISOString()
+    logger.info(`Process compensated: ${process.name}`, {
+      processId: process.id,
+      failedStep: process.failedStep,
+      compensatedSteps: process.compensations.length
+    })
+    this._persistProcesses()
+    return true
   }
 
   /**
    * Execute step-specific actions
    */
   async _executeStepAction(process, stepName, actionName, eventData) {
-    logger.debug(`Executing process action: ${actionName}`, {
+    logger.debug(`Executing process action: ${typeof actionName === 'function' ? actionName.name || 'inline' : actionName}`, {
       processId: process.id,
       processName: process.name,
       step: stepName
     })
 
-    // Predefined actions
-    const actions = {
+    if (typeof actionName === 'function') {
+      return actionName(process, eventData)
+    }
+
+    const registeredAction = this._actions.get(actionName)
+    if (registeredAction) {
+      return registeredAction(process, eventData)
+    }
+
+    const action = this._predefinedActions(process)[actionName]
+    if (!action) {
+      throw new Error(`Unknown process action: ${actionName}`)
+    }
+    return await action()
+  }
+
+  /**
+   * Built-in actions available to every template, bound to a process
+   */
+  _predefinedActions(process) {
+    return {
       'notify-user': () => {
         logger.info(`User notification: Process ${process.name} completed`, {
           userId: process.data.userId,
@@ -434,23 +712,41 @@ export class EventOrchestrator {
             amount: process.data.amount
           }
         })
+      },
+
+      'reverse-source-transaction': () => {
+        return this._broadcaster.broadcastDomainEvent('transaction', {
+          eventType: 'SourceChainTxReversalRequested',
+          eventId: `${process.id}_reversal_${Date.now()}`,
+          timestamp: new Date().toISOString(),
+          data: {
+            processId: process.id,
+            userId: process.data.userId,
+            amount: process.data.amount,
+            failedStep: process.failedStep
+          }
+        })
       }
     }
+  }
 
-    const action = actions[actionName]
-    if (action) {
-      await action()
-    } else {
-      logger.warn(`Unknown process action: ${actionName}`)
-    }
+  /**
+   * Whether a step action can run now: inline, registered, or predefined
+   */
+  _isActionAvailable(action) {
+    return typeof action === 'function' || this._actions.has(action) || action in this._predefinedActions(null)
   }
 
   /**
-   * Setup timeout for a process step
+   * Setup timeout for a process step; an expired step fails the process and compensates it
    */
   _setupStepTimeout(process, stepName, timeout) {
-    setTimeout(() => {
-      if (process.currentStep === stepName && process.status === 'started') {
+    this._clearStepTimeout(process.id)
+    process.stepDeadline = new Date(Date.now() + timeout).toISOString()
+
+    const timer = setTimeout(async () => {
+      this._stepTimers.delete(process.id)
+      if (process.currentStep === stepName && process.status === PROCESS_STATUS.STARTED) {
         logger.warn(`Process step timeout: ${process.name}`, {
           processId: process.id,
           step: stepName,
@@ -460,18 +756,120 @@ export class EventOrchestrator {
         // Handle timeout based on step configuration
         const stepConfig = process.template.steps[stepName]
         if (stepConfig.timeoutAction) {
-          this._executeStepAction(process, stepName, stepConfig.timeoutAction, {
-            timeout: true,
-            step: stepName
-          })
-        } else {
-          // Default timeout behavior - fail the process
-          process.status = 'failed'
-          process.failedAt = new Date().toISOString()
-          process.error = `Timeout in step: ${stepName}`
+          try {
+            await this._executeStepAction(process, stepName, stepConfig.timeoutAction, {
+              timeout: true,
+              step: stepName
+            })
+          } catch (error) {
+            logger.error(`Process timeout action failed: ${process.name}`, { processId: process.id, error: error.message })
+          }
         }
+
+        await this._failProcess(process, stepName, new Error(`Timeout in step: ${stepName}`))
       }
     }, timeout)
+
+    this._stepTimers.set(process.id, timer)
+  }
+
+  _clearStepTimeout(processId) {
+    const timer = this._stepTimers.get(processId)
+    if (timer) {
+      clearTimeout(timer)
+      this._stepTimers.delete(processId)
+    }
+  }
+
+  /**
+   * Save process state so it survives a reload (templates and subscriptions are rebuilt on restore)
+   */
+  _persistProcesses() {
+    if (!this._persistenceKey) return
+
+    const records = Array.from(this._processes.values()).map(({ template, unsubscribers, ...record }) =>
+      record.adHoc ? { ...record, sagaTemplate: this._toStoredTemplate(template) } : record
+    )
+    safeSetJSON(this._persistenceKey, records)
+  }
+
+  /**
+   * Inline saga template reduced to what survives a reload: step order and
+   * actions referenced by registered name
+   */
+  _toStoredTemplate(template) {
+    if (!template) return null
+
+    const byName = (action) => typeof action === 'string' ? action : null
+    return {
+      initialStep: template.initialStep,
+      steps: Object.fromEntries(Object.entries(template.steps).map(([name, { action, compensation, ...step }]) =>
+        [name, { ...step, action: byName(action), compensation: byName(compensation) }]
+      ))
+    }
+  }
+
+  /**
+   * Reload persisted processes: running ones resubscribe and re-arm their timeout,
+   * interrupted compensations resume once their actions are registered, and processes whose steps cannot be resumed
+   * (inline sagas, or a reload in the middle of an action) are flagged as interrupted.
+   * Interrupted processes can still be compensated with compensateProcess.
+   */
+  _restoreProcesses() {
+    if (!this._persistenceKey) return
+
+    const records = safeGetJSON(this._persistenceKey, [])
+    for (const { sagaTemplate, ...record } of records) {
+      const template = record.adHoc ? sagaTemplate || null : this._processTemplates.get(record.name)
+      const process = { ...record, template }
+      this._processes.set(process.id, process)
+
+      if (TERMINAL_STATUSES.includes(process.status)) continue
+
+      const currentStepConfig = template?.steps[process.currentStep]
+      const midAction = process.status === PROCESS_STATUS.STARTED && (process.adHoc || currentStepConfig?.next)
+      if (!template || midAction) {
+        process.interrupted = true
+        continue
+      }
+
+      if (process.status === PROCESS_STATUS.STARTED) {
+        process.unsubscribers = this._subscribeToProcessEvents(process)
+        if (currentStepConfig?.timeout && process.stepDeadline) {
+          this._setupStepTimeout(process, process.currentStep, Math.max(0, new Date(process.stepDeadline) - Date.now()))
+        }
+      } else if (process.status === PROCESS_STATUS.COMPENSATING) {
+        this._pendingCompensations.set(process.id, process)
+      }
+    }
+
+    if (records.length > 0) {
+      logger.info(`Restored ${records.length} business processes`)
+    }
+    this._resumeReadyCompensations()
+  }
+
+  /**
+   * Resume restored compensations once every action they still need is available;
+   * actions are usually registered by services loaded after the orchestrator
+   */
+  _resumeReadyCompensations() {
+    for (const process of this._pendingCompensations.values()) {
+      const ready = process.completedSteps.every(({ step }) => {
+        const compensation = process.template.steps[step]?.compensation
+        return !compensation || this._isActionAvailable(compensation)
+      })
+      if (!ready) continue
+
+      this._pendingCompensations.delete(process.id)
+      this._resumeCompensation(process)
+    }
+  }
+
+  _resumeCompensation(process) {
+    return this._compensateProcess(process).catch(error => {
+      logger.error(`Failed to resume compensation: ${process.name}`, { processId: process.id, error: error.message })
+    })
   }
 
   /**
@@ -496,6 +894,26 @@ export class EventOrchestrator {
     return this._processes.get(processId)
   }
 
+  /**
+   * Processes needing attention: compensation failed, interrupted by a reload,
+   * or still running without activity for longer than idleMs
+   */
+  getStuckProcesses({ idleMs = DEFAULT_STUCK_AFTER_MS, now = Date.now() } = {}) {
+    return Array.from(this._processes.values()).filter(process =>
+      process.status === PROCESS_STATUS.COMPENSATION_FAILED ||
+      (!TERMINAL_STATUSES.includes(process.status) &&
+        (process.interrupted || now - new Date(process.lastActivityAt).getTime() > idleMs))
+    )
+  }
+
+  /**
+   * Processes that failed and were fully rolled back
+   */
+  getCompensatedProcesses() {
+    return Array.from(this._processes.values())
+      .filter(process => process.status === PROCESS_STATUS.COMPENSATED)
+  }
+
   /**
    * Get process statistics
    */
@@ -507,6 +925,8 @@ export class EventOrchestrator {
       activeProcesses: processes.filter(p => p.status === 'started').length,
       completedProcesses: processes.filter(p => p.status === 'completed').length,
       failedProcesses: processes.filter(p => p.status === 'failed').length,
+      compensatedProcesses: processes.filter(p => p.status === PROCESS_STATUS.COMPENSATED).length,
+      stuckProcesses: this.getStuckProcesses().length,
       registeredTemplates: this._processTemplates.size
     }
   }
@@ -519,6 +939,9 @@ export class EventOrchestrator {
     const toDelete = []
 
     for (const [processId, process] of this._processes) {
+      // Processes still compensating, or whose compensation failed, are kept for follow-up
+      if (process.status === PROCESS_STATUS.COMPENSATING || process.status === PROCESS_STATUS.COMPENSATION_FAILED) continue
+
       const completedAt = process.completedAt || process.failedAt
       if (completedAt && (now - new Date(completedAt).getTime()) > olderThanMs) {
         toDelete.push(processId)
@@ -530,8 +953,10 @@ export class EventOrchestrator {
       if (process.unsubscribers) {
         process.unsubscribers.forEach(unsubscribe => unsubscribe())
       }
+      this._clearStepTimeout(processId)
       this._processes.delete(processId)
     }
+    this._persistProcesses()
 
     logger.info(`Cleaned up ${toDelete.length} old processes`)
     return toDelete.length
@@ -541,6 +966,8 @@ export class EventOrchestrator {
 /**
  * Create singleton event orchestrator
  */
-export const globalEventOrchestrator = new EventOrchestrator()
+export const globalEventOrchestrator = new EventOrchestrator(globalEventBus, globalEventBroadcaster, {
+  persistenceKey: 'diboas_orchestrator_processes'
+})
 
 export default EventOrchestrator
\ No newline at end of file
@@ -4,6 +4,8 @@
  */
 
 import { secureStorage } from '../utils/secureStorage.js'
+import Decimal from 'decimal.js'
+import { Money } from '../domains/shared/value-objects/Money.js'
 import secureLogger from '../utils/secureLogger.js'
 import logger from '../utils/logger'
 
@@ -15,7 +17,10 @@ import automationService from './automation/AutomationService.js'
 
 // Import advanced financial services
 import taxOptimizationService from './tax/TaxOptimizationService.js'
-import lendingPoolService from './lending/LendingPoolService.js'
+import taxLotService from './tax/TaxLotService.js'
+import taxFormReportService from './tax/TaxFormReportService.js'
+import lendingPoolService, { LOAN_STATUS } from './lending/LendingPoolService.js'
+import candleStore from './marketData/CandleStore.js'
 import portfolioInsightsService from './insights/PortfolioInsightsService.js'
 
 // Import performance monitoring
@@ -27,6 +32,33 @@ import securityMonitoringService from './monitoring/SecurityMonitoringService.js
 // Import error recovery
 import errorRecoveryService from './errorHandling/ErrorRecoveryService.js'
 
+// Import double-entry ledger
+import ledgerService from './ledger/LedgerService.js'
+
+// Import payment lifecycle for refunds and disputes reported by provider webhooks
+import { globalEventBus } from '../infrastructure/EventBus.js'
+import { WEBHOOK_EVENT_TYPES } from './integrations/webhooks/webhookProviders.js'
+import {
+  DISPUTE_STATUS,
+  isDisputeOpen,
+  assertDisputeTransition,
+  getRefundableAmount,
+  getPaymentStatus
+} from './integrations/payments/paymentLifecycle.js'
+
+// Fallback profile used until an authenticated user is switched in
+export const DEFAULT_USER_ID = 'demo_user_12345'
+
+// USD balances are held as USDC, so balance math uses its 6-decimal minor units
+const BALANCE_CURRENCY = 'USDC'
+
+// Asset quantities are tracked at a fixed precision: not every tradable asset
+// (GOLD, STOCKS, REALESTATE) is a Money currency, so they never go through Money
+const ASSET_QUANTITY_DECIMALS = 8
+
+// Transactions funded by an external payment that the provider can take back
+const REVERSIBLE_FUNDING_TYPES = ['add', 'buy', 'start_strategy']
+
 class DataManager {
   constructor() {
     this.state = {
@@ -40,6 +72,14 @@ class DataManager {
     this.subscribers = new Map()
     this.eventBus = new EventTarget()
     
+    // MULTI-USER: Inactive user profiles kept in memory for fast switching
+    this.userProfiles = new Map()
+    
+    // LEDGER: Nesting depth of balance updates that journal as a single entry
+    this.ledgerPostingDepth = 0
+    // LEDGER: Tail of the balance updates in flight, which run one at a time
+    this.balanceUpdateQueue = Promise.resolve()
+    
     // SECURITY: Add transaction locking to prevent race conditions
     this.transactionLock = new Map() // Track locked operations
     this.operationQueue = [] // Queue for concurrent operations
@@ -54,44 +94,66 @@ class DataManager {
     // Start automatic cleanup
     this.startCleanupScheduler()
     
+    // Apply refunds and chargebacks reported by payment webhooks
+    this.startPaymentEventListener()
+    
     // Initialize with clean state
     this.initializeCleanState()
+    
+    // The automation service calls back into this instance, so it starts once construction has finished
+    Promise.resolve()
+      .then(() => this.startAutomations())
+      .catch(error => logger.error('Failed to start automations:', error))
   }
 
   /**
    * Initialize with completely clean state - no mock user data
+   * @param {string} userId - Profile to reset (defaults to the active user)
    */
-  initializeCleanState() {
-    const userId = 'demo_user_12345'
-    
+  initializeCleanState(userId = this.getCurrentUserId()) {
     // Clear any existing data and localStorage
     this.clearAllData(userId)
     
     // Force clear localStorage to ensure completely clean state
-    const keysToRemove = [
-      `diboas_balances_${userId}`,
-      `diboas_balance_state_${userId}`, 
-      `diboas_transaction_history_${userId}`,
-      `diboas_wallets_${userId}`
-    ]
+    const keysToRemove = Object.values(this.getStorageKeys(userId))
     keysToRemove.forEach(key => {
       if (typeof localStorage !== 'undefined') {
         localStorage.removeItem(key)
       }
     })
     
+    // Drop any cached profile so the reset cannot be undone by a later switch
+    this.userProfiles.delete(userId)
+    ledgerService.resetUser(userId)
+    lendingPoolService.unloadLoans(userId)
+    
     // Set clean initial state - no mock balances or transactions
-    this.state = {
+    this.state = this.createCleanUserState({ id: userId })
+    
+    // Persist clean state
+    this.persistState()
+    
+    // Notify all subscribers
+    this.emit('state:initialized', this.state)
+  }
+
+  /**
+   * Build a clean per-user state slice
+   * @param {Object} user - User identity ({ id, name, email })
+   */
+  createCleanUserState(user) {
+    return {
       user: {
-        id: userId,
         name: 'New User',
-        email: 'user@example.com'
+        email: 'user@example.com',
+        ...user
       },
       balance: {
         totalUSD: 0,
         availableForSpending: 0,
         investedAmount: 0,
         strategyBalance: 0,
+        negativeBalance: 0, // Owed after a payment reversal exceeded Available Balance
         breakdown: {
           BTC: { native: 0, usdc: 0, usdValue: 0 },
           ETH: { native: 0, usdc: 0, usdValue: 0 },
@@ -113,12 +175,105 @@ class DataManager {
       isLoading: false,
       lastUpdated: Date.now()
     }
-    
-    // Persist clean state
-    this.persistState()
-    
-    // Notify all subscribers
-    this.emit('state:initialized', this.state)
+  }
+
+  /**
+   * Get the active user ID
+   */
+  getCurrentUserId() {
+    return this.state?.user?.id || DEFAULT_USER_ID
+  }
+
+  /**
+   * Get all localStorage keys owned by a user profile
+   */
+  getStorageKeys(userId) {
+    return {
+      balances: `diboas_balances_${userId}`,
+      balanceState: `diboas_balance_state_${userId}`,
+      transactionHistory: `diboas_transaction_history_${userId}`,
+      finObjectives: `diboas_fin_objectives_${userId}`,
+      ledger: `diboas_ledger_${userId}`,
+      loans: `diboas_loans_${userId}`,
+      wallets: `diboas_wallets_${userId}`
+    }
+  }
+
+  /**
+   * Get IDs of every profile loaded in this session (active user first)
+   */
+  getLoadedUserIds() {
+    return [this.getCurrentUserId(), ...this.userProfiles.keys()]
+  }
+
+  /**
+   * MULTI-USER: Switch the active profile
+   * Balances, transactions, finObjectives and strategies are isolated per user.
+   * The outgoing profile is persisted and cached; the incoming one is restored
+   * from cache, then from encrypted storage, and finally from a clean state.
+   * @param {string} userId - Authenticated user ID
+   * @param {Object} userDetails - Optional identity fields ({ name, email })
+   */
+  async switchUser(userId, userDetails = {}) {
+    if (!userId || typeof userId !== 'string') {
+      throw new Error('Invalid user ID provided')
+    }
+
+    const previousUserId = this.getCurrentUserId()
+
+    if (userId === previousUserId) {
+      this.state.user = { ...this.state.user, ...userDetails, id: userId }
+      return this.getState()
+    }
+
+    // Persist and cache the outgoing profile
+    await Promise.all([
+      this.persistBalance(),
+      this.persistTransactions(),
+      this.persistFinObjectives(),
+      this.persistLedger(),
+      this.persistLoans()
+    ])
+    lendingPoolService.unloadLoans(previousUserId)
+    this.userProfiles.set(previousUserId, {
+      user: this.state.user,
+      balance: this.state.balance,
+      transactions: this.state.transactions,
+      finObjectives: this.state.finObjectives,
+      yieldData: this.state.yieldData
+    })
+
+    const cachedProfile = this.userProfiles.get(userId)
+    if (cachedProfile) {
+      this.userProfiles.delete(userId)
+      this.state = {
+        ...cachedProfile,
+        isLoading: false,
+        lastUpdated: Date.now()
+      }
+      await this.loadLoans()
+    } else {
+      this.state = this.createCleanUserState({ id: userId })
+      await this.loadState()
+    }
+
+    this.state.user = { ...this.state.user, ...userDetails, id: userId }
+
+    logger.debug('DataManager switched user:', { previousUserId, userId })
+
+    this.emit('state:user-switched', {
+      previousUserId,
+      userId,
+      user: this.getUser()
+    })
+
+    // Re-broadcast every per-user slice so existing subscribers re-render
+    this.emit('balance:updated', this.state.balance)
+    this.emit('transactions:updated', this.state.transactions)
+    this.emit('finObjectives:updated', this.state.finObjectives)
+    this.emit('yieldData:updated', this.state.yieldData)
+
+    return this.getState()
   }
 
   /**
@@ -128,6 +283,12 @@ class DataManager {
    * @param {Object} strategyDetails - Strategy metadata
    */
   updateStrategyBalance(strategyId, amount, strategyDetails = {}) {
+    // Inside updateBalance the surrounding transaction already funds the strategy
+    const journaled = this.ledgerPostingDepth === 0
+    if (journaled) {
+      this.reconcileLedgerBalance()
+    }
+
     if (!this.state.balance.strategies) {
       this.state.balance.strategies = {}
     }
@@ -146,18 +307,22 @@ class DataManager {
       }
     }
 
-    // Update strategy amount
-    this.state.balance.strategies[strategyId].currentAmount += amount
-    
-    // Update total strategy balance
-    this.state.balance.strategyBalance = Object.values(this.state.balance.strategies)
-      .filter(strategy => strategy.status === 'active')
-      .reduce((sum, strategy) => sum + strategy.currentAmount, 0)
+    if (journaled) {
+      // Update strategy amount
+      const strategy = this.state.balance.strategies[strategyId]
+      strategy.currentAmount = this.addMoney(BALANCE_CURRENCY, strategy.currentAmount, amount)
+      
+      // Update total strategy balance
+      this.state.balance.strategyBalance = this.addMoney(BALANCE_CURRENCY, ...Object.values(this.state.balance.strategies)
+        .filter(activeStrategy => activeStrategy.status === 'active')
+        .map(activeStrategy => activeStrategy.currentAmount))
 
-    // Update total balance
-    this.state.balance.totalUSD = this.state.balance.availableForSpending + 
-                                  this.state.balance.investedAmount + 
-                                  this.state.balance.strategyBalance
+      // Update total balance
+      this.recalculateTotalBalance()
+
+      this.postLedgerEntry({ type: 'strategy_allocation', strategyId, amount })
+      this.applyLedgerBalance()
+    }
 
     this.state.balance.lastUpdated = Date.now()
     
@@ -506,6 +671,7 @@ class DataManager {
       return true // Return true but don't change balances
     }
     
+    this.reconcileLedgerBalance()
     const strategyAmount = strategy.currentAmount
 
     // Mark strategy as stopped
@@ -513,16 +679,17 @@ class DataManager {
     strategy.stoppedAt = Date.now()
 
     // Move funds from strategy balance to available balance
-    this.state.balance.strategyBalance -= strategyAmount
-    this.state.balance.availableForSpending += strategyAmount
+    this.state.balance.strategyBalance = this.subtractMoney(BALANCE_CURRENCY, this.state.balance.strategyBalance, strategyAmount)
+    this.state.balance.availableForSpending = this.addMoney(BALANCE_CURRENCY, this.state.balance.availableForSpending, strategyAmount)
 
     // Update total balance (should remain the same)
-    this.state.balance.totalUSD = this.state.balance.availableForSpending + 
-                                  this.state.balance.investedAmount + 
-                                  this.state.balance.strategyBalance
+    this.recalculateTotalBalance()
 
     this.state.balance.lastUpdated = Date.now()
     
+    this.postLedgerEntry({ type: 'strategy_stop', strategyId, amount: strategyAmount })
+    this.applyLedgerBalance()
+    
     // Persist and emit events
     this.persistBalance()
     this.emit('balance:updated', this.state.balance)
@@ -533,9 +700,15 @@ class DataManager {
 
   /**
    * Get estimated asset price for quantity calculations
-   * This is a simplified version - in production would integrate with price feeds
+   * Uses the candle store's price at the given time, falling back to base prices
+   * when there is no recent enough history
    */
-  getEstimatedAssetPrice(asset) {
+  getEstimatedAssetPrice(asset, timestamp = Date.now()) {
+    const historicalPrice = candleStore.getPriceAt(asset, timestamp)
+    if (historicalPrice !== null) {
+      return historicalPrice
+    }
+
     const basePrices = {
       'BTC': 43250,
       'ETH': 2680,
@@ -554,10 +727,13 @@ class DataManager {
    * Clear all stored data for user
    */
   clearAllData(userId) {
+    const storageKeys = this.getStorageKeys(userId)
     const keysToRemove = [
-      `diboas_balances_${userId}`,
-      `diboas_transaction_history_${userId}`,
-      `diboas_wallets_${userId}`
+      storageKeys.balances,
+      storageKeys.transactionHistory,
+      storageKeys.ledger,
+      storageKeys.loans,
+      storageKeys.wallets
     ]
     
     keysToRemove.forEach(key => {
@@ -677,6 +853,8 @@ class DataManager {
   async updateBalanceOriginal(transactionData) {
     this.state.isLoading = true
     this.emit('balance:loading', true)
+    // Restored if the update fails part way, so a rejected transaction never leaves a half-applied balance
+    const balanceBefore = JSON.parse(JSON.stringify(this.state.balance))
 
     try {
       const { type, amount, netAmount, fees, asset, paymentMethod } = transactionData
@@ -695,6 +873,14 @@ class DataManager {
         paymentMethod
       })
 
+      // NEGATIVE BALANCE: Nothing leaves the account until a reversal shortfall is repaid
+      if ((this.state.balance.negativeBalance || 0) > 0 && this.spendsAvailableBalance(transactionData)) {
+        throw new Error(`Outgoing transactions are on hold until the $${this.state.balance.negativeBalance.toFixed(2)} negative balance from a payment reversal is settled`)
+      }
+
+      // Everything that can reject the transaction is worked out before any balance field changes
+      const tradeAmounts = ['buy', 'sell'].includes(type) ? this.getTradeAmounts(transactionData) : null
+
       // Update balance based on transaction type
       switch (type) {
         case 'add': {
@@ -702,13 +888,15 @@ class DataManager {
           // The net amount (amount - fees) has already been calculated in the transaction flow
           // This is the single source of truth - we just apply it directly
           
+          const newAvailable = this.addMoney(BALANCE_CURRENCY, this.state.balance.availableForSpending, amountToProcess)
+          
           logger.debug('Add transaction balance update:', {
             currentAvailable: this.state.balance.availableForSpending,
             amountToAdd: amountToProcess,
-            newAvailable: this.state.balance.availableForSpending + amountToProcess
+            newAvailable
           })
           
-          this.state.balance.availableForSpending += amountToProcess
+          this.state.balance.availableForSpending = newAvailable
           // Invested balance unchanged
           break
         }
@@ -719,53 +907,52 @@ class DataManager {
           // Technical: USDC → Fiat (Off-ramp) or USDC → USDC (On-chain)
           // Available Balance = current - transaction amount (full amount deducted upfront)
           // Invested Balance = no changes, Strategy Balance = no changes
-          this.state.balance.availableForSpending = Math.max(0, this.state.balance.availableForSpending - amountToProcess)
+          this.state.balance.availableForSpending = this.subtractMoney(BALANCE_CURRENCY, this.state.balance.availableForSpending, amountToProcess)
           break
         }
           
         case 'send':
+        case 'transfer':
           // Send transaction per specification section 3.1.3
+          // (a transfer to an external wallet moves funds the same way)
           // Money Flow: From = diBoaS Available Balance (transaction amount) → To = another user diBoaS Available Balance (amount - fees)
           // Available Balance = current - transaction amount, Invested Balance = no change, Strategy Balance = no change
-          this.state.balance.availableForSpending = Math.max(0, this.state.balance.availableForSpending - amountToProcess)
+          this.state.balance.availableForSpending = this.subtractMoney(BALANCE_CURRENCY, this.state.balance.availableForSpending, amountToProcess)
           break
           
         case 'receive':
           // Receive: Add full amount to Available Balance
-          this.state.balance.availableForSpending += amountToProcess
+          this.state.balance.availableForSpending = this.addMoney(BALANCE_CURRENCY, this.state.balance.availableForSpending, amountToProcess)
           break
           
         case 'buy': {
           // Buy transaction - use original amount and calculate net amount for invested balance
-          const originalAmount = parseFloat(amount)
-          const feesTotal = parseFloat(fees?.total || 0)
-          const netInvestmentAmount = originalAmount - feesTotal
+          const { originalAmount, netAmount: netInvestmentAmount, quantity: quantityPurchased } = tradeAmounts
           
           if (paymentMethod === 'diboas_wallet') {
             // Buy transaction diBoaS wallet
             // Available Balance = current - transaction amount (full amount deducted)
             // Invested Balance = current + (transaction amount - fees)
-            this.state.balance.availableForSpending = Math.max(0, this.state.balance.availableForSpending - originalAmount)
-            this.state.balance.investedAmount += netInvestmentAmount
+            this.state.balance.availableForSpending = this.subtractMoney(BALANCE_CURRENCY, this.state.balance.availableForSpending, originalAmount)
+            this.state.balance.investedAmount = this.addMoney(BALANCE_CURRENCY, this.state.balance.investedAmount, netInvestmentAmount)
           } else {
             // Buy transaction other payment methods
             // Available Balance = no changes (external payment)
             // Invested Balance = current + (transaction amount - fees)
-            this.state.balance.investedAmount += netInvestmentAmount
+            this.state.balance.investedAmount = this.addMoney(BALANCE_CURRENCY, this.state.balance.investedAmount, netInvestmentAmount)
           }
           
           // Update asset tracking for invested assets
           if (!this.state.balance.assets[asset]) {
             this.state.balance.assets[asset] = { amount: 0, usdValue: 0, investedAmount: 0, quantity: 0 }
           }
-          this.state.balance.assets[asset].usdValue += netInvestmentAmount
-          this.state.balance.assets[asset].investedAmount += netInvestmentAmount
+          const assetPosition = this.state.balance.assets[asset]
+          assetPosition.usdValue = this.addMoney(BALANCE_CURRENCY, assetPosition.usdValue, netInvestmentAmount)
+          assetPosition.investedAmount = this.addMoney(BALANCE_CURRENCY, assetPosition.investedAmount, netInvestmentAmount)
           
           // Update quantity tracking (simplified calculation for now)
           // In production, this would use actual asset prices
-          const estimatedPrice = this.getEstimatedAssetPrice(asset)
-          const quantityPurchased = netInvestmentAmount / estimatedPrice
-          this.state.balance.assets[asset].quantity += quantityPurchased
+          assetPosition.quantity = this.addQuantity(assetPosition.quantity, quantityPurchased)
           break
         }
           
@@ -773,23 +960,21 @@ class DataManager {
           // Sell transaction
           // Available Balance = current + (transaction amount - fees)
           // Invested Balance = current - transaction amount
-          const originalAmount = parseFloat(amount)
-          const feesTotal = parseFloat(fees?.total || 0)
-          const netSellProceeds = originalAmount - feesTotal
-          this.state.balance.availableForSpending += netSellProceeds
-          this.state.balance.investedAmount = Math.max(0, this.state.balance.investedAmount - originalAmount)
+          const { originalAmount, netAmount: netSellProceeds, quantity: quantitySold } = tradeAmounts
+          this.state.balance.availableForSpending = this.addMoney(BALANCE_CURRENCY, this.state.balance.availableForSpending, netSellProceeds)
+          this.state.balance.investedAmount = this.subtractMoney(BALANCE_CURRENCY, this.state.balance.investedAmount, originalAmount)
           
           // Update asset tracking
-          if (this.state.balance.assets[asset]) {
-            this.state.balance.assets[asset].usdValue = Math.max(0, this.state.balance.assets[asset].usdValue - originalAmount)
-            this.state.balance.assets[asset].investedAmount = Math.max(0, this.state.balance.assets[asset].investedAmount - originalAmount)
+          const assetPosition = this.state.balance.assets[asset]
+          if (assetPosition) {
+            assetPosition.usdValue = this.subtractMoney(BALANCE_CURRENCY, assetPosition.usdValue, originalAmount)
+            assetPosition.investedAmount = this.subtractMoney(BALANCE_CURRENCY, assetPosition.investedAmount, originalAmount)
             
             // Update quantity tracking
-            const estimatedPrice = this.getEstimatedAssetPrice(asset)
-            const quantitySold = originalAmount / estimatedPrice
-            this.state.balance.assets[asset].quantity = Math.max(0, this.state.balance.assets[asset].quantity - quantitySold)
+            assetPosition.quantity = this.subtractQuantity(assetPosition.quantity, quantitySold)
             
-            if (this.state.balance.assets[asset].investedAmount === 0) {
+            // Collateral pledged to a loan is still held
+            if (assetPosition.investedAmount === 0 && !assetPosition.pledgedQuantity) {
               delete this.state.balance.assets[asset]
             }
           }
@@ -800,24 +985,24 @@ class DataManager {
           // Start Strategy transaction
           const originalAmount = parseFloat(amount)
           const feesTotal = parseFloat(fees?.total || 0)
-          const netStrategyAmount = originalAmount - feesTotal
+          const netStrategyAmount = this.subtractMoney(BALANCE_CURRENCY, originalAmount, feesTotal)
           
           if (paymentMethod === 'diboas_wallet') {
             // Start strategy using diBoaS wallet
             // Available Balance = current - transaction amount
             // Strategy Balance = current + (transaction amount - fees)
-            this.state.balance.availableForSpending = Math.max(0, this.state.balance.availableForSpending - amountToProcess)
-            this.state.balance.strategyBalance += netStrategyAmount
+            this.state.balance.availableForSpending = this.subtractMoney(BALANCE_CURRENCY, this.state.balance.availableForSpending, amountToProcess)
+            this.state.balance.strategyBalance = this.addMoney(BALANCE_CURRENCY, this.state.balance.strategyBalance, netStrategyAmount)
           } else {
             // Start strategy using external payment methods
             // Available Balance = no changes
             // Strategy Balance = current + (transaction amount - fees)
-            this.state.balance.strategyBalance += netStrategyAmount
+            this.state.balance.strategyBalance = this.addMoney(BALANCE_CURRENCY, this.state.balance.strategyBalance, netStrategyAmount)
           }
           
           // Create or update strategy record
           const strategyConfig = transactionData.strategyConfig || {}
-          const strategyId = `strategy_${Date.now()}`
+          const strategyId = transactionData.strategyId || `strategy_${Date.now()}`
           
           if (!this.state.balance.strategies) {
             this.state.balance.strategies = {}
@@ -847,14 +1032,15 @@ class DataManager {
         case 'stop_strategy': {
           // Stop Strategy transaction per TRANSACTIONS.md section 3.3.3
           const originalAmount = parseFloat(amount)
+          const feesTotal = parseFloat(fees?.total || 0)
           const totalStrategyValue = originalAmount // This is the total strategy value including yields
-          const netProceeds = totalStrategyValue - feesTotal
+          const netProceeds = this.subtractMoney(BALANCE_CURRENCY, totalStrategyValue, feesTotal)
           
           // Available Balance = current + (total strategy value - fees)
-          this.state.balance.availableForSpending += netProceeds
+          this.state.balance.availableForSpending = this.addMoney(BALANCE_CURRENCY, this.state.balance.availableForSpending, netProceeds)
           
           // Strategy Balance = current - total strategy value
-          this.state.balance.strategyBalance = Math.max(0, this.state.balance.strategyBalance - totalStrategyValue)
+          this.state.balance.strategyBalance = this.subtractMoney(BALANCE_CURRENCY, this.state.balance.strategyBalance, totalStrategyValue)
           
           // Update specific strategy record if strategyId provided
           const strategyId = transactionData.strategyId
@@ -864,7 +1050,7 @@ class DataManager {
             strategy.status = 'stopped'
             strategy.stoppedAt = Date.now()
             strategy.finalAmount = totalStrategyValue
-            strategy.totalEarned = totalStrategyValue - strategy.initialAmount
+            strategy.totalEarned = this.addMoney(BALANCE_CURRENCY, totalStrategyValue, -strategy.initialAmount)
             strategy.finalAPY = ((totalStrategyValue / strategy.initialAmount) - 1) * 100
             
             // Move to archived strategies for historical tracking
@@ -879,12 +1065,58 @@ class DataManager {
           
           break
         }
+          
+        case 'loan_disbursement':
+          // Borrowed funds are paid out to Available Balance; the debt is tracked in balance.loans
+          this.state.balance.availableForSpending = this.addMoney(BALANCE_CURRENCY, this.state.balance.availableForSpending, amountToProcess)
+          break
+          
+        case 'loan_repayment':
+          // Repayments come out of Available Balance
+          this.state.balance.availableForSpending = this.subtractMoney(BALANCE_CURRENCY, this.state.balance.availableForSpending, amountToProcess)
+          break
+          
+        case 'loan_liquidation': {
+          // Seized collateral leaves the wallet to repay loan debt, taking its
+          // share of the position's invested amount out of Invested Balance
+          const seizedInvestment = transactionData.investedAmount || 0
+          this.state.balance.investedAmount = this.subtractMoney(BALANCE_CURRENCY, this.state.balance.investedAmount, seizedInvestment)
+          
+          const assetPosition = this.state.balance.assets[asset]
+          if (assetPosition) {
+            assetPosition.usdValue = this.subtractMoney(BALANCE_CURRENCY, assetPosition.usdValue, seizedInvestment)
+            assetPosition.investedAmount = this.subtractMoney(BALANCE_CURRENCY, assetPosition.investedAmount, seizedInvestment)
+            assetPosition.pledgedQuantity = this.subtractQuantity(assetPosition.pledgedQuantity, transactionData.quantity)
+            
+            if (assetPosition.investedAmount === 0 && !assetPosition.quantity && !assetPosition.pledgedQuantity) {
+              delete this.state.balance.assets[asset]
+            }
+          }
+          break
+        }
+          
+        case 'refund':
+        case 'chargeback': {
+          // The provider took back an externally funded credit. It comes out of
+          // Available Balance; whatever was already spent is held as a negative balance
+          const available = this.state.balance.availableForSpending
+          const shortfall = this.subtractMoney(BALANCE_CURRENCY, amountToProcess, available)
+          this.state.balance.availableForSpending = this.subtractMoney(BALANCE_CURRENCY, available, amountToProcess)
+          this.state.balance.negativeBalance = this.addMoney(BALANCE_CURRENCY, this.state.balance.negativeBalance, shortfall)
+          break
+        }
+          
+        case 'chargeback_reversal':
+          // A won dispute returns the charged back funds to Available Balance
+          this.state.balance.availableForSpending = this.addMoney(BALANCE_CURRENCY, this.state.balance.availableForSpending, amountToProcess)
+          break
       }
 
-      // Recalculate total balance: Total = Available + Invested + Strategy
-      this.state.balance.totalUSD = this.state.balance.availableForSpending + 
-                                    this.state.balance.investedAmount + 
-                                    this.state.balance.strategyBalance
+      // Money arriving in Available Balance repays a negative balance first
+      this.settleNegativeBalance()
+
+      // Recalculate total balance: Total = Available + Invested + Strategy - Negative balance
+      this.recalculateTotalBalance()
       this.state.balance.lastUpdated = Date.now()
       
       // Persist updated balance
@@ -895,6 +1127,7 @@ class DataManager {
       
       return this.state.balance
     } catch (error) {
+      this.state.balance = balanceBefore
       this.emit('balance:error', error)
       throw error
     } finally {
@@ -903,6 +1136,149 @@ class DataManager {
     }
   }
 
+  /**
+   * PRECISION: Add amounts of one currency exactly
+   * Every value is converted to integer minor units through Money, so balances
+   * never accumulate floating point residues across many operations.
+   * For USD balance fields only; asset quantities use addQuantity.
+   * @param {string} currency - BALANCE_CURRENCY
+   * @param {...number} values - Amounts to add (negative values subtract)
+   * @returns {number} Sum rounded to the currency precision
+   */
+  addMoney(currency, ...values) {
+    const units = values.reduce(
+      (sum, value) => sum + new Money(value ?? 0, currency).toMinorUnits(),
+      0n
+    )
+    return Money.fromMinorUnits(units, currency).amount
+  }
+
+  /**
+   * PRECISION: Subtract exactly, flooring at zero like the balance rules require
+   */
+  subtractMoney(currency, value, amount) {
+    const units = new Money(value ?? 0, currency).toMinorUnits() -
+                  new Money(amount ?? 0, currency).toMinorUnits()
+    return Money.fromMinorUnits(units > 0n ? units : 0n, currency).amount
+  }
+
+  /**
+   * PRECISION: Add asset quantities exactly at ASSET_QUANTITY_DECIMALS
+   */
+  addQuantity(...values) {
+    return values
+      .reduce((sum, value) => sum.plus(new Decimal(value ?? 0)), new Decimal(0))
+      .toDecimalPlaces(ASSET_QUANTITY_DECIMALS)
+      .toNumber()
+  }
+
+  /**
+   * PRECISION: Subtract asset quantities at ASSET_QUANTITY_DECIMALS, flooring at zero
+   */
+  subtractQuantity(value, amount) {
+    const result = new Decimal(value ?? 0).minus(new Decimal(amount ?? 0)).toDecimalPlaces(ASSET_QUANTITY_DECIMALS)
+    return result.greaterThan(0) ? result.toNumber() : 0
+  }
+
+  /**
+   * PRECISION: Estimate asset quantity for a USD amount (at the estimated price unless given)
+   */
+  estimateAssetQuantity(asset, usdAmount, price = this.getEstimatedAssetPrice(asset)) {
+    return new Money(usdAmount, BALANCE_CURRENCY).amountDecimal
+      .dividedBy(price)
+      .toDecimalPlaces(ASSET_QUANTITY_DECIMALS)
+      .toNumber()
+  }
+
+  /**
+   * Validated amounts of a buy or sell: gross amount, amount net of fees and
+   * the asset quantity. Throws before updateBalance touches any balance field.
+   */
+  getTradeAmounts(transactionData) {
+    const { type, asset, amount, fees } = transactionData
+    const originalAmount = parseFloat(amount)
+    const feesTotal = parseFloat(fees?.total || 0)
+    if (!Number.isFinite(originalAmount) || originalAmount <= 0 || !Number.isFinite(feesTotal) || feesTotal < 0) {
+      throw new Error(`Invalid ${type} amount`)
+    }
+    if (!asset) {
+      throw new Error(`Asset is required for ${type} transactions`)
+    }
+
+    const netAmount = this.subtractMoney(BALANCE_CURRENCY, originalAmount, feesTotal)
+    const quantity = this.estimateAssetQuantity(asset, type === 'buy' ? netAmount : originalAmount)
+    if (!Number.isFinite(quantity)) {
+      throw new Error(`Cannot price ${asset} for ${type}`)
+    }
+    return { originalAmount, netAmount, quantity }
+  }
+
+  /**
+   * Asset quantity and unit price of a buy/sell, as used for position tracking
+   * Buys acquire the amount net of fees; sells dispose of the gross amount
+   */
+  getTradeQuantity(transactionData) {
+    const { type, asset, amount, fees } = transactionData
+    if (!['buy', 'sell'].includes(type) || !asset || asset === BALANCE_CURRENCY) {
+      return { quantity: transactionData.quantity, price: transactionData.price }
+    }
+
+    const price = transactionData.price ?? this.getEstimatedAssetPrice(asset, Date.parse(transactionData.createdAt) || Date.now())
+    if (transactionData.quantity !== undefined) {
+      return { quantity: transactionData.quantity, price }
+    }
+
+    const grossAmount = parseFloat(amount)
+    const feesTotal = parseFloat(fees?.total || 0)
+    if (!Number.isFinite(grossAmount) || !Number.isFinite(feesTotal) || !(price > 0)) {
+      return { quantity: undefined, price }
+    }
+
+    const tradedAmount = type === 'buy'
+      ? this.subtractMoney(BALANCE_CURRENCY, grossAmount, feesTotal)
+      : grossAmount
+    return { quantity: this.estimateAssetQuantity(asset, tradedAmount, price), price }
+  }
+
+  /**
+   * Recalculate total balance: Total = Available + Invested + Strategy - Negative balance
+   */
+  recalculateTotalBalance() {
+    this.state.balance.totalUSD = this.addMoney(
+      BALANCE_CURRENCY,
+      this.state.balance.availableForSpending,
+      this.state.balance.investedAmount,
+      this.state.balance.strategyBalance,
+      -(this.state.balance.negativeBalance || 0)
+    )
+    return this.state.balance.totalUSD
+  }
+
+  /**
+   * Repay a negative balance from Available Balance, as far as it covers it
+   */
+  settleNegativeBalance() {
+    const owed = this.state.balance.negativeBalance || 0
+    if (owed <= 0) {
+      return 0
+    }
+    
+    const settled = Math.min(owed, this.state.balance.availableForSpending)
+    this.state.balance.availableForSpending = this.subtractMoney(BALANCE_CURRENCY, this.state.balance.availableForSpending, settled)
+    this.state.balance.negativeBalance = this.subtractMoney(BALANCE_CURRENCY, owed, settled)
+    return settled
+  }
+
+  /**
+   * Whether a transaction moves money out of Available Balance
+   */
+  spendsAvailableBalance({ type, paymentMethod }) {
+    if (['withdraw', 'send', 'transfer'].includes(type)) {
+      return true
+    }
+    return ['buy', 'start_strategy'].includes(type) && paymentMethod === 'diboas_wallet'
+  }
+
   /**
    * Update existing transaction in history
    */
@@ -937,8 +1313,12 @@ class DataManager {
   addTransaction(transactionData) {
     // If transaction already has detailed data (from OnChainTransactionManager), use it
     // Otherwise generate mock data for backward compatibility
+    const txHash = transactionData.txHash || this.generateMockTransactionHash(transactionData.type, transactionData.asset)
+    const explorerLink = transactionData.explorerLink || this.generateMockTransactionLink(txHash, transactionData.type, transactionData.asset)
+    const { quantity, price } = this.getTradeQuantity(transactionData)
     const transaction = {
       id: transactionData.id || `tx_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+      userId: transactionData.userId || this.getCurrentUserId(),
       type: transactionData.type,
       amount: transactionData.amount,
       currency: transactionData.currency || 'USD',
@@ -955,8 +1335,8 @@ class DataManager {
       confirmedAt: transactionData.confirmedAt,
       failedAt: transactionData.failedAt,
       // On-chain specific fields (preserve if provided)
-      txHash: transactionData.txHash || this.generateMockTransactionHash(transactionData.type, transactionData.asset),
-      explorerLink: transactionData.explorerLink || this.generateMockTransactionLink(transactionData.txHash || 'mock', transactionData.type, transactionData.asset),
+      txHash,
+      explorerLink,
       chain: transactionData.chain,
       onChainStatus: transactionData.onChainStatus || 'confirmed',
       error: transactionData.error,
@@ -972,10 +1352,22 @@ class DataManager {
         (transactionData.type === 'sell' ? (transactionData.netAmount || transactionData.amount - (transactionData.fees?.total || 0)) : undefined),
       dexProvider: transactionData.dexProvider,
       exchangeRate: transactionData.exchangeRate,
+      // Lending position the transaction belongs to
+      loanId: transactionData.loanId,
+      // Provider payment behind an externally funded transaction, and the links
+      // from a refund or chargeback back to the transaction it reverses
+      paymentId: transactionData.paymentId,
+      paymentProvider: transactionData.paymentProvider,
+      originalTransactionId: transactionData.originalTransactionId,
+      disputeId: transactionData.disputeId,
+      reason: transactionData.reason,
+      // Asset quantity and unit price for tax lot tracking
+      quantity,
+      price,
       // Legacy fields for backward compatibility
       timestamp: transactionData.createdAt || new Date().toISOString(),
-      transactionHash: transactionData.txHash || this.generateMockTransactionHash(transactionData.type, transactionData.asset),
-      transactionLink: transactionData.explorerLink || this.generateMockTransactionLink(transactionData.txHash || 'mock', transactionData.type, transactionData.asset),
+      transactionHash: txHash,
+      transactionLink: explorerLink,
       netAmount: transactionData.netAmount
     }
     
@@ -1003,6 +1395,7 @@ class DataManager {
   addFailedTransaction(transactionData, errorMessage) {
     const transaction = {
       id: transactionData.id || `failed_tx_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+      userId: transactionData.userId || this.getCurrentUserId(),
       type: transactionData.type,
       amount: transactionData.amount,
       currency: transactionData.currency || 'USD',
@@ -1089,7 +1482,7 @@ class DataManager {
       }
 
       // SECURITY: Check transaction limits
-      const userId = transactionData.userId || 'demo_user_12345'
+      const userId = transactionData.userId || this.getCurrentUserId()
       if (transactionData.amount > 10000) { // Daily limit example
         secureLogger.audit('TRANSACTION_LIMIT_EXCEEDED', {
           userId: userId,
@@ -1161,11 +1554,22 @@ class DataManager {
         }
       }
 
+      // Trades are priced from market history, which may still be in storage
+      if (['buy', 'sell'].includes(transactionData.type) && transactionData.asset) {
+        await candleStore.preload([transactionData.asset])
+      }
+
+      // Assign the ID up front so ledger entries reference the history record
+      const transactionRecord = {
+        ...transactionData,
+        id: transactionData.id || `tx_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`
+      }
+      
       // Update balance first
-      await this.updateBalance(transactionData)
+      await this.updateBalance(transactionRecord)
       
       // Add to transaction history
-      const transaction = this.addTransaction(transactionData)
+      const transaction = this.addTransaction(transactionRecord)
       
       // Emit complete transaction event
       this.emit('transaction:completed', { transaction, balance: this.state.balance })
@@ -1198,13 +1602,14 @@ class DataManager {
    * Load state from persistence
    */
   async loadState() {
-    const userId = this.state.user?.id || 'demo_user_12345'
+    const userId = this.getCurrentUserId()
+    const storageKeys = this.getStorageKeys(userId)
     
     // Load encrypted balance
     try {
       const balanceKey = `${userId}-balance-encryption-key`
       const balance = await secureStorage.getSecureItem(
-        `diboas_balance_state_${userId}`,
+        storageKeys.balanceState,
         balanceKey
       )
       if (balance) {
@@ -1220,7 +1625,7 @@ class DataManager {
     try {
       const transactionKey = `${userId}-transaction-encryption-key`
       const transactions = await secureStorage.getSecureItem(
-        `diboas_transaction_history_${userId}`,
+        storageKeys.transactionHistory,
         transactionKey
       )
       if (transactions) {
@@ -1232,6 +1637,38 @@ class DataManager {
       this.loadLegacyTransactions(userId)
     }
     
+    // Load encrypted FinObjectives
+    try {
+      const objectivesKey = `${userId}-objectives-encryption-key`
+      const finObjectives = await secureStorage.getSecureItem(
+        storageKeys.finObjectives,
+        objectivesKey
+      )
+      if (finObjectives) {
+        this.state.finObjectives = finObjectives
+      }
+    } catch (error) {
+      logger.warn('Failed to load encrypted FinObjectives:', error)
+    }
+    
+    // Load encrypted ledger and derive the balance amounts from it;
+    // balances persisted before the ledger existed become an opening entry
+    try {
+      const ledgerKey = `${userId}-ledger-encryption-key`
+      const ledgerEntries = await secureStorage.getSecureItem(
+        storageKeys.ledger,
+        ledgerKey
+      )
+      if (ledgerEntries) {
+        ledgerService.loadUserEntries(userId, ledgerEntries)
+      }
+      this.reconcileLedgerBalance()
+    } catch (error) {
+      logger.warn('Failed to load encrypted ledger:', error)
+    }
+    
+    await this.loadLoans()
+    
     this.state.lastUpdated = Date.now()
     this.emit('state:loaded', this.state)
   }
@@ -1240,7 +1677,7 @@ class DataManager {
    * Legacy fallback methods for unencrypted data migration
    */
   loadLegacyBalance(userId) {
-    const storedBalance = localStorage.getItem(`diboas_balances_${userId}`)
+    const storedBalance = localStorage.getItem(this.getStorageKeys(userId).balances)
     if (storedBalance) {
       try {
         const balance = JSON.parse(storedBalance)
@@ -1248,7 +1685,7 @@ class DataManager {
         // Migrate to encrypted storage
         this.persistBalance()
         // Remove legacy unencrypted data
-        localStorage.removeItem(`diboas_balances_${userId}`)
+        localStorage.removeItem(this.getStorageKeys(userId).balances)
       } catch (error) {
         logger.warn('Failed to migrate legacy balance:', error)
       }
@@ -1256,7 +1693,7 @@ class DataManager {
   }
 
   loadLegacyTransactions(userId) {
-    const storedTransactions = localStorage.getItem(`diboas_transaction_history_${userId}`)
+    const storedTransactions = localStorage.getItem(this.getStorageKeys(userId).transactionHistory)
     if (storedTransactions) {
       try {
         const transactions = JSON.parse(storedTransactions)
@@ -1264,7 +1701,7 @@ class DataManager {
         // Migrate to encrypted storage
         this.persistTransactions()
         // Remove legacy unencrypted data
-        localStorage.removeItem(`diboas_transaction_history_${userId}`)
+        localStorage.removeItem(this.getStorageKeys(userId).transactionHistory)
       } catch (error) {
         logger.warn('Failed to migrate legacy transactions:', error)
       }
@@ -1277,15 +1714,17 @@ class DataManager {
   persistState() {
     this.persistBalance()
     this.persistTransactions()
+    this.persistFinObjectives()
+    this.persistLedger()
   }
 
   async persistBalance() {
-    const userId = this.state.user?.id || 'demo_user_12345'
+    const userId = this.getCurrentUserId()
     const userKey = `${userId}-balance-encryption-key`
     
     try {
       await secureStorage.setSecureItem(
-        `diboas_balance_state_${userId}`, 
+        this.getStorageKeys(userId).balanceState, 
         this.state.balance,
         userKey
       )
@@ -1295,12 +1734,12 @@ class DataManager {
   }
 
   async persistTransactions() {
-    const userId = this.state.user?.id || 'demo_user_12345'
+    const userId = this.getCurrentUserId()
     const userKey = `${userId}-transaction-encryption-key`
     
     try {
       await secureStorage.setSecureItem(
-        `diboas_transaction_history_${userId}`, 
+        this.getStorageKeys(userId).transactionHistory, 
         this.state.transactions,
         userKey
       )
@@ -1309,6 +1748,74 @@ class DataManager {
     }
   }
 
+  async persistFinObjectives() {
+    const userId = this.getCurrentUserId()
+    const userKey = `${userId}-objectives-encryption-key`
+    
+    try {
+      await secureStorage.setSecureItem(
+        this.getStorageKeys(userId).finObjectives,
+        this.state.finObjectives,
+        userKey
+      )
+    } catch (error) {
+      logger.error('Failed to persist encrypted FinObjectives:', error)
+    }
+  }
+
+  async persistLedger() {
+    const userId = this.getCurrentUserId()
+    const userKey = `${userId}-ledger-encryption-key`
+    
+    try {
+      await secureStorage.setSecureItem(
+        this.getStorageKeys(userId).ledger,
+        ledgerService.getEntries(userId).reverse(),
+        userKey
+      )
+    } catch (error) {
+      logger.error('Failed to persist encrypted ledger:', error)
+    }
+  }
+
+  async persistLoans() {
+    const userId = this.getCurrentUserId()
+    const userKey = `${userId}-loans-encryption-key`
+    
+    try {
+      await secureStorage.setSecureItem(
+        this.getStorageKeys(userId).loans,
+        lendingPoolService.getLoanRecords(userId),
+        userKey
+      )
+    } catch (error) {
+      logger.error('Failed to persist encrypted loans:', error)
+    }
+  }
+
+  /**
+   * Restore the active user's loans into the lending pools and watch prices
+   * again while any of them is active
+   */
+  async loadLoans() {
+    const userId = this.getCurrentUserId()
+    try {
+      const loans = await secureStorage.getSecureItem(
+        this.getStorageKeys(userId).loans,
+        `${userId}-loans-encryption-key`
+      )
+      lendingPoolService.restoreLoans(userId, loans || [])
+    } catch (error) {
+      logger.warn('Failed to load encrypted loans:', error)
+    }
+    
+    if (lendingPoolService.getLoanRecords(userId).some(loan => loan.status === LOAN_STATUS.ACTIVE)) {
+      this.startLoanPriceMonitor()
+    } else {
+      this.stopLoanPriceMonitor()
+    }
+  }
+
   /**
    * Get transaction category based on type
    */
@@ -1325,7 +1832,15 @@ class DataManager {
       'stake': 'yield',
       'unstake': 'yield',
       'start_strategy': 'yield',
-      'stop_strategy': 'yield'
+      'stop_strategy': 'yield',
+      'loan_disbursement': 'banking',
+      'loan_repayment': 'banking',
+      'collateral_deposit': 'banking',
+      'collateral_withdrawal': 'banking',
+      'loan_liquidation': 'banking',
+      'refund': 'banking',
+      'chargeback': 'banking',
+      'chargeback_reversal': 'banking'
     }
     return categoryMap[type] || 'banking'
   }
@@ -1355,6 +1870,12 @@ class DataManager {
         return `Started ${strategyConfig?.strategyName || 'strategy'} with $${amount}`
       case 'stop_strategy':
         return `Stopped ${strategyConfig?.strategyName || 'strategy'} strategy`
+      case 'refund':
+        return `Refunded $${amount} to ${paymentMethod || 'payment method'}`
+      case 'chargeback':
+        return `Chargeback of $${amount} on a ${paymentMethod || 'payment method'} payment`
+      case 'chargeback_reversal':
+        return `Chargeback of $${amount} reversed after the dispute was won`
       default:
         return `${type} transaction of $${amount}`
     }
@@ -1490,12 +2011,19 @@ class DataManager {
         throw new Error('Invalid balance data provided')
       }
 
-      // const previousBalance = { ...this.state.balance } // Removed unused variable
+      // Normalize USD balance fields to exact minor units before applying
+      const normalizedBalance = { ...newBalance }
+      const usdFields = ['totalUSD', 'availableForSpending', 'investedAmount', 'strategyBalance']
+      usdFields.forEach(field => {
+        if (typeof normalizedBalance[field] === 'number') {
+          normalizedBalance[field] = this.addMoney(BALANCE_CURRENCY, normalizedBalance[field])
+        }
+      })
       
       // Update balance
       this.state.balance = {
         ...this.state.balance,
-        ...newBalance,
+        ...normalizedBalance,
         lastUpdated: new Date().toISOString()
       }
 
@@ -1686,13 +2214,39 @@ class DataManager {
 
   /**
    * SECURITY: Enhanced updateBalance with validation
+   * Updates are queued so each is applied and journaled against the balances
+   * the previous one left, even when callers do not await each other
+   */
+  updateBalance(transactionData, operation = 'transaction') {
+    const update = this.balanceUpdateQueue.then(() => this.applyBalanceUpdate(transactionData, operation))
+    this.balanceUpdateQueue = update.catch(() => {})
+    return update
+  }
+
+  /**
+   * Apply one queued balance update: run the balance rules, journal the
+   * transaction, then take the resulting amounts from the ledger
    */
-  async updateBalance(transactionData, operation = 'transaction') {
-    const userId = transactionData.userId || 'demo_user_12345'
+  async applyBalanceUpdate(transactionData, operation) {
+    const userId = transactionData.userId || this.getCurrentUserId()
+    this.reconcileLedgerBalance()
     const previousBalance = this.state.balance ? this.state.balance.totalUSD : 0
+    const balanceBefore = JSON.parse(JSON.stringify(this.state.balance))
+    
+    // The ledger journals strategy funds per strategy, so the ID is settled before either side runs.
+    // A strategy started from a FinObjective is that objective's strategy
+    if (transactionData.type === 'start_strategy' && !transactionData.strategyId) {
+      const objectiveId = transactionData.strategyConfig?.objectiveId
+      transactionData.strategyId = objectiveId && objectiveId !== 'create-new' ? objectiveId : `strategy_${Date.now()}`
+    }
     
-    // Call original updateBalance logic
-    await this.updateBalanceOriginal(transactionData)
+    // Call original updateBalance logic; nested strategy updates are funded by this transaction
+    this.ledgerPostingDepth++
+    try {
+      await this.updateBalanceOriginal(transactionData)
+    } finally {
+      this.ledgerPostingDepth--
+    }
     
     const newBalance = this.state.balance.totalUSD
     
@@ -1700,10 +2254,23 @@ class DataManager {
     const validation = this.validateBalanceChange(userId, previousBalance, newBalance, operation, transactionData)
     if (!validation.success) {
       // Revert balance change
-      this.state.balance.totalUSD = previousBalance
+      this.state.balance = balanceBefore
       throw new Error(validation.error)
     }
     
+    try {
+      this.postLedgerEntry(transactionData)
+    } catch (error) {
+      this.state.balance = balanceBefore
+      throw error
+    }
+    
+    // Balance amounts are whatever the ledger says; republish if the state update disagreed
+    if (this.applyLedgerBalance()) {
+      this.persistBalance()
+      this.emit('balance:updated', this.state.balance)
+    }
+    
     return this.state.balance
   }
 
@@ -1731,7 +2298,7 @@ class DataManager {
     
     // Allow large percentage increases for legitimate on-ramp transactions
     const isLegitimateDeposit = transactionData && 
-      (transactionData.type === 'add' || transactionData.type === 'deposit') &&
+      ['add', 'deposit', 'loan_disbursement', 'chargeback_reversal'].includes(transactionData.type) &&
       transactionData.paymentMethod !== 'diboas_wallet' && // External payment method
       balanceChange <= 100000 // Cap at $100K for single transaction
     
@@ -1759,37 +2326,188 @@ class DataManager {
 
   /**
    * SECURITY: Get balance audit trail for security monitoring
+   * Backed by the double-entry ledger; amount is the net change to the user's funds
    */
-  async getBalanceAuditTrail(userId, limit = 50) {
-    // Mock implementation - in production would query audit database
-    return this.state.transactions
-      .filter(tx => tx.userId === userId)
-      .map(tx => ({
-        operation: tx.type,
-        amount: tx.type === 'withdraw' ? -tx.amount : tx.amount,
-        userId: tx.userId,
-        timestamp: tx.timestamp,
-        transactionId: tx.id
-      }))
-      .slice(0, limit)
+  async getBalanceAuditTrail(userId = this.getCurrentUserId(), limit = 50) {
+    const userAccountPrefix = `${userId}:`
+    
+    return ledgerService.getEntries(userId, limit).map(entry => ({
+      operation: entry.type,
+      amount: this.addMoney(BALANCE_CURRENCY, ...entry.postings
+        .filter(posting => posting.accountId.startsWith(userAccountPrefix))
+        .map(posting => posting.side === 'credit' ? posting.amount : -posting.amount)),
+      userId: entry.userId,
+      timestamp: entry.createdAt,
+      transactionId: entry.transactionId,
+      entryId: entry.id,
+      postings: entry.postings
+    }))
   }
 
+  // ====================
+  // DOUBLE-ENTRY LEDGER
+  // ====================
+
   /**
-   * SECURITY: Rate limiting for transaction submissions
+   * Snapshot the balance fields the ledger tracks
+   * Stopped strategies no longer hold funds, so only active ones are included
    */
-  checkRateLimit(userId, timeWindowMs = 60000, maxTransactions = 10) {
-    const now = Date.now()
-    const recentTransactions = this.state.transactions.filter(tx => 
-      tx.userId === userId && (now - new Date(tx.timestamp).getTime()) < timeWindowMs
-    )
+  captureLedgerSnapshot() {
+    const balance = this.state.balance || {}
     
-    if (recentTransactions.length >= maxTransactions) {
-      secureLogger.audit('RATE_LIMIT_EXCEEDED', {
-        userId,
-        attemptedTransactions: recentTransactions.length + 1,
-        timeWindow: timeWindowMs,
-        limit: maxTransactions
-      })
+    return {
+      availableForSpending: balance.availableForSpending || 0,
+      investedAmount: balance.investedAmount || 0,
+      strategyBalance: balance.strategyBalance || 0,
+      negativeBalance: balance.negativeBalance || 0,
+      assets: Object.fromEntries(
+        Object.entries(balance.assets || {}).map(([asset, position]) => [asset, position.investedAmount || 0])
+      ),
+      strategies: Object.fromEntries(
+        Object.values(balance.strategies || {})
+          .filter(strategy => strategy.status === 'active')
+          .map(strategy => [strategy.id, strategy.currentAmount || 0])
+      )
+    }
+  }
+
+  /**
+   * Journal a balance-changing transaction for the active user
+   * Skipped while a surrounding updateBalance call will journal the change itself
+   */
+  postLedgerEntry(transactionData) {
+    if (this.ledgerPostingDepth > 0) {
+      return null
+    }
+    
+    const entry = ledgerService.recordTransaction({
+      userId: this.getCurrentUserId(),
+      transactionData
+    })
+    if (entry) {
+      this.persistLedger()
+      this.emit('ledger:posted', entry)
+    }
+    return entry
+  }
+
+  /**
+   * Set the balance amounts in state from the ledger, which is their source of truth
+   * State keeps what the journal does not: quantities, strategy records, metadata
+   * @returns {boolean} Whether any amount in state differed from the ledger
+   */
+  applyLedgerBalance() {
+    const userId = this.getCurrentUserId()
+    const balance = this.state.balance
+    const derived = ledgerService.getUserBalances(userId)
+    const mismatches = []
+
+    const fields = ['availableForSpending', 'investedAmount', 'strategyBalance', 'negativeBalance', 'totalUSD']
+    fields.forEach(field => {
+      if ((balance[field] || 0) !== derived[field]) {
+        mismatches.push(field)
+      }
+      balance[field] = derived[field]
+    })
+
+    balance.assets = balance.assets || {}
+    new Set([...Object.keys(balance.assets), ...Object.keys(derived.assets)]).forEach(asset => {
+      const investedAmount = derived.assets[asset] || 0
+      const position = balance.assets[asset] || { amount: 0, usdValue: 0, investedAmount: 0, quantity: 0 }
+      const difference = this.addMoney(BALANCE_CURRENCY, investedAmount, -(position.investedAmount || 0))
+      if (difference !== 0) {
+        mismatches.push(`assets.${asset}`)
+        position.investedAmount = investedAmount
+        position.usdValue = this.addMoney(BALANCE_CURRENCY, position.usdValue, difference)
+        balance.assets[asset] = position
+      }
+    })
+
+    Object.values(balance.strategies || {})
+      .filter(strategy => strategy.status === 'active')
+      .forEach(strategy => {
+        const currentAmount = derived.strategies[strategy.id] || 0
+        if ((strategy.currentAmount || 0) !== currentAmount) {
+          mismatches.push(`strategies.${strategy.id}`)
+          strategy.currentAmount = currentAmount
+        }
+      })
+
+    if (mismatches.length > 0) {
+      secureLogger.audit('LEDGER_STATE_MISMATCH', { userId, fields: mismatches })
+    }
+    return mismatches.length > 0
+  }
+
+  /**
+   * Line state up with the ledger before a balance change
+   * Balances that predate the journal become its opening entry, as on load;
+   * once there is a journal, amounts changed outside it are replaced
+   */
+  reconcileLedgerBalance() {
+    const userId = this.getCurrentUserId()
+    if (ledgerService.hasEntries(userId)) {
+      return this.applyLedgerBalance()
+    }
+    
+    if (ledgerService.recordOpeningBalance(userId, this.captureLedgerSnapshot())) {
+      this.persistLedger()
+    }
+    return false
+  }
+
+  /**
+   * Get the active user's balances as derived from the ledger
+   */
+  getLedgerBalance() {
+    return ledgerService.getUserBalances(this.getCurrentUserId())
+  }
+
+  /**
+   * Get the active user's journal entries (newest first)
+   */
+  getLedgerEntries(limit = null) {
+    return ledgerService.getEntries(this.getCurrentUserId(), limit)
+  }
+
+  /**
+   * Verify the ledger balances and reconciles with the active user's state
+   * @returns {Object} { valid, issues, entriesChecked, trialBalance, checkedAt }
+   */
+  verifyLedgerIntegrity() {
+    const userId = this.getCurrentUserId()
+    const report = ledgerService.verifyIntegrity({
+      userId,
+      expectedBalance: this.state.balance
+    })
+    
+    if (!report.valid) {
+      secureLogger.audit('LEDGER_INTEGRITY_FAILURE', {
+        userId,
+        issueCount: report.issues.length,
+        issueTypes: [...new Set(report.issues.map(issue => issue.type))]
+      })
+    }
+    
+    return report
+  }
+
+  /**
+   * SECURITY: Rate limiting for transaction submissions
+   */
+  checkRateLimit(userId, timeWindowMs = 60000, maxTransactions = 10) {
+    const now = Date.now()
+    const recentTransactions = this.state.transactions.filter(tx => 
+      tx.userId === userId && (now - new Date(tx.timestamp).getTime()) < timeWindowMs
+    )
+    
+    if (recentTransactions.length >= maxTransactions) {
+      secureLogger.audit('RATE_LIMIT_EXCEEDED', {
+        userId,
+        attemptedTransactions: recentTransactions.length + 1,
+        timeWindow: timeWindowMs,
+        limit: maxTransactions
+      })
       return {
         allowed: false,
         remainingTime: timeWindowMs - (now - new Date(recentTransactions[0].timestamp).getTime())
@@ -2032,6 +2750,8 @@ class DataManager {
       this.lockCleanupInterval = null
     }
     
+    this.stopPaymentEventListener()
+    
     // Clear all subscribers
     this.subscribers.clear()
     
@@ -2039,6 +2759,9 @@ class DataManager {
     this.transactionLock.clear()
     this.operationQueue.length = 0
     
+    // Drop cached user profiles
+    this.userProfiles.clear()
+    
     // Clear state
     this.state = {
       user: null,
@@ -2132,8 +2855,10 @@ class DataManager {
 
   /**
    * Assess portfolio risk
+   * @param {string} userRiskTolerance
+   * @param {Object} options - Passed to riskEngine.assessPortfolioRisk (e.g. valueAtRisk horizon)
    */
-  async assessPortfolioRisk(userRiskTolerance = 'Moderate') {
+  async assessPortfolioRisk(userRiskTolerance = 'Moderate', options = {}) {
     try {
       // Build portfolio from current strategies
       const portfolio = {
@@ -2147,7 +2872,7 @@ class DataManager {
           }))
       }
 
-      const riskAssessment = await riskEngine.assessPortfolioRisk(portfolio, userRiskTolerance)
+      const riskAssessment = await riskEngine.assessPortfolioRisk(portfolio, userRiskTolerance, options)
       return riskAssessment
     } catch (error) {
       logger.error('Portfolio risk assessment failed:', error)
@@ -2156,25 +2881,54 @@ class DataManager {
   }
 
   /**
-   * Generate rebalancing recommendations
+   * Assess risk of the whole portfolio (wallet assets and strategies),
+   * including its value at risk
    */
-  async getRebalancingRecommendations(userRiskTolerance = 'Moderate', targetAllocations = null) {
+  async getPortfolioRiskAssessment(userRiskTolerance = 'Moderate', options = {}) {
     try {
       const portfolio = {
-        totalValue: this.state.balance.strategyBalance,
-        positions: Object.values(this.state.balance.strategies)
-          .filter(strategy => strategy.status === 'active')
-          .map(strategy => ({
-            asset: 'USDC',
-            protocol: strategy.protocol || 'compound',
-            value: strategy.currentAmount
-          }))
+        totalValue: this.state.balance.totalUSD,
+        positions: this.buildPortfolioPositions()
       }
 
+      return await riskEngine.assessPortfolioRisk(portfolio, userRiskTolerance, options)
+    } catch (error) {
+      logger.error('Portfolio risk assessment failed:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Generate rebalancing recommendations
+   * @param {string} userRiskTolerance
+   * @param {Array} targetAllocations - Explicit { asset, weight } targets
+   * @param {Object} options - Optimizer settings; options.objective picks mean_variance,
+   *   min_variance or risk_parity (see riskEngine.optimizePortfolio). Optimized
+   *   recommendations cover the whole portfolio, including wallet assets and their tax lots.
+   */
+  async getRebalancingRecommendations(userRiskTolerance = 'Moderate', targetAllocations = null, options = {}) {
+    try {
+      const portfolio = options.objective
+        ? {
+            totalValue: this.state.balance.totalUSD,
+            positions: this.buildPortfolioPositions()
+          }
+        : {
+            totalValue: this.state.balance.strategyBalance,
+            positions: Object.values(this.state.balance.strategies)
+              .filter(strategy => strategy.status === 'active')
+              .map(strategy => ({
+                asset: 'USDC',
+                protocol: strategy.protocol || 'compound',
+                value: strategy.currentAmount
+              }))
+          }
+
       const recommendation = await riskEngine.generateRebalanceRecommendation(
         portfolio,
         userRiskTolerance,
-        targetAllocations
+        targetAllocations,
+        options
       )
 
       return recommendation
@@ -2184,6 +2938,14 @@ class DataManager {
     }
   }
 
+  /**
+   * Load the active user's automations and reload them whenever the user switches
+   */
+  startAutomations() {
+    automationService.loadAutomations()
+    this.subscribe('state:user-switched', () => automationService.switchUser())
+  }
+
   /**
    * Create automation (scheduled deposits, rebalancing, etc.)
    */
@@ -2208,8 +2970,25 @@ class DataManager {
     return automationService.getAllAutomations()
   }
 
+  /**
+   * Get the execution history of an automation, newest first
+   */
+  getAutomationHistory(automationId, options = {}) {
+    return automationService.getExecutionHistory(automationId, options)
+  }
+
+  /**
+   * Upcoming run times of an automation (or a draft automation config)
+   */
+  previewAutomationRuns(automationOrConfig, count = 5) {
+    return automationService.previewNextExecutions(automationOrConfig, count)
+  }
+
   /**
    * Simulate strategy stress test
+   * @param {string} strategyId
+   * @param {string[]} scenarios - Static scenario names or historical scenario IDs
+   *   (see riskEngine.getStressScenarios())
    */
   async runStrategyStressTest(strategyId, scenarios = ['market_crash', 'high_volatility', 'liquidity_crisis']) {
     try {
@@ -2235,6 +3014,13 @@ class DataManager {
     }
   }
 
+  /**
+   * Get the stress scenarios available to runStrategyStressTest
+   */
+  getStressScenarios() {
+    return riskEngine.getStressScenarios()
+  }
+
   /**
    * Enhanced yield data calculation with real analytics
    */
@@ -2299,10 +3085,7 @@ class DataManager {
   async getTaxOptimizationReport(userProfile) {
     try {
       // Build portfolio from current state
-      const portfolio = {
-        totalValue: this.state.balance.totalUSD,
-        positions: this.buildPortfolioPositions()
-      }
+      const portfolio = this.buildTaxPortfolio()
 
       const taxReport = await taxOptimizationService.generateTaxOptimizationRecommendations(
         portfolio,
@@ -2321,10 +3104,7 @@ class DataManager {
    */
   async calculateTaxLiability(userProfile) {
     try {
-      const portfolio = {
-        totalValue: this.state.balance.totalUSD,
-        positions: this.buildPortfolioPositions()
-      }
+      const portfolio = this.buildTaxPortfolio()
 
       const taxLiability = await taxOptimizationService.calculateTaxLiability(
         portfolio,
@@ -2343,10 +3123,7 @@ class DataManager {
    */
   async getTaxLossHarvestingOpportunities(minLossThreshold = 1000) {
     try {
-      const portfolio = {
-        totalValue: this.state.balance.totalUSD,
-        positions: this.buildPortfolioPositions()
-      }
+      const portfolio = this.buildTaxPortfolio()
 
       const opportunities = await taxOptimizationService.identifyHarvestingOpportunities(
         portfolio,
@@ -2360,28 +3137,65 @@ class DataManager {
     }
   }
 
+  /**
+   * Portfolio passed to the tax service: positions plus the transaction history
+   * used to build tax lots and realized gains
+   */
+  buildTaxPortfolio() {
+    return {
+      totalValue: this.state.balance.totalUSD,
+      positions: this.buildPortfolioPositions(),
+      transactions: this.state.transactions
+    }
+  }
+
+  /**
+   * Get open tax lots and realized disposals from the transaction history
+   * @param {Object} options - { method, lotSelections }
+   */
+  getTaxLots(options = {}) {
+    return taxLotService.processTransactions(this.state.transactions, options)
+  }
+
+  /**
+   * Get realized short/long-term gains for a tax year
+   * @param {number} taxYear - Calendar year of the disposals
+   * @param {Object} options - { method, lotSelections }
+   */
+  getRealizedGains(taxYear = new Date().getFullYear(), options = {}) {
+    return taxLotService.getRealizedGains(this.state.transactions, { taxYear, ...options })
+  }
+
   /**
    * Generate year-end tax planning report
    */
   async getYearEndTaxReport(userProfile) {
     try {
-      const portfolio = {
-        totalValue: this.state.balance.totalUSD,
-        positions: this.buildPortfolioPositions()
-      }
+      const portfolio = this.buildTaxPortfolio()
 
       const yearEndReport = await taxOptimizationService.generateYearEndTaxReport(
         portfolio,
         userProfile
       )
 
-      return yearEndReport
+      return {
+        ...yearEndReport,
+        form8949: this.getForm8949Report(userProfile)
+      }
     } catch (error) {
       logger.error('Year-end tax report failed:', error)
       throw error
     }
   }
 
+  /**
+   * Generate Form 8949 line items and Schedule D totals for a tax year
+   * @param {Object} userProfile - { taxYear, lotMethod, lotSelections, name }
+   */
+  getForm8949Report(userProfile = {}) {
+    return taxFormReportService.generateForm8949Report(this.state.transactions, userProfile)
+  }
+
   /**
    * Get available lending pools
    */
@@ -2399,7 +3213,15 @@ class DataManager {
    */
   async applyForLoan(applicationData) {
     try {
-      const application = await lendingPoolService.applyForLoan(applicationData)
+      this.assertCollateralHeld(applicationData.collateralAsset, applicationData.collateralAmount)
+      const application = await lendingPoolService.applyForLoan({ ...applicationData, userId: this.getCurrentUserId() })
+      
+      // Low-risk applications are approved straight away
+      if (application.status === LOAN_STATUS.ACTIVE) {
+        await this.disburseLoan(application.loanId)
+      } else {
+        this.persistLoans()
+      }
       
       // Emit loan application event
       this.emit('loan:applied', application)
@@ -2411,6 +3233,589 @@ class DataManager {
     }
   }
 
+  /**
+   * Approve a pending loan application and pay out the funds
+   */
+  async approveLoan(applicationId) {
+    try {
+      const application = lendingPoolService.getLoanPosition(applicationId)
+      this.assertCollateralHeld(application.collateralAsset, application.collateralAmount)
+      const approval = await lendingPoolService.approveLoan(applicationId)
+      await this.disburseLoan(applicationId)
+      
+      this.emit('loan:approved', approval)
+      
+      return approval
+    } catch (error) {
+      logger.error('Loan approval failed:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Pledge the collateral, credit an approved loan to Available Balance and start tracking it
+   */
+  async disburseLoan(loanId) {
+    const position = lendingPoolService.getLoanPosition(loanId)
+    this.pledgeCollateral(position.collateralAsset, position.collateralAmount)
+    this.syncLoanPositions([position])
+    
+    await this.recordLoanTransaction({
+      type: 'loan_disbursement',
+      amount: position.principal,
+      loanId,
+      description: `Loan from ${position.poolId} pool against ${position.collateralAmount} ${position.collateralAsset}`
+    })
+    
+    this.startLoanPriceMonitor()
+    return position
+  }
+
+  /**
+   * Repay part or all of a loan from Available Balance
+   */
+  async repayLoan(loanId, amount) {
+    try {
+      const position = lendingPoolService.getLoanPosition(loanId)
+      const payment = Math.min(amount, position.outstandingDebt)
+      if (payment > this.state.balance.availableForSpending) {
+        throw new Error('Insufficient available balance for loan repayment')
+      }
+      
+      const result = lendingPoolService.repayLoan(loanId, payment)
+      this.releaseCollateral(position.collateralAsset, result.collateralReleased)
+      this.syncLoanPositions([lendingPoolService.getLoanPosition(loanId)])
+      
+      await this.recordLoanTransaction({
+        type: 'loan_repayment',
+        amount: result.amountPaid,
+        loanId,
+        description: result.status === LOAN_STATUS.REPAID
+          ? `Loan repaid in full, ${result.collateralReleased} ${position.collateralAsset} collateral released`
+          : `Loan repayment ($${result.interestPaid.toFixed(2)} interest, $${result.principalPaid.toFixed(2)} principal)`
+      })
+      
+      this.emit('loan:repaid', result)
+      
+      return result
+    } catch (error) {
+      logger.error('Loan repayment failed:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Post additional collateral to a loan from the wallet's holdings
+   */
+  async addLoanCollateral(loanId, amount) {
+    try {
+      this.assertCollateralHeld(lendingPoolService.getLoanPosition(loanId).collateralAsset, amount)
+      const position = lendingPoolService.addCollateral(loanId, amount)
+      await this.recordCollateralChange(position, 'collateral_deposit', amount)
+      
+      this.emit('loan:collateral_added', position)
+      
+      return position
+    } catch (error) {
+      logger.error('Adding loan collateral failed:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Withdraw collateral from a loan down to the pool's minimum collateral ratio
+   */
+  async withdrawLoanCollateral(loanId, amount) {
+    try {
+      const position = lendingPoolService.withdrawCollateral(loanId, amount)
+      await this.recordCollateralChange(position, 'collateral_withdrawal', amount)
+      
+      this.emit('loan:collateral_withdrawn', position)
+      
+      return position
+    } catch (error) {
+      logger.error('Withdrawing loan collateral failed:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Liquidate a loan whose health factor has fallen below 1
+   */
+  async liquidateLoan(loanId) {
+    try {
+      const result = lendingPoolService.liquidateLoan(loanId)
+      await this.recordLoanLiquidation(result)
+      return result
+    } catch (error) {
+      logger.error('Loan liquidation failed:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Revalue the active user's loans after a market data update, recording
+   * liquidations and raising margin calls
+   * @param {Array} prices - [{ symbol, price }] as emitted on market:crypto:updated
+   */
+  async handleLoanPriceUpdate(prices) {
+    const loans = this.state.balance?.loans || {}
+    const events = lendingPoolService.handlePriceUpdate(prices)
+      .filter(event => loans[event.loanId])
+    
+    for (const event of events) {
+      if (event.type === 'liquidation') {
+        await this.recordLoanLiquidation(event.result)
+      } else {
+        this.emit('loan:margin_call', event.position)
+      }
+    }
+    
+    const activeLoanIds = Object.values(loans)
+      .filter(loan => loan.status === LOAN_STATUS.ACTIVE)
+      .map(loan => loan.loanId)
+    if (activeLoanIds.length > 0) {
+      this.syncLoanPositions(activeLoanIds.map(loanId => lendingPoolService.getLoanPosition(loanId)))
+      this.persistBalance()
+      this.persistLoans()
+      this.emit('balance:updated', this.state.balance)
+    }
+    
+    return events
+  }
+
+  /**
+   * Listen for market data updates; started with the first disbursed loan
+   * and again when active loans are restored
+   */
+  startLoanPriceMonitor() {
+    if (this.unsubscribeLoanPrices) {
+      return
+    }
+    
+    this.unsubscribeLoanPrices = this.subscribe('market:crypto:updated', (prices) => {
+      this.handleLoanPriceUpdate(prices).catch(error => {
+        logger.error('Loan price monitor error:', error)
+      })
+    })
+  }
+
+  stopLoanPriceMonitor() {
+    if (this.unsubscribeLoanPrices) {
+      this.unsubscribeLoanPrices()
+      this.unsubscribeLoanPrices = null
+    }
+  }
+
+  /**
+   * Get the active user's loans as last valued
+   */
+  getLoanPositions() {
+    return Object.values(this.state.balance?.loans || {})
+  }
+
+  /**
+   * Mirror loan positions into the balance. Debt and collateral are reported
+   * next to totalUSD rather than in it: pledged collateral is still counted in
+   * Invested Balance and the borrowed funds already sit in Available Balance.
+   */
+  syncLoanPositions(positions) {
+    const loans = { ...(this.state.balance.loans || {}) }
+    positions.forEach(position => {
+      loans[position.loanId] = position
+    })
+    
+    const activeLoans = Object.values(loans).filter(loan => loan.status === LOAN_STATUS.ACTIVE)
+    this.state.balance.loans = loans
+    this.state.balance.loanDebt = this.addMoney(BALANCE_CURRENCY, ...activeLoans.map(loan => loan.outstandingDebt))
+    this.state.balance.loanCollateralValue = this.addMoney(BALANCE_CURRENCY, ...activeLoans.map(loan => loan.collateralValue))
+    return loans
+  }
+
+  /**
+   * Add a loan transaction to history, updating Available Balance for cash movements
+   */
+  async recordLoanTransaction(transactionData) {
+    const transactionRecord = {
+      currency: 'USD',
+      ...transactionData,
+      id: `tx_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`
+    }
+    
+    if (['loan_disbursement', 'loan_repayment', 'loan_liquidation'].includes(transactionRecord.type)) {
+      await this.updateBalance(transactionRecord)
+    } else {
+      this.persistBalance()
+      this.emit('balance:updated', this.state.balance)
+    }
+    
+    this.persistLoans()
+    const transaction = this.addTransaction(transactionRecord)
+    this.emit('transaction:completed', { transaction, balance: this.state.balance })
+    return transaction
+  }
+
+  /**
+   * Throw unless the wallet holds enough of an asset outside other loans' pledges
+   */
+  assertCollateralHeld(asset, quantity) {
+    if (!(quantity > 0)) {
+      return
+    }
+    
+    const held = this.state.balance.assets?.[asset]?.quantity || 0
+    if (quantity > held) {
+      throw new Error(`Insufficient ${asset} for loan collateral: ${quantity} needed, ${held} held`)
+    }
+  }
+
+  /**
+   * Move collateral out of the wallet's free quantity of an asset. It is still
+   * the borrower's, so its value stays in the position and Invested Balance
+   */
+  pledgeCollateral(asset, quantity) {
+    this.assertCollateralHeld(asset, quantity)
+    if (!(quantity > 0)) {
+      return
+    }
+    
+    const position = this.state.balance.assets[asset]
+    position.quantity = this.subtractQuantity(position.quantity, quantity)
+    position.pledgedQuantity = this.addQuantity(position.pledgedQuantity, quantity)
+  }
+
+  /**
+   * Return pledged collateral to the wallet's free quantity of an asset
+   */
+  releaseCollateral(asset, quantity) {
+    const position = this.state.balance.assets[asset]
+    if (!(quantity > 0) || !position) {
+      return
+    }
+    
+    const released = Math.min(quantity, position.pledgedQuantity || 0)
+    position.pledgedQuantity = this.subtractQuantity(position.pledgedQuantity, released)
+    position.quantity = this.addQuantity(position.quantity, released)
+  }
+
+  async recordCollateralChange(position, type, amount) {
+    if (type === 'collateral_deposit') {
+      this.pledgeCollateral(position.collateralAsset, amount)
+    } else {
+      this.releaseCollateral(position.collateralAsset, amount)
+    }
+    this.syncLoanPositions([position])
+    
+    return this.recordLoanTransaction({
+      type,
+      amount,
+      currency: position.collateralAsset,
+      asset: position.collateralAsset,
+      loanId: position.loanId,
+      description: type === 'collateral_deposit'
+        ? `Added ${amount} ${position.collateralAsset} loan collateral`
+        : `Withdrew ${amount} ${position.collateralAsset} loan collateral`
+    })
+  }
+
+  /**
+   * Record seized collateral as a disposal: it leaves the position (and its
+   * share of the invested amount leaves Invested Balance) and its tax lots are
+   * relieved at the seized value less the liquidation penalty
+   */
+  async recordLoanLiquidation(result) {
+    const asset = result.collateralAsset
+    this.releaseCollateral(asset, result.collateralReleased)
+    this.syncLoanPositions([lendingPoolService.getLoanPosition(result.loanId)])
+    
+    const position = this.state.balance.assets[asset]
+    const heldQuantity = position ? this.addQuantity(position.quantity, position.pledgedQuantity) : 0
+    const seizedShare = heldQuantity > 0 ? Math.min(1, result.collateralSeized / heldQuantity) : 0
+    
+    const transaction = await this.recordLoanTransaction({
+      type: 'loan_liquidation',
+      amount: this.addMoney(BALANCE_CURRENCY, result.collateralSeizedValue),
+      fees: { total: this.addMoney(BALANCE_CURRENCY, result.penalty) },
+      asset,
+      quantity: result.collateralSeized,
+      price: result.price,
+      investedAmount: this.addMoney(BALANCE_CURRENCY, (position?.investedAmount || 0) * seizedShare),
+      loanId: result.loanId,
+      description: `Liquidated ${result.collateralSeized.toFixed(6)} ${result.collateralAsset} to repay $${result.debtRepaid.toFixed(2)} of loan debt ($${result.penalty.toFixed(2)} penalty)`
+    })
+    
+    this.emit('loan:liquidated', result)
+    return transaction
+  }
+
+  // ====================
+  // PAYMENT REVERSALS
+  // ====================
+
+  /**
+   * Find the externally funded transaction behind a provider payment
+   * @param {string} paymentId - Provider payment ID, or the diBoaS transaction ID
+   */
+  findFundingTransaction(paymentId) {
+    return this.state.transactions.find(tx =>
+      (tx.paymentId === paymentId || tx.id === paymentId) &&
+      REVERSIBLE_FUNDING_TYPES.includes(tx.type) &&
+      tx.status === 'completed' &&
+      tx.paymentMethod && tx.paymentMethod !== 'diboas_wallet'
+    ) || null
+  }
+
+  getFundingTransaction(paymentId) {
+    const transaction = this.findFundingTransaction(paymentId)
+    if (!transaction) {
+      throw new Error(`No completed externally funded transaction for payment ${paymentId}`)
+    }
+    return transaction
+  }
+
+  /**
+   * Balance a funding transaction credited, as updateBalance applied it:
+   * the net amount for adds, the amount less fees for buys and strategies
+   */
+  getCreditedAmount(transaction) {
+    if (transaction.type === 'add') {
+      return parseFloat(transaction.netAmount ?? transaction.amount)
+    }
+    return this.subtractMoney(BALANCE_CURRENCY, parseFloat(transaction.amount), parseFloat(transaction.fees?.total || 0))
+  }
+
+  /**
+   * Credited balance to take back when chargeAmount of the charge is reversed.
+   * Fees are not returned, so the reversal is the same share of the net credit;
+   * reversing the rest of the charge takes back exactly what is left of it.
+   */
+  getReversalAmount(transaction, chargeAmount) {
+    const outstanding = this.subtractMoney(BALANCE_CURRENCY, this.getCreditedAmount(transaction), transaction.reversedAmount || 0)
+    const remainingCharge = this.subtractMoney(BALANCE_CURRENCY, parseFloat(transaction.amount), transaction.refundedAmount || 0)
+    if (chargeAmount >= remainingCharge) {
+      return outstanding
+    }
+    
+    const share = new Money(this.getCreditedAmount(transaction), BALANCE_CURRENCY).amountDecimal
+      .times(chargeAmount)
+      .dividedBy(parseFloat(transaction.amount))
+    return Math.min(new Money(share.toString(), BALANCE_CURRENCY).amount, outstanding)
+  }
+
+  /**
+   * Record a full or partial refund of an externally funded transaction
+   * @param {string} paymentId - Provider payment ID (or transaction ID) that was refunded
+   * @param {Object} refund
+   * @param {number} refund.amount - Amount refunded to the payment method (defaults to all still refundable)
+   * @param {number} refund.refundedTotal - Cumulative amount refunded, when the provider reports it instead
+   * @param {string} refund.refundId - Provider refund ID; a refund is only recorded once
+   * @param {string} refund.reason - Why it was refunded
+   * @returns {Object|null} Refund transaction, or null when the refund was already recorded
+   */
+  async recordPaymentRefund(paymentId, { amount = null, refundedTotal = null, refundId = null, reason = null } = {}) {
+    const original = this.getFundingTransaction(paymentId)
+    if (refundId && (original.refunds || []).some(refund => refund.refundId === refundId)) {
+      return null
+    }
+    
+    if (original.dispute && original.dispute.status !== DISPUTE_STATUS.WON) {
+      throw new Error(`Payment ${paymentId} is disputed and cannot be refunded`)
+    }
+    
+    const alreadyRefunded = original.refundedAmount || 0
+    const refundable = getRefundableAmount({ amount: parseFloat(original.amount), refundedAmount: alreadyRefunded, dispute: original.dispute })
+    const refundAmount = refundedTotal !== null
+      ? this.subtractMoney(BALANCE_CURRENCY, refundedTotal, alreadyRefunded)
+      : amount ?? refundable
+    if (refundAmount <= 0) {
+      return null
+    }
+    if (refundAmount > refundable) {
+      throw new Error(`Refund of $${refundAmount.toFixed(2)} exceeds the $${refundable.toFixed(2)} still refundable on ${paymentId}`)
+    }
+    
+    const reversal = this.getReversalAmount(original, refundAmount)
+    const transaction = await this.recordPaymentReversal(original, {
+      type: 'refund',
+      amount: reversal,
+      reason,
+      description: `Refunded $${refundAmount.toFixed(2)} to ${original.paymentMethod}`
+    })
+    
+    const refundedAmount = this.addMoney(BALANCE_CURRENCY, alreadyRefunded, refundAmount)
+    const updated = this.updateTransaction(original.id, {
+      refundedAmount,
+      reversedAmount: this.addMoney(BALANCE_CURRENCY, original.reversedAmount, reversal),
+      refunds: [
+        ...(original.refunds || []),
+        { refundId, amount: refundAmount, reversedAmount: reversal, transactionId: transaction.id, createdAt: transaction.createdAt }
+      ],
+      paymentStatus: getPaymentStatus({ amount: parseFloat(original.amount), refundedAmount, dispute: original.dispute })
+    })
+    
+    this.emit('payment:refunded', { transaction, original: updated, amount: refundAmount })
+    return transaction
+  }
+
+  /**
+   * Record a dispute opened against an externally funded transaction. The card
+   * network takes the disputed funds back when the dispute opens, so they are
+   * reversed straight away and only returned if the dispute is won.
+   * @param {string} paymentId - Provider payment ID (or transaction ID) under dispute
+   * @param {Object} dispute - { disputeId, amount (defaults to the unrefunded amount), reason, status }
+   * @returns {Object} Chargeback transaction, or the disputed transaction if the dispute was already recorded
+   */
+  async recordPaymentDispute(paymentId, { disputeId, amount = null, reason = null, status = DISPUTE_STATUS.NEEDS_RESPONSE } = {}) {
+    const original = this.getFundingTransaction(paymentId)
+    if (original.dispute && original.dispute.disputeId === disputeId) {
+      return this.updatePaymentDispute(paymentId, { disputeId, status })
+    }
+    if (isDisputeOpen(original.dispute)) {
+      throw new Error(`Payment ${paymentId} already has an open dispute`)
+    }
+    if (original.dispute?.status === DISPUTE_STATUS.LOST) {
+      // The lost chargeback already took the disputed funds back for good
+      throw new Error(`Payment ${paymentId} was already charged back`)
+    }
+    
+    const remainingCharge = this.subtractMoney(BALANCE_CURRENCY, parseFloat(original.amount), original.refundedAmount || 0)
+    const disputedAmount = Math.min(amount ?? remainingCharge, remainingCharge)
+    const reversal = this.getReversalAmount(original, disputedAmount)
+    const transaction = await this.recordPaymentReversal(original, {
+      type: 'chargeback',
+      amount: reversal,
+      disputeId,
+      reason
+    })
+    
+    const dispute = {
+      disputeId,
+      amount: disputedAmount,
+      reason,
+      status,
+      reversedAmount: reversal,
+      transactionId: transaction.id,
+      openedAt: transaction.createdAt,
+      closedAt: null
+    }
+    const updated = this.updateTransaction(original.id, {
+      dispute,
+      reversedAmount: this.addMoney(BALANCE_CURRENCY, original.reversedAmount, reversal),
+      paymentStatus: getPaymentStatus({ amount: parseFloat(original.amount), refundedAmount: original.refundedAmount, dispute })
+    })
+    
+    this.emit('payment:disputed', { transaction, original: updated, dispute })
+    return transaction
+  }
+
+  /**
+   * Move a transaction's dispute on. A won dispute returns the reversed funds;
+   * a lost one leaves the chargeback in place.
+   * @param {string} paymentId - Provider payment ID (or transaction ID) under dispute
+   * @param {Object} update - { disputeId, status, amount, reason }
+   * @returns {Object} Transaction with the updated dispute
+   */
+  async updatePaymentDispute(paymentId, { disputeId, status, amount = null, reason = null } = {}) {
+    let original = this.getFundingTransaction(paymentId)
+    if (!original.dispute || (disputeId && original.dispute.disputeId !== disputeId)) {
+      // The update arrived before (or instead of) the dispute being opened
+      await this.recordPaymentDispute(paymentId, { disputeId, amount, reason })
+      original = this.getFundingTransaction(paymentId)
+    }
+    
+    const previous = original.dispute
+    assertDisputeTransition(previous.status, status)
+    if (previous.status === status) {
+      return original
+    }
+    
+    const dispute = {
+      ...previous,
+      status,
+      closedAt: isDisputeOpen({ status }) ? null : new Date().toISOString()
+    }
+    let reversedAmount = original.reversedAmount
+    if (status === DISPUTE_STATUS.WON) {
+      await this.recordPaymentReversal(original, {
+        type: 'chargeback_reversal',
+        amount: previous.reversedAmount,
+        disputeId: previous.disputeId
+      })
+      reversedAmount = this.subtractMoney(BALANCE_CURRENCY, reversedAmount, previous.reversedAmount)
+    }
+    
+    const updated = this.updateTransaction(original.id, {
+      dispute,
+      reversedAmount,
+      paymentStatus: getPaymentStatus({ amount: parseFloat(original.amount), refundedAmount: original.refundedAmount, dispute })
+    })
+    
+    const eventByStatus = {
+      [DISPUTE_STATUS.WON]: 'payment:dispute_won',
+      [DISPUTE_STATUS.LOST]: 'payment:charged_back'
+    }
+    this.emit(eventByStatus[status] || 'payment:dispute_updated', { original: updated, dispute })
+    return updated
+  }
+
+  /**
+   * Add a refund, chargeback or chargeback reversal to history and move the balance
+   */
+  async recordPaymentReversal(original, transactionData) {
+    const transactionRecord = {
+      currency: 'USD',
+      paymentMethod: original.paymentMethod,
+      paymentId: original.paymentId,
+      paymentProvider: original.paymentProvider,
+      originalTransactionId: original.id,
+      ...transactionData,
+      id: `tx_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`
+    }
+    const previousNegativeBalance = this.state.balance.negativeBalance || 0
+    
+    await this.updateBalance(transactionRecord)
+    
+    const transaction = this.addTransaction(transactionRecord)
+    this.emit('transaction:completed', { transaction, balance: this.state.balance })
+    if (this.state.balance.negativeBalance > previousNegativeBalance) {
+      this.emit('balance:negative_hold', { negativeBalance: this.state.balance.negativeBalance, transaction })
+    }
+    return transaction
+  }
+
+  /**
+   * Apply refunds and disputes reported by payment provider webhooks (see
+   * WebhookRouter); events for payments the active user did not make are skipped
+   */
+  startPaymentEventListener(eventBus = globalEventBus) {
+    if (this.unsubscribePaymentEvents) {
+      return
+    }
+    
+    const { PAYMENT_REFUNDED, PAYMENT_DISPUTED, PAYMENT_DISPUTE_UPDATED, PAYMENT_DISPUTE_CLOSED } = WEBHOOK_EVENT_TYPES
+    const applyDisputeUpdate = (data) => this.updatePaymentDispute(data.paymentId, { ...data, status: data.disputeStatus })
+    const handlers = {
+      [PAYMENT_REFUNDED]: (data) => this.recordPaymentRefund(data.paymentId, data),
+      [PAYMENT_DISPUTED]: (data) => this.recordPaymentDispute(data.paymentId, { ...data, status: data.disputeStatus }),
+      [PAYMENT_DISPUTE_UPDATED]: applyDisputeUpdate,
+      [PAYMENT_DISPUTE_CLOSED]: applyDisputeUpdate
+    }
+    
+    const unsubscribers = Object.entries(handlers).map(([eventType, handler]) =>
+      eventBus.subscribe(eventType, (event) => handler(event.data).catch(error => {
+        logger.warn(`Payment event ${eventType} not applied:`, error.message)
+      }))
+    )
+    this.unsubscribePaymentEvents = () => unsubscribers.forEach(unsubscribe => unsubscribe())
+  }
+
+  stopPaymentEventListener() {
+    if (this.unsubscribePaymentEvents) {
+      this.unsubscribePaymentEvents()
+      this.unsubscribePaymentEvents = null
+    }
+  }
+
   /**
    * Execute flash loan
    */
@@ -2560,7 +3965,8 @@ class DataManager {
         marketConditions,
         taxOptimization,
         lendingPools,
-        rebalancingRecommendations
+        rebalancingRecommendations,
+        riskAssessment
       ] = await Promise.allSettled([
         this.getEnhancedYieldData(),
         this.getPortfolioInsights(userProfile, '30d'),
@@ -2568,7 +3974,8 @@ class DataManager {
         Promise.resolve(this.getMarketConditions()),
         this.getTaxOptimizationReport(userProfile).catch(() => null),
         Promise.resolve(this.getAllLendingPools()),
-        this.getRebalancingRecommendations(userProfile.riskTolerance).catch(() => null)
+        this.getRebalancingRecommendations(userProfile.riskTolerance).catch(() => null),
+        this.getPortfolioRiskAssessment(userProfile.riskTolerance)
       ])
 
       // Extract fulfilled values
@@ -2583,6 +3990,7 @@ class DataManager {
         insights: {
           portfolio: portfolioInsights.status === 'fulfilled' ? portfolioInsights.value : null,
           health: portfolioHealth.status === 'fulfilled' ? portfolioHealth.value : null,
+          risk: riskAssessment.status === 'fulfilled' ? riskAssessment.value : null,
           market: marketConditions.status === 'fulfilled' ? marketConditions.value : null
         },
         optimization: {
@@ -2618,6 +4026,28 @@ class DataManager {
    */
   buildPortfolioPositions() {
     const positions = []
+    const lotAssets = new Set()
+
+    // Add asset positions with real cost basis from tax lots
+    const prices = Object.fromEntries(
+      Object.keys(this.state.balance.assets || {}).map(asset => [asset, this.getEstimatedAssetPrice(asset)])
+    )
+    taxLotService.getOpenPositions(this.state.transactions, { prices }).forEach(position => {
+      lotAssets.add(position.asset)
+      positions.push({
+        id: `${position.asset}_lots`,
+        asset: position.asset,
+        protocol: 'wallet',
+        value: position.currentValue ?? position.costBasis,
+        costBasis: position.costBasis,
+        currentValue: position.currentValue ?? position.costBasis,
+        assetType: 'crypto',
+        amount: position.quantity,
+        purchaseDate: position.purchaseDate,
+        lastPurchaseDate: position.lastPurchaseDate,
+        lots: position.lots
+      })
+    })
 
     // Add strategy positions
     if (this.state.balance.strategies) {
@@ -2640,7 +4070,7 @@ class DataManager {
     // Add asset positions from balance breakdown
     if (this.state.balance.breakdown) {
       Object.entries(this.state.balance.breakdown).forEach(([asset, data]) => {
-        if (data.usdValue > 0) {
+        if (data.usdValue > 0 && !lotAssets.has(asset)) {
           positions.push({
             id: `${asset}_holding`,
             asset: asset,
@@ -2692,6 +4122,19 @@ class DataManager {
       })
     }
 
+    // Margin calls go first so they are never cut by the alert limit
+    this.getLoanPositions()
+      .filter(loan => loan.status === LOAN_STATUS.ACTIVE && loan.marginCall)
+      .forEach(loan => {
+        alerts.unshift({
+          type: 'loan',
+          priority: 'critical',
+          title: 'Margin Call',
+          message: `Your ${loan.collateralAsset} loan has a health factor of ${loan.healthFactor.toFixed(2)} and is liquidated below 1.00`,
+          action: 'Repay part of the loan or add collateral'
+        })
+      })
+
     // Balance alerts
     if (this.state.balance.availableForSpending < 1000) {
       alerts.push({
@@ -3249,7 +4692,7 @@ class DataManager {
    */
   async processSecureTransaction(transactionData) {
     try {
-      const userId = this.state.user?.id || 'demo_user_12345'
+      const userId = this.getCurrentUserId()
       
       // Security validations
       const inputValidation = this.validateUserInput(JSON.stringify(transactionData), {
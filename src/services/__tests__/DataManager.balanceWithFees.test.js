@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest'
 import DataManager from '../DataManager.js'
+import { ledgerService } from '../ledger/LedgerService.js'
 import { onChainTransactionManager } from '../transactions/OnChainTransactionManager.js'
 import { mockOnChainStatusProvider } from '../onchain/OnChainStatusProvider.js'
 
@@ -39,7 +40,8 @@ describe('DataManager - Balance Calculations with Fees', () => {
     
     // Use singleton instance but reset its state
     dataManager = DataManager
-    // Reset the state for each test
+    // Reset the state for each test; balances are derived from the ledger, so it is reset too
+    ledgerService.clear()
     dataManager.initializeCleanState()
     
     // Initialize with clean state
@@ -152,7 +154,8 @@ describe('DataManager - Balance Calculations with Fees', () => {
       await dataManager.updateBalance(transactionData1)
       expect(dataManager.state.balance.availableForSpending).toBe(98.5)
       
-      // Reset balance
+      // Reset balance (and the ledger it is derived from)
+      ledgerService.clear()
       dataManager.state.balance.availableForSpending = 0
       
       // Test with total field - should use pre-calculated netAmount
@@ -169,7 +172,8 @@ describe('DataManager - Balance Calculations with Fees', () => {
       await dataManager.updateBalance(transactionData2)
       expect(dataManager.state.balance.availableForSpending).toBe(98.0)
       
-      // Reset balance
+      // Reset balance (and the ledger it is derived from)
+      ledgerService.clear()
       dataManager.state.balance.availableForSpending = 0
       
       // Test with total field (preferred) - should use pre-calculated netAmount
@@ -0,0 +1,121 @@
+/**
+ * Ledger integration tests for DataManager
+ * Every processed transaction must post a balanced entry and the
+ * ledger-derived balances must reconcile with DataManager state
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { dataManager } from '../DataManager.js'
+import { ledgerService, LEDGER_ACCOUNTS } from '../ledger/LedgerService.js'
+
+describe('DataManager - Double-entry Ledger', () => {
+  beforeEach(() => {
+    ledgerService.clear()
+    dataManager.initializeCleanState()
+    // Encryption is irrelevant here and dominates runtime
+    vi.spyOn(dataManager, 'persistBalance').mockResolvedValue()
+    vi.spyOn(dataManager, 'persistTransactions').mockResolvedValue()
+    vi.spyOn(dataManager, 'persistFinObjectives').mockResolvedValue()
+    vi.spyOn(dataManager, 'persistLedger').mockResolvedValue()
+    vi.spyOn(dataManager, 'checkRateLimit').mockReturnValue({ allowed: true })
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should post a balanced entry linked to each processed transaction', async () => {
+    const result = await dataManager.processTransaction({
+      type: 'add',
+      amount: 100,
+      netAmount: 98.5,
+      paymentMethod: 'credit_card',
+      fees: { total: 1.5, diBoaS: 0.09 }
+    })
+
+    const [entry] = dataManager.getLedgerEntries()
+    expect(entry.transactionId).toBe(result.transaction.id)
+    expect(entry.type).toBe('add')
+
+    const debits = entry.postings.filter(posting => posting.side === 'debit')
+    const credits = entry.postings.filter(posting => posting.side === 'credit')
+    expect(debits.reduce((sum, posting) => sum + posting.amount, 0))
+      .toBeCloseTo(credits.reduce((sum, posting) => sum + posting.amount, 0), 6)
+  })
+
+  it('should derive balances that match state across a transaction mix', async () => {
+    await dataManager.processTransaction({ type: 'add', amount: 500, netAmount: 495, paymentMethod: 'credit_card', fees: { total: 5, diBoaS: 0.45 } })
+    await dataManager.processTransaction({ type: 'buy', amount: 120.37, asset: 'BTC', paymentMethod: 'diboas_wallet', fees: { total: 1.21, diBoaS: 0.11 } })
+    await dataManager.processTransaction({ type: 'sell', amount: 60.1, asset: 'BTC', fees: { total: 0.6 } })
+    await dataManager.processTransaction({ type: 'send', amount: 25.55, fees: { total: 0.02 } })
+    await dataManager.processTransaction({ type: 'withdraw', amount: 40, fees: { total: 0.8, diBoaS: 0.04 } })
+
+    const balance = dataManager.getBalance()
+    const ledgerBalance = dataManager.getLedgerBalance()
+    expect(ledgerBalance.availableForSpending).toBe(balance.availableForSpending)
+    expect(ledgerBalance.investedAmount).toBe(balance.investedAmount)
+    expect(ledgerBalance.totalUSD).toBe(balance.totalUSD)
+    expect(ledgerBalance.assets.BTC).toBe(balance.assets.BTC.investedAmount)
+
+    const report = dataManager.verifyLedgerIntegrity()
+    expect(report.issues).toEqual([])
+    expect(report.valid).toBe(true)
+    expect(report.entriesChecked).toBe(5)
+  })
+
+  it('should flag balance changes made outside the transaction flow', async () => {
+    await dataManager.processTransaction({ type: 'add', amount: 100, netAmount: 100, paymentMethod: 'credit_card' })
+
+    dataManager.state.balance.availableForSpending = 150
+
+    const report = dataManager.verifyLedgerIntegrity()
+    expect(report.valid).toBe(false)
+    expect(report.issues).toContainEqual(expect.objectContaining({
+      type: 'balance_mismatch',
+      field: 'availableForSpending',
+      recorded: 150,
+      ledger: 100
+    }))
+  })
+
+  it('should fund a strategy from Available Balance and keep the ledger intact', async () => {
+    await dataManager.processTransaction({ type: 'add', amount: 200, paymentMethod: 'bank_account' })
+    dataManager.startFinObjective('emergency', 50)
+
+    expect(dataManager.getBalance()).toMatchObject({ availableForSpending: 150, strategyBalance: 50 })
+    expect(dataManager.verifyLedgerIntegrity()).toMatchObject({ valid: true, issues: [] })
+  })
+
+  it('should surface strategy funding beyond Available Balance as unexplained funds', () => {
+    dataManager.startFinObjective('emergency', 50)
+
+    const report = dataManager.verifyLedgerIntegrity()
+    expect(report.valid).toBe(false)
+    expect(report.issues).toContainEqual(expect.objectContaining({
+      type: 'unexplained_funds',
+      accountId: LEDGER_ACCOUNTS.SUSPENSE,
+      amount: 50
+    }))
+  })
+
+  it('should build the audit trail from ledger entries', async () => {
+    await dataManager.processTransaction({ type: 'add', amount: 200, netAmount: 198, paymentMethod: 'credit_card', fees: { total: 2 } })
+    await dataManager.processTransaction({ type: 'withdraw', amount: 50, fees: { total: 1 } })
+
+    const auditTrail = await dataManager.getBalanceAuditTrail(dataManager.getCurrentUserId())
+
+    expect(auditTrail).toHaveLength(2)
+    expect(auditTrail[0]).toMatchObject({ operation: 'withdraw', amount: -50 })
+    expect(auditTrail[1]).toMatchObject({ operation: 'add', amount: 198 })
+    expect(auditTrail[1].postings.length).toBeGreaterThan(1)
+  })
+
+  it('should drop the ledger when the state is reset', async () => {
+    await dataManager.processTransaction({ type: 'add', amount: 100, netAmount: 100, paymentMethod: 'credit_card' })
+
+    dataManager.initializeCleanState()
+
+    expect(dataManager.getLedgerEntries()).toHaveLength(0)
+    expect(dataManager.getLedgerBalance().totalUSD).toBe(0)
+  })
+})
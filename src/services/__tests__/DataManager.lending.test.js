@@ -0,0 +1,177 @@
+/**
+ * Lending integration tests for DataManager
+ * Loan cash flows move Available Balance through the ledger, while debt,
+ * collateral, margin calls and liquidations show up in balance and history
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { dataManager } from '../DataManager.js'
+import { ledgerService } from '../ledger/LedgerService.js'
+import { lendingPoolService, LOAN_STATUS } from '../lending/LendingPoolService.js'
+import { taxLotService } from '../tax/TaxLotService.js'
+
+// 12 WETH at DataManager's fallback price of $100
+const buyCollateral = () => dataManager.processTransaction({
+  type: 'buy',
+  amount: 1200,
+  asset: 'WETH',
+  paymentMethod: 'credit_card',
+  fees: { total: 0 }
+})
+
+const applyForLoan = async () => {
+  const { applicationId } = await dataManager.applyForLoan({
+    poolId: 'balanced',
+    loanAmount: 10000,
+    loanType: 'collateralized',
+    collateralAsset: 'WETH',
+    collateralAmount: 10,
+    loanTerm: 12,
+    borrowerAddress: '0xborrower'
+  })
+  return applicationId
+}
+
+describe('DataManager - Lending', () => {
+  beforeEach(() => {
+    ledgerService.clear()
+    dataManager.initializeCleanState()
+    lendingPoolService.loanApplications.clear()
+    lendingPoolService.marketPrices.clear()
+    // Encryption is irrelevant here and dominates runtime
+    vi.spyOn(dataManager, 'persistBalance').mockResolvedValue()
+    vi.spyOn(dataManager, 'persistTransactions').mockResolvedValue()
+    vi.spyOn(dataManager, 'persistFinObjectives').mockResolvedValue()
+    vi.spyOn(dataManager, 'persistLedger').mockResolvedValue()
+    vi.spyOn(dataManager, 'persistLoans').mockResolvedValue()
+    vi.spyOn(dataManager, 'checkRateLimit').mockReturnValue({ allowed: true })
+    vi.spyOn(lendingPoolService, 'assessCreditRisk').mockResolvedValue({ creditScore: 700, riskLevel: 'medium' })
+  })
+
+  afterEach(() => {
+    dataManager.stopLoanPriceMonitor()
+    vi.restoreAllMocks()
+  })
+
+  it('should pay out an approved loan to Available Balance and track the debt', async () => {
+    await dataManager.processTransaction({ type: 'add', amount: 500, netAmount: 500, paymentMethod: 'credit_card' })
+    await buyCollateral()
+    const loanId = await applyForLoan()
+
+    await dataManager.approveLoan(loanId)
+
+    const balance = dataManager.getBalance()
+    expect(balance.availableForSpending).toBe(10500)
+    expect(balance.loanDebt).toBeCloseTo(10000, 2)
+    expect(balance.loanCollateralValue).toBe(24000)
+    expect(balance.totalUSD).toBe(11700)
+    // Pledged collateral leaves the wallet's free holdings but is still invested
+    expect(balance.assets.WETH).toMatchObject({ quantity: 2, pledgedQuantity: 10, investedAmount: 1200 })
+
+    const [transaction] = dataManager.getTransactions()
+    expect(transaction).toMatchObject({ type: 'loan_disbursement', amount: 10000, loanId, category: 'banking' })
+
+    const report = dataManager.verifyLedgerIntegrity()
+    expect(report.issues).toEqual([])
+  })
+
+  it('should not lend against collateral the wallet does not hold', async () => {
+    await expect(applyForLoan()).rejects.toThrow('Insufficient WETH for loan collateral: 10 needed, 0 held')
+    expect(lendingPoolService.loanApplications.size).toBe(0)
+  })
+
+  it('should take repayments from Available Balance', async () => {
+    await buyCollateral()
+    const loanId = await applyForLoan()
+    await dataManager.approveLoan(loanId)
+
+    const result = await dataManager.repayLoan(loanId, 4000)
+
+    expect(result.status).toBe(LOAN_STATUS.ACTIVE)
+    expect(dataManager.getBalance().availableForSpending).toBeCloseTo(6000, 2)
+    expect(dataManager.getBalance().loanDebt).toBeCloseTo(6000, 2)
+    expect(dataManager.getTransactions()[0]).toMatchObject({ type: 'loan_repayment', loanId })
+    expect(dataManager.verifyLedgerIntegrity().issues).toEqual([])
+
+    await expect(dataManager.repayLoan(loanId, 7000)).rejects.toThrow('Insufficient available balance')
+
+    await dataManager.processTransaction({ type: 'add', amount: 1000, netAmount: 1000, paymentMethod: 'credit_card' })
+    const repaid = await dataManager.repayLoan(loanId, 7000)
+    expect(repaid).toMatchObject({ status: LOAN_STATUS.REPAID, collateralReleased: 10 })
+    expect(dataManager.getBalance().assets.WETH).toMatchObject({ quantity: 12, pledgedQuantity: 0 })
+  })
+
+  it('should record collateral top-ups and withdrawals in history', async () => {
+    await buyCollateral()
+    const loanId = await applyForLoan()
+    await dataManager.approveLoan(loanId)
+
+    await expect(dataManager.addLoanCollateral(loanId, 3)).rejects.toThrow('Insufficient WETH for loan collateral: 3 needed, 2 held')
+    await dataManager.addLoanCollateral(loanId, 2)
+    await dataManager.withdrawLoanCollateral(loanId, 1)
+
+    const [withdrawal, deposit] = dataManager.getTransactions()
+    expect(deposit).toMatchObject({ type: 'collateral_deposit', amount: 2, asset: 'WETH', loanId })
+    expect(withdrawal).toMatchObject({ type: 'collateral_withdrawal', amount: 1, asset: 'WETH', loanId })
+    expect(dataManager.getLoanPositions()[0].collateralAmount).toBe(11)
+    expect(dataManager.getBalance().availableForSpending).toBe(10000)
+    expect(dataManager.getBalance().assets.WETH).toMatchObject({ quantity: 1, pledgedQuantity: 11 })
+  })
+
+  it('should restore loans and the price monitor after a reload and per user', async () => {
+    dataManager.persistLoans.mockRestore()
+    const userId = dataManager.getCurrentUserId()
+    await buyCollateral()
+    const loanId = await applyForLoan()
+    await dataManager.approveLoan(loanId)
+    await dataManager.persistLoans()
+
+    lendingPoolService.loanApplications.clear()
+    dataManager.stopLoanPriceMonitor()
+    await dataManager.loadLoans()
+    expect(lendingPoolService.getLoanPosition(loanId)).toMatchObject({ status: LOAN_STATUS.ACTIVE, collateralAmount: 10 })
+    expect(dataManager.unsubscribeLoanPrices).toBeTypeOf('function')
+
+    await dataManager.switchUser('user_without_loans')
+    expect(lendingPoolService.loanApplications.has(loanId)).toBe(false)
+    expect(dataManager.unsubscribeLoanPrices).toBeNull()
+
+    await dataManager.switchUser(userId)
+    expect(lendingPoolService.getLoanPosition(loanId).status).toBe(LOAN_STATUS.ACTIVE)
+    expect(dataManager.unsubscribeLoanPrices).toBeTypeOf('function')
+    dataManager.initializeCleanState('user_without_loans')
+  })
+
+  it('should liquidate on a price crash and leave a margin call alert', async () => {
+    await buyCollateral()
+    const loanId = await applyForLoan()
+    await dataManager.approveLoan(loanId)
+    const liquidated = vi.fn()
+    dataManager.subscribe('loan:liquidated', liquidated)
+
+    dataManager.emit('market:crypto:updated', [{ symbol: 'ETH', price: 1090 }])
+    await vi.waitFor(() => expect(liquidated).toHaveBeenCalled())
+
+    const [liquidation] = dataManager.getTransactions()
+    const { collateralSeized, debtRepaid } = liquidated.mock.calls[0][0]
+    expect(liquidation).toMatchObject({ type: 'loan_liquidation', loanId, asset: 'WETH', quantity: collateralSeized })
+    expect(dataManager.getBalance().loanDebt).toBeCloseTo(5000, 2)
+    // Liquidation repays debt with collateral, not with Available Balance
+    expect(dataManager.getBalance().availableForSpending).toBe(10000)
+
+    // The seized collateral and its share of the invested amount are gone
+    const balance = dataManager.getBalance()
+    expect(balance.assets.WETH.pledgedQuantity).toBeCloseTo(10 - collateralSeized, 6)
+    expect(balance.investedAmount).toBeCloseTo(1200 * (12 - collateralSeized) / 12, 2)
+    expect(balance.totalUSD).toBe(balance.availableForSpending + balance.investedAmount)
+    expect(dataManager.verifyLedgerIntegrity().issues).toEqual([])
+
+    // and its tax lots are relieved at the debt it repaid
+    const { disposals } = taxLotService.processTransactions(dataManager.getTransactions())
+    expect(disposals).toEqual([expect.objectContaining({ transactionId: liquidation.id, quantity: collateralSeized })])
+    expect(disposals[0].proceeds).toBeCloseTo(debtRepaid, 2)
+
+    const alerts = dataManager.generateDashboardAlerts(null, null)
+    expect(alerts[0]).toMatchObject({ type: 'loan', priority: 'critical', title: 'Margin Call' })
+  })
+})
@@ -0,0 +1,118 @@
+/**
+ * Multi-user profile tests for DataManager
+ * Tests profile isolation, switching and the user-switched event
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { dataManager, DEFAULT_USER_ID } from '../DataManager.js'
+
+describe('DataManager - Multi-user Profiles', () => {
+  beforeEach(async () => {
+    // Always start from the default profile with a clean state
+    await dataManager.switchUser(DEFAULT_USER_ID)
+    dataManager.initializeCleanState()
+    dataManager.userProfiles.clear()
+  })
+
+  afterEach(async () => {
+    await dataManager.switchUser(DEFAULT_USER_ID)
+    vi.restoreAllMocks()
+  })
+
+  it('should start with the default user profile', () => {
+    expect(dataManager.getCurrentUserId()).toBe(DEFAULT_USER_ID)
+    expect(dataManager.getUser().id).toBe(DEFAULT_USER_ID)
+  })
+
+  it('should build per-user storage keys', () => {
+    const keys = dataManager.getStorageKeys('alice')
+
+    expect(keys.balanceState).toBe('diboas_balance_state_alice')
+    expect(keys.transactionHistory).toBe('diboas_transaction_history_alice')
+    expect(keys.finObjectives).toBe('diboas_fin_objectives_alice')
+  })
+
+  it('should switch to a new user with a clean state', async () => {
+    await dataManager.updateBalance({ type: 'add', amount: 100, netAmount: 100 })
+
+    await dataManager.switchUser('alice', { email: 'alice@diboas.com' })
+
+    expect(dataManager.getCurrentUserId()).toBe('alice')
+    expect(dataManager.getUser().email).toBe('alice@diboas.com')
+    expect(dataManager.getBalance().availableForSpending).toBe(0)
+    expect(dataManager.getTransactions()).toEqual([])
+  })
+
+  it('should isolate balances and transactions between users', async () => {
+    await dataManager.switchUser('alice')
+    await dataManager.processTransaction({ type: 'add', amount: 250, netAmount: 250 })
+
+    await dataManager.switchUser('bob')
+    await dataManager.processTransaction({ type: 'add', amount: 40, netAmount: 40 })
+
+    expect(dataManager.getBalance().availableForSpending).toBe(40)
+    expect(dataManager.getTransactions()).toHaveLength(1)
+    expect(dataManager.getTransactions()[0].userId).toBe('bob')
+
+    await dataManager.switchUser('alice')
+
+    expect(dataManager.getBalance().availableForSpending).toBe(250)
+    expect(dataManager.getTransactions()).toHaveLength(1)
+    expect(dataManager.getTransactions()[0].userId).toBe('alice')
+  })
+
+  it('should isolate finObjectives and strategies between users', async () => {
+    await dataManager.switchUser('alice')
+    dataManager.startFinObjective('emergency', 500)
+
+    await dataManager.switchUser('bob')
+    expect(dataManager.getFinObjective('emergency').isActive).toBe(false)
+    expect(dataManager.getActiveStrategies()).toHaveLength(0)
+
+    await dataManager.switchUser('alice')
+    expect(dataManager.getFinObjective('emergency').isActive).toBe(true)
+    expect(dataManager.getActiveStrategies()).toHaveLength(1)
+  })
+
+  it('should emit state:user-switched and re-broadcast balance', async () => {
+    const switchedHandler = vi.fn()
+    const balanceHandler = vi.fn()
+    const unsubscribeSwitched = dataManager.subscribe('state:user-switched', switchedHandler)
+    const unsubscribeBalance = dataManager.subscribe('balance:updated', balanceHandler)
+
+    await dataManager.switchUser('alice')
+
+    expect(switchedHandler).toHaveBeenCalledWith(expect.objectContaining({
+      previousUserId: DEFAULT_USER_ID,
+      userId: 'alice'
+    }))
+    expect(balanceHandler).toHaveBeenCalled()
+
+    unsubscribeSwitched()
+    unsubscribeBalance()
+  })
+
+  it('should not emit when switching to the active user', async () => {
+    const switchedHandler = vi.fn()
+    const unsubscribe = dataManager.subscribe('state:user-switched', switchedHandler)
+
+    await dataManager.switchUser(DEFAULT_USER_ID, { name: 'Renamed' })
+
+    expect(switchedHandler).not.toHaveBeenCalled()
+    expect(dataManager.getUser().name).toBe('Renamed')
+
+    unsubscribe()
+  })
+
+  it('should list loaded profiles with the active user first', async () => {
+    await dataManager.switchUser('alice')
+    await dataManager.switchUser('bob')
+
+    expect(dataManager.getLoadedUserIds()).toEqual(['bob', DEFAULT_USER_ID, 'alice'])
+  })
+
+  it('should reject invalid user IDs', async () => {
+    await expect(dataManager.switchUser('')).rejects.toThrow('Invalid user ID provided')
+    await expect(dataManager.switchUser(null)).rejects.toThrow('Invalid user ID provided')
+  })
+})
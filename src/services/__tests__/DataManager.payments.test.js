@@ -0,0 +1,241 @@
+/**
+ * Payment reversal tests for DataManager
+ * Refunds and chargebacks take a card-funded add back out of Available Balance;
+ * when the funds were already spent the shortfall is held as a negative balance
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { dataManager } from '../DataManager.js'
+import { ledgerService } from '../ledger/LedgerService.js'
+import { globalEventBus } from '../../infrastructure/EventBus.js'
+import { WebhookRouter } from '../integrations/webhooks/WebhookRouter.js'
+import { WebhookTestHarness } from '../integrations/webhooks/WebhookTestHarness.js'
+import { PAYMENT_STATUS, DISPUTE_STATUS } from '../integrations/payments/paymentLifecycle.js'
+import { PaymentNotificationService } from '../notifications/PaymentNotificationService.js'
+import { mockupNotificationTemplateProviderService } from '../notifications/MockupNotificationTemplateProviderService.js'
+import { filterTransactions } from '../../utils/transactionFilters.js'
+
+const addFunds = (amount, netAmount, paymentId) => dataManager.processTransaction({
+  type: 'add',
+  amount,
+  netAmount,
+  paymentMethod: 'credit_card',
+  paymentId,
+  paymentProvider: 'stripe',
+  fees: { total: amount - netAmount }
+})
+
+const findByPayment = (paymentId) => dataManager.getTransactions().find(tx => tx.type === 'add' && tx.paymentId === paymentId)
+
+describe('DataManager - Payment reversals', () => {
+  beforeEach(() => {
+    ledgerService.clear()
+    dataManager.initializeCleanState()
+    // Encryption is irrelevant here and dominates runtime
+    vi.spyOn(dataManager, 'persistBalance').mockResolvedValue()
+    vi.spyOn(dataManager, 'persistTransactions').mockResolvedValue()
+    vi.spyOn(dataManager, 'persistFinObjectives').mockResolvedValue()
+    vi.spyOn(dataManager, 'persistLedger').mockResolvedValue()
+    vi.spyOn(dataManager, 'checkRateLimit').mockReturnValue({ allowed: true })
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should take a fully refunded add back out of Available Balance', async () => {
+    await addFunds(100, 97, 'pi_1')
+
+    const refund = await dataManager.recordPaymentRefund('pi_1', { refundId: 're_1', reason: 'requested_by_customer' })
+
+    expect(refund).toMatchObject({ type: 'refund', amount: 97, paymentId: 'pi_1', category: 'banking' })
+    expect(refund.originalTransactionId).toBe(findByPayment('pi_1').id)
+    expect(dataManager.getBalance().availableForSpending).toBe(0)
+    expect(dataManager.getBalance().totalUSD).toBe(0)
+    expect(findByPayment('pi_1')).toMatchObject({ refundedAmount: 100, reversedAmount: 97, paymentStatus: PAYMENT_STATUS.REFUNDED })
+    expect(dataManager.verifyLedgerIntegrity().issues).toEqual([])
+
+    await expect(dataManager.recordPaymentRefund('pi_1', { amount: 1 })).rejects.toThrow('exceeds the $0.00 still refundable')
+  })
+
+  it('should reverse the same share of the net credit for partial refunds', async () => {
+    await addFunds(100, 97, 'pi_1')
+
+    await dataManager.recordPaymentRefund('pi_1', { amount: 40, refundId: 're_1' })
+    expect(dataManager.getBalance().availableForSpending).toBe(58.2)
+    expect(findByPayment('pi_1').paymentStatus).toBe(PAYMENT_STATUS.PARTIALLY_REFUNDED)
+
+    // A redelivered refund is only applied once
+    expect(await dataManager.recordPaymentRefund('pi_1', { amount: 40, refundId: 're_1' })).toBeNull()
+
+    await dataManager.recordPaymentRefund('pi_1', { refundedTotal: 100, refundId: 're_2' })
+    expect(dataManager.getBalance().availableForSpending).toBe(0)
+    expect(findByPayment('pi_1')).toMatchObject({ refundedAmount: 100, reversedAmount: 97, paymentStatus: PAYMENT_STATUS.REFUNDED })
+    expect(dataManager.verifyLedgerIntegrity().issues).toEqual([])
+  })
+
+  it('should hold a negative balance when charged-back funds were already spent', async () => {
+    const held = vi.fn()
+    const unsubscribe = dataManager.subscribe('balance:negative_hold', held)
+    await addFunds(100, 97, 'pi_1')
+    await dataManager.processTransaction({ type: 'buy', amount: 90, asset: 'BTC', paymentMethod: 'diboas_wallet', fees: { total: 0 } })
+
+    await dataManager.recordPaymentDispute('pi_1', { disputeId: 'dp_1', reason: 'fraudulent' })
+
+    let balance = dataManager.getBalance()
+    expect(balance.availableForSpending).toBe(0)
+    expect(balance.negativeBalance).toBe(90)
+    expect(balance.totalUSD).toBe(0)
+    expect(held).toHaveBeenCalledWith(expect.objectContaining({ negativeBalance: 90 }))
+    expect(findByPayment('pi_1').paymentStatus).toBe(PAYMENT_STATUS.DISPUTED)
+    expect(dataManager.verifyLedgerIntegrity().issues).toEqual([])
+
+    const withdrawal = await dataManager.processTransaction({ type: 'withdraw', amount: 10, fees: { total: 0 } })
+    expect(withdrawal.success).toBe(false)
+    expect(withdrawal.error).toContain('on hold until the $90.00 negative balance')
+
+    // New deposits settle what is owed before they become spendable
+    await addFunds(50, 50, 'pi_2')
+    expect(dataManager.getBalance()).toMatchObject({ availableForSpending: 0, negativeBalance: 40 })
+    await addFunds(60, 60, 'pi_3')
+    balance = dataManager.getBalance()
+    expect(balance).toMatchObject({ availableForSpending: 20, negativeBalance: 0 })
+    expect(balance.totalUSD).toBe(110)
+    expect(dataManager.verifyLedgerIntegrity().issues).toEqual([])
+    unsubscribe()
+  })
+
+  it('should return disputed funds when the dispute is won', async () => {
+    await addFunds(100, 97, 'pi_1')
+    await dataManager.recordPaymentDispute('pi_1', { disputeId: 'dp_1' })
+    expect(dataManager.getBalance().availableForSpending).toBe(0)
+
+    await dataManager.updatePaymentDispute('pi_1', { disputeId: 'dp_1', status: DISPUTE_STATUS.UNDER_REVIEW })
+    const original = await dataManager.updatePaymentDispute('pi_1', { disputeId: 'dp_1', status: DISPUTE_STATUS.WON })
+
+    expect(dataManager.getBalance().availableForSpending).toBe(97)
+    expect(original).toMatchObject({ reversedAmount: 0, paymentStatus: PAYMENT_STATUS.COMPLETED })
+    expect(original.dispute.closedAt).not.toBeNull()
+    expect(dataManager.getTransactions()[0]).toMatchObject({ type: 'chargeback_reversal', amount: 97, disputeId: 'dp_1' })
+    expect(dataManager.verifyLedgerIntegrity().issues).toEqual([])
+
+    // Reversals show under the banking Money In / Money Out filters
+    const typesUnder = (secondaryFilter) => filterTransactions(dataManager.getTransactions(), { category: 'banking', secondaryFilter }).map(tx => tx.type)
+    expect(typesUnder('in')).toEqual(['chargeback_reversal', 'add'])
+    expect(typesUnder('out')).toEqual(['chargeback'])
+
+    await expect(dataManager.updatePaymentDispute('pi_1', { disputeId: 'dp_1', status: DISPUTE_STATUS.LOST }))
+      .rejects.toThrow('Dispute cannot move from won to lost')
+  })
+
+  it('should block refunds while a dispute is open and keep a lost chargeback', async () => {
+    await addFunds(100, 97, 'pi_1')
+    await dataManager.recordPaymentDispute('pi_1', { disputeId: 'dp_1' })
+
+    await expect(dataManager.recordPaymentRefund('pi_1', { amount: 10 })).rejects.toThrow('is disputed and cannot be refunded')
+    await expect(dataManager.recordPaymentDispute('pi_1', { disputeId: 'dp_2' })).rejects.toThrow('already has an open dispute')
+
+    const original = await dataManager.updatePaymentDispute('pi_1', { disputeId: 'dp_1', status: DISPUTE_STATUS.LOST })
+
+    expect(original.paymentStatus).toBe(PAYMENT_STATUS.CHARGED_BACK)
+    expect(dataManager.getBalance().availableForSpending).toBe(0)
+    expect(dataManager.getTransactions().filter(tx => tx.type === 'chargeback')).toHaveLength(1)
+  })
+
+  it('should reject a new dispute on a payment whose chargeback was lost', async () => {
+    await addFunds(100, 97, 'pi_1')
+    await dataManager.recordPaymentDispute('pi_1', { disputeId: 'dp_1', amount: 40 })
+    await dataManager.updatePaymentDispute('pi_1', { disputeId: 'dp_1', status: DISPUTE_STATUS.LOST })
+    const availableAfterLoss = dataManager.getBalance().availableForSpending
+
+    await expect(dataManager.recordPaymentDispute('pi_1', { disputeId: 'dp_2' })).rejects.toThrow('was already charged back')
+
+    expect(dataManager.getBalance().availableForSpending).toBe(availableAfterLoss)
+    expect(dataManager.getTransactions().filter(tx => tx.type === 'chargeback')).toHaveLength(1)
+  })
+
+  it('should only reverse externally funded transactions', async () => {
+    await expect(dataManager.recordPaymentRefund('pi_unknown')).rejects.toThrow('No completed externally funded transaction')
+  })
+
+  it('should notify the user of refunds, disputes and negative balance holds', async () => {
+    vi.spyOn(mockupNotificationTemplateProviderService, 'simulateNetworkDelay').mockResolvedValue()
+    const showToast = vi.fn()
+    const showPush = vi.fn()
+    const notifications = new PaymentNotificationService({ dataManager, showToast, showPush })
+    notifications.start()
+
+    await addFunds(100, 97, 'pi_1')
+    await dataManager.recordPaymentRefund('pi_1', { amount: 40, refundId: 're_1' })
+    await vi.waitFor(() => expect(showPush).toHaveBeenCalledTimes(1))
+
+    expect(showToast).toHaveBeenCalledWith(expect.objectContaining({
+      variant: 'success',
+      title: 'Refund Issued',
+      description: '$40.00 is on its way back to your credit card. $38.80 was deducted from your balance.'
+    }))
+    expect(showPush).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'Payment Reversed',
+      body: 'Your credit card payment of $40.00 was refunded. $38.80 was deducted from your balance.'
+    }))
+
+    await dataManager.processTransaction({ type: 'buy', amount: 50, asset: 'BTC', paymentMethod: 'diboas_wallet', fees: { total: 0 } })
+    await dataManager.recordPaymentDispute('pi_1', { disputeId: 'dp_1' })
+    await vi.waitFor(() => expect(showToast).toHaveBeenCalledTimes(3))
+
+    expect(showToast).toHaveBeenCalledWith(expect.objectContaining({ variant: 'warning', title: 'Payment Disputed' }))
+    expect(showToast).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'Negative Balance',
+      description: expect.stringContaining(`You owe $${dataManager.getBalance().negativeBalance.toFixed(2)}`)
+    }))
+    expect(showPush).toHaveBeenLastCalledWith(expect.objectContaining({ body: expect.stringContaining('was disputed') }))
+
+    notifications.stop()
+  })
+
+  describe('from provider webhooks', () => {
+    let harness
+
+    beforeEach(() => {
+      const router = new WebhookRouter({
+        eventBus: globalEventBus,
+        config: { payments: { stripe: { webhookSecret: 'whsec_test' }, paypal: { webhookId: 'WH-1' } } }
+      })
+      harness = new WebhookTestHarness(router)
+    })
+
+    it('should apply Stripe refunds by their cumulative total', async () => {
+      await addFunds(100, 97, 'pi_1')
+
+      await harness.fire('stripe', 'payment.refunded', { id: 'pi_1', amount: 40 })
+
+      expect(dataManager.getBalance().availableForSpending).toBe(58.2)
+      expect(findByPayment('pi_1').refunds[0].refundId).toMatch(/^re_/)
+    })
+
+    it('should apply a dispute opened and lost through Stripe', async () => {
+      await addFunds(100, 97, 'pi_1')
+
+      await harness.fire('stripe', 'payment.disputed', { id: 'pi_1', disputeId: 'dp_1' })
+      expect(dataManager.getBalance().availableForSpending).toBe(0)
+
+      await harness.fire('stripe', 'payment.dispute_closed', { id: 'pi_1', disputeId: 'dp_1', outcome: 'lost' })
+      expect(findByPayment('pi_1')).toMatchObject({ paymentStatus: PAYMENT_STATUS.CHARGED_BACK, dispute: { status: DISPUTE_STATUS.LOST } })
+    })
+
+    it('should open and return a dispute resolved through PayPal', async () => {
+      await addFunds(100, 97, 'CAPTURE_1')
+
+      await harness.fire('paypal', 'payment.dispute_closed', { id: 'CAPTURE_1', disputeId: 'PP-D-1', outcome: 'won' })
+
+      expect(dataManager.getBalance().availableForSpending).toBe(97)
+      expect(findByPayment('CAPTURE_1').dispute).toMatchObject({ disputeId: 'PP-D-1', status: DISPUTE_STATUS.WON })
+    })
+
+    it('should skip events for payments the user did not make', async () => {
+      await harness.fire('stripe', 'payment.refunded', { id: 'pi_other', amount: 10 })
+
+      expect(dataManager.getTransactions()).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,222 @@
+/**
+ * Property-based precision tests for DataManager balance updates
+ * Random add/send/buy/sell/withdraw sequences are replayed against an
+ * integer minor-unit model; balances must match it exactly with no drift
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { dataManager } from '../DataManager.js'
+
+// USDC minor units (6 decimals) used by DataManager balance arithmetic
+const UNITS = 1_000_000
+const ASSETS = ['BTC', 'ETH', 'SOL', 'SUI', 'PAXG']
+const RUNS = 60
+const STEPS_PER_RUN = 30
+
+/**
+ * Deterministic PRNG (mulberry32) so failures are reproducible from the seed
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1))
+
+// Amounts with awkward binary representations: cents plus sub-cent fractions
+const randomAmountUnits = (random) => randomInt(random, 1, 50000) * 10000 + randomInt(random, 0, 9999)
+
+const randomFeeUnits = (random, amountUnits) => Math.min(amountUnits, randomInt(random, 0, 3_000_000))
+
+const toAmount = (units) => units / UNITS
+
+const toUnits = (amount) => Math.round(amount * UNITS)
+
+/**
+ * Generate one random operation together with its expected effect on the model
+ */
+const generateOperation = (random, model) => {
+  const kinds = ['add', 'send', 'withdraw', 'buy', 'sell']
+  const kind = kinds[randomInt(random, 0, kinds.length - 1)]
+  const amountUnits = randomAmountUnits(random)
+  const feeUnits = randomFeeUnits(random, amountUnits)
+  const asset = ASSETS[randomInt(random, 0, ASSETS.length - 1)]
+
+  switch (kind) {
+    case 'add':
+      return {
+        transaction: { type: 'add', amount: toAmount(amountUnits), netAmount: toAmount(amountUnits - feeUnits), fees: { total: toAmount(feeUnits) } },
+        apply: () => { model.available += amountUnits - feeUnits }
+      }
+    case 'send':
+    case 'withdraw':
+      return {
+        transaction: { type: kind, amount: toAmount(amountUnits), fees: { total: toAmount(feeUnits) } },
+        apply: () => { model.available = Math.max(0, model.available - amountUnits) }
+      }
+    case 'buy':
+      return {
+        transaction: { type: 'buy', amount: toAmount(amountUnits), fees: { total: toAmount(feeUnits) }, asset, paymentMethod: 'diboas_wallet' },
+        apply: () => {
+          const net = amountUnits - feeUnits
+          model.available = Math.max(0, model.available - amountUnits)
+          model.invested += net
+          model.assets[asset] = (model.assets[asset] || 0) + net
+        }
+      }
+    case 'sell':
+    default: {
+      // Sell either a random slice or exactly the whole position of a held asset
+      const held = Object.keys(model.assets)
+      const sellAsset = held.length > 0 ? held[randomInt(random, 0, held.length - 1)] : asset
+      const position = model.assets[sellAsset] || 0
+      const sellUnits = position > 0 && random() < 0.5 ? position : amountUnits
+      const sellFeeUnits = Math.min(sellUnits, feeUnits)
+      return {
+        transaction: { type: 'sell', amount: toAmount(sellUnits), fees: { total: toAmount(sellFeeUnits) }, asset: sellAsset },
+        apply: () => {
+          model.available += sellUnits - sellFeeUnits
+          model.invested = Math.max(0, model.invested - sellUnits)
+          if (model.assets[sellAsset] !== undefined) {
+            model.assets[sellAsset] = Math.max(0, model.assets[sellAsset] - sellUnits)
+            if (model.assets[sellAsset] === 0) {
+              delete model.assets[sellAsset]
+            }
+          }
+        }
+      }
+    }
+  }
+}
+
+const expectBalanceMatchesModel = (model, context) => {
+  const balance = dataManager.getBalance()
+
+  expect(balance.availableForSpending, context).toBe(toAmount(model.available))
+  expect(balance.investedAmount, context).toBe(toAmount(model.invested))
+  expect(balance.totalUSD, context).toBe(toAmount(model.available + model.invested))
+  expect(Object.keys(balance.assets).sort(), context).toEqual(Object.keys(model.assets).sort())
+
+  Object.entries(model.assets).forEach(([asset, investedUnits]) => {
+    expect(balance.assets[asset].investedAmount, `${context} ${asset}`).toBe(toAmount(investedUnits))
+    expect(balance.assets[asset].usdValue, `${context} ${asset}`).toBe(toAmount(investedUnits))
+  })
+}
+
+describe('DataManager - Decimal-exact Balance Arithmetic', () => {
+  beforeEach(() => {
+    dataManager.initializeCleanState()
+    // Encryption is irrelevant here and dominates runtime
+    vi.spyOn(dataManager, 'persistBalance').mockResolvedValue()
+    vi.spyOn(dataManager, 'persistTransactions').mockResolvedValue()
+    vi.spyOn(dataManager, 'persistFinObjectives').mockResolvedValue()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should never drift from the minor-unit model across random sequences', async () => {
+    for (let run = 0; run < RUNS; run++) {
+      const seed = 0xD1B0A5 + run
+      const random = createRandom(seed)
+      const model = { available: 0, invested: 0, assets: {} }
+
+      dataManager.initializeCleanState()
+
+      for (let step = 0; step < STEPS_PER_RUN; step++) {
+        const operation = generateOperation(random, model)
+        await dataManager.updateBalanceOriginal(operation.transaction)
+        operation.apply()
+        expectBalanceMatchesModel(model, `seed ${seed} step ${step} ${operation.transaction.type}`)
+      }
+    }
+  })
+
+  it('should keep every balance field on whole minor units', async () => {
+    const random = createRandom(42)
+    const model = { available: 0, invested: 0, assets: {} }
+
+    for (let step = 0; step < 200; step++) {
+      const operation = generateOperation(random, model)
+      await dataManager.updateBalanceOriginal(operation.transaction)
+      operation.apply()
+    }
+
+    const balance = dataManager.getBalance()
+    const fields = [
+      balance.availableForSpending,
+      balance.investedAmount,
+      balance.strategyBalance,
+      balance.totalUSD,
+      ...Object.values(balance.assets).flatMap(position => [position.usdValue, position.investedAmount])
+    ]
+    fields.forEach(value => {
+      expect(toAmount(toUnits(value))).toBe(value)
+    })
+  })
+
+  it('should leave no residue after many buy/sell cycles', async () => {
+    await dataManager.updateBalanceOriginal({ type: 'add', amount: 1000, netAmount: 1000 })
+
+    for (let cycle = 0; cycle < 500; cycle++) {
+      await dataManager.updateBalanceOriginal({ type: 'buy', amount: 0.1, fees: { total: 0 }, asset: 'BTC', paymentMethod: 'diboas_wallet' })
+      await dataManager.updateBalanceOriginal({ type: 'buy', amount: 0.2, fees: { total: 0 }, asset: 'BTC', paymentMethod: 'diboas_wallet' })
+      await dataManager.updateBalanceOriginal({ type: 'sell', amount: 0.3, fees: { total: 0 }, asset: 'BTC' })
+    }
+
+    const balance = dataManager.getBalance()
+    expect(balance.availableForSpending).toBe(1000)
+    expect(balance.investedAmount).toBe(0)
+    expect(balance.totalUSD).toBe(1000)
+    expect(balance.assets.BTC).toBeUndefined()
+  })
+
+  it('should conserve value when starting and stopping strategies', async () => {
+    await dataManager.updateBalanceOriginal({ type: 'add', amount: 100.1, netAmount: 100.1 })
+    dataManager.updateStrategyBalance('emergency', 0.7)
+    dataManager.updateStrategyBalance('emergency', 0.2)
+    dataManager.stopStrategy('emergency')
+
+    const balance = dataManager.getBalance()
+    expect(balance.strategyBalance).toBe(0)
+    expect(balance.availableForSpending).toBe(100.1)
+    expect(balance.totalUSD).toBe(100.1)
+  })
+
+  it('should track asset quantity on the asset precision', async () => {
+    await dataManager.updateBalanceOriginal({ type: 'buy', amount: 100, fees: { total: 0 }, asset: 'BTC', paymentMethod: 'credit_card' })
+    await dataManager.updateBalanceOriginal({ type: 'buy', amount: 100, fees: { total: 0 }, asset: 'BTC', paymentMethod: 'credit_card' })
+
+    const { quantity } = dataManager.getBalance().assets.BTC
+    expect(Number(quantity.toFixed(8))).toBe(quantity)
+  })
+
+  it('should track assets that are not Money currencies', async () => {
+    await dataManager.updateBalanceOriginal({ type: 'buy', amount: 100, fees: { total: 1 }, asset: 'GOLD', paymentMethod: 'credit_card' })
+
+    let balance = dataManager.getBalance()
+    expect(balance.assets.GOLD).toMatchObject({ quantity: 0.99, investedAmount: 99 })
+    expect(balance.totalUSD).toBe(99)
+
+    await dataManager.updateBalanceOriginal({ type: 'sell', amount: 49.5, fees: { total: 0 }, asset: 'GOLD' })
+    balance = dataManager.getBalance()
+    expect(balance.assets.GOLD.quantity).toBe(0.495)
+    expect(balance.totalUSD).toBe(99)
+  })
+
+  it('should leave the balance untouched when a trade is rejected', async () => {
+    await dataManager.updateBalanceOriginal({ type: 'add', amount: 50, paymentMethod: 'credit_card' })
+    const before = dataManager.getBalance()
+
+    await expect(dataManager.updateBalanceOriginal({ type: 'buy', amount: 'abc', asset: 'BTC', paymentMethod: 'diboas_wallet' }))
+      .rejects.toThrow('Invalid buy amount')
+    expect(dataManager.getBalance()).toEqual(before)
+  })
+})
@@ -5,9 +5,27 @@
 
 import logger from '../../utils/logger'
 import secureLogger from '../../utils/secureLogger.js'
+import { safeGetJSON, safeSetJSON } from '../../utils/localStorageHelper.js'
 import { dataManager } from '../DataManager.js'
 import protocolService from '../defi/ProtocolService.js'
 import riskEngine from '../risk/RiskEngine.js'
+import { centralizedFeeCalculator } from '../../utils/feeCalculations.js'
+import {
+  parseCondition,
+  validateCondition,
+  evaluateCondition,
+  describeCondition,
+  isEmptyCondition,
+  getConditionAssets,
+  getConditionStrategies
+} from './automationConditions.js'
+import {
+  SCHEDULE_TYPES,
+  getNextRun,
+  previewRuns,
+  validateSchedule,
+  getDefaultTimeZone
+} from './automationSchedule.js'
 
 export const AUTOMATION_TYPES = {
   SCHEDULED_DEPOSIT: 'scheduled_deposit',
@@ -15,9 +33,23 @@ export const AUTOMATION_TYPES = {
   REBALANCING: 'rebalancing',
   TAKE_PROFIT: 'take_profit',
   STOP_LOSS: 'stop_loss',
+  TRAILING_STOP: 'trailing_stop',
+  PRICE_ALERT: 'price_alert',
   YIELD_HARVEST: 'yield_harvest'
 }
 
+// Automations that run when a price threshold is crossed instead of on a schedule
+export const PRICE_TRIGGERED_TYPES = [
+  AUTOMATION_TYPES.STOP_LOSS,
+  AUTOMATION_TYPES.TRAILING_STOP,
+  AUTOMATION_TYPES.PRICE_ALERT
+]
+
+export const PRICE_DIRECTIONS = {
+  ABOVE: 'above',
+  BELOW: 'below'
+}
+
 export const AUTOMATION_STATUS = {
   ACTIVE: 'active',
   PAUSED: 'paused',
@@ -26,6 +58,33 @@ export const AUTOMATION_STATUS = {
   FAILED: 'failed'
 }
 
+// What to do with scheduled runs that came due while the app was closed
+export const CATCH_UP_POLICIES = {
+  RUN_ONCE: 'run_once', // One run covers all missed slots
+  RUN_ALL: 'run_all', // Every missed slot runs, oldest first
+  SKIP: 'skip' // Missed slots are recorded but not run
+}
+
+export const EXECUTION_STATUS = {
+  SUCCEEDED: 'succeeded',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+}
+
+export const EXECUTION_TRIGGERS = {
+  SCHEDULE: 'schedule',
+  CATCH_UP: 'catch_up',
+  PRICE: 'price',
+  MANUAL: 'manual'
+}
+
+// Stored per user: `${key}_${userId}`. The unsuffixed keys are from before
+// automations were per user and are moved to the first user that loads
+const AUTOMATIONS_STORAGE_KEY = 'diboas_automations'
+const JOURNAL_STORAGE_KEY = 'diboas_automation_journal'
+const MAX_JOURNAL_ENTRIES = 500 // Per automation
+const MAX_CATCH_UP_RUNS = 100
+
 export const FREQUENCY_TYPES = {
   DAILY: 'daily',
   WEEKLY: 'weekly',
@@ -42,6 +101,12 @@ class AutomationService {
     this.processInterval = null
     this.retryAttempts = 3
     this.retryDelay = 5000 // 5 seconds
+    this.journal = new Map() // automationId -> execution entries, oldest first
+    this.catchUp = Promise.resolve([])
+    this.latestPrices = new Map()
+    this.triggeredAutomations = new Set()
+    this.unsubscribePrices = null
+    this.userId = null
 
     this.initializeService()
   }
@@ -52,9 +117,8 @@ class AutomationService {
   initializeService() {
     // Start the automation processor
     this.startProcessor()
-    
-    // Load existing automations from storage
-    this.loadAutomations()
+
+    // Automations are per user, so DataManager loads them once it has initialized
 
     logger.info('Automation service initialized')
   }
@@ -65,15 +129,22 @@ class AutomationService {
   async createAutomation(automation) {
     try {
       const automationId = this.generateAutomationId()
+      // Conditions are stored parsed so they survive serialization unchanged
+      const conditions = isEmptyCondition(automation.conditions) ? null : parseCondition(automation.conditions)
       const newAutomation = {
         id: automationId,
         ...automation,
+        startDate: automation.startDate || Date.now(),
+        schedule: this.buildSchedule(automation),
+        conditions,
+        conditionSummary: conditions ? describeCondition(conditions) : null,
         status: AUTOMATION_STATUS.ACTIVE,
         createdAt: Date.now(),
         lastExecuted: null,
         executionCount: 0,
         failureCount: 0,
-        nextExecution: this.calculateNextExecution(automation.frequency, automation.startDate)
+        catchUpPolicy: automation.catchUpPolicy || CATCH_UP_POLICIES.RUN_ONCE,
+        nextExecution: null
       }
 
       // Validate automation
@@ -82,9 +153,15 @@ class AutomationService {
         throw new Error(`Invalid automation: ${validation.errors.join(', ')}`)
       }
 
+      newAutomation.nextExecution = this.calculateNextExecution(newAutomation, newAutomation.startDate)
+
       this.automations.set(automationId, newAutomation)
       this.persistAutomations()
 
+      if (this.isPriceTriggered(newAutomation)) {
+        this.startPriceMonitor()
+      }
+
       secureLogger.audit('AUTOMATION_CREATED', {
         automationId,
         type: automation.type,
@@ -106,6 +183,11 @@ class AutomationService {
     const automation = {
       type: AUTOMATION_TYPES.SCHEDULED_DEPOSIT,
       name: config.name || 'Scheduled Deposit',
+      schedule: config.schedule,
+      timeZone: config.timeZone,
+      maxOccurrences: config.maxOccurrences,
+      catchUpPolicy: config.catchUpPolicy,
+      conditions: config.conditions,
       frequency: config.frequency,
       startDate: config.startDate || Date.now(),
       endDate: config.endDate,
@@ -127,6 +209,10 @@ class AutomationService {
     const automation = {
       type: AUTOMATION_TYPES.STRATEGY_EXECUTION,
       name: config.name || 'Strategy Execution',
+      schedule: config.schedule,
+      timeZone: config.timeZone,
+      maxOccurrences: config.maxOccurrences,
+      catchUpPolicy: config.catchUpPolicy,
       frequency: config.frequency,
       startDate: config.startDate || Date.now(),
       endDate: config.endDate,
@@ -148,8 +234,14 @@ class AutomationService {
     const automation = {
       type: AUTOMATION_TYPES.REBALANCING,
       name: config.name || 'Portfolio Rebalancing',
+      schedule: config.schedule,
+      timeZone: config.timeZone,
+      maxOccurrences: config.maxOccurrences,
+      catchUpPolicy: config.catchUpPolicy,
+      conditions: config.conditions,
       frequency: config.frequency,
       startDate: config.startDate || Date.now(),
+      endDate: config.endDate,
       parameters: {
         portfolioId: config.portfolioId,
         targetAllocations: config.targetAllocations,
@@ -181,6 +273,164 @@ class AutomationService {
     return this.createAutomation(automation)
   }
 
+  /**
+   * Create stop-loss automation: sells when the price falls to the stop price
+   */
+  async createStopLoss(config) {
+    const automation = {
+      type: AUTOMATION_TYPES.STOP_LOSS,
+      name: config.name || `${config.asset} Stop Loss`,
+      conditions: config.conditions,
+      startDate: config.startDate || Date.now(),
+      parameters: {
+        asset: config.asset,
+        stopPrice: config.stopPrice,
+        sellPercentage: config.sellPercentage || 100
+      },
+      trigger: {
+        lastPrice: null
+      }
+    }
+
+    return this.createAutomation(automation)
+  }
+
+  /**
+   * Create trailing-stop automation: the stop follows the highest price seen,
+   * trailPercent below it, and sells when the price falls back to the stop
+   */
+  async createTrailingStop(config) {
+    const highWaterMark = config.referencePrice || this.latestPrices.get(config.asset) || null
+    const automation = {
+      type: AUTOMATION_TYPES.TRAILING_STOP,
+      name: config.name || `${config.asset} Trailing Stop`,
+      conditions: config.conditions,
+      startDate: config.startDate || Date.now(),
+      parameters: {
+        asset: config.asset,
+        trailPercent: config.trailPercent,
+        sellPercentage: config.sellPercentage || 100
+      },
+      trigger: {
+        lastPrice: null,
+        highWaterMark,
+        stopPrice: highWaterMark ? this.getTrailingStopPrice(highWaterMark, config.trailPercent) : null
+      }
+    }
+
+    return this.createAutomation(automation)
+  }
+
+  /**
+   * Create price alert automation: sells once the price moves above or below a target
+   */
+  async createPriceAlertSell(config) {
+    const automation = {
+      type: AUTOMATION_TYPES.PRICE_ALERT,
+      name: config.name || `${config.asset} Price Alert`,
+      conditions: config.conditions,
+      startDate: config.startDate || Date.now(),
+      parameters: {
+        asset: config.asset,
+        targetPrice: config.targetPrice,
+        direction: config.direction || PRICE_DIRECTIONS.BELOW,
+        sellPercentage: config.sellPercentage || 100
+      },
+      trigger: {
+        lastPrice: null
+      }
+    }
+
+    return this.createAutomation(automation)
+  }
+
+  /**
+   * Evaluate price-triggered automations against a market data update
+   * @param {Array} prices - [{ symbol, price }] as emitted on market:crypto:updated
+   * @returns {Promise<Array>} Results of the automations that fired
+   */
+  async handlePriceUpdate(prices = []) {
+    for (const { symbol, price } of prices) {
+      if (symbol && price > 0) {
+        this.latestPrices.set(symbol.toUpperCase(), price)
+      }
+    }
+
+    const now = Date.now()
+    const results = []
+    const candidates = Array.from(this.automations.values()).filter(automation =>
+      automation.status === AUTOMATION_STATUS.ACTIVE &&
+      this.isPriceTriggered(automation) &&
+      !this.triggeredAutomations.has(automation.id) &&
+      // Respect the retry backoff after a failed sell
+      (automation.failureCount === 0 || !automation.nextExecution || automation.nextExecution <= now)
+    )
+
+    for (const automation of candidates) {
+      const price = this.latestPrices.get(automation.parameters.asset)
+      if (!price || !this.evaluatePriceTrigger(automation, price)) {
+        continue
+      }
+
+      this.triggeredAutomations.add(automation.id)
+      try {
+        secureLogger.audit('AUTOMATION_PRICE_TRIGGERED', {
+          automationId: automation.id,
+          type: automation.type,
+          asset: automation.parameters.asset,
+          price
+        })
+        results.push(await this.executeAutomation(automation, {
+          scheduledFor: automation.trigger.triggeredAt,
+          trigger: EXECUTION_TRIGGERS.PRICE
+        }))
+      } catch (error) {
+        logger.error(`Failed to execute automation ${automation.id}:`, error)
+        this.handleExecutionFailure(automation, error)
+      } finally {
+        this.triggeredAutomations.delete(automation.id)
+      }
+    }
+
+    return results
+  }
+
+  /**
+   * Update the automation's trigger state with a new price and report whether it fires
+   */
+  evaluatePriceTrigger(automation, price) {
+    const { parameters } = automation
+    const trigger = automation.trigger || (automation.trigger = {})
+    trigger.lastPrice = price
+
+    let triggered = false
+    switch (automation.type) {
+      case AUTOMATION_TYPES.STOP_LOSS:
+        triggered = price <= parameters.stopPrice
+        break
+      case AUTOMATION_TYPES.TRAILING_STOP:
+        if (!trigger.highWaterMark || price > trigger.highWaterMark) {
+          trigger.highWaterMark = price
+          trigger.stopPrice = this.getTrailingStopPrice(price, parameters.trailPercent)
+          // A reload must not reset the stop to an older, lower high
+          this.persistAutomations()
+        }
+        triggered = price <= trigger.stopPrice
+        break
+      case AUTOMATION_TYPES.PRICE_ALERT:
+        triggered = parameters.direction === PRICE_DIRECTIONS.ABOVE
+          ? price >= parameters.targetPrice
+          : price <= parameters.targetPrice
+        break
+    }
+
+    if (triggered) {
+      trigger.triggerPrice = price
+      trigger.triggeredAt = Date.now()
+    }
+    return triggered
+  }
+
   /**
    * Execute pending automations
    */
@@ -196,6 +446,7 @@ class AutomationService {
       const pendingAutomations = Array.from(this.automations.values())
         .filter(automation => 
           automation.status === AUTOMATION_STATUS.ACTIVE &&
+          !this.isPriceTriggered(automation) &&
           automation.nextExecution <= now
         )
         .sort((a, b) => a.nextExecution - b.nextExecution)
@@ -204,7 +455,10 @@ class AutomationService {
 
       for (const automation of pendingAutomations) {
         try {
-          await this.executeAutomation(automation)
+          await this.executeAutomation(automation, {
+            scheduledFor: automation.nextExecution,
+            trigger: EXECUTION_TRIGGERS.SCHEDULE
+          })
         } catch (error) {
           logger.error(`Failed to execute automation ${automation.id}:`, error)
           this.handleExecutionFailure(automation, error)
@@ -218,14 +472,25 @@ class AutomationService {
   }
 
   /**
-   * Execute a specific automation
+   * Execute a specific automation and record the run in its journal
+   * @param {Object} options
+   * @param {number} options.scheduledFor - Slot this run covers (defaults to now)
+   * @param {string} options.trigger - EXECUTION_TRIGGERS value
    */
-  async executeAutomation(automation) {
+  async executeAutomation(automation, { scheduledFor = null, trigger = EXECUTION_TRIGGERS.MANUAL } = {}) {
     const startTime = Date.now()
+    const run = { scheduledFor: scheduledFor || startTime, trigger, startTime }
     
     try {
       logger.info(`Executing automation ${automation.id} (${automation.type})`)
 
+      // Every automation type is gated by its conditions before it runs
+      if (automation.conditions && !await this.checkConditions(automation.conditions, automation)) {
+        const skipped = this.skipAutomation(automation, `Conditions not met: ${automation.conditionSummary || describeCondition(automation.conditions)}`)
+        this.recordExecution(automation, { ...run, result: skipped })
+        return skipped
+      }
+
       let result
       switch (automation.type) {
         case AUTOMATION_TYPES.SCHEDULED_DEPOSIT:
@@ -240,6 +505,11 @@ class AutomationService {
         case AUTOMATION_TYPES.TAKE_PROFIT:
           result = await this.executeTakeProfit(automation)
           break
+        case AUTOMATION_TYPES.STOP_LOSS:
+        case AUTOMATION_TYPES.TRAILING_STOP:
+        case AUTOMATION_TYPES.PRICE_ALERT:
+          result = await this.executePriceTriggeredSell(automation)
+          break
         case AUTOMATION_TYPES.YIELD_HARVEST:
           result = await this.executeYieldHarvest(automation)
           break
@@ -252,15 +522,15 @@ class AutomationService {
       automation.executionCount++
       automation.failureCount = 0 // Reset failure count on success
       
-      // Calculate next execution
-      if (automation.frequency && (!automation.endDate || automation.nextExecution < automation.endDate)) {
-        automation.nextExecution = this.calculateNextExecution(automation.frequency, automation.lastExecuted)
-      } else {
+      // Calculate next execution; none left once the end date or occurrence limit is reached
+      automation.nextExecution = this.calculateNextExecution(automation, automation.lastExecuted)
+      if (automation.nextExecution === null) {
         automation.status = AUTOMATION_STATUS.COMPLETED
       }
 
       this.automations.set(automation.id, automation)
       this.persistAutomations()
+      this.recordExecution(automation, { ...run, result })
 
       const executionTime = Date.now() - startTime
 
@@ -275,10 +545,164 @@ class AutomationService {
       return result
     } catch (error) {
       logger.error(`Automation execution failed for ${automation.id}:`, error)
+      this.recordExecution(automation, { ...run, error })
       throw error
     }
   }
 
+  /**
+   * Handle scheduled runs that came due while the app was closed, following
+   * each automation's catch-up policy. Every missed slot gets a journal entry.
+   * @returns {Promise<Array>} Results of the runs made
+   */
+  async catchUpMissedRuns(now = Date.now()) {
+    const results = []
+    const dueAutomations = Array.from(this.automations.values()).filter(automation =>
+      automation.status === AUTOMATION_STATUS.ACTIVE && !this.isPriceTriggered(automation)
+    )
+
+    for (const automation of dueAutomations) {
+      const missedRuns = this.getMissedRuns(automation, now)
+      if (missedRuns.length === 0) continue
+
+      const policy = automation.catchUpPolicy || CATCH_UP_POLICIES.RUN_ONCE
+      const runsToExecute = {
+        [CATCH_UP_POLICIES.RUN_ALL]: missedRuns,
+        [CATCH_UP_POLICIES.RUN_ONCE]: missedRuns.slice(-1),
+        [CATCH_UP_POLICIES.SKIP]: []
+      }[policy] || []
+
+      logger.info(`Automation ${automation.id} missed ${missedRuns.length} runs, catching up with policy ${policy}`)
+
+      for (const scheduledFor of missedRuns.filter(missedRun => !runsToExecute.includes(missedRun))) {
+        this.recordExecution(automation, {
+          scheduledFor,
+          trigger: EXECUTION_TRIGGERS.CATCH_UP,
+          result: {
+            skipped: true,
+            reason: policy === CATCH_UP_POLICIES.SKIP
+              ? 'Missed while the app was closed'
+              : 'Missed while the app was closed, covered by a later catch-up run'
+          }
+        })
+      }
+
+      for (const scheduledFor of runsToExecute) {
+        if (automation.status !== AUTOMATION_STATUS.ACTIVE) break
+
+        try {
+          results.push(await this.executeAutomation(automation, { scheduledFor, trigger: EXECUTION_TRIGGERS.CATCH_UP }))
+        } catch (error) {
+          this.handleExecutionFailure(automation, error)
+          break
+        }
+      }
+
+      if (runsToExecute.length === 0) {
+        automation.nextExecution = this.calculateNextExecution(automation, now)
+        if (automation.nextExecution === null) {
+          automation.status = AUTOMATION_STATUS.COMPLETED
+        }
+        this.persistAutomations()
+      }
+    }
+
+    return results
+  }
+
+  /**
+   * Scheduled slots between the automation's next execution and now
+   */
+  getMissedRuns(automation, now = Date.now()) {
+    if (!automation.schedule || !automation.nextExecution || automation.nextExecution > now) {
+      return []
+    }
+
+    const runs = [automation.nextExecution]
+    while (runs.length < MAX_CATCH_UP_RUNS) {
+      const next = getNextRun(automation.schedule, runs[runs.length - 1], { anchor: automation.startDate })
+      if (next === null || next > now || (automation.endDate && next > automation.endDate)) break
+      runs.push(next)
+    }
+
+    return automation.maxOccurrences
+      ? runs.slice(0, Math.max(0, automation.maxOccurrences - automation.executionCount))
+      : runs
+  }
+
+  /**
+   * Execution history of an automation, newest first
+   * @param {string} automationId
+   * @param {Object} options
+   * @param {string} options.status - Only entries with this EXECUTION_STATUS
+   * @param {number} options.limit - Maximum number of entries
+   */
+  getExecutionHistory(automationId, { status = null, limit = null } = {}) {
+    const entries = (this.journal.get(automationId) || [])
+      .filter(entry => !status || entry.status === status)
+      .reverse()
+
+    return limit ? entries.slice(0, limit) : entries
+  }
+
+  /**
+   * Append a run to the automation's execution journal
+   */
+  recordExecution(automation, { scheduledFor, trigger, startTime = null, result = null, error = null }) {
+    let status = EXECUTION_STATUS.SUCCEEDED
+    if (error) {
+      status = EXECUTION_STATUS.FAILED
+    } else if (result?.skipped) {
+      status = EXECUTION_STATUS.SKIPPED
+    }
+
+    const entry = {
+      id: `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      automationId: automation.id,
+      type: automation.type,
+      trigger,
+      status,
+      scheduledFor,
+      executedAt: startTime,
+      durationMs: startTime ? Date.now() - startTime : null,
+      transactionId: result?.transaction?.id || null,
+      amount: result?.transaction?.amount ?? null,
+      message: result?.message || result?.reason || null,
+      error: error?.message || null
+    }
+
+    const entries = this.journal.get(automation.id) || []
+    entries.push(entry)
+    this.journal.set(automation.id, entries.slice(-MAX_JOURNAL_ENTRIES))
+    this.persistJournal()
+    dataManager.emit('automation:executed', entry)
+
+    return entry
+  }
+
+  /**
+   * Record a run skipped by its conditions and move a scheduled automation to its next slot
+   */
+  skipAutomation(automation, reason) {
+    automation.lastSkipped = { timestamp: Date.now(), reason }
+    if (automation.schedule) {
+      automation.nextExecution = this.calculateNextExecution(automation, Date.now())
+      if (automation.nextExecution === null) {
+        automation.status = AUTOMATION_STATUS.COMPLETED
+      }
+    }
+
+    this.automations.set(automation.id, automation)
+    this.persistAutomations()
+
+    logger.info(`Automation ${automation.id} skipped: ${reason}`)
+    return {
+      success: true,
+      skipped: true,
+      reason
+    }
+  }
+
   /**
    * Execute scheduled deposit
    */
@@ -315,11 +739,11 @@ class AutomationService {
       }
 
       // Record transaction
-      await dataManager.addTransaction(transaction)
+      const recordedTransaction = await dataManager.addTransaction(transaction)
 
       return {
         success: true,
-        transaction,
+        transaction: recordedTransaction || transaction,
         message: `Deposited ${amount} ${currency} successfully`
       }
     } catch (error) {
@@ -506,6 +930,67 @@ class AutomationService {
     }
   }
 
+  /**
+   * Sell the configured share of the asset position through the regular
+   * transaction pipeline, with fees quoted the same way as a manual sell
+   */
+  async executePriceTriggeredSell(automation) {
+    const { asset, sellPercentage } = automation.parameters
+    const price = automation.trigger?.triggerPrice || this.latestPrices.get(asset)
+
+    try {
+      if (!price) {
+        throw new Error(`No market price available for ${asset}`)
+      }
+
+      const position = dataManager.getBalance().assets?.[asset]
+      if (!position || !(position.quantity > 0)) {
+        throw new Error(`No ${asset} position to sell`)
+      }
+
+      const quantity = (position.quantity * sellPercentage) / 100
+      const amount = Math.round(quantity * price * 100) / 100
+      const fees = await centralizedFeeCalculator.calculateFees({
+        type: 'sell',
+        amount,
+        asset,
+        paymentMethod: 'diboas_wallet',
+        chains: [this.getAssetChain(asset)]
+      })
+
+      const result = await dataManager.processTransaction({
+        type: 'sell',
+        asset,
+        amount,
+        quantity,
+        price,
+        fees,
+        netAmount: amount - fees.total,
+        paymentMethod: 'diboas_wallet',
+        source: 'automation',
+        automationId: automation.id,
+        timestamp: Date.now()
+      })
+
+      if (!result.success) {
+        throw new Error(result.error)
+      }
+
+      return {
+        success: true,
+        transaction: result.transaction,
+        triggerPrice: price,
+        quantitySold: quantity,
+        amount,
+        fees,
+        message: `${automation.name} sold ${quantity} ${asset} at $${price.toFixed(2)} for $${amount.toFixed(2)} (fees $${fees.total.toFixed(2)})`
+      }
+    } catch (error) {
+      logger.error('Price-triggered sell failed:', error)
+      throw error
+    }
+  }
+
   /**
    * Execute yield harvest
    */
@@ -610,7 +1095,7 @@ class AutomationService {
     automation.resumedAt = Date.now()
     
     // Recalculate next execution
-    automation.nextExecution = this.calculateNextExecution(automation.frequency)
+    automation.nextExecution = this.calculateNextExecution(automation)
     
     this.automations.set(automationId, automation)
     this.persistAutomations()
@@ -673,10 +1158,31 @@ class AutomationService {
 
     if (automation.frequency && !Object.values(FREQUENCY_TYPES).includes(automation.frequency)) {
       errors.push('Invalid frequency')
+    } else if (automation.schedule) {
+      errors.push(...validateSchedule(automation.schedule).errors)
+    }
+
+    if (automation.maxOccurrences !== undefined && automation.maxOccurrences !== null &&
+      !(Number.isInteger(automation.maxOccurrences) && automation.maxOccurrences > 0)) {
+      errors.push('Max occurrences must be a positive whole number')
+    }
+
+    if (automation.catchUpPolicy && !Object.values(CATCH_UP_POLICIES).includes(automation.catchUpPolicy)) {
+      errors.push('Invalid catch-up policy')
+    }
+
+    if (automation.endDate && automation.startDate && automation.endDate <= automation.startDate) {
+      errors.push('End date must be after start date')
     }
 
     if (!automation.parameters) {
       errors.push('Automation parameters are required')
+    } else if (this.isPriceTriggered(automation)) {
+      errors.push(...this.validatePriceTrigger(automation))
+    }
+
+    if (automation.conditions) {
+      errors.push(...validateCondition(automation.conditions).errors)
     }
 
     return {
@@ -685,36 +1191,189 @@ class AutomationService {
     }
   }
 
-  calculateNextExecution(frequency, fromDate = Date.now()) {
-    const date = new Date(fromDate)
+  /**
+   * Schedule from a cron/calendar spec or a plain frequency, in the user's time zone
+   */
+  buildSchedule(automation) {
+    const timeZone = automation.timeZone || automation.schedule?.timeZone || getDefaultTimeZone()
 
-    switch (frequency) {
-      case FREQUENCY_TYPES.DAILY:
-        date.setDate(date.getDate() + 1)
-        break
-      case FREQUENCY_TYPES.WEEKLY:
-        date.setDate(date.getDate() + 7)
-        break
-      case FREQUENCY_TYPES.BIWEEKLY:
-        date.setDate(date.getDate() + 14)
+    if (automation.schedule) {
+      return { ...automation.schedule, timeZone }
+    }
+
+    if (automation.frequency) {
+      return { type: SCHEDULE_TYPES.FREQUENCY, frequency: automation.frequency, timeZone }
+    }
+
+    return null
+  }
+
+  /**
+   * Next run after fromDate, or null when the automation has no schedule,
+   * reached its occurrence limit or would run past its end date
+   */
+  calculateNextExecution(automation, fromDate = Date.now()) {
+    if (!automation.schedule) {
+      return null
+    }
+
+    if (automation.maxOccurrences && automation.executionCount >= automation.maxOccurrences) {
+      return null
+    }
+
+    const next = getNextRun(automation.schedule, fromDate, { anchor: automation.startDate })
+    if (next === null || (automation.endDate && next > automation.endDate)) {
+      return null
+    }
+
+    return next
+  }
+
+  /**
+   * Upcoming run times for an existing automation or a draft config, for the UI
+   * @param {string|Object} automationOrConfig - Automation ID or create* config
+   * @param {number} count - Number of runs to preview
+   * @returns {number[]} Timestamps
+   */
+  previewNextExecutions(automationOrConfig, count = 5) {
+    const automation = typeof automationOrConfig === 'string'
+      ? this.automations.get(automationOrConfig)
+      : automationOrConfig
+    if (!automation) {
+      throw new Error(`Automation ${automationOrConfig} not found`)
+    }
+
+    const schedule = automation.id ? automation.schedule : this.buildSchedule(automation)
+    if (!schedule) {
+      return []
+    }
+
+    const validation = validateSchedule(schedule)
+    if (!validation.valid) {
+      throw new Error(`Invalid schedule: ${validation.errors.join(', ')}`)
+    }
+
+    const startDate = automation.startDate || Date.now()
+    return previewRuns(schedule, {
+      from: automation.lastExecuted || Math.max(startDate, Date.now()),
+      count,
+      anchor: startDate,
+      endDate: automation.endDate,
+      maxOccurrences: automation.maxOccurrences,
+      occurrences: automation.executionCount || 0
+    })
+  }
+
+  /**
+   * Evaluate a condition (parsed or text form, see automationConditions.js)
+   * against current prices, balances, strategy APYs and portfolio allocations
+   */
+  async checkConditions(conditions, automation = null) {
+    if (isEmptyCondition(conditions)) {
+      return true
+    }
+
+    const condition = parseCondition(conditions)
+    const validation = validateCondition(condition)
+    if (!validation.valid) {
+      throw new Error(`Invalid conditions: ${validation.errors.join(', ')}`)
+    }
+
+    return evaluateCondition(condition, await this.buildConditionContext(condition, automation))
+  }
+
+  /**
+   * Gather only the data a condition refers to
+   */
+  async buildConditionContext(condition, automation = null) {
+    const prices = {}
+    for (const asset of getConditionAssets(condition)) {
+      prices[asset] = this.latestPrices.get(asset) ?? await this.fetchAssetPrice(asset)
+    }
+
+    const strategies = {}
+    for (const strategyId of getConditionStrategies(condition)) {
+      const strategy = dataManager.getActiveStrategies().find(s => s.id === strategyId)
+      if (strategy) {
+        strategies[strategyId] = {
+          apy: strategy.apy,
+          currentApy: await protocolService.getRealTimeAPY(strategy.protocol || 'compound', strategy.asset || 'USDC')
+        }
+      }
+    }
+
+    const balance = dataManager.getBalance()
+    const assets = Object.entries(balance?.assets || {})
+    const investedTotal = assets.reduce((sum, [, position]) => sum + (position.usdValue || 0), 0)
+    const allocations = investedTotal > 0
+      ? Object.fromEntries(assets.map(([asset, position]) => [asset, ((position.usdValue || 0) / investedTotal) * 100]))
+      : {}
+
+    return {
+      prices,
+      balance,
+      strategies,
+      allocations,
+      targetAllocations: automation?.parameters?.targetAllocations,
+      now: Date.now()
+    }
+  }
+
+  async fetchAssetPrice(asset) {
+    // Loaded lazily: MarketDataService imports DataManager, which imports this service
+    const { marketDataService } = await import('../marketData/MarketDataService.js')
+    const price = await marketDataService.getAssetPrice(asset)
+    if (price) {
+      this.latestPrices.set(asset, price)
+    }
+    return price
+  }
+
+  isPriceTriggered(automation) {
+    return PRICE_TRIGGERED_TYPES.includes(automation.type)
+  }
+
+  validatePriceTrigger(automation) {
+    const { asset, stopPrice, trailPercent, targetPrice, direction, sellPercentage } = automation.parameters
+    const errors = []
+
+    if (!asset) {
+      errors.push('Asset is required')
+    }
+
+    if (!(sellPercentage > 0 && sellPercentage <= 100)) {
+      errors.push('Sell percentage must be between 0 and 100')
+    }
+
+    switch (automation.type) {
+      case AUTOMATION_TYPES.STOP_LOSS:
+        if (!(stopPrice > 0)) errors.push('Stop price must be positive')
         break
-      case FREQUENCY_TYPES.MONTHLY:
-        date.setMonth(date.getMonth() + 1)
+      case AUTOMATION_TYPES.TRAILING_STOP:
+        if (!(trailPercent > 0 && trailPercent < 100)) errors.push('Trail percentage must be between 0 and 100')
         break
-      case FREQUENCY_TYPES.QUARTERLY:
-        date.setMonth(date.getMonth() + 3)
+      case AUTOMATION_TYPES.PRICE_ALERT:
+        if (!(targetPrice > 0)) errors.push('Target price must be positive')
+        if (!Object.values(PRICE_DIRECTIONS).includes(direction)) errors.push('Invalid price direction')
         break
-      default:
-        throw new Error(`Invalid frequency: ${frequency}`)
     }
 
-    return date.getTime()
+    return errors
+  }
+
+  getTrailingStopPrice(highWaterMark, trailPercent) {
+    return highWaterMark * (1 - trailPercent / 100)
   }
 
-  async checkConditions(conditions) {
-    // Implement condition checking logic
-    // This could include market conditions, balance thresholds, etc.
-    return true // Simplified for now
+  getAssetChain(asset) {
+    const assetChains = {
+      BTC: 'BTC',
+      ETH: 'ETH',
+      SOL: 'SOL',
+      SUI: 'SUI'
+    }
+
+    return assetChains[asset] || 'SOL'
   }
 
   async getAccountBalance(accountId) {
@@ -815,15 +1474,109 @@ class AutomationService {
     }
   }
 
+  /**
+   * Listen for market data updates; started with the first price-triggered
+   * automation since DataManager is still initializing when this service loads
+   */
+  startPriceMonitor() {
+    if (this.unsubscribePrices) {
+      return
+    }
+
+    this.unsubscribePrices = dataManager.subscribe('market:crypto:updated', (prices) => {
+      this.handlePriceUpdate(prices).catch(error => {
+        logger.error('Price monitor error:', error)
+      })
+    })
+
+    logger.info('Automation price monitor started')
+  }
+
+  stopPriceMonitor() {
+    if (this.unsubscribePrices) {
+      this.unsubscribePrices()
+      this.unsubscribePrices = null
+      logger.info('Automation price monitor stopped')
+    }
+  }
+
+  /**
+   * Load the current user's automations and journal, replacing whatever was loaded before
+   */
   loadAutomations() {
-    // In production, would load from persistent storage
-    logger.info('Automations loaded from storage')
+    this.userId = dataManager.getCurrentUserId()
+    this.migrateLegacyStorage()
+    this.automations.clear()
+    this.journal.clear()
+    this.triggeredAutomations.clear()
+
+    const keys = this.getStorageKeys()
+    const automations = safeGetJSON(keys.automations, [])
+    automations.forEach(automation => this.automations.set(automation.id, automation))
+
+    const journal = safeGetJSON(keys.journal, {})
+    Object.entries(journal).forEach(([automationId, entries]) => this.journal.set(automationId, entries))
+
+    // Stops and alerts keep watching prices across reloads
+    if (automations.some(automation => automation.status === AUTOMATION_STATUS.ACTIVE && this.isPriceTriggered(automation))) {
+      this.startPriceMonitor()
+    } else {
+      this.stopPriceMonitor()
+    }
+
+    // Missed runs execute once the rest of the app (DataManager) has finished loading
+    this.catchUp = Promise.resolve()
+      .then(() => this.catchUpMissedRuns())
+      .catch(error => {
+        logger.error('Automation catch-up failed:', error)
+        return []
+      })
+
+    logger.info(`Loaded ${automations.length} automations from storage`)
+  }
+
+  /**
+   * Reload for the user DataManager switched to
+   */
+  switchUser() {
+    if (dataManager.getCurrentUserId() === this.userId) {
+      return this.catchUp
+    }
+
+    this.loadAutomations()
+    return this.catchUp
+  }
+
+  getStorageKeys(userId = this.userId) {
+    return {
+      automations: `${AUTOMATIONS_STORAGE_KEY}_${userId}`,
+      journal: `${JOURNAL_STORAGE_KEY}_${userId}`
+    }
+  }
+
+  migrateLegacyStorage() {
+    if (typeof localStorage === 'undefined' || localStorage.getItem(AUTOMATIONS_STORAGE_KEY) === null) {
+      return
+    }
+
+    const keys = this.getStorageKeys()
+    if (localStorage.getItem(keys.automations) === null) {
+      safeSetJSON(keys.automations, safeGetJSON(AUTOMATIONS_STORAGE_KEY, []))
+      safeSetJSON(keys.journal, safeGetJSON(JOURNAL_STORAGE_KEY, {}))
+    }
+    localStorage.removeItem(AUTOMATIONS_STORAGE_KEY)
+    localStorage.removeItem(JOURNAL_STORAGE_KEY)
+    logger.info(`Moved stored automations to user ${this.userId}`)
   }
 
   persistAutomations() {
-    // In production, would save to persistent storage
+    safeSetJSON(this.getStorageKeys().automations, Array.from(this.automations.values()))
     logger.debug('Automations persisted to storage')
   }
+
+  persistJournal() {
+    safeSetJSON(this.getStorageKeys().journal, Object.fromEntries(this.journal))
+  }
 }
 
 // Create singleton instance
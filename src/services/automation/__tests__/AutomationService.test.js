@@ -0,0 +1,371 @@
+/**
+ * Automation Service Tests
+ * Tests for price-triggered sells, conditions, scheduling and missed-run catch-up
+ */
+
+import { describe, it, expect, beforeEach, afterEach, afterAll, vi } from 'vitest'
+import automationService, {
+  AUTOMATION_STATUS,
+  PRICE_DIRECTIONS,
+  CATCH_UP_POLICIES,
+  EXECUTION_STATUS,
+  EXECUTION_TRIGGERS
+} from '../AutomationService.js'
+import { SCHEDULE_TYPES } from '../automationSchedule.js'
+import { dataManager } from '../../DataManager.js'
+
+vi.mock('../../DataManager.js', () => {
+  const subscribers = new Map()
+  return {
+    dataManager: {
+      getCurrentUserId: vi.fn(() => 'user_a'),
+      subscribe: vi.fn((eventType, callback) => {
+        subscribers.set(eventType, callback)
+        return () => subscribers.delete(eventType)
+      }),
+      emit: (eventType, data) => subscribers.get(eventType)?.(data),
+      getBalance: vi.fn(),
+      processTransaction: vi.fn()
+    }
+  }
+})
+
+vi.mock('../../../utils/feeCalculations.js', () => ({
+  centralizedFeeCalculator: {
+    calculateFees: vi.fn().mockResolvedValue({ total: 12.5, diBoaS: 4.5, network: 1, dex: 7, provider: 0, defi: 0 })
+  }
+}))
+
+const flushPriceUpdate = (prices) => {
+  dataManager.emit('market:crypto:updated', prices)
+  return new Promise(resolve => setTimeout(resolve, 0))
+}
+
+describe('AutomationService', () => {
+  beforeEach(() => {
+    automationService.automations.clear()
+    automationService.journal.clear()
+    automationService.latestPrices.clear()
+    // DataManager loads the active user's automations once it has initialized
+    automationService.loadAutomations()
+    dataManager.getBalance.mockReturnValue({ assets: { BTC: { quantity: 2, usdValue: 100000 } } })
+    dataManager.processTransaction.mockImplementation(async (transaction) => ({
+      success: true,
+      transaction: { id: 'tx_1', ...transaction }
+    }))
+  })
+
+  afterAll(() => {
+    automationService.stopProcessor()
+    automationService.stopPriceMonitor()
+  })
+
+  describe('Stop loss', () => {
+    it('should sell through the transaction pipeline with fees once the stop price is hit', async () => {
+      const automation = await automationService.createStopLoss({ asset: 'BTC', stopPrice: 40000, sellPercentage: 50 })
+
+      await flushPriceUpdate([{ symbol: 'BTC', price: 41000 }])
+      expect(dataManager.processTransaction).not.toHaveBeenCalled()
+
+      await flushPriceUpdate([{ symbol: 'BTC', price: 39500 }])
+
+      expect(dataManager.processTransaction).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'sell',
+        asset: 'BTC',
+        quantity: 1,
+        price: 39500,
+        amount: 39500,
+        netAmount: 39487.5,
+        fees: expect.objectContaining({ total: 12.5 }),
+        automationId: automation.id
+      }))
+      expect(automation.status).toBe(AUTOMATION_STATUS.COMPLETED)
+      expect(automation.trigger.triggerPrice).toBe(39500)
+    })
+
+    it('should not run price-triggered automations from the schedule', async () => {
+      const automation = await automationService.createStopLoss({ asset: 'BTC', stopPrice: 40000 })
+
+      expect(automation.nextExecution).toBeNull()
+      await automationService.processPendingAutomations()
+
+      expect(dataManager.processTransaction).not.toHaveBeenCalled()
+    })
+
+    it('should retry failed sells and give up after the retry limit', async () => {
+      dataManager.getBalance.mockReturnValue({ assets: {} })
+      const automation = await automationService.createStopLoss({ asset: 'BTC', stopPrice: 40000 })
+      automationService.retryDelay = 0
+
+      for (let attempt = 0; attempt < 3; attempt++) {
+        await automationService.handlePriceUpdate([{ symbol: 'BTC', price: 39000 }])
+      }
+
+      expect(automation.lastFailure.error).toBe('No BTC position to sell')
+      expect(automation.status).toBe(AUTOMATION_STATUS.FAILED)
+      automationService.retryDelay = 5000
+    })
+
+    it('should reject invalid stop-loss settings', async () => {
+      await expect(automationService.createStopLoss({ asset: 'BTC', stopPrice: -1 }))
+        .rejects.toThrow('Stop price must be positive')
+      await expect(automationService.createStopLoss({ asset: 'BTC', stopPrice: 100, sellPercentage: 150 }))
+        .rejects.toThrow('Sell percentage must be between 0 and 100')
+    })
+  })
+
+  describe('Trailing stop', () => {
+    it('should raise the stop with new highs and sell when the price falls back to it', async () => {
+      const automation = await automationService.createTrailingStop({ asset: 'BTC', trailPercent: 10, referencePrice: 50000 })
+      expect(automation.trigger.stopPrice).toBe(45000)
+
+      await automationService.handlePriceUpdate([{ symbol: 'BTC', price: 60000 }])
+      expect(automation.trigger).toMatchObject({ highWaterMark: 60000, stopPrice: 54000 })
+
+      await automationService.handlePriceUpdate([{ symbol: 'BTC', price: 55000 }])
+      expect(dataManager.processTransaction).not.toHaveBeenCalled()
+
+      const [result] = await automationService.handlePriceUpdate([{ symbol: 'BTC', price: 53900 }])
+
+      expect(result.quantitySold).toBe(2)
+      expect(result.message).toContain('(fees $12.50)')
+      expect(automation.status).toBe(AUTOMATION_STATUS.COMPLETED)
+    })
+
+    it('should keep a raised stop and the price monitor across a reload', async () => {
+      const automation = await automationService.createTrailingStop({ asset: 'BTC', trailPercent: 10, referencePrice: 50000 })
+      await automationService.handlePriceUpdate([{ symbol: 'BTC', price: 60000 }])
+
+      automationService.stopPriceMonitor()
+      automationService.loadAutomations()
+
+      expect(automationService.automations.get(automation.id).trigger).toMatchObject({ highWaterMark: 60000, stopPrice: 54000 })
+      expect(automationService.unsubscribePrices).toBeTypeOf('function')
+
+      await flushPriceUpdate([{ symbol: 'BTC', price: 53900 }])
+      expect(dataManager.processTransaction).toHaveBeenCalledWith(expect.objectContaining({ type: 'sell', price: 53900 }))
+    })
+  })
+
+  describe('Price alert', () => {
+    it('should sell when the price moves above the target', async () => {
+      const automation = await automationService.createPriceAlertSell({
+        asset: 'BTC',
+        targetPrice: 70000,
+        direction: PRICE_DIRECTIONS.ABOVE,
+        sellPercentage: 25
+      })
+
+      await automationService.handlePriceUpdate([{ symbol: 'BTC', price: 65000 }])
+      expect(automation.status).toBe(AUTOMATION_STATUS.ACTIVE)
+
+      const [result] = await automationService.handlePriceUpdate([{ symbol: 'BTC', price: 71000 }])
+      expect(result).toMatchObject({ success: true, quantitySold: 0.5, amount: 35500 })
+    })
+  })
+
+  describe('Conditions', () => {
+    it('should evaluate text conditions against current prices and balances', async () => {
+      automationService.latestPrices.set('ETH', 3000)
+      dataManager.getBalance.mockReturnValue({ availableForSpending: 1500, assets: {} })
+
+      expect(await automationService.checkConditions({})).toBe(true)
+      expect(await automationService.checkConditions('ETH < 3500 AND balance > 1k')).toBe(true)
+      expect(await automationService.checkConditions('ETH > 3500 OR balance > 2k')).toBe(false)
+    })
+
+    it('should skip a scheduled run whose conditions are not met', async () => {
+      dataManager.getBalance.mockReturnValue({ availableForSpending: 800, assets: {} })
+      automationService.latestPrices.set('BTC', 55000)
+      const automation = await automationService.createScheduledDeposit({
+        amount: 200,
+        frequency: 'weekly',
+        conditions: 'available_balance > $1,000 AND BTC < $60k'
+      })
+      expect(automation.conditionSummary).toBe('available balance above $1,000 and BTC price below $60,000')
+
+      const scheduledAt = automation.nextExecution
+      const result = await automationService.executeAutomation(automation)
+
+      expect(result).toMatchObject({ skipped: true })
+      expect(result.reason).toContain('available balance above $1,000')
+      expect(automation.executionCount).toBe(0)
+      expect(automation.nextExecution).toBeGreaterThanOrEqual(scheduledAt)
+    })
+
+    it('should reject automations with malformed conditions', async () => {
+      await expect(automationService.createStopLoss({ asset: 'BTC', stopPrice: 100, conditions: 'BTC >' }))
+        .rejects.toThrow('Expected a value')
+      await expect(automationService.createStopLoss({ asset: 'BTC', stopPrice: 100, conditions: { type: 'moon_phase' } }))
+        .rejects.toThrow('condition.type "moon_phase" is not supported')
+    })
+  })
+
+  describe('Scheduling', () => {
+    it('should preview payroll-aligned runs in the user time zone', () => {
+      const runs = automationService.previewNextExecutions({
+        schedule: { type: SCHEDULE_TYPES.LAST_BUSINESS_DAY, time: '09:00' },
+        timeZone: 'America/Chicago',
+        startDate: Date.parse('2030-05-01T00:00:00Z')
+      }, 2)
+
+      // June 30, 2030 is a Sunday
+      expect(runs.map(run => new Date(run).toISOString())).toEqual([
+        '2030-05-31T14:00:00.000Z',
+        '2030-06-28T14:00:00.000Z'
+      ])
+    })
+
+    it('should complete an automation once it reaches its occurrence limit', async () => {
+      dataManager.updateBalance = vi.fn()
+      dataManager.addTransaction = vi.fn()
+      const automation = await automationService.createScheduledDeposit({
+        amount: 50,
+        schedule: { type: SCHEDULE_TYPES.CRON, cron: '0 9 * * 1-5' },
+        timeZone: 'UTC',
+        maxOccurrences: 2
+      })
+      expect(new Date(automation.nextExecution).getUTCHours()).toBe(9)
+
+      await automationService.executeAutomation(automation)
+      expect(automation.status).toBe(AUTOMATION_STATUS.ACTIVE)
+      expect(automationService.previewNextExecutions(automation.id, 5)).toHaveLength(1)
+
+      await automationService.executeAutomation(automation)
+      expect(automation.status).toBe(AUTOMATION_STATUS.COMPLETED)
+      expect(automation.nextExecution).toBeNull()
+    })
+
+    it('should reject invalid schedules', async () => {
+      await expect(automationService.createScheduledDeposit({ amount: 50, schedule: { type: SCHEDULE_TYPES.CRON, cron: '* *' } }))
+        .rejects.toThrow('Cron expression must have 5 fields, got 2')
+    })
+  })
+
+  describe('Catch-up and journal', () => {
+    const DAY = 24 * 60 * 60 * 1000
+    const startDate = Date.parse('2030-01-01T00:00:00Z')
+    const firstRun = Date.parse('2030-01-01T09:00:00Z')
+
+    // The app reopens a minute after the given run time
+    const reopenAfter = (runTime) => {
+      const now = runTime + 60000
+      vi.setSystemTime(now)
+      return automationService.catchUpMissedRuns(now)
+    }
+
+    const createMissedDeposit = (catchUpPolicy) => automationService.createScheduledDeposit({
+      amount: 100,
+      schedule: { type: SCHEDULE_TYPES.CRON, cron: '0 9 * * *' },
+      timeZone: 'UTC',
+      startDate,
+      catchUpPolicy
+    })
+
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['Date'] })
+      vi.setSystemTime(startDate)
+      dataManager.updateBalance = vi.fn()
+      dataManager.addTransaction = vi.fn(async (transaction) => ({ ...transaction, id: `tx_${transaction.timestamp}` }))
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('should run once for all missed slots by default', async () => {
+      const automation = await createMissedDeposit()
+      expect(automation.catchUpPolicy).toBe(CATCH_UP_POLICIES.RUN_ONCE)
+
+      const results = await reopenAfter(firstRun + 2 * DAY)
+
+      expect(results).toHaveLength(1)
+      expect(automation.executionCount).toBe(1)
+      expect(automation.nextExecution).toBe(firstRun + 3 * DAY)
+
+      const history = automationService.getExecutionHistory(automation.id)
+      expect(history.map(entry => entry.status)).toEqual([
+        EXECUTION_STATUS.SUCCEEDED,
+        EXECUTION_STATUS.SKIPPED,
+        EXECUTION_STATUS.SKIPPED
+      ])
+      expect(history[0]).toMatchObject({
+        trigger: EXECUTION_TRIGGERS.CATCH_UP,
+        scheduledFor: firstRun + 2 * DAY,
+        transactionId: expect.stringMatching(/^tx_/),
+        amount: 100
+      })
+    })
+
+    it('should run every missed slot with the run-all policy', async () => {
+      const automation = await createMissedDeposit(CATCH_UP_POLICIES.RUN_ALL)
+
+      await reopenAfter(firstRun + 2 * DAY)
+
+      expect(automation.executionCount).toBe(3)
+      expect(automationService.getExecutionHistory(automation.id, { status: EXECUTION_STATUS.SUCCEEDED })
+        .map(entry => entry.scheduledFor)).toEqual([firstRun + 2 * DAY, firstRun + DAY, firstRun])
+    })
+
+    it('should journal missed slots without running them with the skip policy', async () => {
+      const automation = await createMissedDeposit(CATCH_UP_POLICIES.SKIP)
+
+      const results = await reopenAfter(firstRun + 2 * DAY)
+
+      expect(results).toEqual([])
+      expect(dataManager.addTransaction).not.toHaveBeenCalled()
+      expect(automation.nextExecution).toBe(firstRun + 3 * DAY)
+      expect(automationService.getExecutionHistory(automation.id, { status: EXECUTION_STATUS.SKIPPED })).toHaveLength(3)
+    })
+
+    it('should journal failed runs with their error', async () => {
+      dataManager.addTransaction.mockRejectedValue(new Error('Payment provider unavailable'))
+      const automation = await createMissedDeposit()
+
+      await reopenAfter(firstRun)
+
+      const [entry] = automationService.getExecutionHistory(automation.id, { limit: 1 })
+      expect(entry).toMatchObject({ status: EXECUTION_STATUS.FAILED, error: 'Payment provider unavailable', transactionId: null })
+      expect(automation.failureCount).toBe(1)
+    })
+
+    it('should restore automations and their journal from storage', async () => {
+      const automation = await createMissedDeposit()
+      await automationService.executeAutomation(automation)
+
+      automationService.automations.clear()
+      automationService.journal.clear()
+      automationService.loadAutomations()
+
+      expect(automationService.automations.get(automation.id)).toMatchObject({ executionCount: 1 })
+      expect(automationService.getExecutionHistory(automation.id)).toHaveLength(1)
+    })
+
+    it('should keep automations per user and reload them when the user switches', async () => {
+      const automation = await createMissedDeposit()
+
+      dataManager.getCurrentUserId.mockReturnValue('user_b')
+      await automationService.switchUser()
+      expect(automationService.getAllAutomations()).toEqual([])
+      expect(automationService.getExecutionHistory(automation.id)).toEqual([])
+
+      dataManager.getCurrentUserId.mockReturnValue('user_a')
+      await automationService.switchUser()
+      expect(automationService.automations.get(automation.id)).toBeDefined()
+    })
+
+    it('should move automations stored before they were per user', async () => {
+      localStorage.setItem('diboas_automations', JSON.stringify([{ id: 'auto_legacy', type: 'recurring_deposit', status: 'paused' }]))
+
+      automationService.loadAutomations()
+
+      expect(automationService.automations.get('auto_legacy')).toBeDefined()
+      expect(localStorage.getItem('diboas_automations')).toBeNull()
+      expect(JSON.parse(localStorage.getItem('diboas_automations_user_a'))).toHaveLength(1)
+    })
+
+    it('should reject unknown catch-up policies', async () => {
+      await expect(createMissedDeposit('run_twice')).rejects.toThrow('Invalid catch-up policy')
+    })
+  })
+})
@@ -0,0 +1,130 @@
+/**
+ * Automation Condition Language Tests
+ * Tests parsing, validation, evaluation and summaries of automation conditions
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  CONDITION_TYPES,
+  ConditionSyntaxError,
+  parseCondition,
+  validateCondition,
+  evaluateCondition,
+  describeCondition,
+  getConditionAssets
+} from '../automationConditions.js'
+
+const CONTEXT = {
+  prices: { BTC: 58000, ETH: 3100 },
+  balance: { availableForSpending: 1200, investedAmount: 5000, strategyBalance: 0, totalUSD: 6200 },
+  strategies: { 'usdc-lending': { apy: 6, currentApy: 3.5 } },
+  allocations: { BTC: 70, ETH: 30 },
+  targetAllocations: { BTC: 60, ETH: 40 },
+  now: new Date('2025-06-04T12:00:00Z') // Wednesday
+}
+
+describe('automationConditions', () => {
+  describe('parseCondition', () => {
+    it('should parse comparisons joined with AND/OR/NOT respecting precedence', () => {
+      expect(parseCondition('balance > $1,000 AND BTC < 60k OR NOT drift > 5%')).toEqual({
+        or: [
+          {
+            and: [
+              { type: CONDITION_TYPES.BALANCE_ABOVE, account: 'available', value: 1000 },
+              { type: CONDITION_TYPES.PRICE_BELOW, asset: 'BTC', value: 60000 }
+            ]
+          },
+          { not: { type: CONDITION_TYPES.PORTFOLIO_DRIFT, value: 5 } }
+        ]
+      })
+    })
+
+    it('should parse parentheses, strategy arguments and dates', () => {
+      expect(parseCondition('(apy_drop(usdc-lending) > 1.5 || ETH > 4000) && date > 2025-01-01')).toEqual({
+        and: [
+          {
+            or: [
+              { type: CONDITION_TYPES.APY_DROP, strategyId: 'usdc-lending', value: 1.5 },
+              { type: CONDITION_TYPES.PRICE_ABOVE, asset: 'ETH', value: 4000 }
+            ]
+          },
+          { type: CONDITION_TYPES.DATE_WINDOW, from: '2025-01-01' }
+        ]
+      })
+    })
+
+    it('should report syntax errors with their position', () => {
+      expect(() => parseCondition('BTC < 60k AND')).toThrow(ConditionSyntaxError)
+      expect(() => parseCondition('BTC = 60k')).toThrow('Unexpected character "=" at position 4')
+      expect(() => parseCondition('savings_balance > 10')).toThrow('Unknown balance "savings_balance"')
+      expect(() => parseCondition('(BTC < 1')).toThrow('Expected )')
+    })
+
+    it('should pass through conditions that are already parsed', () => {
+      const condition = { type: CONDITION_TYPES.PRICE_ABOVE, asset: 'SOL', value: 100 }
+      expect(parseCondition(condition)).toBe(condition)
+    })
+  })
+
+  describe('validateCondition', () => {
+    it('should accept parsed conditions', () => {
+      expect(validateCondition(parseCondition('balance > 1000 AND NOT (BTC > 70k OR date < 2025-12-31)')).valid).toBe(true)
+    })
+
+    it('should list structural errors with their path', () => {
+      const { valid, errors } = validateCondition({
+        and: [
+          { type: CONDITION_TYPES.PRICE_BELOW, value: -1 },
+          { type: CONDITION_TYPES.DATE_WINDOW, from: '2025-03-01', to: '2025-01-01', daysOfWeek: [7] },
+          { or: [] }
+        ]
+      })
+
+      expect(valid).toBe(false)
+      expect(errors).toEqual([
+        'condition.and[0].asset is required',
+        'condition.and[0].value must be a non-negative number',
+        'condition.and[1].from must not be after condition.and[1].to',
+        'condition.and[1].daysOfWeek must list days 0-6',
+        'condition.and[2].or must be a non-empty array'
+      ])
+    })
+  })
+
+  describe('evaluateCondition', () => {
+    it('should evaluate every leaf type against the context', () => {
+      const check = (text) => evaluateCondition(parseCondition(text), CONTEXT)
+
+      expect(check('BTC < 60k')).toBe(true)
+      expect(check('ETH > 3200')).toBe(false)
+      expect(check('balance > 1000 AND invested_balance < 4000')).toBe(false)
+      expect(check('apy_drop(usdc-lending) > 2')).toBe(true)
+      expect(check('drift > 5')).toBe(true)
+      expect(check('drift > 15')).toBe(false)
+      expect(check('date > 2025-06-01 AND date < 2025-06-30')).toBe(true)
+      expect(evaluateCondition({ type: CONDITION_TYPES.DATE_WINDOW, daysOfWeek: [1, 5] }, CONTEXT)).toBe(false)
+    })
+
+    it('should treat missing data as not met', () => {
+      expect(evaluateCondition(parseCondition('SOL > 1'), CONTEXT)).toBe(false)
+      expect(evaluateCondition(parseCondition('apy_drop(unknown) > 1'), CONTEXT)).toBe(false)
+      expect(evaluateCondition(parseCondition('NOT SOL > 1'), CONTEXT)).toBe(true)
+    })
+
+    it('should treat empty conditions as always met', () => {
+      expect(evaluateCondition({}, CONTEXT)).toBe(true)
+      expect(evaluateCondition(null, CONTEXT)).toBe(true)
+    })
+  })
+
+  describe('describeCondition', () => {
+    it('should summarize nested conditions in plain language', () => {
+      expect(describeCondition(parseCondition('balance > 1000 AND (BTC < 60k OR NOT date > 2025-01-01)')))
+        .toBe('available balance above $1,000 and (BTC price below $60,000 or not from 2025-01-01)')
+    })
+  })
+
+  it('should list the assets a condition needs prices for', () => {
+    expect(getConditionAssets(parseCondition('BTC < 1 OR (ETH > 2 AND NOT BTC > 3)'))).toEqual(['BTC', 'ETH'])
+  })
+})
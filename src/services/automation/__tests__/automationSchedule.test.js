@@ -0,0 +1,132 @@
+/**
+ * Automation Schedule Tests
+ * Tests cron parsing, calendar-aware frequencies, time zones and run previews
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  SCHEDULE_TYPES,
+  ScheduleError,
+  parseCron,
+  validateSchedule,
+  getNextRun,
+  previewRuns,
+  zonedTimeToTimestamp
+} from '../automationSchedule.js'
+
+const iso = (timestamp) => new Date(timestamp).toISOString()
+const utc = (text) => Date.parse(text)
+
+describe('automationSchedule', () => {
+  describe('parseCron', () => {
+    it('should expand lists, ranges and steps', () => {
+      const cron = parseCron('*/15 9-17/4 1,15,L * 1-5')
+
+      expect([...cron.minute.values]).toEqual([0, 15, 30, 45])
+      expect([...cron.hour.values]).toEqual([9, 13, 17])
+      expect([...cron.dayOfMonth.values]).toEqual([1, 15])
+      expect(cron.dayOfMonth.special.has('L')).toBe(true)
+      expect(cron.month.restricted).toBe(false)
+    })
+
+    it('should reject malformed expressions', () => {
+      expect(() => parseCron('0 9 * *')).toThrow(ScheduleError)
+      expect(() => parseCron('0 25 * * *')).toThrow('Invalid hour field "25"')
+      expect(() => parseCron('0 9 * * mon')).toThrow('Invalid dayOfWeek field "mon"')
+    })
+  })
+
+  describe('frequency schedules', () => {
+    it('should keep monthly runs on the start day, clamping short months', () => {
+      const schedule = { type: SCHEDULE_TYPES.FREQUENCY, frequency: 'monthly', timeZone: 'UTC' }
+      const anchor = utc('2025-01-31T10:00:00Z')
+
+      expect(previewRuns(schedule, { from: anchor, anchor, count: 4 }).map(iso)).toEqual([
+        '2025-02-28T10:00:00.000Z',
+        '2025-03-31T10:00:00.000Z',
+        '2025-04-30T10:00:00.000Z',
+        '2025-05-31T10:00:00.000Z'
+      ])
+    })
+
+    it('should keep the local time across daylight saving changes', () => {
+      const schedule = { type: SCHEDULE_TYPES.FREQUENCY, frequency: 'weekly', time: '09:00', timeZone: 'America/New_York' }
+      const anchor = utc('2025-03-01T14:00:00Z')
+
+      // 09:00 EST is 14:00Z; after the March 9 switch 09:00 EDT is 13:00Z
+      expect(previewRuns(schedule, { from: anchor, anchor, count: 2 }).map(iso)).toEqual([
+        '2025-03-08T14:00:00.000Z',
+        '2025-03-15T13:00:00.000Z'
+      ])
+    })
+
+    it('should find the next occurrence long after the anchor', () => {
+      const schedule = { type: SCHEDULE_TYPES.FREQUENCY, frequency: 'quarterly', timeZone: 'UTC' }
+
+      expect(iso(getNextRun(schedule, utc('2026-05-20T00:00:00Z'), { anchor: utc('2025-01-15T08:00:00Z') })))
+        .toBe('2026-07-15T08:00:00.000Z')
+    })
+  })
+
+  describe('calendar schedules', () => {
+    it('should run on the last business day of each month', () => {
+      const schedule = { type: SCHEDULE_TYPES.LAST_BUSINESS_DAY, time: '17:30', timeZone: 'UTC' }
+
+      // May 31 and Aug 31 2025 fall on weekends
+      expect(previewRuns(schedule, { from: utc('2025-05-01T00:00:00Z'), count: 4 }).map(iso)).toEqual([
+        '2025-05-30T17:30:00.000Z',
+        '2025-06-30T17:30:00.000Z',
+        '2025-07-31T17:30:00.000Z',
+        '2025-08-29T17:30:00.000Z'
+      ])
+    })
+
+    it('should run on specific weekdays in the user time zone', () => {
+      const schedule = { type: SCHEDULE_TYPES.WEEKDAYS, days: [1, 4], time: '08:00', timeZone: 'Europe/Berlin' }
+
+      expect(previewRuns(schedule, { from: utc('2025-06-03T00:00:00Z'), count: 3 }).map(iso)).toEqual([
+        '2025-06-05T06:00:00.000Z',
+        '2025-06-09T06:00:00.000Z',
+        '2025-06-12T06:00:00.000Z'
+      ])
+    })
+
+    it('should match either day field when both are restricted, as cron does', () => {
+      const schedule = { type: SCHEDULE_TYPES.CRON, cron: '0 12 15 * 5', timeZone: 'UTC' }
+
+      expect(previewRuns(schedule, { from: utc('2025-06-10T00:00:00Z'), count: 3 }).map(iso)).toEqual([
+        '2025-06-13T12:00:00.000Z',
+        '2025-06-15T12:00:00.000Z',
+        '2025-06-20T12:00:00.000Z'
+      ])
+    })
+
+    it('should return null when a cron date never occurs', () => {
+      expect(getNextRun({ type: SCHEDULE_TYPES.CRON, cron: '0 0 31 2 *' }, utc('2025-01-01T00:00:00Z'))).toBeNull()
+    })
+  })
+
+  describe('previewRuns', () => {
+    it('should stop at the end date and the occurrence limit', () => {
+      const schedule = { type: SCHEDULE_TYPES.FREQUENCY, frequency: 'daily', timeZone: 'UTC' }
+      const anchor = utc('2025-01-01T00:00:00Z')
+
+      expect(previewRuns(schedule, { from: anchor, anchor, count: 10, endDate: utc('2025-01-03T12:00:00Z') })).toHaveLength(2)
+      expect(previewRuns(schedule, { from: anchor, anchor, count: 10, maxOccurrences: 5, occurrences: 2 })).toHaveLength(3)
+    })
+  })
+
+  it('should validate schedules', () => {
+    expect(validateSchedule({ type: SCHEDULE_TYPES.CRON, cron: '0 9 * * 1-5', timeZone: 'Asia/Tokyo' }).valid).toBe(true)
+    expect(validateSchedule({ type: SCHEDULE_TYPES.WEEKDAYS, days: [9], time: '25:00', timeZone: 'Mars/Olympus' }).errors).toEqual([
+      'Weekdays must list days 0-6',
+      'Time must be HH:MM',
+      'Unknown time zone: Mars/Olympus'
+    ])
+  })
+
+  it('should convert wall-clock times in a time zone to timestamps', () => {
+    expect(iso(zonedTimeToTimestamp({ year: 2025, month: 7, day: 1, hour: 9 }, 'Asia/Kolkata')))
+      .toBe('2025-07-01T03:30:00.000Z')
+  })
+})
@@ -0,0 +1,438 @@
+/**
+ * Automation Condition Language
+ * Serializable rules that gate automation runs, e.g.
+ *   "available_balance > $1,000 AND BTC < 60k"
+ * parse to
+ *   { and: [{ type: 'balance_above', account: 'available', value: 1000 }, { type: 'price_below', asset: 'BTC', value: 60000 }] }
+ * Conditions are stored in the parsed (JSON) form; the text form is only an input format.
+ */
+
+export const CONDITION_TYPES = {
+  PRICE_ABOVE: 'price_above', // { asset, value }
+  PRICE_BELOW: 'price_below', // { asset, value }
+  BALANCE_ABOVE: 'balance_above', // { account, value }
+  BALANCE_BELOW: 'balance_below', // { account, value }
+  APY_DROP: 'apy_drop', // { strategyId, value } APY fell more than value percentage points
+  PORTFOLIO_DRIFT: 'portfolio_drift', // { value, targets? } an allocation is off target by more than value %
+  DATE_WINDOW: 'date_window' // { from?, to?, daysOfWeek? } ISO dates, days 0 (Sun) - 6 (Sat)
+}
+
+export const BALANCE_ACCOUNTS = {
+  available: 'availableForSpending',
+  invested: 'investedAmount',
+  strategy: 'strategyBalance',
+  total: 'totalUSD'
+}
+
+const LOGICAL_OPERATORS = ['and', 'or', 'not']
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+const NUMBER_SUFFIXES = { k: 1e3, m: 1e6 }
+
+export class ConditionSyntaxError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position}`)
+    this.name = 'ConditionSyntaxError'
+    this.position = position
+  }
+}
+
+/**
+ * True when there is nothing to check (no conditions, or legacy empty objects)
+ */
+export const isEmptyCondition = (condition) =>
+  condition === null ||
+  condition === undefined ||
+  (typeof condition === 'string' && condition.trim() === '') ||
+  (typeof condition === 'object' && Object.keys(condition).length === 0)
+
+/**
+ * Parse the text form of a condition. Objects are returned as-is so stored
+ * conditions can be passed through.
+ * Grammar (NOT binds tighter than AND, AND tighter than OR):
+ *   expr       := term (OR term)*
+ *   term       := factor (AND factor)*
+ *   factor     := NOT factor | '(' expr ')' | comparison
+ *   comparison := subject ('>' | '<') value
+ *   subject    := ASSET | balance | <account>_balance | drift | date | apy_drop(strategyId)
+ * @throws {ConditionSyntaxError}
+ */
+export const parseCondition = (input) => {
+  if (typeof input !== 'string') {
+    return input
+  }
+
+  const tokens = tokenize(input)
+  let index = 0
+
+  const peek = () => tokens[index]
+  const next = () => tokens[index++]
+  const expect = (type) => {
+    const token = next()
+    if (!token || token.type !== type) {
+      throw new ConditionSyntaxError(`Expected ${type}`, token?.position ?? input.length)
+    }
+    return token
+  }
+  const isKeyword = (token, keyword) => token?.type === 'word' && token.value.toLowerCase() === keyword
+
+  const parseExpression = () => {
+    const operands = [parseTerm()]
+    while (isKeyword(peek(), 'or') || peek()?.type === '||') {
+      next()
+      operands.push(parseTerm())
+    }
+    return operands.length === 1 ? operands[0] : { or: operands }
+  }
+
+  const parseTerm = () => {
+    const operands = [parseFactor()]
+    while (isKeyword(peek(), 'and') || peek()?.type === '&&') {
+      next()
+      operands.push(parseFactor())
+    }
+    return operands.length === 1 ? operands[0] : { and: operands }
+  }
+
+  const parseFactor = () => {
+    const token = peek()
+    if (isKeyword(token, 'not') || token?.type === '!') {
+      next()
+      return { not: parseFactor() }
+    }
+    if (token?.type === '(') {
+      next()
+      const expression = parseExpression()
+      expect(')')
+      return expression
+    }
+    return parseComparison()
+  }
+
+  const parseComparison = () => {
+    const subject = expect('word')
+    let argument = null
+    if (peek()?.type === '(') {
+      next()
+      argument = expect('word').value
+      expect(')')
+    }
+
+    const operator = next()
+    if (!operator || (operator.type !== '>' && operator.type !== '<')) {
+      throw new ConditionSyntaxError(`Expected > or < after ${subject.value}`, operator?.position ?? input.length)
+    }
+    const above = operator.type === '>'
+    const valueToken = next()
+    if (!valueToken) {
+      throw new ConditionSyntaxError('Expected a value', input.length)
+    }
+
+    return buildComparison(subject, argument, above, valueToken)
+  }
+
+  const condition = parseExpression()
+  if (index < tokens.length) {
+    throw new ConditionSyntaxError(`Unexpected "${tokens[index].value}"`, tokens[index].position)
+  }
+  return condition
+}
+
+/**
+ * Check a parsed condition's structure
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export const validateCondition = (condition) => {
+  const errors = []
+  validateNode(condition, 'condition', errors)
+  return {
+    valid: errors.length === 0,
+    errors
+  }
+}
+
+/**
+ * Evaluate a parsed condition. Leaves whose data is missing evaluate to false,
+ * so an automation never runs on a rule it could not check.
+ * @param {Object} context
+ * @param {Object} context.prices - { BTC: 60000 } or a Map
+ * @param {Object} context.balance - DataManager balance
+ * @param {Object} context.strategies - { strategyId: { apy, currentApy } }
+ * @param {Object} context.allocations - Current portfolio allocation % per asset
+ * @param {Object} context.targetAllocations - Default drift targets % per asset
+ * @param {Date|number} context.now
+ */
+export const evaluateCondition = (condition, context = {}) => {
+  if (isEmptyCondition(condition)) return true
+
+  if (condition.and) return condition.and.every(operand => evaluateCondition(operand, context))
+  if (condition.or) return condition.or.some(operand => evaluateCondition(operand, context))
+  if (condition.not) return !evaluateCondition(condition.not, context)
+
+  switch (condition.type) {
+    case CONDITION_TYPES.PRICE_ABOVE:
+    case CONDITION_TYPES.PRICE_BELOW: {
+      const price = getPrice(context.prices, condition.asset)
+      if (!(price > 0)) return false
+      return condition.type === CONDITION_TYPES.PRICE_ABOVE ? price > condition.value : price < condition.value
+    }
+    case CONDITION_TYPES.BALANCE_ABOVE:
+    case CONDITION_TYPES.BALANCE_BELOW: {
+      const balance = context.balance?.[BALANCE_ACCOUNTS[condition.account || 'available']]
+      if (typeof balance !== 'number') return false
+      return condition.type === CONDITION_TYPES.BALANCE_ABOVE ? balance > condition.value : balance < condition.value
+    }
+    case CONDITION_TYPES.APY_DROP: {
+      const strategy = context.strategies?.[condition.strategyId]
+      if (typeof strategy?.apy !== 'number' || typeof strategy?.currentApy !== 'number') return false
+      return strategy.apy - strategy.currentApy > condition.value
+    }
+    case CONDITION_TYPES.PORTFOLIO_DRIFT: {
+      const drift = calculateDrift(context.allocations, condition.targets || context.targetAllocations)
+      return drift !== null && drift > condition.value
+    }
+    case CONDITION_TYPES.DATE_WINDOW: {
+      const now = new Date(context.now ?? Date.now())
+      const day = now.toISOString().slice(0, 10)
+      return (!condition.from || day >= condition.from) &&
+        (!condition.to || day <= condition.to) &&
+        (!condition.daysOfWeek || condition.daysOfWeek.includes(now.getUTCDay()))
+    }
+    default:
+      return false
+  }
+}
+
+/**
+ * Human-readable summary, e.g. "available balance above $1,000 and BTC price below $60,000"
+ */
+export const describeCondition = (condition) => {
+  if (isEmptyCondition(condition)) return 'always'
+
+  const describeOperand = (operand) =>
+    operand.and || operand.or ? `(${describeCondition(operand)})` : describeCondition(operand)
+
+  if (condition.and) return condition.and.map(describeOperand).join(' and ')
+  if (condition.or) return condition.or.map(describeOperand).join(' or ')
+  if (condition.not) return `not ${describeOperand(condition.not)}`
+
+  switch (condition.type) {
+    case CONDITION_TYPES.PRICE_ABOVE:
+      return `${condition.asset} price above ${formatUSD(condition.value)}`
+    case CONDITION_TYPES.PRICE_BELOW:
+      return `${condition.asset} price below ${formatUSD(condition.value)}`
+    case CONDITION_TYPES.BALANCE_ABOVE:
+      return `${condition.account || 'available'} balance above ${formatUSD(condition.value)}`
+    case CONDITION_TYPES.BALANCE_BELOW:
+      return `${condition.account || 'available'} balance below ${formatUSD(condition.value)}`
+    case CONDITION_TYPES.APY_DROP:
+      return `${condition.strategyId} APY dropped by more than ${condition.value} points`
+    case CONDITION_TYPES.PORTFOLIO_DRIFT:
+      return `portfolio drift above ${condition.value}%`
+    case CONDITION_TYPES.DATE_WINDOW: {
+      const parts = []
+      if (condition.from) parts.push(`from ${condition.from}`)
+      if (condition.to) parts.push(`until ${condition.to}`)
+      if (condition.daysOfWeek) parts.push(`on ${condition.daysOfWeek.map(day => DAY_NAMES[day]).join(', ')}`)
+      return parts.join(' ') || 'any date'
+    }
+    default:
+      return `unknown condition ${condition.type}`
+  }
+}
+
+/**
+ * Assets whose prices a condition needs
+ */
+export const getConditionAssets = (condition) => {
+  if (isEmptyCondition(condition)) return []
+
+  const operands = condition.and || condition.or || (condition.not ? [condition.not] : null)
+  if (operands) {
+    return [...new Set(operands.flatMap(getConditionAssets))]
+  }
+
+  return condition.asset ? [condition.asset] : []
+}
+
+/**
+ * Strategies whose APY a condition needs
+ */
+export const getConditionStrategies = (condition) => {
+  if (isEmptyCondition(condition)) return []
+
+  const operands = condition.and || condition.or || (condition.not ? [condition.not] : null)
+  if (operands) {
+    return [...new Set(operands.flatMap(getConditionStrategies))]
+  }
+
+  return condition.type === CONDITION_TYPES.APY_DROP ? [condition.strategyId] : []
+}
+
+/**
+ * Private helpers
+ */
+
+const tokenize = (input) => {
+  const tokens = []
+  const pattern = /\s*(?:(&&|\|\||[()<>!])|(\d{4}-\d{2}-\d{2}|\$?\d[\d,]*(?:\.\d+)?[kKmM%]?)|([A-Za-z_][\w.-]*))/y
+  let position = 0
+
+  while (position < input.length) {
+    if (/^\s*$/.test(input.slice(position))) break
+
+    pattern.lastIndex = position
+    const match = pattern.exec(input)
+    if (!match) {
+      const errorPosition = position + input.slice(position).search(/\S/)
+      throw new ConditionSyntaxError(`Unexpected character "${input[errorPosition]}"`, errorPosition)
+    }
+
+    const [text, symbol, number, word] = match
+    const start = position + text.length - (symbol || number || word).length
+    if (symbol) tokens.push({ type: symbol, value: symbol, position: start })
+    if (number) tokens.push({ type: 'number', value: number, position: start })
+    if (word) tokens.push({ type: 'word', value: word, position: start })
+    position += text.length
+  }
+
+  return tokens
+}
+
+const parseNumber = (token) => {
+  if (token.type !== 'number' || /^\d{4}-\d{2}-\d{2}$/.test(token.value)) {
+    throw new ConditionSyntaxError(`Expected a number, got "${token.value}"`, token.position)
+  }
+
+  const match = token.value.replace(/[$,%]/g, '').match(/^(\d+(?:\.\d+)?)([kKmM]?)$/)
+  return parseFloat(match[1]) * (NUMBER_SUFFIXES[match[2].toLowerCase()] || 1)
+}
+
+const parseDate = (token) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(token.value) || Number.isNaN(Date.parse(token.value))) {
+    throw new ConditionSyntaxError(`Expected a date (YYYY-MM-DD), got "${token.value}"`, token.position)
+  }
+  return token.value
+}
+
+const buildComparison = (subject, argument, above, valueToken) => {
+  const name = subject.value.toLowerCase()
+  const negateUnlessAbove = (condition) => (above ? condition : { not: condition })
+
+  if (name === 'apy_drop') {
+    if (!argument) {
+      throw new ConditionSyntaxError('apy_drop needs a strategy, e.g. apy_drop(my-strategy)', subject.position)
+    }
+    return negateUnlessAbove({ type: CONDITION_TYPES.APY_DROP, strategyId: argument, value: parseNumber(valueToken) })
+  }
+
+  if (argument) {
+    throw new ConditionSyntaxError(`${subject.value} does not take an argument`, subject.position)
+  }
+
+  if (name === 'drift') {
+    return negateUnlessAbove({ type: CONDITION_TYPES.PORTFOLIO_DRIFT, value: parseNumber(valueToken) })
+  }
+
+  if (name === 'date') {
+    const date = parseDate(valueToken)
+    return { type: CONDITION_TYPES.DATE_WINDOW, ...(above ? { from: date } : { to: date }) }
+  }
+
+  const balanceMatch = name.match(/^(?:(\w+)_)?balance$/)
+  if (balanceMatch) {
+    const account = balanceMatch[1] || 'available'
+    if (!BALANCE_ACCOUNTS[account]) {
+      throw new ConditionSyntaxError(`Unknown balance "${subject.value}"`, subject.position)
+    }
+    return {
+      type: above ? CONDITION_TYPES.BALANCE_ABOVE : CONDITION_TYPES.BALANCE_BELOW,
+      account,
+      value: parseNumber(valueToken)
+    }
+  }
+
+  if (/^[A-Z][A-Z0-9]*$/.test(subject.value)) {
+    return {
+      type: above ? CONDITION_TYPES.PRICE_ABOVE : CONDITION_TYPES.PRICE_BELOW,
+      asset: subject.value,
+      value: parseNumber(valueToken)
+    }
+  }
+
+  throw new ConditionSyntaxError(`Unknown condition subject "${subject.value}"`, subject.position)
+}
+
+const validateNode = (node, path, errors) => {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    errors.push(`${path} must be an object`)
+    return
+  }
+
+  const logicalKeys = Object.keys(node).filter(key => LOGICAL_OPERATORS.includes(key))
+  if (logicalKeys.length > 1 || (logicalKeys.length === 1 && node.type)) {
+    errors.push(`${path} must have exactly one of type, and, or, not`)
+    return
+  }
+
+  if (node.and || node.or) {
+    const operands = node.and || node.or
+    if (!Array.isArray(operands) || operands.length === 0) {
+      errors.push(`${path}.${logicalKeys[0]} must be a non-empty array`)
+      return
+    }
+    operands.forEach((operand, index) => validateNode(operand, `${path}.${logicalKeys[0]}[${index}]`, errors))
+    return
+  }
+
+  if (node.not) {
+    validateNode(node.not, `${path}.not`, errors)
+    return
+  }
+
+  const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0
+  switch (node.type) {
+    case CONDITION_TYPES.PRICE_ABOVE:
+    case CONDITION_TYPES.PRICE_BELOW:
+      if (!node.asset) errors.push(`${path}.asset is required`)
+      if (!isPositive(node.value)) errors.push(`${path}.value must be a non-negative number`)
+      break
+    case CONDITION_TYPES.BALANCE_ABOVE:
+    case CONDITION_TYPES.BALANCE_BELOW:
+      if (node.account && !BALANCE_ACCOUNTS[node.account]) errors.push(`${path}.account must be one of ${Object.keys(BALANCE_ACCOUNTS).join(', ')}`)
+      if (!isPositive(node.value)) errors.push(`${path}.value must be a non-negative number`)
+      break
+    case CONDITION_TYPES.APY_DROP:
+      if (!node.strategyId) errors.push(`${path}.strategyId is required`)
+      if (!isPositive(node.value)) errors.push(`${path}.value must be a non-negative number`)
+      break
+    case CONDITION_TYPES.PORTFOLIO_DRIFT:
+      if (!isPositive(node.value)) errors.push(`${path}.value must be a non-negative number`)
+      break
+    case CONDITION_TYPES.DATE_WINDOW:
+      for (const key of ['from', 'to']) {
+        if (node[key] && Number.isNaN(Date.parse(node[key]))) errors.push(`${path}.${key} must be an ISO date`)
+      }
+      if (node.from && node.to && node.from > node.to) errors.push(`${path}.from must not be after ${path}.to`)
+      if (node.daysOfWeek && !(Array.isArray(node.daysOfWeek) && node.daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+        errors.push(`${path}.daysOfWeek must list days 0-6`)
+      }
+      break
+    default:
+      errors.push(`${path}.type "${node.type}" is not supported`)
+  }
+}
+
+const getPrice = (prices, asset) => (prices instanceof Map ? prices.get(asset) : prices?.[asset])
+
+/**
+ * Largest gap in percentage points between current and target allocations
+ */
+const calculateDrift = (allocations, targets) => {
+  if (!allocations || !targets || Object.keys(targets).length === 0) return null
+
+  const assets = new Set([...Object.keys(allocations), ...Object.keys(targets)])
+  return Math.max(...Array.from(assets, asset => Math.abs((allocations[asset] || 0) - (targets[asset] || 0))))
+}
+
+const formatUSD = (value) =>
+  `$${value.toLocaleString('en-US', { maximumFractionDigits: 2 })}`
@@ -0,0 +1,374 @@
+/**
+ * Automation Scheduling
+ * Calendar-aware run times for automations, computed on the wall clock of the
+ * automation's time zone so runs stay at the same local time across DST changes.
+ *
+ * Schedules are serializable:
+ *   { type: 'frequency', frequency: 'monthly', time?: '09:00', timeZone }  repeats from the start date;
+ *     monthly runs keep the start day and fall back to the month's last day when it is shorter
+ *   { type: 'cron', cron: '0 9 * * 1-5', timeZone }                       minute hour day-of-month month day-of-week
+ *   { type: 'weekdays', days: [1, 4], time: '09:00', timeZone }            0 = Sunday
+ *   { type: 'last_business_day', time: '09:00', timeZone }                last Monday-Friday of each month
+ */
+
+export const SCHEDULE_TYPES = {
+  FREQUENCY: 'frequency',
+  CRON: 'cron',
+  WEEKDAYS: 'weekdays',
+  LAST_BUSINESS_DAY: 'last_business_day'
+}
+
+// Step per occurrence, in calendar units, for the repeating frequencies
+const FREQUENCY_STEPS = {
+  daily: { days: 1 },
+  weekly: { days: 7 },
+  biweekly: { days: 14 },
+  monthly: { months: 1 },
+  quarterly: { months: 3 }
+}
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+]
+
+const MAX_SEARCH_DAYS = 366 * 5 // Covers Feb 29 and other rare cron dates
+const DEFAULT_TIME = '00:00'
+
+const formatters = new Map()
+
+export class ScheduleError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ScheduleError'
+  }
+}
+
+/**
+ * The user's time zone as reported by the browser
+ */
+export const getDefaultTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+  } catch {
+    return 'UTC'
+  }
+}
+
+/**
+ * Parse a five-field cron expression. The day-of-month field also accepts
+ * L (last day of the month) and LW (last weekday of the month).
+ * @throws {ScheduleError}
+ */
+export const parseCron = (expression) => {
+  const fields = String(expression || '').trim().split(/\s+/)
+  if (fields.length !== 5) {
+    throw new ScheduleError(`Cron expression must have 5 fields, got ${fields.length}`)
+  }
+
+  const parsed = {}
+  CRON_FIELDS.forEach((field, index) => {
+    const source = fields[index]
+    const values = new Set()
+    const special = new Set()
+
+    for (const part of source.split(',')) {
+      if (field.name === 'dayOfMonth' && (part === 'L' || part === 'LW')) {
+        special.add(part)
+        continue
+      }
+
+      const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/)
+      if (!match) {
+        throw new ScheduleError(`Invalid ${field.name} field "${source}"`)
+      }
+
+      const step = match[2] ? Number(match[2]) : 1
+      let start, end
+      if (match[1] === '*') {
+        [start, end] = [field.min, field.max]
+      } else if (match[1].includes('-')) {
+        [start, end] = match[1].split('-').map(Number)
+      } else {
+        // "5/15" means every 15 starting at 5
+        start = Number(match[1])
+        end = match[2] ? field.max : start
+      }
+
+      if (start < field.min || end > field.max || start > end || step < 1) {
+        throw new ScheduleError(`Invalid ${field.name} field "${source}"`)
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(field.name === 'dayOfWeek' ? value % 7 : value)
+      }
+    }
+
+    parsed[field.name] = { values, special, restricted: source !== '*' }
+  })
+
+  return parsed
+}
+
+/**
+ * Check a schedule's structure, cron expression and time zone
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export const validateSchedule = (schedule) => {
+  const errors = []
+
+  if (!schedule || !Object.values(SCHEDULE_TYPES).includes(schedule.type)) {
+    errors.push('Invalid schedule type')
+    return { valid: false, errors }
+  }
+
+  if (schedule.type === SCHEDULE_TYPES.FREQUENCY && !FREQUENCY_STEPS[schedule.frequency]) {
+    errors.push('Invalid frequency')
+  }
+
+  if (schedule.type === SCHEDULE_TYPES.CRON) {
+    try {
+      parseCron(schedule.cron)
+    } catch (error) {
+      errors.push(error.message)
+    }
+  }
+
+  if (schedule.type === SCHEDULE_TYPES.WEEKDAYS &&
+    !(Array.isArray(schedule.days) && schedule.days.length > 0 && schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+    errors.push('Weekdays must list days 0-6')
+  }
+
+  if (schedule.time !== undefined && !parseTime(schedule.time)) {
+    errors.push('Time must be HH:MM')
+  }
+
+  if (schedule.timeZone && !isValidTimeZone(schedule.timeZone)) {
+    errors.push(`Unknown time zone: ${schedule.timeZone}`)
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  }
+}
+
+/**
+ * First run strictly after `after`
+ * @param {Object} schedule
+ * @param {number} after - Timestamp (ms)
+ * @param {Object} options
+ * @param {number} options.anchor - Start of a frequency schedule; occurrences are anchor + n steps, n >= 1
+ * @returns {number|null} Timestamp, or null when the schedule never fires again
+ */
+export const getNextRun = (schedule, after, { anchor = after } = {}) => {
+  const timeZone = schedule.timeZone || 'UTC'
+
+  if (schedule.type === SCHEDULE_TYPES.FREQUENCY) {
+    return getNextFrequencyRun(schedule, after, anchor, timeZone)
+  }
+
+  return getNextCronRun(parseCron(toCronExpression(schedule)), after, timeZone)
+}
+
+/**
+ * Upcoming run times, honouring the end date and occurrence limit
+ * @param {Object} options
+ * @param {number} options.from - Preview runs after this timestamp
+ * @param {number} options.count - Maximum number of runs to return
+ * @param {number} options.anchor - Start of a frequency schedule
+ * @param {number} options.endDate - No runs after this timestamp
+ * @param {number} options.maxOccurrences - Total runs allowed
+ * @param {number} options.occurrences - Runs already made
+ * @returns {number[]} Timestamps
+ */
+export const previewRuns = (schedule, {
+  from = Date.now(),
+  count = 5,
+  anchor = from,
+  endDate = null,
+  maxOccurrences = null,
+  occurrences = 0
+} = {}) => {
+  const remaining = maxOccurrences ? Math.max(0, maxOccurrences - occurrences) : count
+  const runs = []
+  let after = from
+
+  while (runs.length < Math.min(count, remaining)) {
+    const next = getNextRun(schedule, after, { anchor })
+    if (next === null || (endDate && next > endDate)) break
+    runs.push(next)
+    after = next
+  }
+
+  return runs
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a timestamp
+ */
+export const zonedTimeToTimestamp = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute)
+  const offset = getTimeZoneOffset(wallClock, timeZone)
+  const timestamp = wallClock - offset
+  // Re-check across a DST transition between the guess and the result
+  const correctedOffset = getTimeZoneOffset(timestamp, timeZone)
+  return correctedOffset === offset ? timestamp : wallClock - correctedOffset
+}
+
+/**
+ * Wall-clock parts of a timestamp in a time zone
+ */
+export const getZonedParts = (timestamp, timeZone) => {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(new Date(timestamp))
+      .filter(part => part.type !== 'literal')
+      .map(part => [part.type, Number(part.value)])
+  )
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour % 24,
+    minute: parts.minute
+  }
+}
+
+/**
+ * Private helpers
+ */
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }))
+  }
+  return formatters.get(timeZone)
+}
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone)
+    return true
+  } catch {
+    return false
+  }
+}
+
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  const parts = getZonedParts(timestamp, timeZone)
+  const wholeMinute = timestamp - (((timestamp % 60000) + 60000) % 60000)
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - wholeMinute
+}
+
+const parseTime = (time) => {
+  const match = String(time).match(/^([01]?\d|2[0-3]):([0-5]\d)$/)
+  return match ? { hour: Number(match[1]), minute: Number(match[2]) } : null
+}
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate()
+
+const lastWeekdayOfMonth = (year, month) => {
+  let day = daysInMonth(year, month)
+  while ([0, 6].includes(new Date(Date.UTC(year, month - 1, day)).getUTCDay())) {
+    day--
+  }
+  return day
+}
+
+const toCronExpression = (schedule) => {
+  const { hour, minute } = parseTime(schedule.time || DEFAULT_TIME)
+
+  switch (schedule.type) {
+    case SCHEDULE_TYPES.CRON:
+      return schedule.cron
+    case SCHEDULE_TYPES.WEEKDAYS:
+      return `${minute} ${hour} * * ${schedule.days.join(',')}`
+    case SCHEDULE_TYPES.LAST_BUSINESS_DAY:
+      return `${minute} ${hour} LW * *`
+    default:
+      throw new ScheduleError(`Unknown schedule type: ${schedule.type}`)
+  }
+}
+
+const getNextFrequencyRun = (schedule, after, anchor, timeZone) => {
+  const step = FREQUENCY_STEPS[schedule.frequency]
+  if (!step) {
+    throw new ScheduleError(`Invalid frequency: ${schedule.frequency}`)
+  }
+
+  const start = getZonedParts(anchor, timeZone)
+  const time = schedule.time ? parseTime(schedule.time) : { hour: start.hour, minute: start.minute }
+
+  const occurrence = (n) => {
+    if (step.days) {
+      const date = new Date(Date.UTC(start.year, start.month - 1, start.day + n * step.days))
+      return zonedTimeToTimestamp({ year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), ...time }, timeZone)
+    }
+
+    // Count months from the anchor so a short month never shifts later runs
+    const monthIndex = start.month - 1 + n * step.months
+    const year = start.year + Math.floor(monthIndex / 12)
+    const month = (monthIndex % 12) + 1
+    return zonedTimeToTimestamp({ year, month, day: Math.min(start.day, daysInMonth(year, month)), ...time }, timeZone)
+  }
+
+  // Jump close to `after`, then walk forward
+  const stepMs = step.days ? step.days * 86400000 : step.months * 28 * 86400000
+  let n = Math.max(1, Math.floor((after - anchor) / stepMs) - 1)
+  while (occurrence(n) <= after) {
+    n++
+  }
+  return occurrence(n)
+}
+
+const matchesCronDay = (cron, year, month, day) => {
+  if (!cron.month.values.has(month)) return false
+
+  const { dayOfMonth, dayOfWeek } = cron
+  const domMatch = dayOfMonth.values.has(day) ||
+    (dayOfMonth.special.has('L') && day === daysInMonth(year, month)) ||
+    (dayOfMonth.special.has('LW') && day === lastWeekdayOfMonth(year, month))
+  const dowMatch = dayOfWeek.values.has(new Date(Date.UTC(year, month - 1, day)).getUTCDay())
+
+  // As in standard cron, a restricted day-of-month and day-of-week match either one
+  if (dayOfMonth.restricted && dayOfWeek.restricted) return domMatch || dowMatch
+  if (dayOfMonth.restricted) return domMatch
+  if (dayOfWeek.restricted) return dowMatch
+  return true
+}
+
+const getNextCronRun = (cron, after, timeZone) => {
+  const start = getZonedParts(after, timeZone)
+  const hours = [...cron.hour.values].sort((a, b) => a - b)
+  const minutes = [...cron.minute.values].sort((a, b) => a - b)
+
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset))
+    const year = date.getUTCFullYear()
+    const month = date.getUTCMonth() + 1
+    const day = date.getUTCDate()
+    if (!matchesCronDay(cron, year, month, day)) continue
+
+    for (const hour of hours) {
+      if (offset === 0 && hour < start.hour) continue
+      for (const minute of minutes) {
+        const timestamp = zonedTimeToTimestamp({ year, month, day, hour, minute }, timeZone)
+        if (timestamp > after) return timestamp
+      }
+    }
+  }
+
+  return null
+}
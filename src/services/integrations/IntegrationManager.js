@@ -244,6 +244,14 @@ export class IntegrationManager {
       this.onChainRegistry.registerProvider('bitcoin', bitcoinProvider)
       this.logger.info('Bitcoin on-chain provider registered')
     }
+
+    // Sui providers
+    if (config.sui?.enabled) {
+      const { SuiProvider } = await import('./onchain/providers/SuiProvider.js')
+      const suiProvider = new SuiProvider(config.sui)
+      this.onChainRegistry.registerProvider('sui', suiProvider)
+      this.logger.info('Sui on-chain provider registered')
+    }
   }
 
   /**
@@ -8,6 +8,7 @@ import { AlphaVantageProvider } from '../marketData/providers/AlphaVantageProvid
 import { RazorpayProvider } from '../payments/providers/RazorpayProvider.js'
 import { WalletConnectProvider } from '../wallets/providers/WalletConnectProvider.js'
 import { OnfidoEnhancedProvider } from '../kyc/providers/OnfidoEnhancedProvider.js'
+import { SuiProvider } from '../onchain/providers/SuiProvider.js'
 
 // Mock dependencies
 vi.mock('../../../utils/secureLogger.js', () => ({
@@ -478,6 +479,70 @@ describe('New Provider Integrations', () => {
     })
   })
 
+  describe('SuiProvider', () => {
+    let provider
+    const suiAddress = `0x${'a1'.repeat(32)}`
+
+    beforeEach(() => {
+      provider = new SuiProvider({})
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('should validate addresses like the chain validator', async () => {
+      const valid = await provider.validateAddress(suiAddress.toUpperCase().replace('0X', '0x'))
+      expect(valid.isValid).toBe(true)
+      expect(valid.normalized).toBe(suiAddress)
+
+      const ethereumAddress = await provider.validateAddress(`0x${'a'.repeat(40)}`)
+      expect(ethereumAddress.isValid).toBe(false)
+      expect(ethereumAddress.normalized).toBeNull()
+    })
+
+    it('should send transactions to valid addresses', async () => {
+      vi.useFakeTimers()
+      const pending = provider.sendTransaction({ fromAddress: suiAddress, toAddress: `0x${'b2'.repeat(32)}`, amount: 5 })
+      await vi.advanceTimersByTimeAsync(1000)
+      const result = await pending
+
+      expect(result.success).toBe(true)
+      expect(result.digest).toMatch(/^[1-9A-HJ-NP-Za-km-z]{44}$/)
+      expect(result.coinType).toBe('0x2::sui::SUI')
+      expect(result.status).toBe('pending')
+      expect(result.gasBudget).toBeGreaterThan(result.gasUsed.total)
+    })
+
+    it('should reject transactions to invalid addresses', async () => {
+      await expect(provider.sendTransaction({ fromAddress: suiAddress, toAddress: 'not-an-address', amount: 5 }))
+        .rejects.toThrow('Sui transaction failed: Invalid Sui recipient address')
+    })
+
+    it('should estimate gas as computation plus storage less rebate', async () => {
+      const fees = await provider.estimateFees({ asset: 'SUI' })
+
+      expect(fees.computationCost).toBe(750 * 1000)
+      expect(Number(fees.estimatedCost.mist)).toBe(fees.computationCost + fees.storageCost - fees.storageRebate)
+      expect(fees.estimatedCost.sui).toBe((Number(fees.estimatedCost.mist) / 1e9).toFixed(9))
+    })
+
+    it('should report balances, history and network health', async () => {
+      const balance = await provider.getBalance(suiAddress)
+      expect(balance.totalBalanceMist).toBe(Math.floor(balance.balance * 1e9).toString())
+
+      const history = await provider.getTransactionHistory(suiAddress, { limit: 3 })
+      expect(history.transactions).toHaveLength(3)
+      expect(history.transactions.every(tx => tx.to === suiAddress || tx.from === suiAddress)).toBe(true)
+
+      const status = await provider.getTransactionStatus(history.transactions[0].digest)
+      expect(['pending', 'confirmed', 'failed']).toContain(status.status)
+
+      const health = await provider.healthCheck()
+      expect(health).toMatchObject({ success: true, status: 'healthy', network: 'mainnet' })
+    })
+  })
+
   describe('Provider Integration with Enhanced Registry', () => {
     it('should work with all new providers', () => {
       const providers = [
@@ -0,0 +1,188 @@
+/**
+ * On-Chain JSON-RPC Mode Tests
+ * Ethereum and Solana providers against a stubbed devnet node
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { EthereumProvider } from '../onchain/providers/EthereumProvider.js'
+import { SolanaProvider } from '../onchain/providers/SolanaProvider.js'
+import { JsonRpcError, ONCHAIN_PROVIDER_MODES, formatUnits, parseUnits } from '../onchain/JsonRpcClient.js'
+
+global.fetch = vi.fn()
+
+/**
+ * Answer JSON-RPC requests from a method -> result (or function of params) map
+ */
+const stubNode = (handlers) => {
+  global.fetch.mockImplementation(async (url, request) => {
+    const { id, method, params } = JSON.parse(request.body)
+    const handler = handlers[method]
+    if (handler === undefined) {
+      return { ok: true, json: async () => ({ jsonrpc: '2.0', id, error: { code: -32601, message: `Method ${method} not found` } }) }
+    }
+    const result = typeof handler === 'function' ? handler(params) : handler
+    return { ok: true, json: async () => ({ jsonrpc: '2.0', id, result }) }
+  })
+}
+
+const sentBodies = () => global.fetch.mock.calls.map(([, request]) => JSON.parse(request.body))
+
+describe('On-chain JSON-RPC mode', () => {
+  beforeEach(() => {
+    global.fetch.mockReset()
+  })
+
+  describe('unit conversion', () => {
+    it('should convert between decimal amounts and base units', () => {
+      expect(parseUnits('1.5', 18)).toBe(1500000000000000000n)
+      expect(parseUnits(0.0000001, 9)).toBe(100n)
+      expect(formatUnits('0x14d1120d7b160000', 18)).toBe('1.5')
+      expect(formatUnits(2500000000, 9)).toBe('2.5')
+    })
+  })
+
+  describe('EthereumProvider', () => {
+    const account = `0x${'f3'.repeat(20)}`
+    const recipient = `0x${'70'.repeat(20)}`
+    let provider
+
+    beforeEach(() => {
+      provider = new EthereumProvider({ mode: ONCHAIN_PROVIDER_MODES.JSON_RPC, rpcUrl: 'http://127.0.0.1:8545' })
+    })
+
+    it('should read balances with eth_getBalance', async () => {
+      stubNode({ eth_getBalance: '0x21e19e0c9bab2400000', eth_blockNumber: '0x5' })
+
+      const balance = await provider.getBalance(account)
+
+      expect(balance).toMatchObject({ success: true, balance: 10000, balanceWei: '10000000000000000000000', blockNumber: 5 })
+      expect(sentBodies().find(body => body.method === 'eth_getBalance').params).toEqual([account, 'latest'])
+    })
+
+    it('should send signed transactions raw and unsigned ones from unlocked accounts', async () => {
+      stubNode({ eth_sendRawTransaction: '0xabc', eth_sendTransaction: '0xdef' })
+
+      const raw = await provider.sendTransaction({ signedTransaction: '0x02f8', fromAddress: account, toAddress: recipient, amount: 1 })
+      const unlocked = await provider.sendTransaction({ fromAddress: account, toAddress: recipient, amount: 0.25 })
+
+      expect(raw).toMatchObject({ transactionHash: '0xabc', status: 'pending', confirmations: 0 })
+      expect(unlocked.transactionHash).toBe('0xdef')
+      expect(sentBodies()[1].params[0]).toEqual({ from: account, to: recipient, value: '0x3782dace9d90000' })
+    })
+
+    it('should count confirmations from the receipt block', async () => {
+      stubNode({
+        eth_getTransactionReceipt: ([hash]) => hash === '0xmined'
+          ? { status: '0x1', blockNumber: '0xa', gasUsed: '0x5208', effectiveGasPrice: '0x3b9aca00' }
+          : null,
+        eth_blockNumber: '0xc'
+      })
+
+      const mined = await provider.getTransactionStatus('0xmined')
+      const pending = await provider.getTransactionStatus('0xqueued')
+
+      expect(mined).toMatchObject({ status: 'confirmed', confirmations: 3, blockNumber: 10, gasUsed: '21000', effectiveGasPrice: '1000000000' })
+      expect(pending).toMatchObject({ status: 'pending', confirmations: 0 })
+    })
+
+    it('should report reverted transactions as failed', async () => {
+      stubNode({ eth_getTransactionReceipt: { status: '0x0', blockNumber: '0x2', gasUsed: '0x7530' }, eth_blockNumber: '0x2' })
+
+      expect(await provider.getTransactionStatus('0xreverted')).toMatchObject({ status: 'failed', confirmations: 1 })
+    })
+
+    it('should estimate fees with eth_estimateGas and eth_gasPrice', async () => {
+      stubNode({ eth_estimateGas: '0x5208', eth_gasPrice: '0x77359400' })
+
+      const fees = await provider.estimateFees({ fromAddress: account, toAddress: recipient, amount: 1 })
+
+      expect(fees).toMatchObject({ gasLimit: 21000, gasPrice: 2000000000 })
+      expect(fees.estimatedCost.wei).toBe('42000000000000')
+    })
+
+    it('should surface node errors', async () => {
+      stubNode({})
+
+      await expect(provider.sendTransaction({ signedTransaction: '0x02' }))
+        .rejects.toThrow('Ethereum transaction failed: eth_sendRawTransaction failed: Method eth_sendRawTransaction not found')
+
+      const health = await provider.healthCheck()
+      expect(health.status).toBe('unhealthy')
+    })
+
+    it('should keep simulating by default', async () => {
+      const simulated = new EthereumProvider({})
+      await simulated.getBalance(account)
+
+      expect(simulated.rpc).toBeNull()
+      expect(global.fetch).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('SolanaProvider', () => {
+    const account = '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin'
+    let provider
+
+    beforeEach(() => {
+      provider = new SolanaProvider({ mode: ONCHAIN_PROVIDER_MODES.JSON_RPC, rpcUrl: 'http://127.0.0.1:8899' })
+    })
+
+    it('should read balances in lamports', async () => {
+      stubNode({ getBalance: { context: { slot: 42 }, value: 2500000000 } })
+
+      const balance = await provider.getBalance(account)
+
+      expect(balance).toMatchObject({ balance: 2.5, lamports: 2500000000, slot: 42 })
+      expect(sentBodies()[0].params).toEqual([account, { commitment: 'confirmed' }])
+    })
+
+    it('should send signed base64 transactions', async () => {
+      stubNode({ sendTransaction: '5VERv8NMvzbJMEkV8xnrLkEaWRtSz9CosKDYjCJjBRnbJLgp8uirBgmQpjKhoR4tjF3ZpRzrFmBV6UjKdiSZkQUW' })
+
+      const result = await provider.sendTransaction({ signedTransaction: 'AQID', fromAddress: account, amount: 1 })
+
+      expect(result.signature).toMatch(/^5VERv8/)
+      expect(sentBodies()[0].params).toEqual(['AQID', { encoding: 'base64', preflightCommitment: 'confirmed' }])
+      await expect(provider.sendTransaction({ fromAddress: account, amount: 1 }))
+        .rejects.toThrow('Solana transaction failed: JSON-RPC mode needs a signed, base64-encoded transaction')
+    })
+
+    it('should map signature statuses', async () => {
+      const statuses = {
+        confirmed: { slot: 100, confirmations: 4, err: null, confirmationStatus: 'confirmed' },
+        finalized: { slot: 90, confirmations: null, err: null, confirmationStatus: 'finalized' },
+        failed: { slot: 95, confirmations: 2, err: { InstructionError: [0, 'Custom'] }, confirmationStatus: 'confirmed' }
+      }
+      stubNode({ getSignatureStatuses: ([[signature]]) => ({ context: { slot: 104 }, value: [statuses[signature] || null] }) })
+
+      expect(await provider.getTransactionStatus('confirmed')).toMatchObject({ confirmationStatus: 'confirmed', confirmations: 4, slot: 100 })
+      expect(await provider.getTransactionStatus('finalized')).toMatchObject({ confirmationStatus: 'finalized', confirmations: 32 })
+      expect(await provider.getTransactionStatus('failed')).toMatchObject({ confirmationStatus: 'failed', confirmations: 2 })
+      expect(await provider.getTransactionStatus('unknown')).toMatchObject({ confirmationStatus: 'pending', confirmations: 0 })
+    })
+
+    it('should report the local cluster as healthy', async () => {
+      stubNode({ getSlot: 120, getBlockHeight: 118, getVersion: { 'solana-core': '1.18.26' } })
+
+      const health = await provider.healthCheck()
+
+      expect(health).toMatchObject({ success: true, cluster: 'localnet', slot: 120, blockHeight: 118 })
+    })
+  })
+
+  it('should time out unresponsive nodes', async () => {
+    vi.useFakeTimers()
+    global.fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })))
+    }))
+    const provider = new EthereumProvider({ mode: ONCHAIN_PROVIDER_MODES.JSON_RPC, rpcUrl: 'http://127.0.0.1:8545', timeout: 500 })
+
+    const pending = provider.rpc.call('eth_blockNumber').catch(error => error)
+    await vi.advanceTimersByTimeAsync(500)
+    const error = await pending
+    vi.useRealTimers()
+
+    expect(error).toBeInstanceOf(JsonRpcError)
+    expect(error.message).toBe('eth_blockNumber timed out after 500ms')
+  })
+})
@@ -0,0 +1,110 @@
+/**
+ * Payment Refund and Dispute Tests
+ * Refund limits and dispute lifecycle of payments taken through the registry
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { PaymentProviderRegistry } from '../payments/PaymentProviderRegistry.js'
+import { PaymentResult } from '../payments/PaymentResult.js'
+import { PAYMENT_STATUS, DISPUTE_STATUS, getRefundableAmount, getPaymentStatus } from '../payments/paymentLifecycle.js'
+import { StripeProvider } from '../payments/providers/StripeProvider.js'
+import { Money } from '../../../domains/shared/value-objects/Money.js'
+
+vi.mock('../../../utils/logger.js', () => ({
+  default: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}))
+
+class FakeCardProvider {
+  constructor() {
+    this.refundPayment = vi.fn(async (transactionId, amount) => ({ refundId: `re_${amount.amount}`, status: 'succeeded', amount }))
+  }
+
+  async processPayment(paymentRequest) {
+    return PaymentResult.success('pay_1', paymentRequest.amount, { provider: 'fake', paymentMethod: 'card' })
+  }
+
+  async getPaymentMethods() {
+    return []
+  }
+
+  async calculateFees(paymentRequest) {
+    const zero = Money.zero(paymentRequest.amount.currency)
+    return { processing: zero, network: zero, total: zero }
+  }
+}
+
+const usd = (amount) => new Money(amount, 'USD')
+
+describe('Payment refunds and disputes', () => {
+  let registry
+  let provider
+
+  beforeEach(async () => {
+    registry = new PaymentProviderRegistry()
+    provider = new FakeCardProvider()
+    await registry.registerProvider('fake', provider, { healthCheck: false })
+    await registry.processPayment({ amount: usd(100), type: 'deposit', paymentMethod: 'card' }, { providerId: 'fake' })
+  })
+
+  afterEach(() => {
+    registry.destroy()
+  })
+
+  it('should refund partially and then the rest', async () => {
+    const partial = await registry.refundPayment('pay_1', { amount: usd(30), reason: 'requested_by_customer' })
+
+    expect(partial).toMatchObject({ success: true, refundId: 're_30', status: PAYMENT_STATUS.PARTIALLY_REFUNDED })
+    expect(partial.refundedAmount.amount).toBe(30)
+    expect(provider.refundPayment).toHaveBeenCalledWith('pay_1', usd(30), { reason: 'requested_by_customer' })
+
+    const rest = await registry.refundPayment('pay_1')
+
+    expect(rest.amount.amount).toBe(70)
+    expect(rest.isRefunded()).toBe(true)
+    expect(registry.getPayment('pay_1').refunds).toHaveLength(2)
+  })
+
+  it('should not refund more than is left', async () => {
+    await registry.refundPayment('pay_1', { amount: usd(60) })
+
+    await expect(registry.refundPayment('pay_1', { amount: usd(40.01) })).rejects.toMatchObject({ errorCode: 'refund_not_allowed' })
+    expect(provider.refundPayment).toHaveBeenCalledTimes(1)
+  })
+
+  it('should not refund disputed payments', async () => {
+    registry.openDispute('pay_1', { disputeId: 'dp_1', reason: 'fraudulent' })
+
+    expect(registry.getPayment('pay_1').status).toBe(PAYMENT_STATUS.DISPUTED)
+    await expect(registry.refundPayment('pay_1')).rejects.toThrow('Refund not allowed: payment is disputed')
+    expect(() => registry.openDispute('pay_1', { disputeId: 'dp_2' })).toThrow('already has an open dispute')
+  })
+
+  it('should move disputes through their lifecycle', () => {
+    registry.openDispute('pay_1', { disputeId: 'dp_1' })
+    registry.updateDispute('pay_1', DISPUTE_STATUS.UNDER_REVIEW)
+    const payment = registry.updateDispute('pay_1', DISPUTE_STATUS.LOST)
+
+    expect(payment.status).toBe(PAYMENT_STATUS.CHARGED_BACK)
+    expect(payment.dispute.closedAt).toBeInstanceOf(Date)
+    expect(() => registry.updateDispute('pay_1', DISPUTE_STATUS.WON)).toThrow('Dispute cannot move from lost to won')
+    expect(() => registry.updateDispute('pay_1', 'escalated')).toThrow('Unknown dispute status: escalated')
+  })
+
+  it('should derive status and refundable amount in whole cents', () => {
+    expect(getRefundableAmount({ amount: 10.1, refundedAmount: 0.2 })).toBe(9.9)
+    expect(getPaymentStatus({ amount: 0.3, refundedAmount: 0.1 + 0.2 })).toBe(PAYMENT_STATUS.REFUNDED)
+    expect(getPaymentStatus({ amount: 100, refundedAmount: 100, dispute: { status: DISPUTE_STATUS.WON } })).toBe(PAYMENT_STATUS.REFUNDED)
+  })
+
+  it('should validate Stripe refunds before calling the API', async () => {
+    const stripe = new StripeProvider({})
+
+    await expect(stripe.refundPayment(null, usd(10))).rejects.toThrow('Payment ID is required for refunds')
+    await expect(stripe.refundPayment('pi_1', usd(0))).rejects.toThrow('Invalid refund amount')
+  })
+})
@@ -0,0 +1,173 @@
+/**
+ * ERC-20 / SPL Token Support Tests
+ * Token registry, token balances, transfers and allowance checks
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { EthereumProvider } from '../onchain/providers/EthereumProvider.js'
+import { SolanaProvider } from '../onchain/providers/SolanaProvider.js'
+import { SuiProvider } from '../onchain/providers/SuiProvider.js'
+import { ONCHAIN_PROVIDER_MODES } from '../onchain/JsonRpcClient.js'
+import { TOKEN_STANDARDS, getToken, findTokenByAddress, getTokenChains } from '../onchain/tokenRegistry.js'
+
+global.fetch = vi.fn()
+
+const stubNode = (handlers) => {
+  global.fetch.mockImplementation(async (url, request) => {
+    const { id, method, params } = JSON.parse(request.body)
+    const handler = handlers[method]
+    const result = typeof handler === 'function' ? handler(params) : handler
+    return { ok: true, json: async () => ({ jsonrpc: '2.0', id, result }) }
+  })
+}
+
+const sentBodies = () => global.fetch.mock.calls.map(([, request]) => JSON.parse(request.body))
+
+const word = (value) => BigInt(value).toString(16).padStart(64, '0')
+
+describe('Token support', () => {
+  beforeEach(() => {
+    global.fetch.mockReset()
+  })
+
+  describe('token registry', () => {
+    it('should distinguish USDC per chain', () => {
+      expect(getTokenChains('USDC')).toEqual(['ethereum', 'solana', 'sui'])
+      expect(getToken('ethereum', 'USDC')).toMatchObject({ decimals: 6, standard: TOKEN_STANDARDS.ERC20, chain: 'ethereum' })
+      expect(getToken('solana', 'USDC')).toMatchObject({ address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', standard: TOKEN_STANDARDS.SPL })
+      expect(getToken('sui', 'USDC').standard).toBe(TOKEN_STANDARDS.SUI_COIN)
+      expect(getToken('bitcoin', 'USDC')).toBeNull()
+    })
+
+    it('should look tokens up by address and apply devnet overrides', () => {
+      expect(findTokenByAddress('ethereum', '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48').symbol).toBe('USDC')
+      expect(findTokenByAddress('solana', 'epjfwdd5aufqssqem2qn1xzybapc8g4wegGkZwyTDt1v')).toBeNull()
+
+      const devnetUsdc = `0x${'5f'.repeat(20)}`
+      expect(getToken('ethereum', 'USDC', { USDC: devnetUsdc }).address).toBe(devnetUsdc)
+      expect(findTokenByAddress('ethereum', devnetUsdc, { USDC: devnetUsdc }).symbol).toBe('USDC')
+    })
+  })
+
+  describe('EthereumProvider ERC-20', () => {
+    const owner = `0x${'f3'.repeat(20)}`
+    const spender = `0x${'9a'.repeat(20)}`
+    const recipient = `0x${'70'.repeat(20)}`
+    const usdc = getToken('ethereum', 'USDC').address
+
+    it('should read token balances with balanceOf', async () => {
+      const provider = new EthereumProvider({ mode: ONCHAIN_PROVIDER_MODES.JSON_RPC, rpcUrl: 'http://127.0.0.1:8545' })
+      stubNode({ eth_call: `0x${word(1234560000)}`, eth_blockNumber: '0x9' })
+
+      const balance = await provider.getBalance(owner, 'USDC')
+
+      expect(balance).toMatchObject({ asset: 'USDC', balance: 1234.56, rawBalance: '1234560000', decimals: 6, tokenAddress: usdc })
+      expect(sentBodies()[0].params[0]).toEqual({ to: usdc, data: `0x70a08231${owner.slice(2).padStart(64, '0')}` })
+    })
+
+    it('should send transfer calldata to the token contract', async () => {
+      const provider = new EthereumProvider({ mode: ONCHAIN_PROVIDER_MODES.JSON_RPC, rpcUrl: 'http://127.0.0.1:8545' })
+      stubNode({ eth_sendTransaction: '0xabc' })
+
+      const result = await provider.sendTransaction({ fromAddress: owner, toAddress: recipient, amount: 25.5, asset: 'USDC' })
+
+      expect(result).toMatchObject({ transactionHash: '0xabc', method: 'transfer', tokenAddress: usdc, spender: null })
+      expect(sentBodies()[0].params[0]).toEqual({
+        from: owner,
+        to: usdc,
+        data: `0xa9059cbb${recipient.slice(2).padStart(64, '0')}${word(25500000)}`
+      })
+    })
+
+    it('should check the allowance before transferFrom', async () => {
+      const provider = new EthereumProvider({ mode: ONCHAIN_PROVIDER_MODES.JSON_RPC, rpcUrl: 'http://127.0.0.1:8545' })
+      stubNode({ eth_call: `0x${word(10000000)}`, eth_sendTransaction: '0xdef' })
+
+      await expect(provider.sendTransaction({ fromAddress: owner, spenderAddress: spender, toAddress: recipient, amount: 11, asset: 'USDC' }))
+        .rejects.toThrow(`Insufficient USDC allowance: ${spender} may move 10, needs 11`)
+
+      const result = await provider.sendTransaction({ fromAddress: owner, spenderAddress: spender, toAddress: recipient, amount: 10, asset: 'USDC' })
+      const sent = sentBodies().find(body => body.method === 'eth_sendTransaction').params[0]
+
+      expect(result.method).toBe('transferFrom')
+      expect(sent.from).toBe(spender)
+      expect(sent.data.startsWith('0x23b872dd')).toBe(true)
+    })
+
+    describe('simulated', () => {
+      beforeEach(() => {
+        vi.useFakeTimers()
+      })
+
+      afterEach(() => {
+        vi.useRealTimers()
+      })
+
+      it('should spend simulated approvals', async () => {
+        const provider = new EthereumProvider({})
+        await provider.approveToken({ ownerAddress: owner, spenderAddress: spender, amount: 100, asset: 'USDC' })
+
+        const transfer = provider.sendTransaction({ fromAddress: owner, spenderAddress: spender, toAddress: recipient, amount: 60, asset: 'USDC' })
+        await vi.advanceTimersByTimeAsync(2000)
+        await transfer
+
+        expect((await provider.getAllowance(owner, spender, 'USDC')).allowance).toBe(40)
+        await expect(provider.sendTransaction({ fromAddress: owner, spenderAddress: spender, toAddress: recipient, amount: 60, asset: 'USDC' }))
+          .rejects.toThrow('Insufficient USDC allowance')
+      })
+
+      it('should reject unregistered tokens', async () => {
+        const provider = new EthereumProvider({})
+
+        await expect(provider.getBalance(owner, 'DOGE')).rejects.toThrow('Unsupported Ethereum token: DOGE')
+        expect((await provider.getTokenInfo(usdc)).symbol).toBe('USDC')
+      })
+    })
+  })
+
+  describe('SolanaProvider SPL', () => {
+    const owner = '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin'
+    const delegate = 'DiBoaS1111111111111111111111111111111111111'
+    const mint = getToken('solana', 'USDC').address
+
+    const tokenAccount = (amount, delegation = {}) => ({
+      pubkey: `acct${amount}`,
+      account: { data: { parsed: { info: { mint, owner, tokenAmount: { amount: String(amount), decimals: 6 }, ...delegation } } } }
+    })
+
+    let provider
+
+    beforeEach(() => {
+      provider = new SolanaProvider({ mode: ONCHAIN_PROVIDER_MODES.JSON_RPC, rpcUrl: 'http://127.0.0.1:8899' })
+    })
+
+    it('should add up token accounts for the mint', async () => {
+      stubNode({ getTokenAccountsByOwner: { context: { slot: 7 }, value: [tokenAccount(1500000), tokenAccount(250000)] } })
+
+      const balance = await provider.getBalance(owner, 'USDC')
+
+      expect(balance).toMatchObject({ balance: 1.75, rawBalance: '1750000', mint, tokenAccounts: 2 })
+      expect(sentBodies()[0].params).toEqual([owner, { mint }, { encoding: 'jsonParsed', commitment: 'confirmed' }])
+    })
+
+    it('should check the delegated amount before a delegate transfer', async () => {
+      stubNode({
+        getTokenAccountsByOwner: { context: { slot: 7 }, value: [tokenAccount(9000000, { delegate, delegatedAmount: { amount: '5000000' } })] },
+        sendTransaction: 'sig'
+      })
+
+      await expect(provider.sendTransaction({ fromAddress: owner, spenderAddress: delegate, amount: 6, asset: 'USDC', signedTransaction: 'AQID' }))
+        .rejects.toThrow(`Insufficient USDC allowance: ${delegate} may move 5, needs 6`)
+
+      const result = await provider.sendTransaction({ fromAddress: owner, spenderAddress: delegate, amount: 5, asset: 'USDC', signedTransaction: 'AQID' })
+      expect(result).toMatchObject({ signature: 'sig', mint, delegate, decimals: 6 })
+    })
+  })
+
+  it('should take Sui coin types from the registry', () => {
+    const provider = new SuiProvider({})
+
+    expect(provider.getCoinType('USDC')).toBe(getToken('sui', 'USDC').address)
+    expect(provider.getCoinType('SUI')).toBe('0x2::sui::SUI')
+  })
+})
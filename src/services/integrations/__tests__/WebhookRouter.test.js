@@ -0,0 +1,252 @@
+/**
+ * Webhook Ingestion Tests
+ * Signature verification, replay protection and event mapping per provider
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { EventBus } from '../../../infrastructure/EventBus.js'
+import { WebhookRouter } from '../webhooks/WebhookRouter.js'
+import { WebhookTestHarness, WEBHOOK_SAMPLES } from '../webhooks/WebhookTestHarness.js'
+import { WEBHOOK_ERROR_CODES } from '../webhooks/WebhookError.js'
+import { crc32, generateRsaSha256KeyPair, generateEs256KeyPair } from '../webhooks/webhookCrypto.js'
+import { JumioProvider } from '../kyc/providers/JumioProvider.js'
+import { PayPalProvider } from '../payments/providers/PayPalProvider.js'
+
+vi.mock('../../../utils/logger.js', () => ({
+  default: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}))
+
+const NOW = Date.parse('2026-03-02T12:00:00Z')
+
+const config = {
+  toleranceSeconds: 300,
+  replayWindowSeconds: 3600,
+  kyc: {
+    jumio: { webhookSecret: 'jumio_secret' },
+    onfido: { webhookToken: 'onfido_token' }
+  },
+  payments: {
+    stripe: { webhookSecret: 'whsec_test' },
+    paypal: { webhookId: 'WH-1' },
+    plaid: { clientId: 'plaid_client', secret: 'plaid_secret' }
+  }
+}
+
+const der = (tag, ...parts) => {
+  const content = parts.flatMap(part => [...part])
+  const length = content.length < 128 ? [content.length] : [0x82, content.length >> 8, content.length & 0xff]
+  return Uint8Array.from([tag, ...length, ...content])
+}
+
+// Just enough of an X.509 certificate to carry the public key
+const certificatePem = async (publicKey) => {
+  const spki = new Uint8Array(await crypto.subtle.exportKey('spki', publicKey))
+  const tbs = der(0x30, der(0xa0, der(0x02, [2])), der(0x02, [1]), der(0x30), der(0x30), der(0x30), der(0x30), spki)
+  const certificate = der(0x30, tbs, der(0x30), der(0x03, [0]))
+  return `-----BEGIN CERTIFICATE-----\n${btoa(String.fromCharCode(...certificate))}\n-----END CERTIFICATE-----\n`
+}
+
+describe('Webhook ingestion', () => {
+  let eventBus
+  let router
+  let harness
+  let now
+
+  beforeEach(() => {
+    localStorage.clear()
+    now = NOW
+    eventBus = new EventBus({ enableLogging: false })
+    router = new WebhookRouter({ eventBus, config, now: () => now })
+    harness = new WebhookTestHarness(router)
+  })
+
+  it('should accept every sample payload and publish its event', async () => {
+    const received = []
+    eventBus.subscribeToAll(event => received.push(`${event.data.provider}:${event.eventType}`))
+
+    for (const [provider, eventTypes] of Object.entries(harness.listSamples())) {
+      for (const eventType of eventTypes) {
+        const result = await harness.fire(provider, eventType)
+        expect(result).toMatchObject({ accepted: true, ignored: false })
+        expect(result.event.eventType).toBe(eventType)
+      }
+    }
+
+    const expected = Object.entries(WEBHOOK_SAMPLES)
+      .flatMap(([provider, samples]) => Object.keys(samples).map(eventType => `${provider}:${eventType}`))
+    expect(received).toEqual(expected)
+  })
+
+  it('should map Stripe refunds to payment.refunded in major units', async () => {
+    const refunded = eventBus.waitFor('payment.refunded')
+
+    await harness.fire('stripe', 'payment.refunded', { id: 'pi_123', amount: 25.5 })
+
+    const event = await refunded
+    expect(event.data).toMatchObject({
+      provider: 'stripe',
+      paymentId: 'pi_123',
+      amount: 25.5,
+      currency: 'USD',
+      receivedAt: new Date(NOW).toISOString()
+    })
+  })
+
+  it('should map KYC callbacks to kyc events', async () => {
+    const jumio = await harness.fire('jumio', 'kyc.rejected', { id: 'scan_1', userId: 'user_1' })
+    const onfido = await harness.fire('onfido', 'kyc.approved', { id: 'chk_1', userId: 'applicant_1' })
+
+    expect(jumio.event.data).toMatchObject({ verificationId: 'scan_1', userId: 'user_1', reason: 'MANIPULATED_DOCUMENT' })
+    expect(onfido.event.data).toMatchObject({ verificationId: 'chk_1', userId: 'applicant_1', status: 'complete', reason: null })
+  })
+
+  it('should reject deliveries signed with another secret', async () => {
+    for (const provider of ['jumio', 'onfido', 'stripe', 'paypal', 'plaid']) {
+      const [eventType] = Object.keys(WEBHOOK_SAMPLES[provider])
+      const delivery = await harness.buildDelivery(provider, eventType, { secret: 'wrong' })
+
+      await expect(router.handle(provider, delivery)).rejects.toMatchObject({ code: WEBHOOK_ERROR_CODES.INVALID_SIGNATURE })
+    }
+  })
+
+  it('should reject bodies changed after signing', async () => {
+    const delivery = await harness.buildDelivery('stripe', 'payment.succeeded', { amount: 10 })
+    const tampered = { ...delivery, body: delivery.body.replace('"amount":1000', '"amount":100000') }
+
+    await expect(router.handle('stripe', tampered)).rejects.toMatchObject({ code: WEBHOOK_ERROR_CODES.INVALID_SIGNATURE })
+  })
+
+  it('should reject timestamps outside the tolerance', async () => {
+    const stale = await harness.buildDelivery('stripe', 'payment.succeeded', { timestamp: NOW / 1000 - 301 })
+    const future = await harness.buildDelivery('plaid', 'bank.verified', { timestamp: NOW / 1000 + 301 })
+
+    await expect(router.handle('stripe', stale)).rejects.toMatchObject({ code: WEBHOOK_ERROR_CODES.STALE_TIMESTAMP })
+    await expect(router.handle('plaid', future)).rejects.toMatchObject({ code: WEBHOOK_ERROR_CODES.STALE_TIMESTAMP })
+  })
+
+  it('should reject replays within the window and forget them after it', async () => {
+    const handler = vi.fn()
+    eventBus.subscribe('kyc.approved', handler)
+    const delivery = await harness.buildDelivery('onfido', 'kyc.approved', { id: 'chk_replayed' })
+
+    await router.handle('onfido', delivery)
+    await expect(router.handle('onfido', delivery)).rejects.toMatchObject({ code: WEBHOOK_ERROR_CODES.REPLAYED })
+
+    now += 3601 * 1000
+    await router.handle('onfido', delivery)
+    expect(handler).toHaveBeenCalledTimes(2)
+  })
+
+  it('should record a delivery only once it is published', async () => {
+    const delivery = await harness.buildDelivery('onfido', 'kyc.approved', { id: 'chk_retried' })
+    vi.spyOn(eventBus, 'emit').mockRejectedValueOnce(new Error('Event bus unavailable'))
+
+    await expect(router.handle('onfido', delivery)).rejects.toThrow('Event bus unavailable')
+    expect((await router.handle('onfido', delivery)).accepted).toBe(true)
+    await expect(router.handle('onfido', delivery)).rejects.toMatchObject({ code: WEBHOOK_ERROR_CODES.REPLAYED })
+  })
+
+  it('should remember deliveries across restarts', async () => {
+    const delivery = await harness.buildDelivery('onfido', 'kyc.approved', { id: 'chk_restarted' })
+    await router.handle('onfido', delivery)
+
+    const restarted = new WebhookRouter({ eventBus, config, now: () => now })
+    await expect(restarted.handle('onfido', delivery)).rejects.toMatchObject({ code: WEBHOOK_ERROR_CODES.REPLAYED })
+  })
+
+  it('should verify PayPal deliveries with certificates fetched from PayPal', async () => {
+    const { publicKey, privateKey } = await generateRsaSha256KeyPair()
+    const fetch = vi.fn(async () => ({ ok: true, text: async () => certificatePem(publicKey) }))
+    const paypalRouter = new WebhookRouter({ eventBus, config, now: () => now, fetch })
+    const sign = (certUrl) => harness.buildDelivery('paypal', 'payment.succeeded').then(async ({ body }) => ({
+      body,
+      headers: await paypalRouter.providers.paypal.sign({ body, timestamp: NOW / 1000, webhookId: 'WH-1', signingKey: { keyId: certUrl, privateKey } })
+    }))
+
+    const certUrl = 'https://api.paypal.com/v1/notifications/certs/CERT-360caa42'
+    expect((await paypalRouter.handle('paypal', await sign(certUrl))).accepted).toBe(true)
+    expect(fetch).toHaveBeenCalledWith(certUrl, {})
+
+    await expect(paypalRouter.handle('paypal', await sign('https://certs.example.com/CERT-1')))
+      .rejects.toMatchObject({ code: WEBHOOK_ERROR_CODES.INVALID_SIGNATURE })
+    expect(fetch).toHaveBeenCalledTimes(1)
+
+    const other = await sign(certUrl)
+    other.headers['paypal-auth-algo'] = 'HMAC-SHA256'
+    await expect(paypalRouter.handle('paypal', other)).rejects.toThrow('Unsupported PayPal auth algorithm')
+  })
+
+  it('should verify Plaid deliveries with the key named by the token', async () => {
+    const { publicKey, privateKey } = await generateEs256KeyPair()
+    const jwk = await crypto.subtle.exportKey('jwk', publicKey)
+    let expiredAt = null
+    const fetch = vi.fn(async (url, { body }) => ({
+      ok: true,
+      json: async () => ({ key: { ...jwk, alg: 'ES256', kid: JSON.parse(body).key_id, use: 'sig', expired_at: expiredAt } })
+    }))
+    const plaidRouter = new WebhookRouter({ eventBus, config, now: () => now, fetch })
+    const sign = (keyId) => harness.buildDelivery('plaid', 'bank.verified').then(async ({ body }) => ({
+      body,
+      headers: await plaidRouter.providers.plaid.sign({ body, timestamp: NOW / 1000, signingKey: { keyId, privateKey } })
+    }))
+
+    expect((await plaidRouter.handle('plaid', await sign('kid_1'))).accepted).toBe(true)
+    expect(fetch).toHaveBeenCalledWith('https://sandbox.plaid.com/webhook_verification_key/get', expect.objectContaining({ method: 'POST' }))
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ client_id: 'plaid_client', secret: 'plaid_secret', key_id: 'kid_1' })
+
+    expiredAt = NOW / 1000
+    await expect(plaidRouter.handle('plaid', await sign('kid_2'))).rejects.toThrow('kid_2 is expired or unknown')
+
+    fetch.mockResolvedValueOnce({ ok: false, status: 503 })
+    await expect(plaidRouter.handle('plaid', await sign('kid_3'))).rejects.toMatchObject({ code: WEBHOOK_ERROR_CODES.KEY_UNAVAILABLE })
+  })
+
+  it('should acknowledge events it does not map without publishing', async () => {
+    const handler = vi.fn()
+    eventBus.subscribeToAll(handler)
+    const delivery = await harness.signDelivery('stripe', { id: 'evt_other', type: 'customer.created', created: NOW / 1000, data: { object: {} } })
+
+    expect(await router.handle('stripe', delivery)).toEqual({ accepted: true, ignored: true, event: null })
+    expect(handler).not.toHaveBeenCalled()
+  })
+
+  it('should reject unknown providers, missing secrets and missing signatures', async () => {
+    const unconfigured = new WebhookRouter({ eventBus, config: { kyc: {}, payments: {} }, now: () => now })
+    const delivery = await harness.buildDelivery('stripe', 'payment.succeeded')
+
+    await expect(router.handle('venmo', delivery)).rejects.toMatchObject({ code: WEBHOOK_ERROR_CODES.UNKNOWN_PROVIDER })
+    await expect(unconfigured.handle('stripe', delivery)).rejects.toMatchObject({ code: WEBHOOK_ERROR_CODES.NOT_CONFIGURED })
+    await expect(router.handle('stripe', { headers: {}, body: delivery.body })).rejects.toMatchObject({ code: WEBHOOK_ERROR_CODES.MISSING_SIGNATURE })
+  })
+
+  it('should read headers case-insensitively', async () => {
+    const { headers, body } = await harness.buildDelivery('paypal', 'payment.succeeded')
+    const upperCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toUpperCase(), value]))
+
+    expect((await router.handle('paypal', { headers: upperCased, body })).accepted).toBe(true)
+  })
+
+  it('should compute the CRC32 PayPal signs', () => {
+    expect(crc32('123456789')).toBe(0xcbf43926)
+  })
+
+  it('should verify signatures through the provider classes', async () => {
+    const jumioDelivery = await harness.buildDelivery('jumio', 'kyc.approved')
+    const jumio = new JumioProvider(config.kyc.jumio)
+    const { 'x-jumio-signature': signature, 'x-jumio-timestamp': timestamp } = jumioDelivery.headers
+
+    expect((await jumio.verifyWebhook(signature, jumioDelivery.body, timestamp)).verified).toBe(true)
+    expect(await jumio.verifyWebhook(signature, `${jumioDelivery.body} `, timestamp)).toMatchObject({ verified: false, reason: 'invalid_signature' })
+
+    const paypalDelivery = await harness.buildDelivery('paypal', 'payment.refunded')
+    const paypal = new PayPalProvider(config.payments.paypal)
+
+    expect((await paypal.verifyWebhook(paypalDelivery.headers, paypalDelivery.body)).verification_status).toBe('SUCCESS')
+    expect((await paypal.verifyWebhook(paypalDelivery.headers, paypalDelivery.body, 'WH-other')).verification_status).toBe('FAILURE')
+  })
+})
@@ -3,6 +3,10 @@
  * KYC verification via Jumio
  */
 
+import { WEBHOOK_PROVIDERS } from '../../webhooks/webhookProviders.js'
+import { WebhookError } from '../../webhooks/WebhookError.js'
+import { getWebhookConfig } from '../../../../config/webhooks.js'
+
 export class JumioProvider {
   constructor(config) {
     this.config = config
@@ -209,14 +213,27 @@ export class JumioProvider {
    */
   async verifyWebhook(signature, payload, timestamp) {
     try {
-      // Simulate webhook signature verification
-      // In production, this would verify the Jumio webhook signature
+      // The secret is server-side only
+      const secret = this.config.webhookSecret || getWebhookConfig('kyc', 'jumio').webhookSecret
+      if (!secret) {
+        throw new Error('Webhook secret not configured')
+      }
+
+      await WEBHOOK_PROVIDERS.jumio.verify({
+        headers: { 'x-jumio-signature': signature, 'x-jumio-timestamp': timestamp },
+        body: payload,
+        secret
+      })
+
       return {
         success: true,
         verified: true,
         timestamp
       }
     } catch (error) {
+      if (error instanceof WebhookError) {
+        return { success: true, verified: false, reason: error.code, timestamp }
+      }
       throw new Error(`Webhook verification failed: ${error.message}`)
     }
   }
@@ -3,6 +3,10 @@
  * KYC verification via Onfido
  */
 
+import { WEBHOOK_PROVIDERS } from '../../webhooks/webhookProviders.js'
+import { WebhookError } from '../../webhooks/WebhookError.js'
+import { getWebhookConfig } from '../../../../config/webhooks.js'
+
 export class OnfidoProvider {
   constructor(config) {
     this.config = config
@@ -243,14 +247,27 @@ export class OnfidoProvider {
    */
   async verifyWebhook(signature, payload, timestamp) {
     try {
-      // Simulate webhook signature verification
-      // In production, this would verify the Onfido webhook signature
+      // The token is server-side only
+      const secret = this.config.webhookToken || getWebhookConfig('kyc', 'onfido').webhookToken
+      if (!secret) {
+        throw new Error('Webhook secret not configured')
+      }
+
+      await WEBHOOK_PROVIDERS.onfido.verify({
+        headers: { 'x-sha2-signature': signature },
+        body: payload,
+        secret
+      })
+
       return {
         success: true,
         verified: true,
         timestamp
       }
     } catch (error) {
+      if (error instanceof WebhookError) {
+        return { success: true, verified: false, reason: error.code, timestamp }
+      }
       throw new Error(`Webhook verification failed: ${error.message}`)
     }
   }
@@ -31,7 +31,7 @@ export class MarketDataProviderRegistry extends BaseProviderRegistry {
     super.validateProviderInterface(provider)
     
     const requiredMethods = ['getCryptoData', 'getStockData', 'getCommoditiesData']
-    const optionalMethods = ['getAllMarketData', 'getAssetPrice', 'healthCheck']
+    const optionalMethods = ['getAllMarketData', 'getAssetPrice', 'getHistoricalCandles', 'healthCheck']
     
     requiredMethods.forEach(method => {
       if (typeof provider[method] !== 'function') {
@@ -296,6 +296,36 @@ export class MarketDataProviderRegistry extends BaseProviderRegistry {
     }
   }
 
+  /**
+   * Get OHLCV candles for a symbol, interval and time range
+   * Each provider is tried once; providers without history are skipped
+   */
+  async getHistoricalCandles(symbol, interval, options = {}) {
+    const operation = async (provider, providerId) => {
+      if (typeof provider.getHistoricalCandles !== 'function') {
+        throw new Error(`Provider ${providerId} does not provide historical candles`)
+      }
+
+      secureLogger.audit('MARKET_DATA_HISTORY_REQUEST', {
+        providerId,
+        symbol,
+        interval
+      })
+
+      const candles = await provider.getHistoricalCandles(symbol, interval, options)
+      this.validateCandles(candles)
+      return candles
+    }
+
+    const result = await this.executeWithFailover(operation, {
+      feature: 'historical-candles',
+      maxAttempts: Math.max(this.providers.size, 1),
+      ...options
+    })
+
+    return result.result
+  }
+
   /**
    * Check if cache is valid
    */
@@ -347,6 +377,25 @@ export class MarketDataProviderRegistry extends BaseProviderRegistry {
     })
   }
 
+  /**
+   * Validate candle data structure
+   */
+  validateCandles(candles) {
+    if (!Array.isArray(candles)) {
+      throw new Error('Candle data must be an array')
+    }
+
+    candles.forEach(candle => {
+      const prices = [candle.open, candle.high, candle.low, candle.close]
+      if (!Number.isFinite(candle.time) || prices.some(price => typeof price !== 'number' || !(price >= 0))) {
+        throw new Error('Invalid candle data structure')
+      }
+      if (candle.low > candle.high) {
+        throw new Error('Candle low is above its high')
+      }
+    })
+  }
+
   /**
    * Validate stock data structure
    */
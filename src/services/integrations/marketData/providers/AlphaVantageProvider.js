@@ -306,6 +306,66 @@ export class AlphaVantageProvider {
     }
   }
 
+  /**
+   * Get daily OHLCV candles for a time range ({ from, to } in epoch ms), oldest first.
+   * Tries the symbol as a cryptocurrency, then as a stock. Only daily candles
+   * are offered; intraday history needs a premium plan.
+   */
+  async getHistoricalCandles(symbol, interval, { from = 0, to = Date.now() } = {}) {
+    if (interval !== '1d') {
+      return []
+    }
+
+    try {
+      await this.enforceRateLimit()
+
+      let data = await this.makeRequest({
+        function: 'DIGITAL_CURRENCY_DAILY',
+        symbol: symbol.toUpperCase(),
+        market: 'USD'
+      })
+      let timeSeries = data['Time Series (Digital Currency Daily)']
+
+      if (!timeSeries) {
+        await this.enforceRateLimit()
+        data = await this.makeRequest({
+          function: 'TIME_SERIES_DAILY',
+          symbol: symbol.toUpperCase(),
+          outputsize: to - from > 100 * 24 * 60 * 60 * 1000 ? 'full' : 'compact'
+        })
+        timeSeries = data['Time Series (Daily)']
+      }
+
+      if (!timeSeries) {
+        return []
+      }
+
+      const field = (values, name, legacyName) => parseFloat(values[name] ?? values[legacyName])
+      return Object.entries(timeSeries)
+        .map(([date, values]) => ({
+          symbol: symbol.toUpperCase(),
+          interval,
+          time: Date.parse(`${date}T00:00:00Z`),
+          open: field(values, '1. open', '1a. open (USD)'),
+          high: field(values, '2. high', '2a. high (USD)'),
+          low: field(values, '3. low', '3a. low (USD)'),
+          close: field(values, '4. close', '4a. close (USD)'),
+          volume: parseFloat(values['5. volume']) || 0,
+          source: 'alphavantage'
+        }))
+        .filter(candle => candle.time >= from && candle.time <= to)
+        .sort((a, b) => a.time - b.time)
+
+    } catch (error) {
+      secureLogger.audit('ALPHAVANTAGE_HISTORICAL_ERROR', {
+        symbol,
+        interval,
+        error: error.message
+      })
+      throw error
+    }
+  }
+
   /**
    * Make API request with proper error handling
    */
@@ -34,6 +34,14 @@ const ASSET_ID_MAP = {
   'USDC': 'usd-coin'
 }
 
+/**
+ * Candle intervals CoinGecko price charts can be bucketed into
+ */
+const CANDLE_BUCKET_MS = {
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+}
+
 /**
  * CoinGecko Market Data Provider
  * Implements the standard market data provider interface
@@ -158,6 +166,29 @@ export class CoinGeckoProvider {
     }
   }
 
+  /**
+   * Get OHLCV candles for a time range ({ from, to } in epoch ms), oldest first.
+   * CoinGecko returns price points (5-minute, hourly or daily depending on the
+   * range), which are bucketed into hourly or daily candles. Minute candles
+   * are not available from this provider.
+   */
+  async getHistoricalCandles(asset, interval, { from, to = Date.now() } = {}) {
+    const bucketMs = CANDLE_BUCKET_MS[interval]
+    if (!bucketMs) {
+      return []
+    }
+
+    const coinId = ASSET_ID_MAP[asset.toUpperCase()] || asset.toLowerCase()
+    const params = new URLSearchParams({
+      vs_currency: 'usd',
+      from: Math.floor(from / 1000).toString(),
+      to: Math.ceil(to / 1000).toString()
+    })
+
+    const response = await this.makeRequest(`${this.config.endpoints.coins}/${coinId}/market_chart/range?${params.toString()}`)
+    return this.transformPriceChart(response, asset.toUpperCase(), interval, bucketMs)
+  }
+
   /**
    * Make secure HTTP request to CoinGecko API
    */
@@ -224,6 +255,26 @@ export class CoinGeckoProvider {
     }
   }
 
+  /**
+   * Bucket CoinGecko [timestamp, value] price and volume points into candles.
+   * Volumes are rolling 24h totals, so each candle keeps the last one seen.
+   */
+  transformPriceChart(response, symbol, interval, bucketMs) {
+    const volumes = new Map((response.total_volumes || []).map(([timestamp, volume]) => [Math.floor(timestamp / bucketMs) * bucketMs, volume]))
+    const prices = response.prices || []
+    const candles = new Map()
+
+    prices.forEach(([timestamp, price]) => {
+      const time = Math.floor(timestamp / bucketMs) * bucketMs
+      const candle = candles.get(time)
+      candles.set(time, candle
+        ? { ...candle, high: Math.max(candle.high, price), low: Math.min(candle.low, price), close: price }
+        : { symbol, interval, time, open: price, high: price, low: price, close: price, volume: volumes.get(time) || 0, source: 'coingecko' })
+    })
+
+    return Array.from(candles.values()).sort((a, b) => a.time - b.time)
+  }
+
   /**
    * Transform CoinGecko crypto data to standard format
    */
@@ -318,7 +369,7 @@ export class CoinGeckoProvider {
     return {
       name: 'CoinGecko',
       type: 'cryptocurrency',
-      supportedFeatures: ['crypto-data', 'asset-prices'],
+      supportedFeatures: ['crypto-data', 'asset-prices', 'historical-candles'],
       baseUrl: this.config.baseUrl,
       rateLimit: this.config.rateLimit,
       requestCount: this.requestCount,
@@ -0,0 +1,95 @@
+/**
+ * JSON-RPC Client
+ * Minimal JSON-RPC 2.0 over HTTP for the on-chain providers' node mode,
+ * e.g. a local Anvil/Hardhat node or solana-test-validator
+ */
+
+/**
+ * How an on-chain provider produces its results
+ */
+export const ONCHAIN_PROVIDER_MODES = {
+  SIMULATED: 'simulated', // Fabricated responses, no network
+  JSON_RPC: 'json-rpc' // Real node at config.rpcUrl
+}
+
+export class JsonRpcError extends Error {
+  constructor(message, code = null, data = null) {
+    super(message)
+    this.name = 'JsonRpcError'
+    this.code = code
+    this.data = data
+  }
+}
+
+export class JsonRpcClient {
+  constructor(url, options = {}) {
+    if (!url) {
+      throw new Error('JSON-RPC mode requires an rpcUrl')
+    }
+
+    this.url = url
+    this.timeout = options.timeout || 10000
+    this.requestId = 0
+  }
+
+  /**
+   * Call a method and return its result, throwing JsonRpcError on RPC errors
+   */
+  async call(method, params = []) {
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout)
+
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params }),
+        signal: controller.signal
+      })
+
+      if (!response.ok) {
+        throw new JsonRpcError(`${method} failed: HTTP ${response.status} ${response.statusText}`)
+      }
+
+      const payload = await response.json()
+      if (payload.error) {
+        throw new JsonRpcError(`${method} failed: ${payload.error.message}`, payload.error.code, payload.error.data)
+      }
+
+      return payload.result
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new JsonRpcError(`${method} timed out after ${this.timeout}ms`)
+      }
+      throw error
+    } finally {
+      clearTimeout(timeoutId)
+    }
+  }
+}
+
+/**
+ * Integer base units (wei, lamports) to a decimal string
+ */
+export const formatUnits = (value, decimals) => {
+  const units = BigInt(value)
+  const negative = units < 0n
+  const digits = (negative ? -units : units).toString().padStart(decimals + 1, '0')
+  const whole = digits.slice(0, digits.length - decimals)
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '')
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`
+}
+
+/**
+ * Decimal amount to integer base units, truncating extra precision
+ */
+export const parseUnits = (amount, decimals) => {
+  // Plain notation so small numbers do not arrive as 1e-7
+  const text = typeof amount === 'number'
+    ? amount.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 })
+    : String(amount)
+  const [whole, fraction = ''] = text.split('.')
+  return BigInt(whole || '0') * 10n ** BigInt(decimals) + BigInt(fraction.slice(0, decimals).padEnd(decimals, '0') || '0')
+}
+
+export const toHex = (value) => `0x${BigInt(value).toString(16)}`
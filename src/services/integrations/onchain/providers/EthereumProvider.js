@@ -1,21 +1,58 @@
 /**
  * Ethereum Provider
- * Ethereum blockchain operations
+ * Ethereum blockchain operations, simulated or against a JSON-RPC node
  */
 
+import { JsonRpcClient, ONCHAIN_PROVIDER_MODES, formatUnits, parseUnits, toHex } from '../JsonRpcClient.js'
+import { getChainTokens, findTokenByAddress } from '../tokenRegistry.js'
+
+const WEI_DECIMALS = 18
+const HISTORY_SCAN_BLOCKS = 100 // Blocks walked back for history in JSON-RPC mode
+const TOKEN_TRANSFER_GAS = 65000
+
+// ERC-20 function selectors (first 4 bytes of the keccak of the signature)
+const ERC20_SELECTORS = {
+  balanceOf: '0x70a08231',
+  allowance: '0xdd62ed3e',
+  totalSupply: '0x18160ddd',
+  transfer: '0xa9059cbb',
+  transferFrom: '0x23b872dd',
+  approve: '0x095ea7b3'
+}
+
+// ABI-encode static arguments as 32-byte words
+const encodeAddress = (address) => address.toLowerCase().replace(/^0x/, '').padStart(64, '0')
+const encodeUint = (value) => BigInt(value).toString(16).padStart(64, '0')
+const encodeCall = (selector, ...words) => `${selector}${words.join('')}`
+
 export class EthereumProvider {
   constructor(config) {
     this.config = config
     this.rpcUrl = config.rpcUrl || 'https://mainnet.infura.io/v3/your-project-id'
     this.chainId = config.chainId || 1
     this.gasPrice = config.gasPrice || 'standard'
+    this.mode = config.mode || ONCHAIN_PROVIDER_MODES.SIMULATED
+    this.rpc = this.mode === ONCHAIN_PROVIDER_MODES.JSON_RPC
+      ? new JsonRpcClient(this.rpcUrl, { timeout: config.timeout })
+      : null
+    this.tokens = getChainTokens('ethereum', config.tokens)
+    this.allowances = new Map() // Simulated ERC-20 approvals
   }
 
   /**
    * Send Ethereum transaction
+   * Assets other than ETH go out as ERC-20 transfers
    */
   async sendTransaction(transactionData) {
     try {
+      if ((transactionData.asset || 'ETH') !== 'ETH') {
+        return await this.sendTokenTransaction(transactionData)
+      }
+
+      if (this.rpc) {
+        return await this.sendRpcTransaction(transactionData)
+      }
+
       const { fromAddress, toAddress, amount, asset = 'ETH', gasLimit, gasPrice } = transactionData
 
       // Simulate transaction sending
@@ -46,6 +83,10 @@ export class EthereumProvider {
    */
   async getTransactionStatus(transactionHash) {
     try {
+      if (this.rpc) {
+        return await this.getRpcTransactionStatus(transactionHash)
+      }
+
       // Simulate transaction status check
       const statuses = ['pending', 'confirmed', 'failed']
       const randomStatus = statuses[Math.floor(Math.random() * statuses.length)]
@@ -69,6 +110,14 @@ export class EthereumProvider {
    */
   async getBalance(address, asset = 'ETH') {
     try {
+      const token = asset === 'ETH' ? null : this.resolveToken(asset)
+
+      if (this.rpc) {
+        return token
+          ? await this.getRpcTokenBalance(address, token)
+          : await this.getRpcBalance(address, asset)
+      }
+
       // Simulate balance retrieval
       let balance
       
@@ -85,6 +134,7 @@ export class EthereumProvider {
         asset,
         balance: parseFloat(balance),
         balanceWei: asset === 'ETH' ? (parseFloat(balance) * Math.pow(10, 18)).toString() : null,
+        ...(token ? this.describeTokenBalance(token, parseUnits(balance, token.decimals)) : {}),
         blockNumber: Math.floor(Math.random() * 1000000) + 18000000
       }
     } catch (error) {
@@ -99,6 +149,10 @@ export class EthereumProvider {
     try {
       const { limit = 10, offset = 0 } = options
 
+      if (this.rpc) {
+        return await this.getRpcTransactionHistory(address, { limit, offset })
+      }
+
       // Simulate transaction history
       const transactions = Array.from({ length: Math.min(limit, 5) }, (_, i) => ({
         hash: `0x${Math.random().toString(16).substring(2).padStart(64, '0')}`,
@@ -133,8 +187,12 @@ export class EthereumProvider {
     try {
       const { toAddress, amount, asset = 'ETH' } = transactionData
 
+      if (this.rpc) {
+        return await this.estimateRpcFees(transactionData)
+      }
+
       // Simulate fee estimation
-      const gasLimit = asset === 'ETH' ? 21000 : 65000 // Higher for ERC-20
+      const gasLimit = asset === 'ETH' ? 21000 : TOKEN_TRANSFER_GAS // Higher for ERC-20
       const gasPrice = this.getCurrentGasPrice()
 
       return {
@@ -211,6 +269,10 @@ export class EthereumProvider {
    */
   async getNetworkStatus() {
     try {
+      if (this.rpc) {
+        return await this.getRpcNetworkStatus()
+      }
+
       return {
         success: true,
         chainId: this.chainId,
@@ -236,39 +298,342 @@ export class EthereumProvider {
    */
   async getTokenInfo(tokenAddress) {
     try {
-      // Simulate token info retrieval
-      const mockTokens = {
-        '0xa0b86a33e6441c8c6c8c6c6c6c6c6c6c6c6c6c6c': {
-          name: 'USD Coin',
-          symbol: 'USDC',
-          decimals: 6,
-          totalSupply: '100000000000000'
-        },
-        '0xdac17f958d2ee523a2206206994597c13d831ec7': {
-          name: 'Tether USD',
-          symbol: 'USDT',
-          decimals: 6,
-          totalSupply: '80000000000000'
-        }
-      }
+      const token = findTokenByAddress('ethereum', tokenAddress, this.config.tokens)
+      const tokenInfo = token
+        ? { name: token.name, symbol: token.symbol, decimals: token.decimals, standard: token.standard }
+        : { name: 'Unknown Token', symbol: 'UNK', decimals: 18, standard: null }
 
-      const tokenInfo = mockTokens[tokenAddress] || {
-        name: 'Unknown Token',
-        symbol: 'UNK',
-        decimals: 18,
-        totalSupply: '0'
-      }
+      const totalSupply = this.rpc
+        ? BigInt(await this.rpc.call('eth_call', [{ to: tokenAddress, data: ERC20_SELECTORS.totalSupply }, 'latest'])).toString()
+        : null
 
       return {
         success: true,
         address: tokenAddress,
-        ...tokenInfo
+        ...tokenInfo,
+        isRegistered: Boolean(token),
+        totalSupply
       }
     } catch (error) {
       throw new Error(`Failed to get token info: ${error.message}`)
     }
   }
 
+  /**
+   * Get how much of an owner's tokens a spender may move with transferFrom
+   */
+  async getAllowance(ownerAddress, spenderAddress, asset) {
+    try {
+      const token = this.resolveToken(asset)
+      const allowanceUnits = this.rpc
+        ? BigInt(await this.rpc.call('eth_call', [{
+            to: token.address,
+            data: encodeCall(ERC20_SELECTORS.allowance, encodeAddress(ownerAddress), encodeAddress(spenderAddress))
+          }, 'latest']))
+        : this.allowances.get(this.allowanceKey(token, ownerAddress, spenderAddress)) || 0n
+
+      return {
+        success: true,
+        owner: ownerAddress,
+        spender: spenderAddress,
+        asset,
+        tokenAddress: token.address,
+        allowance: parseFloat(formatUnits(allowanceUnits, token.decimals)),
+        allowanceUnits: allowanceUnits.toString()
+      }
+    } catch (error) {
+      throw new Error(`Failed to get allowance: ${error.message}`)
+    }
+  }
+
+  /**
+   * Approve a spender to move an owner's tokens
+   */
+  async approveToken(approvalData) {
+    try {
+      const { ownerAddress, spenderAddress, amount, asset, signedTransaction } = approvalData
+      const token = this.resolveToken(asset)
+      const amountUnits = parseUnits(amount, token.decimals)
+      let transactionHash
+
+      if (this.rpc) {
+        transactionHash = signedTransaction
+          ? await this.rpc.call('eth_sendRawTransaction', [signedTransaction])
+          : await this.rpc.call('eth_sendTransaction', [{
+              from: ownerAddress,
+              to: token.address,
+              data: encodeCall(ERC20_SELECTORS.approve, encodeAddress(spenderAddress), encodeUint(amountUnits))
+            }])
+      } else {
+        this.allowances.set(this.allowanceKey(token, ownerAddress, spenderAddress), amountUnits)
+        transactionHash = `0x${Math.random().toString(16).substring(2).padStart(64, '0')}`
+      }
+
+      return {
+        success: true,
+        transactionHash,
+        owner: ownerAddress,
+        spender: spenderAddress,
+        asset,
+        tokenAddress: token.address,
+        allowance: amount,
+        status: 'pending'
+      }
+    } catch (error) {
+      throw new Error(`Token approval failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * ERC-20 transfer. When spenderAddress moves the tokens on the owner's
+   * (fromAddress) behalf it goes through transferFrom, which needs allowance.
+   */
+  async sendTokenTransaction(transactionData) {
+    const { fromAddress, toAddress, amount, asset, spenderAddress, gasLimit, gasPrice, signedTransaction } = transactionData
+    const token = this.resolveToken(asset)
+    const amountUnits = parseUnits(amount, token.decimals)
+    const delegated = Boolean(spenderAddress) && spenderAddress.toLowerCase() !== fromAddress?.toLowerCase()
+
+    if (delegated) {
+      const { allowance, allowanceUnits } = await this.getAllowance(fromAddress, spenderAddress, asset)
+      if (BigInt(allowanceUnits) < amountUnits) {
+        throw new Error(`Insufficient ${asset} allowance: ${spenderAddress} may move ${allowance}, needs ${amount}`)
+      }
+    }
+
+    const data = delegated
+      ? encodeCall(ERC20_SELECTORS.transferFrom, encodeAddress(fromAddress), encodeAddress(toAddress), encodeUint(amountUnits))
+      : encodeCall(ERC20_SELECTORS.transfer, encodeAddress(toAddress), encodeUint(amountUnits))
+    let transactionHash
+
+    if (this.rpc) {
+      transactionHash = signedTransaction
+        ? await this.rpc.call('eth_sendRawTransaction', [signedTransaction])
+        : await this.rpc.call('eth_sendTransaction', [{
+            from: delegated ? spenderAddress : fromAddress,
+            to: token.address,
+            data,
+            ...(gasLimit ? { gas: toHex(gasLimit) } : {}),
+            ...(gasPrice ? { gasPrice: toHex(gasPrice) } : {})
+          }])
+    } else {
+      // Simulate transaction sending; transferFrom spends the allowance
+      await new Promise(resolve => setTimeout(resolve, 2000))
+      if (delegated) {
+        const key = this.allowanceKey(token, fromAddress, spenderAddress)
+        this.allowances.set(key, this.allowances.get(key) - amountUnits)
+      }
+      transactionHash = `0x${Math.random().toString(16).substring(2).padStart(64, '0')}`
+    }
+
+    return {
+      success: true,
+      transactionHash,
+      from: fromAddress,
+      to: toAddress,
+      value: amount,
+      asset,
+      tokenAddress: token.address,
+      method: delegated ? 'transferFrom' : 'transfer',
+      spender: delegated ? spenderAddress : null,
+      data,
+      gasUsed: this.rpc ? null : gasLimit || TOKEN_TRANSFER_GAS,
+      gasPrice: gasPrice ? String(gasPrice) : this.rpc ? null : '20000000000',
+      blockNumber: null,
+      confirmations: 0,
+      status: 'pending'
+    }
+  }
+
+  /**
+   * JSON-RPC mode
+   * Values cross the wire as hex quantities; amounts are ETH, fees are wei
+   */
+  async sendRpcTransaction(transactionData) {
+    const { fromAddress, toAddress, amount, asset = 'ETH', gasLimit, gasPrice, signedTransaction } = transactionData
+
+    // Signed elsewhere, or sent from an account the node unlocks (Anvil/Hardhat dev accounts)
+    const transactionHash = signedTransaction
+      ? await this.rpc.call('eth_sendRawTransaction', [signedTransaction])
+      : await this.rpc.call('eth_sendTransaction', [{
+          from: fromAddress,
+          to: toAddress,
+          value: toHex(parseUnits(amount, WEI_DECIMALS)),
+          ...(gasLimit ? { gas: toHex(gasLimit) } : {}),
+          ...(gasPrice ? { gasPrice: toHex(gasPrice) } : {})
+        }])
+
+    return {
+      success: true,
+      transactionHash,
+      from: fromAddress,
+      to: toAddress,
+      value: amount,
+      asset,
+      gasUsed: null,
+      gasPrice: gasPrice ? String(gasPrice) : null,
+      blockNumber: null,
+      confirmations: 0,
+      status: 'pending'
+    }
+  }
+
+  async getRpcTransactionStatus(transactionHash) {
+    const receipt = await this.rpc.call('eth_getTransactionReceipt', [transactionHash])
+    if (!receipt) {
+      return {
+        success: true,
+        transactionHash,
+        status: 'pending',
+        confirmations: 0,
+        blockNumber: null,
+        gasUsed: null,
+        effectiveGasPrice: null
+      }
+    }
+
+    const head = BigInt(await this.rpc.call('eth_blockNumber', []))
+    const blockNumber = BigInt(receipt.blockNumber)
+
+    return {
+      success: true,
+      transactionHash,
+      status: BigInt(receipt.status) === 1n ? 'confirmed' : 'failed',
+      confirmations: Number(head - blockNumber + 1n),
+      blockNumber: Number(blockNumber),
+      gasUsed: BigInt(receipt.gasUsed).toString(),
+      effectiveGasPrice: receipt.effectiveGasPrice ? BigInt(receipt.effectiveGasPrice).toString() : null
+    }
+  }
+
+  async getRpcBalance(address, asset) {
+    const [balanceWei, blockNumber] = await Promise.all([
+      this.rpc.call('eth_getBalance', [address, 'latest']),
+      this.rpc.call('eth_blockNumber', [])
+    ])
+
+    return {
+      success: true,
+      address,
+      asset,
+      balance: parseFloat(formatUnits(balanceWei, WEI_DECIMALS)),
+      balanceWei: BigInt(balanceWei).toString(),
+      blockNumber: Number(BigInt(blockNumber))
+    }
+  }
+
+  async getRpcTokenBalance(address, token) {
+    const [balanceUnits, blockNumber] = await Promise.all([
+      this.rpc.call('eth_call', [{ to: token.address, data: encodeCall(ERC20_SELECTORS.balanceOf, encodeAddress(address)) }, 'latest']),
+      this.rpc.call('eth_blockNumber', [])
+    ])
+
+    return {
+      success: true,
+      address,
+      asset: token.symbol,
+      balance: parseFloat(formatUnits(balanceUnits, token.decimals)),
+      balanceWei: null,
+      ...this.describeTokenBalance(token, BigInt(balanceUnits)),
+      blockNumber: Number(BigInt(blockNumber))
+    }
+  }
+
+  /**
+   * Plain JSON-RPC has no per-address index, so recent blocks are scanned;
+   * enough for a local devnet, not for mainnet history
+   */
+  async getRpcTransactionHistory(address, { limit, offset }) {
+    const target = address.toLowerCase()
+    const head = Number(BigInt(await this.rpc.call('eth_blockNumber', [])))
+    const matches = []
+
+    for (let number = head; number >= 0 && number > head - HISTORY_SCAN_BLOCKS && matches.length < offset + limit; number--) {
+      const block = await this.rpc.call('eth_getBlockByNumber', [toHex(number), true])
+      const timestamp = new Date(Number(BigInt(block?.timestamp || 0)) * 1000).toISOString()
+      const blockTransactions = block?.transactions || []
+
+      blockTransactions
+        .filter(tx => tx.from?.toLowerCase() === target || tx.to?.toLowerCase() === target)
+        .forEach(tx => matches.push({
+          hash: tx.hash,
+          from: tx.from,
+          to: tx.to,
+          value: formatUnits(tx.value, WEI_DECIMALS),
+          asset: 'ETH',
+          blockNumber: number,
+          timestamp,
+          gasUsed: BigInt(tx.gas).toString(),
+          gasPrice: tx.gasPrice ? BigInt(tx.gasPrice).toString() : null,
+          status: 'confirmed'
+        }))
+    }
+
+    const transactions = matches.slice(offset, offset + limit)
+    return {
+      success: true,
+      address,
+      transactions,
+      total: transactions.length,
+      limit,
+      offset
+    }
+  }
+
+  async estimateRpcFees(transactionData) {
+    const { fromAddress, toAddress, amount = 0, asset = 'ETH' } = transactionData
+    const token = asset === 'ETH' ? null : this.resolveToken(asset)
+    const call = token
+      ? { to: token.address, data: encodeCall(ERC20_SELECTORS.transfer, encodeAddress(toAddress), encodeUint(parseUnits(amount, token.decimals))) }
+      : { to: toAddress, value: toHex(parseUnits(amount, WEI_DECIMALS)) }
+
+    const [gasLimitHex, gasPriceHex] = await Promise.all([
+      this.rpc.call('eth_estimateGas', [{
+        ...(fromAddress ? { from: fromAddress } : {}),
+        ...call
+      }]),
+      this.rpc.call('eth_gasPrice', [])
+    ])
+
+    const gasLimit = Number(BigInt(gasLimitHex))
+    const gasPrice = BigInt(gasPriceHex)
+    const costWei = BigInt(gasLimit) * gasPrice
+
+    return {
+      success: true,
+      gasLimit,
+      gasPrice: Number(gasPrice),
+      maxFeePerGas: (gasPrice * 12n / 10n).toString(), // 20% buffer
+      maxPriorityFeePerGas: null,
+      estimatedCost: {
+        wei: costWei.toString(),
+        eth: parseFloat(formatUnits(costWei, WEI_DECIMALS)).toFixed(6),
+        usd: null // No price feed on a devnet
+      }
+    }
+  }
+
+  async getRpcNetworkStatus() {
+    const [chainId, blockNumber, gasPrice] = await Promise.all([
+      this.rpc.call('eth_chainId', []),
+      this.rpc.call('eth_blockNumber', []),
+      this.rpc.call('eth_gasPrice', [])
+    ])
+    const chain = Number(BigInt(chainId))
+
+    return {
+      success: true,
+      chainId: chain,
+      networkName: this.getNetworkName(chain),
+      blockNumber: Number(BigInt(blockNumber)),
+      blockTime: null,
+      gasPrice: Number(BigInt(gasPrice)),
+      isHealthy: true,
+      syncStatus: 'synced',
+      peerCount: null
+    }
+  }
+
   /**
    * Helper methods
    */
@@ -284,11 +649,33 @@ export class EthereumProvider {
       4: 'Rinkeby Testnet',
       5: 'Goerli Testnet',
       137: 'Polygon Mainnet',
-      80001: 'Polygon Mumbai Testnet'
+      80001: 'Polygon Mumbai Testnet',
+      1337: 'Local Devnet',
+      31337: 'Local Devnet'
     }
     return networks[chainId] || 'Unknown Network'
   }
 
+  resolveToken(asset) {
+    const token = this.tokens[asset]
+    if (!token) {
+      throw new Error(`Unsupported Ethereum token: ${asset}`)
+    }
+    return token
+  }
+
+  describeTokenBalance(token, balanceUnits) {
+    return {
+      tokenAddress: token.address,
+      decimals: token.decimals,
+      rawBalance: balanceUnits.toString()
+    }
+  }
+
+  allowanceKey(token, ownerAddress, spenderAddress) {
+    return `${token.address}:${ownerAddress.toLowerCase()}:${spenderAddress.toLowerCase()}`
+  }
+
   toChecksumAddress(address) {
     // Simple checksum implementation (not actual EIP-55)
     return address.toLowerCase()
@@ -300,6 +687,9 @@ export class EthereumProvider {
   async healthCheck() {
     try {
       const networkStatus = await this.getNetworkStatus()
+      if (!networkStatus.success) {
+        throw new Error(networkStatus.error)
+      }
       
       return {
         success: true,
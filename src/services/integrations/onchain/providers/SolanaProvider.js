@@ -1,21 +1,42 @@
 /**
  * Solana Provider
- * Solana blockchain operations
+ * Solana blockchain operations, simulated or against a JSON-RPC node
  */
 
+import { JsonRpcClient, ONCHAIN_PROVIDER_MODES, formatUnits, parseUnits } from '../JsonRpcClient.js'
+import { getChainTokens, findTokenByAddress } from '../tokenRegistry.js'
+
+const LAMPORT_DECIMALS = 9
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA'
+
 export class SolanaProvider {
   constructor(config) {
     this.config = config
     this.rpcUrl = config.rpcUrl || 'https://api.mainnet-beta.solana.com'
     this.commitment = config.commitment || 'confirmed'
     this.programId = config.programId
+    this.mode = config.mode || ONCHAIN_PROVIDER_MODES.SIMULATED
+    this.rpc = this.mode === ONCHAIN_PROVIDER_MODES.JSON_RPC
+      ? new JsonRpcClient(this.rpcUrl, { timeout: config.timeout })
+      : null
+    this.tokens = getChainTokens('solana', config.tokens)
+    this.delegations = new Map() // Simulated SPL delegate approvals
   }
 
   /**
    * Send Solana transaction
+   * Assets other than SOL go out as SPL token transfers
    */
   async sendTransaction(transactionData) {
     try {
+      if ((transactionData.asset || 'SOL') !== 'SOL') {
+        return await this.sendTokenTransaction(transactionData)
+      }
+
+      if (this.rpc) {
+        return await this.sendRpcTransaction(transactionData)
+      }
+
       const { fromAddress, toAddress, amount, asset = 'SOL', memo } = transactionData
 
       // Simulate transaction sending
@@ -47,6 +68,10 @@ export class SolanaProvider {
    */
   async getTransactionStatus(signature) {
     try {
+      if (this.rpc) {
+        return await this.getRpcTransactionStatus(signature)
+      }
+
       // Simulate transaction status check
       const statuses = ['processed', 'confirmed', 'finalized', 'failed']
       const randomStatus = statuses[Math.floor(Math.random() * statuses.length)]
@@ -71,6 +96,14 @@ export class SolanaProvider {
    */
   async getBalance(address, asset = 'SOL') {
     try {
+      const token = asset === 'SOL' ? null : this.resolveToken(asset)
+
+      if (this.rpc) {
+        return token
+          ? await this.getRpcTokenBalance(address, token)
+          : await this.getRpcBalance(address, asset)
+      }
+
       // Simulate balance retrieval
       let balance
 
@@ -87,6 +120,7 @@ export class SolanaProvider {
         asset,
         balance: parseFloat(balance),
         lamports: asset === 'SOL' ? Math.floor(parseFloat(balance) * 1e9) : null,
+        ...(token ? { mint: token.address, decimals: token.decimals, rawBalance: parseUnits(balance, token.decimals).toString() } : {}),
         slot: Math.floor(Math.random() * 1000000) + 150000000,
         context: {
           apiVersion: '1.14.17',
@@ -105,6 +139,10 @@ export class SolanaProvider {
     try {
       const { limit = 10, before, until } = options
 
+      if (this.rpc) {
+        return await this.getRpcTransactionHistory(address, { limit, before, until })
+      }
+
       // Simulate transaction history
       const signatures = Array.from({ length: Math.min(limit, 5) }, (_, i) => ({
         signature: this.generateTransactionSignature(),
@@ -236,6 +274,10 @@ export class SolanaProvider {
    */
   async getNetworkStatus() {
     try {
+      if (this.rpc) {
+        return await this.getRpcNetworkStatus()
+      }
+
       return {
         success: true,
         cluster: this.getClusterFromRPC(),
@@ -262,36 +304,21 @@ export class SolanaProvider {
    */
   async getTokenInfo(mintAddress) {
     try {
-      // Simulate SPL token info retrieval
-      const mockTokens = {
-        'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v': {
-          name: 'USD Coin',
-          symbol: 'USDC',
-          decimals: 6,
-          mintAuthority: null,
-          supply: '50000000000000000'
-        },
-        'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB': {
-          name: 'Tether USD',
-          symbol: 'USDT',
-          decimals: 6,
-          mintAuthority: null,
-          supply: '40000000000000000'
-        }
-      }
+      const token = findTokenByAddress('solana', mintAddress, this.config.tokens)
+      const tokenInfo = token
+        ? { name: token.name, symbol: token.symbol, decimals: token.decimals, standard: token.standard, mintAuthority: null }
+        : { name: 'Unknown Token', symbol: 'UNK', decimals: 9, standard: null, mintAuthority: this.generateRandomAddress() }
 
-      const tokenInfo = mockTokens[mintAddress] || {
-        name: 'Unknown Token',
-        symbol: 'UNK',
-        decimals: 9,
-        mintAuthority: this.generateRandomAddress(),
-        supply: '0'
-      }
+      const supply = this.rpc
+        ? (await this.rpc.call('getTokenSupply', [mintAddress, { commitment: this.commitment }])).value.amount
+        : null
 
       return {
         success: true,
         mintAddress,
         ...tokenInfo,
+        isRegistered: Boolean(token),
+        supply,
         isInitialized: true,
         freezeAuthority: null
       }
@@ -305,6 +332,22 @@ export class SolanaProvider {
    */
   async getTokenAccounts(ownerAddress, mintAddress = null) {
     try {
+      if (this.rpc) {
+        const { value } = await this.rpc.call('getTokenAccountsByOwner', [
+          ownerAddress,
+          mintAddress ? { mint: mintAddress } : { programId: TOKEN_PROGRAM_ID },
+          { encoding: 'jsonParsed', commitment: this.commitment }
+        ])
+
+        return {
+          success: true,
+          ownerAddress,
+          mintAddress,
+          accounts: value,
+          total: value.length
+        }
+      }
+
       // Simulate token account retrieval
       const accounts = Array.from({ length: Math.floor(Math.random() * 3) + 1 }, (_, i) => ({
         pubkey: this.generateRandomAddress(),
@@ -328,7 +371,7 @@ export class SolanaProvider {
           },
           executable: false,
           lamports: 2039280,
-          owner: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+          owner: TOKEN_PROGRAM_ID,
           rentEpoch: 361
         }
       }))
@@ -345,6 +388,270 @@ export class SolanaProvider {
     }
   }
 
+  /**
+   * Get how much of an owner's tokens a delegate may move.
+   * SPL approvals live on the owner's token accounts (delegate + delegatedAmount).
+   */
+  async getAllowance(ownerAddress, spenderAddress, asset) {
+    try {
+      const token = this.resolveToken(asset)
+      const allowanceUnits = this.rpc
+        ? await this.getRpcDelegatedAmount(ownerAddress, spenderAddress, token)
+        : this.delegations.get(this.delegationKey(token, ownerAddress, spenderAddress)) || 0n
+
+      return {
+        success: true,
+        owner: ownerAddress,
+        spender: spenderAddress,
+        asset,
+        mint: token.address,
+        allowance: parseFloat(formatUnits(allowanceUnits, token.decimals)),
+        allowanceUnits: allowanceUnits.toString()
+      }
+    } catch (error) {
+      throw new Error(`Failed to get allowance: ${error.message}`)
+    }
+  }
+
+  /**
+   * Approve a delegate to move an owner's tokens
+   */
+  async approveToken(approvalData) {
+    try {
+      const { ownerAddress, spenderAddress, amount, asset, signedTransaction } = approvalData
+      const token = this.resolveToken(asset)
+      let signature
+
+      if (this.rpc) {
+        signature = await this.submitSignedTransaction(signedTransaction)
+      } else {
+        this.delegations.set(this.delegationKey(token, ownerAddress, spenderAddress), parseUnits(amount, token.decimals))
+        signature = this.generateTransactionSignature()
+      }
+
+      return {
+        success: true,
+        signature,
+        owner: ownerAddress,
+        spender: spenderAddress,
+        asset,
+        mint: token.address,
+        allowance: amount,
+        confirmationStatus: 'processed'
+      }
+    } catch (error) {
+      throw new Error(`Token approval failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * SPL token transfer. A spenderAddress other than the owner (fromAddress)
+   * signs as the account's delegate, which needs an approval covering the amount.
+   */
+  async sendTokenTransaction(transactionData) {
+    const { fromAddress, toAddress, amount, asset, spenderAddress, memo, signedTransaction } = transactionData
+    const token = this.resolveToken(asset)
+    const amountUnits = parseUnits(amount, token.decimals)
+    const delegated = Boolean(spenderAddress) && spenderAddress !== fromAddress
+
+    if (delegated) {
+      const { allowance, allowanceUnits } = await this.getAllowance(fromAddress, spenderAddress, asset)
+      if (BigInt(allowanceUnits) < amountUnits) {
+        throw new Error(`Insufficient ${asset} allowance: ${spenderAddress} may move ${allowance}, needs ${amount}`)
+      }
+    }
+
+    let signature
+    if (this.rpc) {
+      signature = await this.submitSignedTransaction(signedTransaction)
+    } else {
+      // Simulate transaction sending; the delegate's approval is spent
+      await new Promise(resolve => setTimeout(resolve, 1500))
+      if (delegated) {
+        const key = this.delegationKey(token, fromAddress, spenderAddress)
+        this.delegations.set(key, this.delegations.get(key) - amountUnits)
+      }
+      signature = this.generateTransactionSignature()
+    }
+
+    return {
+      success: true,
+      signature,
+      from: fromAddress,
+      to: toAddress,
+      amount,
+      asset,
+      mint: token.address,
+      decimals: token.decimals,
+      delegate: delegated ? spenderAddress : null,
+      slot: null,
+      blockTime: null,
+      confirmationStatus: 'processed',
+      confirmations: 0,
+      fee: this.rpc ? null : this.estimateTransactionFee(),
+      memo: memo || null
+    }
+  }
+
+  /**
+   * JSON-RPC mode
+   * Balances come back in lamports; transactions must arrive signed and
+   * base64-encoded since the provider holds no keys
+   */
+  async sendRpcTransaction(transactionData) {
+    const { fromAddress, toAddress, amount, asset = 'SOL', memo, signedTransaction } = transactionData
+    const signature = await this.submitSignedTransaction(signedTransaction)
+
+    return {
+      success: true,
+      signature,
+      from: fromAddress,
+      to: toAddress,
+      amount,
+      asset,
+      slot: null,
+      blockTime: null,
+      confirmationStatus: 'processed',
+      confirmations: 0,
+      fee: null,
+      memo: memo || null
+    }
+  }
+
+  async getRpcTransactionStatus(signature) {
+    const { value } = await this.rpc.call('getSignatureStatuses', [[signature], { searchTransactionHistory: true }])
+    const status = value?.[0]
+
+    if (!status) {
+      return {
+        success: true,
+        signature,
+        confirmationStatus: 'pending',
+        confirmations: 0,
+        slot: null,
+        blockTime: null,
+        fee: null,
+        err: null
+      }
+    }
+
+    // The node reports null confirmations once a slot is rooted (finalized)
+    const confirmations = status.confirmations ?? (status.confirmationStatus === 'finalized' ? 32 : 0)
+
+    return {
+      success: true,
+      signature,
+      confirmationStatus: status.err ? 'failed' : status.confirmationStatus,
+      confirmations,
+      slot: status.slot,
+      blockTime: null,
+      fee: null,
+      err: status.err
+    }
+  }
+
+  async submitSignedTransaction(signedTransaction) {
+    if (!signedTransaction) {
+      throw new Error('JSON-RPC mode needs a signed, base64-encoded transaction')
+    }
+
+    return await this.rpc.call('sendTransaction', [signedTransaction, {
+      encoding: 'base64',
+      preflightCommitment: this.commitment
+    }])
+  }
+
+  async getRpcBalance(address, asset) {
+    const { context, value } = await this.rpc.call('getBalance', [address, { commitment: this.commitment }])
+
+    return {
+      success: true,
+      address,
+      asset,
+      balance: parseFloat(formatUnits(value, LAMPORT_DECIMALS)),
+      lamports: value,
+      slot: context.slot,
+      context
+    }
+  }
+
+  /**
+   * A wallet can hold a mint across several token accounts; their amounts add up
+   */
+  async getRpcTokenBalance(address, token) {
+    const { accounts } = await this.getTokenAccounts(address, token.address)
+    const rawBalance = accounts.reduce((sum, { account }) => sum + BigInt(account.data.parsed.info.tokenAmount.amount), 0n)
+
+    return {
+      success: true,
+      address,
+      asset: token.symbol,
+      balance: parseFloat(formatUnits(rawBalance, token.decimals)),
+      lamports: null,
+      mint: token.address,
+      decimals: token.decimals,
+      rawBalance: rawBalance.toString(),
+      tokenAccounts: accounts.length
+    }
+  }
+
+  async getRpcDelegatedAmount(ownerAddress, spenderAddress, token) {
+    const { accounts } = await this.getTokenAccounts(ownerAddress, token.address)
+    return accounts
+      .map(({ account }) => account.data.parsed.info)
+      .filter(info => info.delegate === spenderAddress)
+      .reduce((sum, info) => sum + BigInt(info.delegatedAmount?.amount || 0), 0n)
+  }
+
+  async getRpcTransactionHistory(address, { limit, before, until }) {
+    const signatures = await this.rpc.call('getSignaturesForAddress', [address, {
+      limit,
+      ...(before ? { before } : {}),
+      ...(until ? { until } : {}),
+      commitment: this.commitment
+    }])
+
+    const transactions = signatures.map(sig => ({
+      signature: sig.signature,
+      slot: sig.slot,
+      blockTime: sig.blockTime,
+      confirmationStatus: sig.confirmationStatus,
+      err: sig.err,
+      memo: sig.memo
+    }))
+
+    return {
+      success: true,
+      address,
+      transactions,
+      total: transactions.length,
+      limit,
+      before,
+      until
+    }
+  }
+
+  async getRpcNetworkStatus() {
+    const [slot, blockHeight, version] = await Promise.all([
+      this.rpc.call('getSlot', [{ commitment: this.commitment }]),
+      this.rpc.call('getBlockHeight', [{ commitment: this.commitment }]),
+      this.rpc.call('getVersion', [])
+    ])
+
+    return {
+      success: true,
+      cluster: this.getClusterFromRPC(),
+      slot,
+      blockHeight,
+      blockTime: null,
+      absoluteSlot: slot,
+      transactionCount: null,
+      isHealthy: true,
+      version: version['solana-core'],
+      commitment: this.commitment
+    }
+  }
+
   /**
    * Helper methods
    */
@@ -370,11 +677,24 @@ export class SolanaProvider {
     return this.generateBlockhash() // Same format
   }
 
+  resolveToken(asset) {
+    const token = this.tokens[asset]
+    if (!token) {
+      throw new Error(`Unsupported Solana token: ${asset}`)
+    }
+    return token
+  }
+
+  delegationKey(token, ownerAddress, spenderAddress) {
+    return `${token.address}:${ownerAddress}:${spenderAddress}`
+  }
+
   estimateTransactionFee() {
     return Math.floor(Math.random() * 5000) + 5000 // 0.005-0.01 SOL
   }
 
   getClusterFromRPC() {
+    if (/localhost|127\.0\.0\.1/.test(this.rpcUrl)) return 'localnet'
     if (this.rpcUrl.includes('devnet')) return 'devnet'
     if (this.rpcUrl.includes('testnet')) return 'testnet'
     return 'mainnet-beta'
@@ -386,6 +706,9 @@ export class SolanaProvider {
   async healthCheck() {
     try {
       const networkStatus = await this.getNetworkStatus()
+      if (!networkStatus.success) {
+        throw new Error(networkStatus.error)
+      }
       
       return {
         success: true,
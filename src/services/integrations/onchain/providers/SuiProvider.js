@@ -0,0 +1,281 @@
+/**
+ * Sui Provider
+ * Sui blockchain operations
+ */
+
+import { chainValidator } from '../../../../utils/chainValidation.js'
+import { getChainTokens } from '../tokenRegistry.js'
+
+const MIST_PER_SUI = 1e9
+const SUI_COIN_TYPE = '0x2::sui::SUI'
+
+export class SuiProvider {
+  constructor(config = {}) {
+    this.config = config
+    this.rpcUrl = config.rpcUrl || 'https://fullnode.mainnet.sui.io:443'
+    this.referenceGasPrice = config.referenceGasPrice || 750 // MIST per computation unit
+    this.tokens = getChainTokens('sui', config.tokens) // Move coin types of the other assets
+  }
+
+  /**
+   * Send Sui transaction
+   */
+  async sendTransaction(transactionData) {
+    try {
+      const { fromAddress, toAddress, amount, asset = 'SUI', gasBudget } = transactionData
+
+      if (!chainValidator.validateSuiAddress(toAddress || '').isValid) {
+        throw new Error('Invalid Sui recipient address')
+      }
+
+      // Simulate transaction execution
+      await new Promise(resolve => setTimeout(resolve, 1000))
+
+      const gas = this.calculateGasCost(asset)
+
+      return {
+        success: true,
+        digest: this.generateTransactionDigest(),
+        from: fromAddress,
+        to: toAddress,
+        amount,
+        asset,
+        coinType: this.getCoinType(asset),
+        gasBudget: gasBudget || gas.total * 2,
+        gasUsed: gas,
+        checkpoint: null,
+        confirmations: 0,
+        status: 'pending'
+      }
+    } catch (error) {
+      throw new Error(`Sui transaction failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * Get transaction status
+   * Sui transactions are final once included in a checkpoint
+   */
+  async getTransactionStatus(digest) {
+    try {
+      // Simulate transaction status check
+      const statuses = ['pending', 'success', 'failure']
+      const randomStatus = statuses[Math.floor(Math.random() * statuses.length)]
+      const executed = randomStatus !== 'pending'
+
+      return {
+        success: true,
+        digest,
+        status: randomStatus === 'success' ? 'confirmed' : randomStatus === 'failure' ? 'failed' : 'pending',
+        effectsStatus: executed ? randomStatus : null,
+        confirmations: randomStatus === 'success' ? 1 : 0,
+        checkpoint: executed ? this.getCurrentCheckpoint() : null,
+        gasUsed: executed ? this.calculateGasCost('SUI') : null,
+        error: randomStatus === 'failure' ? 'InsufficientGas' : null
+      }
+    } catch (error) {
+      throw new Error(`Failed to get transaction status: ${error.message}`)
+    }
+  }
+
+  /**
+   * Get account balance
+   */
+  async getBalance(address, asset = 'SUI') {
+    try {
+      // Simulate balance retrieval
+      let balance
+
+      if (asset === 'SUI') {
+        balance = (Math.random() * 500).toFixed(6) // Random SUI balance
+      } else {
+        // Coin balance of another Move coin type
+        balance = (Math.random() * 10000).toFixed(2)
+      }
+
+      return {
+        success: true,
+        address,
+        asset,
+        coinType: this.getCoinType(asset),
+        balance: parseFloat(balance),
+        totalBalanceMist: asset === 'SUI' ? Math.floor(parseFloat(balance) * MIST_PER_SUI).toString() : null,
+        coinObjectCount: Math.floor(Math.random() * 5) + 1,
+        checkpoint: this.getCurrentCheckpoint()
+      }
+    } catch (error) {
+      throw new Error(`Failed to get balance: ${error.message}`)
+    }
+  }
+
+  /**
+   * Get transaction history
+   */
+  async getTransactionHistory(address, options = {}) {
+    try {
+      const { limit = 10, cursor = null } = options
+
+      // Simulate transaction history
+      const transactions = Array.from({ length: Math.min(limit, 5) }, (_, i) => ({
+        digest: this.generateTransactionDigest(),
+        from: i % 2 === 0 ? address : `0x${'1'.repeat(64)}`,
+        to: i % 2 === 0 ? `0x${'2'.repeat(64)}` : address,
+        amount: (Math.random() * 100).toFixed(6),
+        asset: 'SUI',
+        coinType: SUI_COIN_TYPE,
+        checkpoint: this.getCurrentCheckpoint() - i * 1000,
+        timestamp: new Date(Date.now() - i * 3600000).toISOString(),
+        gasUsed: this.calculateGasCost('SUI'),
+        status: 'confirmed'
+      }))
+
+      return {
+        success: true,
+        address,
+        transactions,
+        total: transactions.length,
+        limit,
+        cursor,
+        nextCursor: transactions.length === limit ? transactions[transactions.length - 1].digest : null
+      }
+    } catch (error) {
+      throw new Error(`Failed to get transaction history: ${error.message}`)
+    }
+  }
+
+  /**
+   * Estimate transaction fees
+   * Gas is computation plus storage cost, less the rebate for storage released
+   */
+  async estimateFees(transactionData) {
+    try {
+      const { asset = 'SUI' } = transactionData
+      const gas = this.calculateGasCost(asset)
+
+      return {
+        success: true,
+        referenceGasPrice: this.referenceGasPrice,
+        computationCost: gas.computationCost,
+        storageCost: gas.storageCost,
+        storageRebate: gas.storageRebate,
+        gasBudget: gas.total * 2, // Headroom so the transaction does not abort on a gas price move
+        estimatedCost: {
+          mist: gas.total.toString(),
+          sui: (gas.total / MIST_PER_SUI).toFixed(9),
+          usd: ((gas.total / MIST_PER_SUI) * 1.85).toFixed(6) // Assume $1.85 SUI
+        }
+      }
+    } catch (error) {
+      throw new Error(`Fee estimation failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * Validate Sui address
+   */
+  async validateAddress(address) {
+    try {
+      const validation = chainValidator.validateSuiAddress(address || '')
+
+      return {
+        success: true,
+        address,
+        isValid: validation.isValid,
+        type: validation.isValid ? 'account' : 'invalid',
+        normalized: validation.isValid ? address.toLowerCase() : null
+      }
+    } catch (error) {
+      throw new Error(`Address validation failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * Get network status
+   */
+  async getNetworkStatus() {
+    try {
+      return {
+        success: true,
+        network: this.getNetworkFromRPC(),
+        checkpoint: this.getCurrentCheckpoint(),
+        epoch: Math.floor(Math.random() * 100) + 500,
+        referenceGasPrice: this.referenceGasPrice,
+        checkpointTime: 0.5, // seconds
+        isHealthy: true,
+        protocolVersion: 70
+      }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        isHealthy: false
+      }
+    }
+  }
+
+  /**
+   * Helper methods
+   */
+  generateTransactionDigest() {
+    const chars = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+    let result = ''
+    for (let i = 0; i < 44; i++) {
+      result += chars.charAt(Math.floor(Math.random() * chars.length))
+    }
+    return result
+  }
+
+  getCoinType(asset) {
+    return asset === 'SUI' ? SUI_COIN_TYPE : this.tokens[asset]?.address || null
+  }
+
+  getCurrentCheckpoint() {
+    return Math.floor(Math.random() * 1000000) + 100000000
+  }
+
+  calculateGasCost(asset) {
+    // Coin transfers other than SUI touch more objects
+    const computationCost = this.referenceGasPrice * (asset === 'SUI' ? 1000 : 1500)
+    const storageCost = asset === 'SUI' ? 1976000 : 2964000
+    const storageRebate = Math.floor(storageCost * 0.99 * 0.5)
+
+    return {
+      computationCost,
+      storageCost,
+      storageRebate,
+      total: computationCost + storageCost - storageRebate
+    }
+  }
+
+  getNetworkFromRPC() {
+    if (this.rpcUrl.includes('devnet')) return 'devnet'
+    if (this.rpcUrl.includes('testnet')) return 'testnet'
+    return 'mainnet'
+  }
+
+  /**
+   * Health check
+   */
+  async healthCheck() {
+    try {
+      const networkStatus = await this.getNetworkStatus()
+
+      return {
+        success: true,
+        status: 'healthy',
+        network: this.getNetworkFromRPC(),
+        checkpoint: networkStatus.checkpoint,
+        timestamp: new Date().toISOString()
+      }
+    } catch (error) {
+      return {
+        success: false,
+        status: 'unhealthy',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    }
+  }
+}
+
+export default SuiProvider
@@ -0,0 +1,101 @@
+/**
+ * Token Registry
+ * Fungible tokens diBoaS moves on each chain: ERC-20 contracts on Ethereum,
+ * SPL mints on Solana and Move coin types on Sui. The same symbol is a
+ * different token per chain (USDC on Ethereum is not USDC on Solana), so
+ * tokens are always looked up by chain and symbol together.
+ */
+
+export const TOKEN_STANDARDS = {
+  ERC20: 'erc20',
+  SPL: 'spl',
+  SUI_COIN: 'sui-coin'
+}
+
+export const NATIVE_ASSETS = {
+  bitcoin: 'BTC',
+  ethereum: 'ETH',
+  solana: 'SOL',
+  sui: 'SUI'
+}
+
+export const TOKEN_REGISTRY = {
+  ethereum: {
+    USDC: {
+      name: 'USD Coin',
+      address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+      decimals: 6,
+      standard: TOKEN_STANDARDS.ERC20
+    },
+    USDT: {
+      name: 'Tether USD',
+      address: '0xdac17f958d2ee523a2206206994597c13d831ec7',
+      decimals: 6,
+      standard: TOKEN_STANDARDS.ERC20
+    }
+  },
+  solana: {
+    USDC: {
+      name: 'USD Coin',
+      address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+      decimals: 6,
+      standard: TOKEN_STANDARDS.SPL
+    },
+    USDT: {
+      name: 'Tether USD',
+      address: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
+      decimals: 6,
+      standard: TOKEN_STANDARDS.SPL
+    }
+  },
+  sui: {
+    USDC: {
+      name: 'USD Coin',
+      address: '0xdba34672e30cb065b1f93e3ab55318768fd6fef66c15942c9f7cb846e2f900e7::usdc::USDC',
+      decimals: 6,
+      standard: TOKEN_STANDARDS.SUI_COIN
+    }
+  }
+}
+
+// EVM addresses are case-insensitive; Solana and Sui identifiers are not
+const normalizeAddress = (chain, address) =>
+  chain === 'ethereum' ? String(address).toLowerCase() : String(address)
+
+/**
+ * Tokens of a chain keyed by symbol. overrides maps a symbol to another
+ * address, e.g. the mock USDC contract deployed on a local devnet.
+ */
+export const getChainTokens = (chain, overrides = {}) => {
+  const tokens = {}
+
+  Object.entries(TOKEN_REGISTRY[chain] || {}).forEach(([symbol, token]) => {
+    const address = overrides?.[symbol] || token.address
+    tokens[symbol] = { ...token, symbol, chain, address: normalizeAddress(chain, address) }
+  })
+
+  return tokens
+}
+
+export const isNativeAsset = (chain, asset) => NATIVE_ASSETS[chain] === asset
+
+/**
+ * Token for a symbol on a chain, or null when the chain does not carry it
+ */
+export const getToken = (chain, symbol, overrides = {}) =>
+  getChainTokens(chain, overrides)[symbol] || null
+
+/**
+ * Token for a contract address, mint or coin type, or null when unregistered
+ */
+export const findTokenByAddress = (chain, address, overrides = {}) => {
+  if (!address) return null
+  const target = normalizeAddress(chain, address)
+  return Object.values(getChainTokens(chain, overrides)).find(token => token.address === target) || null
+}
+
+/**
+ * Chains that carry a token symbol, e.g. USDC -> ['ethereum', 'solana', 'sui']
+ */
+export const getTokenChains = (symbol) =>
+  Object.keys(TOKEN_REGISTRY).filter(chain => TOKEN_REGISTRY[chain][symbol])
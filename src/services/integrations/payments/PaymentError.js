@@ -38,7 +38,8 @@ export class PaymentError extends Error {
       'invalid_card': /invalid.*card/i,
       'processing_error': /processing.*error/i,
       'timeout': /timeout/i,
-      'rate_limit': /rate.*limit/i
+      'rate_limit': /rate.*limit/i,
+      'refund_not_allowed': /refund.*(exceeds|not allowed|not supported)|cannot.*refund/i
     }
 
     for (const [code, pattern] of Object.entries(errorCodes)) {
@@ -70,6 +71,7 @@ export class PaymentError extends Error {
       processing_error: 'Payment processing error occurred. Please try again.',
       timeout: 'Payment request timed out. Please try again.',
       rate_limit: 'Too many payment attempts. Please wait before trying again.',
+      refund_not_allowed: 'This payment cannot be refunded for that amount. It may already be refunded or under dispute.',
       unknown_error: 'Payment failed. Please try again or contact support.'
     }
 
@@ -165,6 +167,10 @@ export class PaymentError extends Error {
       rate_limit: [
         'Wait a few minutes before trying again',
         'Contact support if issue persists'
+      ],
+      refund_not_allowed: [
+        'Check the amount already refunded',
+        'Wait for an open dispute to close'
       ]
     }
 
@@ -213,6 +219,10 @@ export class PaymentError extends Error {
   static providerUnavailable(provider = null, paymentRequest = null) {
     return new PaymentError('Provider unavailable', provider, paymentRequest)
   }
+
+  static refundNotAllowed(reason, provider = null, paymentRequest = null) {
+    return new PaymentError(`Refund not allowed: ${reason}`, provider, paymentRequest)
+  }
 }
 
 export default PaymentError
\ No newline at end of file
@@ -6,15 +6,36 @@
 import { BaseProviderRegistry } from '../BaseProviderRegistry.js'
 import { PaymentResult } from './PaymentResult.js'
 import { PaymentError } from './PaymentError.js'
+import {
+  PAYMENT_STATUS,
+  DISPUTE_STATUS,
+  isDisputeOpen,
+  assertDisputeTransition,
+  getRefundableAmount,
+  getPaymentStatus
+} from './paymentLifecycle.js'
 import { Money } from '../../../domains/shared/value-objects/Money.js'
 import logger from '../../../utils/logger'
 
 export class PaymentProviderRegistry extends BaseProviderRegistry {
   constructor() {
     super('payment')
+    this.logger = logger
     this.routingRules = []
     this.feeCalculators = new Map()
     this.limitCheckers = new Map()
+    this.payments = new Map() // transactionId -> charge with its refunds and dispute
+  }
+
+  /**
+   * Get a registered provider
+   */
+  getProvider(providerId) {
+    const provider = this.providers.get(providerId)
+    if (!provider) {
+      throw new PaymentError(`Payment provider ${providerId} is not registered`, providerId)
+    }
+    return provider
   }
 
   /**
@@ -77,11 +98,14 @@ export class PaymentProviderRegistry extends BaseProviderRegistry {
         type: paymentRequest.type
       })
 
-      return new PaymentResult({
+      const paymentResult = new PaymentResult({
         ...result,
         provider: selectedProvider,
         fees: fees
       })
+      this._trackPayment(paymentResult, paymentRequest)
+
+      return paymentResult
 
     } catch (error) {
       this.logger.error('Payment processing failed', error)
@@ -120,6 +144,123 @@ export class PaymentProviderRegistry extends BaseProviderRegistry {
     throw new PaymentError('All payment providers failed', null, paymentRequest, errors)
   }
 
+  /**
+   * Get a processed payment with its refunds and dispute
+   * @returns {Object} { transactionId, provider, amount, refundedAmount, refunds, dispute, status }
+   */
+  getPayment(transactionId) {
+    const payment = this.payments.get(transactionId)
+    if (!payment) {
+      throw new PaymentError(`Payment ${transactionId} not found`)
+    }
+    return payment
+  }
+
+  /**
+   * Refund all or part of a settled payment through the provider that took it
+   * @param {string} transactionId - Payment to refund
+   * @param {Object} options - { amount: Money (defaults to all that is still refundable), reason }
+   */
+  async refundPayment(transactionId, options = {}) {
+    const payment = this.getPayment(transactionId)
+    const provider = this.getProvider(payment.provider)
+
+    if (typeof provider.refundPayment !== 'function') {
+      throw PaymentError.refundNotAllowed(`${payment.provider} does not support refunds`, payment.provider)
+    }
+    if (payment.status === PAYMENT_STATUS.PENDING) {
+      throw PaymentError.refundNotAllowed('payment has not settled yet', payment.provider)
+    }
+    if (payment.dispute && payment.dispute.status !== DISPUTE_STATUS.WON) {
+      throw PaymentError.refundNotAllowed('payment is disputed', payment.provider)
+    }
+
+    const currency = payment.amount.currency
+    const refundable = getRefundableAmount(this._getLifecycleState(payment))
+    const amount = options.amount || new Money(refundable, currency)
+    if (!amount.isPositive() || amount.amount > refundable) {
+      throw PaymentError.refundNotAllowed(
+        `${amount.format()} exceeds the ${new Money(refundable, currency).format()} still refundable`,
+        payment.provider
+      )
+    }
+
+    try {
+      const result = await provider.refundPayment(transactionId, amount, { reason: options.reason })
+      const refundId = result.refundId || result.id || null
+
+      payment.refundedAmount = payment.refundedAmount.add(amount)
+      payment.refunds.push({ refundId, amount, reason: options.reason || null, createdAt: new Date() })
+      payment.status = getPaymentStatus(this._getLifecycleState(payment))
+
+      this.logger.info('Payment refunded', {
+        provider: payment.provider,
+        transactionId,
+        amount: amount.format(),
+        status: payment.status
+      })
+
+      return PaymentResult.refund(transactionId, refundId, amount, {
+        refundedAmount: payment.refundedAmount,
+        status: payment.status,
+        provider: payment.provider,
+        paymentMethod: payment.paymentMethod
+      })
+    } catch (error) {
+      this.logger.error('Payment refund failed', error)
+      throw new PaymentError(error.message, payment.provider, null, error)
+    }
+  }
+
+  /**
+   * Record a dispute the cardholder opened against a payment
+   * @param {string} transactionId - Disputed payment
+   * @param {Object} dispute - { disputeId, amount: Money (defaults to the unrefunded amount), reason, status }
+   */
+  openDispute(transactionId, { disputeId, amount = null, reason = null, status = DISPUTE_STATUS.NEEDS_RESPONSE } = {}) {
+    const payment = this.getPayment(transactionId)
+    if (isDisputeOpen(payment.dispute)) {
+      throw new PaymentError(`Payment ${transactionId} already has an open dispute`, payment.provider)
+    }
+
+    payment.dispute = {
+      disputeId,
+      amount: amount || payment.amount.subtract(payment.refundedAmount),
+      reason,
+      status,
+      openedAt: new Date(),
+      closedAt: null
+    }
+    payment.status = getPaymentStatus(this._getLifecycleState(payment))
+
+    this.logger.warn('Payment disputed', { provider: payment.provider, transactionId, disputeId, reason })
+    return payment
+  }
+
+  /**
+   * Move a payment's dispute on (needs_response -> under_review -> won | lost)
+   */
+  updateDispute(transactionId, status) {
+    const payment = this.getPayment(transactionId)
+    if (!payment.dispute) {
+      throw new PaymentError(`Payment ${transactionId} has no dispute`, payment.provider)
+    }
+
+    try {
+      assertDisputeTransition(payment.dispute.status, status)
+    } catch (error) {
+      throw new PaymentError(error.message, payment.provider, null, error)
+    }
+
+    payment.dispute = {
+      ...payment.dispute,
+      status,
+      closedAt: isDisputeOpen({ status }) ? null : payment.dispute.closedAt || new Date()
+    }
+    payment.status = getPaymentStatus(this._getLifecycleState(payment))
+    return payment
+  }
+
   /**
    * Get payment methods from all providers
    */
@@ -512,6 +653,39 @@ export class PaymentProviderRegistry extends BaseProviderRegistry {
     }
   }
 
+  /**
+   * Keep settled charges so they can be refunded or disputed later
+   */
+  _trackPayment(paymentResult, paymentRequest) {
+    if (!paymentResult.success || !paymentResult.transactionId) {
+      return
+    }
+
+    const amount = paymentResult.amount || paymentRequest.amount
+    this.payments.set(paymentResult.transactionId, {
+      transactionId: paymentResult.transactionId,
+      provider: paymentResult.provider,
+      paymentMethod: paymentResult.paymentMethod || paymentRequest.paymentMethod,
+      amount,
+      refundedAmount: Money.zero(amount.currency),
+      refunds: [],
+      dispute: null,
+      status: paymentResult.status,
+      createdAt: new Date()
+    })
+  }
+
+  /**
+   * Amounts of a tracked payment as paymentLifecycle expects them
+   */
+  _getLifecycleState(payment) {
+    return {
+      amount: payment.amount.amount,
+      refundedAmount: payment.refundedAmount.amount,
+      dispute: payment.dispute
+    }
+  }
+
   /**
    * Get payment statistics
    */
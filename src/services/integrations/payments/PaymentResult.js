@@ -3,6 +3,8 @@
  * Standardized result object for payment operations
  */
 
+import { PAYMENT_STATUS } from './paymentLifecycle.js'
+
 export class PaymentResult {
   constructor(data = {}) {
     this.success = data.success || false
@@ -15,6 +17,9 @@ export class PaymentResult {
     this.processingTime = data.processingTime || null
     this.confirmations = data.confirmations || 0
     this.receipt = data.receipt || null
+    this.refundId = data.refundId || null
+    this.refundedAmount = data.refundedAmount || null
+    this.dispute = data.dispute || null
     this.metadata = data.metadata || {}
     this.error = data.error || null
     this.timestamp = data.timestamp || new Date()
@@ -55,6 +60,24 @@ export class PaymentResult {
     })
   }
 
+  /**
+   * Create a refund result. amount is this refund, refundedAmount the total
+   * refunded on the charge so far; status is refunded or partially_refunded
+   */
+  static refund(transactionId, refundId, amount, options = {}) {
+    return new PaymentResult({
+      success: true,
+      transactionId,
+      refundId,
+      amount,
+      refundedAmount: options.refundedAmount || amount,
+      status: options.status || PAYMENT_STATUS.REFUNDED,
+      provider: options.provider,
+      paymentMethod: options.paymentMethod,
+      metadata: options.metadata
+    })
+  }
+
   /**
    * Create a failed payment result
    */
@@ -90,6 +113,20 @@ export class PaymentResult {
     return !this.success || this.status === 'failed'
   }
 
+  /**
+   * Check if payment was refunded in part or in full
+   */
+  isRefunded() {
+    return [PAYMENT_STATUS.REFUNDED, PAYMENT_STATUS.PARTIALLY_REFUNDED].includes(this.status)
+  }
+
+  /**
+   * Check if payment is under dispute or was charged back
+   */
+  isDisputed() {
+    return [PAYMENT_STATUS.DISPUTED, PAYMENT_STATUS.CHARGED_BACK].includes(this.status)
+  }
+
   /**
    * Get total cost including fees
    */
@@ -135,6 +172,9 @@ export class PaymentResult {
       processingTime: this.processingTime,
       confirmations: this.confirmations,
       receipt: this.receipt,
+      refundId: this.refundId,
+      refundedAmount: this.refundedAmount ? this.refundedAmount.toJSON() : null,
+      dispute: this.dispute,
       metadata: this.metadata,
       error: this.error,
       timestamp: this.timestamp
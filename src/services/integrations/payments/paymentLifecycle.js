@@ -0,0 +1,73 @@
+/**
+ * Payment Lifecycle
+ * States a settled charge moves through afterwards: full or partial refunds,
+ * and disputes, which end in a chargeback when they are lost
+ */
+
+export const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded',
+  DISPUTED: 'disputed',
+  CHARGED_BACK: 'charged_back'
+}
+
+export const DISPUTE_STATUS = {
+  NEEDS_RESPONSE: 'needs_response',
+  UNDER_REVIEW: 'under_review',
+  WON: 'won',
+  LOST: 'lost'
+}
+
+// Statuses a dispute may move to from each status; closed disputes are final
+const DISPUTE_TRANSITIONS = {
+  [DISPUTE_STATUS.NEEDS_RESPONSE]: [DISPUTE_STATUS.UNDER_REVIEW, DISPUTE_STATUS.WON, DISPUTE_STATUS.LOST],
+  [DISPUTE_STATUS.UNDER_REVIEW]: [DISPUTE_STATUS.WON, DISPUTE_STATUS.LOST],
+  [DISPUTE_STATUS.WON]: [],
+  [DISPUTE_STATUS.LOST]: []
+}
+
+// Charges are in fiat, so lifecycle arithmetic is done in whole cents
+const toCents = (amount) => Math.round((amount || 0) * 100)
+
+export const isDisputeOpen = (dispute) =>
+  Boolean(dispute) && ![DISPUTE_STATUS.WON, DISPUTE_STATUS.LOST].includes(dispute.status)
+
+/**
+ * Throw unless a dispute may move from one status to another.
+ * Repeating the current status (e.g. a redelivered update) is allowed.
+ */
+export const assertDisputeTransition = (from, to) => {
+  if (!DISPUTE_TRANSITIONS[to]) {
+    throw new Error(`Unknown dispute status: ${to}`)
+  }
+  if (from !== to && !DISPUTE_TRANSITIONS[from]?.includes(to)) {
+    throw new Error(`Dispute cannot move from ${from} to ${to}`)
+  }
+}
+
+/**
+ * Amount of a charge that can still be refunded. Nothing can be refunded while
+ * a dispute is open or after one was lost: the card network already took it back.
+ * @param {Object} payment - { amount, refundedAmount, dispute }
+ */
+export const getRefundableAmount = ({ amount, refundedAmount = 0, dispute = null }) => {
+  if (isDisputeOpen(dispute) || dispute?.status === DISPUTE_STATUS.LOST) {
+    return 0
+  }
+  return Math.max(toCents(amount) - toCents(refundedAmount), 0) / 100
+}
+
+/**
+ * Status of a settled charge from what has been refunded and its dispute
+ * @param {Object} payment - { amount, refundedAmount, dispute }
+ */
+export const getPaymentStatus = ({ amount, refundedAmount = 0, dispute = null }) => {
+  if (dispute?.status === DISPUTE_STATUS.LOST) return PAYMENT_STATUS.CHARGED_BACK
+  if (isDisputeOpen(dispute)) return PAYMENT_STATUS.DISPUTED
+  if (toCents(refundedAmount) > 0 && toCents(refundedAmount) >= toCents(amount)) return PAYMENT_STATUS.REFUNDED
+  if (toCents(refundedAmount) > 0) return PAYMENT_STATUS.PARTIALLY_REFUNDED
+  return PAYMENT_STATUS.COMPLETED
+}
@@ -4,6 +4,9 @@
  */
 
 import { centralizedFeeCalculator } from '../../../../utils/feeCalculations.js'
+import { WEBHOOK_PROVIDERS, getVerificationKey } from '../../webhooks/webhookProviders.js'
+import { WebhookError } from '../../webhooks/WebhookError.js'
+import { getWebhookConfig } from '../../../../config/webhooks.js'
 
 export class PayPalProvider {
   constructor(config) {
@@ -242,13 +245,27 @@ export class PayPalProvider {
    */
   async verifyWebhook(headers, body, webhookId) {
     try {
-      // Simulate webhook verification
-      // In production, this would verify the PayPal webhook signature
+      // Signed with PayPal's certificate; the webhook id is server-side config
+      const id = webhookId || this.config.webhookId || getWebhookConfig('payments', 'paypal').webhookId
+      if (!id) {
+        throw new Error('Webhook id not configured')
+      }
+
+      await WEBHOOK_PROVIDERS.paypal.verify({
+        headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])),
+        body,
+        webhookId: id,
+        getKey: (certUrl) => getVerificationKey('paypal', certUrl)
+      })
+
       return {
         success: true,
         verification_status: 'SUCCESS'
       }
     } catch (error) {
+      if (error instanceof WebhookError) {
+        return { success: true, verification_status: 'FAILURE', reason: error.code }
+      }
       throw new Error(`Webhook verification failed: ${error.message}`)
     }
   }
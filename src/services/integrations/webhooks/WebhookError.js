@@ -0,0 +1,26 @@
+/**
+ * Webhook Error
+ * Raised when a provider callback is rejected; code says why
+ */
+
+export const WEBHOOK_ERROR_CODES = {
+  UNKNOWN_PROVIDER: 'unknown_provider',
+  NOT_CONFIGURED: 'not_configured',
+  MISSING_SIGNATURE: 'missing_signature',
+  INVALID_SIGNATURE: 'invalid_signature',
+  KEY_UNAVAILABLE: 'key_unavailable',
+  STALE_TIMESTAMP: 'stale_timestamp',
+  REPLAYED: 'replayed',
+  MALFORMED_PAYLOAD: 'malformed_payload'
+}
+
+export class WebhookError extends Error {
+  constructor(message, code, provider = null) {
+    super(message)
+    this.name = 'WebhookError'
+    this.code = code
+    this.provider = provider
+  }
+}
+
+export default WebhookError
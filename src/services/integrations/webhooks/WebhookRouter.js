@@ -0,0 +1,201 @@
+/**
+ * Webhook Router
+ * Entry point for provider callbacks: verifies the signature against the
+ * provider's webhook secret or signing key, rejects stale and replayed
+ * deliveries, and publishes the mapped event (kyc.approved, payment.succeeded, ...)
+ * on the EventBus. Runs server-side: credentials come from WEBHOOK_CONFIG.
+ */
+
+import { WEBHOOK_CONFIG } from '../../../config/webhooks.js'
+import { globalEventBus } from '../../../infrastructure/EventBus.js'
+import { DomainEvent } from '../../../domains/shared/DomainEvent.js'
+import logger from '../../../utils/logger.js'
+import { WebhookError, WEBHOOK_ERROR_CODES } from './WebhookError.js'
+import { WEBHOOK_PROVIDERS, getVerificationKey } from './webhookProviders.js'
+import { safeGetJSON, safeSetJSON } from '../../../utils/localStorageHelper.js'
+
+const DEFAULT_TOLERANCE_SECONDS = 300
+const DEFAULT_REPLAY_WINDOW_SECONDS = 24 * 60 * 60
+const DELIVERIES_STORAGE_KEY = 'diboas_webhook_deliveries'
+
+// Delivered event ids must survive restarts: Onfido signs no timestamp, so they
+// are its only replay guard. Servers without localStorage pass their own storage.
+const localDeliveryStorage = {
+  load: () => (typeof localStorage === 'undefined' ? {} : safeGetJSON(DELIVERIES_STORAGE_KEY, {})),
+  save: (deliveries) => typeof localStorage !== 'undefined' && safeSetJSON(DELIVERIES_STORAGE_KEY, deliveries)
+}
+
+export class WebhookRouter {
+  constructor(options = {}) {
+    this.eventBus = options.eventBus || globalEventBus
+    this.config = options.config || WEBHOOK_CONFIG
+    this.providers = { ...WEBHOOK_PROVIDERS, ...options.providers }
+    this.now = options.now || (() => Date.now())
+    this.fetch = options.fetch || ((...args) => globalThis.fetch(...args))
+    this.storage = options.storage || localDeliveryStorage // { load(), save(deliveries) }
+
+    this.toleranceSeconds = this.config.toleranceSeconds ?? DEFAULT_TOLERANCE_SECONDS
+    this.replayWindowSeconds = this.config.replayWindowSeconds ?? DEFAULT_REPLAY_WINDOW_SECONDS
+    this.processed = new Map(Object.entries(this.storage.load() || {})) // provider:eventId -> processed at (ms)
+    this.inFlight = new Set()
+  }
+
+  /**
+   * Add or replace a provider definition (category, sign, verify, eventId, normalize;
+   * secretConfigKey when the secret is not config.webhookSecret; requiredConfig and
+   * loadKey when the provider signs with its own key)
+   */
+  registerProvider(name, definition) {
+    this.providers[name] = definition
+  }
+
+  /**
+   * Webhook credentials of a provider, with its secret as webhookSecret
+   */
+  getProviderConfig(provider) {
+    const definition = this.providers[provider]
+    const config = this.config[definition?.category]?.[provider] || {}
+
+    return {
+      ...config,
+      webhookSecret: config[definition?.secretConfigKey || 'webhookSecret']
+    }
+  }
+
+  getRequiredConfig(definition) {
+    return definition.requiredConfig || [definition.secretConfigKey || 'webhookSecret']
+  }
+
+  /**
+   * Handle one delivery. body must be the raw request body, exactly as signed.
+   * Resolves { accepted, ignored, event }; rejects with WebhookError. A
+   * REPLAYED rejection is safe to acknowledge: the event was already published.
+   */
+  async handle(provider, { headers = {}, body }) {
+    try {
+      const definition = this.providers[provider]
+      if (!definition) {
+        throw new WebhookError(`No webhook handler for ${provider}`, WEBHOOK_ERROR_CODES.UNKNOWN_PROVIDER, provider)
+      }
+
+      const config = this.getProviderConfig(provider)
+      const missing = this.getRequiredConfig(definition).filter(key => !config[key])
+      if (missing.length > 0) {
+        throw new WebhookError(`Webhook ${missing.join(', ')} not configured for ${provider}`, WEBHOOK_ERROR_CODES.NOT_CONFIGURED, provider)
+      }
+
+      if (typeof body !== 'string') {
+        throw new WebhookError('Webhook body must be the raw request string', WEBHOOK_ERROR_CODES.MALFORMED_PAYLOAD, provider)
+      }
+
+      const normalizedHeaders = Object.fromEntries(
+        Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+      )
+
+      const { timestamp } = await definition.verify({
+        headers: normalizedHeaders,
+        body,
+        secret: config.webhookSecret,
+        webhookId: config.webhookId,
+        getKey: (keyId) => getVerificationKey(provider, keyId, { definition, config, fetch: this.fetch, now: this.now() })
+      })
+      this.assertFresh(provider, timestamp)
+
+      const payload = this.parsePayload(provider, body)
+      const eventId = await definition.eventId(payload, body)
+      if (!eventId) {
+        throw new WebhookError('Webhook payload has no event id', WEBHOOK_ERROR_CODES.MALFORMED_PAYLOAD, provider)
+      }
+
+      // Recorded only once published, so a failed delivery can be retried
+      const key = `${provider}:${eventId}`
+      this.assertNotDelivered(provider, key, eventId)
+      this.inFlight.add(key)
+
+      try {
+        const normalized = definition.normalize(payload)
+        let event = null
+
+        if (normalized) {
+          event = new DomainEvent(normalized.type, {
+            provider,
+            providerEventId: eventId,
+            occurredAt: normalized.occurredAt || null,
+            receivedAt: new Date(this.now()).toISOString(),
+            ...normalized.data
+          })
+          await this.eventBus.emit(event)
+        } else {
+          // Acknowledged so the provider stops retrying, but nothing listens for it
+          logger.debug(`Ignoring unmapped ${provider} webhook`, { eventId })
+        }
+
+        this.recordDelivery(key)
+        return { accepted: true, ignored: !event, event }
+      } finally {
+        this.inFlight.delete(key)
+      }
+    } catch (error) {
+      logger.warn(`Rejected ${provider} webhook`, { code: error.code, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Signed timestamps must be within the tolerance of now, either side
+   */
+  assertFresh(provider, timestamp) {
+    if (timestamp === null || timestamp === undefined) return
+
+    const skew = Math.abs(this.now() / 1000 - timestamp)
+    if (!Number.isFinite(skew) || skew > this.toleranceSeconds) {
+      throw new WebhookError(
+        `Webhook timestamp is outside the ${this.toleranceSeconds}s tolerance`,
+        WEBHOOK_ERROR_CODES.STALE_TIMESTAMP,
+        provider
+      )
+    }
+  }
+
+  parsePayload(provider, body) {
+    try {
+      return JSON.parse(body)
+    } catch (error) {
+      throw new WebhookError(`Webhook body is not JSON: ${error.message}`, WEBHOOK_ERROR_CODES.MALFORMED_PAYLOAD, provider)
+    }
+  }
+
+  /**
+   * A delivery already published within the replay window, or still being
+   * published, is rejected
+   */
+  assertNotDelivered(provider, key, eventId) {
+    const now = this.now()
+    const windowMs = this.replayWindowSeconds * 1000
+
+    this.processed.forEach((processedAt, processedKey) => {
+      if (now - processedAt > windowMs) this.processed.delete(processedKey)
+    })
+
+    if (this.processed.has(key) || this.inFlight.has(key)) {
+      throw new WebhookError(`Webhook ${eventId} was already processed`, WEBHOOK_ERROR_CODES.REPLAYED, provider)
+    }
+  }
+
+  /**
+   * Remember a published delivery for the replay window
+   */
+  recordDelivery(key) {
+    this.processed.set(key, this.now())
+    this.storage.save(Object.fromEntries(this.processed))
+  }
+
+  clear() {
+    this.processed.clear()
+    this.storage.save({})
+  }
+}
+
+export const webhookRouter = new WebhookRouter()
+
+export default webhookRouter
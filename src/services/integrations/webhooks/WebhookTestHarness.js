@@ -0,0 +1,212 @@
+/**
+ * Webhook Test Harness
+ * Fires signed sample callbacks through the WebhookRouter so KYC and payment
+ * flows can be exercised locally without the providers' dashboards, e.g.
+ *   await webhookTestHarness.fire('stripe', 'payment.refunded', { id: 'pi_123', amount: 25 })
+ *   await webhookTestHarness.fire('stripe', 'payment.dispute_closed', { id: 'pi_123', outcome: 'won' })
+ */
+
+import { webhookRouter } from './WebhookRouter.js'
+import { WEBHOOK_EVENT_TYPES, trustVerificationKey } from './webhookProviders.js'
+
+const {
+  KYC_APPROVED, KYC_REJECTED, KYC_RETRY_REQUIRED, KYC_REVIEW_REQUIRED, KYC_PENDING,
+  PAYMENT_SUCCEEDED, PAYMENT_FAILED, PAYMENT_REFUNDED,
+  PAYMENT_DISPUTED, PAYMENT_DISPUTE_UPDATED, PAYMENT_DISPUTE_CLOSED, PAYMENT_UPDATED,
+  BANK_VERIFIED, BANK_ITEM_ERROR
+} = WEBHOOK_EVENT_TYPES
+
+// Providers that sign with their own keys get a generated key pair per run;
+// the impostor pair signs deliveries the router must reject
+const signingKeys = new Map() // provider:trusted|impostor -> Promise of { keyId, privateKey }
+
+const getSigningKey = (provider, definition, impostor) => {
+  const cacheKey = `${provider}:${impostor ? 'impostor' : 'trusted'}`
+  if (!signingKeys.has(cacheKey)) {
+    signingKeys.set(cacheKey, definition.generateSigningKey().then(({ publicKey, privateKey }) => {
+      if (!impostor) trustVerificationKey(provider, definition.testKeyId, publicKey)
+      return { keyId: definition.testKeyId, privateKey }
+    }))
+  }
+  return signingKeys.get(cacheKey)
+}
+
+const sampleId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`
+
+const jumioCallback = (verificationStatus, extra = {}) => ({ id = sampleId('jumio'), userId, timestamp }) => ({
+  scanReference: id,
+  customerId: userId,
+  verificationStatus,
+  callbackDate: new Date(timestamp * 1000).toISOString(),
+  ...extra
+})
+
+const onfidoCallback = (action, status, result) => ({ id = sampleId('chk'), userId, timestamp }) => ({
+  payload: {
+    resource_type: 'check',
+    action,
+    object: {
+      id,
+      applicant_id: userId,
+      status,
+      result,
+      completed_at_iso8601: status === 'complete' ? new Date(timestamp * 1000).toISOString() : null,
+      href: `/v3.6/checks/${id}`
+    }
+  }
+})
+
+const stripeEvent = (type, object) => ({ id = sampleId('pi'), amount, currency, timestamp, disputeId = sampleId('dp'), outcome = 'lost' }) => ({
+  id: sampleId('evt'),
+  object: 'event',
+  type,
+  created: timestamp,
+  data: { object: object({ id, amount: Math.round(amount * 100), currency: currency.toLowerCase(), disputeId, outcome }) }
+})
+
+const stripeDispute = (status) => ({ id, amount, currency, disputeId, outcome }) => ({
+  id: disputeId, object: 'dispute', payment_intent: id, amount, currency, reason: 'fraudulent', status: status || outcome
+})
+
+const paypalEvent = (eventType, resource) => ({ id = sampleId('CAPTURE'), amount, currency, timestamp, disputeId = sampleId('PP-D'), outcome = 'lost' }) => ({
+  id: sampleId('WH'),
+  event_type: eventType,
+  create_time: new Date(timestamp * 1000).toISOString(),
+  resource: resource({ id, amount: { value: amount.toFixed(2), currency_code: currency }, disputeId, outcome })
+})
+
+const paypalDispute = (status) => ({ id, amount, disputeId, outcome }) => ({
+  dispute_id: disputeId,
+  reason: 'MERCHANDISE_OR_SERVICE_NOT_RECEIVED',
+  status,
+  dispute_amount: amount,
+  disputed_transactions: [{ seller_transaction_id: id }],
+  ...(status === 'RESOLVED' && {
+    dispute_outcome: { outcome_code: outcome === 'won' ? 'RESOLVED_SELLER_FAVOUR' : 'RESOLVED_BUYER_FAVOUR' }
+  })
+})
+
+const plaidWebhook = (webhookType, webhookCode, extra = {}) => ({ id = sampleId('item') }) => ({
+  webhook_type: webhookType,
+  webhook_code: webhookCode,
+  item_id: id,
+  environment: 'sandbox',
+  ...extra
+})
+
+/**
+ * Sample payload builders per provider, keyed by the event they map to
+ */
+export const WEBHOOK_SAMPLES = {
+  jumio: {
+    [KYC_APPROVED]: jumioCallback('APPROVED_VERIFIED'),
+    [KYC_REJECTED]: jumioCallback('DENIED_FRAUD', {
+      rejectReason: { rejectReasonCode: '100', rejectReasonDescription: 'MANIPULATED_DOCUMENT' }
+    }),
+    [KYC_RETRY_REQUIRED]: jumioCallback('ERROR_NOT_READABLE_ID')
+  },
+  onfido: {
+    [KYC_APPROVED]: onfidoCallback('check.completed', 'complete', 'clear'),
+    [KYC_REVIEW_REQUIRED]: onfidoCallback('check.completed', 'complete', 'consider'),
+    [KYC_PENDING]: onfidoCallback('check.started', 'in_progress', null)
+  },
+  stripe: {
+    [PAYMENT_SUCCEEDED]: stripeEvent('payment_intent.succeeded', ({ id, amount, currency }) => ({
+      id, object: 'payment_intent', amount, currency, status: 'succeeded', metadata: {}
+    })),
+    [PAYMENT_FAILED]: stripeEvent('payment_intent.payment_failed', ({ id, amount, currency }) => ({
+      id, object: 'payment_intent', amount, currency, status: 'requires_payment_method',
+      last_payment_error: { code: 'card_declined', message: 'Your card was declined.' }
+    })),
+    [PAYMENT_REFUNDED]: stripeEvent('charge.refunded', ({ id, amount, currency }) => ({
+      id: sampleId('ch'), object: 'charge', payment_intent: id, amount, amount_refunded: amount, currency, refunded: true,
+      refunds: { object: 'list', data: [{ id: sampleId('re'), object: 'refund', amount, status: 'succeeded' }] }
+    })),
+    [PAYMENT_DISPUTED]: stripeEvent('charge.dispute.created', stripeDispute('needs_response')),
+    [PAYMENT_DISPUTE_UPDATED]: stripeEvent('charge.dispute.updated', stripeDispute('under_review')),
+    [PAYMENT_DISPUTE_CLOSED]: stripeEvent('charge.dispute.closed', stripeDispute())
+  },
+  paypal: {
+    [PAYMENT_SUCCEEDED]: paypalEvent('PAYMENT.CAPTURE.COMPLETED', ({ id, amount }) => ({ id, amount, status: 'COMPLETED' })),
+    [PAYMENT_FAILED]: paypalEvent('PAYMENT.CAPTURE.DENIED', ({ id, amount }) => ({ id, amount, status: 'DECLINED' })),
+    [PAYMENT_REFUNDED]: paypalEvent('PAYMENT.CAPTURE.REFUNDED', ({ id, amount }) => ({
+      id: sampleId('REFUND'),
+      amount,
+      status: 'COMPLETED',
+      links: [{ rel: 'up', method: 'GET', href: `https://api.paypal.com/v2/payments/captures/${id}` }]
+    })),
+    [PAYMENT_DISPUTED]: paypalEvent('CUSTOMER.DISPUTE.CREATED', paypalDispute('WAITING_FOR_SELLER_RESPONSE')),
+    [PAYMENT_DISPUTE_UPDATED]: paypalEvent('CUSTOMER.DISPUTE.UPDATED', paypalDispute('UNDER_REVIEW')),
+    [PAYMENT_DISPUTE_CLOSED]: paypalEvent('CUSTOMER.DISPUTE.RESOLVED', paypalDispute('RESOLVED'))
+  },
+  plaid: {
+    [BANK_VERIFIED]: plaidWebhook('AUTH', 'AUTOMATICALLY_VERIFIED', { account_id: sampleId('acc') }),
+    [BANK_ITEM_ERROR]: plaidWebhook('ITEM', 'ERROR', { error: { error_code: 'ITEM_LOGIN_REQUIRED' } }),
+    [PAYMENT_UPDATED]: plaidWebhook('TRANSFER', 'TRANSFER_EVENTS_UPDATE')
+  }
+}
+
+export class WebhookTestHarness {
+  constructor(router = webhookRouter) {
+    this.router = router
+  }
+
+  /**
+   * Event types with a sample, per provider
+   */
+  listSamples() {
+    return Object.fromEntries(
+      Object.entries(WEBHOOK_SAMPLES).map(([provider, samples]) => [provider, Object.keys(samples)])
+    )
+  }
+
+  /**
+   * Sign a payload the way the provider would. secret defaults to the configured
+   * webhook secret; pass another one to produce a delivery the router must reject
+   * (providers that sign with their own keys then use a key the router does not trust).
+   */
+  async signDelivery(provider, payload, options = {}) {
+    const definition = this.router.providers[provider]
+    if (!definition) {
+      throw new Error(`No webhook handler for ${provider}`)
+    }
+
+    const config = this.router.getProviderConfig(provider)
+    const body = JSON.stringify(payload)
+    const headers = await definition.sign({
+      secret: options.secret || config.webhookSecret,
+      body,
+      timestamp: options.timestamp ?? Math.floor(this.router.now() / 1000),
+      webhookId: config.webhookId,
+      signingKey: definition.generateSigningKey ? await getSigningKey(provider, definition, Boolean(options.secret)) : null
+    })
+
+    return { headers, body }
+  }
+
+  /**
+   * Signed delivery of a sample event. params: id, userId, amount, currency, secret, timestamp;
+   * disputes also take disputeId and outcome ('won' | 'lost', for closed disputes)
+   */
+  async buildDelivery(provider, eventType, params = {}) {
+    const build = WEBHOOK_SAMPLES[provider]?.[eventType]
+    if (!build) {
+      throw new Error(`No ${provider} sample for ${eventType}`)
+    }
+
+    const timestamp = params.timestamp ?? Math.floor(this.router.now() / 1000)
+    const payload = build({ amount: 100, currency: 'USD', ...params, timestamp })
+    return this.signDelivery(provider, payload, { secret: params.secret, timestamp })
+  }
+
+  /**
+   * Build a sample delivery and push it through the router
+   */
+  async fire(provider, eventType, params = {}) {
+    return this.router.handle(provider, await this.buildDelivery(provider, eventType, params))
+  }
+}
+
+export const webhookTestHarness = new WebhookTestHarness()
+
+export default webhookTestHarness
@@ -0,0 +1,168 @@
+/**
+ * Webhook Crypto
+ * Web Crypto primitives shared by the provider signature schemes
+ */
+
+const encoder = new TextEncoder()
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('')
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)))
+
+export const base64UrlEncode = (value) => {
+  const base64 = typeof value === 'string' ? btoa(value) : toBase64(value)
+  return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+export const base64UrlDecode = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+  return atob(base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '='))
+}
+
+export const base64ToBytes = (value) => Uint8Array.from(atob(value), char => char.charCodeAt(0))
+
+export const base64UrlToBytes = (value) => Uint8Array.from(base64UrlDecode(value), char => char.charCodeAt(0))
+
+/**
+ * HMAC-SHA256 of message under secret, hex by default
+ */
+export const hmacSha256 = async (secret, message, encoding = 'hex') => {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  )
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message))
+
+  if (encoding === 'base64') return toBase64(signature)
+  if (encoding === 'base64url') return base64UrlEncode(signature)
+  return toHex(signature)
+}
+
+export const sha256Hex = async (message) =>
+  toHex(await crypto.subtle.digest('SHA-256', encoder.encode(message)))
+
+/**
+ * Compare signatures without leaking where they differ
+ */
+export const timingSafeEqual = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false
+  }
+
+  let difference = 0
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i)
+  }
+  return difference === 0
+}
+
+/**
+ * Verify an RSA PKCS#1 v1.5 SHA-256 signature (base64) with a public key
+ */
+export const verifyRsaSha256 = async (publicKey, message, signature) => {
+  try {
+    return await crypto.subtle.verify('RSASSA-PKCS1-v1_5', publicKey, base64ToBytes(signature), encoder.encode(message))
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Verify an ES256 JWS signature (base64url of raw r || s) with a public key
+ */
+export const verifyEs256 = async (publicKey, message, signature) => {
+  try {
+    return await crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, publicKey, base64UrlToBytes(signature), encoder.encode(message))
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Key pairs and signatures for producing test deliveries the way PayPal and Plaid sign them
+ */
+export const generateRsaSha256KeyPair = () => crypto.subtle.generateKey(
+  { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+  true,
+  ['sign', 'verify']
+)
+
+export const generateEs256KeyPair = () => crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify'])
+
+export const signRsaSha256 = async (privateKey, message) =>
+  toBase64(await crypto.subtle.sign('RSASSA-PKCS1-v1_5', privateKey, encoder.encode(message)))
+
+export const signEs256 = async (privateKey, message) =>
+  base64UrlEncode(await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, privateKey, encoder.encode(message)))
+
+export const importEs256Jwk = ({ kty, crv, x, y }) =>
+  crypto.subtle.importKey('jwk', { kty, crv, x, y }, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify'])
+
+// DER element at offset: its tag and where its contents start and it ends
+const readDer = (bytes, offset) => {
+  let length = bytes[offset + 1]
+  let start = offset + 2
+
+  if (length & 0x80) {
+    const octets = length & 0x7f
+    length = 0
+    for (let i = 0; i < octets; i++) {
+      length = length * 256 + bytes[start + i]
+    }
+    start += octets
+  }
+
+  if (start + length > bytes.length) {
+    throw new Error('Truncated DER element')
+  }
+  return { tag: bytes[offset], offset, start, end: start + length }
+}
+
+/**
+ * RSA public key of a PEM X.509 certificate. Only the key is read; the caller
+ * decides whether to trust the certificate (e.g. by where it was fetched from).
+ */
+export const importCertificateKey = (pem) => {
+  const base64 = pem.replace(/-----(BEGIN|END) CERTIFICATE-----/g, '').replace(/\s+/g, '')
+  const der = base64ToBytes(base64)
+
+  // Certificate -> tbsCertificate -> [version], serialNumber, signature, issuer, validity, subject, subjectPublicKeyInfo
+  const tbs = readDer(der, readDer(der, 0).start)
+  let field = readDer(der, tbs.start)
+  if (field.tag === 0xa0) field = readDer(der, field.end)
+  for (let i = 0; i < 5; i++) {
+    field = readDer(der, field.end)
+  }
+
+  return crypto.subtle.importKey(
+    'spki',
+    der.slice(field.offset, field.end),
+    { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    false,
+    ['verify']
+  )
+}
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c >>> 0
+})
+
+/**
+ * CRC32 of the UTF-8 bytes, as an unsigned decimal number
+ */
+export const crc32 = (message) => {
+  let crc = 0xffffffff
+  for (const byte of encoder.encode(message)) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
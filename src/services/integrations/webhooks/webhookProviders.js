@@ -0,0 +1,467 @@
+/**
+ * Webhook Providers
+ * How each KYC and payment provider signs its callbacks and how their events
+ * map onto diBoaS event types. Every definition can verify a delivery and,
+ * for the local test harness, produce one.
+ *
+ * Jumio, Onfido and Stripe sign with a shared secret (HMAC). PayPal and Plaid
+ * sign with their own keys: PayPal's certificate and Plaid's ES256 key are
+ * fetched by id from the provider and cached (see getVerificationKey).
+ */
+
+import { WebhookError, WEBHOOK_ERROR_CODES } from './WebhookError.js'
+import {
+  hmacSha256, sha256Hex, timingSafeEqual, crc32, base64UrlEncode, base64UrlDecode,
+  verifyRsaSha256, verifyEs256, importCertificateKey, importEs256Jwk,
+  generateRsaSha256KeyPair, generateEs256KeyPair, signRsaSha256, signEs256
+} from './webhookCrypto.js'
+import { DISPUTE_STATUS } from '../payments/paymentLifecycle.js'
+
+export const WEBHOOK_EVENT_TYPES = {
+  KYC_APPROVED: 'kyc.approved',
+  KYC_REJECTED: 'kyc.rejected',
+  KYC_RETRY_REQUIRED: 'kyc.retry_required',
+  KYC_REVIEW_REQUIRED: 'kyc.review_required',
+  KYC_PENDING: 'kyc.pending',
+  KYC_CANCELED: 'kyc.canceled',
+  PAYMENT_SUCCEEDED: 'payment.succeeded',
+  PAYMENT_FAILED: 'payment.failed',
+  PAYMENT_CANCELED: 'payment.canceled',
+  PAYMENT_REFUNDED: 'payment.refunded',
+  PAYMENT_DISPUTED: 'payment.disputed',
+  PAYMENT_DISPUTE_UPDATED: 'payment.dispute_updated',
+  PAYMENT_DISPUTE_CLOSED: 'payment.dispute_closed',
+  PAYMENT_UPDATED: 'payment.updated',
+  BANK_VERIFIED: 'bank.verified',
+  BANK_VERIFICATION_EXPIRED: 'bank.verification_expired',
+  BANK_ITEM_ERROR: 'bank.item_error',
+  BANK_REAUTH_REQUIRED: 'bank.reauth_required'
+}
+
+const {
+  KYC_APPROVED, KYC_REJECTED, KYC_RETRY_REQUIRED, KYC_REVIEW_REQUIRED, KYC_PENDING, KYC_CANCELED,
+  PAYMENT_SUCCEEDED, PAYMENT_FAILED, PAYMENT_CANCELED, PAYMENT_REFUNDED,
+  PAYMENT_DISPUTED, PAYMENT_DISPUTE_UPDATED, PAYMENT_DISPUTE_CLOSED, PAYMENT_UPDATED,
+  BANK_VERIFIED, BANK_VERIFICATION_EXPIRED, BANK_ITEM_ERROR, BANK_REAUTH_REQUIRED
+} = WEBHOOK_EVENT_TYPES
+
+const requireHeader = (headers, name, provider) => {
+  const value = headers[name]
+  if (!value) {
+    throw new WebhookError(`Missing ${name} header`, WEBHOOK_ERROR_CODES.MISSING_SIGNATURE, provider)
+  }
+  return value
+}
+
+const assertSignature = (expected, received, provider) => {
+  const candidates = Array.isArray(received) ? received : [received]
+  if (!candidates.some(candidate => timingSafeEqual(expected, candidate))) {
+    throw new WebhookError('Webhook signature does not match', WEBHOOK_ERROR_CODES.INVALID_SIGNATURE, provider)
+  }
+}
+
+const KEY_CACHE_MS = 60 * 60 * 1000
+const verificationKeys = new Map() // provider:keyId -> { key, loadedAt }
+
+/**
+ * Public key a provider signed with, loaded through its definition's loadKey
+ * and cached for an hour
+ */
+export const getVerificationKey = async (provider, keyId, options = {}) => {
+  const { definition = WEBHOOK_PROVIDERS[provider], config = {}, fetch = globalThis.fetch, now = Date.now() } = options
+  const cacheKey = `${provider}:${keyId}`
+  const cached = verificationKeys.get(cacheKey)
+  if (cached && (cached.trusted || now - cached.loadedAt < KEY_CACHE_MS)) return cached.key
+
+  let key
+  try {
+    key = await definition.loadKey(keyId, { config, fetch })
+  } catch (error) {
+    if (error instanceof WebhookError) throw error
+    throw new WebhookError(`Could not load ${provider} verification key: ${error.message}`, WEBHOOK_ERROR_CODES.KEY_UNAVAILABLE, provider)
+  }
+
+  verificationKeys.set(cacheKey, { key, loadedAt: now })
+  return key
+}
+
+/**
+ * Trust a key without fetching it; the test harness signs with its own keys
+ */
+export const trustVerificationKey = (provider, keyId, key) => {
+  verificationKeys.set(`${provider}:${keyId}`, { key, trusted: true })
+}
+
+const fetchOk = async (fetch, url, options, provider) => {
+  const response = await fetch(url, options)
+  if (!response.ok) {
+    throw new WebhookError(`${provider} key request failed with ${response.status}`, WEBHOOK_ERROR_CODES.KEY_UNAVAILABLE, provider)
+  }
+  return response
+}
+
+// Stripe amounts are minor units (cents); diBoaS events carry major units
+const fromMinorUnits = (amount) => (amount ?? 0) / 100
+
+const jumio = {
+  category: 'kyc',
+  statusEvents: {
+    APPROVED_VERIFIED: KYC_APPROVED,
+    DENIED_FRAUD: KYC_REJECTED,
+    DENIED_UNSUPPORTED_ID_TYPE: KYC_REJECTED,
+    DENIED_UNSUPPORTED_ID_COUNTRY: KYC_REJECTED,
+    ERROR_NOT_READABLE_ID: KYC_RETRY_REQUIRED,
+    NO_ID_UPLOADED: KYC_RETRY_REQUIRED
+  },
+
+  // HMAC-SHA256 (hex) of "<timestamp>.<body>"
+  async sign({ secret, body, timestamp }) {
+    return {
+      'x-jumio-timestamp': String(timestamp),
+      'x-jumio-signature': await hmacSha256(secret, `${timestamp}.${body}`)
+    }
+  },
+
+  async verify({ headers, body, secret }) {
+    const timestamp = requireHeader(headers, 'x-jumio-timestamp', 'jumio')
+    const signature = requireHeader(headers, 'x-jumio-signature', 'jumio')
+    assertSignature(await hmacSha256(secret, `${timestamp}.${body}`), signature, 'jumio')
+    return { timestamp: Number(timestamp) }
+  },
+
+  eventId: (payload) => `${payload.scanReference}:${payload.callbackDate}`,
+
+  normalize(payload) {
+    const type = this.statusEvents[payload.verificationStatus]
+    return type && {
+      type,
+      occurredAt: payload.callbackDate,
+      data: {
+        verificationId: payload.scanReference,
+        userId: payload.customerId || null,
+        status: payload.verificationStatus,
+        reason: payload.rejectReason?.rejectReasonDescription || null
+      }
+    }
+  }
+}
+
+const onfido = {
+  category: 'kyc',
+  secretConfigKey: 'webhookToken',
+
+  // HMAC-SHA256 (hex) of the raw body under the webhook token. Onfido signs
+  // no timestamp, so duplicates are caught by event id alone.
+  async sign({ secret, body }) {
+    return { 'x-sha2-signature': await hmacSha256(secret, body) }
+  },
+
+  async verify({ headers, body, secret }) {
+    const signature = requireHeader(headers, 'x-sha2-signature', 'onfido')
+    assertSignature(await hmacSha256(secret, body), signature, 'onfido')
+    return { timestamp: null }
+  },
+
+  eventId: ({ payload }) => `${payload.object.id}:${payload.action}`,
+
+  normalize({ payload }) {
+    const { action, object } = payload
+    let type = null
+
+    if (action === 'check.started') type = KYC_PENDING
+    if (action === 'check.withdrawn') type = KYC_CANCELED
+    if (action === 'check.completed') {
+      type = object.result === 'clear' ? KYC_APPROVED : KYC_REVIEW_REQUIRED
+    }
+
+    return type && {
+      type,
+      occurredAt: object.completed_at_iso8601 || null,
+      data: {
+        verificationId: object.id,
+        userId: object.applicant_id || null,
+        status: object.status,
+        reason: object.result && object.result !== 'clear' ? object.result : null
+      }
+    }
+  }
+}
+
+const stripe = {
+  category: 'payments',
+  typeEvents: {
+    'payment_intent.succeeded': PAYMENT_SUCCEEDED,
+    'payment_intent.payment_failed': PAYMENT_FAILED,
+    'payment_intent.canceled': PAYMENT_CANCELED,
+    'charge.refunded': PAYMENT_REFUNDED,
+    'charge.dispute.created': PAYMENT_DISPUTED,
+    'charge.dispute.updated': PAYMENT_DISPUTE_UPDATED,
+    'charge.dispute.closed': PAYMENT_DISPUTE_CLOSED
+  },
+  // A refunded charge closes its dispute in the cardholder's favour
+  disputeStatuses: {
+    warning_needs_response: DISPUTE_STATUS.NEEDS_RESPONSE,
+    needs_response: DISPUTE_STATUS.NEEDS_RESPONSE,
+    warning_under_review: DISPUTE_STATUS.UNDER_REVIEW,
+    under_review: DISPUTE_STATUS.UNDER_REVIEW,
+    warning_closed: DISPUTE_STATUS.WON,
+    won: DISPUTE_STATUS.WON,
+    lost: DISPUTE_STATUS.LOST,
+    charge_refunded: DISPUTE_STATUS.LOST
+  },
+
+  // Stripe-Signature: t=<timestamp>,v1=<HMAC-SHA256 hex of "<t>.<body>">
+  async sign({ secret, body, timestamp }) {
+    return { 'stripe-signature': `t=${timestamp},v1=${await hmacSha256(secret, `${timestamp}.${body}`)}` }
+  },
+
+  async verify({ headers, body, secret }) {
+    const parts = requireHeader(headers, 'stripe-signature', 'stripe').split(',').map(part => part.split('='))
+    const timestamp = parts.find(([key]) => key === 't')?.[1]
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value)
+
+    if (!timestamp || signatures.length === 0) {
+      throw new WebhookError('Malformed Stripe-Signature header', WEBHOOK_ERROR_CODES.MISSING_SIGNATURE, 'stripe')
+    }
+
+    assertSignature(await hmacSha256(secret, `${timestamp}.${body}`), signatures, 'stripe')
+    return { timestamp: Number(timestamp) }
+  },
+
+  eventId: (payload) => payload.id,
+
+  normalize(payload) {
+    const type = this.typeEvents[payload.type]
+    const object = payload.data?.object || {}
+    const isDispute = object.object === 'dispute'
+    // charge.refunded carries the cumulative amount_refunded; the newest refund is listed first
+    const latestRefund = type === PAYMENT_REFUNDED ? object.refunds?.data?.[0] : null
+    const amount = type === PAYMENT_REFUNDED ? latestRefund?.amount ?? object.amount_refunded : object.amount
+
+    return type && {
+      type,
+      occurredAt: new Date(payload.created * 1000).toISOString(),
+      data: {
+        paymentId: object.payment_intent || object.id,
+        amount: fromMinorUnits(amount),
+        currency: object.currency?.toUpperCase() || null,
+        reason: object.last_payment_error?.message || object.cancellation_reason || object.reason || null,
+        metadata: object.metadata || {},
+        ...(type === PAYMENT_REFUNDED && {
+          refundId: latestRefund?.id || null,
+          refundedTotal: fromMinorUnits(object.amount_refunded)
+        }),
+        ...(isDispute && {
+          disputeId: object.id,
+          disputeStatus: this.disputeStatuses[object.status] || DISPUTE_STATUS.NEEDS_RESPONSE
+        })
+      }
+    }
+  }
+}
+
+const paypal = {
+  category: 'payments',
+  typeEvents: {
+    'PAYMENT.CAPTURE.COMPLETED': PAYMENT_SUCCEEDED,
+    'PAYMENT.CAPTURE.DENIED': PAYMENT_FAILED,
+    'PAYMENT.CAPTURE.REFUNDED': PAYMENT_REFUNDED,
+    'CUSTOMER.DISPUTE.CREATED': PAYMENT_DISPUTED,
+    'CUSTOMER.DISPUTE.UPDATED': PAYMENT_DISPUTE_UPDATED,
+    'CUSTOMER.DISPUTE.RESOLVED': PAYMENT_DISPUTE_CLOSED
+  },
+  disputeStatuses: {
+    OPEN: DISPUTE_STATUS.NEEDS_RESPONSE,
+    WAITING_FOR_SELLER_RESPONSE: DISPUTE_STATUS.NEEDS_RESPONSE,
+    WAITING_FOR_BUYER_RESPONSE: DISPUTE_STATUS.UNDER_REVIEW,
+    UNDER_REVIEW: DISPUTE_STATUS.UNDER_REVIEW
+  },
+
+  // Resolved disputes are won only when PayPal found for the seller
+  getDisputeStatus(resource) {
+    if (resource.status === 'RESOLVED') {
+      return resource.dispute_outcome?.outcome_code === 'RESOLVED_SELLER_FAVOUR' ? DISPUTE_STATUS.WON : DISPUTE_STATUS.LOST
+    }
+    return this.disputeStatuses[resource.status] || DISPUTE_STATUS.NEEDS_RESPONSE
+  },
+
+  // Refund resources link back to the capture they refunded
+  getCaptureId(resource) {
+    const captureLink = resource.links?.find(link => link.rel === 'up')?.href
+    return captureLink ? captureLink.split('/').pop() : null
+  },
+
+  // Signed message is "<transmission id>|<transmission time>|<webhook id>|<crc32 of body>"
+  signedMessage: (transmissionId, transmissionTime, webhookId, body) =>
+    `${transmissionId}|${transmissionTime}|${webhookId}|${crc32(body)}`,
+
+  // SHA256withRSA under the certificate at paypal-cert-url; the webhook id is not secret
+  requiredConfig: ['webhookId'],
+  certHosts: ['api.paypal.com', 'api-m.paypal.com', 'api.sandbox.paypal.com', 'api-m.sandbox.paypal.com'],
+  testKeyId: 'https://api.sandbox.paypal.com/v1/notifications/certs/CERT-diboas-test',
+  generateSigningKey: generateRsaSha256KeyPair,
+
+  async sign({ body, timestamp, webhookId, signingKey }) {
+    const transmissionId = `${timestamp}-${Math.random().toString(36).substring(2, 10)}`
+    const transmissionTime = new Date(timestamp * 1000).toISOString()
+
+    return {
+      'paypal-transmission-id': transmissionId,
+      'paypal-transmission-time': transmissionTime,
+      'paypal-transmission-sig': await signRsaSha256(signingKey.privateKey, this.signedMessage(transmissionId, transmissionTime, webhookId, body)),
+      'paypal-cert-url': signingKey.keyId,
+      'paypal-auth-algo': 'SHA256withRSA'
+    }
+  },
+
+  async verify({ headers, body, webhookId, getKey }) {
+    const transmissionId = requireHeader(headers, 'paypal-transmission-id', 'paypal')
+    const transmissionTime = requireHeader(headers, 'paypal-transmission-time', 'paypal')
+    const signature = requireHeader(headers, 'paypal-transmission-sig', 'paypal')
+    const certUrl = requireHeader(headers, 'paypal-cert-url', 'paypal')
+
+    if (requireHeader(headers, 'paypal-auth-algo', 'paypal') !== 'SHA256withRSA') {
+      throw new WebhookError(`Unsupported PayPal auth algorithm ${headers['paypal-auth-algo']}`, WEBHOOK_ERROR_CODES.INVALID_SIGNATURE, 'paypal')
+    }
+
+    const publicKey = await getKey(certUrl)
+    if (!await verifyRsaSha256(publicKey, this.signedMessage(transmissionId, transmissionTime, webhookId, body), signature)) {
+      throw new WebhookError('Webhook signature does not match', WEBHOOK_ERROR_CODES.INVALID_SIGNATURE, 'paypal')
+    }
+    return { timestamp: Math.floor(Date.parse(transmissionTime) / 1000) }
+  },
+
+  // The certificate is trusted because it is fetched over HTTPS from PayPal's own API hosts
+  async loadKey(certUrl, { fetch }) {
+    let url = null
+    try {
+      url = new URL(certUrl)
+    } catch {
+      // Rejected below
+    }
+
+    if (url?.protocol !== 'https:' || !this.certHosts.includes(url.hostname)) {
+      throw new WebhookError(`Untrusted PayPal certificate URL ${certUrl}`, WEBHOOK_ERROR_CODES.INVALID_SIGNATURE, 'paypal')
+    }
+
+    const response = await fetchOk(fetch, url.href, {}, 'paypal')
+    return importCertificateKey(await response.text())
+  },
+
+  eventId: (payload) => payload.id,
+
+  normalize(payload) {
+    const type = this.typeEvents[payload.event_type]
+    const resource = payload.resource || {}
+    const amount = resource.dispute_amount || resource.amount || {}
+    const isDispute = Boolean(resource.dispute_id)
+
+    let paymentId = resource.id
+    if (isDispute) {
+      paymentId = resource.disputed_transactions?.[0]?.seller_transaction_id || resource.dispute_id
+    } else if (type === PAYMENT_REFUNDED) {
+      paymentId = this.getCaptureId(resource) || resource.id
+    }
+
+    return type && {
+      type,
+      occurredAt: payload.create_time,
+      data: {
+        paymentId,
+        amount: amount.value !== undefined ? parseFloat(amount.value) : null,
+        currency: amount.currency_code || null,
+        reason: resource.reason || resource.status_details?.reason || null,
+        metadata: resource.custom_id ? { customId: resource.custom_id } : {},
+        ...(type === PAYMENT_REFUNDED && { refundId: resource.id }),
+        ...(isDispute && {
+          disputeId: resource.dispute_id,
+          disputeStatus: this.getDisputeStatus(resource)
+        })
+      }
+    }
+  }
+}
+
+const plaid = {
+  category: 'payments',
+  codeEvents: {
+    'AUTH.AUTOMATICALLY_VERIFIED': BANK_VERIFIED,
+    'AUTH.VERIFICATION_EXPIRED': BANK_VERIFICATION_EXPIRED,
+    'ITEM.ERROR': BANK_ITEM_ERROR,
+    'ITEM.PENDING_EXPIRATION': BANK_REAUTH_REQUIRED,
+    'TRANSFER.TRANSFER_EVENTS_UPDATE': PAYMENT_UPDATED
+  },
+
+  // Plaid-Verification: ES256 JWT whose claims carry iat and the body's SHA-256.
+  // The key is looked up by the JWT's kid with the Plaid API credentials.
+  requiredConfig: ['clientId', 'secret'],
+  testKeyId: 'diboas-test-key',
+  generateSigningKey: generateEs256KeyPair,
+
+  async sign({ body, timestamp, signingKey }) {
+    const header = base64UrlEncode(JSON.stringify({ alg: 'ES256', kid: signingKey.keyId, typ: 'JWT' }))
+    const claims = base64UrlEncode(JSON.stringify({ iat: timestamp, request_body_sha256: await sha256Hex(body) }))
+    const signature = await signEs256(signingKey.privateKey, `${header}.${claims}`)
+    return { 'plaid-verification': `${header}.${claims}.${signature}` }
+  },
+
+  async verify({ headers, body, getKey }) {
+    const [header, claims, signature] = requireHeader(headers, 'plaid-verification', 'plaid').split('.')
+    if (!header || !claims || !signature) {
+      throw new WebhookError('Malformed Plaid-Verification token', WEBHOOK_ERROR_CODES.MISSING_SIGNATURE, 'plaid')
+    }
+
+    let alg = null
+    let kid = null
+    try {
+      ({ alg, kid } = JSON.parse(base64UrlDecode(header)))
+    } catch {
+      throw new WebhookError('Malformed Plaid-Verification token', WEBHOOK_ERROR_CODES.MISSING_SIGNATURE, 'plaid')
+    }
+    if (alg !== 'ES256' || !kid) {
+      throw new WebhookError('Plaid-Verification must be ES256 with a key id', WEBHOOK_ERROR_CODES.INVALID_SIGNATURE, 'plaid')
+    }
+
+    if (!await verifyEs256(await getKey(kid), `${header}.${claims}`, signature)) {
+      throw new WebhookError('Webhook signature does not match', WEBHOOK_ERROR_CODES.INVALID_SIGNATURE, 'plaid')
+    }
+
+    const { iat, request_body_sha256: bodyHash } = JSON.parse(base64UrlDecode(claims))
+    if (!timingSafeEqual(await sha256Hex(body), bodyHash)) {
+      throw new WebhookError('Webhook body does not match the signed hash', WEBHOOK_ERROR_CODES.INVALID_SIGNATURE, 'plaid')
+    }
+    return { timestamp: iat }
+  },
+
+  async loadKey(kid, { config, fetch }) {
+    const response = await fetchOk(fetch, `https://${config.environment || 'sandbox'}.plaid.com/webhook_verification_key/get`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ client_id: config.clientId, secret: config.secret, key_id: kid })
+    }, 'plaid')
+    const { key } = await response.json()
+
+    if (!key || key.expired_at) {
+      throw new WebhookError(`Plaid verification key ${kid} is expired or unknown`, WEBHOOK_ERROR_CODES.INVALID_SIGNATURE, 'plaid')
+    }
+    return importEs256Jwk(key)
+  },
+
+  // Plaid events carry no id; an identical body is the same event
+  eventId: (payload, body) => sha256Hex(body),
+
+  normalize(payload) {
+    const type = this.codeEvents[`${payload.webhook_type}.${payload.webhook_code}`]
+    return type && {
+      type,
+      occurredAt: null,
+      data: {
+        itemId: payload.item_id || null,
+        accountId: payload.account_id || null,
+        reason: payload.error?.error_code || null
+      }
+    }
+  }
+}
+
+export const WEBHOOK_PROVIDERS = { jumio, onfido, stripe, paypal, plaid }
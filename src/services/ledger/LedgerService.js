@@ -0,0 +1,743 @@
+/**
+ * Ledger Service
+ * Double-entry journal behind every balance-changing transaction.
+ * Kept from the platform's point of view: user balances are liabilities
+ * (credit-normal), cash moving through external rails is debit-normal on the
+ * way in and credit-normal on the way out, and fees are revenue or clearing.
+ */
+
+import logger from '../../utils/logger'
+import secureLogger from '../../utils/secureLogger.js'
+import { Money } from '../../domains/shared/value-objects/Money.js'
+
+// Ledger amounts use the same USDC minor units as DataManager balances
+export const LEDGER_CURRENCY = 'USDC'
+
+export const LEDGER_ACCOUNTS = {
+  USER_AVAILABLE: 'user.available',
+  USER_INVESTED: 'user.invested',
+  USER_STRATEGY: 'user.strategy',
+  USER_NEGATIVE_BALANCE: 'user.negative_balance',
+  FEE_REVENUE: 'platform.fee_revenue',
+  NETWORK_FEE_CLEARING: 'platform.network_fee_clearing',
+  EXTERNAL_IN: 'external.in',
+  EXTERNAL_OUT: 'external.out',
+  EXTERNAL_MARKET: 'external.market',
+  OPENING_BALANCE: 'platform.opening_balance',
+  SUSPENSE: 'platform.suspense'
+}
+
+export const ENTRY_SIDES = {
+  DEBIT: 'debit',
+  CREDIT: 'credit'
+}
+
+// Normal side per account family; balances are reported on this side
+const ACCOUNT_NORMAL_SIDES = {
+  [LEDGER_ACCOUNTS.USER_AVAILABLE]: ENTRY_SIDES.CREDIT,
+  [LEDGER_ACCOUNTS.USER_INVESTED]: ENTRY_SIDES.CREDIT,
+  [LEDGER_ACCOUNTS.USER_STRATEGY]: ENTRY_SIDES.CREDIT,
+  // Owed by the user after a payment reversal exceeded their funds: a receivable
+  [LEDGER_ACCOUNTS.USER_NEGATIVE_BALANCE]: ENTRY_SIDES.DEBIT,
+  [LEDGER_ACCOUNTS.FEE_REVENUE]: ENTRY_SIDES.CREDIT,
+  [LEDGER_ACCOUNTS.NETWORK_FEE_CLEARING]: ENTRY_SIDES.CREDIT,
+  [LEDGER_ACCOUNTS.EXTERNAL_IN]: ENTRY_SIDES.DEBIT,
+  [LEDGER_ACCOUNTS.EXTERNAL_OUT]: ENTRY_SIDES.CREDIT,
+  // Realized gains paid out on sells and strategy exits (losses are credits)
+  [LEDGER_ACCOUNTS.EXTERNAL_MARKET]: ENTRY_SIDES.DEBIT,
+  [LEDGER_ACCOUNTS.OPENING_BALANCE]: ENTRY_SIDES.DEBIT,
+  [LEDGER_ACCOUNTS.SUSPENSE]: ENTRY_SIDES.DEBIT
+}
+
+// Transaction types that pay into or out of Available Balance through an external rail
+const INFLOW_TYPES = ['add', 'receive', 'loan_disbursement', 'chargeback_reversal']
+const OUTFLOW_TYPES = ['withdraw', 'send', 'transfer', 'loan_repayment']
+
+class LedgerService {
+  constructor() {
+    this.entries = []
+    this.accountBalances = new Map() // accountId -> bigint (debit positive)
+    this.entrySequence = 0
+  }
+
+  /**
+   * Build a ledger account ID
+   * User accounts are scoped by user and optionally by asset or strategy
+   */
+  getAccountId(account, userId = null, subAccount = null) {
+    const base = userId ? `${userId}:${account}` : account
+    return subAccount ? `${base}:${subAccount}` : base
+  }
+
+  /**
+   * Resolve the account family (e.g. user.invested) from an account ID
+   */
+  getAccountFamily(accountId) {
+    return Object.values(LEDGER_ACCOUNTS).find(account =>
+      accountId === account ||
+      accountId.startsWith(`${account}:`) ||
+      accountId.includes(`:${account}`)
+    )
+  }
+
+  /**
+   * Post a journal entry
+   * @param {Object} entry - { userId, transactionId, type, description, postings }
+   *   postings: [{ accountId, side: 'debit'|'credit', amount }]
+   * @returns {Object} Recorded entry
+   */
+  postEntry({ userId = null, transactionId = null, type, description = '', postings }) {
+    if (!Array.isArray(postings) || postings.length < 2) {
+      throw new Error('Journal entry requires at least two postings')
+    }
+
+    const normalizedPostings = postings
+      .map(posting => ({
+        accountId: posting.accountId,
+        side: posting.side,
+        units: this.toUnits(posting.amount)
+      }))
+      .filter(posting => posting.units !== 0n)
+
+    normalizedPostings.forEach(posting => {
+      if (!Object.values(ENTRY_SIDES).includes(posting.side)) {
+        throw new Error(`Invalid posting side: ${posting.side}`)
+      }
+      if (posting.units < 0n) {
+        throw new Error('Posting amounts must be positive')
+      }
+    })
+
+    const totalDebits = this.sumUnits(normalizedPostings, ENTRY_SIDES.DEBIT)
+    const totalCredits = this.sumUnits(normalizedPostings, ENTRY_SIDES.CREDIT)
+    if (totalDebits !== totalCredits) {
+      throw new Error(`Unbalanced journal entry: debits ${this.fromUnits(totalDebits)} != credits ${this.fromUnits(totalCredits)}`)
+    }
+
+    const entry = {
+      id: `je_${Date.now()}_${++this.entrySequence}`,
+      sequence: this.entrySequence,
+      userId,
+      transactionId,
+      type,
+      description,
+      currency: LEDGER_CURRENCY,
+      postings: normalizedPostings,
+      createdAt: new Date().toISOString()
+    }
+
+    this.entries.push(entry)
+    this.applyPostings(entry.postings)
+
+    return this.formatEntry(entry)
+  }
+
+  /**
+   * Journal a balance-changing transaction
+   * Legs are built per transaction type from the transaction itself and the
+   * user's balances as the ledger has them, so the journal never depends on
+   * how DataManager state was changed. Anything the rules cannot explain
+   * lands in suspense so integrity checks can surface it.
+   * @param {Object} params
+   * @param {string} params.userId - Owner of the user-side accounts
+   * @param {Object} params.transactionData - Transaction being processed
+   * @returns {Object|null} Recorded entry, or null when nothing moved
+   */
+  recordTransaction({ userId, transactionData }) {
+    const { type } = transactionData
+    const legs = this.buildTransactionLegs(userId, transactionData)
+
+    // Settlement leg balances the entry
+    const residual = -[...legs.values()].reduce((sum, units) => sum + units, 0n)
+    if (residual !== 0n) {
+      secureLogger.audit('LEDGER_SUSPENSE_POSTING', {
+        userId,
+        transactionId: transactionData.id,
+        type,
+        amount: this.fromUnits(residual)
+      })
+      legs.set(LEDGER_ACCOUNTS.SUSPENSE, (legs.get(LEDGER_ACCOUNTS.SUSPENSE) || 0n) + residual)
+    }
+
+    const postings = [...legs.entries()]
+      .filter(([, units]) => units !== 0n)
+      .map(([accountId, units]) => ({ accountId, units }))
+    if (postings.length === 0) {
+      return null
+    }
+
+    return this.postEntry({
+      userId,
+      transactionId: transactionData.id || null,
+      type,
+      description: transactionData.description || `${type} transaction`,
+      postings: this.toPostings(postings)
+    })
+  }
+
+  /**
+   * Build the legs of a transaction as accountId -> signed units (debit positive)
+   * Mirrors DataManager's balance rules: outgoing amounts are capped at what
+   * Available Balance holds, refunds beyond it become a negative balance, and
+   * money arriving in Available Balance repays a negative balance first.
+   */
+  buildTransactionLegs(userId, transactionData) {
+    const { type, asset, paymentMethod, strategyId } = transactionData
+    const legs = new Map()
+    const post = (accountId, units) => {
+      if (units !== 0n) {
+        legs.set(accountId, (legs.get(accountId) || 0n) + units)
+      }
+    }
+    const debit = (accountId, units) => post(accountId, units)
+    const credit = (accountId, units) => post(accountId, -units)
+    const userAccount = (account, subAccount = null) => this.getAccountId(account, userId, subAccount)
+
+    const balances = this.getUserBalances(userId)
+    const availableUnits = this.toUnits(balances.availableForSpending)
+    const amountUnits = this.parseUnits(transactionData.amount)
+    // DataManager applies the pre-calculated net amount when the flow provides one
+    const processedUnits = transactionData.netAmount !== undefined ? this.parseUnits(transactionData.netAmount) : amountUnits
+    const { platformFeeUnits, networkFeeUnits } = this.splitFees(transactionData.fees)
+    const feeUnits = platformFeeUnits + networkFeeUnits
+    const netUnits = this.maxUnits(amountUnits - feeUnits, 0n)
+
+    // Fee legs, optionally capped at what was actually taken from the user
+    const creditFees = (capUnits = feeUnits) => {
+      const platformUnits = this.minUnits(platformFeeUnits, capUnits)
+      const networkUnits = this.minUnits(networkFeeUnits, capUnits - platformUnits)
+      credit(LEDGER_ACCOUNTS.FEE_REVENUE, platformUnits)
+      credit(LEDGER_ACCOUNTS.NETWORK_FEE_CLEARING, networkUnits)
+      return platformUnits + networkUnits
+    }
+    const debitAvailable = (units) => {
+      const taken = this.minUnits(this.maxUnits(units, 0n), availableUnits)
+      debit(userAccount(LEDGER_ACCOUNTS.USER_AVAILABLE), taken)
+      return taken
+    }
+
+    if (INFLOW_TYPES.includes(type)) {
+      credit(userAccount(LEDGER_ACCOUNTS.USER_AVAILABLE), processedUnits)
+      debit(LEDGER_ACCOUNTS.EXTERNAL_IN, processedUnits + creditFees())
+    } else if (OUTFLOW_TYPES.includes(type)) {
+      const taken = debitAvailable(processedUnits)
+      credit(LEDGER_ACCOUNTS.EXTERNAL_OUT, taken - creditFees(taken))
+    } else {
+      switch (type) {
+        case 'buy': {
+          credit(userAccount(LEDGER_ACCOUNTS.USER_INVESTED, asset), netUnits)
+          creditFees()
+          if (paymentMethod === 'diboas_wallet') {
+            debitAvailable(amountUnits)
+          } else {
+            debit(LEDGER_ACCOUNTS.EXTERNAL_IN, amountUnits)
+          }
+          break
+        }
+
+        case 'sell': {
+          // The position's invested amount goes first, then invested funds not tied to an asset;
+          // proceeds above what was invested are a realized gain from the market
+          const positionUnits = this.maxUnits(this.toUnits(balances.assets[asset]), 0n)
+          const allocatedUnits = Object.values(balances.assets).reduce((sum, value) => sum + this.toUnits(value), 0n)
+          const unallocatedUnits = this.maxUnits(this.toUnits(balances.investedAmount) - allocatedUnits, 0n)
+          const fromPosition = this.minUnits(positionUnits, amountUnits)
+          const fromUnallocated = this.minUnits(unallocatedUnits, amountUnits - fromPosition)
+
+          debit(userAccount(LEDGER_ACCOUNTS.USER_INVESTED, asset), fromPosition)
+          debit(userAccount(LEDGER_ACCOUNTS.USER_INVESTED), fromUnallocated)
+          debit(LEDGER_ACCOUNTS.EXTERNAL_MARKET, amountUnits - fromPosition - fromUnallocated)
+          credit(userAccount(LEDGER_ACCOUNTS.USER_AVAILABLE), netUnits)
+          creditFees()
+          break
+        }
+
+        case 'loan_liquidation': {
+          // Seized collateral leaves with its share of the position's invested amount;
+          // the debt it repays is tracked by the lending pool, outside the journal
+          const seizedUnits = this.minUnits(this.parseUnits(transactionData.investedAmount), this.maxUnits(this.toUnits(balances.assets[asset]), 0n))
+          debit(userAccount(LEDGER_ACCOUNTS.USER_INVESTED, asset), seizedUnits)
+          credit(LEDGER_ACCOUNTS.EXTERNAL_OUT, seizedUnits)
+          break
+        }
+
+        case 'start_strategy': {
+          credit(userAccount(LEDGER_ACCOUNTS.USER_STRATEGY, strategyId), netUnits)
+          creditFees()
+          if (paymentMethod === 'diboas_wallet') {
+            debitAvailable(processedUnits)
+          } else {
+            debit(LEDGER_ACCOUNTS.EXTERNAL_IN, amountUnits)
+          }
+          break
+        }
+
+        case 'stop_strategy': {
+          // The amount is the strategy's value including yield; the difference
+          // from what the strategy holds in the ledger is a realized gain or loss
+          const tracked = balances.strategies[strategyId] !== undefined
+          const heldUnits = tracked
+            ? this.toUnits(balances.strategies[strategyId])
+            : this.minUnits(amountUnits, this.maxUnits(this.toUnits(balances.strategyBalance), 0n))
+          debit(userAccount(LEDGER_ACCOUNTS.USER_STRATEGY, tracked ? strategyId : null), heldUnits)
+          post(LEDGER_ACCOUNTS.EXTERNAL_MARKET, amountUnits - heldUnits)
+          credit(userAccount(LEDGER_ACCOUNTS.USER_AVAILABLE), netUnits)
+          creditFees()
+          break
+        }
+
+        case 'strategy_stop': {
+          // A strategy stopped outside the transaction flow returns what it holds
+          const heldUnits = this.toUnits(balances.strategies[strategyId])
+          debit(userAccount(LEDGER_ACCOUNTS.USER_STRATEGY, strategyId), heldUnits)
+          credit(userAccount(LEDGER_ACCOUNTS.USER_AVAILABLE), heldUnits)
+          break
+        }
+
+        case 'strategy_allocation': {
+          // Direct strategy funding comes out of Available Balance and a negative
+          // allocation returns there; funding beyond Available Balance is unexplained
+          const allocatedUnits = this.parseUnits(transactionData.amount, true)
+          credit(userAccount(LEDGER_ACCOUNTS.USER_STRATEGY, strategyId), allocatedUnits)
+          if (allocatedUnits > 0n) {
+            debitAvailable(allocatedUnits)
+          } else {
+            credit(userAccount(LEDGER_ACCOUNTS.USER_AVAILABLE), -allocatedUnits)
+          }
+          break
+        }
+
+        case 'refund':
+        case 'chargeback': {
+          const taken = debitAvailable(processedUnits)
+          debit(userAccount(LEDGER_ACCOUNTS.USER_NEGATIVE_BALANCE), processedUnits - taken)
+          credit(LEDGER_ACCOUNTS.EXTERNAL_OUT, processedUnits)
+          break
+        }
+
+        default:
+          return legs
+      }
+    }
+
+    // Money arriving in Available Balance repays a negative balance first
+    const availableAccount = userAccount(LEDGER_ACCOUNTS.USER_AVAILABLE)
+    const negativeAccount = userAccount(LEDGER_ACCOUNTS.USER_NEGATIVE_BALANCE)
+    const owedUnits = this.toUnits(balances.negativeBalance) + (legs.get(negativeAccount) || 0n)
+    const availableAfterUnits = availableUnits - (legs.get(availableAccount) || 0n)
+    const settledUnits = this.minUnits(owedUnits, availableAfterUnits)
+    if (settledUnits > 0n) {
+      debit(availableAccount, settledUnits)
+      credit(negativeAccount, settledUnits)
+    }
+
+    return legs
+  }
+
+  /**
+   * Journal balances that predate the ledger (e.g. restored from storage)
+   * so derived balances match without routing them through suspense
+   */
+  recordOpeningBalance(userId, snapshot) {
+    const postings = this.collectUserDeltas(userId, {}, snapshot)
+      .map(({ accountId, units }) => ({ accountId, units: -units }))
+    const residual = -postings.reduce((sum, posting) => sum + posting.units, 0n)
+    postings.push({ accountId: LEDGER_ACCOUNTS.OPENING_BALANCE, units: residual })
+
+    if (postings.every(posting => posting.units === 0n)) {
+      return null
+    }
+
+    return this.postEntry({
+      userId,
+      type: 'opening_balance',
+      description: 'Opening balance',
+      postings: this.toPostings(postings)
+    })
+  }
+
+  /**
+   * Replace a user's journal with persisted entries (as returned by getEntries)
+   */
+  loadUserEntries(userId, entries = []) {
+    const restored = entries.map(entry => ({
+      ...entry,
+      postings: entry.postings.map(({ accountId, side, amount }) => ({
+        accountId,
+        side,
+        units: this.toUnits(amount)
+      }))
+    }))
+
+    this.entries = [
+      ...this.entries.filter(entry => entry.userId !== userId),
+      ...restored
+    ].sort((a, b) => a.sequence - b.sequence)
+    this.entrySequence = Math.max(this.entrySequence, ...restored.map(entry => entry.sequence || 0))
+    this.rebuildBalances()
+  }
+
+  /**
+   * Compute per-account user deltas between two balance snapshots
+   * Residual aggregate changes not explained by sub-accounts go to the parent account
+   */
+  collectUserDeltas(userId, before = {}, after = {}) {
+    const deltas = []
+    const pushDelta = (accountId, units) => {
+      if (units !== 0n) {
+        deltas.push({ accountId, units })
+      }
+    }
+
+    pushDelta(
+      this.getAccountId(LEDGER_ACCOUNTS.USER_AVAILABLE, userId),
+      this.toUnits(after.availableForSpending) - this.toUnits(before.availableForSpending)
+    )
+    // Deltas are in liability terms, so a growing negative balance counts as a decrease
+    pushDelta(
+      this.getAccountId(LEDGER_ACCOUNTS.USER_NEGATIVE_BALANCE, userId),
+      this.toUnits(before.negativeBalance) - this.toUnits(after.negativeBalance)
+    )
+
+    const groups = [
+      { account: LEDGER_ACCOUNTS.USER_INVESTED, total: 'investedAmount', parts: 'assets' },
+      { account: LEDGER_ACCOUNTS.USER_STRATEGY, total: 'strategyBalance', parts: 'strategies' }
+    ]
+
+    groups.forEach(({ account, total, parts }) => {
+      const keys = new Set([...Object.keys(before[parts] || {}), ...Object.keys(after[parts] || {})])
+      let explainedUnits = 0n
+
+      keys.forEach(key => {
+        const units = this.toUnits(after[parts]?.[key]) - this.toUnits(before[parts]?.[key])
+        explainedUnits += units
+        pushDelta(this.getAccountId(account, userId, key), units)
+      })
+
+      const totalUnits = this.toUnits(after[total]) - this.toUnits(before[total])
+      pushDelta(this.getAccountId(account, userId), totalUnits - explainedUnits)
+    })
+
+    return deltas
+  }
+
+  /**
+   * Split a fee breakdown into diBoaS revenue and third-party (network/provider/DEX) clearing
+   */
+  splitFees(fees = {}) {
+    if (!fees) {
+      return { platformFeeUnits: 0n, networkFeeUnits: 0n }
+    }
+
+    // Fee breakdowns come from several calculators; malformed values count as zero
+    const toFeeUnits = (value) => {
+      const parsed = parseFloat(value)
+      return Number.isFinite(parsed) ? this.toUnits(parsed) : 0n
+    }
+
+    const platformFee = fees.diBoaS ?? fees.diboas ?? fees.platformFee
+    const componentTotal = [fees.network, fees.provider, fees.dex, fees.defi, platformFee]
+      .reduce((sum, value) => sum + toFeeUnits(value), 0n)
+    const totalUnits = fees.total !== undefined ? toFeeUnits(fees.total) : componentTotal
+
+    const platformFeeUnits = this.minUnits(toFeeUnits(platformFee), totalUnits)
+    return {
+      platformFeeUnits,
+      networkFeeUnits: totalUnits - platformFeeUnits
+    }
+  }
+
+  /**
+   * Get an account balance on its normal side
+   */
+  getAccountBalance(accountId) {
+    const units = this.accountBalances.get(accountId) || 0n
+    const family = this.getAccountFamily(accountId)
+    const normalSide = ACCOUNT_NORMAL_SIDES[family] || ENTRY_SIDES.DEBIT
+    return this.fromUnits(normalSide === ENTRY_SIDES.DEBIT ? units : -units)
+  }
+
+  /**
+   * Derive a user's balances from the ledger in DataManager's balance shape
+   */
+  getUserBalances(userId) {
+    const prefix = `${userId}:`
+    const derived = {
+      availableForSpending: 0,
+      investedAmount: 0,
+      strategyBalance: 0,
+      negativeBalance: 0,
+      totalUSD: 0,
+      assets: {},
+      strategies: {}
+    }
+    const totals = {
+      [LEDGER_ACCOUNTS.USER_AVAILABLE]: 0n,
+      [LEDGER_ACCOUNTS.USER_INVESTED]: 0n,
+      [LEDGER_ACCOUNTS.USER_STRATEGY]: 0n,
+      [LEDGER_ACCOUNTS.USER_NEGATIVE_BALANCE]: 0n
+    }
+
+    for (const [accountId, units] of this.accountBalances.entries()) {
+      if (!accountId.startsWith(prefix)) continue
+
+      const [account, subAccount] = accountId.slice(prefix.length).split(':')
+      if (totals[account] === undefined) continue
+
+      const creditUnits = -units
+      totals[account] += creditUnits
+
+      if (subAccount && creditUnits !== 0n) {
+        const bucket = account === LEDGER_ACCOUNTS.USER_INVESTED ? derived.assets : derived.strategies
+        bucket[subAccount] = this.fromUnits(creditUnits)
+      }
+    }
+
+    derived.availableForSpending = this.fromUnits(totals[LEDGER_ACCOUNTS.USER_AVAILABLE])
+    derived.investedAmount = this.fromUnits(totals[LEDGER_ACCOUNTS.USER_INVESTED])
+    derived.strategyBalance = this.fromUnits(totals[LEDGER_ACCOUNTS.USER_STRATEGY])
+    derived.negativeBalance = this.fromUnits(-totals[LEDGER_ACCOUNTS.USER_NEGATIVE_BALANCE])
+    derived.totalUSD = this.fromUnits(
+      totals[LEDGER_ACCOUNTS.USER_AVAILABLE] +
+      totals[LEDGER_ACCOUNTS.USER_INVESTED] +
+      totals[LEDGER_ACCOUNTS.USER_STRATEGY] +
+      totals[LEDGER_ACCOUNTS.USER_NEGATIVE_BALANCE]
+    )
+
+    return derived
+  }
+
+  /**
+   * Get journal entries, optionally for one user
+   */
+  getEntries(userId = null, limit = null) {
+    const entries = this.entries
+      .filter(entry => !userId || entry.userId === userId)
+      .map(entry => this.formatEntry(entry))
+      .reverse()
+    return limit ? entries.slice(0, limit) : entries
+  }
+
+  /**
+   * Whether a user has any journal entries
+   */
+  hasEntries(userId) {
+    return this.entries.some(entry => entry.userId === userId)
+  }
+
+  /**
+   * Get a trial balance of every account on its normal side
+   */
+  getTrialBalance() {
+    let totalDebits = 0n
+    let totalCredits = 0n
+    const accounts = []
+
+    for (const [accountId, units] of this.accountBalances.entries()) {
+      if (units === 0n) continue
+      if (units > 0n) {
+        totalDebits += units
+      } else {
+        totalCredits -= units
+      }
+      accounts.push({ accountId, balance: this.getAccountBalance(accountId) })
+    }
+
+    return {
+      accounts,
+      totalDebits: this.fromUnits(totalDebits),
+      totalCredits: this.fromUnits(totalCredits),
+      balanced: totalDebits === totalCredits
+    }
+  }
+
+  /**
+   * Verify ledger integrity
+   * Checks every entry balances, the trial balance nets to zero, suspense is empty,
+   * and (optionally) that a user's recorded balance matches the ledger-derived one
+   * @param {Object} options
+   * @param {string} options.userId - User to reconcile (optional)
+   * @param {Object} options.expectedBalance - Balance to reconcile against (optional)
+   * @returns {Object} Integrity report
+   */
+  verifyIntegrity({ userId = null, expectedBalance = null } = {}) {
+    const issues = []
+
+    this.entries.forEach(entry => {
+      const debits = this.sumUnits(entry.postings, ENTRY_SIDES.DEBIT)
+      const credits = this.sumUnits(entry.postings, ENTRY_SIDES.CREDIT)
+      if (debits !== credits) {
+        issues.push({
+          type: 'unbalanced_entry',
+          entryId: entry.id,
+          transactionId: entry.transactionId,
+          difference: this.fromUnits(debits - credits)
+        })
+      }
+    })
+
+    // Rebuild balances from the journal and compare with the running balances
+    const rebuilt = new Map()
+    this.entries.forEach(entry => {
+      entry.postings.forEach(posting => {
+        const signed = posting.side === ENTRY_SIDES.DEBIT ? posting.units : -posting.units
+        rebuilt.set(posting.accountId, (rebuilt.get(posting.accountId) || 0n) + signed)
+      })
+    })
+    const accountIds = new Set([...rebuilt.keys(), ...this.accountBalances.keys()])
+    accountIds.forEach(accountId => {
+      const expected = rebuilt.get(accountId) || 0n
+      const actual = this.accountBalances.get(accountId) || 0n
+      if (expected !== actual) {
+        issues.push({
+          type: 'balance_drift',
+          accountId,
+          difference: this.fromUnits(actual - expected)
+        })
+      }
+    })
+
+    const trialBalance = this.getTrialBalance()
+    if (!trialBalance.balanced) {
+      issues.push({
+        type: 'trial_balance_mismatch',
+        totalDebits: trialBalance.totalDebits,
+        totalCredits: trialBalance.totalCredits
+      })
+    }
+
+    const suspenseBalance = this.getAccountBalance(LEDGER_ACCOUNTS.SUSPENSE)
+    if (suspenseBalance !== 0) {
+      issues.push({
+        type: 'unexplained_funds',
+        accountId: LEDGER_ACCOUNTS.SUSPENSE,
+        amount: suspenseBalance,
+        entries: this.entries
+          .filter(entry => entry.postings.some(posting => posting.accountId === LEDGER_ACCOUNTS.SUSPENSE))
+          .map(entry => entry.id)
+      })
+    }
+
+    if (userId && expectedBalance) {
+      const derived = this.getUserBalances(userId)
+      const fields = ['availableForSpending', 'investedAmount', 'strategyBalance', 'negativeBalance', 'totalUSD']
+      fields.forEach(field => {
+        const recorded = expectedBalance[field] || 0
+        if (this.toUnits(recorded) !== this.toUnits(derived[field])) {
+          issues.push({
+            type: 'balance_mismatch',
+            userId,
+            field,
+            recorded,
+            ledger: derived[field]
+          })
+        }
+      })
+    }
+
+    if (issues.length > 0) {
+      logger.warn('Ledger integrity issues detected:', issues)
+    }
+
+    return {
+      valid: issues.length === 0,
+      issues,
+      entriesChecked: this.entries.length,
+      trialBalance,
+      checkedAt: new Date().toISOString()
+    }
+  }
+
+  /**
+   * Remove every entry for a user and rebuild running balances
+   * Used when a user profile is reset to a clean state
+   */
+  resetUser(userId) {
+    this.entries = this.entries.filter(entry => entry.userId !== userId)
+    this.rebuildBalances()
+  }
+
+  /**
+   * Clear the whole ledger
+   */
+  clear() {
+    this.entries = []
+    this.accountBalances.clear()
+  }
+
+  /**
+   * Rebuild running balances from the journal
+   */
+  rebuildBalances() {
+    this.accountBalances.clear()
+    this.entries.forEach(entry => this.applyPostings(entry.postings))
+  }
+
+  /**
+   * Private helpers
+   */
+
+  applyPostings(postings) {
+    postings.forEach(posting => {
+      const signed = posting.side === ENTRY_SIDES.DEBIT ? posting.units : -posting.units
+      this.accountBalances.set(
+        posting.accountId,
+        (this.accountBalances.get(posting.accountId) || 0n) + signed
+      )
+    })
+  }
+
+  // Signed units (debit positive) -> { accountId, side, amount } postings
+  toPostings(signedPostings) {
+    return signedPostings.map(({ accountId, units }) => ({
+      accountId,
+      side: units >= 0n ? ENTRY_SIDES.DEBIT : ENTRY_SIDES.CREDIT,
+      amount: this.fromUnits(units >= 0n ? units : -units)
+    }))
+  }
+
+  formatEntry(entry) {
+    return {
+      ...entry,
+      postings: entry.postings.map(({ accountId, side, units }) => ({
+        accountId,
+        side,
+        amount: this.fromUnits(units)
+      }))
+    }
+  }
+
+  sumUnits(postings, side) {
+    return postings
+      .filter(posting => posting.side === side)
+      .reduce((sum, posting) => sum + posting.units, 0n)
+  }
+
+  minUnits(a, b) {
+    return a < b ? a : b
+  }
+
+  maxUnits(a, b) {
+    return a > b ? a : b
+  }
+
+  // Transaction amounts come from forms and providers; malformed or negative values count as zero
+  parseUnits(value, allowNegative = false) {
+    const parsed = parseFloat(value)
+    if (!Number.isFinite(parsed) || (parsed < 0 && !allowNegative)) {
+      return 0n
+    }
+    return this.toUnits(parsed)
+  }
+
+  toUnits(value) {
+    return new Money(value ?? 0, LEDGER_CURRENCY).toMinorUnits()
+  }
+
+  fromUnits(units) {
+    return Money.fromMinorUnits(units, LEDGER_CURRENCY).amount
+  }
+}
+
+export const ledgerService = new LedgerService()
+export default ledgerService
@@ -0,0 +1,248 @@
+/**
+ * Ledger Service Tests
+ * Tests journal posting, balance derivation and integrity reporting
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { ledgerService, LEDGER_ACCOUNTS } from '../LedgerService.js'
+
+const USER_ID = 'ledger_user'
+
+const snapshot = (overrides = {}) => ({
+  availableForSpending: 0,
+  investedAmount: 0,
+  strategyBalance: 0,
+  assets: {},
+  strategies: {},
+  ...overrides
+})
+
+describe('LedgerService', () => {
+  beforeEach(() => {
+    ledgerService.clear()
+  })
+
+  describe('Posting entries', () => {
+    it('should reject unbalanced entries', () => {
+      expect(() => ledgerService.postEntry({
+        type: 'manual',
+        postings: [
+          { accountId: LEDGER_ACCOUNTS.EXTERNAL_IN, side: 'debit', amount: 10 },
+          { accountId: LEDGER_ACCOUNTS.FEE_REVENUE, side: 'credit', amount: 9.99 }
+        ]
+      })).toThrow('Unbalanced journal entry')
+    })
+
+    it('should reject entries with fewer than two postings', () => {
+      expect(() => ledgerService.postEntry({ type: 'manual', postings: [] }))
+        .toThrow('Journal entry requires at least two postings')
+    })
+
+    it('should balance amounts that do not sum exactly in floating point', () => {
+      const entry = ledgerService.postEntry({
+        type: 'manual',
+        postings: [
+          { accountId: LEDGER_ACCOUNTS.EXTERNAL_IN, side: 'debit', amount: 0.3 },
+          { accountId: LEDGER_ACCOUNTS.FEE_REVENUE, side: 'credit', amount: 0.1 },
+          { accountId: LEDGER_ACCOUNTS.NETWORK_FEE_CLEARING, side: 'credit', amount: 0.2 }
+        ]
+      })
+
+      expect(entry.postings).toHaveLength(3)
+      expect(ledgerService.getAccountBalance(LEDGER_ACCOUNTS.EXTERNAL_IN)).toBe(0.3)
+    })
+  })
+
+  describe('Recording transactions', () => {
+    const record = (transactionData) => ledgerService.recordTransaction({ userId: USER_ID, transactionData })
+    const userAccount = (account, subAccount) => [USER_ID, account, subAccount].filter(Boolean).join(':')
+
+    it('should journal a deposit against external in with fee legs', () => {
+      const entry = record({ id: 'tx_add', type: 'add', amount: 100, netAmount: 98.5, fees: { total: 1.5, diBoaS: 0.09 } })
+
+      expect(entry.transactionId).toBe('tx_add')
+      expect(entry.postings).toEqual(expect.arrayContaining([
+        { accountId: userAccount(LEDGER_ACCOUNTS.USER_AVAILABLE), side: 'credit', amount: 98.5 },
+        { accountId: LEDGER_ACCOUNTS.FEE_REVENUE, side: 'credit', amount: 0.09 },
+        { accountId: LEDGER_ACCOUNTS.NETWORK_FEE_CLEARING, side: 'credit', amount: 1.41 },
+        { accountId: LEDGER_ACCOUNTS.EXTERNAL_IN, side: 'debit', amount: 100 }
+      ]))
+      expect(ledgerService.getUserBalances(USER_ID).availableForSpending).toBe(98.5)
+    })
+
+    it('should journal a withdrawal against external out', () => {
+      record({ type: 'add', amount: 100 })
+      record({ type: 'withdraw', amount: 40, fees: { total: 2, diBoaS: 0.5 } })
+
+      expect(ledgerService.getUserBalances(USER_ID).availableForSpending).toBe(60)
+      expect(ledgerService.getAccountBalance(LEDGER_ACCOUNTS.EXTERNAL_OUT)).toBe(38)
+      expect(ledgerService.getAccountBalance(LEDGER_ACCOUNTS.FEE_REVENUE)).toBe(0.5)
+      expect(ledgerService.getAccountBalance(LEDGER_ACCOUNTS.NETWORK_FEE_CLEARING)).toBe(1.5)
+      expect(ledgerService.verifyIntegrity().valid).toBe(true)
+    })
+
+    it('should move funds between user accounts on an internal buy', () => {
+      record({ type: 'add', amount: 100 })
+      record({ type: 'buy', amount: 50, asset: 'BTC', paymentMethod: 'diboas_wallet', fees: { total: 1 } })
+
+      const balances = ledgerService.getUserBalances(USER_ID)
+      expect(balances.availableForSpending).toBe(50)
+      expect(balances.investedAmount).toBe(49)
+      expect(balances.assets).toEqual({ BTC: 49 })
+      expect(ledgerService.verifyIntegrity().valid).toBe(true)
+    })
+
+    it('should fund an externally paid buy from external in', () => {
+      record({ type: 'buy', amount: 50, asset: 'ETH', paymentMethod: 'credit_card', fees: { total: 2 } })
+
+      expect(ledgerService.getUserBalances(USER_ID)).toMatchObject({ availableForSpending: 0, investedAmount: 48, assets: { ETH: 48 } })
+      expect(ledgerService.getAccountBalance(LEDGER_ACCOUNTS.EXTERNAL_IN)).toBe(50)
+    })
+
+    it('should book sale proceeds above the invested amount as a market gain', () => {
+      record({ type: 'buy', amount: 100, asset: 'BTC', paymentMethod: 'credit_card' })
+      record({ type: 'sell', amount: 130, asset: 'BTC', fees: { total: 1.3 } })
+
+      expect(ledgerService.getUserBalances(USER_ID)).toMatchObject({ availableForSpending: 128.7, investedAmount: 0, assets: {} })
+      expect(ledgerService.getAccountBalance(LEDGER_ACCOUNTS.EXTERNAL_MARKET)).toBe(30)
+      expect(ledgerService.verifyIntegrity().valid).toBe(true)
+    })
+
+    it('should move strategy funds per strategy', () => {
+      record({ type: 'add', amount: 100 })
+      record({ type: 'start_strategy', amount: 60, strategyId: 'growth', paymentMethod: 'diboas_wallet', fees: { total: 0.6 } })
+      expect(ledgerService.getUserBalances(USER_ID)).toMatchObject({ availableForSpending: 40, strategyBalance: 59.4, strategies: { growth: 59.4 } })
+
+      record({ type: 'stop_strategy', amount: 62, strategyId: 'growth', fees: { total: 0.5 } })
+
+      expect(ledgerService.getUserBalances(USER_ID)).toMatchObject({ availableForSpending: 101.5, strategyBalance: 0, strategies: {} })
+      expect(ledgerService.getAccountBalance(LEDGER_ACCOUNTS.EXTERNAL_MARKET)).toBe(2.6)
+      expect(ledgerService.verifyIntegrity().valid).toBe(true)
+    })
+
+    it('should hold a chargeback beyond Available Balance as a negative balance and settle it from deposits', () => {
+      record({ type: 'add', amount: 30 })
+      record({ type: 'chargeback', amount: 100 })
+      expect(ledgerService.getUserBalances(USER_ID)).toMatchObject({ availableForSpending: 0, negativeBalance: 70, totalUSD: -70 })
+
+      record({ type: 'add', amount: 50 })
+      expect(ledgerService.getUserBalances(USER_ID)).toMatchObject({ availableForSpending: 0, negativeBalance: 20 })
+      expect(ledgerService.verifyIntegrity().valid).toBe(true)
+    })
+
+    it('should fund a strategy allocation from Available Balance', () => {
+      record({ type: 'add', amount: 100 })
+      record({ type: 'strategy_allocation', strategyId: 'emergency', amount: 25 })
+
+      expect(ledgerService.getUserBalances(USER_ID)).toMatchObject({
+        availableForSpending: 75,
+        strategyBalance: 25,
+        strategies: { emergency: 25 }
+      })
+      expect(ledgerService.verifyIntegrity().valid).toBe(true)
+
+      record({ type: 'strategy_allocation', strategyId: 'emergency', amount: -10 })
+      expect(ledgerService.getUserBalances(USER_ID)).toMatchObject({ availableForSpending: 85, strategyBalance: 15 })
+      expect(ledgerService.verifyIntegrity().valid).toBe(true)
+    })
+
+    it('should route unexplained funds to suspense', () => {
+      record({ type: 'add', amount: 10 })
+      record({ type: 'strategy_allocation', strategyId: 'emergency', amount: 25 })
+
+      const report = ledgerService.verifyIntegrity()
+      expect(report.valid).toBe(false)
+      expect(report.issues).toEqual([
+        expect.objectContaining({ type: 'unexplained_funds', amount: 15 })
+      ])
+    })
+
+    it('should send the part of an outgoing amount Available Balance cannot cover to suspense', () => {
+      record({ type: 'add', amount: 20 })
+      record({ type: 'buy', amount: 50, asset: 'BTC', paymentMethod: 'diboas_wallet' })
+
+      expect(ledgerService.getUserBalances(USER_ID)).toMatchObject({ availableForSpending: 0, investedAmount: 50 })
+      expect(ledgerService.verifyIntegrity().issues).toEqual([
+        expect.objectContaining({ type: 'unexplained_funds', amount: 30 })
+      ])
+    })
+
+    it('should skip transactions that move nothing', () => {
+      const entry = record({ type: 'send', amount: 10 })
+
+      expect(entry).toBeNull()
+      expect(ledgerService.getEntries()).toHaveLength(0)
+    })
+  })
+
+  describe('Integrity and reconciliation', () => {
+    beforeEach(() => {
+      ledgerService.recordTransaction({ userId: USER_ID, transactionData: { type: 'add', amount: 100 } })
+    })
+
+    it('should report a balanced trial balance', () => {
+      const trialBalance = ledgerService.getTrialBalance()
+
+      expect(trialBalance.balanced).toBe(true)
+      expect(trialBalance.totalDebits).toBe(100)
+      expect(trialBalance.totalCredits).toBe(100)
+    })
+
+    it('should report mismatches against recorded balances', () => {
+      const report = ledgerService.verifyIntegrity({
+        userId: USER_ID,
+        expectedBalance: { availableForSpending: 120, investedAmount: 0, strategyBalance: 0, totalUSD: 120 }
+      })
+
+      expect(report.valid).toBe(false)
+      expect(report.issues).toContainEqual(expect.objectContaining({
+        type: 'balance_mismatch',
+        field: 'availableForSpending',
+        recorded: 120,
+        ledger: 100
+      }))
+    })
+
+    it('should detect running balances drifting from the journal', () => {
+      ledgerService.accountBalances.set(LEDGER_ACCOUNTS.EXTERNAL_IN, 1n)
+
+      const report = ledgerService.verifyIntegrity()
+      expect(report.issues).toContainEqual(expect.objectContaining({
+        type: 'balance_drift',
+        accountId: LEDGER_ACCOUNTS.EXTERNAL_IN
+      }))
+    })
+
+    it('should remove a user\'s entries on reset', () => {
+      ledgerService.resetUser(USER_ID)
+
+      expect(ledgerService.getEntries(USER_ID)).toHaveLength(0)
+      expect(ledgerService.getUserBalances(USER_ID).totalUSD).toBe(0)
+      expect(ledgerService.getTrialBalance().accounts).toHaveLength(0)
+    })
+
+    it('should restore persisted entries', () => {
+      const persisted = ledgerService.getEntries(USER_ID)
+      ledgerService.clear()
+
+      ledgerService.loadUserEntries(USER_ID, persisted)
+
+      expect(ledgerService.getUserBalances(USER_ID).availableForSpending).toBe(100)
+      expect(ledgerService.verifyIntegrity().valid).toBe(true)
+    })
+
+    it('should journal opening balances without touching suspense', () => {
+      ledgerService.clear()
+
+      ledgerService.recordOpeningBalance(USER_ID, snapshot({
+        availableForSpending: 80,
+        investedAmount: 20,
+        assets: { ETH: 20 }
+      }))
+
+      expect(ledgerService.getUserBalances(USER_ID).totalUSD).toBe(100)
+      expect(ledgerService.getAccountBalance(LEDGER_ACCOUNTS.OPENING_BALANCE)).toBe(100)
+      expect(ledgerService.verifyIntegrity().valid).toBe(true)
+    })
+  })
+})
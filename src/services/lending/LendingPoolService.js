@@ -6,6 +6,12 @@
 import logger from '../../utils/logger'
 import secureLogger from '../../utils/secureLogger.js'
 import protocolService from '../defi/ProtocolService.js'
+import {
+  calculateBorrowRate,
+  calculatePoolRates,
+  calculateUtilization,
+  sampleRateCurve
+} from './interestRateModel.js'
 
 export const LOAN_TYPES = {
   PEER_TO_PEER: 'peer_to_peer',
@@ -30,6 +36,24 @@ export const COLLATERAL_TYPES = {
   YIELD_BEARING: 'yield_bearing'
 }
 
+// Health factor = collateral value / (debt × liquidation threshold)
+export const HEALTH_FACTOR_THRESHOLDS = {
+  MARGIN_CALL: 1.1,
+  LIQUIDATION: 1
+}
+
+const LIQUIDATION_CLOSE_FACTOR = 0.5 // Share of the debt one liquidation round may repay
+const MAX_LIQUIDATION_ROUNDS = 20
+const DUST_DEBT = 0.01
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000
+const MAX_RATE_HISTORY = 500
+
+// Market data quotes wrapped collateral under its underlying symbol
+const MARKET_SYMBOLS = {
+  WETH: 'ETH',
+  WBTC: 'BTC'
+}
+
 class LendingPoolService {
   constructor() {
     this.lendingPools = new Map()
@@ -37,6 +61,7 @@ class LendingPoolService {
     this.liquidityProviders = new Map()
     this.flashLoanFees = new Map()
     this.riskModels = new Map()
+    this.marketPrices = new Map()
     
     this.initializeLendingPools()
     this.initializeRiskModels()
@@ -56,10 +81,17 @@ class LendingPoolService {
       targetAPY: 6.5,
       minimumCollateralRatio: 150,
       liquidationThreshold: 120,
+      liquidationPenalty: 5,
       maxLoanAmount: 100000,
       acceptedCollateral: ['USDC', 'USDT', 'DAI', 'WETH', 'WBTC'],
-      lendingRate: 5.5,
-      borrowingRate: 7.5,
+      // Lending and borrowing rates follow utilization along this curve
+      rateModel: {
+        baseRate: 1.5,
+        slope1: 9.6,
+        slope2: 60,
+        optimalUtilization: 0.8,
+        reserveFactor: 0.1
+      },
       totalLiquidity: 5000000,
       utilizedLiquidity: 2500000,
       totalLoans: 125,
@@ -74,10 +106,16 @@ class LendingPoolService {
       targetAPY: 9.5,
       minimumCollateralRatio: 135,
       liquidationThreshold: 110,
+      liquidationPenalty: 7.5,
       maxLoanAmount: 250000,
       acceptedCollateral: ['USDC', 'USDT', 'DAI', 'WETH', 'WBTC', 'AVAX', 'SOL'],
-      lendingRate: 8.5,
-      borrowingRate: 11.5,
+      rateModel: {
+        baseRate: 2.5,
+        slope1: 9.6,
+        slope2: 75,
+        optimalUtilization: 0.8,
+        reserveFactor: 0.15
+      },
       totalLiquidity: 10000000,
       utilizedLiquidity: 7500000,
       totalLoans: 340,
@@ -92,10 +130,16 @@ class LendingPoolService {
       targetAPY: 15.5,
       minimumCollateralRatio: 120,
       liquidationThreshold: 105,
+      liquidationPenalty: 10,
       maxLoanAmount: 500000,
       acceptedCollateral: ['WETH', 'WBTC', 'AVAX', 'SOL', 'LINK', 'UNI'],
-      lendingRate: 14.0,
-      borrowingRate: 18.0,
+      rateModel: {
+        baseRate: 4,
+        slope1: 14,
+        slope2: 120,
+        optimalUtilization: 0.9,
+        reserveFactor: 0.2
+      },
       totalLiquidity: 3000000,
       utilizedLiquidity: 2700000,
       totalLoans: 89,
@@ -110,6 +154,7 @@ class LendingPoolService {
       targetAPY: 0.09, // 0.09% per transaction
       minimumCollateralRatio: 0,
       liquidationThreshold: 0,
+      liquidationPenalty: 0,
       maxLoanAmount: 10000000,
       acceptedCollateral: [],
       lendingRate: 0.05,
@@ -120,6 +165,11 @@ class LendingPoolService {
       riskLevel: 'flash'
     })
 
+    this.lendingPools.forEach(pool => {
+      pool.rateHistory = []
+      this.updatePoolRates(pool, 'initialized')
+    })
+
     logger.info(`Initialized ${this.lendingPools.size} lending pools`)
   }
 
@@ -166,7 +216,8 @@ class LendingPoolService {
         collateralAmount,
         loanTerm,
         purpose,
-        borrowerAddress
+        borrowerAddress,
+        userId = null
       } = applicationData
 
       // Validate pool exists
@@ -206,6 +257,7 @@ class LendingPoolService {
         id: applicationId,
         poolId,
         borrowerAddress,
+        userId,
         loanAmount,
         loanType,
         collateralAsset,
@@ -376,6 +428,7 @@ class LendingPoolService {
 
       // Update pool liquidity
       pool.totalLiquidity += amount
+      this.updatePoolRates(pool, 'deposit')
       this.liquidityProviders.set(positionId, liquidityPosition)
 
       secureLogger.audit('LIQUIDITY_PROVIDED', {
@@ -463,7 +516,11 @@ class LendingPoolService {
    * Calculate dynamic interest rate based on risk and market conditions
    */
   calculateDynamicInterestRate(pool, creditAssessment, collateralValue, loanAmount) {
-    let baseRate = pool.borrowingRate
+    // Price the loan at the utilization it would leave the pool at
+    const poolRate = pool.rateModel
+      ? calculateBorrowRate(pool.rateModel, calculateUtilization(pool.utilizedLiquidity + loanAmount, pool.totalLiquidity))
+      : pool.borrowingRate
+    let baseRate = poolRate
     
     // Risk adjustment
     const riskMultipliers = {
@@ -480,12 +537,7 @@ class LendingPoolService {
     if (collateralRatio > 2.0) baseRate *= 0.85 // Discount for over-collateralization
     else if (collateralRatio < 1.5) baseRate *= 1.15 // Premium for lower collateral
     
-    // Pool utilization adjustment
-    const utilizationRate = pool.utilizedLiquidity / pool.totalLiquidity
-    if (utilizationRate > 0.9) baseRate *= 1.2 // Premium for high utilization
-    else if (utilizationRate < 0.5) baseRate *= 0.95 // Discount for low utilization
-    
-    return Math.max(Math.min(baseRate, pool.borrowingRate * 2), pool.borrowingRate * 0.5)
+    return Math.max(Math.min(baseRate, poolRate * 2), poolRate * 0.5)
   }
 
   /**
@@ -553,7 +605,7 @@ class LendingPoolService {
    * Calculate liquidation price
    */
   calculateLiquidationPrice(pool, collateralAsset, collateralAmount, loanAmount) {
-    const currentCollateralValue = collateralAmount * this.getMockPrice(collateralAsset)
+    const currentPrice = this.getAssetPrice(collateralAsset)
     const liquidationThreshold = pool.liquidationThreshold / 100
     
     // Price at which collateral value equals liquidation threshold * loan amount
@@ -562,8 +614,8 @@ class LendingPoolService {
     return {
       asset: collateralAsset,
       liquidationPrice: liquidationPrice.toFixed(2),
-      currentPrice: this.getMockPrice(collateralAsset).toFixed(2),
-      priceDropToLiquidation: ((this.getMockPrice(collateralAsset) - liquidationPrice) / this.getMockPrice(collateralAsset) * 100).toFixed(2) + '%'
+      currentPrice: currentPrice.toFixed(2),
+      priceDropToLiquidation: ((currentPrice - liquidationPrice) / currentPrice * 100).toFixed(2) + '%'
     }
   }
 
@@ -571,7 +623,10 @@ class LendingPoolService {
    * Calculate liquidity provider APY
    */
   calculateLiquidityProviderAPY(pool, amount, lockupPeriod) {
-    let baseAPY = pool.lendingRate
+    // The deposit itself lowers utilization and with it the supply rate
+    let baseAPY = pool.rateModel
+      ? calculatePoolRates(pool.rateModel, pool.utilizedLiquidity, pool.totalLiquidity + amount).supplyRate
+      : pool.lendingRate
     
     // Lockup bonus
     if (lockupPeriod) {
@@ -644,8 +699,10 @@ class LendingPoolService {
       const utilizationRate = (pool.utilizedLiquidity / pool.totalLiquidity * 100).toFixed(2)
       const averageLoanSize = pool.utilizedLiquidity / Math.max(pool.totalLoans, 1)
       
-      // Mock historical data
-      const historicalAPY = this.generateHistoricalAPY(pool.targetAPY)
+      const historicalAPY = pool.rateHistory.map(entry => ({
+        date: new Date(entry.timestamp).toISOString(),
+        apy: parseFloat(entry.supplyRate.toFixed(2))
+      }))
       const liquidationRate = Math.random() * 2 // 0-2% liquidation rate
       
       return {
@@ -655,8 +712,12 @@ class LendingPoolService {
         utilizedLiquidity: pool.utilizedLiquidity,
         availableLiquidity: pool.totalLiquidity - pool.utilizedLiquidity,
         utilizationRate: utilizationRate + '%',
-        currentAPY: pool.targetAPY,
+        currentAPY: pool.lendingRate,
+        borrowAPY: pool.borrowingRate,
         historicalAPY,
+        rateModel: pool.rateModel || null,
+        rateCurve: pool.rateModel ? sampleRateCurve(pool.rateModel) : [],
+        rateHistory: [...pool.rateHistory],
         totalLoans: pool.totalLoans,
         averageLoanSize: averageLoanSize.toFixed(2),
         liquidationRate: liquidationRate.toFixed(2) + '%',
@@ -694,6 +755,13 @@ class LendingPoolService {
     return prices[asset] || 1.00
   }
 
+  /**
+   * Latest market price of an asset, falling back to the mock price list
+   */
+  getAssetPrice(asset) {
+    return this.marketPrices.get(MARKET_SYMBOLS[asset] || asset) ?? this.getMockPrice(asset)
+  }
+
   calculateMonthlyPayment(principal, annualRate, termMonths) {
     const monthlyRate = annualRate / 100 / 12
     if (monthlyRate === 0) return principal / termMonths
@@ -730,34 +798,33 @@ class LendingPoolService {
     return recommendations
   }
 
-  generateHistoricalAPY(currentAPY) {
-    const history = []
-    let apy = currentAPY
-    
-    for (let i = 30; i >= 0; i--) {
-      apy += (Math.random() - 0.5) * 2 // ±1% daily variation
-      history.push({
-        date: new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-        apy: Math.max(0, parseFloat(apy.toFixed(2)))
-      })
-    }
-    
-    return history
-  }
-
   async approveLoan(applicationId) {
     const application = this.loanApplications.get(applicationId)
     if (!application) {
       throw new Error(`Loan application ${applicationId} not found`)
     }
+    if (application.status !== LOAN_STATUS.PENDING) {
+      throw new Error(`Loan application ${applicationId} is already ${application.status}`)
+    }
 
     application.status = LOAN_STATUS.ACTIVE
     application.approvedAt = Date.now()
 
+    // Start tracking the position: interest accrues on the outstanding principal
+    application.principal = application.loanAmount
+    application.accruedInterest = 0
+    application.interestPaid = 0
+    application.lastAccruedAt = application.approvedAt
+    application.marginCall = false
+    application.repayments = []
+    application.liquidations = []
+    this.updateLoanHealth(application)
+
     // Update pool utilization
     const pool = this.lendingPools.get(application.poolId)
     pool.utilizedLiquidity += application.loanAmount
     pool.totalLoans += 1
+    this.updatePoolRates(pool, 'borrow')
 
     secureLogger.audit('LOAN_APPROVED', {
       applicationId,
@@ -771,8 +838,410 @@ class LendingPoolService {
       approvedAmount: application.loanAmount,
       interestRate: application.interestRate,
       monthlyPayment: application.estimatedMonthlyPayment,
-      liquidationPrice: application.liquidationPrice
+      liquidationPrice: application.liquidationPrice,
+      healthFactor: application.healthFactor
+    }
+  }
+
+  /**
+   * Reprice a pool from its utilization curve and record the change.
+   * Called whenever deposits or outstanding loans move utilization.
+   */
+  updatePoolRates(pool, event, now = Date.now()) {
+    if (!pool.rateModel) {
+      return null
+    }
+
+    const rates = calculatePoolRates(pool.rateModel, pool.utilizedLiquidity, pool.totalLiquidity)
+    pool.borrowingRate = rates.borrowRate
+    pool.lendingRate = rates.supplyRate
+
+    pool.rateHistory.push({
+      timestamp: now,
+      event,
+      ...rates,
+      totalLiquidity: pool.totalLiquidity,
+      utilizedLiquidity: pool.utilizedLiquidity
+    })
+    if (pool.rateHistory.length > MAX_RATE_HISTORY) {
+      pool.rateHistory.splice(0, pool.rateHistory.length - MAX_RATE_HISTORY)
+    }
+
+    return rates
+  }
+
+  /**
+   * Get an approved loan that can still be repaid, topped up or liquidated
+   */
+  getActiveLoan(loanId) {
+    const loan = this.loanApplications.get(loanId)
+    if (!loan) {
+      throw new Error(`Loan ${loanId} not found`)
+    }
+    if (loan.status !== LOAN_STATUS.ACTIVE) {
+      throw new Error(`Loan ${loanId} is ${loan.status}`)
+    }
+    return loan
+  }
+
+  /**
+   * Accrue simple interest on the outstanding principal up to now
+   */
+  accrueInterest(loan, now = Date.now()) {
+    const elapsed = Math.max(0, now - loan.lastAccruedAt)
+    loan.accruedInterest += loan.principal * (loan.interestRate / 100) * elapsed / MS_PER_YEAR
+    loan.lastAccruedAt = Math.max(loan.lastAccruedAt, now)
+    return loan.accruedInterest
+  }
+
+  getOutstandingDebt(loan) {
+    return loan.principal + loan.accruedInterest
+  }
+
+  /**
+   * Health factor of a loan; below 1 the collateral no longer covers the
+   * pool's liquidation threshold
+   */
+  calculateHealthFactor(pool, collateralValue, debt) {
+    if (debt <= 0) {
+      return Infinity
+    }
+    return collateralValue / (debt * pool.liquidationThreshold / 100)
+  }
+
+  /**
+   * Revalue the collateral at the latest price and recompute the health factor
+   */
+  updateLoanHealth(loan) {
+    const pool = this.lendingPools.get(loan.poolId)
+    const debt = this.getOutstandingDebt(loan)
+    loan.collateralMarketValue = loan.collateralAmount * this.getAssetPrice(loan.collateralAsset)
+    loan.healthFactor = this.calculateHealthFactor(pool, loan.collateralMarketValue, debt)
+    if (loan.collateralAmount > 0) {
+      loan.liquidationPrice = this.calculateLiquidationPrice(pool, loan.collateralAsset, loan.collateralAmount, debt)
+    }
+    return loan.healthFactor
+  }
+
+  /**
+   * Apply a payment to accrued interest first, then principal
+   */
+  applyLoanPayment(loan, amount) {
+    const interestPaid = Math.min(amount, loan.accruedInterest)
+    const principalPaid = Math.min(amount - interestPaid, loan.principal)
+
+    loan.accruedInterest -= interestPaid
+    loan.principal -= principalPaid
+    loan.interestPaid += interestPaid
+
+    const pool = this.lendingPools.get(loan.poolId)
+    pool.utilizedLiquidity = Math.max(0, pool.utilizedLiquidity - principalPaid)
+
+    return { interestPaid, principalPaid }
+  }
+
+  /**
+   * Current state of a loan position with interest accrued to now
+   */
+  getLoanPosition(loanId, now = Date.now()) {
+    const loan = this.loanApplications.get(loanId)
+    if (!loan) {
+      throw new Error(`Loan ${loanId} not found`)
+    }
+
+    if (loan.status === LOAN_STATUS.ACTIVE) {
+      this.accrueInterest(loan, now)
+      this.updateLoanHealth(loan)
+    }
+
+    const pool = this.lendingPools.get(loan.poolId)
+    const price = this.getAssetPrice(loan.collateralAsset)
+    const outstandingDebt = loan.status === LOAN_STATUS.ACTIVE ? this.getOutstandingDebt(loan) : 0
+    const requiredCollateral = outstandingDebt * (pool.minimumCollateralRatio / 100) / price
+
+    return {
+      loanId: loan.id,
+      poolId: loan.poolId,
+      borrowerAddress: loan.borrowerAddress,
+      status: loan.status,
+      collateralAsset: loan.collateralAsset,
+      collateralAmount: loan.collateralAmount,
+      collateralValue: loan.collateralAmount * price,
+      principal: loan.principal ?? loan.loanAmount,
+      accruedInterest: loan.accruedInterest ?? 0,
+      interestPaid: loan.interestPaid ?? 0,
+      outstandingDebt,
+      interestRate: loan.interestRate,
+      healthFactor: Number.isFinite(loan.healthFactor) ? loan.healthFactor : null,
+      marginCall: Boolean(loan.marginCall),
+      liquidationPrice: loan.liquidationPrice,
+      maxWithdrawableCollateral: Math.max(0, loan.collateralAmount - requiredCollateral),
+      repayments: [...(loan.repayments || [])],
+      liquidations: [...(loan.liquidations || [])],
+      approvedAt: loan.approvedAt,
+      closedAt: loan.closedAt
+    }
+  }
+
+  /**
+   * Repay part or all of a loan; interest is settled before principal and the
+   * collateral is released once the debt is cleared
+   */
+  repayLoan(loanId, amount, now = Date.now()) {
+    const loan = this.getActiveLoan(loanId)
+    if (!(amount > 0)) {
+      throw new Error('Repayment amount must be greater than zero')
+    }
+
+    this.accrueInterest(loan, now)
+    const amountPaid = Math.min(amount, this.getOutstandingDebt(loan))
+    const { interestPaid, principalPaid } = this.applyLoanPayment(loan, amountPaid)
+    loan.repayments.push({ amount: amountPaid, interestPaid, principalPaid, paidAt: now })
+    this.updatePoolRates(this.lendingPools.get(loan.poolId), 'repayment', now)
+
+    let collateralReleased = 0
+    if (this.getOutstandingDebt(loan) < DUST_DEBT) {
+      collateralReleased = loan.collateralAmount
+      this.closeLoan(loan, LOAN_STATUS.REPAID, now)
+    } else {
+      this.updateLoanHealth(loan)
+      this.refreshMarginCall(loan)
+    }
+
+    secureLogger.audit('LOAN_REPAYMENT', {
+      loanId,
+      amountPaid,
+      interestPaid,
+      principalPaid,
+      status: loan.status
+    })
+
+    return {
+      loanId,
+      status: loan.status,
+      amountPaid,
+      interestPaid,
+      principalPaid,
+      remainingDebt: loan.status === LOAN_STATUS.ACTIVE ? this.getOutstandingDebt(loan) : 0,
+      collateralReleased,
+      healthFactor: this.getLoanPosition(loanId, now).healthFactor
+    }
+  }
+
+  /**
+   * Top up the collateral of an active loan
+   */
+  addCollateral(loanId, amount, now = Date.now()) {
+    const loan = this.getActiveLoan(loanId)
+    if (!(amount > 0)) {
+      throw new Error('Collateral amount must be greater than zero')
+    }
+
+    this.accrueInterest(loan, now)
+    loan.collateralAmount += amount
+    this.updateLoanHealth(loan)
+    this.refreshMarginCall(loan)
+
+    secureLogger.audit('LOAN_COLLATERAL_ADDED', {
+      loanId,
+      asset: loan.collateralAsset,
+      amount,
+      healthFactor: loan.healthFactor
+    })
+
+    return this.getLoanPosition(loanId, now)
+  }
+
+  /**
+   * Withdraw collateral while keeping the pool's minimum collateral ratio
+   */
+  withdrawCollateral(loanId, amount, now = Date.now()) {
+    const loan = this.getActiveLoan(loanId)
+    if (!(amount > 0)) {
+      throw new Error('Collateral amount must be greater than zero')
+    }
+    if (amount > loan.collateralAmount) {
+      throw new Error(`Cannot withdraw more than the ${loan.collateralAmount} ${loan.collateralAsset} posted`)
+    }
+
+    this.accrueInterest(loan, now)
+    const pool = this.lendingPools.get(loan.poolId)
+    const remainingValue = (loan.collateralAmount - amount) * this.getAssetPrice(loan.collateralAsset)
+    const collateralRatio = remainingValue / this.getOutstandingDebt(loan) * 100
+    if (collateralRatio < pool.minimumCollateralRatio) {
+      throw new Error(`Withdrawal would leave a collateral ratio of ${collateralRatio.toFixed(1)}%, below the pool minimum of ${pool.minimumCollateralRatio}%`)
+    }
+
+    loan.collateralAmount -= amount
+    this.updateLoanHealth(loan)
+    this.refreshMarginCall(loan)
+
+    secureLogger.audit('LOAN_COLLATERAL_WITHDRAWN', {
+      loanId,
+      asset: loan.collateralAsset,
+      amount,
+      healthFactor: loan.healthFactor
+    })
+
+    return this.getLoanPosition(loanId, now)
+  }
+
+  /**
+   * Simulate a liquidator repaying an unhealthy loan. Each round repays up to
+   * the close factor of the debt and seizes collateral worth the repayment
+   * plus the pool's liquidation penalty, until the loan is healthy again, the
+   * debt is cleared or the collateral runs out (leaving bad debt).
+   */
+  liquidateLoan(loanId, now = Date.now()) {
+    const loan = this.getActiveLoan(loanId)
+    this.accrueInterest(loan, now)
+    const healthFactor = this.updateLoanHealth(loan)
+    if (healthFactor >= HEALTH_FACTOR_THRESHOLDS.LIQUIDATION) {
+      throw new Error(`Loan ${loanId} is not eligible for liquidation (health factor ${healthFactor.toFixed(2)})`)
+    }
+
+    const pool = this.lendingPools.get(loan.poolId)
+    const price = this.getAssetPrice(loan.collateralAsset)
+    const penaltyRate = pool.liquidationPenalty / 100
+    let debtRepaid = 0
+    let collateralSeized = 0
+    let rounds = 0
+
+    while (
+      rounds < MAX_LIQUIDATION_ROUNDS &&
+      loan.collateralAmount > 0 &&
+      this.getOutstandingDebt(loan) >= DUST_DEBT &&
+      this.updateLoanHealth(loan) < HEALTH_FACTOR_THRESHOLDS.LIQUIDATION
+    ) {
+      const debt = this.getOutstandingDebt(loan)
+      let repay = debt * LIQUIDATION_CLOSE_FACTOR
+      let seize = repay * (1 + penaltyRate) / price
+      if (seize > loan.collateralAmount) {
+        seize = loan.collateralAmount
+        repay = seize * price / (1 + penaltyRate)
+      }
+
+      this.applyLoanPayment(loan, repay)
+      loan.collateralAmount -= seize
+      debtRepaid += repay
+      collateralSeized += seize
+      rounds++
+    }
+
+    const liquidation = {
+      debtRepaid,
+      collateralSeized,
+      collateralSeizedValue: collateralSeized * price,
+      penalty: debtRepaid * penaltyRate,
+      price,
+      rounds,
+      liquidatedAt: now
+    }
+    loan.liquidations.push(liquidation)
+
+    let collateralReleased = 0
+    let badDebt = 0
+    if (this.getOutstandingDebt(loan) < DUST_DEBT) {
+      collateralReleased = loan.collateralAmount
+      this.closeLoan(loan, LOAN_STATUS.LIQUIDATED, now)
+    } else if (loan.collateralAmount <= 0) {
+      // The pool writes off whatever the collateral could not cover
+      badDebt = this.getOutstandingDebt(loan)
+      pool.utilizedLiquidity = Math.max(0, pool.utilizedLiquidity - loan.principal)
+      this.closeLoan(loan, LOAN_STATUS.DEFAULTED, now)
+    } else {
+      this.updateLoanHealth(loan)
+      this.refreshMarginCall(loan)
+    }
+    this.updatePoolRates(pool, 'liquidation', now)
+
+    secureLogger.audit('LOAN_LIQUIDATED', {
+      loanId,
+      debtRepaid,
+      collateralSeized,
+      penalty: liquidation.penalty,
+      status: loan.status,
+      badDebt
+    })
+
+    return {
+      loanId,
+      status: loan.status,
+      ...liquidation,
+      collateralAsset: loan.collateralAsset,
+      collateralReleased,
+      badDebt,
+      remainingDebt: loan.status === LOAN_STATUS.ACTIVE ? this.getOutstandingDebt(loan) : 0,
+      healthFactor: this.getLoanPosition(loanId, now).healthFactor
+    }
+  }
+
+  /**
+   * Revalue active loans after a market data update. Loans below the
+   * liquidation threshold are liquidated; loans entering the margin-call
+   * band are flagged once until they recover.
+   * @param {Array} prices - [{ symbol, price }] as emitted on market:crypto:updated
+   * @returns {Array} Margin-call and liquidation events
+   */
+  handlePriceUpdate(prices = [], now = Date.now()) {
+    for (const { symbol, price } of prices) {
+      if (symbol && price > 0) {
+        this.marketPrices.set(symbol.toUpperCase(), price)
+      }
+    }
+
+    const events = []
+    const activeLoans = Array.from(this.loanApplications.values())
+      .filter(loan => loan.status === LOAN_STATUS.ACTIVE)
+
+    for (const loan of activeLoans) {
+      this.accrueInterest(loan, now)
+      const healthFactor = this.updateLoanHealth(loan)
+
+      if (healthFactor < HEALTH_FACTOR_THRESHOLDS.LIQUIDATION) {
+        events.push({ type: 'liquidation', loanId: loan.id, result: this.liquidateLoan(loan.id, now) })
+      } else if (this.refreshMarginCall(loan)) {
+        secureLogger.audit('LOAN_MARGIN_CALL', {
+          loanId: loan.id,
+          healthFactor
+        })
+        events.push({ type: 'margin_call', loanId: loan.id, position: this.getLoanPosition(loan.id, now) })
+      }
+    }
+
+    return events
+  }
+
+  /**
+   * Set or clear the margin-call flag; returns true when a new margin call starts
+   */
+  refreshMarginCall(loan) {
+    const inMarginCall = loan.healthFactor < HEALTH_FACTOR_THRESHOLDS.MARGIN_CALL
+    const isNew = inMarginCall && !loan.marginCall
+    loan.marginCall = inMarginCall
+    if (isNew) {
+      loan.marginCallAt = loan.lastAccruedAt
     }
+    return isNew
+  }
+
+  closeLoan(loan, status, now) {
+    loan.status = status
+    loan.closedAt = now
+    loan.principal = 0
+    loan.accruedInterest = 0
+    loan.collateralAmount = 0
+    loan.marginCall = false
+    loan.healthFactor = Infinity
+  }
+
+  /**
+   * Get a borrower's approved loans with interest accrued to now
+   */
+  getUserLoans(borrowerAddress, now = Date.now()) {
+    return Array.from(this.loanApplications.values())
+      .filter(loan => loan.borrowerAddress === borrowerAddress && loan.status !== LOAN_STATUS.PENDING)
+      .map(loan => this.getLoanPosition(loan.id, now))
   }
 
   /**
@@ -790,6 +1259,34 @@ class LendingPoolService {
       .filter(position => position.providerAddress === userAddress)
   }
 
+  /**
+   * Copies of a user's loan records, for persisting them
+   */
+  getLoanRecords(userId) {
+    return Array.from(this.loanApplications.values())
+      .filter(loan => loan.userId === userId)
+      .map(loan => ({ ...loan }))
+  }
+
+  /**
+   * Replace a user's loans with stored records, e.g. after a reload
+   */
+  restoreLoans(userId, records = []) {
+    this.unloadLoans(userId)
+    records.forEach(record => this.loanApplications.set(record.id, { ...record, userId }))
+  }
+
+  /**
+   * Stop tracking a user's loans, e.g. when another user becomes active
+   */
+  unloadLoans(userId) {
+    for (const [loanId, loan] of this.loanApplications) {
+      if (loan.userId === userId) {
+        this.loanApplications.delete(loanId)
+      }
+    }
+  }
+
   /**
    * Get user's loan applications
    */
@@ -0,0 +1,209 @@
+/**
+ * Loan lifecycle tests for LendingPoolService
+ * Approved loans accrue interest, track their health factor against market
+ * prices and can be repaid, topped up, drawn down or liquidated
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { lendingPoolService, LOAN_STATUS, HEALTH_FACTOR_THRESHOLDS } from '../LendingPoolService.js'
+
+const YEAR = 365 * 24 * 60 * 60 * 1000
+
+// 10 WETH at the $2,400 mock price behind a $10,000 loan from the balanced pool
+// (110% liquidation threshold, 135% minimum ratio, 7.5% liquidation penalty)
+const openLoan = async () => {
+  const { applicationId } = await lendingPoolService.applyForLoan({
+    poolId: 'balanced',
+    loanAmount: 10000,
+    loanType: 'collateralized',
+    collateralAsset: 'WETH',
+    collateralAmount: 10,
+    loanTerm: 12,
+    borrowerAddress: '0xborrower'
+  })
+  await lendingPoolService.approveLoan(applicationId)
+  return lendingPoolService.getLoanPosition(applicationId, lendingPoolService.loanApplications.get(applicationId).approvedAt)
+}
+
+describe('LendingPoolService - Loan lifecycle', () => {
+  beforeEach(() => {
+    lendingPoolService.loanApplications.clear()
+    lendingPoolService.marketPrices.clear()
+    // Medium risk keeps applications pending and the rate deterministic
+    vi.spyOn(lendingPoolService, 'assessCreditRisk').mockResolvedValue({ creditScore: 700, riskLevel: 'medium' })
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should track an approved loan with its health factor', async () => {
+    const loan = await openLoan()
+
+    expect(loan.status).toBe(LOAN_STATUS.ACTIVE)
+    expect(loan.principal).toBe(10000)
+    expect(loan.accruedInterest).toBe(0)
+    expect(loan.healthFactor).toBeCloseTo(24000 / 11000, 6)
+    expect(loan.marginCall).toBe(false)
+    expect(lendingPoolService.getUserLoans('0xborrower', loan.approvedAt)).toHaveLength(1)
+  })
+
+  it('should accrue simple interest on the outstanding principal', async () => {
+    const loan = await openLoan()
+
+    const position = lendingPoolService.getLoanPosition(loan.loanId, loan.approvedAt + YEAR)
+
+    expect(position.accruedInterest).toBeCloseTo(10000 * loan.interestRate / 100, 6)
+    expect(position.outstandingDebt).toBeCloseTo(10000 + position.accruedInterest, 6)
+  })
+
+  it('should settle interest before principal on partial repayment', async () => {
+    const loan = await openLoan()
+    const interest = 10000 * loan.interestRate / 100
+
+    const result = lendingPoolService.repayLoan(loan.loanId, 1000, loan.approvedAt + YEAR)
+
+    expect(result.status).toBe(LOAN_STATUS.ACTIVE)
+    expect(result.interestPaid).toBeCloseTo(interest, 6)
+    expect(result.principalPaid).toBeCloseTo(1000 - interest, 6)
+    expect(result.remainingDebt).toBeCloseTo(10000 - (1000 - interest), 6)
+  })
+
+  it('should close the loan and release collateral on full repayment', async () => {
+    const loan = await openLoan()
+
+    const result = lendingPoolService.repayLoan(loan.loanId, 50000, loan.approvedAt + YEAR)
+
+    expect(result.status).toBe(LOAN_STATUS.REPAID)
+    expect(result.amountPaid).toBeCloseTo(10000 * (1 + loan.interestRate / 100), 6)
+    expect(result.collateralReleased).toBe(10)
+    expect(() => lendingPoolService.repayLoan(loan.loanId, 10)).toThrow('is repaid')
+  })
+
+  it('should only allow collateral withdrawals down to the minimum collateral ratio', async () => {
+    const loan = await openLoan()
+
+    // $13,500 of WETH has to stay behind a $10,000 loan
+    expect(loan.maxWithdrawableCollateral).toBeCloseTo(10 - 13500 / 2400, 6)
+    expect(() => lendingPoolService.withdrawCollateral(loan.loanId, 5, loan.approvedAt)).toThrow('below the pool minimum of 135%')
+
+    const position = lendingPoolService.withdrawCollateral(loan.loanId, 4, loan.approvedAt)
+    expect(position.collateralAmount).toBe(6)
+  })
+
+  it('should raise a margin call once when the health factor drops and clear it on top-up', async () => {
+    const loan = await openLoan()
+
+    const events = lendingPoolService.handlePriceUpdate([{ symbol: 'ETH', price: 1150 }], loan.approvedAt)
+    expect(events).toEqual([expect.objectContaining({ type: 'margin_call', loanId: loan.loanId })])
+    expect(events[0].position.healthFactor).toBeLessThan(HEALTH_FACTOR_THRESHOLDS.MARGIN_CALL)
+
+    expect(lendingPoolService.handlePriceUpdate([{ symbol: 'ETH', price: 1140 }], loan.approvedAt)).toEqual([])
+
+    const position = lendingPoolService.addCollateral(loan.loanId, 2, loan.approvedAt)
+    expect(position.marginCall).toBe(false)
+    expect(position.healthFactor).toBeCloseTo(12 * 1140 / 11000, 6)
+  })
+
+  it('should partially liquidate an unhealthy loan with the pool penalty', async () => {
+    const loan = await openLoan()
+
+    const [event] = lendingPoolService.handlePriceUpdate([{ symbol: 'ETH', price: 1090 }], loan.approvedAt)
+
+    expect(event.type).toBe('liquidation')
+    expect(event.result).toMatchObject({ status: LOAN_STATUS.ACTIVE, rounds: 1, badDebt: 0 })
+    expect(event.result.debtRepaid).toBeCloseTo(5000, 6)
+    expect(event.result.penalty).toBeCloseTo(375, 6)
+    expect(event.result.collateralSeized).toBeCloseTo(5375 / 1090, 6)
+    expect(event.result.healthFactor).toBeGreaterThanOrEqual(HEALTH_FACTOR_THRESHOLDS.LIQUIDATION)
+
+    const position = lendingPoolService.getLoanPosition(loan.loanId, loan.approvedAt)
+    expect(position.outstandingDebt).toBeCloseTo(5000, 6)
+    expect(position.liquidations).toHaveLength(1)
+  })
+
+  it('should default the loan when the collateral cannot cover the debt', async () => {
+    const loan = await openLoan()
+    lendingPoolService.marketPrices.set('ETH', 500)
+
+    const result = lendingPoolService.liquidateLoan(loan.loanId, loan.approvedAt)
+
+    expect(result.status).toBe(LOAN_STATUS.DEFAULTED)
+    expect(result.collateralSeized).toBeCloseTo(10, 6)
+    expect(result.debtRepaid).toBeCloseTo(5000 / 1.075, 6)
+    expect(result.badDebt).toBeCloseTo(10000 - 5000 / 1.075, 6)
+  })
+
+  it('should refuse to liquidate a healthy loan', async () => {
+    const loan = await openLoan()
+
+    expect(() => lendingPoolService.liquidateLoan(loan.loanId, loan.approvedAt)).toThrow('not eligible for liquidation')
+  })
+})
+
+describe('LendingPoolService - Utilization rates', () => {
+  beforeEach(() => {
+    lendingPoolService.loanApplications.clear()
+    vi.spyOn(lendingPoolService, 'assessCreditRisk').mockResolvedValue({ creditScore: 700, riskLevel: 'medium' })
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should price pools from their utilization curve', () => {
+    const pool = lendingPoolService.lendingPools.get('conservative')
+    const utilization = pool.utilizedLiquidity / pool.totalLiquidity
+    const { baseRate, slope1, optimalUtilization, reserveFactor } = pool.rateModel
+    const borrowRate = baseRate + slope1 * Math.min(utilization, optimalUtilization) / optimalUtilization +
+      pool.rateModel.slope2 * Math.max(utilization - optimalUtilization, 0) / (1 - optimalUtilization)
+
+    expect(pool.borrowingRate).toBeCloseTo(borrowRate, 10)
+    expect(pool.lendingRate).toBeCloseTo(borrowRate * utilization * (1 - reserveFactor), 10)
+  })
+
+  it('should raise rates as loans draw on the pool and record the change', async () => {
+    const pool = lendingPoolService.lendingPools.get('balanced')
+    const before = { borrow: pool.borrowingRate, supply: pool.lendingRate, history: pool.rateHistory.length }
+
+    const loan = await openLoan()
+
+    expect(pool.borrowingRate).toBeGreaterThan(before.borrow)
+    expect(pool.lendingRate).toBeGreaterThan(before.supply)
+    expect(pool.rateHistory).toHaveLength(before.history + 1)
+    expect(pool.rateHistory.at(-1)).toMatchObject({ event: 'borrow', borrowRate: pool.borrowingRate })
+
+    lendingPoolService.repayLoan(loan.loanId, 5000, loan.approvedAt)
+    expect(pool.borrowingRate).toBeCloseTo(before.borrow, 1)
+    expect(pool.rateHistory.at(-1).event).toBe('repayment')
+  })
+
+  it('should lower rates when liquidity is deposited', async () => {
+    const pool = lendingPoolService.lendingPools.get('aggressive')
+    const before = { borrow: pool.borrowingRate, supply: pool.lendingRate }
+
+    const position = await lendingPoolService.provideLiquidity({
+      poolId: 'aggressive',
+      asset: 'USDC',
+      amount: 1000000,
+      providerAddress: '0xprovider'
+    })
+
+    expect(pool.borrowingRate).toBeLessThan(before.borrow)
+    expect(pool.lendingRate).toBeLessThan(before.supply)
+    // The quote already reflects the diluted supply rate
+    expect(position.expectedAPY).toBeCloseTo(pool.lendingRate + 0.75, 10)
+  })
+
+  it('should report the curve and recorded history in pool analytics', async () => {
+    const analytics = await lendingPoolService.getLendingPoolAnalytics('balanced')
+    const pool = lendingPoolService.lendingPools.get('balanced')
+
+    expect(analytics.currentAPY).toBe(pool.lendingRate)
+    expect(analytics.borrowAPY).toBe(pool.borrowingRate)
+    expect(analytics.rateModel).toEqual(pool.rateModel)
+    expect(analytics.rateCurve.length).toBeGreaterThan(0)
+    expect(analytics.rateHistory).toHaveLength(pool.rateHistory.length)
+    expect(analytics.historicalAPY).toHaveLength(pool.rateHistory.length)
+  })
+})
@@ -0,0 +1,50 @@
+/**
+ * Interest rate model tests
+ * Kinked utilization curves: a gentle slope up to the optimal utilization
+ * and a steep one past it, with suppliers earning borrow interest net of reserves
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  calculateUtilization,
+  calculateBorrowRate,
+  calculateSupplyRate,
+  calculatePoolRates,
+  sampleRateCurve
+} from '../interestRateModel.js'
+
+const model = { baseRate: 2, slope1: 8, slope2: 100, optimalUtilization: 0.8, reserveFactor: 0.1 }
+
+describe('interestRateModel', () => {
+  it('should clamp utilization to the 0-1 range', () => {
+    expect(calculateUtilization(50, 100)).toBe(0.5)
+    expect(calculateUtilization(150, 100)).toBe(1)
+    expect(calculateUtilization(10, 0)).toBe(0)
+  })
+
+  it('should follow slope1 up to the optimal utilization', () => {
+    expect(calculateBorrowRate(model, 0)).toBe(2)
+    expect(calculateBorrowRate(model, 0.4)).toBeCloseTo(6, 10)
+    expect(calculateBorrowRate(model, 0.8)).toBeCloseTo(10, 10)
+  })
+
+  it('should follow slope2 past the kink', () => {
+    expect(calculateBorrowRate(model, 0.9)).toBeCloseTo(60, 10)
+    expect(calculateBorrowRate(model, 1)).toBeCloseTo(110, 10)
+  })
+
+  it('should pay suppliers the borrow interest net of the reserve factor', () => {
+    expect(calculateSupplyRate(model, 0.5)).toBeCloseTo(7 * 0.5 * 0.9, 10)
+    expect(calculatePoolRates(model, 0, 1000)).toEqual({ utilization: 0, borrowRate: 2, supplyRate: 0 })
+  })
+
+  it('should sample a rising curve', () => {
+    const curve = sampleRateCurve(model, 11)
+
+    expect(curve).toHaveLength(11)
+    expect(curve[10].utilization).toBe(1)
+    curve.slice(1).forEach((point, i) => {
+      expect(point.borrowRate).toBeGreaterThan(curve[i].borrowRate)
+    })
+  })
+})
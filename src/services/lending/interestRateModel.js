@@ -0,0 +1,64 @@
+/**
+ * Interest Rate Model
+ * Kinked utilization curves for LendingPoolService (Aave/Compound style).
+ * Borrow rates rise gently with utilization up to the optimal point and
+ * steeply beyond it; suppliers earn the borrow interest net of the reserve
+ * factor. Rates are annual percentages, utilization is a fraction.
+ */
+
+export const calculateUtilization = (utilizedLiquidity, totalLiquidity) => {
+  if (!(totalLiquidity > 0)) {
+    return 0
+  }
+  return Math.min(Math.max(utilizedLiquidity / totalLiquidity, 0), 1)
+}
+
+/**
+ * Borrow rate at a utilization:
+ * base + slope1 · U / optimal below the kink,
+ * base + slope1 + slope2 · (U - optimal) / (1 - optimal) above it
+ */
+export const calculateBorrowRate = (model, utilization) => {
+  const { baseRate, slope1, slope2, optimalUtilization } = model
+
+  if (utilization <= optimalUtilization) {
+    return baseRate + slope1 * (utilization / optimalUtilization)
+  }
+
+  const excessUtilization = (utilization - optimalUtilization) / (1 - optimalUtilization)
+  return baseRate + slope1 + slope2 * excessUtilization
+}
+
+/**
+ * Supply rate: borrow interest spread over all deposits, less the reserve cut
+ */
+export const calculateSupplyRate = (model, utilization, borrowRate = calculateBorrowRate(model, utilization)) =>
+  borrowRate * utilization * (1 - (model.reserveFactor || 0))
+
+/**
+ * Borrow and supply rates for pool balances
+ */
+export const calculatePoolRates = (model, utilizedLiquidity, totalLiquidity) => {
+  const utilization = calculateUtilization(utilizedLiquidity, totalLiquidity)
+  const borrowRate = calculateBorrowRate(model, utilization)
+
+  return {
+    utilization,
+    borrowRate,
+    supplyRate: calculateSupplyRate(model, utilization, borrowRate)
+  }
+}
+
+/**
+ * Sample the curve, e.g. for charting a pool's rate model
+ */
+export const sampleRateCurve = (model, points = 21) =>
+  Array.from({ length: points }, (_, i) => {
+    const utilization = i / Math.max(points - 1, 1)
+    const borrowRate = calculateBorrowRate(model, utilization)
+    return {
+      utilization,
+      borrowRate,
+      supplyRate: calculateSupplyRate(model, utilization, borrowRate)
+    }
+  })
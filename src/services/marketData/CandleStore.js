@@ -0,0 +1,397 @@
+/**
+ * Candle Store for diBoaS
+ * Local OHLCV history per symbol at 1m, 1h and 1d intervals. Live quotes are
+ * folded into candles as they arrive, missing ranges are backfilled from the
+ * market data providers (or bundled fixtures when offline), and charts, risk
+ * and tax valuation query prices from here instead of static tables.
+ */
+
+import logger from '../../utils/logger'
+import secureLogger from '../../utils/secureLogger.js'
+import { IndexedDBCandleStorage } from './IndexedDBCandleStorage.js'
+import { FIXTURE_SOURCE, WEEKDAY_FIXTURE_SYMBOLS, getFixtureCandles } from './candleFixtures.js'
+import {
+  CANDLE_INTERVALS,
+  INTERVAL_MS,
+  alignToInterval,
+  applyQuoteToCandle,
+  assertInterval,
+  calculateRealizedVolatility,
+  findGaps
+} from './candles.js'
+
+const DAY_MS = INTERVAL_MS[CANDLE_INTERVALS.DAY]
+
+// How long each interval is kept; daily history is kept indefinitely
+const RETENTION_MS = {
+  [CANDLE_INTERVALS.MINUTE]: 7 * DAY_MS,
+  [CANDLE_INTERVALS.HOUR]: 180 * DAY_MS,
+  [CANDLE_INTERVALS.DAY]: Infinity
+}
+
+// Range queried when the caller gives neither from nor limit
+const DEFAULT_QUERY_RANGE_MS = {
+  [CANDLE_INTERVALS.MINUTE]: DAY_MS,
+  [CANDLE_INTERVALS.HOUR]: 7 * DAY_MS,
+  [CANDLE_INTERVALS.DAY]: 365 * DAY_MS
+}
+
+// How far past a candle's close its price still counts as the price at a time
+const PRICE_TOLERANCE_MS = {
+  [CANDLE_INTERVALS.MINUTE]: 5 * 60 * 1000,
+  [CANDLE_INTERVALS.HOUR]: 2 * 60 * 60 * 1000,
+  [CANDLE_INTERVALS.DAY]: 2 * DAY_MS
+}
+
+const BACKFILL_COOLDOWN_MS = 5 * 60 * 1000 // Between provider requests for the same series
+const FINEST_FIRST = [CANDLE_INTERVALS.MINUTE, CANDLE_INTERVALS.HOUR, CANDLE_INTERVALS.DAY]
+
+export const CANDLE_SOURCES = {
+  LIVE: 'live',
+  PROVIDER: 'provider',
+  FIXTURE: FIXTURE_SOURCE
+}
+
+const seriesKey = (symbol, interval) => `${symbol}:${interval}`
+
+/**
+ * Insert candles into a sorted series, replacing any with the same time
+ */
+const mergeIntoSeries = (series, candles) => {
+  const byTime = new Map(series.map(candle => [candle.time, candle]))
+  candles.forEach(candle => byTime.set(candle.time, candle))
+  return Array.from(byTime.values()).sort((a, b) => a.time - b.time)
+}
+
+/**
+ * Last index with time <= timestamp, or -1
+ */
+const findAtOrBefore = (series, timestamp) => {
+  let low = 0
+  let high = series.length - 1
+  let found = -1
+  while (low <= high) {
+    const middle = (low + high) >> 1
+    if (series[middle].time <= timestamp) {
+      found = middle
+      low = middle + 1
+    } else {
+      high = middle - 1
+    }
+  }
+  return found
+}
+
+export class CandleStore {
+  /**
+   * @param {Object} options
+   * @param {Object|null} options.storage - Persistent candle storage; null keeps history in memory only
+   * @param {Object|null} options.source - Provides getHistoricalCandles(); defaults to the market data registry
+   * @param {boolean} options.useFixtures - Fall back to bundled daily history when providers return nothing
+   */
+  constructor(options = {}) {
+    this.series = new Map() // "symbol:interval" -> candles, oldest first
+    this.loadedSeries = new Set() // Series already read from persistent storage
+    this.backfillTasks = new Map() // "symbol:interval" -> running backfill promise
+    this.lastBackfill = new Map() // "symbol:interval" -> time of the last provider request
+    this.weekdaySymbols = new Set(WEEKDAY_FIXTURE_SYMBOLS) // Series without weekend sessions
+
+    this.storage = options.storage !== undefined ? options.storage : new IndexedDBCandleStorage()
+    this.source = options.source || null
+    this.useFixtures = options.useFixtures !== false
+    this.persistenceEnabled = false
+
+    this.ready = this.initializeStorage()
+  }
+
+  async initializeStorage() {
+    if (!this.storage) return false
+
+    try {
+      this.persistenceEnabled = await this.storage.initialize()
+    } catch (error) {
+      logger.warn('Market history storage unavailable, keeping candles in memory:', error)
+      this.persistenceEnabled = false
+    }
+    return this.persistenceEnabled
+  }
+
+  /**
+   * Add candles to a series (replacing candles with the same time) and persist them
+   */
+  addCandles(symbol, interval, candles, { persist = true } = {}) {
+    assertInterval(interval)
+    const valid = candles
+      .filter(candle => Number.isFinite(candle.time) && candle.close > 0)
+      .map(candle => ({
+        ...candle,
+        symbol,
+        interval,
+        time: alignToInterval(candle.time, interval),
+        volume: candle.volume || 0
+      }))
+    if (valid.length === 0) return 0
+
+    const key = seriesKey(symbol, interval)
+    this.series.set(key, this.pruneSeries(interval, mergeIntoSeries(this.series.get(key) || [], valid)))
+
+    if (persist) {
+      this.persist(valid)
+    }
+    return valid.length
+  }
+
+  /**
+   * Fold a live price into the current 1m, 1h and 1d candles
+   */
+  recordQuote(symbol, price, { timestamp = Date.now(), volume = 0, source = CANDLE_SOURCES.LIVE } = {}) {
+    if (!symbol || !(price > 0)) return false
+
+    const touched = FINEST_FIRST.map(interval => {
+      const key = seriesKey(symbol, interval)
+      const series = this.series.get(key) || []
+      const time = alignToInterval(timestamp, interval)
+      const index = findAtOrBefore(series, time)
+      const current = index >= 0 && series[index].time === time ? series[index] : null
+      const candle = applyQuoteToCandle(current, { symbol, interval, time, price, volume, source })
+      this.series.set(key, this.pruneSeries(interval, mergeIntoSeries(series, [candle])))
+      return candle
+    })
+
+    this.persist(touched)
+    return true
+  }
+
+  /**
+   * Record market data quotes ({ symbol, price, lastUpdate, source }) as they arrive.
+   * Generated mock quotes are skipped so they never become history.
+   */
+  recordQuotes(quotes = []) {
+    return quotes.filter(quote => quote && quote.source !== 'mock' && this.recordQuote(quote.symbol, quote.price, {
+      timestamp: Date.parse(quote.lastUpdate) || Date.now()
+    })).length
+  }
+
+  /**
+   * Candles already held in memory, oldest first. With limit and no from,
+   * the latest candles up to `to` are returned.
+   */
+  getCandles(symbol, interval, { from = 0, to = Infinity, limit = null } = {}) {
+    assertInterval(interval)
+    const candles = (this.series.get(seriesKey(symbol, interval)) || [])
+      .filter(candle => candle.time >= from && candle.time <= to)
+
+    return limit !== null ? candles.slice(-limit) : candles
+  }
+
+  /**
+   * Load persisted history, backfill missing ranges and return the candles
+   */
+  async queryCandles(symbol, interval, { from = null, to = Date.now(), limit = null, backfill = true } = {}) {
+    assertInterval(interval)
+    await this.ready
+    await this.ensureLoaded(symbol, interval)
+
+    const rangeFrom = from ?? to - (limit !== null ? limit * INTERVAL_MS[interval] : DEFAULT_QUERY_RANGE_MS[interval])
+    if (backfill) {
+      await this.backfill(symbol, interval, { from: rangeFrom, to })
+    }
+
+    return this.getCandles(symbol, interval, { from: from ?? (limit !== null ? 0 : rangeFrom), to, limit })
+  }
+
+  /**
+   * Missing buckets in a range, merged into { from, to, missing } ranges
+   */
+  getGaps(symbol, interval, { from, to = Date.now(), weekdaysOnly = this.weekdaySymbols.has(symbol) } = {}) {
+    assertInterval(interval)
+    return findGaps(this.getCandles(symbol, interval, { from, to }), interval, { from, to, weekdaysOnly })
+  }
+
+  /**
+   * Fill gaps in a range from the providers. When they return nothing and the
+   * series is empty, daily history falls back to the bundled fixtures.
+   */
+  async backfill(symbol, interval, { from, to = Date.now(), force = false } = {}) {
+    const key = seriesKey(symbol, interval)
+    if (this.backfillTasks.has(key)) {
+      return this.backfillTasks.get(key)
+    }
+
+    const task = this.runBackfill(symbol, interval, { from, to, force })
+      .finally(() => this.backfillTasks.delete(key))
+    this.backfillTasks.set(key, task)
+    return task
+  }
+
+  async runBackfill(symbol, interval, { from, to, force }) {
+    const key = seriesKey(symbol, interval)
+    const gaps = this.getGaps(symbol, interval, { from, to })
+    if (gaps.length === 0) {
+      return { added: 0, source: null, gaps }
+    }
+
+    const lastRequest = this.lastBackfill.get(key)
+    if (!force && lastRequest && Date.now() - lastRequest < BACKFILL_COOLDOWN_MS) {
+      return { added: 0, source: null, gaps }
+    }
+    this.lastBackfill.set(key, Date.now())
+
+    let added = 0
+    let source = null
+    try {
+      const provider = await this.getSource()
+      const candles = await provider.getHistoricalCandles(symbol, interval, {
+        from: gaps[0].from,
+        to: gaps[gaps.length - 1].to + INTERVAL_MS[interval] - 1
+      })
+      added = this.addCandles(symbol, interval, (candles || []).map(candle => ({ ...candle, source: CANDLE_SOURCES.PROVIDER })))
+      source = added > 0 ? CANDLE_SOURCES.PROVIDER : null
+    } catch (error) {
+      logger.warn(`Candle backfill for ${symbol} ${interval} failed:`, error)
+    }
+
+    if (added === 0 && this.useFixtures && interval === CANDLE_INTERVALS.DAY && this.getCandles(symbol, interval).length === 0) {
+      added = this.loadFixtures(symbol)
+      source = added > 0 ? CANDLE_SOURCES.FIXTURE : null
+    }
+
+    secureLogger.audit('MARKET_HISTORY_BACKFILLED', {
+      symbol,
+      interval,
+      gaps: gaps.length,
+      added,
+      source
+    })
+
+    return { added, source, gaps: this.getGaps(symbol, interval, { from, to }) }
+  }
+
+  /**
+   * Load the bundled daily history for a symbol
+   */
+  loadFixtures(symbol) {
+    return this.addCandles(symbol, CANDLE_INTERVALS.DAY, getFixtureCandles(symbol))
+  }
+
+  getLatestCandle(symbol, interval = CANDLE_INTERVALS.MINUTE) {
+    const series = this.series.get(seriesKey(symbol, interval)) || []
+    return series[series.length - 1] || null
+  }
+
+  /**
+   * Read persisted series into memory so the synchronous getters below see them
+   */
+  async preload(symbols, intervals = FINEST_FIRST) {
+    await this.ready
+    await Promise.all(symbols.flatMap(symbol => intervals.map(interval => this.ensureLoaded(symbol, interval))))
+  }
+
+  /**
+   * Price of a symbol at a time from the finest candle covering it, or null
+   * when no candle is recent enough (stale history never stands in for a price).
+   * Reads memory only; preload the symbol or use loadPriceAt for stored history.
+   */
+  getPriceAt(symbol, timestamp = Date.now()) {
+    for (const interval of FINEST_FIRST) {
+      const series = this.series.get(seriesKey(symbol, interval)) || []
+      const index = findAtOrBefore(series, timestamp)
+      if (index >= 0 && timestamp - series[index].time <= INTERVAL_MS[interval] + PRICE_TOLERANCE_MS[interval]) {
+        return series[index].close
+      }
+    }
+    return null
+  }
+
+  /**
+   * getPriceAt including the symbol's stored history
+   */
+  async loadPriceAt(symbol, timestamp = Date.now()) {
+    await this.preload([symbol])
+    return this.getPriceAt(symbol, timestamp)
+  }
+
+  /**
+   * Annualized realized volatility (percent) from recent daily candles, or
+   * null when there are too few of them to be meaningful. Reads memory only;
+   * preload the symbol or use loadRealizedVolatility for stored history.
+   */
+  getRealizedVolatility(symbol, { lookbackDays = 90, minObservations = 20, now = Date.now() } = {}) {
+    const candles = this.getCandles(symbol, CANDLE_INTERVALS.DAY, { from: now - lookbackDays * DAY_MS, to: now })
+    if (candles.length < minObservations + 1) {
+      return null
+    }
+
+    const periodsPerYear = this.weekdaySymbols.has(symbol) ? 252 : 365
+    return calculateRealizedVolatility(candles, { periodsPerYear })
+  }
+
+  /**
+   * getRealizedVolatility including the symbol's stored daily history
+   */
+  async loadRealizedVolatility(symbol, options = {}) {
+    await this.preload([symbol], [CANDLE_INTERVALS.DAY])
+    return this.getRealizedVolatility(symbol, options)
+  }
+
+  /**
+   * Remove all history from memory and storage
+   */
+  async clear() {
+    this.series.clear()
+    this.loadedSeries.clear()
+    this.lastBackfill.clear()
+    if (this.persistenceEnabled) {
+      await this.storage.clear()
+    }
+  }
+
+  /**
+   * Private helpers
+   */
+
+  async getSource() {
+    if (!this.source) {
+      const { marketDataRegistry } = await import('../integrations/marketData/MarketDataProviderRegistry.js')
+      this.source = marketDataRegistry
+    }
+    return this.source
+  }
+
+  async ensureLoaded(symbol, interval) {
+    const key = seriesKey(symbol, interval)
+    if (!this.persistenceEnabled || this.loadedSeries.has(key)) return
+
+    this.loadedSeries.add(key)
+    try {
+      const retention = RETENTION_MS[interval]
+      if (Number.isFinite(retention)) {
+        await this.storage.deleteSeriesBefore(symbol, interval, Date.now() - retention)
+      }
+      const stored = await this.storage.readSeries(symbol, interval)
+      this.addCandles(symbol, interval, stored, { persist: false })
+    } catch (error) {
+      logger.warn(`Failed to load ${symbol} ${interval} history:`, error)
+    }
+  }
+
+  pruneSeries(interval, series) {
+    const retention = RETENTION_MS[interval]
+    if (!Number.isFinite(retention) || series.length === 0) return series
+
+    const cutoff = series[series.length - 1].time - retention
+    return series[0].time < cutoff ? series.filter(candle => candle.time >= cutoff) : series
+  }
+
+  persist(candles) {
+    if (!this.persistenceEnabled) return
+
+    this.storage.putCandles(candles).catch(error => {
+      logger.warn('Failed to persist candles:', error)
+    })
+  }
+}
+
+export const candleStore = new CandleStore()
+
+export default candleStore
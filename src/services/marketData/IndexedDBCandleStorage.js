@@ -0,0 +1,150 @@
+import logger from '../../utils/logger'
+
+/**
+ * IndexedDB Candle Storage
+ * OHLCV candles per symbol and interval, kept off localStorage so years of
+ * daily history and a week of minute bars fit without hitting its quota
+ */
+
+export const CANDLE_DB_NAME = 'DiBoaSMarketHistory'
+export const CANDLE_DB_VERSION = 1
+
+export const CANDLE_STORES = {
+  CANDLES: 'candles' // keyPath [symbol, interval, time], one record per candle
+}
+
+/**
+ * Structural migrations keyed by the database version they upgrade to.
+ * Add a new entry and bump CANDLE_DB_VERSION to change stores or indexes.
+ */
+const DB_MIGRATIONS = {
+  1: (db) => {
+    db.createObjectStore(CANDLE_STORES.CANDLES, { keyPath: ['symbol', 'interval', 'time'] })
+  }
+}
+
+export class IndexedDBCandleStorage {
+  constructor(dbName = CANDLE_DB_NAME, version = CANDLE_DB_VERSION) {
+    this.dbName = dbName
+    this.version = version
+    this.db = null
+  }
+
+  /**
+   * Open the database, running structural migrations when the version changed
+   * @returns {Promise<boolean>} false when IndexedDB is not available
+   */
+  async initialize() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        logger.warn('IndexedDB not supported, market history will not persist')
+        resolve(false)
+        return
+      }
+
+      const request = indexedDB.open(this.dbName, this.version)
+
+      request.onerror = () => {
+        logger.error('Failed to open market history database:', request.error)
+        reject(request.error)
+      }
+
+      request.onsuccess = () => {
+        this.db = request.result
+        logger.debug('✅ IndexedDB market history initialized')
+        resolve(true)
+      }
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result
+        for (let version = event.oldVersion + 1; version <= this.version; version++) {
+          DB_MIGRATIONS[version]?.(db)
+        }
+        logger.info(`Market history database migrated from v${event.oldVersion} to v${this.version}`)
+      }
+    })
+  }
+
+  /**
+   * Insert or replace candles in one transaction
+   */
+  async putCandles(candles) {
+    if (!this.db || candles.length === 0) return false
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([CANDLE_STORES.CANDLES], 'readwrite')
+      const store = transaction.objectStore(CANDLE_STORES.CANDLES)
+      candles.forEach(candle => store.put(candle))
+
+      transaction.oncomplete = () => resolve(true)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  }
+
+  /**
+   * Read one series within a time range, oldest first
+   */
+  async readSeries(symbol, interval, { from = 0, to = Number.MAX_SAFE_INTEGER } = {}) {
+    if (!this.db) return []
+
+    return new Promise((resolve) => {
+      const transaction = this.db.transaction([CANDLE_STORES.CANDLES], 'readonly')
+      const range = IDBKeyRange.bound([symbol, interval, from], [symbol, interval, to])
+      const request = transaction.objectStore(CANDLE_STORES.CANDLES).getAll(range)
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        logger.warn(`Failed to read ${symbol} ${interval} candles from IndexedDB:`, request.error)
+        resolve([])
+      }
+    })
+  }
+
+  /**
+   * Drop candles of one series older than a cutoff (retention)
+   */
+  async deleteSeriesBefore(symbol, interval, cutoff) {
+    if (!this.db) return false
+
+    return new Promise((resolve) => {
+      const transaction = this.db.transaction([CANDLE_STORES.CANDLES], 'readwrite')
+      const range = IDBKeyRange.bound([symbol, interval, 0], [symbol, interval, cutoff], false, true)
+      transaction.objectStore(CANDLE_STORES.CANDLES).delete(range)
+
+      transaction.oncomplete = () => resolve(true)
+      transaction.onerror = () => {
+        logger.warn(`Failed to prune ${symbol} ${interval} candles:`, transaction.error)
+        resolve(false)
+      }
+    })
+  }
+
+  /**
+   * Remove all candles
+   */
+  async clear() {
+    if (!this.db) return false
+
+    return new Promise((resolve) => {
+      const transaction = this.db.transaction([CANDLE_STORES.CANDLES], 'readwrite')
+      transaction.objectStore(CANDLE_STORES.CANDLES).clear()
+
+      transaction.oncomplete = () => resolve(true)
+      transaction.onerror = () => {
+        logger.warn('Failed to clear market history database:', transaction.error)
+        resolve(false)
+      }
+    })
+  }
+
+  /**
+   * Close database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close()
+      this.db = null
+    }
+  }
+}
@@ -8,6 +8,7 @@ import secureLogger from '../../utils/secureLogger.js'
 import { dataManager } from '../DataManager.js'
 import { marketDataRegistry } from '../integrations/marketData/MarketDataProviderRegistry.js'
 import { CoinGeckoProvider } from '../integrations/marketData/providers/CoinGeckoProvider.js'
+import { candleStore } from './CandleStore.js'
 
 /**
  * Business Configuration for Market Data
@@ -63,7 +64,7 @@ export class MarketDataService {
       await marketDataRegistry.registerProvider('coingecko', coinGeckoProvider, {
         priority: 10,
         weight: 10,
-        features: ['crypto-data', 'asset-prices'],
+        features: ['crypto-data', 'asset-prices', 'historical-candles'],
         environments: ['development', 'staging', 'production'],
         enabled: true
       })
@@ -196,6 +197,7 @@ export class MarketDataService {
       // Store in business layer
       this.marketData.crypto = cryptoData
       this.lastSuccessfulUpdate.set('crypto', new Date().toISOString())
+      candleStore.recordQuotes(cryptoData)
       
       // Emit business event (components don't know about providers)
       dataManager.emit('market:crypto:updated', cryptoData)
@@ -234,6 +236,7 @@ export class MarketDataService {
       // Store in business layer
       this.marketData.stocks = stockData
       this.lastSuccessfulUpdate.set('stocks', new Date().toISOString())
+      candleStore.recordQuotes(stockData)
       
       // Emit business event
       dataManager.emit('market:stocks:updated', stockData)
@@ -272,6 +275,7 @@ export class MarketDataService {
       // Store in business layer
       this.marketData.commodities = commoditiesData
       this.lastSuccessfulUpdate.set('commodities', new Date().toISOString())
+      candleStore.recordQuotes(commoditiesData)
       
       // Emit business event
       dataManager.emit('market:commodities:updated', commoditiesData)
@@ -351,6 +355,25 @@ export class MarketDataService {
     }
   }
 
+  /**
+   * Get OHLCV price history from the local candle store, backfilling gaps
+   * @param {string} symbol - Asset symbol
+   * @param {string} interval - '1m', '1h' or '1d'
+   * @param {Object} options - { from, to, limit } in epoch ms
+   */
+  async getPriceHistory(symbol, interval = '1d', options = {}) {
+    try {
+      return await candleStore.queryCandles(symbol, interval, options)
+    } catch (error) {
+      secureLogger.audit('PRICE_HISTORY_REQUEST_FAILED', {
+        symbol,
+        interval,
+        error: error.message
+      })
+      return []
+    }
+  }
+
   /**
    * Force refresh of specific market data type
    */
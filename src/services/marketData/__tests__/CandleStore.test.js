@@ -0,0 +1,164 @@
+/**
+ * CandleStore Tests
+ * Quote folding, gap detection, backfill fallbacks and price lookups
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { CandleStore, CANDLE_SOURCES } from '../CandleStore.js'
+import { CANDLE_INTERVALS, INTERVAL_MS, aggregateCandles, findGaps, calculateRealizedVolatility } from '../candles.js'
+import { getFixtureCandles } from '../candleFixtures.js'
+
+const HOUR = INTERVAL_MS[CANDLE_INTERVALS.HOUR]
+const DAY = INTERVAL_MS[CANDLE_INTERVALS.DAY]
+const START = Date.parse('2026-03-02T00:00:00Z') // A Monday
+
+const dailyCandles = (closes, start = START) => closes.map((close, i) => ({
+  time: start + i * DAY,
+  open: close,
+  high: close,
+  low: close,
+  close,
+  volume: 0
+}))
+
+describe('CandleStore', () => {
+  let source
+  let store
+
+  beforeEach(() => {
+    source = { getHistoricalCandles: vi.fn().mockResolvedValue([]) }
+    store = new CandleStore({ storage: null, source })
+  })
+
+  it('folds live quotes into minute, hour and day candles', () => {
+    store.recordQuote('ETH', 2000, { timestamp: START + 10 * 1000 })
+    store.recordQuote('ETH', 2050, { timestamp: START + 30 * 1000 })
+    store.recordQuote('ETH', 1980, { timestamp: START + 2 * 60 * 1000 })
+
+    const minutes = store.getCandles('ETH', CANDLE_INTERVALS.MINUTE)
+    expect(minutes).toHaveLength(2)
+    expect(minutes[0]).toMatchObject({ time: START, open: 2000, high: 2050, low: 2000, close: 2050 })
+
+    const [day] = store.getCandles('ETH', CANDLE_INTERVALS.DAY)
+    expect(day).toMatchObject({ open: 2000, high: 2050, low: 1980, close: 1980, source: CANDLE_SOURCES.LIVE })
+    expect(store.getCandles('ETH', CANDLE_INTERVALS.HOUR)).toHaveLength(1)
+  })
+
+  it('skips generated mock quotes', () => {
+    const recorded = store.recordQuotes([
+      { symbol: 'BTC', price: 60000, lastUpdate: new Date(START).toISOString(), source: 'coingecko' },
+      { symbol: 'SOL', price: 150, lastUpdate: new Date(START).toISOString(), source: 'mock' }
+    ])
+
+    expect(recorded).toBe(1)
+    expect(store.getLatestCandle('SOL')).toBeNull()
+    expect(store.getLatestCandle('BTC').close).toBe(60000)
+  })
+
+  it('reports missing buckets as merged ranges', () => {
+    store.addCandles('BTC', CANDLE_INTERVALS.DAY, dailyCandles([100, 101]))
+    store.addCandles('BTC', CANDLE_INTERVALS.DAY, dailyCandles([104], START + 4 * DAY))
+
+    const gaps = store.getGaps('BTC', CANDLE_INTERVALS.DAY, { from: START, to: START + 5 * DAY })
+    expect(gaps).toEqual([
+      { from: START + 2 * DAY, to: START + 3 * DAY, missing: 2 },
+      { from: START + 5 * DAY, to: START + 5 * DAY, missing: 1 }
+    ])
+  })
+
+  it('ignores weekends when looking for gaps in weekday series', () => {
+    const weekdays = dailyCandles([1, 2, 3, 4, 5]).concat(dailyCandles([6], START + 7 * DAY))
+    expect(findGaps(weekdays, CANDLE_INTERVALS.DAY, { from: START, to: START + 7 * DAY, weekdaysOnly: true })).toEqual([])
+    expect(findGaps(weekdays, CANDLE_INTERVALS.DAY, { from: START, to: START + 7 * DAY })).toHaveLength(1)
+  })
+
+  it('backfills gaps from the provider', async () => {
+    source.getHistoricalCandles.mockResolvedValue(dailyCandles([100, 102, 101]))
+
+    const result = await store.backfill('ETH', CANDLE_INTERVALS.DAY, { from: START, to: START + 2 * DAY })
+
+    expect(source.getHistoricalCandles).toHaveBeenCalledWith('ETH', CANDLE_INTERVALS.DAY, {
+      from: START,
+      to: START + 3 * DAY - 1
+    })
+    expect(result).toMatchObject({ added: 3, source: CANDLE_SOURCES.PROVIDER, gaps: [] })
+    expect(store.getCandles('ETH', CANDLE_INTERVALS.DAY).map(candle => candle.close)).toEqual([100, 102, 101])
+  })
+
+  it('falls back to bundled daily history when providers fail', async () => {
+    source.getHistoricalCandles.mockRejectedValue(new Error('offline'))
+
+    const candles = await store.queryCandles('BTC', CANDLE_INTERVALS.DAY, { limit: 500 })
+
+    expect(candles).toEqual(getFixtureCandles('BTC'))
+    expect(candles.every(candle => candle.source === CANDLE_SOURCES.FIXTURE)).toBe(true)
+    // Each fixture candle opens at the previous close
+    expect(candles[1].open).toBe(candles[0].close)
+  })
+
+  it('waits out the cooldown before asking providers again', async () => {
+    await store.backfill('SUI', CANDLE_INTERVALS.HOUR, { from: START, to: START + 5 * HOUR })
+    await store.backfill('SUI', CANDLE_INTERVALS.HOUR, { from: START, to: START + 5 * HOUR })
+    expect(source.getHistoricalCandles).toHaveBeenCalledTimes(1)
+
+    await store.backfill('SUI', CANDLE_INTERVALS.HOUR, { from: START, to: START + 5 * HOUR, force: true })
+    expect(source.getHistoricalCandles).toHaveBeenCalledTimes(2)
+  })
+
+  it('prices from the finest recent candle and never from stale history', () => {
+    store.addCandles('ETH', CANDLE_INTERVALS.DAY, dailyCandles([1900, 2000]))
+    store.recordQuote('ETH', 2100, { timestamp: START + DAY + 12 * HOUR })
+
+    expect(store.getPriceAt('ETH', START + DAY + 12 * HOUR + 60 * 1000)).toBe(2100)
+    expect(store.getPriceAt('ETH', START + 6 * HOUR)).toBe(1900)
+    expect(store.getPriceAt('ETH', START + 30 * DAY)).toBeNull()
+    expect(store.getPriceAt('DOGE', START)).toBeNull()
+  })
+
+  it('computes realized volatility only with enough recent history', () => {
+    const closes = Array.from({ length: 31 }, (_, i) => 100 * (i % 2 === 0 ? 1 : 1.02))
+    store.addCandles('SOL', CANDLE_INTERVALS.DAY, dailyCandles(closes))
+    const now = START + 30 * DAY
+
+    const volatility = store.getRealizedVolatility('SOL', { now })
+    expect(volatility).toBeCloseTo(calculateRealizedVolatility(store.getCandles('SOL', CANDLE_INTERVALS.DAY)), 10)
+    expect(volatility).toBeGreaterThan(30)
+    expect(store.getRealizedVolatility('SOL', { now: now + 365 * DAY })).toBeNull()
+  })
+
+  it('reads stored history before pricing when asked to load it', async () => {
+    const closes = Array.from({ length: 31 }, (_, i) => 100 * (i % 2 === 0 ? 1 : 1.02))
+    const storage = {
+      initialize: vi.fn().mockResolvedValue(true),
+      readSeries: vi.fn(async (symbol, interval) => (symbol === 'SOL' && interval === CANDLE_INTERVALS.DAY ? dailyCandles(closes) : [])),
+      deleteSeriesBefore: vi.fn().mockResolvedValue(0),
+      putCandles: vi.fn().mockResolvedValue(true)
+    }
+    const stored = new CandleStore({ storage, source })
+    const now = START + 30 * DAY
+
+    expect(stored.getPriceAt('SOL', now)).toBeNull()
+    expect(await stored.loadPriceAt('SOL', now)).toBe(100)
+    expect(await stored.loadRealizedVolatility('SOL', { now })).toBeGreaterThan(30)
+
+    // Each series is read from storage once
+    await stored.preload(['SOL'])
+    expect(storage.readSeries).toHaveBeenCalledTimes(3)
+  })
+
+  it('rolls finer candles up into coarser ones', () => {
+    const hours = [0, 1, 25].map((hour, i) => ({
+      time: START + hour * HOUR,
+      open: 10 + i,
+      high: 12 + i,
+      low: 9 + i,
+      close: 11 + i,
+      volume: 5
+    }))
+
+    expect(aggregateCandles(hours, CANDLE_INTERVALS.DAY)).toEqual([
+      expect.objectContaining({ time: START, open: 10, high: 13, low: 9, close: 12, volume: 10 }),
+      expect.objectContaining({ time: START + DAY, open: 12, close: 13, volume: 5 })
+    ])
+  })
+})
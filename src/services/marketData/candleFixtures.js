@@ -0,0 +1,63 @@
+/**
+ * Candle Fixtures
+ * Daily candles built from the closes bundled with the historical stress
+ * scenarios, so charts and backfills have history without a provider.
+ * Only closes are bundled: each candle opens at the previous close.
+ */
+
+import { HISTORICAL_SCENARIOS } from '../risk/historicalScenarios.js'
+import { CANDLE_INTERVALS, INTERVAL_MS } from './candles.js'
+
+export const FIXTURE_SOURCE = 'fixture'
+
+const DAY_MS = INTERVAL_MS[CANDLE_INTERVALS.DAY]
+
+/**
+ * Session dates for a series: every day, or weekdays only for equity benchmarks
+ */
+const sessionTimes = (startDate, count, weekdaysOnly) => {
+  const times = []
+  let time = Date.parse(`${startDate}T00:00:00Z`)
+  while (times.length < count) {
+    const day = new Date(time).getUTCDay()
+    if (!weekdaysOnly || (day !== 0 && day !== 6)) {
+      times.push(time)
+    }
+    time += DAY_MS
+  }
+  return times
+}
+
+const buildCandles = (symbol, closes, times) => closes.map((close, i) => {
+  const open = i === 0 ? close : closes[i - 1]
+  return {
+    symbol,
+    interval: CANDLE_INTERVALS.DAY,
+    time: times[i],
+    open,
+    high: Math.max(open, close),
+    low: Math.min(open, close),
+    close,
+    volume: 0,
+    source: FIXTURE_SOURCE
+  }
+})
+
+/**
+ * Symbols that only have weekday sessions in the fixtures
+ */
+export const WEEKDAY_FIXTURE_SYMBOLS = new Set(
+  Object.values(HISTORICAL_SCENARIOS).map(scenario => scenario.benchmark).filter(Boolean)
+)
+
+/**
+ * Daily fixture candles for a symbol across all bundled scenarios, oldest first
+ */
+export const getFixtureCandles = (symbol) => Object.values(HISTORICAL_SCENARIOS)
+  .filter(scenario => scenario.series[symbol])
+  .flatMap(scenario => {
+    const closes = scenario.series[symbol]
+    const times = sessionTimes(scenario.startDate, closes.length, scenario.benchmark === symbol)
+    return buildCandles(symbol, closes, times)
+  })
+  .sort((a, b) => a.time - b.time)
@@ -0,0 +1,133 @@
+/**
+ * Candles
+ * OHLCV series math for CandleStore: interval bucketing, folding quotes into
+ * candles, rolling finer candles up, gap detection and realized volatility.
+ * Times are epoch milliseconds of the bucket start (UTC), prices are USD.
+ */
+
+export const CANDLE_INTERVALS = {
+  MINUTE: '1m',
+  HOUR: '1h',
+  DAY: '1d'
+}
+
+export const INTERVAL_MS = {
+  [CANDLE_INTERVALS.MINUTE]: 60 * 1000,
+  [CANDLE_INTERVALS.HOUR]: 60 * 60 * 1000,
+  [CANDLE_INTERVALS.DAY]: 24 * 60 * 60 * 1000
+}
+
+const DAYS_PER_YEAR = 365 // Crypto trades every day
+
+export const assertInterval = (interval) => {
+  if (!INTERVAL_MS[interval]) {
+    throw new Error(`Unsupported candle interval: ${interval}`)
+  }
+}
+
+export const alignToInterval = (timestamp, interval) =>
+  Math.floor(timestamp / INTERVAL_MS[interval]) * INTERVAL_MS[interval]
+
+const isWeekend = (time) => {
+  const day = new Date(time).getUTCDay()
+  return day === 0 || day === 6
+}
+
+/**
+ * Fold a price into the candle of its bucket, opening a new candle when there is none
+ */
+export const applyQuoteToCandle = (candle, { symbol, interval, time, price, volume = 0, source }) => {
+  if (!candle) {
+    return {
+      symbol,
+      interval,
+      time: alignToInterval(time, interval),
+      open: price,
+      high: price,
+      low: price,
+      close: price,
+      volume,
+      source
+    }
+  }
+
+  return {
+    ...candle,
+    high: Math.max(candle.high, price),
+    low: Math.min(candle.low, price),
+    close: price,
+    volume: candle.volume + volume
+  }
+}
+
+/**
+ * Roll candles (oldest first) up into a coarser interval
+ */
+export const aggregateCandles = (candles, interval) => {
+  const buckets = new Map()
+
+  candles.forEach(candle => {
+    const time = alignToInterval(candle.time, interval)
+    const bucket = buckets.get(time)
+    buckets.set(time, bucket
+      ? {
+          ...bucket,
+          high: Math.max(bucket.high, candle.high),
+          low: Math.min(bucket.low, candle.low),
+          close: candle.close,
+          volume: bucket.volume + (candle.volume || 0)
+        }
+      : { ...candle, interval, time, volume: candle.volume || 0 })
+  })
+
+  return Array.from(buckets.values()).sort((a, b) => a.time - b.time)
+}
+
+/**
+ * Missing buckets between from and to (inclusive), merged into ranges.
+ * weekdaysOnly skips Saturdays and Sundays for series that only trade on weekdays.
+ */
+export const findGaps = (candles, interval, { from, to, weekdaysOnly = false }) => {
+  const step = INTERVAL_MS[interval]
+  const present = new Set(candles.map(candle => candle.time))
+  const gaps = []
+  let open = null
+
+  for (let time = alignToInterval(from, interval); time <= to; time += step) {
+    const expected = !(weekdaysOnly && interval === CANDLE_INTERVALS.DAY && isWeekend(time))
+    if (expected && !present.has(time)) {
+      if (open) {
+        open.to = time
+        open.missing++
+      } else {
+        open = { from: time, to: time, missing: 1 }
+      }
+    } else if (expected && open) {
+      gaps.push(open)
+      open = null
+    }
+  }
+
+  if (open) gaps.push(open)
+  return gaps
+}
+
+/**
+ * Annualized volatility (percent) of close-to-close log returns
+ */
+export const calculateRealizedVolatility = (candles, { periodsPerYear = DAYS_PER_YEAR } = {}) => {
+  const returns = []
+  for (let i = 1; i < candles.length; i++) {
+    if (candles[i - 1].close > 0 && candles[i].close > 0) {
+      returns.push(Math.log(candles[i].close / candles[i - 1].close))
+    }
+  }
+
+  if (returns.length < 2) {
+    return null
+  }
+
+  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1)
+  return Math.sqrt(variance * periodsPerYear) * 100
+}
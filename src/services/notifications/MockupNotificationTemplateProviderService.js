@@ -57,6 +57,25 @@ export class MockupNotificationTemplateProviderService {
           duration: 5000,
           position: 'top-right',
           showCloseButton: true
+        },
+        refund: {
+          title: 'Refund Issued',
+          message: '{amount} is on its way back to your {paymentMethod}. {reversedAmount} was deducted from your balance.',
+          icon: '↩️',
+          duration: 7000,
+          position: 'top-right',
+          showCloseButton: true,
+          actions: [
+            { label: 'View Details', action: 'view_transaction' }
+          ]
+        },
+        disputeWon: {
+          title: 'Dispute Resolved',
+          message: 'The dispute on your {amount} payment was resolved in your favour and the funds are back in your balance.',
+          icon: '✅',
+          duration: 7000,
+          position: 'top-right',
+          showCloseButton: true
         }
       },
       
@@ -123,6 +142,29 @@ export class MockupNotificationTemplateProviderService {
             { label: 'Add Funds', action: 'add_funds' }
           ]
         },
+        chargeback: {
+          title: 'Payment Disputed',
+          message: 'A {amount} payment was disputed with your card issuer, so {reversedAmount} has been taken back from your balance while it is reviewed.',
+          icon: '⚖️',
+          duration: 12000,
+          position: 'top-right',
+          showCloseButton: true,
+          actions: [
+            { label: 'View Details', action: 'view_transaction' },
+            { label: 'Contact Support', action: 'contact_support' }
+          ]
+        },
+        negativeBalance: {
+          title: 'Negative Balance',
+          message: 'You owe {negativeBalance} after a payment reversal. Withdrawals and transfers are on hold until it is repaid from new deposits or sales.',
+          icon: '⛔',
+          duration: 15000,
+          position: 'top-right',
+          showCloseButton: true,
+          actions: [
+            { label: 'Add Funds', action: 'add_funds' }
+          ]
+        },
         security: {
           title: 'Security Alert',
           message: 'Unusual activity detected on your account. Please verify your recent transactions.',
@@ -264,6 +306,21 @@ export class MockupNotificationTemplateProviderService {
         }
       },
       
+      paymentReversal: {
+        title: 'Payment Reversed',
+        body: 'Your {paymentMethod} payment of {amount} was {reversalType}. {reversedAmount} was deducted from your balance.',
+        icon: '/icons/transaction-alert.png',
+        badge: '/icons/badge.png',
+        tag: 'payment-reversal',
+        requireInteraction: true,
+        actions: [
+          { action: 'view', title: 'View Details' }
+        ],
+        data: {
+          url: '/transactions/{transactionId}'
+        }
+      },
+      
       marketUpdate: {
         title: 'Market Update',
         body: 'Your portfolio is {direction} {percentage}% today. {summary}',
@@ -549,6 +606,9 @@ export class MockupNotificationTemplateProviderService {
    * Find template by ID in nested structure
    */
   findTemplate(templates, templateId) {
+    // Push templates are keyed directly; toast templates sit under a category
+    if (templates[templateId]) return templates[templateId]
+    
     for (const category of Object.values(templates)) {
       if (typeof category === 'object') {
         if (category[templateId]) return category[templateId]
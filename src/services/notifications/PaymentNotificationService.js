@@ -0,0 +1,108 @@
+/**
+ * Payment Notification Service
+ * Tells the user when a card payment is refunded or disputed and when a
+ * reversal leaves a negative balance, using the notification templates
+ */
+
+import { dataManager as defaultDataManager } from '../DataManager.js'
+import { mockupNotificationTemplateProviderService } from './MockupNotificationTemplateProviderService.js'
+import { toast } from '../../hooks/useToast.jsx'
+import logger from '../../utils/logger.js'
+
+const formatUSD = (amount) => `$${(parseFloat(amount) || 0).toFixed(2)}`
+
+const formatPaymentMethod = (paymentMethod) => (paymentMethod || 'payment method').replace(/_/g, ' ')
+
+// Browser notification, only once the user has allowed them
+const showBrowserNotification = (notification) => {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return
+
+  new Notification(notification.title, {
+    body: notification.body,
+    icon: notification.icon,
+    tag: notification.tag,
+    data: notification.data
+  })
+}
+
+export class PaymentNotificationService {
+  constructor(options = {}) {
+    this.dataManager = options.dataManager || defaultDataManager
+    this.templates = options.templates || mockupNotificationTemplateProviderService
+    this.showToast = options.showToast || toast
+    this.showPush = options.showPush || showBrowserNotification
+    this.unsubscribers = []
+  }
+
+  /**
+   * Subscribe to refunds, disputes and negative-balance holds
+   */
+  start() {
+    if (this.unsubscribers.length > 0) return
+
+    this.unsubscribers = [
+      this.dataManager.subscribe('payment:refunded', (event) => this.notify(() => this.notifyRefund(event))),
+      this.dataManager.subscribe('payment:disputed', (event) => this.notify(() => this.notifyDispute(event))),
+      this.dataManager.subscribe('balance:negative_hold', (event) => this.notify(() => this.notifyNegativeBalance(event)))
+    ]
+  }
+
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe())
+    this.unsubscribers = []
+  }
+
+  async notify(send) {
+    try {
+      await send()
+    } catch (error) {
+      logger.error('Failed to send payment notification:', error)
+    }
+  }
+
+  async notifyRefund({ transaction, original, amount }) {
+    const variables = {
+      amount: formatUSD(amount),
+      reversedAmount: formatUSD(transaction.amount),
+      paymentMethod: formatPaymentMethod(original.paymentMethod),
+      transactionId: transaction.id
+    }
+
+    await this.sendToast('refund', variables, 'success')
+    await this.sendPush({ ...variables, reversalType: 'refunded' })
+  }
+
+  async notifyDispute({ transaction, original, dispute }) {
+    const variables = {
+      amount: formatUSD(dispute.amount),
+      reversedAmount: formatUSD(transaction.amount),
+      paymentMethod: formatPaymentMethod(original.paymentMethod),
+      transactionId: transaction.id
+    }
+
+    await this.sendToast('chargeback', variables, 'warning')
+    await this.sendPush({ ...variables, reversalType: 'disputed' })
+  }
+
+  async notifyNegativeBalance({ negativeBalance }) {
+    await this.sendToast('negativeBalance', { negativeBalance: formatUSD(negativeBalance) }, 'warning')
+  }
+
+  async sendToast(templateId, variables, variant) {
+    const template = await this.templates.formatNotificationTemplate('toast', templateId, variables)
+    this.showToast({
+      variant,
+      title: template.title,
+      description: template.message,
+      duration: template.duration
+    })
+  }
+
+  async sendPush(variables) {
+    this.showPush(await this.templates.formatNotificationTemplate('push', 'paymentReversal', variables))
+  }
+}
+
+export const paymentNotificationService = new PaymentNotificationService()
+
+export default paymentNotificationService
@@ -6,6 +6,32 @@
 import logger from '../../utils/logger'
 import secureLogger from '../../utils/secureLogger.js'
 import protocolService from '../defi/ProtocolService.js'
+import taxLotService from '../tax/TaxLotService.js'
+import candleStore, { CANDLE_SOURCES } from '../marketData/CandleStore.js'
+import { CANDLE_INTERVALS, INTERVAL_MS } from '../marketData/candles.js'
+import { HISTORICAL_SCENARIOS, ASSET_PROXIES } from './historicalScenarios.js'
+import {
+  VAR_METHODS,
+  DEFAULT_VAR_OPTIONS,
+  HISTORICAL_VAR_SOURCES,
+  parametricVaR,
+  monteCarloVaR,
+  historicalVaR
+} from './valueAtRisk.js'
+import {
+  OPTIMIZATION_OBJECTIVES,
+  assertFeasibleBounds,
+  solveMeanVariance,
+  solveRiskParity,
+  calculateEfficientFrontier,
+  applyTurnoverLimit,
+  calculateTurnover,
+  portfolioVariance,
+  riskContributions
+} from './portfolioOptimizer.js'
+
+const HISTORICAL_VAR_LOOKBACK_DAYS = 365
+const MIN_HISTORICAL_VAR_DAYS = 60 // Days of market history before historical VaR stops using stress scenarios
 
 export const RISK_LEVELS = {
   VERY_LOW: 'Very Low',
@@ -47,7 +73,8 @@ class RiskEngine {
         maxSingleAssetWeight: 0.15,
         preferredAssets: ['USDC', 'USDT', 'DAI'],
         protocolRiskLimit: 2,
-        targetAPY: 4
+        targetAPY: 4,
+        riskAversion: 12 // Mean-variance trade-off between return and variance
       },
       [RISK_TOLERANCE.MODERATE]: {
         maxVolatility: 10,
@@ -58,7 +85,8 @@ class RiskEngine {
         maxSingleAssetWeight: 0.25,
         preferredAssets: ['USDC', 'USDT', 'DAI', 'ETH'],
         protocolRiskLimit: 3,
-        targetAPY: 7
+        targetAPY: 7,
+        riskAversion: 6 // Mean-variance trade-off between return and variance
       },
       [RISK_TOLERANCE.BALANCED]: {
         maxVolatility: 15,
@@ -69,7 +97,8 @@ class RiskEngine {
         maxSingleAssetWeight: 0.35,
         preferredAssets: ['USDC', 'USDT', 'DAI', 'ETH', 'WBTC'],
         protocolRiskLimit: 4,
-        targetAPY: 10
+        targetAPY: 10,
+        riskAversion: 4 // Mean-variance trade-off between return and variance
       },
       [RISK_TOLERANCE.AGGRESSIVE]: {
         maxVolatility: 25,
@@ -80,7 +109,8 @@ class RiskEngine {
         maxSingleAssetWeight: 0.5,
         preferredAssets: ['ETH', 'WBTC', 'USDC', 'USDT'],
         protocolRiskLimit: 5,
-        targetAPY: 15
+        targetAPY: 15,
+        riskAversion: 2 // Mean-variance trade-off between return and variance
       },
       [RISK_TOLERANCE.VERY_AGGRESSIVE]: {
         maxVolatility: 40,
@@ -91,7 +121,8 @@ class RiskEngine {
         maxSingleAssetWeight: 0.7,
         preferredAssets: ['ETH', 'WBTC'],
         protocolRiskLimit: 5,
-        targetAPY: 25
+        targetAPY: 25,
+        riskAversion: 1 // Mean-variance trade-off between return and variance
       }
     }
 
@@ -100,10 +131,12 @@ class RiskEngine {
 
   /**
    * Assess overall portfolio risk
+   * @param {Object} options
+   * @param {Object} options.valueAtRisk - Options for calculateValueAtRisk
    */
-  async assessPortfolioRisk(portfolio, userRiskTolerance) {
+  async assessPortfolioRisk(portfolio, userRiskTolerance, options = {}) {
     try {
-      const cacheKey = `portfolio-risk-${JSON.stringify(portfolio)}-${userRiskTolerance}`
+      const cacheKey = `portfolio-risk-${JSON.stringify(portfolio)}-${userRiskTolerance}-${JSON.stringify(options)}`
       
       // Check cache
       if (this.portfolioCache.has(cacheKey)) {
@@ -118,12 +151,17 @@ class RiskEngine {
         throw new Error(`Invalid risk tolerance: ${userRiskTolerance}`)
       }
 
+      // Volatility and historical VaR read daily candles, which may still be in storage
+      const symbols = (portfolio.positions || []).map(position => ASSET_PROXIES[position.asset] || position.asset)
+      await candleStore.preload(symbols, [CANDLE_INTERVALS.DAY])
+
       // Calculate individual risk metrics
       const concentrationRisk = this.calculateConcentrationRisk(portfolio)
       const volatilityRisk = await this.calculateVolatilityRisk(portfolio)
       const liquidityRisk = this.calculateLiquidityRisk(portfolio)
       const protocolRisk = await this.calculateProtocolRisk(portfolio)
       const correlationRisk = this.calculateCorrelationRisk(portfolio)
+      const valueAtRisk = this.calculateValueAtRisk(portfolio, options.valueAtRisk)
 
       // Calculate weighted risk score
       const overallRisk = this.calculateOverallRisk({
@@ -147,6 +185,7 @@ class RiskEngine {
           protocolRisk: parseFloat(protocolRisk.toFixed(2)),
           correlationRisk: parseFloat(correlationRisk.toFixed(2))
         },
+        valueAtRisk,
         recommendations,
         isWithinTolerance: overallRisk.score <= this.getRiskToleranceScore(userRiskTolerance),
         lastAssessed: new Date().toISOString()
@@ -308,6 +347,114 @@ class RiskEngine {
     return avgCorrelation * 100
   }
 
+  /**
+   * Loss distribution of the portfolio over a horizon: value at risk and
+   * expected shortfall per method and confidence level, plus a headline
+   * "you could lose $X in a bad week" figure. Historical VaR replays the last
+   * year of daily candles, or the stress scenarios (a stressed VaR, flagged by
+   * its source) until there is enough of that history.
+   * @param {Object} options
+   * @param {number[]} options.confidenceLevels - e.g. [0.95, 0.99]
+   * @param {number} options.horizonDays - Horizon in calendar days
+   * @param {string[]} options.methods - VAR_METHODS values to run
+   * @param {number} options.simulations - Monte Carlo paths
+   * @param {number} options.seed - Monte Carlo seed
+   */
+  calculateValueAtRisk(portfolio, options = {}) {
+    const { confidenceLevels, horizonDays, methods, simulations, seed } = { ...DEFAULT_VAR_OPTIONS, ...options }
+    if (confidenceLevels.some(confidence => !(confidence > 0 && confidence < 1))) {
+      throw new Error('Confidence levels must be between 0 and 1')
+    }
+    if (!(horizonDays > 0)) {
+      throw new Error('Horizon must be a positive number of days')
+    }
+
+    // Positions in the same asset move together, so they are risked as one exposure
+    const exposureByAsset = new Map()
+    const positions = portfolio.positions || []
+    positions.forEach(position => {
+      const asset = position.asset.toUpperCase()
+      const current = exposureByAsset.get(asset) || { asset, value: 0, position }
+      current.value += position.value
+      exposureByAsset.set(asset, current)
+    })
+    const assets = Array.from(exposureByAsset.values()).filter(exposure => exposure.value > 0)
+
+    const inputs = {
+      exposures: assets.map(exposure => exposure.value),
+      volatilities: assets.map(exposure => this.getAssetVolatility(exposure.asset) / 100),
+      correlations: this.getCorrelationMatrix(assets.map(exposure => exposure.asset)),
+      horizonDays,
+      confidenceLevels
+    }
+
+    const results = {}
+    if (methods.includes(VAR_METHODS.PARAMETRIC)) {
+      results[VAR_METHODS.PARAMETRIC] = parametricVaR(inputs)
+    }
+    if (methods.includes(VAR_METHODS.MONTE_CARLO)) {
+      results[VAR_METHODS.MONTE_CARLO] = monteCarloVaR({ ...inputs, simulations, seed })
+    }
+    if (methods.includes(VAR_METHODS.HISTORICAL)) {
+      const marketPaths = this.getMarketHistoryPricePaths(assets)
+      const pricePaths = marketPaths ? [marketPaths] : Object.values(HISTORICAL_SCENARIOS).map(scenarioConfig =>
+        assets.map(exposure => this.getHistoricalPricePath(scenarioConfig, exposure.position))
+      )
+      results[VAR_METHODS.HISTORICAL] = {
+        ...historicalVaR({ ...inputs, pricePaths }),
+        source: marketPaths ? HISTORICAL_VAR_SOURCES.MARKET_HISTORY : HISTORICAL_VAR_SOURCES.STRESS_SCENARIOS
+      }
+    }
+
+    const portfolioValue = portfolio.totalValue || 0
+    const toPercent = (amount) => portfolioValue > 0 ? parseFloat((amount / portfolioValue * 100).toFixed(2)) : 0
+    const formattedMethods = Object.fromEntries(Object.entries(results).map(([method, result]) => [method, {
+      ...result,
+      levels: result.levels.map(level => ({
+        confidence: level.confidence,
+        valueAtRisk: parseFloat(level.valueAtRisk.toFixed(2)),
+        expectedShortfall: parseFloat(level.expectedShortfall.toFixed(2)),
+        valueAtRiskPercent: toPercent(level.valueAtRisk),
+        expectedShortfallPercent: toPercent(level.expectedShortfall)
+      }))
+    }]))
+
+    return {
+      portfolioValue,
+      horizonDays,
+      confidenceLevels,
+      methods: formattedMethods,
+      headline: this.getValueAtRiskHeadline(formattedMethods, horizonDays)
+    }
+  }
+
+  /**
+   * Single loss figure for users: Monte Carlo VaR at the first confidence level,
+   * falling back to whichever method ran
+   */
+  getValueAtRiskHeadline(methods, horizonDays) {
+    const method = [VAR_METHODS.MONTE_CARLO, VAR_METHODS.PARAMETRIC, VAR_METHODS.HISTORICAL]
+      .find(candidate => methods[candidate]?.levels.length > 0)
+    if (!method) {
+      return null
+    }
+
+    const [level] = methods[method].levels
+    const periods = { 1: 'day', 7: 'week', 30: 'month' }
+    const period = periods[horizonDays] || `${horizonDays}-day period`
+    const amount = level.valueAtRisk.toLocaleString('en-US', { maximumFractionDigits: 0 })
+
+    return {
+      method,
+      confidence: level.confidence,
+      horizonDays,
+      amount: level.valueAtRisk,
+      percent: level.valueAtRiskPercent,
+      expectedShortfall: level.expectedShortfall,
+      message: `You could lose $${amount} or more in a bad ${period} (a 1 in ${Math.round(1 / (1 - level.confidence))} chance)`
+    }
+  }
+
   /**
    * Calculate overall risk score
    */
@@ -336,20 +483,28 @@ class RiskEngine {
   /**
    * Generate portfolio rebalancing recommendations
    */
-  async generateRebalanceRecommendation(portfolio, userRiskTolerance, targetAllocations = null) {
+  async generateRebalanceRecommendation(portfolio, userRiskTolerance, targetAllocations = null, options = {}) {
     try {
       const riskProfile = this.riskMatrix[userRiskTolerance]
       const currentRisk = await this.assessPortfolioRisk(portfolio, userRiskTolerance)
 
-      if (currentRisk.isWithinTolerance && !this.needsRebalancing(portfolio, targetAllocations)) {
+      // With an objective the optimizer's weights are the targets
+      const optimization = options.objective
+        ? this.optimizePortfolio(portfolio, userRiskTolerance, options)
+        : null
+
+      if (currentRisk.isWithinTolerance && !this.needsRebalancing(portfolio, optimization?.allocations || targetAllocations)) {
         return {
           needsRebalancing: false,
-          reason: 'Portfolio is already within target allocation and risk tolerance'
+          reason: 'Portfolio is already within target allocation and risk tolerance',
+          optimization
         }
       }
 
       // Calculate optimal allocations
-      const optimalAllocations = this.calculateOptimalAllocations(portfolio, riskProfile, targetAllocations)
+      const optimalAllocations = optimization
+        ? optimization.allocations
+        : this.calculateOptimalAllocations(portfolio, riskProfile, targetAllocations)
       
       // Generate specific rebalancing actions
       const actions = this.generateRebalancingActions(portfolio, optimalAllocations)
@@ -365,7 +520,8 @@ class RiskEngine {
         costBenefitAnalysis,
         projectedRiskReduction: this.calculateRiskReduction(currentRisk, optimalAllocations),
         estimatedTimeframe: this.estimateRebalancingTime(actions),
-        recommendation: 'immediate' // or 'scheduled', 'gradual'
+        recommendation: 'immediate', // or 'scheduled', 'gradual'
+        optimization
       }
     } catch (error) {
       logger.error('Rebalance recommendation failed:', error)
@@ -400,9 +556,14 @@ class RiskEngine {
   }
 
   /**
-   * Run individual stress test scenario
+   * Run individual stress test scenario. Historical scenario IDs replay the
+   * bundled price series; anything else applies the static multipliers.
    */
   async runStressScenario(portfolio, scenario) {
+    if (HISTORICAL_SCENARIOS[scenario]) {
+      return this.runHistoricalScenario(portfolio, scenario)
+    }
+
     const scenarioConfig = this.getStressScenarioConfig(scenario)
     let simulatedValue = portfolio.totalValue
     let maxDrawdown = 0
@@ -435,10 +596,166 @@ class RiskEngine {
     }
   }
 
+  /**
+   * Replay a historical shock day by day against the current positions.
+   * Positions are held through the whole window without rebalancing, and
+   * value outside the positions is treated as cash.
+   */
+  runHistoricalScenario(portfolio, scenario) {
+    const scenarioConfig = HISTORICAL_SCENARIOS[scenario]
+    const positions = portfolio.positions || []
+    const pricePaths = positions.map(position => this.getHistoricalPricePath(scenarioConfig, position))
+    const days = Object.values(scenarioConfig.series)[0].length
+
+    const positionsValue = positions.reduce((sum, position) => sum + position.value, 0)
+    const cash = portfolio.totalValue - positionsValue
+
+    const valuePath = Array.from({ length: days }, (_, day) =>
+      positions.reduce((sum, position, index) => sum + position.value * pricePaths[index][day], cash)
+    )
+
+    // Worst fall from a running peak, not just start-to-end
+    let peakDay = 0
+    let drawdownPeakDay = 0
+    let troughDay = 0
+    let maxDrawdown = 0
+    valuePath.forEach((value, day) => {
+      if (value > valuePath[peakDay]) {
+        peakDay = day
+      }
+      const drawdown = valuePath[peakDay] > 0 ? (valuePath[peakDay] - value) / valuePath[peakDay] * 100 : 0
+      if (drawdown > maxDrawdown) {
+        maxDrawdown = drawdown
+        drawdownPeakDay = peakDay
+        troughDay = day
+      }
+    })
+
+    const recoveryDay = valuePath.findIndex((value, day) => day > troughDay && value >= valuePath[drawdownPeakDay])
+    const recovered = maxDrawdown === 0 || recoveryDay !== -1
+    const drawdownLoss = valuePath[drawdownPeakDay] - valuePath[troughDay]
+
+    const contributions = positions.map((position, index) => {
+      const loss = position.value * (pricePaths[index][drawdownPeakDay] - pricePaths[index][troughDay])
+      return {
+        asset: position.asset,
+        protocol: position.protocol,
+        value: position.value,
+        troughValue: parseFloat((position.value * pricePaths[index][troughDay]).toFixed(2)),
+        loss: parseFloat(loss.toFixed(2)),
+        contribution: drawdownLoss > 0 ? parseFloat((loss / drawdownLoss * 100).toFixed(2)) : 0
+      }
+    }).sort((a, b) => b.loss - a.loss)
+
+    const simulatedValue = valuePath[days - 1]
+    const totalLoss = (portfolio.totalValue - simulatedValue) / portfolio.totalValue * 100
+
+    return {
+      scenario,
+      type: 'historical',
+      name: scenarioConfig.name,
+      startDate: scenarioConfig.startDate,
+      days,
+      originalValue: portfolio.totalValue,
+      simulatedValue: parseFloat(simulatedValue.toFixed(2)),
+      troughValue: parseFloat(valuePath[troughDay].toFixed(2)),
+      totalLoss: parseFloat(totalLoss.toFixed(2)),
+      maxDrawdown: parseFloat(maxDrawdown.toFixed(2)),
+      drawdownDays: troughDay - drawdownPeakDay,
+      troughDay,
+      recovered,
+      recoveryDays: maxDrawdown === 0 ? 0 : (recovered ? recoveryDay - troughDay : null),
+      contributions,
+      valuePath: valuePath.map(value => parseFloat(value.toFixed(2))),
+      passed: maxDrawdown <= scenarioConfig.maxAcceptableLoss,
+      severity: this.categorizeLossSeverity(maxDrawdown)
+    }
+  }
+
+  /**
+   * Daily price paths of the exposures over the last year of market candles,
+   * relative to the first day they all traded, or null when there are too few
+   * such days. Bundled fixture candles are the stress scenarios, so they do
+   * not count as market history.
+   */
+  getMarketHistoryPricePaths(exposures, now = Date.now()) {
+    if (exposures.length === 0) {
+      return null
+    }
+
+    const from = now - HISTORICAL_VAR_LOOKBACK_DAYS * INTERVAL_MS[CANDLE_INTERVALS.DAY]
+    const closesByExposure = exposures.map(exposure => new Map(
+      candleStore.getCandles(ASSET_PROXIES[exposure.asset] || exposure.asset, CANDLE_INTERVALS.DAY, { from, to: now })
+        .filter(candle => candle.source !== CANDLE_SOURCES.FIXTURE)
+        .map(candle => [candle.time, candle.close])
+    ))
+    const days = Array.from(closesByExposure[0].keys())
+      .filter(time => closesByExposure.every(closes => closes.has(time)))
+    if (days.length < MIN_HISTORICAL_VAR_DAYS) {
+      return null
+    }
+
+    return closesByExposure.map(closes => days.map(time => closes.get(time) / closes.get(days[0])))
+  }
+
+  /**
+   * Daily price path of a position during a historical scenario, relative to day 0
+   */
+  getHistoricalPricePath(scenarioConfig, position) {
+    const symbol = (position.asset || '').toUpperCase()
+    const asset = scenarioConfig.protocolSeries[position.protocol] || ASSET_PROXIES[symbol] || symbol
+
+    if (scenarioConfig.benchmark) {
+      const beta = scenarioConfig.betas[asset] ?? scenarioConfig.defaultBeta
+      return this.scalePathByBeta(scenarioConfig.series[scenarioConfig.benchmark], beta)
+    }
+
+    const prices = scenarioConfig.series[asset] || scenarioConfig.series[scenarioConfig.defaultAsset]
+    return prices.map(price => price / prices[0])
+  }
+
+  /**
+   * Compound beta-scaled daily returns of a benchmark series into a relative path
+   */
+  scalePathByBeta(prices, beta) {
+    const path = [1]
+    for (let day = 1; day < prices.length; day++) {
+      const dailyReturn = (prices[day] / prices[day - 1] - 1) * beta
+      path.push(path[day - 1] * Math.max(0, 1 + dailyReturn))
+    }
+    return path
+  }
+
+  /**
+   * Stress scenarios that can be passed to simulateStressTest
+   */
+  getStressScenarios() {
+    const staticScenarios = ['market_crash', 'high_volatility', 'liquidity_crisis'].map(id => ({
+      id,
+      type: 'static',
+      name: id.replace('_', ' ')
+    }))
+    const historicalScenarios = Object.entries(HISTORICAL_SCENARIOS).map(([id, config]) => ({
+      id,
+      type: 'historical',
+      name: config.name,
+      description: config.description,
+      startDate: config.startDate
+    }))
+
+    return [...staticScenarios, ...historicalScenarios]
+  }
+
   /**
    * Helper methods for risk calculations
    */
   getAssetVolatility(asset) {
+    // Annualized percent, realized from recent daily candles once there is enough history
+    const realized = candleStore.getRealizedVolatility(ASSET_PROXIES[asset] || asset)
+    if (realized !== null) {
+      return realized
+    }
+
     const volatilities = {
       'USDC': 0.5,
       'USDT': 0.5,
@@ -487,15 +804,44 @@ class RiskEngine {
     }
   }
 
+  getAssetExpectedReturn(asset) {
+    // Annual percent: lending yield for stablecoins, long-run estimates otherwise
+    const expectedReturns = {
+      'USDC': 4.5,
+      'USDT': 4.2,
+      'DAI': 4.0,
+      'ETH': 9,
+      'WBTC': 8,
+      'BTC': 8,
+      'SOL': 12,
+      'AVAX': 12
+    }
+    return expectedReturns[asset] ?? 7
+  }
+
+  getCorrelationMatrix(assets) {
+    return assets.map(row => assets.map(column =>
+      row === column ? 1 : this.getAssetCorrelation(row, column)
+    ))
+  }
+
+  getCovarianceMatrix(assets) {
+    const volatilities = assets.map(asset => this.getAssetVolatility(asset) / 100)
+    return this.getCorrelationMatrix(assets).map((row, i) =>
+      row.map((correlation, j) => correlation * volatilities[i] * volatilities[j])
+    )
+  }
+
   getAssetCorrelation(asset1, asset2) {
     // Simplified correlation matrix
+    // Keys are the asset pair in sorted order
     const correlations = {
       'USDC-USDT': 0.95,
-      'USDC-DAI': 0.85,
-      'USDT-DAI': 0.88,
+      'DAI-USDC': 0.85,
+      'DAI-USDT': 0.88,
       'ETH-WBTC': 0.75,
-      'ETH-BTC': 0.75,
-      'WBTC-BTC': 0.98
+      'BTC-ETH': 0.75,
+      'BTC-WBTC': 0.98
     }
 
     const key = [asset1, asset2].sort().join('-')
@@ -537,8 +883,154 @@ class RiskEngine {
   }
 
   getCurrentWeight(portfolio, asset) {
-    const position = portfolio.positions.find(p => p.asset === asset)
-    return position ? position.value / portfolio.totalValue : 0
+    if (!portfolio.totalValue) return 0
+    const value = portfolio.positions
+      .filter(p => p.asset === asset)
+      .reduce((sum, p) => sum + p.value, 0)
+    return value / portfolio.totalValue
+  }
+
+  /**
+   * Optimize target weights over the portfolio's assets and the risk profile's
+   * preferred assets
+   * @param {Object} options
+   * @param {string} options.objective - OPTIMIZATION_OBJECTIVES value
+   * @param {Object} options.expectedReturns - Annual return overrides in percent, by asset
+   * @param {number} options.riskAversion - Mean-variance trade-off (defaults to the risk profile's)
+   * @param {string[]} options.assets - Asset universe override
+   * @param {number} options.frontierPoints - Number of efficient frontier points to return
+   * @param {Object} options.constraints
+   * @param {Object} options.constraints.minWeights - Minimum weight by asset (0-1)
+   * @param {Object} options.constraints.maxWeights - Maximum weight by asset (0-1)
+   * @param {number} options.constraints.maxTurnover - Largest fraction of the portfolio to trade (0-1)
+   * @param {string[]} options.constraints.excludeAssets - Assets not to buy
+   * @param {number} options.constraints.minLiquidityScore - Assets below this liquidity score are not bought
+   * @param {boolean} options.constraints.respectTaxLots - Keep lots that would realize short-term gains
+   * @returns {Object} Allocations, portfolio statistics and efficient frontier (percent values)
+   */
+  optimizePortfolio(portfolio, userRiskTolerance, options = {}) {
+    const riskProfile = this.riskMatrix[userRiskTolerance]
+    if (!riskProfile) {
+      throw new Error(`Invalid risk tolerance: ${userRiskTolerance}`)
+    }
+
+    const objective = options.objective || OPTIMIZATION_OBJECTIVES.MEAN_VARIANCE
+    if (!Object.values(OPTIMIZATION_OBJECTIVES).includes(objective)) {
+      throw new Error(`Invalid optimization objective: ${objective}`)
+    }
+
+    const constraints = options.constraints || {}
+    const positions = portfolio.positions || []
+    const assets = [...new Set([
+      ...positions.map(position => position.asset),
+      ...(options.assets || riskProfile.preferredAssets)
+    ])]
+
+    const currentWeights = assets.map(asset => this.getCurrentWeight(portfolio, asset))
+    const expectedReturns = assets.map(asset => (options.expectedReturns?.[asset] ?? this.getAssetExpectedReturn(asset)) / 100)
+    const covariance = this.getCovarianceMatrix(assets)
+    const bounds = this.getOptimizationBounds(portfolio, assets, riskProfile, constraints)
+    assertFeasibleBounds(bounds, assets)
+
+    let targetWeights
+    if (objective === OPTIMIZATION_OBJECTIVES.RISK_PARITY) {
+      targetWeights = solveRiskParity({ covariance, bounds })
+    } else if (objective === OPTIMIZATION_OBJECTIVES.MIN_VARIANCE) {
+      targetWeights = solveMeanVariance({ covariance, bounds })
+    } else {
+      targetWeights = solveMeanVariance({
+        expectedReturns,
+        covariance,
+        bounds,
+        riskAversion: options.riskAversion ?? riskProfile.riskAversion
+      })
+    }
+
+    const { weights, limited } = applyTurnoverLimit({
+      currentWeights,
+      targetWeights,
+      bounds,
+      maxTurnover: constraints.maxTurnover
+    })
+
+    const contributions = riskContributions(weights, covariance)
+    const toPercent = (value) => parseFloat((value * 100).toFixed(2))
+    const frontier = calculateEfficientFrontier({
+      expectedReturns,
+      covariance,
+      bounds,
+      points: options.frontierPoints
+    }).map(point => ({
+      volatility: toPercent(point.volatility),
+      expectedReturn: toPercent(point.expectedReturn),
+      weights: Object.fromEntries(assets.map((asset, i) => [asset, parseFloat(point.weights[i].toFixed(4))]))
+    }))
+
+    return {
+      objective,
+      allocations: assets.map((asset, i) => ({
+        asset,
+        weight: parseFloat(weights[i].toFixed(3)),
+        targetValue: parseFloat((weights[i] * portfolio.totalValue).toFixed(2)),
+        currentWeight: parseFloat(currentWeights[i].toFixed(3)),
+        minWeight: parseFloat(bounds[i].min.toFixed(3)),
+        maxWeight: parseFloat(bounds[i].max.toFixed(3)),
+        expectedReturn: toPercent(expectedReturns[i]),
+        riskContribution: toPercent(contributions[i])
+      })),
+      expectedReturn: toPercent(weights.reduce((sum, weight, i) => sum + weight * expectedReturns[i], 0)),
+      volatility: toPercent(Math.sqrt(Math.max(portfolioVariance(weights, covariance), 0))),
+      turnover: toPercent(calculateTurnover(currentWeights, weights)),
+      turnoverLimited: limited,
+      frontier
+    }
+  }
+
+  /**
+   * Weight bounds per asset. Explicit limits win over the risk profile's
+   * single-asset cap; excluded and illiquid assets can only be sold; with
+   * respectTaxLots, lots that would realize short-term gains are kept even
+   * when that overrides the other limits.
+   */
+  getOptimizationBounds(portfolio, assets, riskProfile, constraints) {
+    const excluded = new Set(constraints.excludeAssets || [])
+    // The profile cap is relaxed when too few assets are available to reach 100% under it
+    const defaultMax = Math.max(riskProfile.maxSingleAssetWeight, 1 / assets.length)
+
+    return assets.map(asset => {
+      let min = constraints.minWeights?.[asset] ?? 0
+      let max = constraints.maxWeights?.[asset] ?? defaultMax
+
+      const illiquid = constraints.minLiquidityScore !== undefined &&
+        this.getAssetLiquidityScore(asset) < constraints.minLiquidityScore
+      if (excluded.has(asset) || illiquid) {
+        max = 0
+      }
+
+      if (constraints.respectTaxLots && portfolio.totalValue > 0) {
+        const lockedWeight = portfolio.positions
+          .filter(position => position.asset === asset)
+          .reduce((sum, position) => sum + this.getTaxLockedValue(position), 0) / portfolio.totalValue
+        min = Math.max(min, lockedWeight)
+        max = Math.max(max, min)
+      }
+
+      return { min, max }
+    })
+  }
+
+  /**
+   * Value of a position's lots that would realize a short-term gain if sold
+   */
+  getTaxLockedValue(position, now = new Date()) {
+    if (!position.lots?.length || !position.amount || !position.currentValue) {
+      return 0
+    }
+
+    const price = position.currentValue / position.amount
+    return position.lots
+      .filter(lot => !taxLotService.isLongTerm(lot.acquiredAt, now) && lot.quantity * price > lot.costBasis)
+      .reduce((sum, lot) => sum + lot.quantity * price, 0)
   }
 
   calculateOptimalAllocations(portfolio, riskProfile, targetAllocations) {
@@ -729,11 +1221,14 @@ class RiskEngine {
     const failedScenarios = Object.entries(results).filter(([_, result]) => !result.passed && !result.error)
 
     failedScenarios.forEach(([scenario, result]) => {
+      const largestContributor = result.contributions?.[0]
       recommendations.push({
         scenario,
         severity: result.severity,
-        message: `Portfolio vulnerable to ${scenario.replace('_', ' ')}`,
-        action: `Consider hedging strategies or reducing exposure to high-risk assets`
+        message: `Portfolio vulnerable to ${result.name || scenario.replace('_', ' ')}`,
+        action: largestContributor
+          ? `Consider hedging or reducing exposure to ${largestContributor.asset}, which drove ${largestContributor.contribution}% of the drawdown`
+          : `Consider hedging strategies or reducing exposure to high-risk assets`
       })
     })
 
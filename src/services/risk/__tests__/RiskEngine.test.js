@@ -0,0 +1,307 @@
+/**
+ * Risk Engine Tests
+ * Tests for historical-scenario stress replays, value at risk and portfolio optimization
+ */
+
+import { describe, it, expect, afterEach } from 'vitest'
+import riskEngine from '../RiskEngine.js'
+import { HISTORICAL_SCENARIO_IDS } from '../historicalScenarios.js'
+import { VAR_METHODS, HISTORICAL_VAR_SOURCES, normalQuantile, choleskyDecomposition } from '../valueAtRisk.js'
+import candleStore from '../../marketData/CandleStore.js'
+import { CANDLE_INTERVALS, INTERVAL_MS } from '../../marketData/candles.js'
+import { OPTIMIZATION_OBJECTIVES, OptimizationConstraintError } from '../portfolioOptimizer.js'
+
+const portfolio = {
+  totalValue: 10000,
+  positions: [
+    { asset: 'BTC', protocol: 'wallet', value: 5000 },
+    { asset: 'ETH', protocol: 'wallet', value: 3000 },
+    { asset: 'USDC', protocol: 'aave', value: 2000 }
+  ]
+}
+
+describe('RiskEngine', () => {
+  describe('Historical scenarios', () => {
+    it('should measure the path-dependent drawdown and attribute it to positions', async () => {
+      const result = await riskEngine.runStressScenario(portfolio, HISTORICAL_SCENARIO_IDS.COVID_CRASH_2020)
+
+      expect(result).toMatchObject({ type: 'historical', days: 38, troughDay: 11, drawdownDays: 10 })
+      // The worst day is deeper than where the window ends
+      expect(result.maxDrawdown).toBeGreaterThan(result.totalLoss)
+      expect(result.valuePath).toHaveLength(38)
+      expect(result.valuePath[result.troughDay]).toBe(result.troughValue)
+
+      const [largest] = result.contributions
+      expect(largest.asset).toBe('BTC')
+      const totalContribution = result.contributions.reduce((sum, position) => sum + position.contribution, 0)
+      expect(totalContribution).toBeCloseTo(100, 0)
+      // The stablecoin premium offsets part of the loss
+      expect(result.contributions.find(position => position.asset === 'USDC').loss).toBeLessThan(0)
+    })
+
+    it('should report the recovery time, or null while still under water', async () => {
+      const stablePortfolio = {
+        totalValue: 1000,
+        positions: [{ asset: 'USDT', protocol: 'compound', value: 1000 }]
+      }
+      const ftx = await riskEngine.runStressScenario(stablePortfolio, HISTORICAL_SCENARIO_IDS.FTX_COLLAPSE_2022)
+      expect(ftx.recovered).toBe(true)
+      expect(ftx.recoveryDays).toBe(14)
+
+      const covid = await riskEngine.runStressScenario(portfolio, HISTORICAL_SCENARIO_IDS.COVID_CRASH_2020)
+      expect(covid.recovered).toBe(false)
+      expect(covid.recoveryDays).toBeNull()
+    })
+
+    it('should map protocols, wrapped assets and unknown assets to bundled series', async () => {
+      const result = await riskEngine.runStressScenario({
+        totalValue: 3000,
+        positions: [
+          { asset: 'USDC', protocol: 'anchor', value: 1000 },
+          { asset: 'WBTC', protocol: 'aave', value: 1000 },
+          { asset: 'XYZ', protocol: 'uniswap', value: 1000 }
+        ]
+      }, HISTORICAL_SCENARIO_IDS.UST_COLLAPSE_2022)
+
+      const byAsset = Object.fromEntries(result.contributions.map(position => [position.asset, position]))
+      expect(byAsset.USDC.troughValue).toBe(50)
+      expect(byAsset.WBTC.troughValue).toBeCloseTo(1000 * 28630 / 36550, 1)
+      expect(byAsset.XYZ.troughValue).toBeCloseTo(1000 * 1725 / 2750, 1)
+      expect(result.passed).toBe(false)
+    })
+
+    it('should scale equity moves by asset beta for the 2008 scenario', async () => {
+      const result = await riskEngine.runStressScenario(portfolio, HISTORICAL_SCENARIO_IDS.EQUITY_DRAWDOWN_2008)
+      const byAsset = Object.fromEntries(result.contributions.map(position => [position.asset, position]))
+
+      expect(byAsset.USDC.loss).toBe(0)
+      expect(byAsset.ETH.troughValue / 3000).toBeLessThan(byAsset.BTC.troughValue / 5000)
+      expect(byAsset.BTC.troughValue / 5000).toBeLessThan(752 / 1255)
+    })
+
+    it('should mix historical and static scenarios in one stress test', async () => {
+      const stressTest = await riskEngine.simulateStressTest(portfolio, ['market_crash', HISTORICAL_SCENARIO_IDS.FTX_COLLAPSE_2022])
+
+      expect(stressTest.scenarios.market_crash.type).toBeUndefined()
+      expect(stressTest.scenarios[HISTORICAL_SCENARIO_IDS.FTX_COLLAPSE_2022].name).toBe('November 2022 FTX collapse')
+      expect(riskEngine.getStressScenarios().map(scenario => scenario.id))
+        .toEqual(expect.arrayContaining(Object.values(HISTORICAL_SCENARIO_IDS)))
+    })
+  })
+
+  describe('Value at risk', () => {
+    const btcOnly = { totalValue: 10000, positions: [{ asset: 'BTC', protocol: 'wallet', value: 10000 }] }
+
+    it('should match the closed form for a single-asset parametric VaR', () => {
+      const { methods } = riskEngine.calculateValueAtRisk(btcOnly, { methods: [VAR_METHODS.PARAMETRIC] })
+      const sigma = 10000 * 0.221 * Math.sqrt(7 / 365)
+      const [var95, var99] = methods.parametric.levels
+
+      expect(var95.valueAtRisk).toBeCloseTo(1.6449 * sigma, 0)
+      expect(var95.valueAtRiskPercent).toBeCloseTo(var95.valueAtRisk / 100, 2)
+      expect(var99.valueAtRisk).toBeGreaterThan(var95.valueAtRisk)
+      expect(var95.expectedShortfall).toBeGreaterThan(var95.valueAtRisk)
+    })
+
+    it('should agree across methods and reproduce Monte Carlo runs from the seed', () => {
+      const first = riskEngine.calculateValueAtRisk(portfolio, { confidenceLevels: [0.95] })
+      const second = riskEngine.calculateValueAtRisk(portfolio, { confidenceLevels: [0.95] })
+      const [monteCarlo] = first.methods.monteCarlo.levels
+      const [parametric] = first.methods.parametric.levels
+
+      expect(second.methods.monteCarlo.levels[0]).toEqual(monteCarlo)
+      expect(Math.abs(monteCarlo.valueAtRisk - parametric.valueAtRisk) / parametric.valueAtRisk).toBeLessThan(0.1)
+      expect(first.methods.historical.sampleSize).toBeGreaterThan(100)
+      expect(first.methods.historical.levels[0].valueAtRisk).toBeGreaterThan(0)
+      expect(first.methods.historical.source).toBe(HISTORICAL_VAR_SOURCES.STRESS_SCENARIOS)
+    })
+
+    describe('with market history', () => {
+      const DAY_MS = INTERVAL_MS[CANDLE_INTERVALS.DAY]
+
+      // Daily BTC closes alternating between +2% and -1% moves
+      const addBtcHistory = (days, source) => {
+        const today = Math.floor(Date.now() / DAY_MS) * DAY_MS
+        let close = 50000
+        const candles = Array.from({ length: days }, (_, day) => {
+          close *= day % 2 === 0 ? 1.02 : 0.99
+          return { time: today - (days - day) * DAY_MS, open: close, high: close, low: close, close, volume: 0, source }
+        })
+        candleStore.addCandles('BTC', CANDLE_INTERVALS.DAY, candles, { persist: false })
+      }
+
+      afterEach(async () => {
+        await candleStore.clear()
+      })
+
+      it('should replay the last year of daily candles', () => {
+        addBtcHistory(120, 'provider')
+
+        const { methods } = riskEngine.calculateValueAtRisk(btcOnly, { methods: [VAR_METHODS.HISTORICAL], confidenceLevels: [0.95], horizonDays: 1 })
+
+        expect(methods.historical).toMatchObject({ source: HISTORICAL_VAR_SOURCES.MARKET_HISTORY, sampleSize: 119 })
+        expect(methods.historical.levels[0].valueAtRisk).toBeCloseTo(100, 0)
+      })
+
+      it('should not count fixture candles as market history', () => {
+        addBtcHistory(120, 'fixture')
+
+        const { methods } = riskEngine.calculateValueAtRisk(btcOnly, { methods: [VAR_METHODS.HISTORICAL] })
+
+        expect(methods.historical.source).toBe(HISTORICAL_VAR_SOURCES.STRESS_SCENARIOS)
+      })
+    })
+
+    it('should credit diversification through asset correlations', () => {
+      const options = { methods: [VAR_METHODS.PARAMETRIC], confidenceLevels: [0.95] }
+      const standalone = ['BTC', 'ETH', 'USDC'].reduce((sum, asset) => {
+        const position = portfolio.positions.find(p => p.asset === asset)
+        const result = riskEngine.calculateValueAtRisk({ totalValue: position.value, positions: [position] }, options)
+        return sum + result.methods.parametric.levels[0].valueAtRisk
+      }, 0)
+      const combined = riskEngine.calculateValueAtRisk(portfolio, options).methods.parametric.levels[0].valueAtRisk
+
+      expect(combined).toBeLessThan(standalone)
+      expect(riskEngine.getAssetCorrelation('ETH', 'BTC')).toBe(0.75)
+    })
+
+    it('should give users a single bad-week loss figure', async () => {
+      const assessment = await riskEngine.assessPortfolioRisk(btcOnly, 'Moderate')
+      const { headline } = assessment.valueAtRisk
+
+      expect(headline).toMatchObject({ method: VAR_METHODS.MONTE_CARLO, confidence: 0.95, horizonDays: 7 })
+      expect(headline.message).toMatch(/^You could lose \$[\d,]+ or more in a bad week \(a 1 in 20 chance\)$/)
+
+      const monthly = riskEngine.calculateValueAtRisk(btcOnly, { horizonDays: 30, confidenceLevels: [0.99] })
+      expect(monthly.headline.message).toContain('in a bad month (a 1 in 100 chance)')
+    })
+
+    it('should reject invalid options', () => {
+      expect(() => riskEngine.calculateValueAtRisk(btcOnly, { confidenceLevels: [95] }))
+        .toThrow('Confidence levels must be between 0 and 1')
+      expect(() => riskEngine.calculateValueAtRisk(btcOnly, { horizonDays: 0 }))
+        .toThrow('Horizon must be a positive number of days')
+    })
+
+    it('should provide the underlying math helpers', () => {
+      expect(normalQuantile(0.975)).toBeCloseTo(1.96, 3)
+      expect(normalQuantile(0.01)).toBeCloseTo(-2.3263, 3)
+      expect(choleskyDecomposition([[1, 0.5], [0.5, 1]])[1]).toEqual([0.5, Math.sqrt(0.75)])
+    })
+  })
+
+  describe('Portfolio optimization', () => {
+    const cryptoOnly = { assets: ['BTC', 'ETH', 'SOL'], constraints: { maxWeights: { BTC: 1, ETH: 1, SOL: 1 } } }
+    const weightsOf = (result) => Object.fromEntries(result.allocations.map(allocation => [allocation.asset, allocation.weight]))
+    const totalWeight = (result) => result.allocations.reduce((sum, allocation) => sum + allocation.weight, 0)
+
+    it('should find a minimum-variance portfolio within the risk profile limits', () => {
+      const result = riskEngine.optimizePortfolio(portfolio, 'Moderate', { objective: OPTIMIZATION_OBJECTIVES.MIN_VARIANCE })
+
+      expect(totalWeight(result)).toBeCloseTo(1, 2)
+      result.allocations.forEach(allocation => expect(allocation.weight).toBeLessThanOrEqual(0.25 + 1e-3))
+      // Stablecoins carry the least risk, so they fill up to the single-asset cap
+      expect(weightsOf(result).USDC).toBeCloseTo(0.25, 2)
+      expect(result.volatility).toBeLessThan(riskEngine.getAssetVolatility('ETH'))
+    })
+
+    it('should equalize risk contributions with the risk-parity objective', () => {
+      const result = riskEngine.optimizePortfolio(
+        { totalValue: 0, positions: [] },
+        'Aggressive',
+        { objective: OPTIMIZATION_OBJECTIVES.RISK_PARITY, ...cryptoOnly }
+      )
+
+      result.allocations.forEach(allocation => expect(allocation.riskContribution).toBeCloseTo(100 / 3, 0))
+      const weights = weightsOf(result)
+      expect(weights.BTC).toBeGreaterThan(weights.SOL)
+    })
+
+    it('should return an efficient frontier for charting', () => {
+      const result = riskEngine.optimizePortfolio(portfolio, 'Aggressive', { objective: OPTIMIZATION_OBJECTIVES.MEAN_VARIANCE, ...cryptoOnly })
+
+      expect(result.frontier.length).toBeGreaterThan(3)
+      result.frontier.slice(1).forEach((point, i) => {
+        expect(point.volatility).toBeGreaterThanOrEqual(result.frontier[i].volatility)
+        expect(point.expectedReturn).toBeGreaterThanOrEqual(result.frontier[i].expectedReturn - 0.01)
+      })
+
+      const cautious = riskEngine.optimizePortfolio(portfolio, 'Aggressive', { ...cryptoOnly, riskAversion: 50 })
+      expect(cautious.expectedReturn).toBeLessThan(result.expectedReturn)
+      expect(cautious.volatility).toBeLessThan(result.volatility)
+    })
+
+    it('should keep excluded and illiquid assets out of new purchases', () => {
+      const result = riskEngine.optimizePortfolio(portfolio, 'Aggressive', {
+        objective: OPTIMIZATION_OBJECTIVES.MEAN_VARIANCE,
+        assets: ['BTC', 'ETH', 'USDC', 'AVAX'],
+        constraints: { excludeAssets: ['ETH'], minLiquidityScore: 0.8, maxWeights: { BTC: 1, USDC: 1 } }
+      })
+      const weights = weightsOf(result)
+
+      expect(weights.ETH).toBe(0)
+      expect(weights.AVAX).toBe(0)
+      expect(weights.BTC + weights.USDC).toBeCloseTo(1, 2)
+    })
+
+    it('should limit turnover by moving part of the way to the target', () => {
+      const unlimited = riskEngine.optimizePortfolio(portfolio, 'Moderate', { objective: OPTIMIZATION_OBJECTIVES.MIN_VARIANCE })
+      const limited = riskEngine.optimizePortfolio(portfolio, 'Moderate', {
+        objective: OPTIMIZATION_OBJECTIVES.MIN_VARIANCE,
+        constraints: { maxTurnover: 0.4 }
+      })
+
+      expect(unlimited.turnover).toBeGreaterThan(40)
+      expect(limited.turnover).toBeLessThanOrEqual(40.01)
+      expect(limited.turnoverLimited).toBe(true)
+    })
+
+    it('should not sell lots that would realize short-term gains', () => {
+      const taxablePortfolio = {
+        totalValue: 10000,
+        positions: [
+          {
+            asset: 'SOL',
+            protocol: 'wallet',
+            value: 6000,
+            currentValue: 6000,
+            amount: 60,
+            lots: [
+              { acquiredAt: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(), quantity: 40, costBasis: 2000 },
+              { acquiredAt: '2020-01-01T00:00:00.000Z', quantity: 20, costBasis: 400 }
+            ]
+          },
+          { asset: 'USDC', protocol: 'aave', value: 4000 }
+        ]
+      }
+
+      const result = riskEngine.optimizePortfolio(taxablePortfolio, 'Conservative', {
+        objective: OPTIMIZATION_OBJECTIVES.MIN_VARIANCE,
+        constraints: { respectTaxLots: true }
+      })
+      const sol = result.allocations.find(allocation => allocation.asset === 'SOL')
+
+      expect(sol.minWeight).toBe(0.4)
+      expect(sol.weight).toBeCloseTo(0.4, 2)
+    })
+
+    it('should reject constraints that cannot be met', () => {
+      expect(() => riskEngine.optimizePortfolio(portfolio, 'Moderate', {
+        assets: ['BTC', 'ETH', 'USDC'],
+        constraints: { minWeights: { BTC: 0.6, ETH: 0.6 } }
+      })).toThrow(OptimizationConstraintError)
+      expect(() => riskEngine.optimizePortfolio(portfolio, 'Moderate', { objective: 'max_sharpe' }))
+        .toThrow('Invalid optimization objective: max_sharpe')
+    })
+
+    it('should build rebalancing actions from the chosen objective', async () => {
+      const recommendation = await riskEngine.generateRebalanceRecommendation(portfolio, 'Conservative', null, {
+        objective: OPTIMIZATION_OBJECTIVES.RISK_PARITY
+      })
+
+      expect(recommendation.optimization.objective).toBe(OPTIMIZATION_OBJECTIVES.RISK_PARITY)
+      expect(recommendation.optimalAllocations).toBe(recommendation.optimization.allocations)
+      expect(recommendation.actions.find(action => action.asset === 'BTC').action).toBe('decrease')
+    })
+  })
+})
@@ -0,0 +1,189 @@
+/**
+ * Historical Stress Scenarios
+ * Bundled daily closing prices for past market shocks, replayed by RiskEngine
+ * against current positions. Each series starts on the scenario's startDate and
+ * has one close per day (trading days for equity series).
+ */
+
+export const HISTORICAL_SCENARIO_IDS = {
+  COVID_CRASH_2020: 'covid_crash_2020',
+  UST_COLLAPSE_2022: 'ust_collapse_2022',
+  FTX_COLLAPSE_2022: 'ftx_collapse_2022',
+  EQUITY_DRAWDOWN_2008: 'equity_drawdown_2008'
+}
+
+// Wrapped and staked assets follow the price of their underlying
+export const ASSET_PROXIES = {
+  WBTC: 'BTC',
+  WETH: 'ETH',
+  STETH: 'ETH',
+  WSOL: 'SOL',
+  USDC_E: 'USDC'
+}
+
+export const HISTORICAL_SCENARIOS = {
+  [HISTORICAL_SCENARIO_IDS.COVID_CRASH_2020]: {
+    name: 'March 2020 COVID crash',
+    description: 'Black Thursday liquidation cascade and the five weeks after it',
+    startDate: '2020-03-05',
+    maxAcceptableLoss: 35,
+    // SOL and AVAX were not trading yet; riskier assets fall back to ETH
+    defaultAsset: 'ETH',
+    series: {
+      BTC: [
+        9160, 9150, 8900, 8030, 7930, 7910, 7910, 4970, 5560, 5200, 5390, 5010, 5330, 5420,
+        6190, 6200, 6190, 5830, 6420, 6740, 6680, 6730, 6370, 6240, 5880, 6390, 6440, 6640,
+        6800, 6730, 6860, 6790, 7270, 7180, 7340, 7300, 6870, 6910
+      ],
+      ETH: [
+        228, 244, 237, 199, 202, 200, 194, 112, 133, 124, 125, 110, 113, 115,
+        136, 132, 132, 122, 135, 138, 136, 138, 131, 131, 125, 132, 133, 136,
+        141, 141, 144, 143, 170, 169, 173, 165, 158, 158
+      ],
+      USDC: [
+        1.000, 1.000, 1.001, 1.002, 1.003, 1.002, 1.004, 1.010, 1.008, 1.005, 1.004, 1.006, 1.004, 1.003,
+        1.002, 1.002, 1.001, 1.002, 1.001, 1.001, 1.001, 1.000, 1.000, 1.000, 1.001, 1.000, 1.000, 1.000,
+        1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000
+      ],
+      USDT: [
+        1.001, 1.001, 1.002, 1.004, 1.006, 1.004, 1.006, 1.020, 1.015, 1.010, 1.008, 1.012, 1.009, 1.006,
+        1.004, 1.004, 1.003, 1.004, 1.003, 1.002, 1.002, 1.002, 1.001, 1.001, 1.002, 1.001, 1.001, 1.001,
+        1.001, 1.001, 1.001, 1.001, 1.001, 1.001, 1.001, 1.001, 1.001, 1.001
+      ],
+      DAI: [
+        1.006, 1.005, 1.008, 1.012, 1.015, 1.012, 1.020, 1.060, 1.045, 1.030, 1.028, 1.035, 1.025, 1.020,
+        1.015, 1.012, 1.011, 1.013, 1.010, 1.009, 1.008, 1.008, 1.007, 1.006, 1.008, 1.006, 1.005, 1.005,
+        1.004, 1.004, 1.004, 1.003, 1.003, 1.003, 1.003, 1.003, 1.004, 1.003
+      ]
+    },
+    protocolSeries: {}
+  },
+
+  [HISTORICAL_SCENARIO_IDS.UST_COLLAPSE_2022]: {
+    name: 'May 2022 UST collapse',
+    description: 'Terra/UST depeg and the month of contagion that followed',
+    startDate: '2022-05-05',
+    maxAcceptableLoss: 35,
+    defaultAsset: 'ETH',
+    series: {
+      BTC: [
+        36550, 36010, 35470, 34060, 30300, 31020, 28940, 29050, 29280, 29860, 31300, 29860, 30420, 28720,
+        30310, 29200, 29430, 30320, 29100, 29650, 29560, 29270, 28630, 29030, 29470, 31730, 31790, 29800,
+        30470, 29700, 29860, 29910
+      ],
+      ETH: [
+        2750, 2695, 2635, 2520, 2245, 2340, 2080, 1960, 2010, 2060, 2150, 2025, 2090, 1915,
+        2020, 1960, 1975, 2045, 1970, 1980, 1945, 1800, 1725, 1790, 1810, 1995, 1940, 1815,
+        1830, 1775, 1800, 1805
+      ],
+      SOL: [
+        87, 86, 81, 75, 64, 64, 51, 49, 54, 53, 56, 51, 54, 49,
+        52, 50, 52, 54, 50, 49, 49, 44, 42, 45, 45, 46, 45, 39,
+        41, 39, 39, 40
+      ],
+      AVAX: [
+        62, 60, 58, 53, 40, 39, 30, 26, 30, 31, 33, 30, 31, 28,
+        30, 28, 28, 29, 27, 27, 26, 24, 22, 24, 24, 27, 26, 23,
+        24, 23, 24, 24
+      ],
+      UST: [
+        1.000, 1.000, 0.990, 0.985, 0.680, 0.770, 0.400, 0.120, 0.160, 0.130, 0.150, 0.110, 0.090, 0.080,
+        0.080, 0.070, 0.070, 0.070, 0.060, 0.060, 0.060, 0.050, 0.050, 0.050, 0.040, 0.040, 0.040, 0.030,
+        0.030, 0.030, 0.030, 0.030
+      ],
+      USDC: [
+        1.000, 1.000, 1.000, 1.000, 1.001, 1.001, 1.002, 1.003, 1.001, 1.001, 1.000, 1.000, 1.000, 1.000,
+        1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000,
+        1.000, 1.000, 1.000, 1.000
+      ],
+      USDT: [
+        1.000, 1.000, 1.000, 1.000, 0.998, 0.997, 0.995, 0.985, 0.997, 0.999, 0.999, 0.999, 0.999, 0.999,
+        1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000,
+        1.000, 1.000, 1.000, 1.000
+      ],
+      DAI: [
+        1.000, 1.000, 1.000, 1.000, 1.001, 1.001, 1.003, 1.004, 1.002, 1.001, 1.001, 1.000, 1.000, 1.000,
+        1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000,
+        1.000, 1.000, 1.000, 1.000
+      ]
+    },
+    // Anchor deposits were denominated in UST
+    protocolSeries: {
+      anchor: 'UST'
+    }
+  },
+
+  [HISTORICAL_SCENARIO_IDS.FTX_COLLAPSE_2022]: {
+    name: 'November 2022 FTX collapse',
+    description: 'FTX insolvency week and the following month',
+    startDate: '2022-11-05',
+    maxAcceptableLoss: 30,
+    defaultAsset: 'ETH',
+    series: {
+      BTC: [
+        21160, 20920, 20600, 18540, 15880, 17590, 17070, 16810, 16330, 16620, 16900, 16660, 16690, 16700,
+        16690, 16280, 15780, 16190, 16600, 16600, 16520, 16460, 16440, 16220, 16440, 17170, 16970, 17090,
+        16890, 17110, 16970
+      ],
+      ETH: [
+        1630, 1570, 1570, 1335, 1100, 1300, 1285, 1255, 1220, 1245, 1250, 1215, 1200, 1210,
+        1220, 1140, 1110, 1135, 1185, 1205, 1200, 1210, 1195, 1170, 1215, 1295, 1275, 1295,
+        1240, 1280, 1260
+      ],
+      SOL: [
+        38.0, 34.0, 31.0, 22.0, 16.0, 17.0, 15.5, 14.0, 14.0, 14.5, 14.5, 13.8, 13.5, 13.6,
+        13.9, 12.8, 11.9, 12.6, 13.7, 13.5, 14.0, 13.9, 13.8, 13.3, 13.8, 14.1, 13.6, 13.6,
+        13.3, 13.8, 13.3
+      ],
+      AVAX: [
+        18.9, 17.8, 17.2, 14.6, 12.2, 14.1, 13.6, 13.0, 12.6, 13.2, 13.4, 13.0, 12.9, 12.9,
+        13.0, 12.3, 11.6, 12.1, 12.8, 12.9, 12.8, 12.7, 12.7, 12.3, 12.6, 13.5, 13.3, 13.4,
+        13.0, 13.5, 13.3
+      ],
+      USDC: [
+        1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000,
+        1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000,
+        1.000, 1.000, 1.000
+      ],
+      USDT: [
+        1.000, 1.000, 1.000, 0.998, 0.994, 0.997, 0.998, 0.999, 0.998, 0.999, 0.999, 0.999, 0.999, 0.999,
+        0.999, 0.999, 0.999, 0.999, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000,
+        1.000, 1.000, 1.000
+      ],
+      DAI: [
+        1.000, 1.000, 1.000, 1.000, 1.001, 1.001, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000,
+        1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000, 1.000,
+        1.000, 1.000, 1.000
+      ]
+    },
+    protocolSeries: {}
+  },
+
+  [HISTORICAL_SCENARIO_IDS.EQUITY_DRAWDOWN_2008]: {
+    name: '2008-style equity drawdown',
+    description: 'S&P 500 from September to November 2008, with crypto moves scaled by beta to equities',
+    startDate: '2008-09-19',
+    maxAcceptableLoss: 40,
+    // Crypto did not exist yet, so its daily moves are derived from the index
+    benchmark: 'SPX',
+    betas: {
+      BTC: 1.6,
+      ETH: 1.9,
+      SOL: 2.4,
+      AVAX: 2.5,
+      USDC: 0,
+      USDT: 0,
+      DAI: 0
+    },
+    defaultBeta: 2,
+    series: {
+      SPX: [
+        1255, 1207, 1188, 1186, 1210, 1213, 1106, 1166, 1161, 1115, 1099, 1056, 996, 985,
+        910, 899, 1003, 998, 908, 946, 940, 985, 955, 896, 908, 876, 848, 941,
+        930, 954, 969, 966, 1005, 952, 904, 930, 919, 898, 852, 911, 873, 851,
+        859, 807, 752, 800
+      ]
+    },
+    protocolSeries: {}
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Portfolio Optimizer
+ * Long-only allocation math for RiskEngine: mean-variance, minimum-variance and
+ * risk-parity objectives under per-asset weight bounds and a turnover limit.
+ * Weights are fractions that sum to 1, returns and volatilities are annualized decimals.
+ */
+
+export const OPTIMIZATION_OBJECTIVES = {
+  MEAN_VARIANCE: 'mean_variance',
+  MIN_VARIANCE: 'min_variance',
+  RISK_PARITY: 'risk_parity'
+}
+
+export class OptimizationConstraintError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'OptimizationConstraintError'
+  }
+}
+
+const MAX_ITERATIONS = 2000
+const TOLERANCE = 1e-10
+
+const multiply = (matrix, weights) => matrix.map(row => row.reduce((sum, value, j) => sum + value * weights[j], 0))
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0)
+
+export const portfolioVariance = (weights, covariance) => dot(weights, multiply(covariance, weights))
+
+/**
+ * Share of portfolio variance contributed by each asset (sums to 1)
+ */
+export const riskContributions = (weights, covariance) => {
+  const marginal = multiply(covariance, weights)
+  const variance = dot(weights, marginal)
+  return weights.map((weight, i) => variance > 0 ? weight * marginal[i] / variance : 0)
+}
+
+/**
+ * One-way turnover: the fraction of the portfolio that has to be traded
+ */
+export const calculateTurnover = (from, to) => to.reduce((sum, weight, i) => sum + Math.abs(weight - (from[i] || 0)), 0) / 2
+
+/**
+ * Throw unless some weights can sum to 1 within the bounds
+ */
+export const assertFeasibleBounds = (bounds, assets = []) => {
+  bounds.forEach(({ min, max }, i) => {
+    if (min > max) {
+      throw new OptimizationConstraintError(`Minimum weight exceeds maximum weight for ${assets[i] || `asset ${i}`}`)
+    }
+  })
+
+  const totalMin = bounds.reduce((sum, bound) => sum + bound.min, 0)
+  const totalMax = bounds.reduce((sum, bound) => sum + bound.max, 0)
+  if (totalMin > 1 + 1e-9) {
+    throw new OptimizationConstraintError(`Minimum weights add up to ${(totalMin * 100).toFixed(1)}%, above 100%`)
+  }
+  if (totalMax < 1 - 1e-9) {
+    throw new OptimizationConstraintError(`Maximum weights add up to ${(totalMax * 100).toFixed(1)}%, below 100%`)
+  }
+}
+
+/**
+ * Closest point (Euclidean) to weights that sums to 1 and respects the bounds
+ */
+export const projectOntoBounds = (weights, bounds) => {
+  const clip = (shift) => weights.map((weight, i) => Math.min(bounds[i].max, Math.max(bounds[i].min, weight - shift)))
+  const total = (shift) => clip(shift).reduce((sum, weight) => sum + weight, 0)
+
+  let low = Math.min(...weights.map((weight, i) => weight - bounds[i].max)) - 1
+  let high = Math.max(...weights.map((weight, i) => weight - bounds[i].min)) + 1
+  for (let iteration = 0; iteration < 100; iteration++) {
+    const middle = (low + high) / 2
+    if (total(middle) > 1) {
+      low = middle
+    } else {
+      high = middle
+    }
+  }
+
+  return clip((low + high) / 2)
+}
+
+/**
+ * Maximize expectedReturns·w - riskAversion/2 · w'Σw by projected gradient
+ * descent. Without expected returns this is the minimum-variance portfolio.
+ */
+export const solveMeanVariance = ({ expectedReturns, covariance, bounds, riskAversion = 1, initialWeights = null }) => {
+  const n = covariance.length
+  const returns = expectedReturns || new Array(n).fill(0)
+  // Gershgorin bound on the largest eigenvalue keeps the step size stable
+  const lipschitz = riskAversion * Math.max(...covariance.map(row => row.reduce((sum, value) => sum + Math.abs(value), 0)))
+  const step = 1 / Math.max(lipschitz, 1e-12)
+
+  let weights = projectOntoBounds(initialWeights || new Array(n).fill(1 / n), bounds)
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const gradient = multiply(covariance, weights).map((value, i) => riskAversion * value - returns[i])
+    const next = projectOntoBounds(weights.map((weight, i) => weight - step * gradient[i]), bounds)
+    const change = next.reduce((sum, weight, i) => sum + (weight - weights[i]) ** 2, 0)
+    weights = next
+    if (change < TOLERANCE) break
+  }
+
+  return weights
+}
+
+/**
+ * Equal risk contribution weights, pulled back inside the bounds
+ */
+export const solveRiskParity = ({ covariance, bounds }) => {
+  const n = covariance.length
+  const volatilities = covariance.map((row, i) => Math.sqrt(Math.max(row[i], 1e-12)))
+  const inverseVolatility = volatilities.map(volatility => 1 / volatility)
+  const inverseTotal = inverseVolatility.reduce((sum, value) => sum + value, 0)
+
+  let weights = projectOntoBounds(inverseVolatility.map(value => value / inverseTotal), bounds)
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const contributions = riskContributions(weights, covariance)
+    const next = projectOntoBounds(weights.map((weight, i) =>
+      weight * Math.sqrt((1 / n) / Math.max(contributions[i], 1e-12))
+    ), bounds)
+    const change = next.reduce((sum, weight, i) => sum + (weight - weights[i]) ** 2, 0)
+    weights = next
+    if (change < TOLERANCE) break
+  }
+
+  return weights
+}
+
+/**
+ * Efficient frontier points from a sweep of risk aversion, lowest risk first
+ */
+export const calculateEfficientFrontier = ({ expectedReturns, covariance, bounds, points = 15 }) => {
+  const frontier = []
+  const seen = new Set()
+  const lowestAversion = 0.1
+  const highestAversion = 1000
+
+  for (let point = 0; point < points; point++) {
+    const riskAversion = highestAversion * Math.pow(lowestAversion / highestAversion, point / Math.max(points - 1, 1))
+    const weights = solveMeanVariance({ expectedReturns, covariance, bounds, riskAversion })
+    const volatility = Math.sqrt(Math.max(portfolioVariance(weights, covariance), 0))
+    const expectedReturn = dot(weights, expectedReturns)
+
+    const key = `${volatility.toFixed(4)}-${expectedReturn.toFixed(4)}`
+    if (seen.has(key)) continue
+    seen.add(key)
+    frontier.push({ riskAversion, volatility, expectedReturn, weights })
+  }
+
+  return frontier.sort((a, b) => a.volatility - b.volatility)
+}
+
+/**
+ * Move from the current weights toward the target only as far as the turnover
+ * limit allows. When the current weights break the bounds, the closest
+ * compliant weights are used as the starting point even if that alone uses
+ * more than the limit.
+ */
+export const applyTurnoverLimit = ({ currentWeights, targetWeights, bounds, maxTurnover }) => {
+  if (maxTurnover === null || maxTurnover === undefined || calculateTurnover(currentWeights, targetWeights) <= maxTurnover) {
+    return { weights: targetWeights, limited: false }
+  }
+
+  const start = projectOntoBounds(currentWeights, bounds)
+  if (calculateTurnover(currentWeights, start) >= maxTurnover) {
+    return { weights: start, limited: true }
+  }
+
+  const blend = (fraction) => start.map((weight, i) => weight + fraction * (targetWeights[i] - weight))
+  let low = 0
+  let high = 1
+  for (let iteration = 0; iteration < 60; iteration++) {
+    const middle = (low + high) / 2
+    if (calculateTurnover(currentWeights, blend(middle)) <= maxTurnover) {
+      low = middle
+    } else {
+      high = middle
+    }
+  }
+
+  return { weights: blend(low), limited: true }
+}
@@ -0,0 +1,221 @@
+/**
+ * Value at Risk
+ * Loss-distribution math for RiskEngine: historical, parametric and Monte Carlo
+ * value at risk (VaR) and expected shortfall (CVaR). Exposures are in USD,
+ * volatilities are annualized decimals and horizons are calendar days.
+ */
+
+export const VAR_METHODS = {
+  HISTORICAL: 'historical',
+  PARAMETRIC: 'parametric',
+  MONTE_CARLO: 'monteCarlo'
+}
+
+// Where historical VaR took its price moves from. Stress scenarios are the
+// fallback until there is enough market history, and give a stressed VaR
+export const HISTORICAL_VAR_SOURCES = {
+  MARKET_HISTORY: 'market_history',
+  STRESS_SCENARIOS: 'stress_scenarios'
+}
+
+export const DEFAULT_VAR_OPTIONS = {
+  confidenceLevels: [0.95, 0.99],
+  horizonDays: 7,
+  methods: Object.values(VAR_METHODS),
+  simulations: 10000,
+  seed: 42 // Fixed so the same portfolio shows the same number between refreshes
+}
+
+const DAYS_PER_YEAR = 365 // Crypto trades every day
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation)
+ */
+export const normalQuantile = (p) => {
+  if (p <= 0 || p >= 1) {
+    throw new Error('Probability must be between 0 and 1')
+  }
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239]
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572]
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783]
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416]
+  const pLow = 0.02425
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p))
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1)
+  }
+
+  if (p > 1 - pLow) {
+    return -normalQuantile(1 - p)
+  }
+
+  const q = p - 0.5
+  const r = q * q
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1)
+}
+
+export const normalDensity = (x) => Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI)
+
+/**
+ * Lower-triangular L with L * L^T = matrix. Negative pivots from a correlation
+ * matrix that is not quite positive semi-definite are clamped to zero.
+ */
+export const choleskyDecomposition = (matrix) => {
+  const n = matrix.length
+  const lower = Array.from({ length: n }, () => new Array(n).fill(0))
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j]
+      for (let k = 0; k < j; k++) {
+        sum -= lower[i][k] * lower[j][k]
+      }
+
+      if (i === j) {
+        lower[i][j] = Math.sqrt(Math.max(sum, 0))
+      } else {
+        lower[i][j] = lower[j][j] > 0 ? sum / lower[j][j] : 0
+      }
+    }
+  }
+
+  return lower
+}
+
+/**
+ * Seeded uniform random generator (mulberry32)
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * VaR and expected shortfall at each confidence level from sampled losses
+ * (positive numbers are losses)
+ */
+export const summarizeLossDistribution = (losses, confidenceLevels) => {
+  const sorted = [...losses].sort((a, b) => a - b)
+
+  return confidenceLevels.map(confidence => {
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil(confidence * sorted.length) - 1))
+    const tail = sorted.slice(index)
+    const expectedShortfall = tail.reduce((sum, loss) => sum + loss, 0) / tail.length
+
+    return {
+      confidence,
+      valueAtRisk: Math.max(0, sorted[index]),
+      expectedShortfall: Math.max(0, expectedShortfall)
+    }
+  })
+}
+
+/**
+ * Variance-covariance VaR assuming normally distributed returns with zero drift
+ */
+export const parametricVaR = ({ exposures, volatilities, correlations, horizonDays, confidenceLevels }) => {
+  const horizonScale = Math.sqrt(horizonDays / DAYS_PER_YEAR)
+  let variance = 0
+  for (let i = 0; i < exposures.length; i++) {
+    for (let j = 0; j < exposures.length; j++) {
+      variance += exposures[i] * exposures[j] * volatilities[i] * volatilities[j] * correlations[i][j]
+    }
+  }
+  const standardDeviation = Math.sqrt(Math.max(variance, 0)) * horizonScale
+
+  return {
+    standardDeviation,
+    levels: confidenceLevels.map(confidence => {
+      const z = normalQuantile(confidence)
+      return {
+        confidence,
+        valueAtRisk: z * standardDeviation,
+        expectedShortfall: standardDeviation * normalDensity(z) / (1 - confidence)
+      }
+    })
+  }
+}
+
+/**
+ * Monte Carlo VaR from correlated log-normal price moves
+ */
+export const monteCarloVaR = ({ exposures, volatilities, correlations, horizonDays, confidenceLevels, simulations, seed }) => {
+  const horizon = horizonDays / DAYS_PER_YEAR
+  const lower = choleskyDecomposition(correlations)
+  const random = createRandom(seed)
+  const n = exposures.length
+
+  // Box-Muller, caching the second normal of each pair
+  let spare = null
+  const nextNormal = () => {
+    if (spare !== null) {
+      const value = spare
+      spare = null
+      return value
+    }
+    const radius = Math.sqrt(-2 * Math.log(1 - random()))
+    const angle = 2 * Math.PI * random()
+    spare = radius * Math.sin(angle)
+    return radius * Math.cos(angle)
+  }
+
+  const losses = new Array(simulations)
+  const shocks = new Array(n)
+  for (let simulation = 0; simulation < simulations; simulation++) {
+    for (let i = 0; i < n; i++) {
+      shocks[i] = nextNormal()
+    }
+
+    let loss = 0
+    for (let i = 0; i < n; i++) {
+      let correlated = 0
+      for (let k = 0; k <= i; k++) {
+        correlated += lower[i][k] * shocks[k]
+      }
+      const sigma = volatilities[i] * Math.sqrt(horizon)
+      loss -= exposures[i] * (Math.exp(sigma * correlated - sigma * sigma / 2) - 1)
+    }
+    losses[simulation] = loss
+  }
+
+  return {
+    simulations,
+    levels: summarizeLossDistribution(losses, confidenceLevels)
+  }
+}
+
+/**
+ * Historical-simulation VaR from overlapping horizon windows of relative
+ * price paths. pricePaths holds, per sample period, one path per exposure.
+ */
+export const historicalVaR = ({ exposures, pricePaths, horizonDays, confidenceLevels }) => {
+  const losses = []
+
+  pricePaths.forEach(periodPaths => {
+    const days = periodPaths[0]?.length || 0
+    const window = Math.min(horizonDays, days - 1)
+    for (let start = 0; start + window < days && window > 0; start++) {
+      losses.push(exposures.reduce((loss, exposure, i) =>
+        loss + exposure * (1 - periodPaths[i][start + window] / periodPaths[i][start]), 0))
+    }
+  })
+
+  if (losses.length === 0) {
+    return { sampleSize: 0, levels: [] }
+  }
+
+  return {
+    sampleSize: losses.length,
+    levels: summarizeLossDistribution(losses, confidenceLevels)
+  }
+}
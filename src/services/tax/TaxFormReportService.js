@@ -0,0 +1,304 @@
+/**
+ * Tax Form Report Service
+ * Produces IRS Form 8949 line items and Schedule D totals from realized tax-lot
+ * disposals, with wash-sale adjustments, exportable as CSV or printable HTML
+ */
+
+import taxLotService, { HOLDING_PERIODS, LOT_METHODS } from './TaxLotService.js'
+import { transactionExportService } from '../transactions/TransactionExportService.js'
+import logger from '../../utils/logger'
+
+export const REPORT_FORMATS = {
+  CSV: 'csv',
+  HTML: 'html'
+}
+
+export const ADJUSTMENT_CODES = {
+  WASH_SALE: 'W'
+}
+
+// Form 8949 check boxes for transactions not reported to the IRS on a broker statement.
+// Digital assets moved to their own boxes (I and L) starting with tax year 2025.
+const FORM_8949_BOXES = {
+  legacy: { [HOLDING_PERIODS.SHORT_TERM]: 'C', [HOLDING_PERIODS.LONG_TERM]: 'F' },
+  digitalAssets: { [HOLDING_PERIODS.SHORT_TERM]: 'I', [HOLDING_PERIODS.LONG_TERM]: 'L' }
+}
+const DIGITAL_ASSET_BOXES_FROM_YEAR = 2025
+
+// Schedule D lines that carry the Form 8949 totals
+const SCHEDULE_D_LINES = {
+  [HOLDING_PERIODS.SHORT_TERM]: '3',
+  [HOLDING_PERIODS.LONG_TERM]: '10'
+}
+
+const CSV_COLUMNS = [
+  { header: 'Part', key: 'part' },
+  { header: 'Box', key: 'box' },
+  { header: '(a) Description of property', key: 'description' },
+  { header: '(b) Date acquired', key: 'dateAcquired' },
+  { header: '(c) Date sold or disposed of', key: 'dateSold' },
+  { header: '(d) Proceeds', key: 'proceeds' },
+  { header: '(e) Cost or other basis', key: 'costBasis' },
+  { header: '(f) Code(s)', key: 'adjustmentCode' },
+  { header: '(g) Amount of adjustment', key: 'adjustmentAmount' },
+  { header: '(h) Gain or (loss)', key: 'gainOrLoss' }
+]
+
+class TaxFormReportService {
+  /**
+   * Generate Form 8949 / Schedule D report for a tax year
+   * @param {Array} transactions - DataManager transaction records
+   * @param {Object} userProfile - { taxYear, lotMethod, lotSelections, name }
+   * @returns {Object} Report with shortTerm/longTerm parts and Schedule D totals
+   */
+  generateForm8949Report(transactions = [], userProfile = {}) {
+    const taxYear = Number(userProfile.taxYear || new Date().getFullYear())
+    const lotMethod = userProfile.lotMethod || LOT_METHODS.FIFO
+    const realizedGains = taxLotService.getRealizedGains(transactions, {
+      taxYear,
+      method: lotMethod,
+      lotSelections: userProfile.lotSelections,
+      washSales: true
+    })
+
+    const lineItems = realizedGains.disposals.map(disposal => this.buildLineItem(disposal, taxYear))
+
+    const shortTerm = this.buildPart(lineItems, HOLDING_PERIODS.SHORT_TERM, taxYear)
+    const longTerm = this.buildPart(lineItems, HOLDING_PERIODS.LONG_TERM, taxYear)
+
+    const issues = [
+      ...realizedGains.issues,
+      ...lineItems
+        .filter(item => item.basisMissing)
+        .map(item => ({ type: 'missing_basis', transactionId: item.transactionId, description: item.description }))
+    ]
+
+    if (issues.length > 0) {
+      logger.warn('Form 8949 report generated with issues:', issues)
+    }
+
+    return {
+      taxYear,
+      lotMethod,
+      taxpayer: userProfile.name || '',
+      shortTerm,
+      longTerm,
+      scheduleD: {
+        shortTermLine: SCHEDULE_D_LINES[HOLDING_PERIODS.SHORT_TERM],
+        longTermLine: SCHEDULE_D_LINES[HOLDING_PERIODS.LONG_TERM],
+        netShortTerm: shortTerm.totals.gainOrLoss,
+        netLongTerm: longTerm.totals.gainOrLoss,
+        netGainOrLoss: this.roundCents(shortTerm.totals.gainOrLoss + longTerm.totals.gainOrLoss)
+      },
+      issues,
+      generatedAt: new Date().toISOString()
+    }
+  }
+
+  /**
+   * Export a generated report
+   * @param {Object} report - Result of generateForm8949Report
+   * @param {string} format - One of REPORT_FORMATS
+   * @returns {Object} { filename, mimeType, content }
+   */
+  exportReport(report, format = REPORT_FORMATS.CSV) {
+    switch (format) {
+      case REPORT_FORMATS.CSV:
+        return {
+          filename: `diboas-form-8949-${report.taxYear}.csv`,
+          mimeType: 'text/csv;charset=utf-8',
+          content: this.toCSV(report)
+        }
+      case REPORT_FORMATS.HTML:
+        return {
+          filename: `diboas-form-8949-${report.taxYear}.html`,
+          mimeType: 'text/html;charset=utf-8',
+          content: this.toHTML(report)
+        }
+      default:
+        throw new Error(`Unsupported report format: ${format}`)
+    }
+  }
+
+  /**
+   * Export a report and trigger a browser download
+   */
+  downloadReport(report, format = REPORT_FORMATS.CSV) {
+    const file = this.exportReport(report, format)
+    transactionExportService.downloadFile(file)
+    return file
+  }
+
+  toCSV(report) {
+    const escape = value => transactionExportService.escapeCSV(value)
+    const rows = [CSV_COLUMNS.map(column => escape(column.header)).join(',')]
+
+    for (const part of [report.shortTerm, report.longTerm]) {
+      part.lineItems.forEach(item => {
+        rows.push(CSV_COLUMNS.map(column => escape(
+          column.key === 'part' ? part.part : column.key === 'box' ? part.box : item[column.key]
+        )).join(','))
+      })
+      rows.push([
+        escape(part.part), escape(part.box), escape(`Totals (Schedule D line ${part.scheduleDLine})`), '', '',
+        part.totals.proceeds, part.totals.costBasis, '', part.totals.adjustmentAmount, part.totals.gainOrLoss
+      ].join(','))
+    }
+
+    return rows.join('\r\n') + '\r\n'
+  }
+
+  toHTML(report) {
+    const money = value => this.formatCurrency(value)
+    const renderPart = (part, title) => `
+  <section>
+    <h2>${title}</h2>
+    <p>Box ${part.box} &mdash; transactions not reported to you on Form 1099-B or 1099-DA</p>
+    <table>
+      <thead>
+        <tr>${CSV_COLUMNS.slice(2).map(column => `<th>${this.escapeHTML(column.header)}</th>`).join('')}</tr>
+      </thead>
+      <tbody>
+${part.lineItems.map(item => `        <tr>
+          <td>${this.escapeHTML(item.description)}</td>
+          <td>${this.escapeHTML(item.dateAcquired)}</td>
+          <td>${this.escapeHTML(item.dateSold)}</td>
+          <td class="num">${money(item.proceeds)}</td>
+          <td class="num">${money(item.costBasis)}</td>
+          <td>${this.escapeHTML(item.adjustmentCode)}</td>
+          <td class="num">${item.adjustmentAmount ? money(item.adjustmentAmount) : ''}</td>
+          <td class="num">${money(item.gainOrLoss)}</td>
+        </tr>`).join('\n')}
+      </tbody>
+      <tfoot>
+        <tr>
+          <td colspan="3">Totals (Schedule D line ${part.scheduleDLine})</td>
+          <td class="num">${money(part.totals.proceeds)}</td>
+          <td class="num">${money(part.totals.costBasis)}</td>
+          <td></td>
+          <td class="num">${money(part.totals.adjustmentAmount)}</td>
+          <td class="num">${money(part.totals.gainOrLoss)}</td>
+        </tr>
+      </tfoot>
+    </table>
+  </section>`
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Form 8949 &mdash; Tax Year ${report.taxYear}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; margin: 24px; color: #111; }
+    h1 { font-size: 18px; margin-bottom: 4px; }
+    h2 { font-size: 14px; margin-top: 24px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+    th { background: #f0f0f0; }
+    td.num { text-align: right; white-space: nowrap; }
+    tfoot td { font-weight: bold; }
+    @media print { body { margin: 0; } section { page-break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <h1>Sales and Other Dispositions of Capital Assets (Form 8949) &mdash; ${report.taxYear}</h1>
+  <p>${this.escapeHTML(report.taxpayer)} &middot; Cost basis method: ${this.escapeHTML(report.lotMethod.toUpperCase())}</p>
+${renderPart(report.shortTerm, 'Part I &mdash; Short-Term (held one year or less)')}
+${renderPart(report.longTerm, 'Part II &mdash; Long-Term (held more than one year)')}
+  <section>
+    <h2>Schedule D Summary</h2>
+    <table>
+      <tbody>
+        <tr><td>Line ${report.scheduleD.shortTermLine} &mdash; Net short-term gain or (loss)</td><td class="num">${money(report.scheduleD.netShortTerm)}</td></tr>
+        <tr><td>Line ${report.scheduleD.longTermLine} &mdash; Net long-term gain or (loss)</td><td class="num">${money(report.scheduleD.netLongTerm)}</td></tr>
+        <tr><td>Line 16 &mdash; Combined gain or (loss)</td><td class="num">${money(report.scheduleD.netGainOrLoss)}</td></tr>
+      </tbody>
+    </table>
+  </section>
+</body>
+</html>
+`
+  }
+
+  /**
+   * Private helpers
+   */
+
+  /**
+   * Build one Form 8949 row; losses with a replacement purchase within 30 days
+   * get code W and the disallowed portion of the loss as a positive adjustment.
+   * The tax lot replay already moved that loss into the replacement lot's basis
+   */
+  buildLineItem(disposal, taxYear) {
+    const adjustmentCode = disposal.washSale ? ADJUSTMENT_CODES.WASH_SALE : ''
+    const adjustmentAmount = disposal.washSale ? disposal.washSale.disallowedLoss : 0
+
+    return {
+      transactionId: disposal.transactionId,
+      lotId: disposal.lotId,
+      holdingPeriod: disposal.holdingPeriod,
+      box: this.getBox(disposal.holdingPeriod, taxYear),
+      description: `${disposal.quantity} ${disposal.asset}`,
+      dateAcquired: disposal.dateAcquired ? this.formatDate(disposal.dateAcquired) : '',
+      dateSold: this.formatDate(disposal.dateSold),
+      proceeds: disposal.proceeds,
+      costBasis: disposal.costBasis,
+      adjustmentCode,
+      adjustmentAmount,
+      gainOrLoss: this.roundCents(disposal.proceeds - disposal.costBasis + adjustmentAmount),
+      basisMissing: disposal.basisMissing
+    }
+  }
+
+  buildPart(lineItems, holdingPeriod, taxYear) {
+    const items = lineItems.filter(item => item.holdingPeriod === holdingPeriod)
+    const sum = key => this.roundCents(items.reduce((total, item) => total + item[key], 0))
+
+    return {
+      part: holdingPeriod === HOLDING_PERIODS.SHORT_TERM ? 'I' : 'II',
+      box: this.getBox(holdingPeriod, taxYear),
+      scheduleDLine: SCHEDULE_D_LINES[holdingPeriod],
+      lineItems: items,
+      totals: {
+        proceeds: sum('proceeds'),
+        costBasis: sum('costBasis'),
+        adjustmentAmount: sum('adjustmentAmount'),
+        gainOrLoss: sum('gainOrLoss')
+      }
+    }
+  }
+
+  getBox(holdingPeriod, taxYear) {
+    const boxes = taxYear >= DIGITAL_ASSET_BOXES_FROM_YEAR ? FORM_8949_BOXES.digitalAssets : FORM_8949_BOXES.legacy
+    return boxes[holdingPeriod]
+  }
+
+  // Form 8949 dates are MM/DD/YYYY
+  formatDate(date) {
+    const [year, month, day] = new Date(date).toISOString().slice(0, 10).split('-')
+    return `${month}/${day}/${year}`
+  }
+
+  // Losses are shown in parentheses, as on the IRS forms
+  formatCurrency(value) {
+    const formatted = Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+    return value < 0 ? `(${formatted})` : formatted
+  }
+
+  escapeHTML(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;')
+  }
+
+  roundCents(value) {
+    return Math.round(value * 100) / 100
+  }
+}
+
+// Create singleton instance
+export const taxFormReportService = new TaxFormReportService()
+export default taxFormReportService
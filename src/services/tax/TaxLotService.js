@@ -0,0 +1,529 @@
+/**
+ * Tax Lot Service
+ * Builds per-asset tax lots from the user's buy/sell/transfer history and
+ * computes realized gains with FIFO, LIFO, HIFO or specific-lot identification
+ */
+
+import Decimal from 'decimal.js'
+import logger from '../../utils/logger'
+
+export const LOT_METHODS = {
+  FIFO: 'fifo',
+  LIFO: 'lifo',
+  HIFO: 'hifo',
+  SPECIFIC_ID: 'specific_id'
+}
+
+export const HOLDING_PERIODS = {
+  SHORT_TERM: 'short_term',
+  LONG_TERM: 'long_term'
+}
+
+// Cash and stablecoins are not capital assets for lot tracking
+const CASH_ASSETS = ['USD', 'USDC', 'USDT', 'DAI']
+
+// Transaction types that add lots, remove lots with a taxable sale, or move lots out untaxed
+const ACQUISITION_TYPES = ['buy', 'receive']
+const DISPOSAL_TYPES = ['sell', 'loan_liquidation'] // Liquidations sell seized collateral
+const TRANSFER_OUT_TYPES = ['transfer', 'send']
+
+// Replacement purchases this close to a loss sale make it a wash sale
+const WASH_SALE_WINDOW_MS = 30 * 24 * 60 * 60 * 1000
+
+const USD_DECIMALS = 2
+
+class TaxLotService {
+  /**
+   * Replay transactions into lots and disposals
+   * @param {Array} transactions - DataManager transaction records (any order)
+   * @param {Object} options
+   * @param {string} options.method - One of LOT_METHODS (default FIFO)
+   * @param {Object} options.lotSelections - Specific-ID picks: { [sellTxId]: [{ lotId, quantity }] }
+   * @param {boolean} options.washSales - Disallow losses replaced within 30 days and carry them
+   *   into the replacement lots' basis and holding period
+   * @returns {Object} { lots, disposals, transfers, issues, method }
+   */
+  processTransactions(transactions = [], { method = LOT_METHODS.FIFO, lotSelections = {}, washSales = false } = {}) {
+    if (!Object.values(LOT_METHODS).includes(method)) {
+      throw new Error(`Unsupported lot method: ${method}`)
+    }
+
+    const lotsByAsset = {}
+    const disposals = []
+    const transfers = []
+    const issues = []
+    // Wash-sale bookkeeping: quantity of each purchase already used as a replacement,
+    // and adjustments waiting for replacement purchases made after the loss sale
+    const replacementUsage = new Map()
+    const pendingAdjustments = new Map()
+
+    const history = transactions
+      .filter(tx => tx && tx.status !== 'failed' && tx.asset && !CASH_ASSETS.includes(tx.asset))
+      .sort((a, b) => this.getTransactionDate(a) - this.getTransactionDate(b))
+
+    for (const transaction of history) {
+      const asset = transaction.asset
+      lotsByAsset[asset] = lotsByAsset[asset] || []
+
+      if (ACQUISITION_TYPES.includes(transaction.type)) {
+        const lot = this.createLot(transaction)
+        if (lot) {
+          lotsByAsset[asset].push(lot)
+          for (const adjustment of pendingAdjustments.get(transaction.id) || []) {
+            this.applyWashSaleAdjustment(lotsByAsset[asset], lot, adjustment)
+          }
+        }
+        continue
+      }
+
+      const isDisposal = DISPOSAL_TYPES.includes(transaction.type)
+      if (!isDisposal && !TRANSFER_OUT_TYPES.includes(transaction.type)) {
+        continue
+      }
+
+      const quantity = this.getQuantity(transaction)
+      if (quantity.lte(0)) {
+        continue
+      }
+
+      const selections = transaction.lotSelections || lotSelections[transaction.id]
+      const { relieved, uncovered, unknownLotIds } = this.relieveLots(lotsByAsset[asset], quantity, method, selections)
+
+      // Picks of lots that are gone fall back to FIFO rather than failing the whole report
+      if (unknownLotIds.length > 0) {
+        issues.push({
+          type: 'lot_not_found',
+          transactionId: transaction.id,
+          asset,
+          lotIds: unknownLotIds
+        })
+      }
+
+      if (uncovered.gt(0)) {
+        issues.push({
+          type: 'insufficient_lots',
+          transactionId: transaction.id,
+          asset,
+          uncoveredQuantity: uncovered.toNumber()
+        })
+      }
+
+      if (isDisposal) {
+        const saleDisposals = this.buildDisposals(transaction, quantity, relieved, uncovered)
+        if (washSales) {
+          const soldTransactionIds = relieved.map(part => part.lot.transactionId)
+          this.applyWashSales(saleDisposals, soldTransactionIds, history, lotsByAsset[asset], replacementUsage, pendingAdjustments)
+        }
+        disposals.push(...saleDisposals)
+      } else {
+        transfers.push({
+          transactionId: transaction.id,
+          asset,
+          date: this.getTransactionDate(transaction).toISOString(),
+          quantity: quantity.toNumber(),
+          costBasis: this.roundUSD(relieved.reduce((sum, part) => sum.plus(part.costBasis), new Decimal(0))),
+          lots: relieved.map(part => ({ lotId: part.lot.id, quantity: part.quantity.toNumber() }))
+        })
+      }
+    }
+
+    if (issues.length > 0) {
+      logger.warn('Tax lot processing found issues:', issues)
+    }
+
+    return {
+      method,
+      lots: this.formatOpenLots(lotsByAsset),
+      disposals,
+      transfers,
+      issues
+    }
+  }
+
+  /**
+   * Summarize realized gains for a tax year
+   * @param {Array} transactions - DataManager transaction records
+   * @param {Object} options - { taxYear, method, lotSelections }
+   * @returns {Object} Short/long-term proceeds, basis and gain plus the disposals
+   */
+  getRealizedGains(transactions, { taxYear = null, ...options } = {}) {
+    const { disposals, issues, method } = this.processTransactions(transactions, options)
+    const yearDisposals = taxYear
+      ? disposals.filter(disposal => new Date(disposal.dateSold).getUTCFullYear() === Number(taxYear))
+      : disposals
+
+    const summarize = (holdingPeriod) => {
+      const matching = yearDisposals.filter(disposal => disposal.holdingPeriod === holdingPeriod)
+      const proceeds = matching.reduce((sum, disposal) => sum.plus(disposal.proceeds), new Decimal(0))
+      const costBasis = matching.reduce((sum, disposal) => sum.plus(disposal.costBasis), new Decimal(0))
+      const gains = matching.filter(disposal => disposal.gain > 0)
+        .reduce((sum, disposal) => sum.plus(disposal.gain), new Decimal(0))
+      const losses = matching.filter(disposal => disposal.gain < 0)
+        .reduce((sum, disposal) => sum.minus(disposal.gain), new Decimal(0))
+
+      return {
+        count: matching.length,
+        proceeds: proceeds.toNumber(),
+        costBasis: costBasis.toNumber(),
+        gains: gains.toNumber(),
+        losses: losses.toNumber(),
+        net: gains.minus(losses).toNumber()
+      }
+    }
+
+    const shortTerm = summarize(HOLDING_PERIODS.SHORT_TERM)
+    const longTerm = summarize(HOLDING_PERIODS.LONG_TERM)
+
+    return {
+      taxYear,
+      method,
+      shortTerm,
+      longTerm,
+      net: new Decimal(shortTerm.net).plus(longTerm.net).toNumber(),
+      disposals: yearDisposals,
+      issues
+    }
+  }
+
+  /**
+   * Aggregate open lots into positions valued at current prices
+   * @param {Array} transactions - DataManager transaction records
+   * @param {Object} options - { method, lotSelections, prices: { [asset]: price } }
+   * @returns {Array} Positions with real cost basis and acquisition dates
+   */
+  getOpenPositions(transactions, { prices = {}, ...options } = {}) {
+    const { lots } = this.processTransactions(transactions, options)
+
+    return Object.entries(lots)
+      .filter(([, assetLots]) => assetLots.length > 0)
+      .map(([asset, assetLots]) => {
+        const quantity = assetLots.reduce((sum, lot) => sum.plus(lot.quantity), new Decimal(0))
+        const costBasis = assetLots.reduce((sum, lot) => sum.plus(lot.costBasis), new Decimal(0))
+        const price = prices[asset]
+        const acquisitionDates = assetLots.map(lot => new Date(lot.acquiredAt).getTime())
+
+        return {
+          asset,
+          quantity: quantity.toNumber(),
+          costBasis: this.roundUSD(costBasis),
+          currentValue: price !== undefined ? this.roundUSD(quantity.times(price)) : null,
+          purchaseDate: new Date(Math.min(...acquisitionDates)).toISOString(),
+          lastPurchaseDate: new Date(Math.max(...acquisitionDates)).toISOString(),
+          lots: assetLots
+        }
+      })
+  }
+
+  /**
+   * Whether a holding qualifies as long-term (held more than one year)
+   */
+  isLongTerm(acquiredAt, disposedAt) {
+    const oneYearLater = new Date(acquiredAt)
+    oneYearLater.setUTCFullYear(oneYearLater.getUTCFullYear() + 1)
+    return this.toDay(disposedAt) > this.toDay(oneYearLater)
+  }
+
+  /**
+   * Private helpers
+   */
+
+  createLot(transaction) {
+    const quantity = this.getQuantity(transaction)
+    if (quantity.lte(0)) {
+      return null
+    }
+
+    // Basis is the full amount paid, so acquisition fees are capitalized into the lot
+    const costBasis = transaction.costBasis !== undefined
+      ? new Decimal(this.toNumber(transaction.costBasis))
+      : new Decimal(this.toNumber(transaction.amount))
+
+    return {
+      id: transaction.id,
+      transactionId: transaction.id,
+      asset: transaction.asset,
+      acquiredAt: this.getTransactionDate(transaction).toISOString(),
+      originalQuantity: quantity,
+      quantity,
+      costBasis,
+      unitCost: costBasis.dividedBy(quantity)
+    }
+  }
+
+  /**
+   * Remove quantity from open lots in method order
+   * Mutates the lots in place and returns the relieved portions plus any
+   * selected lot IDs that are not open
+   */
+  relieveLots(lots, quantity, method, selections) {
+    const relieved = []
+    const unknownLotIds = []
+    let remaining = quantity
+
+    const takeFromLot = (lot, requested) => {
+      const taken = Decimal.min(requested, lot.quantity)
+      if (taken.lte(0)) return
+
+      const costBasis = taken.eq(lot.quantity)
+        ? lot.costBasis
+        : lot.unitCost.times(taken)
+      lot.quantity = lot.quantity.minus(taken)
+      lot.costBasis = lot.costBasis.minus(costBasis)
+      remaining = remaining.minus(taken)
+      relieved.push({ lot, quantity: taken, costBasis })
+    }
+
+    if (method === LOT_METHODS.SPECIFIC_ID || selections) {
+      for (const selection of selections || []) {
+        const lot = lots.find(candidate => candidate.id === selection.lotId)
+        if (!lot) {
+          unknownLotIds.push(selection.lotId)
+          continue
+        }
+        takeFromLot(lot, Decimal.min(new Decimal(selection.quantity), remaining))
+      }
+    }
+
+    // Anything not covered by explicit selections falls back to FIFO
+    const fallbackMethod = method === LOT_METHODS.SPECIFIC_ID ? LOT_METHODS.FIFO : method
+    for (const lot of this.orderLots(lots, fallbackMethod)) {
+      if (remaining.lte(0)) break
+      takeFromLot(lot, remaining)
+    }
+
+    // Drop exhausted lots
+    for (let index = lots.length - 1; index >= 0; index--) {
+      if (lots[index].quantity.lte(0)) {
+        lots.splice(index, 1)
+      }
+    }
+
+    return { relieved, uncovered: Decimal.max(remaining, 0), unknownLotIds }
+  }
+
+  orderLots(lots, method) {
+    const ordered = [...lots]
+    switch (method) {
+      case LOT_METHODS.LIFO:
+        return ordered.reverse()
+      case LOT_METHODS.HIFO:
+        return ordered.sort((a, b) => b.unitCost.comparedTo(a.unitCost))
+      case LOT_METHODS.FIFO:
+      default:
+        return ordered
+    }
+  }
+
+  /**
+   * Split a sale into one disposal per relieved lot with proceeds allocated pro rata
+   */
+  buildDisposals(transaction, quantity, relieved, uncovered) {
+    const dateSold = this.getTransactionDate(transaction)
+    const grossProceeds = new Decimal(this.toNumber(transaction.amount))
+    const fees = new Decimal(this.toNumber(transaction.fees?.total))
+    const netProceeds = grossProceeds.minus(fees)
+
+    const parts = relieved.map(part => ({
+      lotId: part.lot.id,
+      dateAcquired: part.lot.acquiredAt,
+      quantity: part.quantity,
+      costBasis: part.costBasis,
+      basisMissing: false
+    }))
+    if (uncovered.gt(0)) {
+      parts.push({ lotId: null, dateAcquired: null, quantity: uncovered, costBasis: new Decimal(0), basisMissing: true })
+    }
+
+    // Allocate proceeds so the parts add up to the sale exactly
+    let allocatedProceeds = new Decimal(0)
+    return parts.map((part, index) => {
+      const isLast = index === parts.length - 1
+      const proceeds = isLast
+        ? new Decimal(this.roundUSD(netProceeds)).minus(allocatedProceeds)
+        : new Decimal(this.roundUSD(netProceeds.times(part.quantity).dividedBy(quantity)))
+      allocatedProceeds = allocatedProceeds.plus(proceeds)
+
+      const costBasis = new Decimal(this.roundUSD(part.costBasis))
+      const holdingPeriod = part.dateAcquired && this.isLongTerm(part.dateAcquired, dateSold)
+        ? HOLDING_PERIODS.LONG_TERM
+        : HOLDING_PERIODS.SHORT_TERM
+
+      return {
+        transactionId: transaction.id,
+        lotId: part.lotId,
+        asset: transaction.asset,
+        quantity: part.quantity.toNumber(),
+        dateAcquired: part.dateAcquired,
+        dateSold: dateSold.toISOString(),
+        proceeds: proceeds.toNumber(),
+        costBasis: costBasis.toNumber(),
+        gain: proceeds.minus(costBasis).toNumber(),
+        holdingPeriod,
+        basisMissing: part.basisMissing
+      }
+    })
+  }
+
+  /**
+   * Purchases of the asset within 30 days either side of a sale, which would make
+   * a loss on that sale a wash sale; purchases on the sale's own timestamp are the
+   * sale's own trade and never count
+   * @param {Array} transactions - Transaction history, returned in the same order
+   * @param {Object} sale - { asset, saleDate, excludeIds }
+   */
+  findWashSaleReplacements(transactions, { asset, saleDate, excludeIds = [] }) {
+    const saleTime = new Date(saleDate).getTime()
+    return transactions.filter(tx => {
+      const time = this.getTransactionDate(tx).getTime()
+      return tx.type === 'buy' &&
+        tx.asset === asset &&
+        time !== saleTime &&
+        Math.abs(time - saleTime) <= WASH_SALE_WINDOW_MS &&
+        !excludeIds.includes(tx.id)
+    })
+  }
+
+  /**
+   * Match loss disposals of one sale to replacement purchases within 30 days either side.
+   * Each matched share of the loss is recorded on the disposal and added to the
+   * replacement lot's basis, now or when the replacement is bought
+   */
+  applyWashSales(saleDisposals, soldTransactionIds, history, lots, replacementUsage, pendingAdjustments) {
+    for (const disposal of saleDisposals) {
+      if (disposal.gain >= 0 || disposal.basisMissing) continue
+
+      const saleTime = new Date(disposal.dateSold).getTime()
+      const candidates = this.findWashSaleReplacements(history, {
+        asset: disposal.asset,
+        saleDate: disposal.dateSold,
+        excludeIds: soldTransactionIds
+      })
+
+      const loss = new Decimal(disposal.gain).abs()
+      const replacements = []
+      let remaining = new Decimal(disposal.quantity)
+
+      for (const purchase of candidates) {
+        if (remaining.lte(0)) break
+
+        // A replacement bought before the sale can only cover what is still held of it
+        const used = replacementUsage.get(purchase.id) || new Decimal(0)
+        let available = this.getQuantity(purchase).minus(used)
+        if (this.getTransactionDate(purchase).getTime() < saleTime) {
+          const lot = lots.find(candidate => candidate.id === purchase.id)
+          available = Decimal.min(available, lot ? lot.quantity : 0)
+        }
+        if (available.lte(0)) continue
+
+        const matched = Decimal.min(available, remaining)
+        replacementUsage.set(purchase.id, used.plus(matched))
+        remaining = remaining.minus(matched)
+
+        const adjustment = {
+          saleTransactionId: disposal.transactionId,
+          quantity: matched,
+          disallowedLoss: new Decimal(this.roundUSD(loss.times(matched).dividedBy(disposal.quantity))),
+          heldMs: disposal.dateAcquired ? saleTime - new Date(disposal.dateAcquired).getTime() : 0
+        }
+        replacements.push({ transactionId: purchase.id, quantity: matched.toNumber(), disallowedLoss: adjustment.disallowedLoss.toNumber() })
+
+        const existingLot = lots.find(candidate => candidate.id === purchase.id)
+        if (existingLot) {
+          this.applyWashSaleAdjustment(lots, existingLot, adjustment)
+        } else {
+          pendingAdjustments.set(purchase.id, [...(pendingAdjustments.get(purchase.id) || []), adjustment])
+        }
+      }
+
+      if (replacements.length > 0) {
+        const disallowedLoss = Decimal.min(
+          replacements.reduce((sum, replacement) => sum.plus(replacement.disallowedLoss), new Decimal(0)),
+          loss
+        )
+        disposal.washSale = { disallowedLoss: disallowedLoss.toNumber(), replacements }
+      }
+    }
+  }
+
+  /**
+   * Add a disallowed loss to a replacement lot and tack on the sold lot's holding period.
+   * When only part of the lot replaced the sale, that part is split into its own lot
+   */
+  applyWashSaleAdjustment(lots, lot, { saleTransactionId, quantity, disallowedLoss, heldMs }) {
+    let adjusted = lot
+    if (quantity.lt(lot.quantity)) {
+      const splitBasis = lot.unitCost.times(quantity)
+      adjusted = {
+        ...lot,
+        id: `${lot.id}:${saleTransactionId}`,
+        originalQuantity: quantity,
+        quantity,
+        costBasis: splitBasis
+      }
+      lot.quantity = lot.quantity.minus(quantity)
+      lot.originalQuantity = lot.originalQuantity.minus(quantity)
+      lot.costBasis = lot.costBasis.minus(splitBasis)
+      lots.splice(lots.indexOf(lot) + 1, 0, adjusted)
+    }
+
+    adjusted.costBasis = adjusted.costBasis.plus(disallowedLoss)
+    adjusted.unitCost = adjusted.costBasis.dividedBy(adjusted.quantity)
+    adjusted.acquiredAt = new Date(new Date(adjusted.acquiredAt).getTime() - heldMs).toISOString()
+  }
+
+  formatOpenLots(lotsByAsset) {
+    return Object.fromEntries(Object.entries(lotsByAsset).map(([asset, lots]) => [
+      asset,
+      lots.map(lot => ({
+        id: lot.id,
+        transactionId: lot.transactionId,
+        asset: lot.asset,
+        acquiredAt: lot.acquiredAt,
+        originalQuantity: lot.originalQuantity.toNumber(),
+        quantity: lot.quantity.toNumber(),
+        costBasis: this.roundUSD(lot.costBasis),
+        unitCost: lot.unitCost.toNumber()
+      }))
+    ]))
+  }
+
+  /**
+   * Asset quantity of a transaction; falls back to amount / price when no quantity was recorded
+   */
+  getQuantity(transaction) {
+    if (transaction.quantity !== undefined && transaction.quantity !== null) {
+      return new Decimal(this.toNumber(transaction.quantity))
+    }
+
+    const price = this.toNumber(transaction.price ?? transaction.exchangeRate)
+    if (price > 0) {
+      const amount = transaction.type === 'buy'
+        ? this.toNumber(transaction.amount) - this.toNumber(transaction.fees?.total)
+        : this.toNumber(transaction.amount)
+      return new Decimal(amount).dividedBy(price)
+    }
+
+    return new Decimal(0)
+  }
+
+  getTransactionDate(transaction) {
+    return new Date(transaction.createdAt || transaction.timestamp)
+  }
+
+  toDay(date) {
+    return new Date(date).toISOString().slice(0, 10)
+  }
+
+  roundUSD(value) {
+    return new Decimal(value).toDecimalPlaces(USD_DECIMALS, Decimal.ROUND_HALF_UP).toNumber()
+  }
+
+  toNumber(value) {
+    const parsed = parseFloat(value)
+    return Number.isFinite(parsed) ? parsed : 0
+  }
+}
+
+// Create singleton instance
+export const taxLotService = new TaxLotService()
+export default taxLotService
@@ -5,6 +5,7 @@
 
 import logger from '../../utils/logger'
 import secureLogger from '../../utils/secureLogger.js'
+import taxLotService, { LOT_METHODS } from './TaxLotService.js'
 
 export const TAX_STRATEGIES = {
   TAX_LOSS_HARVESTING: 'tax_loss_harvesting',
@@ -64,6 +65,8 @@ class TaxOptimizationService {
 
   /**
    * Calculate tax liability for investment portfolio
+   * When the portfolio carries the user's transaction history, capital gains are the
+   * gains realized in the tax year from tax lots; otherwise positions are estimated
    */
   async calculateTaxLiability(portfolio, userProfile) {
     try {
@@ -71,6 +74,10 @@ class TaxOptimizationService {
       const filingStatus = userProfile.filingStatus || 'single'
       const income = userProfile.annualIncome || 0
 
+      if (Array.isArray(portfolio.transactions)) {
+        return this.calculateRealizedTaxLiability(portfolio, userProfile, taxYear)
+      }
+
       let totalCapitalGains = 0
       let totalCapitalLosses = 0
       let shortTermGains = 0
@@ -156,6 +163,89 @@ class TaxOptimizationService {
     }
   }
 
+  /**
+   * Calculate tax liability from gains realized in the tax year (tax lots)
+   * Short- and long-term results are netted against each other; up to $3,000 of
+   * net loss offsets ordinary income and the rest carries forward
+   */
+  async calculateRealizedTaxLiability(portfolio, userProfile, taxYear) {
+    const filingStatus = userProfile.filingStatus || 'single'
+    const income = userProfile.annualIncome || 0
+    const lotMethod = userProfile.lotMethod || LOT_METHODS.FIFO
+
+    const realizedGains = taxLotService.getRealizedGains(portfolio.transactions, {
+      taxYear,
+      method: lotMethod,
+      lotSelections: userProfile.lotSelections
+    })
+
+    const shortTermNet = realizedGains.shortTerm.net
+    const longTermNet = realizedGains.longTerm.net
+    const netResult = shortTermNet + longTermNet
+
+    // Net short- and long-term results against each other
+    let taxableShortTerm = 0
+    let taxableLongTerm = 0
+    if (netResult > 0) {
+      if (shortTermNet >= 0 && longTermNet >= 0) {
+        taxableShortTerm = shortTermNet
+        taxableLongTerm = longTermNet
+      } else if (shortTermNet < 0) {
+        taxableLongTerm = netResult
+      } else {
+        taxableShortTerm = netResult
+      }
+    }
+
+    const netLoss = netResult < 0 ? Math.abs(netResult) : 0
+    const deductibleLoss = Math.min(netLoss, 3000)
+    const capitalLossCarryforward = netLoss - deductibleLoss
+
+    const ordinaryIncomeTax = this.calculateOrdinaryIncomeTax(
+      Math.max(0, income + taxableShortTerm - deductibleLoss),
+      filingStatus
+    )
+    const capitalGainsTax = this.calculateCapitalGainsTax(taxableLongTerm, income, filingStatus)
+    const totalTaxLiability = ordinaryIncomeTax + capitalGainsTax
+    const netCapitalGains = taxableShortTerm + taxableLongTerm
+
+    const taxAnalysis = {
+      taxYear,
+      filingStatus,
+      totalIncome: income,
+      capitalGains: {
+        shortTerm: taxableShortTerm,
+        longTerm: taxableLongTerm,
+        total: realizedGains.shortTerm.gains + realizedGains.longTerm.gains,
+        net: netCapitalGains
+      },
+      capitalLosses: realizedGains.shortTerm.losses + realizedGains.longTerm.losses,
+      capitalLossCarryforward,
+      dividendIncome: 0,
+      interestIncome: 0,
+      taxes: {
+        ordinaryIncome: ordinaryIncomeTax,
+        capitalGains: capitalGainsTax,
+        total: totalTaxLiability
+      },
+      realizedGains,
+      lotMethod,
+      positionAnalysis: [],
+      effectiveTaxRate: (totalTaxLiability / Math.max(income + netCapitalGains, 1)) * 100,
+      marginalTaxRate: this.getMarginalTaxRate(income, filingStatus) * 100,
+      calculatedAt: new Date().toISOString()
+    }
+
+    secureLogger.audit('TAX_LIABILITY_CALCULATED', {
+      taxYear,
+      lotMethod,
+      totalTaxLiability: totalTaxLiability.toFixed(2),
+      netCapitalGains: netCapitalGains.toFixed(2)
+    })
+
+    return taxAnalysis
+  }
+
   /**
    * Identify tax loss harvesting opportunities
    */
@@ -431,6 +521,7 @@ class TaxOptimizationService {
         taxYear: currentYear,
         projectedTaxLiability,
         currentTaxSituation: taxAnalysis,
+        realizedGains: taxAnalysis.realizedGains || null,
         yearEndActions,
         quarterlyEstimates: this.calculateQuarterlyEstimates(projectedTaxLiability),
         importantDeadlines: [
@@ -453,29 +544,21 @@ class TaxOptimizationService {
   }
 
   /**
-   * Calculate wash sale violations
+   * Calculate wash sale violations, using the same replacement rules as the lot engine
    */
   identifyWashSaleViolations(transactions, saleDate, asset) {
-    const washSalePeriod = 30 * 24 * 60 * 60 * 1000 // 30 days in milliseconds
     const saleTime = new Date(saleDate).getTime()
 
-    const potentialViolations = transactions.filter(tx => {
-      const txTime = new Date(tx.timestamp).getTime()
-      const timeDifference = Math.abs(txTime - saleTime)
-      
-      return tx.asset === asset &&
-             tx.type === 'buy' &&
-             timeDifference <= washSalePeriod &&
-             txTime !== saleTime
+    return taxLotService.findWashSaleReplacements(transactions, { asset, saleDate }).map(violation => {
+      const purchaseDate = taxLotService.getTransactionDate(violation)
+      return {
+        transactionId: violation.id,
+        purchaseDate: purchaseDate.toISOString(),
+        amount: violation.amount,
+        daysFromSale: Math.abs(purchaseDate.getTime() - saleTime) / (24 * 60 * 60 * 1000),
+        violation: true
+      }
     })
-
-    return potentialViolations.map(violation => ({
-      transactionId: violation.id,
-      purchaseDate: violation.timestamp,
-      amount: violation.amount,
-      daysFromSale: Math.abs(new Date(violation.timestamp).getTime() - saleTime) / (24 * 60 * 60 * 1000),
-      violation: true
-    }))
   }
 
   /**
@@ -558,7 +641,11 @@ class TaxOptimizationService {
   }
 
   getDaysSinceLastPurchase(position) {
-    // Mock implementation
+    if (position.lastPurchaseDate) {
+      return Math.floor((Date.now() - new Date(position.lastPurchaseDate).getTime()) / (24 * 60 * 60 * 1000))
+    }
+
+    // Mock implementation for positions without lot history
     return Math.floor(Math.random() * 100) + 10
   }
 
@@ -0,0 +1,151 @@
+/**
+ * Tax Form Report Service Tests
+ * Tests Form 8949 line items, wash-sale adjustments, Schedule D totals and exports
+ */
+
+import { describe, it, expect } from 'vitest'
+import { taxFormReportService, REPORT_FORMATS, ADJUSTMENT_CODES } from '../TaxFormReportService.js'
+
+const buy = (id, createdAt, quantity, amount, asset = 'BTC') => ({
+  id, type: 'buy', asset, createdAt, timestamp: createdAt, quantity, amount, fees: { total: 0 }, status: 'completed'
+})
+
+const sell = (id, createdAt, quantity, amount, asset = 'BTC') => ({
+  id, type: 'sell', asset, createdAt, timestamp: createdAt, quantity, amount, fees: { total: 0 }, status: 'completed'
+})
+
+const HISTORY = [
+  buy('lot_old', '2023-03-01T00:00:00.000Z', 1, 20000),
+  buy('lot_new', '2025-01-05T00:00:00.000Z', 1, 60000),
+  sell('sale_gain', '2025-04-01T00:00:00.000Z', 1, 70000),
+  sell('sale_loss', '2025-05-01T00:00:00.000Z', 1, 50000),
+  buy('replacement', '2025-05-15T00:00:00.000Z', 0.5, 26000)
+]
+
+describe('TaxFormReportService', () => {
+  describe('Form 8949 line items', () => {
+    it('should split disposals into short- and long-term parts', () => {
+      const report = taxFormReportService.generateForm8949Report(HISTORY, { taxYear: 2025 })
+
+      expect(report.longTerm.lineItems).toHaveLength(1)
+      expect(report.longTerm.lineItems[0]).toMatchObject({
+        description: '1 BTC',
+        dateAcquired: '03/01/2023',
+        dateSold: '04/01/2025',
+        proceeds: 70000,
+        costBasis: 20000,
+        gainOrLoss: 50000
+      })
+      expect(report.shortTerm.lineItems).toHaveLength(1)
+      expect(report.shortTerm.part).toBe('I')
+      expect(report.longTerm.part).toBe('II')
+    })
+
+    it('should disallow the share of a loss covered by a replacement purchase', () => {
+      const report = taxFormReportService.generateForm8949Report(HISTORY, { taxYear: 2025 })
+      const [lossItem] = report.shortTerm.lineItems
+
+      // Half the sold quantity was repurchased within 30 days
+      expect(lossItem.adjustmentCode).toBe(ADJUSTMENT_CODES.WASH_SALE)
+      expect(lossItem.adjustmentAmount).toBe(5000)
+      expect(lossItem.gainOrLoss).toBe(-5000)
+    })
+
+    it('should not adjust losses without a replacement purchase', () => {
+      const report = taxFormReportService.generateForm8949Report(HISTORY.slice(0, 4), { taxYear: 2025 })
+
+      expect(report.shortTerm.lineItems[0]).toMatchObject({ adjustmentCode: '', adjustmentAmount: 0, gainOrLoss: -10000 })
+    })
+
+    it('should use a replacement purchase for only one wash sale', () => {
+      const report = taxFormReportService.generateForm8949Report([
+        buy('lot_1', '2025-01-01T00:00:00.000Z', 1, 50000, 'ETH'),
+        buy('lot_2', '2025-01-02T00:00:00.000Z', 1, 50000, 'ETH'),
+        sell('loss_1', '2025-03-01T00:00:00.000Z', 1, 40000, 'ETH'),
+        sell('loss_2', '2025-03-02T00:00:00.000Z', 1, 40000, 'ETH'),
+        buy('replacement', '2025-03-10T00:00:00.000Z', 1, 41000, 'ETH')
+      ], { taxYear: 2025 })
+
+      expect(report.shortTerm.lineItems.map(item => item.adjustmentAmount)).toEqual([10000, 0])
+    })
+
+    it('should carry a disallowed loss into the replacement lot', () => {
+      const report = taxFormReportService.generateForm8949Report([
+        buy('lot_1', '2024-01-10T00:00:00.000Z', 1, 50000),
+        sell('loss', '2024-06-01T00:00:00.000Z', 1, 40000),
+        buy('replacement', '2024-06-10T00:00:00.000Z', 1, 41000),
+        sell('replacement_sale', '2025-02-01T00:00:00.000Z', 1, 45000)
+      ], { taxYear: 2025 })
+
+      // Basis grows by the $10,000 disallowed loss and the 143 days lot_1 was held count too
+      expect(report.longTerm.lineItems).toEqual([expect.objectContaining({
+        dateAcquired: '01/19/2024',
+        costBasis: 51000,
+        adjustmentCode: '',
+        gainOrLoss: -6000
+      })])
+      expect(report.shortTerm.lineItems).toEqual([])
+    })
+
+    it('should use the digital asset boxes from 2025 onwards', () => {
+      expect(taxFormReportService.generateForm8949Report(HISTORY, { taxYear: 2025 }).shortTerm.box).toBe('I')
+      expect(taxFormReportService.generateForm8949Report(HISTORY, { taxYear: 2025 }).longTerm.box).toBe('L')
+      expect(taxFormReportService.generateForm8949Report(HISTORY, { taxYear: 2024 }).shortTerm.box).toBe('C')
+      expect(taxFormReportService.generateForm8949Report(HISTORY, { taxYear: 2024 }).longTerm.box).toBe('F')
+    })
+
+    it('should flag disposals without a cost basis', () => {
+      const report = taxFormReportService.generateForm8949Report(
+        [sell('orphan', '2025-02-01T00:00:00.000Z', 1, 30000)],
+        { taxYear: 2025 }
+      )
+
+      expect(report.shortTerm.lineItems[0].dateAcquired).toBe('')
+      expect(report.issues.map(issue => issue.type)).toEqual(['insufficient_lots', 'missing_basis'])
+    })
+  })
+
+  describe('Schedule D totals', () => {
+    it('should total each part and combine them', () => {
+      const report = taxFormReportService.generateForm8949Report(HISTORY, { taxYear: 2025 })
+
+      expect(report.shortTerm.totals).toEqual({ proceeds: 50000, costBasis: 60000, adjustmentAmount: 5000, gainOrLoss: -5000 })
+      expect(report.scheduleD).toEqual({
+        shortTermLine: '3',
+        longTermLine: '10',
+        netShortTerm: -5000,
+        netLongTerm: 50000,
+        netGainOrLoss: 45000
+      })
+    })
+  })
+
+  describe('Exports', () => {
+    const report = taxFormReportService.generateForm8949Report(HISTORY, { taxYear: 2025, name: '<Jane & Co>' })
+
+    it('should export CSV rows with part totals', () => {
+      const file = taxFormReportService.exportReport(report, REPORT_FORMATS.CSV)
+      const lines = file.content.trim().split('\r\n')
+
+      expect(file.filename).toBe('diboas-form-8949-2025.csv')
+      expect(lines[0]).toContain('(a) Description of property')
+      expect(lines).toHaveLength(5)
+      expect(lines[1]).toContain(',W,5000,-5000')
+      expect(lines[2]).toContain('Totals (Schedule D line 3)')
+    })
+
+    it('should export printable, escaped HTML', () => {
+      const file = taxFormReportService.exportReport(report, REPORT_FORMATS.HTML)
+
+      expect(file.mimeType).toContain('text/html')
+      expect(file.content).toContain('@media print')
+      expect(file.content).toContain('&lt;Jane &amp; Co&gt;')
+      expect(file.content).toContain('(5,000.00)')
+      expect(file.content).toContain('Line 16')
+    })
+
+    it('should reject unsupported formats', () => {
+      expect(() => taxFormReportService.exportReport(report, 'pdf')).toThrow('Unsupported report format: pdf')
+    })
+  })
+})
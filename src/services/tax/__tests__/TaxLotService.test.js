@@ -0,0 +1,215 @@
+/**
+ * Tax Lot Service Tests
+ * Tests lot building, FIFO/LIFO/HIFO/specific-ID relief and holding periods
+ */
+
+import { describe, it, expect } from 'vitest'
+import { taxLotService, LOT_METHODS, HOLDING_PERIODS } from '../TaxLotService.js'
+import { taxOptimizationService } from '../TaxOptimizationService.js'
+
+const buy = (id, createdAt, quantity, amount, fees = 0) => ({
+  id, type: 'buy', asset: 'BTC', createdAt, quantity, amount, fees: { total: fees }, status: 'completed'
+})
+
+const sell = (id, createdAt, quantity, amount, fees = 0, extra = {}) => ({
+  id, type: 'sell', asset: 'BTC', createdAt, quantity, amount, fees: { total: fees }, status: 'completed', ...extra
+})
+
+// Three lots at rising then falling prices
+const HISTORY = [
+  buy('lot_a', '2024-01-10T00:00:00.000Z', 1, 40100, 100),
+  buy('lot_b', '2024-06-10T00:00:00.000Z', 1, 60000),
+  buy('lot_c', '2025-02-10T00:00:00.000Z', 1, 50000),
+  sell('sale_1', '2025-03-01T00:00:00.000Z', 1.5, 82500, 75)
+]
+
+describe('TaxLotService', () => {
+  describe('Lot relief methods', () => {
+    it('should relieve the oldest lots first with FIFO', () => {
+      const { disposals, lots } = taxLotService.processTransactions(HISTORY, { method: LOT_METHODS.FIFO })
+
+      expect(disposals.map(disposal => [disposal.lotId, disposal.quantity])).toEqual([['lot_a', 1], ['lot_b', 0.5]])
+      expect(disposals[0].costBasis).toBe(40100) // Gross amount paid, fee included
+      expect(disposals[1].costBasis).toBe(30000)
+      expect(lots.BTC.map(lot => [lot.id, lot.quantity])).toEqual([['lot_b', 0.5], ['lot_c', 1]])
+    })
+
+    it('should relieve the newest lots first with LIFO', () => {
+      const { disposals } = taxLotService.processTransactions(HISTORY, { method: LOT_METHODS.LIFO })
+
+      expect(disposals.map(disposal => [disposal.lotId, disposal.quantity])).toEqual([['lot_c', 1], ['lot_b', 0.5]])
+    })
+
+    it('should relieve the highest-cost lots first with HIFO', () => {
+      const { disposals } = taxLotService.processTransactions(HISTORY, { method: LOT_METHODS.HIFO })
+
+      expect(disposals.map(disposal => [disposal.lotId, disposal.quantity])).toEqual([['lot_b', 1], ['lot_c', 0.5]])
+    })
+
+    it('should relieve selected lots with specific identification', () => {
+      const { disposals } = taxLotService.processTransactions(HISTORY, {
+        method: LOT_METHODS.SPECIFIC_ID,
+        lotSelections: { sale_1: [{ lotId: 'lot_c', quantity: 1 }, { lotId: 'lot_a', quantity: 0.5 }] }
+      })
+
+      expect(disposals.map(disposal => [disposal.lotId, disposal.quantity])).toEqual([['lot_c', 1], ['lot_a', 0.5]])
+      expect(disposals[1].costBasis).toBe(20050)
+    })
+
+    it('should fall back to FIFO and report selections of unknown lots', () => {
+      const { disposals, issues } = taxLotService.processTransactions(HISTORY, {
+        method: LOT_METHODS.SPECIFIC_ID,
+        lotSelections: { sale_1: [{ lotId: 'missing', quantity: 1 }, { lotId: 'lot_c', quantity: 0.5 }] }
+      })
+
+      expect(disposals.map(disposal => [disposal.lotId, disposal.quantity])).toEqual([['lot_c', 0.5], ['lot_a', 1]])
+      expect(issues).toEqual([{ type: 'lot_not_found', transactionId: 'sale_1', asset: 'BTC', lotIds: ['missing'] }])
+    })
+
+    it('should split off the part of a lot that replaced a wash sale', () => {
+      const { disposals, lots } = taxLotService.processTransactions([
+        buy('lot_a', '2025-01-01T00:00:00.000Z', 1, 50000),
+        sell('loss', '2025-03-01T00:00:00.000Z', 1, 40000),
+        buy('lot_b', '2025-03-15T00:00:00.000Z', 2, 84000)
+      ], { washSales: true })
+
+      expect(disposals[0].washSale).toEqual({
+        disallowedLoss: 10000,
+        replacements: [{ transactionId: 'lot_b', quantity: 1, disallowedLoss: 10000 }]
+      })
+      expect(lots.BTC.map(lot => [lot.id, lot.quantity, lot.costBasis, lot.acquiredAt])).toEqual([
+        ['lot_b', 1, 42000, '2025-03-15T00:00:00.000Z'],
+        ['lot_b:loss', 1, 52000, '2025-01-15T00:00:00.000Z']
+      ])
+    })
+
+    it('should report the same wash sale replacements as the lot engine', () => {
+      const history = [
+        buy('lot_a', '2025-01-01T00:00:00.000Z', 1, 50000),
+        sell('loss', '2025-03-01T00:00:00.000Z', 1, 40000),
+        buy('lot_b', '2025-03-15T00:00:00.000Z', 1, 42000),
+        buy('lot_c', '2025-05-01T00:00:00.000Z', 1, 45000)
+      ]
+      const { disposals } = taxLotService.processTransactions(history, { washSales: true })
+
+      const violations = taxOptimizationService.identifyWashSaleViolations(history, '2025-03-01T00:00:00.000Z', 'BTC')
+
+      expect(violations).toEqual([
+        { transactionId: 'lot_b', purchaseDate: '2025-03-15T00:00:00.000Z', amount: 42000, daysFromSale: 14, violation: true }
+      ])
+      expect(disposals[0].washSale.replacements.map(replacement => replacement.transactionId))
+        .toEqual(violations.map(violation => violation.transactionId))
+    })
+
+    it('should reject unsupported methods', () => {
+      expect(() => taxLotService.processTransactions(HISTORY, { method: 'average_cost' }))
+        .toThrow('Unsupported lot method: average_cost')
+    })
+  })
+
+  describe('Disposals', () => {
+    it('should allocate net proceeds across lots exactly', () => {
+      const { disposals } = taxLotService.processTransactions(HISTORY)
+
+      const totalProceeds = disposals.reduce((sum, disposal) => sum + disposal.proceeds, 0)
+      expect(totalProceeds).toBeCloseTo(82425, 2)
+      expect(disposals[0].proceeds).toBe(54950)
+      expect(disposals[1].proceeds).toBe(27475)
+    })
+
+    it('should classify holding periods by the one-year rule', () => {
+      expect(taxLotService.isLongTerm('2024-01-10T00:00:00.000Z', '2025-01-10T00:00:00.000Z')).toBe(false)
+      expect(taxLotService.isLongTerm('2024-01-10T00:00:00.000Z', '2025-01-11T00:00:00.000Z')).toBe(true)
+
+      const { disposals } = taxLotService.processTransactions(HISTORY)
+      expect(disposals[0].holdingPeriod).toBe(HOLDING_PERIODS.LONG_TERM)
+      expect(disposals[1].holdingPeriod).toBe(HOLDING_PERIODS.SHORT_TERM)
+    })
+
+    it('should flag sales without enough lots and use a zero basis', () => {
+      const { disposals, issues } = taxLotService.processTransactions([
+        buy('small', '2025-01-01T00:00:00.000Z', 0.5, 25000),
+        sell('oversold', '2025-02-01T00:00:00.000Z', 1, 60000)
+      ])
+
+      expect(issues).toEqual([expect.objectContaining({ type: 'insufficient_lots', uncoveredQuantity: 0.5 })])
+      expect(disposals[1]).toMatchObject({ lotId: null, costBasis: 0, basisMissing: true })
+    })
+
+    it('should move lots out on transfers without realizing gains', () => {
+      const { disposals, transfers, lots } = taxLotService.processTransactions([
+        buy('lot', '2025-01-01T00:00:00.000Z', 2, 100000),
+        { id: 'out', type: 'transfer', asset: 'BTC', quantity: 0.5, amount: 30000, createdAt: '2025-02-01T00:00:00.000Z' }
+      ])
+
+      expect(disposals).toHaveLength(0)
+      expect(transfers[0]).toMatchObject({ quantity: 0.5, costBasis: 25000 })
+      expect(lots.BTC[0].quantity).toBe(1.5)
+    })
+
+    it('should derive quantity from price when none was recorded', () => {
+      const { lots } = taxLotService.processTransactions([
+        { id: 'priced', type: 'buy', asset: 'ETH', amount: 1010, fees: { total: 10 }, price: 2000, createdAt: '2025-01-01T00:00:00.000Z' }
+      ])
+
+      expect(lots.ETH[0].quantity).toBe(0.5)
+      expect(lots.ETH[0].costBasis).toBe(1010)
+    })
+  })
+
+  describe('Realized gains', () => {
+    it('should summarize short- and long-term gains for a tax year', () => {
+      const realized = taxLotService.getRealizedGains(HISTORY, { taxYear: 2025 })
+
+      expect(realized.longTerm).toMatchObject({ count: 1, proceeds: 54950, costBasis: 40100, net: 14850 })
+      expect(realized.shortTerm).toMatchObject({ count: 1, proceeds: 27475, costBasis: 30000, net: -2525 })
+      expect(realized.net).toBe(12325)
+      expect(taxLotService.getRealizedGains(HISTORY, { taxYear: 2024 }).disposals).toHaveLength(0)
+    })
+
+    it('should feed realized gains into the tax liability calculation', async () => {
+      const taxAnalysis = await taxOptimizationService.calculateTaxLiability(
+        { positions: [], transactions: HISTORY },
+        { taxYear: 2025, annualIncome: 85000, filingStatus: 'single', lotMethod: LOT_METHODS.FIFO }
+      )
+
+      // Short-term loss offsets the long-term gain
+      expect(taxAnalysis.capitalGains.shortTerm).toBe(0)
+      expect(taxAnalysis.capitalGains.longTerm).toBeCloseTo(12325, 2)
+      expect(taxAnalysis.taxes.capitalGains).toBeCloseTo(12325 * 0.15, 2)
+      expect(taxAnalysis.realizedGains.disposals).toHaveLength(2)
+    })
+
+    it('should cap deductible net losses and carry the rest forward', async () => {
+      const taxAnalysis = await taxOptimizationService.calculateTaxLiability(
+        {
+          positions: [],
+          transactions: [
+            buy('loss_lot', '2025-01-01T00:00:00.000Z', 1, 50000),
+            sell('loss_sale', '2025-06-01T00:00:00.000Z', 1, 40000)
+          ]
+        },
+        { taxYear: 2025, annualIncome: 85000, filingStatus: 'single' }
+      )
+
+      expect(taxAnalysis.capitalGains.net).toBe(0)
+      expect(taxAnalysis.capitalLosses).toBe(10000)
+      expect(taxAnalysis.capitalLossCarryforward).toBe(7000)
+    })
+  })
+
+  describe('Open positions', () => {
+    it('should value open lots at current prices with acquisition dates', () => {
+      const [position] = taxLotService.getOpenPositions(HISTORY, { prices: { BTC: 45000 } })
+
+      expect(position).toMatchObject({
+        asset: 'BTC',
+        quantity: 1.5,
+        costBasis: 80000,
+        currentValue: 67500,
+        purchaseDate: '2024-06-10T00:00:00.000Z',
+        lastPurchaseDate: '2025-02-10T00:00:00.000Z'
+      })
+    })
+  })
+})
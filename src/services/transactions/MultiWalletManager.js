@@ -5,6 +5,9 @@
 
 import { safeGetJSON, safeSetJSON } from '../../utils/localStorageHelper.js'
 import logger from '../../utils/logger'
+import { globalEventOrchestrator } from '../../infrastructure/EventOrchestrator.js'
+import { getChainTokens } from '../integrations/onchain/tokenRegistry.js'
+import { dataManager } from '../DataManager.js'
 
 export class MultiWalletManager {
   constructor() {
@@ -21,6 +24,7 @@ export class MultiWalletManager {
       SOL: { symbol: 'SOL', decimals: 9, usdPrice: 98.50 },
       SUI: { symbol: 'SUI', decimals: 9, usdPrice: 3.45 },
       USDC: { symbol: 'USDC', decimals: 6, usdPrice: 1.00 },
+      USDT: { symbol: 'USDT', decimals: 6, usdPrice: 1.00 },
       GOLD: { symbol: 'GOLD', decimals: 6, usdPrice: 2045.30 }, // Price per oz of tokenized gold
       STOCKS: { symbol: 'STOCKS', decimals: 6, usdPrice: 1.00 } // $1 per $1 of tokenized stocks
     }
@@ -28,6 +32,14 @@ export class MultiWalletManager {
     this.balanceCache = new Map()
     this.lastUpdate = 0
     this.CACHE_DURATION = 30000 // 30 seconds
+
+    // Routing compensations are registered by name so routings interrupted by a reload can still be undone
+    globalEventOrchestrator.registerAction('reverse-routing-source-swap', ({ data }) =>
+      this.reverseAssetSwap(data.userId, data.fromChain, data.fromAsset, data.fromAmount, data.estimatedFees?.swap || 0)
+    )
+    globalEventOrchestrator.registerAction('reverse-routing-bridge', ({ data }) =>
+      this.executeBridge(data.userId, data.toChain, data.fromChain, 'USDC', data.toAmount)
+    )
   }
 
   /**
@@ -87,6 +99,7 @@ export class MultiWalletManager {
       const unifiedBalance = {
         totalUSD: 0,
         breakdown: {},
+        tokens: {},
         assets: {},
         availableForSpending: 0,
         lastUpdated: now
@@ -97,9 +110,31 @@ export class MultiWalletManager {
         const chain = Object.keys(this.wallets)[index]
         const chainConfig = this.wallets[chain]
         
+        const chainTokens = getChainTokens(chainConfig.chain)
+        const tokens = {}
+
+        Object.entries(chainBalance.tokens || {}).forEach(([symbol, amount]) => {
+          const usdValue = amount * (this.assets[symbol]?.usdPrice || 0)
+          tokens[symbol] = {
+            amount,
+            usdValue,
+            address: chainTokens[symbol].address,
+            standard: chainTokens[symbol].standard
+          }
+
+          // The same symbol on several chains is one entry with a per-chain split
+          if (!unifiedBalance.tokens[symbol]) {
+            unifiedBalance.tokens[symbol] = { amount: 0, usdValue: 0, chains: {} }
+          }
+          unifiedBalance.tokens[symbol].amount += amount
+          unifiedBalance.tokens[symbol].usdValue += usdValue
+          unifiedBalance.tokens[symbol].chains[chain] = amount
+        })
+
         unifiedBalance.breakdown[chain] = {
           native: chainBalance.native,
           usdc: chainBalance.usdc || 0,
+          tokens,
           usdValue: chainBalance.usdValue,
           availableNative: Math.max(0, chainBalance.native - chainConfig.gasReserve)
         }
@@ -146,13 +181,14 @@ export class MultiWalletManager {
 
     try {
       // Simulate balance retrieval from blockchain
-      const mockBalance = this.generateMockBalance(chain)
+      const mockBalance = this.generateMockBalance(chain, userId)
       
       return {
         chain,
         address: wallet.address,
         native: mockBalance.native,
-        usdc: mockBalance.usdc,
+        usdc: mockBalance.tokens.USDC || 0,
+        tokens: mockBalance.tokens,
         assets: mockBalance.assets,
         usdValue: this.calculateUSDValue(chain, mockBalance),
         gasReserve: wallet.gasReserve
@@ -270,29 +306,49 @@ export class MultiWalletManager {
 
   /**
    * Execute cross-chain routing
+   * Runs as a saga so a failed later leg (e.g. the target swap) unwinds the
+   * legs that already went through instead of leaving funds half-routed
    */
   async executeRouting(userId, routingOption) {
     try {
       const { fromChain, fromAsset, fromAmount, toChain, toAsset, toAmount } = routingOption
+      const steps = []
 
       // Step 1: Sell/swap source asset if needed
       if (fromAsset !== 'USDC') {
-        await this.executeAssetSwap(userId, fromChain, fromAsset, fromAmount, 'USDC')
+        steps.push({
+          name: 'source-swap',
+          action: () => this.executeAssetSwap(userId, fromChain, fromAsset, fromAmount, 'USDC'),
+          compensation: 'reverse-routing-source-swap'
+        })
       }
 
       // Step 2: Bridge to target chain if different
       if (fromChain !== toChain) {
-        await this.executeBridge(userId, fromChain, toChain, 'USDC', toAmount)
+        steps.push({
+          name: 'bridge',
+          action: () => this.executeBridge(userId, fromChain, toChain, 'USDC', toAmount),
+          compensation: 'reverse-routing-bridge'
+        })
       }
 
       // Step 3: Swap to target asset if needed
       if (toAsset !== 'USDC') {
-        await this.executeAssetSwap(userId, toChain, 'USDC', toAmount, toAsset)
+        steps.push({
+          name: 'target-swap',
+          action: () => this.executeAssetSwap(userId, toChain, 'USDC', toAmount, toAsset)
+        })
+      }
+
+      let processId = null
+      if (steps.length > 0) {
+        ({ processId } = await globalEventOrchestrator.runSaga('cross-chain-routing', steps, { userId, ...routingOption }))
       }
 
       return {
         success: true,
         transactionId: `routing_${Date.now()}`,
+        processId,
         route: routingOption,
         executedAt: new Date().toISOString()
       }
@@ -303,11 +359,20 @@ export class MultiWalletManager {
 
   /**
    * Update balances after transaction
+   * The balance change is journaled by DataManager's double-entry ledger like
+   * any other transaction; the per-chain balances below are the wallets' view of it
    */
   async updateBalances(userId, transactionData) {
     const { type, amount, netAmount, fees, fromChain, toChain, asset } = transactionData
 
     try {
+      // Only deposits credit the amount net of fees; everything else is journaled from the gross amount
+      await dataManager.updateBalance({
+        ...transactionData,
+        userId,
+        netAmount: type === 'add' ? netAmount : undefined
+      })
+
       // Clear balance cache to force refresh
       this.balanceCache.delete(`balance_${userId}`)
 
@@ -399,13 +464,14 @@ export class MultiWalletManager {
     
     // Update the specific balance
     if (!currentBalances[chain]) {
-      currentBalances[chain] = { native: 0, usdc: 0 }
+      currentBalances[chain] = { native: 0, tokens: {} }
     }
     
-    if (asset === 'USDC') {
+    if (this.isChainToken(chain, asset)) {
       // For 'add' transactions, we add the net amount (amount - fees)
       const netAmount = parseFloat(amount)
-      currentBalances[chain].usdc = (currentBalances[chain].usdc || 0) + netAmount
+      const tokens = currentBalances[chain].tokens
+      tokens[asset] = (tokens[asset] || 0) + netAmount
     } else if (asset === chain) {
       currentBalances[chain].native = (currentBalances[chain].native || 0) + parseFloat(amount)
     }
@@ -422,11 +488,12 @@ export class MultiWalletManager {
     
     // Update the specific balance
     if (!currentBalances[chain]) {
-      currentBalances[chain] = { native: 0, usdc: 0 }
+      currentBalances[chain] = { native: 0, tokens: {} }
     }
     
-    if (asset === 'USDC') {
-      currentBalances[chain].usdc = Math.max(0, (currentBalances[chain].usdc || 0) - parseFloat(amount))
+    if (this.isChainToken(chain, asset)) {
+      const tokens = currentBalances[chain].tokens
+      tokens[asset] = Math.max(0, (tokens[asset] || 0) - parseFloat(amount))
     } else if (asset === chain) {
       currentBalances[chain].native = Math.max(0, (currentBalances[chain].native || 0) - parseFloat(amount))
     }
@@ -440,6 +507,15 @@ export class MultiWalletManager {
     logger.debug(`Swapped ${fromAmount} ${fromAsset} to ${toAsset} on ${chain}`)
   }
 
+  /**
+   * Undo a swap out of an asset: the full amount swapped comes back, and the
+   * swap fee the user paid is refunded rather than charged a second time
+   */
+  async reverseAssetSwap(userId, chain, asset, amount, feeRefund = 0) {
+    // Simulate restoring the source position
+    logger.debug(`Returned ${amount} ${asset} plus ${feeRefund} USDC of swap fees on ${chain}`)
+  }
+
   async executeBridge(userId, fromChain, toChain, asset, amount) {
     // Simulate cross-chain bridge
     logger.debug(`Bridged ${amount} ${asset} from ${fromChain} to ${toChain}`)
@@ -486,7 +562,7 @@ export class MultiWalletManager {
     
     // Ensure SOL chain exists (where we store investment assets)
     if (!storedBalances.SOL) {
-      storedBalances.SOL = { native: 125.5, usdc: 15000 }
+      storedBalances.SOL = { native: 125.5, tokens: { USDC: 15000 } }
     }
     if (!storedBalances.SOL.assets) {
       storedBalances.SOL.assets = {}
@@ -536,25 +612,85 @@ export class MultiWalletManager {
   getStoredBalances(userId) {
     const stored = localStorage.getItem(`diboas_balances_${userId}`)
     if (stored) {
-      return JSON.parse(stored)
+      const balances = JSON.parse(stored)
+      const stranded = []
+      Object.keys(balances).forEach(chain => {
+        balances[chain] = this.normalizeChainBalance(chain, balances[chain], stranded)
+      })
+      if (stranded.length > 0) {
+        this.rehomeStrandedTokens(balances, stranded)
+        this.storeBalances(userId, balances)
+      }
+      return balances
     }
     
     // Return default balances if none stored
     return {
-      BTC: { native: 0.5, usdc: 2500 },
-      ETH: { native: 2.3, usdc: 5000 },
+      BTC: { native: 0.5, tokens: {} },
+      ETH: { native: 2.3, tokens: { USDC: 5000 } },
       SOL: { 
         native: 125.5, 
-        usdc: 15000,
+        tokens: { USDC: 15000 },
         assets: {
           GOLD: 0.5, // 0.5 oz tokenized gold
           STOCKS: 1250 // $1250 in tokenized stocks
         }
       },
-      SUI: { native: 2890.7, usdc: 8000 }
+      SUI: { native: 2890.7, tokens: { USDC: 8000 } }
     }
   }
 
+  /**
+   * Balances stored before per-token tracking kept one usdc figure per chain;
+   * fold it into tokens and collect tokens the chain does not carry in stranded
+   */
+  normalizeChainBalance(chain, balance = {}, stranded = []) {
+    const { usdc, tokens = {}, ...rest } = balance
+    const merged = { ...(usdc ? { USDC: usdc } : {}), ...tokens }
+    const carried = {}
+
+    Object.entries(merged).forEach(([symbol, amount]) => {
+      if (this.isChainToken(chain, symbol)) {
+        carried[symbol] = amount
+      } else if (amount > 0) {
+        stranded.push({ chain, symbol, amount })
+      }
+    })
+
+    return {
+      ...rest,
+      native: rest.native || 0,
+      tokens: carried
+    }
+  }
+
+  /**
+   * Move legacy token balances off chains that do not carry the token, onto
+   * SOL where spendable funds live or else the first chain that carries it.
+   * Balances no chain carries are kept under legacyTokens rather than lost
+   */
+  rehomeStrandedTokens(balances, stranded) {
+    const chains = ['SOL', ...Object.keys(this.wallets).filter(chain => chain !== 'SOL')]
+
+    stranded.forEach(({ chain, symbol, amount }) => {
+      const target = chains.find(candidate => this.isChainToken(candidate, symbol))
+
+      if (target) {
+        balances[target] = balances[target] || { native: 0, tokens: {} }
+        balances[target].tokens[symbol] = (balances[target].tokens[symbol] || 0) + amount
+        logger.info(`Moved legacy ${amount} ${symbol} from ${chain} to ${target}`)
+      } else {
+        balances[chain].legacyTokens = { ...balances[chain].legacyTokens, [symbol]: (balances[chain].legacyTokens?.[symbol] || 0) + amount }
+        logger.warn(`Kept legacy ${amount} ${symbol} on ${chain}: no chain carries it`)
+      }
+    })
+  }
+
+  isChainToken(chain, asset) {
+    const wallet = this.wallets[chain]
+    return Boolean(wallet && getChainTokens(wallet.chain)[asset])
+  }
+
   /**
    * Store balances for user (persistent demo storage)
    */
@@ -637,16 +773,15 @@ export class MultiWalletManager {
   /**
    * Generate mock balance for demo (now uses stored balances)
    */
-  generateMockBalance(chain) {
-    // For demo user, use stored balances
-    const userId = 'demo_user_12345'
+  generateMockBalance(chain, userId = 'demo_user_12345') {
+    // Use the stored balances of the requested user profile
     const storedBalances = this.getStoredBalances(userId)
     
-    const base = storedBalances[chain] || { native: 0, usdc: 0 }
+    const base = storedBalances[chain] || { native: 0, tokens: {} }
     
     return {
       native: base.native,
-      usdc: base.usdc,
+      tokens: base.tokens || {},
       assets: base.assets || {}
     }
   }
@@ -659,7 +794,11 @@ export class MultiWalletManager {
     const nativePrice = this.assets[nativeAsset]?.usdPrice || 0
     
     let totalValue = balance.native * nativePrice
-    totalValue += balance.usdc || 0
+    
+    // Add token values (stablecoins on this chain)
+    Object.entries(balance.tokens || {}).forEach(([symbol, amount]) => {
+      totalValue += amount * (this.assets[symbol]?.usdPrice || 0)
+    })
     
     // Add asset values
     Object.entries(balance.assets || {}).forEach(([asset, amount]) => {
@@ -0,0 +1,377 @@
+/**
+ * Transaction Export Service
+ * Exports the (filtered) transaction history to CSV, JSON and OFX/QFX so users
+ * can reconcile with spreadsheets and personal-finance tools
+ */
+
+import { dataManager } from '../DataManager.js'
+import { filterTransactions, DEFAULT_TRANSACTION_FILTERS } from '../../utils/transactionFilters.js'
+import logger from '../../utils/logger'
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+  OFX: 'ofx',
+  QFX: 'qfx'
+}
+
+const MIME_TYPES = {
+  [EXPORT_FORMATS.CSV]: 'text/csv;charset=utf-8',
+  [EXPORT_FORMATS.JSON]: 'application/json',
+  [EXPORT_FORMATS.OFX]: 'application/x-ofx',
+  [EXPORT_FORMATS.QFX]: 'application/vnd.intu.qfx'
+}
+
+// Money entering the diBoaS account is positive, money leaving it is negative.
+// Inflows are signed by what was credited after fees, matching the ledger
+const INFLOW_TYPES = ['add', 'receive', 'sell', 'unstake', 'yield', 'stop_strategy', 'loan_disbursement', 'chargeback_reversal']
+
+// Funded from the wallet when paid with it, otherwise straight from the external method
+const WALLET_FUNDED_TYPES = ['buy', 'start_strategy']
+
+// Chain settling each asset, matching the explorers used for mock transaction links
+const ASSET_CHAINS = {
+  BTC: 'BTC',
+  ETH: 'ETH',
+  PAXG: 'ETH',
+  XAUT: 'ETH',
+  SUI: 'SUI'
+}
+
+const CSV_COLUMNS = [
+  { header: 'Date', key: 'date' },
+  { header: 'Transaction ID', key: 'id' },
+  { header: 'Type', key: 'type' },
+  { header: 'Category', key: 'category' },
+  { header: 'Status', key: 'status' },
+  { header: 'Description', key: 'description' },
+  { header: 'Asset', key: 'asset' },
+  { header: 'Amount', key: 'amount' },
+  { header: 'Net Amount', key: 'netAmount' },
+  { header: 'Signed Amount', key: 'signedAmount' },
+  { header: 'Currency', key: 'currency' },
+  { header: 'Payment Method', key: 'paymentMethod' },
+  { header: 'diBoaS Fee', key: 'fees.platform' },
+  { header: 'Network Fee', key: 'fees.network' },
+  { header: 'Provider Fee', key: 'fees.provider' },
+  { header: 'DEX Fee', key: 'fees.dex' },
+  { header: 'DeFi Fee', key: 'fees.defi' },
+  { header: 'Total Fees', key: 'fees.total' },
+  { header: 'Chain', key: 'chain' },
+  { header: 'Transaction Hash', key: 'txHash' },
+  { header: 'Explorer Link', key: 'explorerLink' }
+]
+
+// Placeholder Intuit bank ID until diBoaS is registered for Quicken Web Connect
+const QFX_BANK_ID = '00000'
+
+// OFX transaction types per diBoaS transaction type
+const OFX_TRANSACTION_TYPES = {
+  add: 'DEP',
+  receive: 'CREDIT',
+  send: 'DEBIT',
+  withdraw: 'XFER', // Transfers out to a bank account or external wallet
+  buy: 'DEBIT',
+  sell: 'CREDIT',
+  yield: 'INT'
+}
+
+class TransactionExportService {
+  /**
+   * Export transactions matching a filter set
+   * @param {Object} options
+   * @param {string} options.format - One of EXPORT_FORMATS
+   * @param {Object} options.filters - Active filter set ({ searchQuery, category, period, secondaryFilter })
+   * @param {Array} options.transactions - Source transactions (defaults to DataManager history)
+   * @param {Date} options.now - Export time (defaults to now)
+   * @returns {Object} { filename, mimeType, content, count }
+   */
+  exportTransactions({ format = EXPORT_FORMATS.CSV, filters = {}, transactions, now = new Date() } = {}) {
+    if (!Object.values(EXPORT_FORMATS).includes(format)) {
+      throw new Error(`Unsupported export format: ${format}`)
+    }
+
+    const activeFilters = { ...DEFAULT_TRANSACTION_FILTERS, ...filters }
+    const sourceTransactions = transactions || dataManager.getTransactions()
+    const records = []
+    const skipped = []
+    filterTransactions(sourceTransactions, activeFilters, now).forEach(transaction => {
+      const record = this.normalizeTransaction(transaction)
+      if (record) {
+        records.push(record)
+      } else {
+        skipped.push(transaction.id)
+      }
+    })
+
+    if (skipped.length > 0) {
+      logger.warn(`Skipped ${skipped.length} transaction(s) without a valid date from the export:`, skipped)
+    }
+
+    let content
+    switch (format) {
+      case EXPORT_FORMATS.JSON:
+        content = this.toJSON(records, activeFilters, now)
+        break
+      case EXPORT_FORMATS.OFX:
+      case EXPORT_FORMATS.QFX:
+        content = this.toOFX(records, now, format === EXPORT_FORMATS.QFX)
+        break
+      case EXPORT_FORMATS.CSV:
+      default:
+        content = this.toCSV(records)
+    }
+
+    return {
+      filename: `diboas-transactions-${now.toISOString().slice(0, 10)}.${format}`,
+      mimeType: MIME_TYPES[format],
+      content,
+      count: records.length,
+      skipped
+    }
+  }
+
+  /**
+   * Export and trigger a browser download
+   * @returns {Object} Export result (see exportTransactions)
+   */
+  downloadTransactions(options = {}) {
+    const result = this.exportTransactions(options)
+    this.downloadFile(result)
+    return result
+  }
+
+  /**
+   * Trigger a browser download for generated file content
+   * @param {Object} file - { filename, mimeType, content }
+   * @returns {boolean} Whether a download was started
+   */
+  downloadFile({ filename, mimeType, content }) {
+    if (typeof document === 'undefined' || typeof URL?.createObjectURL !== 'function') {
+      logger.warn('File download is not available in this environment')
+      return false
+    }
+
+    const blob = new Blob([content], { type: mimeType })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    URL.revokeObjectURL(url)
+
+    return true
+  }
+
+  /**
+   * Flatten a stored transaction into an export record
+   * @returns {Object|null} Export record, or null when the transaction has no valid date
+   */
+  normalizeTransaction(transaction) {
+    const date = new Date(transaction.createdAt || transaction.timestamp)
+    if (Number.isNaN(date.getTime())) {
+      return null
+    }
+
+    const fees = transaction.fees || {}
+    const amount = this.toNumber(transaction.amount)
+    const txHash = transaction.txHash || transaction.transactionHash || ''
+    const asset = transaction.asset || 'USDC'
+
+    return {
+      id: transaction.id,
+      date: date.toISOString(),
+      type: transaction.type,
+      category: transaction.category || '',
+      status: transaction.status || 'completed',
+      description: transaction.description || '',
+      asset,
+      amount,
+      netAmount: transaction.netAmount !== undefined ? this.toNumber(transaction.netAmount) : '',
+      signedAmount: this.getSignedAmount(transaction, amount),
+      currency: transaction.currency || 'USD',
+      paymentMethod: transaction.paymentMethod || '',
+      fees: {
+        platform: this.toNumber(fees.diBoaS ?? fees.diboas ?? fees.platformFee),
+        network: this.toNumber(fees.network ?? fees.networkFee),
+        provider: this.toNumber(fees.provider ?? fees.providerFee),
+        dex: this.toNumber(fees.dex ?? fees.dexFee),
+        defi: this.toNumber(fees.defi ?? fees.defiFee),
+        total: this.toNumber(fees.total)
+      },
+      chain: transaction.chain || ASSET_CHAINS[asset] || 'SOL',
+      txHash,
+      explorerLink: transaction.explorerLink ||
+        (txHash ? dataManager.generateMockTransactionLink(txHash, transaction.type, asset) : '')
+    }
+  }
+
+  /**
+   * RFC 4180 CSV with a header row
+   */
+  toCSV(records) {
+    const header = CSV_COLUMNS.map(column => this.escapeCSV(column.header)).join(',')
+    const rows = records.map(record =>
+      CSV_COLUMNS.map(column => this.escapeCSV(this.getField(record, column.key))).join(',')
+    )
+    return [header, ...rows].join('\r\n') + '\r\n'
+  }
+
+  toJSON(records, filters, now) {
+    return JSON.stringify({
+      exportedAt: now.toISOString(),
+      userId: dataManager.getCurrentUserId(),
+      filters,
+      count: records.length,
+      transactions: records
+    }, null, 2)
+  }
+
+  /**
+   * OFX 1.0.2 (SGML) bank statement; QFX adds the Intuit headers Quicken expects
+   */
+  toOFX(records, now, isQFX = false) {
+    const dates = records.map(record => new Date(record.date))
+    const startDate = dates.length > 0 ? new Date(Math.min(...dates)) : now
+    const endDate = dates.length > 0 ? new Date(Math.max(...dates)) : now
+
+    // Transactions paid entirely from an external method never touched the account
+    const transactionBlocks = records
+      .filter(record => record.status === 'completed' && record.signedAmount !== 0)
+      .map(record => [
+        '<STMTTRN>',
+        `<TRNTYPE>${OFX_TRANSACTION_TYPES[record.type] || (record.signedAmount >= 0 ? 'CREDIT' : 'DEBIT')}`,
+        `<DTPOSTED>${this.formatOFXDate(new Date(record.date))}`,
+        `<TRNAMT>${record.signedAmount.toFixed(2)}`,
+        `<FITID>${this.escapeOFX(record.id)}`,
+        // NAME is capped at 32 characters of text, so truncate before escaping splits an entity
+        `<NAME>${this.escapeOFX(String(record.description || record.type).slice(0, 32))}`,
+        `<MEMO>${this.escapeOFX(this.buildOFXMemo(record))}`,
+        '</STMTTRN>'
+      ].join('\n'))
+
+    const balance = dataManager.getBalance()
+
+    return [
+      'OFXHEADER:100',
+      'DATA:OFXSGML',
+      'VERSION:102',
+      'SECURITY:NONE',
+      'ENCODING:USASCII',
+      'CHARSET:1252',
+      'COMPRESSION:NONE',
+      'OLDFILEUID:NONE',
+      'NEWFILEUID:NONE',
+      '',
+      '<OFX>',
+      '<SIGNONMSGSRSV1>',
+      '<SONRS>',
+      '<STATUS>',
+      '<CODE>0',
+      '<SEVERITY>INFO',
+      '</STATUS>',
+      `<DTSERVER>${this.formatOFXDate(now)}`,
+      '<LANGUAGE>ENG',
+      ...(isQFX ? ['<FI>', '<ORG>diBoaS', `<FID>${QFX_BANK_ID}`, '</FI>', `<INTU.BID>${QFX_BANK_ID}`] : []),
+      '</SONRS>',
+      '</SIGNONMSGSRSV1>',
+      '<BANKMSGSRSV1>',
+      '<STMTTRNRS>',
+      '<TRNUID>1',
+      '<STATUS>',
+      '<CODE>0',
+      '<SEVERITY>INFO',
+      '</STATUS>',
+      '<STMTRS>',
+      '<CURDEF>USD',
+      '<BANKACCTFROM>',
+      '<BANKID>DIBOAS',
+      `<ACCTID>${this.escapeOFX(dataManager.getCurrentUserId())}`,
+      '<ACCTTYPE>CHECKING',
+      '</BANKACCTFROM>',
+      '<BANKTRANLIST>',
+      `<DTSTART>${this.formatOFXDate(startDate)}`,
+      `<DTEND>${this.formatOFXDate(endDate)}`,
+      ...transactionBlocks,
+      '</BANKTRANLIST>',
+      '<LEDGERBAL>',
+      `<BALAMT>${this.toNumber(balance?.availableForSpending).toFixed(2)}`,
+      `<DTASOF>${this.formatOFXDate(now)}`,
+      '</LEDGERBAL>',
+      '</STMTRS>',
+      '</STMTTRNRS>',
+      '</BANKMSGSRSV1>',
+      '</OFX>',
+      ''
+    ].join('\n')
+  }
+
+  /**
+   * Private helpers
+   */
+
+  /**
+   * Effect of a transaction on the account balance: inflows add what was credited
+   * after fees, outflows take the gross amount
+   */
+  getSignedAmount(transaction, amount) {
+    if (INFLOW_TYPES.includes(transaction.type)) {
+      return transaction.netAmount !== undefined ? this.toNumber(transaction.netAmount) : amount
+    }
+    if (WALLET_FUNDED_TYPES.includes(transaction.type) && transaction.paymentMethod !== 'diboas_wallet') {
+      return 0
+    }
+    return -amount
+  }
+
+  buildOFXMemo(record) {
+    const parts = [`${record.type} ${record.asset}`]
+    if (record.fees.total > 0) {
+      parts.push(`fees ${record.fees.total.toFixed(2)}`)
+    }
+    if (record.txHash) {
+      parts.push(`${record.chain} tx ${record.txHash}`)
+    }
+    return parts.join(' | ')
+  }
+
+  getField(record, key) {
+    return key.split('.').reduce((value, part) => value?.[part], record)
+  }
+
+  escapeCSV(value) {
+    if (value === null || value === undefined) {
+      return ''
+    }
+
+    let text = String(value)
+    // SECURITY: Neutralize spreadsheet formulas in free-text fields
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+
+  escapeOFX(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/[\r\n]+/g, ' ')
+  }
+
+  formatOFXDate(date) {
+    return date.toISOString().replace(/[-:T]/g, '').slice(0, 14)
+  }
+
+  toNumber(value) {
+    const parsed = parseFloat(value)
+    return Number.isFinite(parsed) ? parsed : 0
+  }
+}
+
+export const transactionExportService = new TransactionExportService()
+export default transactionExportService
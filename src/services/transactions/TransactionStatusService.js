@@ -39,6 +39,17 @@ const TRANSACTION_TIMING = {
   SELL: { min: 1500, max: 2500, confirmations: 1 }
 }
 
+// Native asset of each chain, so tokens moved on a chain wait for that chain's confirmations
+const CHAIN_NATIVE_ASSETS = {
+  BTC: 'BTC',
+  BITCOIN: 'BTC',
+  ETH: 'ETH',
+  ETHEREUM: 'ETH',
+  SOL: 'SOL',
+  SOLANA: 'SOL',
+  SUI: 'SUI'
+}
+
 /**
  * Transaction Status Service Class
  */
@@ -437,11 +448,15 @@ export class TransactionStatusService {
    */
   getRequiredConfirmations(transactionData) {
     const assetTiming = TRANSACTION_TIMING[transactionData.asset]
+    const chainTiming = TRANSACTION_TIMING[CHAIN_NATIVE_ASSETS[transactionData.chain?.toUpperCase()]]
     const typeTiming = TRANSACTION_TIMING[transactionData.type?.toUpperCase()]
     
     if (assetTiming?.confirmations) {
       return assetTiming.confirmations
     }
+    if (chainTiming?.confirmations) {
+      return chainTiming.confirmations
+    }
     if (typeTiming?.confirmations) {
       return typeTiming.confirmations
     }
@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { MultiWalletManager } from '../MultiWalletManager.js'
+
+vi.mock('../../../utils/logger', () => ({
+  default: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}))
+
+describe('MultiWalletManager - Cross-chain routing', () => {
+  const routing = {
+    fromChain: 'ETH',
+    fromAsset: 'ETH',
+    fromAmount: 0.2,
+    toChain: 'SOL',
+    toAsset: 'SOL',
+    toAmount: 530,
+    estimatedFees: { swap: 1.59, total: 27.12 }
+  }
+  let walletManager
+
+  beforeEach(() => {
+    walletManager = new MultiWalletManager()
+  })
+
+  it('should run every leg of a route', async () => {
+    const swap = vi.spyOn(walletManager, 'executeAssetSwap')
+    const bridge = vi.spyOn(walletManager, 'executeBridge')
+
+    const result = await walletManager.executeRouting('user123', routing)
+
+    expect(result).toMatchObject({ success: true, processId: expect.stringMatching(/^cross-chain-routing_/) })
+    expect(swap.mock.calls).toEqual([
+      ['user123', 'ETH', 'ETH', 0.2, 'USDC'],
+      ['user123', 'SOL', 'USDC', 530, 'SOL']
+    ])
+    expect(bridge).toHaveBeenCalledWith('user123', 'ETH', 'SOL', 'USDC', 530)
+  })
+
+  it('should return the full source amount and swap fee when a later leg fails', async () => {
+    const reverseSwap = vi.spyOn(walletManager, 'reverseAssetSwap')
+    const bridge = vi.spyOn(walletManager, 'executeBridge')
+    vi.spyOn(walletManager, 'executeAssetSwap').mockImplementation(async (userId, chain, fromAsset) => {
+      if (fromAsset === 'USDC') throw new Error('Target swap failed')
+    })
+
+    await expect(walletManager.executeRouting('user123', routing)).rejects.toThrow('Routing execution failed')
+
+    expect(bridge).toHaveBeenLastCalledWith('user123', 'SOL', 'ETH', 'USDC', 530)
+    expect(reverseSwap).toHaveBeenCalledWith('user123', 'ETH', 'ETH', 0.2, 1.59)
+  })
+})
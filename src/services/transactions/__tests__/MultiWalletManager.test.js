@@ -11,6 +11,7 @@ vi.mock('../../DataManager.js', () => ({
   dataManager: {
     getBalance: vi.fn(),
     setBalance: vi.fn(),
+    updateBalance: vi.fn(),
     subscribe: vi.fn(() => vi.fn()), // Returns unsubscribe function
     emit: vi.fn()
   }
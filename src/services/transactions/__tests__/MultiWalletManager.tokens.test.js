@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { MultiWalletManager } from '../MultiWalletManager.js'
+import { getToken } from '../../integrations/onchain/tokenRegistry.js'
+
+vi.mock('../../../utils/logger', () => ({
+  default: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}))
+
+describe('MultiWalletManager - Token Balances', () => {
+  const userId = 'token_user'
+  let walletManager
+
+  beforeEach(() => {
+    localStorage.clear()
+    walletManager = new MultiWalletManager()
+  })
+
+  it('should break USDC down per chain', async () => {
+    const balance = await walletManager.getUnifiedBalance(userId)
+
+    expect(balance.tokens.USDC).toEqual({
+      amount: 28000,
+      usdValue: 28000,
+      chains: { ETH: 5000, SOL: 15000, SUI: 8000 }
+    })
+    expect(balance.breakdown.ETH.tokens.USDC).toMatchObject({ amount: 5000, address: getToken('ethereum', 'USDC').address, standard: 'erc20' })
+    expect(balance.breakdown.SOL.tokens.USDC.address).toBe(getToken('solana', 'USDC').address)
+    expect(balance.breakdown.BTC.tokens).toEqual({})
+    expect(balance.availableForSpending).toBe(15000)
+  })
+
+  it('should migrate balances stored as a single usdc figure', async () => {
+    localStorage.setItem(`diboas_balances_${userId}`, JSON.stringify({
+      BTC: { native: 0.5, usdc: 2500 },
+      ETH: { native: 1, usdc: 300 },
+      SOL: { native: 2, usdc: 700, assets: { GOLD: 0.1 } }
+    }))
+
+    const balance = await walletManager.getUnifiedBalance(userId)
+
+    // Bitcoin carries no USDC, so its legacy figure moves to Solana
+    expect(balance.tokens.USDC.chains).toEqual({ ETH: 300, SOL: 3200 })
+    expect(balance.breakdown.SOL.usdc).toBe(3200)
+    expect(balance.assets.GOLD.amount).toBe(0.1)
+
+    // The migration is stored, so it is applied once
+    expect(JSON.parse(localStorage.getItem(`diboas_balances_${userId}`)).BTC).toEqual({ native: 0.5, tokens: {} })
+    expect((await walletManager.getUnifiedBalance(userId, true)).tokens.USDC.amount).toBe(3500)
+  })
+
+  it('should keep legacy tokens no chain carries', () => {
+    localStorage.setItem(`diboas_balances_${userId}`, JSON.stringify({
+      BTC: { native: 0.5, tokens: { WBTC_OLD: 3 } }
+    }))
+
+    expect(walletManager.getStoredBalances(userId).BTC).toEqual({ native: 0.5, tokens: {}, legacyTokens: { WBTC_OLD: 3 } })
+  })
+
+  it('should move tokens on the chain they are held on', async () => {
+    await walletManager.addBalance(userId, 'ETH', 'USDT', 40)
+    await walletManager.subtractBalance(userId, 'SUI', 'USDC', 500)
+    await walletManager.addBalance(userId, 'SUI', 'USDT', 10) // Not carried on Sui
+
+    const balance = await walletManager.getUnifiedBalance(userId, true)
+
+    expect(balance.breakdown.ETH.tokens.USDT.amount).toBe(40)
+    expect(balance.tokens.USDC.chains.SUI).toBe(7500)
+    expect(balance.tokens.USDT.chains).toEqual({ ETH: 40 })
+  })
+})
@@ -0,0 +1,188 @@
+/**
+ * Transaction Export Service Tests
+ * Tests CSV, JSON and OFX/QFX output for filtered transaction history
+ */
+
+import { describe, it, expect } from 'vitest'
+import { transactionExportService, EXPORT_FORMATS } from '../TransactionExportService.js'
+
+const NOW = new Date('2026-03-31T12:00:00.000Z')
+
+const transactions = [
+  {
+    id: 'tx_add',
+    type: 'add',
+    category: 'banking',
+    status: 'completed',
+    description: 'Added $100 via card',
+    amount: 100,
+    netAmount: 98.5,
+    asset: 'USDC',
+    paymentMethod: 'credit_card',
+    fees: { total: 1.5, diBoaS: 0.09, network: 0.01, provider: 1.4 },
+    txHash: 'solhash123',
+    createdAt: '2026-03-30T10:00:00.000Z'
+  },
+  {
+    id: 'tx_buy',
+    type: 'buy',
+    category: 'investment',
+    status: 'completed',
+    description: 'Bought BTC, "long term"',
+    amount: 50,
+    asset: 'BTC',
+    paymentMethod: 'diboas_wallet',
+    fees: { total: 0.6, diBoaS: 0.05, dex: 0.5, network: 0.05 },
+    txHash: 'btchash456',
+    createdAt: '2026-03-20T10:00:00.000Z'
+  },
+  {
+    id: 'tx_old_send',
+    type: 'send',
+    category: 'banking',
+    status: 'completed',
+    description: '=HYPERLINK("http://evil")',
+    amount: 20,
+    asset: 'USDC',
+    fees: { total: 0.02 },
+    createdAt: '2025-12-01T10:00:00.000Z'
+  }
+]
+
+describe('TransactionExportService', () => {
+  it('should apply the active filter set before exporting', () => {
+    const result = transactionExportService.exportTransactions({
+      format: EXPORT_FORMATS.JSON,
+      filters: { category: 'banking', period: 'month' },
+      transactions,
+      now: NOW
+    })
+
+    const payload = JSON.parse(result.content)
+    expect(result.count).toBe(1)
+    expect(payload.filters).toMatchObject({ category: 'banking', period: 'month' })
+    expect(payload.transactions.map(tx => tx.id)).toEqual(['tx_add'])
+  })
+
+  it('should include fee breakdown, chain, hash and explorer link', () => {
+    const result = transactionExportService.exportTransactions({
+      format: EXPORT_FORMATS.JSON,
+      transactions,
+      now: NOW
+    })
+
+    const buy = JSON.parse(result.content).transactions.find(tx => tx.id === 'tx_buy')
+    expect(buy.fees).toEqual({ platform: 0.05, network: 0.05, provider: 0, dex: 0.5, defi: 0, total: 0.6 })
+    expect(buy.chain).toBe('BTC')
+    expect(buy.txHash).toBe('btchash456')
+    expect(buy.explorerLink).toBe('https://blockstream.info/tx/btchash456')
+    expect(buy.signedAmount).toBe(-50)
+  })
+
+  it('should produce quoted CSV with a header row', () => {
+    const result = transactionExportService.exportTransactions({
+      format: EXPORT_FORMATS.CSV,
+      transactions,
+      now: NOW
+    })
+
+    const lines = result.content.trim().split('\r\n')
+    expect(result.filename).toBe('diboas-transactions-2026-03-31.csv')
+    expect(result.mimeType).toContain('text/csv')
+    expect(lines).toHaveLength(4)
+    expect(lines[0]).toContain('Date,Transaction ID,Type')
+    expect(lines[0]).toContain('Explorer Link')
+    expect(lines[2]).toContain('"Bought BTC, ""long term"""')
+  })
+
+  it('should neutralize spreadsheet formulas in CSV text fields', () => {
+    const result = transactionExportService.exportTransactions({
+      format: EXPORT_FORMATS.CSV,
+      transactions,
+      now: NOW
+    })
+
+    expect(result.content).toContain('"\'=HYPERLINK(""http://evil"")"')
+    expect(result.content).toContain(',-20,')
+  })
+
+  it('should produce an OFX statement with signed amounts', () => {
+    const result = transactionExportService.exportTransactions({
+      format: EXPORT_FORMATS.OFX,
+      transactions,
+      now: NOW
+    })
+
+    expect(result.content.startsWith('OFXHEADER:100')).toBe(true)
+    expect(result.content).toContain('<FITID>tx_add')
+    expect(result.content).toContain('<TRNAMT>98.50')
+    expect(result.content).toContain('<TRNAMT>-50.00')
+    expect(result.content).toContain('<DTPOSTED>20260330100000')
+    expect(result.content).toContain('<DTSTART>20251201100000')
+    expect(result.content).not.toContain('INTU.BID')
+  })
+
+  it('should truncate OFX names before escaping and export withdrawals as transfers', () => {
+    const result = transactionExportService.exportTransactions({
+      format: EXPORT_FORMATS.OFX,
+      transactions: [{
+        id: 'tx_withdraw',
+        type: 'withdraw',
+        description: 'Withdrew to Smith & Sons Checking <primary>',
+        amount: 40,
+        createdAt: '2026-03-29T10:00:00.000Z'
+      }],
+      now: NOW
+    })
+
+    expect(result.content.match(/<NAME>([^\r\n]*)/)[1]).toBe('Withdrew to Smith &amp; Sons Checkin')
+    expect(result.content).toContain('<TRNTYPE>XFER')
+    expect(result.content).not.toContain('<TRNTYPE>ATM')
+  })
+
+  it('should sign amounts by their effect on the account balance', () => {
+    const history = [
+      ...transactions,
+      { id: 'tx_card_buy', type: 'buy', amount: 30, asset: 'ETH', paymentMethod: 'credit_card', createdAt: '2026-03-25T10:00:00.000Z' },
+      { id: 'tx_sell', type: 'sell', amount: 40, netAmount: 39.2, asset: 'BTC', createdAt: '2026-03-26T10:00:00.000Z' },
+      { id: 'tx_loan', type: 'loan_disbursement', amount: 500, createdAt: '2026-03-27T10:00:00.000Z' },
+      { id: 'tx_reversal', type: 'chargeback_reversal', amount: 97, createdAt: '2026-03-28T10:00:00.000Z' }
+    ]
+
+    const result = transactionExportService.exportTransactions({ format: EXPORT_FORMATS.JSON, transactions: history, now: NOW })
+    const signed = Object.fromEntries(JSON.parse(result.content).transactions.map(tx => [tx.id, tx.signedAmount]))
+    expect(signed).toMatchObject({ tx_add: 98.5, tx_buy: -50, tx_card_buy: 0, tx_sell: 39.2, tx_loan: 500, tx_reversal: 97 })
+
+    // A card-funded buy never touched the account, so it is left off the statement
+    const ofx = transactionExportService.exportTransactions({ format: EXPORT_FORMATS.OFX, transactions: history, now: NOW })
+    expect(ofx.content).not.toContain('<FITID>tx_card_buy')
+    expect(ofx.content).toContain('<TRNAMT>500.00')
+  })
+
+  it('should skip transactions without a valid date', () => {
+    const result = transactionExportService.exportTransactions({
+      format: EXPORT_FORMATS.CSV,
+      transactions: [...transactions, { id: 'tx_bad_date', type: 'add', amount: 5, createdAt: 'not a date' }],
+      now: NOW
+    })
+
+    expect(result.count).toBe(3)
+    expect(result.skipped).toEqual(['tx_bad_date'])
+  })
+
+  it('should add Intuit headers for QFX', () => {
+    const result = transactionExportService.exportTransactions({
+      format: EXPORT_FORMATS.QFX,
+      transactions,
+      now: NOW
+    })
+
+    expect(result.filename.endsWith('.qfx')).toBe(true)
+    expect(result.content).toContain('<INTU.BID>')
+  })
+
+  it('should reject unsupported formats', () => {
+    expect(() => transactionExportService.exportTransactions({ format: 'xlsx', transactions }))
+      .toThrow('Unsupported export format: xlsx')
+  })
+})
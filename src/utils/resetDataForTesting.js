@@ -15,13 +15,10 @@ export const resetToCleanState = () => {
   // Reset DataManager to clean state
   dataManager.resetToCleanState()
   
-  // Clear any additional localStorage items that might exist
-  const userId = 'demo_user_12345'
+  // Clear any additional localStorage items that might exist for the active user
+  const userId = dataManager.getCurrentUserId()
   const keysToRemove = [
-    `diboas_balances_${userId}`,
-    `diboas_balance_state_${userId}`,
-    `diboas_transaction_history_${userId}`,
-    `diboas_wallets_${userId}`,
+    ...Object.values(dataManager.getStorageKeys(userId)),
     'diboas_app_logged', // Reset app logging flag too
   ]
   
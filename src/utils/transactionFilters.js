@@ -0,0 +1,86 @@
+/**
+ * Transaction Filtering Utilities
+ * Shared by the transaction history filters UI and transaction exports,
+ * so an export always contains exactly what the user is looking at
+ */
+
+// Look-back window in days for each time period (null = no limit)
+export const TIME_PERIOD_DAYS = {
+  week: 7,
+  month: 30,
+  three_months: 90,
+  six_months: 180,
+  all_time: null
+}
+
+// Transaction types matched by each secondary filter, per category
+export const SECONDARY_FILTER_TYPES = {
+  banking: {
+    in: ['add', 'receive', 'loan_disbursement', 'chargeback_reversal'],
+    out: ['send', 'withdraw', 'loan_repayment', 'refund', 'chargeback']
+  },
+  investment: {
+    buy: ['buy'],
+    sell: ['sell']
+  },
+  yield: {
+    stake: ['stake', 'yield'],
+    unstake: ['unstake']
+  }
+}
+
+export const DEFAULT_TRANSACTION_FILTERS = {
+  searchQuery: '',
+  category: 'all',
+  period: 'all_time',
+  secondaryFilter: 'all'
+}
+
+/**
+ * Apply a filter set to a list of transactions
+ * @param {Array} transactions - Transactions as stored by DataManager
+ * @param {Object} filters - { searchQuery, category, period, secondaryFilter }
+ * @param {Date} now - Reference time for period filters
+ * @returns {Array} Matching transactions, newest first
+ */
+export const filterTransactions = (transactions = [], filters = {}, now = new Date()) => {
+  const { searchQuery, category, period, secondaryFilter } = { ...DEFAULT_TRANSACTION_FILTERS, ...filters }
+  let filtered = [...transactions]
+
+  // Apply search filter
+  if (searchQuery) {
+    const query = searchQuery.toLowerCase()
+    filtered = filtered.filter(tx =>
+      tx.description?.toLowerCase().includes(query) ||
+      tx.type?.toLowerCase().includes(query) ||
+      tx.asset?.toLowerCase().includes(query) ||
+      tx.txHash?.toLowerCase().includes(query) ||
+      tx.amount?.toString().includes(query)
+    )
+  }
+
+  // Apply category filter
+  if (category !== 'all') {
+    filtered = filtered.filter(tx => tx.category === category)
+  }
+
+  // Apply time period filter
+  const periodDays = TIME_PERIOD_DAYS[period]
+  if (periodDays) {
+    const cutoffDate = new Date(now)
+    cutoffDate.setDate(cutoffDate.getDate() - periodDays)
+
+    filtered = filtered.filter(tx => new Date(tx.createdAt) >= cutoffDate)
+  }
+
+  // Apply secondary filter
+  if (secondaryFilter !== 'all' && category !== 'all') {
+    const types = SECONDARY_FILTER_TYPES[category]?.[secondaryFilter]
+    if (types) {
+      filtered = filtered.filter(tx => types.includes(tx.type))
+    }
+  }
+
+  // Sort by date (newest first)
+  return filtered.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+}